@@ -0,0 +1,187 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const schemaVersionService = require('../../services/schemaVersion.service');
+const exportController = require('../export.controller');
+
+const app = express();
+app.use(express.json());
+app.post('/api/export/sql', exportController.generateSQL);
+app.post('/api/export/migration', exportController.generateMigration);
+app.post('/api/export/documentation', exportController.generateDocumentation);
+app.post('/api/export/erd', exportController.exportERD);
+app.post('/api/export/graphql', exportController.exportGraphQL);
+app.post('/api/export/openapi', exportController.exportOpenAPI);
+app.post('/api/export/typescript', exportController.exportTypeScript);
+
+let schemaId;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+
+  const schema = await new Schema({ name: 'Shop' }).save();
+  await schemaVersionService.recordRevision(schema, 'Baseline');
+  await schemaVersionService.commitRevision(schema, {
+    tables: [{ name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }] }]
+  }, 'Added orders');
+  schemaId = schema._id;
+});
+
+describe('dialect validation', () => {
+  it.each([
+    ['a number', 42],
+    ['an array', ['mysql']],
+    ['an object', { name: 'mysql' }],
+    ['an unknown name', 'access']
+  ])('answers 400 for a migration dialect that is %s', async (label, dialect) => {
+    const response = await request(app).post('/api/export/migration').send({ schemaId, dialect });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unsupported SQL dialect');
+    expect(response.body.supportedDialects).toContain('mysql');
+  });
+
+  it('answers 400 for an SQL export dialect that is not a string', async () => {
+    const response = await request(app).post('/api/export/sql').send({ schemaId, dialect: 1 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('accepts a dialect in any case', async () => {
+    const response = await request(app).post('/api/export/migration').send({ schemaId, dialect: 'PostgreSQL' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ fromVersion: 1, toVersion: 2 });
+    expect(response.body.up).toMatch(/CREATE TABLE/);
+  });
+});
+
+describe('documentation', () => {
+  it('sends a PDF as a download', async () => {
+    const response = await request(app).post('/api/export/documentation').send({ schemaId, format: 'PDF' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="shop.pdf"');
+    expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('answers Markdown inside the JSON response', async () => {
+    const response = await request(app).post('/api/export/documentation').send({ schemaId });
+
+    expect(response.status).toBe(200);
+    expect(response.body.documentation).toMatch(/^# /);
+  });
+
+  it.each([
+    ['an unknown name', 'docx'],
+    ['not a string', ['pdf']]
+  ])('answers 400 for a format that is %s', async (label, format) => {
+    const response = await request(app).post('/api/export/documentation').send({ schemaId, format });
+
+    expect(response.status).toBe(400);
+    expect(response.body.supportedFormats).toEqual(['markdown', 'html', 'pdf']);
+  });
+});
+
+describe('ERD export', () => {
+  it.each([
+    ['svg', 'image/svg+xml; charset=utf-8', /^<\?xml/],
+    ['png', 'image/png', /^\x89PNG/],
+    ['pdf', 'application/pdf', /^%PDF-/]
+  ])('sends %s as a download', async (format, contentType, signature) => {
+    const response = await request(app).post('/api/export/erd').send({ schemaId, format: format.toUpperCase() })
+      .buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe(contentType);
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="shop-erd.${format}"`);
+    expect(response.body.toString('latin1')).toMatch(signature);
+  });
+
+  it.each([
+    ['an unknown name', 'gif'],
+    ['not a string', { type: 'png' }]
+  ])('answers 400 for a format that is %s', async (label, format) => {
+    const response = await request(app).post('/api/export/erd').send({ schemaId, format });
+
+    expect(response.status).toBe(400);
+    expect(response.body.supportedFormats).toEqual(['svg', 'png', 'pdf']);
+  });
+
+  it('answers 400 for a PNG scale out of range', async () => {
+    const response = await request(app).post('/api/export/erd').send({ schemaId, format: 'png', scale: 10 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('scale must be a number from 0.5 to 4');
+  });
+});
+
+describe('GraphQL export', () => {
+  it('answers the SDL, with resolvers on request', async () => {
+    const plain = await request(app).post('/api/export/graphql').send({ schemaId });
+    const withResolvers = await request(app).post('/api/export/graphql').send({ schemaId, includeResolvers: true });
+
+    expect(plain.status).toBe(200);
+    expect(plain.body.sdl).toMatch(/^type Order \{$/m);
+    expect(plain.body.resolvers).toBeNull();
+    expect(withResolvers.body.resolvers).toMatch(/module\.exports = \{/);
+  });
+
+  it('answers 400 without a schema ID and 404 for an unknown schema', async () => {
+    expect((await request(app).post('/api/export/graphql').send({})).status).toBe(400);
+    expect((await request(app).post('/api/export/graphql').send({ schemaId: 'missing' })).status).toBe(404);
+  });
+});
+
+describe('OpenAPI export', () => {
+  it('answers the document, with a router on request', async () => {
+    const plain = await request(app).post('/api/export/openapi').send({ schemaId, dialect: 'access' });
+    const withRouter = await request(app).post('/api/export/openapi').send({ schemaId, includeRouter: true, dialect: 'SQLite' });
+
+    expect(plain.status).toBe(200);
+    expect(plain.body).toMatchObject({ dialect: null, router: null });
+    expect(Object.keys(plain.body.openapi.paths)).toEqual(['/orders', '/orders/{id}']);
+    expect(withRouter.body.dialect).toBe('sqlite');
+    expect(withRouter.body.router).toMatch(/module\.exports = function createRouter\(query\)/);
+  });
+
+  it.each([
+    ['an unknown name', 'access'],
+    ['an array', ['mysql']]
+  ])('answers 400 for a router dialect that is %s', async (label, dialect) => {
+    const response = await request(app).post('/api/export/openapi').send({ schemaId, includeRouter: true, dialect });
+
+    expect(response.status).toBe(400);
+    expect(response.body.supportedDialects).toContain('oracle');
+  });
+
+  it('answers 400 without a schema ID and 404 for an unknown schema', async () => {
+    expect((await request(app).post('/api/export/openapi').send({})).status).toBe(400);
+    expect((await request(app).post('/api/export/openapi').send({ schemaId: 'missing' })).status).toBe(404);
+  });
+});
+
+describe('TypeScript export', () => {
+  it('answers the types and the Zod schemas', async () => {
+    const response = await request(app).post('/api/export/typescript').send({ schemaId });
+
+    expect(response.status).toBe(200);
+    expect(response.body.types).toMatch(/^export interface Order \{$/m);
+    expect(response.body.zod).toMatch(/^export const orderSchema = z\.object\(\{$/m);
+  });
+
+  it('answers 400 without a schema ID and 404 for an unknown schema', async () => {
+    expect((await request(app).post('/api/export/typescript').send({})).status).toBe(400);
+    expect((await request(app).post('/api/export/typescript').send({ schemaId: 'missing' })).status).toBe(404);
+  });
+});
@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const schemaVersionService = require('../../services/schemaVersion.service');
+const schemaController = require('../schema.controller');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { _id: '1' };
+  next();
+});
+app.post('/api/schema/import/mermaid', schemaController.importMermaid);
+
+const mermaid = 'erDiagram\n  CUSTOMER ||--o{ ORDER : places\n  CUSTOMER {\n    int id PK\n  }\n  nonsense here';
+
+beforeEach(() => {
+  setStorage(new MemoryAdapter());
+});
+
+describe('POST /api/schema/import/mermaid', () => {
+  it('stores the imported schema as version 1 and returns the warnings', async () => {
+    const response = await request(app).post('/api/schema/import/mermaid').send({ mermaid, name: 'Shop' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.schema).toMatchObject({ name: 'Shop', ownerId: '1', version: 1 });
+    expect(response.body.schema.tables.map(table => table.name)).toEqual(['customer', 'order']);
+    expect(response.body.warnings).toEqual(['Line 6: could not parse "nonsense here"']);
+
+    const revisions = await schemaVersionService.listRevisions(response.body.schema._id);
+    expect(revisions.map(revision => revision.message)).toEqual(['Imported from Mermaid']);
+  });
+
+  it.each([
+    ['missing', undefined, 'Mermaid diagram is required'],
+    ['not a string', ['erDiagram'], 'Mermaid diagram is required'],
+    ['another kind of diagram', 'flowchart LR\n  A --> B', 'Not a Mermaid ER diagram'],
+    ['an empty ER diagram', 'erDiagram\n', 'No entities found in diagram']
+  ])('answers 400 when the diagram is %s', async (label, diagram, error) => {
+    const response = await request(app).post('/api/schema/import/mermaid').send({ mermaid: diagram });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+  });
+});
@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const schemaController = require('../schema.controller');
+
+const app = express();
+app.use(express.json());
+app.post('/api/schema/:id/normalization', schemaController.analyzeNormalization);
+app.post('/api/schema/:id/normalization/apply', schemaController.applyNormalization);
+
+const dependencies = [{ table: 'orders', determinant: 'zip', dependent: 'city' }];
+
+let schemaId;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+
+  const schema = await new Schema({
+    name: 'Shop',
+    tables: [{
+      name: 'orders',
+      columns: [
+        { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false },
+        { name: 'zip', dataType: 'VARCHAR(10)' },
+        { name: 'city', dataType: 'VARCHAR(50)' }
+      ]
+    }]
+  }).save();
+  schemaId = schema._id;
+});
+
+describe('POST /api/schema/:id/normalization', () => {
+  it('reports violations without changing the schema', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/normalization`).send({ dependencies });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ version: 1, normalForm: '2NF', targetForm: 'BCNF' });
+    expect(response.body.proposal.changes).toHaveLength(1);
+    expect((await Schema.findById(schemaId)).version).toBe(1);
+  });
+
+  it('answers 400 when dependencies is not an array', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/normalization`).send({ dependencies: { zip: 'city' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Dependencies must be an array');
+  });
+
+  it('answers 400 for an unsupported target form', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/normalization`).send({ targetForm: '4NF' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.normalForms).toContain('BCNF');
+  });
+
+  it('answers 404 for an unknown schema', async () => {
+    const response = await request(app).post('/api/schema/missing/normalization').send({});
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/schema/:id/normalization/apply', () => {
+  it('saves the decomposition as a new version', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/normalization/apply`).send({ dependencies, targetForm: '3nf' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Schema normalized to 3NF');
+    expect(response.body.schema.version).toBe(2);
+    expect(response.body.schema.tables.map(table => table.name)).toEqual(['orders', 'zip']);
+  });
+
+  it('does not record a revision when there is nothing to decompose', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/normalization/apply`).send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Schema already meets BCNF');
+    expect((await Schema.findById(schemaId)).version).toBe(1);
+  });
+});
@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const llm = require('../../services/llm');
+const FixtureProvider = require('../../services/llm/fixture.provider');
+const schemaVersionService = require('../../services/schemaVersion.service');
+const schemaController = require('../schema.controller');
+
+const app = express();
+app.use(express.json());
+app.post('/api/schema/:id/refine', schemaController.refineSchema);
+
+/**
+ * Provider that answers every refinement with the given change set
+ * @param {Object} changeSet - Change set to answer with
+ * @param {Function} before - Called before answering
+ * @returns {Object} - LLM provider
+ */
+function answering(changeSet, before = async () => {}) {
+  return {
+    name: 'test',
+    isConfigured: () => true,
+    complete: async () => {
+      await before();
+      return { text: JSON.stringify(changeSet), model: 'test' };
+    }
+  };
+}
+
+let schemaId;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+  llm.setProvider('refinement', new FixtureProvider());
+
+  const schema = await new Schema({
+    name: 'Shop',
+    tables: [{ name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }] }]
+  }).save();
+  schemaId = schema._id;
+});
+
+afterEach(() => {
+  llm.setProvider('refinement', null);
+});
+
+describe('POST /api/schema/:id/refine', () => {
+  it('applies the proposed changes as a new version', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/refine`).send({ instruction: 'Add an audit log', expectedVersion: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.changeSet.summary).toBe('Add an audit log that records changes made by users');
+    expect(response.body.applied).toHaveLength(1);
+    expect(response.body.schema.version).toBe(2);
+    expect(response.body.schema.tables.map(table => table.name)).toEqual(['orders', 'audit_log']);
+
+    const revisions = await schemaVersionService.listRevisions(schemaId);
+    expect(revisions.pop().message).toBe('Refined: Add an audit log that records changes made by users');
+  });
+
+  it.each([
+    ['missing', {}],
+    ['blank', { instruction: '  ' }],
+    ['not a string', { instruction: ['Add an audit log'] }]
+  ])('answers 400 when the instruction is %s', async (label, body) => {
+    const response = await request(app).post(`/api/schema/${schemaId}/refine`).send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Instruction is required');
+  });
+
+  it('answers 404 for an unknown schema', async () => {
+    const response = await request(app).post('/api/schema/missing/refine').send({ instruction: 'Add an audit log' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('answers 409 when the client\'s copy is out of date', async () => {
+    const fromBody = await request(app).post(`/api/schema/${schemaId}/refine`).send({ instruction: 'Add an audit log', expectedVersion: 3 });
+    const fromHeader = await request(app).post(`/api/schema/${schemaId}/refine`).set('If-Match', '"3"').send({ instruction: 'Add an audit log' });
+
+    [fromBody, fromHeader].forEach(response => {
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Schema has been modified', currentVersion: 1 });
+    });
+  });
+
+  it('answers 409 with the proposal when the schema changed while it was generated', async () => {
+    llm.setProvider('refinement', answering({ summary: 'Add notes', changes: [{ action: 'addAttribute', entity: 'orders', attribute: { name: 'notes', dataType: 'TEXT' } }] }, async () => {
+      const schema = await Schema.findById(schemaId);
+      await schemaVersionService.commitRevision(schema, { tables: schema.tables, relationships: schema.relationships }, 'Concurrent edit');
+    }));
+
+    const response = await request(app).post(`/api/schema/${schemaId}/refine`).send({ instruction: 'Add order notes' });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({ currentVersion: 2, changeSet: { summary: 'Add notes' } });
+    expect((await Schema.findById(schemaId)).tables[0].columns.map(column => column.name)).toEqual(['id']);
+  });
+
+  it('answers 422 when none of the proposed changes apply', async () => {
+    llm.setProvider('refinement', answering({ summary: 'Drop refunds', changes: [{ action: 'removeEntity', entity: 'refunds' }] }));
+
+    const response = await request(app).post(`/api/schema/${schemaId}/refine`).send({ instruction: 'Remove refunds' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.skipped).toEqual([expect.objectContaining({ index: 0, reason: expect.any(String) })]);
+    expect((await Schema.findById(schemaId)).version).toBe(1);
+  });
+
+  it('answers 500 when the model does not return a change list', async () => {
+    llm.setProvider('refinement', answering({ summary: 'Nothing' }));
+
+    const response = await request(app).post(`/api/schema/${schemaId}/refine`).send({ instruction: 'Add an audit log' });
+
+    expect(response.status).toBe(500);
+    expect(response.body.details).toBe('Model response did not include a list of changes');
+  });
+});
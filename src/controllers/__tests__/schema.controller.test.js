@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const FileAdapter = require('../../models/storage/file.adapter');
+const Schema = require('../../models/schema.model');
+const schemaVersionService = require('../../services/schemaVersion.service');
+const collaborationService = require('../../services/collaboration.service');
+const llm = require('../../services/llm');
+const FixtureProvider = require('../../services/llm/fixture.provider');
+const OpenAIProvider = require('../../services/llm/openai.provider');
+const schemaController = require('../schema.controller');
+
+const TABLES = ['t1', 't2', 't3', 't4', 't5'];
+
+// The controllers without authentication, which has its own checks
+const app = express();
+app.use(express.json());
+app.put('/api/schema/:id', schemaController.updateSchema);
+app.post('/api/schema/:id/tables/:table', schemaController.addTable);
+app.post('/api/schema/:id/rollback', schemaController.rollbackSchema);
+
+// The AI endpoints, for a signed-in user
+const aiApp = express();
+aiApp.use(express.json());
+aiApp.use((req, res, next) => {
+  req.user = { _id: '1' };
+  next();
+});
+aiApp.post('/api/schema/generate', schemaController.generateSchema);
+aiApp.post('/api/schema/optimize-prompt', schemaController.optimizePrompt);
+aiApp.post('/api/schema/enhance-prompt', schemaController.enhancePrompt);
+
+const AI_FEATURES = ['extraction', 'promptOptimization', 'promptEnhancement'];
+
+let directory;
+let schemaId;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'laymandb-controller-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  setStorage(new FileAdapter({ directory: fs.mkdtempSync(path.join(directory, 'run-')) }));
+  schemaId = (await new Schema({ name: 'Shop' }).save())._id;
+});
+
+async function expectConsistentHistory(version) {
+  const schema = await Schema.findById(schemaId);
+  const revisions = await schemaVersionService.listRevisions(schemaId);
+
+  expect(schema.version).toBe(version);
+  expect(revisions.map(revision => revision.version)).toEqual(Array.from({ length: version }, (_, index) => index + 1));
+  expect(revisions.filter(revision => revision.message === 'Baseline')).toHaveLength(1);
+  expect((await schemaVersionService.getRevision(schemaId, version)).tables).toEqual(schema.tables);
+
+  return schema;
+}
+
+describe('concurrent schema edits', () => {
+  it('applies every concurrent table added through the API', async () => {
+    const responses = await Promise.all(TABLES.map(table =>
+      request(app).post(`/api/schema/${schemaId}/tables/${table}`).send({})
+    ));
+
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201, 201, 201]);
+
+    const schema = await expectConsistentHistory(6);
+    expect(schema.tables.map(table => table.name).sort()).toEqual(TABLES);
+  });
+
+  it('queues API edits and socket operations together', async () => {
+    const results = await Promise.all([
+      request(app).post(`/api/schema/${schemaId}/tables/t1`).send({}),
+      collaborationService.applyOperation(schemaId, { operation: { type: 'addTable', data: { name: 't2' } } }),
+      request(app).put(`/api/schema/${schemaId}`).send({ description: 'Store', message: 'Described' }),
+      collaborationService.applyOperation(schemaId, { operation: { type: 'addTable', data: { name: 't3' } } }),
+      request(app).post(`/api/schema/${schemaId}/tables/t4`).send({})
+    ]);
+
+    expect([results[0].status, results[2].status, results[4].status]).toEqual([201, 200, 201]);
+
+    const schema = await expectConsistentHistory(6);
+    expect(schema.tables.map(table => table.name).sort()).toEqual(['t1', 't2', 't3', 't4']);
+    expect(schema.description).toBe('Store');
+  });
+
+  it('rolls back on top of the changes queued before it', async () => {
+    const responses = await Promise.all([
+      request(app).post(`/api/schema/${schemaId}/tables/t1`).send({}),
+      request(app).post(`/api/schema/${schemaId}/tables/t2`).send({})
+    ]);
+    expect(responses.map(response => response.status)).toEqual([201, 201]);
+
+    const [rollback, edit] = await Promise.all([
+      request(app).post(`/api/schema/${schemaId}/rollback`).send({ version: 2 }),
+      collaborationService.applyOperation(schemaId, { operation: { type: 'addTable', data: { name: 't3' } } })
+    ]);
+
+    expect(rollback.status).toBe(200);
+    await expectConsistentHistory(5);
+    expect([rollback.body.schema.version, edit.schema.version].sort()).toEqual([4, 5]);
+  });
+
+  it('still rejects edits against an older expected version', async () => {
+    await request(app).post(`/api/schema/${schemaId}/tables/t1`).send({}).expect(201);
+
+    const response = await request(app).post(`/api/schema/${schemaId}/tables/t2`).send({ expectedVersion: 1 });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({ error: 'Schema has been modified', currentVersion: 2 });
+  });
+
+  it('rejects a full update from an older version', async () => {
+    await request(app).put(`/api/schema/${schemaId}`).send({ description: 'First' }).expect(200);
+
+    const stale = await request(app).put(`/api/schema/${schemaId}`).send({ description: 'Stale', expectedVersion: 1 });
+    const header = await request(app).put(`/api/schema/${schemaId}`).set('If-Match', '"1"').send({ description: 'Stale' });
+
+    expect(stale.status).toBe(409);
+    expect(stale.body).toEqual({ error: 'Schema has been modified', currentVersion: 2 });
+    expect(header.status).toBe(409);
+    expect((await Schema.findById(schemaId)).description).toBe('First');
+
+    const current = await request(app).put(`/api/schema/${schemaId}`).send({ description: 'Second', expectedVersion: 2 });
+    expect(current.status).toBe(200);
+    expect(current.body.schema).toMatchObject({ description: 'Second', version: 3 });
+    expect(current.body.schema.expectedVersion).toBeUndefined();
+  });
+});
+
+describe('AI endpoints', () => {
+  const prompt = 'A library where members borrow books';
+
+  afterEach(() => {
+    AI_FEATURES.forEach(feature => llm.setProvider(feature, null));
+  });
+
+  describe('with the fixture provider', () => {
+    beforeEach(() => {
+      AI_FEATURES.forEach(feature => llm.setProvider(feature, new FixtureProvider()));
+    });
+
+    it('generates a schema in AI mode', async () => {
+      const response = await request(aiApp).post('/api/schema/generate').send({ prompt, mode: 'ai' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.extraction.method).toBe('ai');
+    });
+
+    it('optimizes a prompt', async () => {
+      const response = await request(aiApp).post('/api/schema/optimize-prompt').send({ prompt });
+
+      expect(response.status).toBe(200);
+      expect(response.body.optimizedPrompt).toMatch(/ENTITIES/);
+    });
+  });
+
+  describe('without a configured provider', () => {
+    beforeEach(() => {
+      AI_FEATURES.forEach(feature => llm.setProvider(feature, new OpenAIProvider({ apiKey: '' })));
+    });
+
+    it.each([
+      ['generate', { prompt, mode: 'ai' }],
+      ['optimize-prompt', { prompt }],
+      ['enhance-prompt', { prompt }]
+    ])('answers %s with 503', async (endpoint, body) => {
+      const response = await request(aiApp).post(`/api/schema/${endpoint}`).send(body);
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('LLM_NOT_CONFIGURED');
+      expect(response.body.details).toMatch(/not configured\. Set OPENAI_API_KEY\./);
+    });
+
+    it('still generates a schema in auto mode', async () => {
+      const response = await request(aiApp).post('/api/schema/generate').send({ prompt });
+
+      expect(response.status).toBe(201);
+      expect(response.body.extraction.method).toBe('heuristic');
+    });
+  });
+});
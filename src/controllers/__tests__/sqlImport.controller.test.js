@@ -0,0 +1,58 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const schemaController = require('../schema.controller');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { _id: '1' };
+  next();
+});
+app.post('/api/schema/import/sql', schemaController.importSQL);
+
+const sql = 'CREATE TABLE users (id INT PRIMARY KEY, email VARCHAR(255) NOT NULL UNIQUE);';
+
+beforeEach(() => {
+  setStorage(new MemoryAdapter());
+});
+
+describe('POST /api/schema/import/sql', () => {
+  it('imports a script', async () => {
+    const response = await request(app).post('/api/schema/import/sql').send({ sql, dialect: 'MySQL', name: 'Users' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.schema).toMatchObject({ name: 'Users', ownerId: '1', version: 1 });
+    expect(response.body.schema.tables.map(table => table.name)).toEqual(['users']);
+  });
+
+  it.each([
+    ['a number', 7],
+    ['an array', ['mysql']],
+    ['an object', { name: 'mysql' }],
+    ['an unknown name', 'access']
+  ])('answers 400 for a dialect that is %s', async (label, dialect) => {
+    const response = await request(app).post('/api/schema/import/sql').send({ sql, dialect });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid SQL dialect');
+  });
+
+  it('answers 400 with the parse error for unreadable SQL', async () => {
+    const response = await request(app).post('/api/schema/import/sql').send({ sql: "CREATE TABLE t (a TEXT DEFAULT 'x);" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid SQL: Unterminated string starting on line 1');
+  });
+
+  it('answers 400 when the script has no tables', async () => {
+    const response = await request(app).post('/api/schema/import/sql').send({ sql: 'SELECT 1;' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('No tables found in SQL');
+  });
+});
@@ -0,0 +1,79 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const schemaController = require('../schema.controller');
+
+const app = express();
+app.use(express.json());
+app.post('/api/schema/:id/validate', schemaController.validateSchema);
+
+let schemaId;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+
+  const schema = await new Schema({
+    name: 'Shop',
+    tables: [
+      { name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }] },
+      { name: 'order', columns: [{ name: 'total', dataType: 'DECIMAL(10,2)' }] }
+    ]
+  }).save();
+  schemaId = schema._id;
+});
+
+describe('dialect validation', () => {
+  it.each([
+    ['a number', 42],
+    ['an array', ['mysql']],
+    ['an object', { name: 'mysql' }],
+    ['an unknown name', 'access']
+  ])('answers 400 for a dialect that is %s', async (label, dialect) => {
+    const response = await request(app).post(`/api/schema/${schemaId}/validate`).send({ dialect });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unsupported SQL dialect');
+    expect(response.body.supportedDialects).toContain('mysql');
+  });
+
+  it('accepts a dialect in any case', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/validate`).send({ dialect: 'PostgreSQL' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.dialect).toBe('postgresql');
+  });
+});
+
+describe('validateSchema', () => {
+  it('reports findings with the rule and the path of the offending element', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/validate`).send({ dialect: 'mysql' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(false);
+    expect(response.body.findings).toContainEqual(expect.objectContaining({
+      rule: 'missing-primary-key',
+      severity: 'error',
+      path: '$.tables[1]'
+    }));
+    expect(response.body.summary.errors).toBeGreaterThan(0);
+  });
+
+  it('lists errors before warnings', async () => {
+    const response = await request(app).post(`/api/schema/${schemaId}/validate`).send({});
+    const severities = response.body.findings.map(finding => finding.severity);
+
+    expect(severities).toEqual([...severities].sort((a, b) =>
+      ['error', 'warning', 'info'].indexOf(a) - ['error', 'warning', 'info'].indexOf(b)));
+  });
+
+  it('answers 404 for an unknown schema', async () => {
+    const response = await request(app).post('/api/schema/missing/validate').send({});
+
+    expect(response.status).toBe(404);
+  });
+});
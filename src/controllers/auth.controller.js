@@ -0,0 +1,135 @@
+const authService = require('../services/auth.service');
+const logger = require('../utils/logger');
+
+/**
+ * Create a user account
+ * @param {Object} req - Express request object with email, password and optional name
+ * @param {Object} res - Express response object
+ */
+exports.register = async (req, res) => {
+  try {
+    const { email, password, name } = req.body || {};
+    
+    const { user, token } = await authService.register({ email, password, name });
+    
+    return res.status(201).json({ 
+      message: 'Account created successfully', 
+      user: user.toPublic(), 
+      token 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error registering user:', error);
+    return res.status(500).json({ 
+      error: 'Failed to create account', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Exchange an email and password for a JWT
+ * @param {Object} req - Express request object with email and password
+ * @param {Object} res - Express response object
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    
+    const { user, token } = await authService.login({ email, password });
+    
+    return res.status(200).json({ 
+      message: 'Logged in successfully', 
+      user: user.toPublic(), 
+      token 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error logging in:', error);
+    return res.status(500).json({ 
+      error: 'Failed to log in', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Get the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCurrentUser = async (req, res) => {
+  return res.status(200).json({ user: req.user.toPublic() });
+};
+
+/**
+ * Create an API key for the signed-in user
+ * @param {Object} req - Express request object with an optional key name
+ * @param {Object} res - Express response object
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    
+    const { key, apiKey } = await authService.createApiKey(req.user, name);
+    
+    // The key itself is only ever returned here
+    return res.status(201).json({ 
+      message: 'API key created. Store it now; it cannot be shown again.', 
+      key, 
+      apiKey 
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    return res.status(500).json({ 
+      error: 'Failed to create API key', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * List the signed-in user's API keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    return res.status(200).json({ apiKeys: await authService.listApiKeys(req.user) });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    return res.status(500).json({ 
+      error: 'Failed to list API keys', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Revoke one of the signed-in user's API keys
+ * @param {Object} req - Express request object with the key ID
+ * @param {Object} res - Express response object
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await authService.revokeApiKey(req.user, req.params.keyId);
+    
+    return res.status(200).json({ message: 'API key revoked', apiKey });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error revoking API key:', error);
+    return res.status(500).json({ 
+      error: 'Failed to revoke API key', 
+      details: error.message 
+    });
+  }
+};
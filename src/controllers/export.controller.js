@@ -1,7 +1,17 @@
 const Schema = require('../models/schema.model');
 const sqlGeneratorService = require('../services/sqlGenerator.service');
+const dialects = require('../services/dialects');
+const migrationGeneratorService = require('../services/migrationGenerator.service');
+const schemaVersionService = require('../services/schemaVersion.service');
 const documentationService = require('../services/documentation.service');
 const mermaidGeneratorService = require('../services/mermaidGenerator.service');
+const pdfDocumentationService = require('../services/pdfDocumentation.service');
+const erdRendererService = require('../services/erdRenderer.service');
+const ormGeneratorService = require('../services/ormGenerator.service');
+const ormTargets = require('../services/orm');
+const graphqlGeneratorService = require('../services/graphqlGenerator.service');
+const openapiGeneratorService = require('../services/openapiGenerator.service');
+const typescriptGeneratorService = require('../services/typescriptGenerator.service');
 const logger = require('../utils/logger');
 
 /**
@@ -23,9 +33,9 @@ exports.generateSQL = async (req, res) => {
       return res.status(404).json({ error: 'Schema not found' });
     }
     
-    const supportedDialects = ['mysql', 'postgresql', 'sqlite', 'sqlserver'];
+    const supportedDialects = dialects.listDialects();
     
-    if (!supportedDialects.includes(dialect.toLowerCase())) {
+    if (typeof dialect !== 'string' || !supportedDialects.includes(dialect.toLowerCase())) {
       return res.status(400).json({ 
         error: 'Unsupported SQL dialect', 
         supportedDialects 
@@ -50,13 +60,13 @@ exports.generateSQL = async (req, res) => {
 };
 
 /**
- * Export ERD diagram as image
+ * Generate up and down migration scripts between two versions of a schema
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.exportERD = async (req, res) => {
+exports.generateMigration = async (req, res) => {
   try {
-    const { schemaId, format = 'svg', diagramData } = req.body;
+    const { schemaId, fromVersion, toVersion, dialect = 'mysql' } = req.body;
     
     if (!schemaId) {
       return res.status(400).json({ error: 'Schema ID is required' });
@@ -68,32 +78,105 @@ exports.exportERD = async (req, res) => {
       return res.status(404).json({ error: 'Schema not found' });
     }
     
-    const supportedFormats = ['svg', 'png'];
+    const supportedDialects = dialects.listDialects();
     
-    if (!supportedFormats.includes(format.toLowerCase())) {
+    if (typeof dialect !== 'string' || !supportedDialects.includes(dialect.toLowerCase())) {
       return res.status(400).json({ 
-        error: 'Unsupported export format', 
-        supportedFormats 
+        error: 'Unsupported SQL dialect', 
+        supportedDialects 
       });
     }
     
-    // If diagram data is provided (from frontend), use it
-    if (diagramData) {
-      logger.info(`Received diagram data for export in ${format} format`);
-      
-      return res.status(200).json({
-        message: `ERD exported as ${format} successfully`,
-        format,
-        diagramData
+    // Default to migrating from the previous version to the current one.
+    // Version 0 stands for an empty database.
+    const to = Number(toVersion ?? schema.version);
+    const from = Number(fromVersion ?? to - 1);
+    
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 0) {
+      return res.status(400).json({ error: 'Versions must be non-negative integers' });
+    }
+    
+    const emptySchema = { name: schema.name, tables: [], relationships: [] };
+    const [fromRevision, toRevision] = await Promise.all([
+      from === 0 ? emptySchema : schemaVersionService.getRevision(schema._id, from),
+      to === 0 ? emptySchema : schemaVersionService.getRevision(schema._id, to)
+    ]);
+    
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ 
+        error: 'Schema version not found',
+        missing: [!fromRevision && from, !toRevision && to].filter(Boolean)
       });
     }
     
-    // If no diagram data is provided, return an error
-    return res.status(400).json({
-      error: 'Diagram data is required for export',
-      details: 'The current diagram state must be provided to export the diagram'
+    const migration = await migrationGeneratorService.generateMigration(
+      fromRevision,
+      toRevision,
+      dialect,
+      { fromVersion: from, toVersion: to }
+    );
+    
+    return res.status(200).json({
+      message: 'Migration generated successfully',
+      up: migration.up,
+      down: migration.down,
+      warnings: migration.warnings,
+      summary: migration.summary,
+      fromVersion: from,
+      toVersion: to,
+      dialect
+    });
+  } catch (error) {
+    logger.error('Error generating migration:', error);
+    return res.status(500).json({
+      error: 'Failed to generate migration script',
+      details: error.message
     });
+  }
+};
+
+/**
+ * Export ERD diagram as an SVG, PNG or PDF file drawn from the stored schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportERD = async (req, res) => {
+  try {
+    const { schemaId, format = 'svg', scale } = req.body;
+    
+    if (!schemaId) {
+      return res.status(400).json({ error: 'Schema ID is required' });
+    }
+    
+    const schema = await Schema.findById(schemaId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const supportedFormats = ['svg', 'png', 'pdf'];
+    
+    if (typeof format !== 'string' || !supportedFormats.includes(format.toLowerCase())) {
+      return res.status(400).json({ 
+        error: 'Unsupported export format', 
+        supportedFormats 
+      });
+    }
+    
+    const filename = `${fileBaseName(schema)}-erd.${format.toLowerCase()}`;
+    
+    switch (format.toLowerCase()) {
+      case 'pdf':
+        return sendFile(res, await pdfDocumentationService.generateDiagramPdf(schema), 'application/pdf', filename);
+      case 'png':
+        return sendFile(res, erdRendererService.renderPng(schema, { scale }), 'image/png', filename);
+      default:
+        return sendFile(res, erdRendererService.renderSvg(schema), 'image/svg+xml; charset=utf-8', filename);
+    }
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error('Error exporting ERD:', error);
     return res.status(500).json({
       error: 'Failed to export ERD',
@@ -123,7 +206,7 @@ exports.generateDocumentation = async (req, res) => {
     
     const supportedFormats = ['markdown', 'html', 'pdf'];
     
-    if (!supportedFormats.includes(format.toLowerCase())) {
+    if (typeof format !== 'string' || !supportedFormats.includes(format.toLowerCase())) {
       return res.status(400).json({ 
         error: 'Unsupported documentation format', 
         supportedFormats 
@@ -133,6 +216,11 @@ exports.generateDocumentation = async (req, res) => {
     // Generate documentation
     const documentation = await documentationService.generateDocumentation(schema, format);
     
+    // PDFs are binary, so they are sent as a download rather than inside the JSON response
+    if (format.toLowerCase() === 'pdf') {
+      return sendFile(res, documentation, 'application/pdf', `${fileBaseName(schema)}.pdf`);
+    }
+    
     return res.status(200).json({
       message: 'Documentation generated successfully',
       documentation,
@@ -189,3 +277,197 @@ exports.generateMermaidERD = async (req, res) => {
     });
   }
 };
+
+/**
+ * Generate ORM model files (Prisma, Sequelize, TypeORM, SQLAlchemy or Django) from schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportORM = async (req, res) => {
+  try {
+    const { schemaId, target, dialect } = req.body;
+    
+    if (!schemaId) {
+      return res.status(400).json({ error: 'Schema ID is required' });
+    }
+    
+    const schema = await Schema.findById(schemaId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const definition = ormTargets.getTarget(target);
+    
+    if (!definition) {
+      return res.status(400).json({ 
+        error: 'Unsupported ORM target', 
+        supportedTargets: ormTargets.listTargets() 
+      });
+    }
+    
+    // Only targets whose output depends on the database take a dialect
+    if (dialect && definition.dialects && !definition.dialects.includes(String(dialect).toLowerCase())) {
+      return res.status(400).json({ 
+        error: `Unsupported SQL dialect for ${definition.label}`, 
+        supportedDialects: definition.dialects 
+      });
+    }
+    
+    const result = await ormGeneratorService.generateModels(schema, definition.name, { dialect });
+    
+    return res.status(200).json({
+      message: 'ORM models generated successfully',
+      target: result.target,
+      dialect: result.dialect,
+      language: result.language,
+      files: result.files
+    });
+  } catch (error) {
+    logger.error('Error generating ORM models:', error);
+    return res.status(500).json({
+      error: 'Failed to generate ORM models',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Generate GraphQL SDL, and optionally a resolver skeleton, from schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportGraphQL = async (req, res) => {
+  try {
+    const { schemaId, includeResolvers = false } = req.body;
+    
+    if (!schemaId) {
+      return res.status(400).json({ error: 'Schema ID is required' });
+    }
+    
+    const schema = await Schema.findById(schemaId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const result = await graphqlGeneratorService.generateGraphQL(schema, { includeResolvers });
+    
+    return res.status(200).json({
+      message: 'GraphQL schema generated successfully',
+      sdl: result.sdl,
+      resolvers: result.resolvers
+    });
+  } catch (error) {
+    logger.error('Error generating GraphQL schema:', error);
+    return res.status(500).json({
+      error: 'Failed to generate GraphQL schema',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Generate an OpenAPI document, and optionally an Express router scaffold, from schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportOpenAPI = async (req, res) => {
+  try {
+    const { schemaId, includeRouter = false, dialect = 'mysql' } = req.body;
+    
+    if (!schemaId) {
+      return res.status(400).json({ error: 'Schema ID is required' });
+    }
+    
+    const schema = await Schema.findById(schemaId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const supportedDialects = openapiGeneratorService.listRouterDialects();
+    
+    if (includeRouter && (typeof dialect !== 'string' || !supportedDialects.includes(dialect.toLowerCase()))) {
+      return res.status(400).json({ 
+        error: 'Unsupported SQL dialect', 
+        supportedDialects 
+      });
+    }
+    
+    const result = await openapiGeneratorService.generateOpenAPI(schema, { dialect, includeRouter });
+    
+    return res.status(200).json({
+      message: 'OpenAPI specification generated successfully',
+      dialect: includeRouter ? dialect.toLowerCase() : null,
+      openapi: result.openapi,
+      router: result.router
+    });
+  } catch (error) {
+    logger.error('Error generating OpenAPI specification:', error);
+    return res.status(500).json({
+      error: 'Failed to generate OpenAPI specification',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Generate TypeScript types and Zod schemas from schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.exportTypeScript = async (req, res) => {
+  try {
+    const { schemaId } = req.body;
+    
+    if (!schemaId) {
+      return res.status(400).json({ error: 'Schema ID is required' });
+    }
+    
+    const schema = await Schema.findById(schemaId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const result = await typescriptGeneratorService.generateTypeScript(schema);
+    
+    return res.status(200).json({
+      message: 'TypeScript types generated successfully',
+      types: result.types,
+      zod: result.zod
+    });
+  } catch (error) {
+    logger.error('Error generating TypeScript types:', error);
+    return res.status(500).json({
+      error: 'Failed to generate TypeScript types',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Send a generated file as a download
+ * @param {Object} res - Express response object
+ * @param {Buffer} content - File contents
+ * @param {string} contentType - MIME type
+ * @param {string} filename - Suggested file name
+ */
+function sendFile(res, content, contentType, filename) {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(content),
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  return res.status(200).send(content);
+}
+
+/**
+ * File name for a schema's exports: its name lower-cased with anything but letters and digits as dashes
+ * @param {Object} schema - Database schema
+ * @returns {string} - File name without extension
+ */
+function fileBaseName(schema) {
+  return String(schema.name || 'schema').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'schema';
+}
@@ -3,6 +3,7 @@
  */
 
 const geminiPromptEnhancerService = require('../services/geminiPromptEnhancer.service');
+const sessionHistoryService = require('../services/sessionHistory.service');
 const logger = require('../utils/logger');
 
 const MIN_INPUT_LENGTH = 5;
@@ -34,6 +35,8 @@ const enhancePrompt = async (req, res) => {
       });
     }
 
+    const session = await sessionHistoryService.resolveSession(req.body.sessionId, req.user);
+
     logger.info('Received request to enhance prompt', { inputLength: prompt.length });
 
     const result = await geminiPromptEnhancerService.enhancePrompt(prompt);
@@ -46,6 +49,8 @@ const enhancePrompt = async (req, res) => {
       });
     }
 
+    await sessionHistoryService.recordEntry(session, 'enhance', { prompt, result: result.enhancedPrompt });
+
     logger.info('Successfully enhanced prompt');
 
     return res.status(200).json({
@@ -53,6 +58,10 @@ const enhancePrompt = async (req, res) => {
       enhancedPrompt: result.enhancedPrompt,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     // This is a catch-all for unexpected server errors
     logger.error('Unhandled error in enhancePrompt controller', { error: error.message, stack: error.stack });
     return res.status(500).json({
@@ -4,6 +4,7 @@
  */
 
 const mermaidQueryGeneratorService = require('../services/mermaidQueryGenerator.service');
+const sessionHistoryService = require('../services/sessionHistory.service');
 const logger = require('../utils/logger');
 
 /**
@@ -29,6 +30,8 @@ exports.generateMermaidQuery = async (req, res) => {
       });
     }
 
+    const session = await sessionHistoryService.resolveSession(req.body.sessionId, req.user);
+
     logger.info('Mermaid query generation request received', {
       questionLength: question.length,
       tableCount: schema.tables.length,
@@ -46,10 +49,21 @@ exports.generateMermaidQuery = async (req, res) => {
       return res.status(500).json(result);
     }
 
+    await sessionHistoryService.recordEntry(session, 'mermaid-query', {
+      question: question.trim(),
+      schemaName: schema.name || null,
+      mermaidCode: result.mermaidCode,
+      explanation: result.explanation
+    });
+
     logger.info('Mermaid query generated successfully');
     return res.status(200).json(result);
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     logger.error('Error in generateMermaidQuery controller:', error);
     return res.status(500).json({
       success: false,
@@ -4,6 +4,8 @@
  */
 
 const queryGeneratorService = require('../services/queryGenerator.service');
+const dialects = require('../services/dialects');
+const sessionHistoryService = require('../services/sessionHistory.service');
 const logger = require('../utils/logger');
 
 /**
@@ -30,7 +32,7 @@ exports.generateQuery = async (req, res) => {
     }
 
     // Validate dialect
-    const validDialects = ['mysql', 'postgresql', 'sqlite', 'sqlserver'];
+    const validDialects = dialects.listDialects();
     const normalizedDialect = dialect.toLowerCase();
     
     if (!validDialects.includes(normalizedDialect)) {
@@ -40,6 +42,8 @@ exports.generateQuery = async (req, res) => {
       });
     }
 
+    const session = await sessionHistoryService.resolveSession(req.body.sessionId, req.user);
+
     logger.info('Query generation request received', {
       questionLength: question.length,
       dialect: normalizedDialect,
@@ -59,10 +63,22 @@ exports.generateQuery = async (req, res) => {
       return res.status(500).json(result);
     }
 
+    await sessionHistoryService.recordEntry(session, 'query', {
+      question: question.trim(),
+      dialect: normalizedDialect,
+      schemaName: schema.name || null,
+      sql: result.sql,
+      explanation: result.explanation
+    });
+
     logger.info('Query generated successfully');
     return res.status(200).json(result);
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     logger.error('Error in generateQuery controller:', error);
     return res.status(500).json({
       success: false,
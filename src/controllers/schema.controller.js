@@ -2,6 +2,19 @@ const Schema = require('../models/schema.model');
 const nlpService = require('../services/nlp.service');
 const promptEnhancerService = require('../services/promptEnhancer.service');
 const schemaGeneratorService = require('../services/schemaGenerator.service');
+const schemaVersionService = require('../services/schemaVersion.service');
+const sqlImportService = require('../services/sqlImport.service');
+const mermaidImportService = require('../services/mermaidImport.service');
+const schemaValidatorService = require('../services/schemaValidator.service');
+const normalizationService = require('../services/normalization.service');
+const schemaEditorService = require('../services/schemaEditor.service');
+const templateService = require('../services/template.service');
+const generationJobService = require('../services/generationJob.service');
+const collaborationService = require('../services/collaboration.service');
+const accessService = require('../services/access.service');
+const workspaceService = require('../services/workspace.service');
+const searchService = require('../services/search.service');
+const sessionHistoryService = require('../services/sessionHistory.service');
 const logger = require('../utils/logger');
 
 /**
@@ -11,179 +24,1195 @@ const logger = require('../utils/logger');
  */
 exports.generateSchema = async (req, res) => {
   try {
-    const { prompt, name = 'New Schema', description = '' } = req.body;
+    const { prompt, name = 'New Schema', description = '', mode, async: runAsJob = false } = req.body;
     
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
+    
+    const workspaceId = await workspaceService.resolveWorkspaceId(req.body.workspaceId, req.user);
+    const session = await sessionHistoryService.resolveSession(req.body.sessionId, req.user);
+
+    if (mode && !nlpService.EXTRACTION_MODES.includes(String(mode).toLowerCase())) {
+      return res.status(400).json({
+        error: 'Invalid extraction mode',
+        details: `Supported modes: ${nlpService.EXTRACTION_MODES.join(', ')}`
+      });
+    }
+
+    await sessionHistoryService.recordEntry(session, 'prompt', { prompt, mode: mode || null });
+
+    // Job mode: answer immediately and report progress over Socket.IO and SSE
+    if (runAsJob === true || req.query.async === 'true') {
+      const job = generationJobService.createJob({
+        prompt,
+        name,
+        description,
+        mode,
+        ownerId: req.user._id,
+        workspaceId,
+        sessionId: session ? session._id : null
+      });
+      logger.info(`Started schema generation job ${job.id}`, { prompt });
+      
+      return res.status(202).json({
+        message: 'Schema generation started',
+        job,
+        links: {
+          self: `/api/schema/jobs/${job.id}`,
+          events: `/api/schema/jobs/${job.id}/events`,
+          cancel: `/api/schema/jobs/${job.id}/cancel`
+        }
+      });
+    }
+
+    logger.info('Generating schema from prompt', { prompt });
+
+    // Set a longer timeout for the request (90 seconds)
+    req.setTimeout(90000);
+    
+    // Process natural language using NLP service
+    let extractedEntities;
+    try {
+      extractedEntities = await nlpService.extractEntities(prompt, { mode });
+    } catch (nlpError) {
+      logger.error('NLP service error:', nlpError);
+      
+      // The AI response never matched the extraction schema, even after repair requests
+      if (nlpError.validationErrors) {
+        return res.status(502).json({
+          error: 'The AI response did not match the extraction schema. Please try again with a simpler prompt.',
+          details: nlpError.message,
+          code: 'EXTRACTION_VALIDATION_ERROR',
+          validationErrors: nlpError.validationErrors
+        });
+      }
+      
+      let errorMessage = nlpError.message || 'Error in AI processing';
+      let errorCode = 'NLP_ERROR';
+      
+      if (nlpError.message && nlpError.message.includes('timeout')) {
+        errorMessage = 'The request timed out. Please try again with a simpler prompt.';
+        errorCode = 'TIMEOUT_ERROR';
+      } else if (nlpError.statusCode === 422) {
+        errorCode = 'NO_ENTITIES';
+      } else if (nlpError.statusCode === 503) {
+        errorCode = 'LLM_NOT_CONFIGURED';
+      }
+      
+      return res.status(nlpError.statusCode || 500).json({ 
+        error: errorMessage, 
+        details: nlpError.message,
+        code: errorCode
+      });
+    }
+    
+    // Generate schema from extracted entities
+    let schema;
+    try {
+      schema = await schemaGeneratorService.generateSchema(extractedEntities, { name, description });
+    } catch (schemaError) {
+      logger.error('Schema generation error:', schemaError);
+      return res.status(500).json({ 
+        error: 'Error generating schema structure', 
+        details: schemaError.message,
+        code: 'SCHEMA_GEN_ERROR'
+      });
+    }
+    
+    // Save schema to memory
+    try {
+      const newSchema = new Schema({ ...schema, ownerId: req.user._id, workspaceId });
+      await newSchema.save();
+      await schemaVersionService.recordRevision(newSchema, 'Generated from prompt');
+      
+      await sessionHistoryService.recordEntry(session, 'schema', {
+        schemaId: newSchema._id,
+        schemaName: newSchema.name,
+        source: 'generate',
+        prompt,
+        mode: mode || null,
+        extraction: {
+          method: extractedEntities.extractionMethod,
+          fallbackReason: extractedEntities.fallbackReason || null
+        }
+      });
+      
+      return res.status(201).json({ 
+        message: 'Schema generated successfully', 
+        schema: newSchema,
+        extraction: {
+          method: extractedEntities.extractionMethod,
+          fallbackReason: extractedEntities.fallbackReason,
+          warnings: extractedEntities.warnings || []
+        }
+      });
+    } catch (dbError) {
+      logger.error('Error saving schema:', dbError);
+      return res.status(500).json({ 
+        error: 'Error saving schema', 
+        details: dbError.message,
+        code: 'SAVE_ERROR'
+      });
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error generating schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to generate schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Get the status of a schema generation job
+ * @param {Object} req - Express request object with job ID
+ * @param {Object} res - Express response object
+ */
+exports.getGenerationJob = async (req, res) => {
+  try {
+    const job = generationJobService.describeJob(req.params.jobId, req.user);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+    
+    return res.status(200).json({ job, events: generationJobService.getEvents(job.id) });
+  } catch (error) {
+    logger.error('Error fetching generation job:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch generation job', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Stream the progress of a schema generation job as Server-Sent Events
+ * Events recorded before the client connected are replayed first (after Last-Event-ID when reconnecting).
+ * @param {Object} req - Express request object with job ID
+ * @param {Object} res - Express response object
+ */
+exports.streamGenerationJob = async (req, res) => {
+  try {
+    const job = generationJobService.describeJob(req.params.jobId, req.user);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+    
+    // The stream stays open for the whole job; heartbeats keep proxies from closing it
+    req.setTimeout(0);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    
+    const close = () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+    };
+    
+    const send = (event) => {
+      res.write(`id: ${event.sequence}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (generationJobService.TERMINAL_STATUSES.includes(event.stage)) {
+        close();
+      }
+    };
+    
+    generationJobService.getEvents(job.id, lastEventId).forEach(send);
+    
+    if (generationJobService.TERMINAL_STATUSES.includes(job.status)) {
+      return close();
+    }
+    
+    unsubscribe = generationJobService.subscribe(job.id, send);
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    req.on('close', close);
+  } catch (error) {
+    logger.error('Error streaming generation job:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ 
+        error: 'Failed to stream generation job', 
+        details: error.message 
+      });
+    }
+    res.end();
+  }
+};
+
+/**
+ * Cancel a running schema generation job
+ * @param {Object} req - Express request object with job ID
+ * @param {Object} res - Express response object
+ */
+exports.cancelGenerationJob = async (req, res) => {
+  try {
+    const job = generationJobService.cancelJob(req.params.jobId, req.user);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+    
+    return res.status(200).json({ message: 'Schema generation cancelled', job });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: 'Generation job cannot be cancelled', details: error.message });
+    }
+    logger.error('Error cancelling generation job:', error);
+    return res.status(500).json({ 
+      error: 'Failed to cancel generation job', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Import a schema from existing SQL DDL
+ * @param {Object} req - Express request object with SQL script and optional dialect
+ * @param {Object} res - Express response object
+ */
+exports.importSQL = async (req, res) => {
+  try {
+    const { sql, dialect, name = 'Imported Schema', description = '' } = req.body;
+
+    if (!sql || typeof sql !== 'string') {
+      return res.status(400).json({ error: 'SQL is required' });
+    }
+
+    const workspaceId = await workspaceService.resolveWorkspaceId(req.body.workspaceId, req.user);
+
+    if (dialect && (typeof dialect !== 'string' || !sqlImportService.SUPPORTED_DIALECTS.includes(dialect.toLowerCase()))) {
+      return res.status(400).json({
+        error: 'Invalid SQL dialect',
+        details: `Supported dialects: ${sqlImportService.SUPPORTED_DIALECTS.join(', ')}`
+      });
+    }
+
+    const { schema, warnings } = await sqlImportService.importSQL(sql, { dialect, name, description });
+
+    if (schema.tables.length === 0 && schema.relationships.length === 0) {
+      return res.status(400).json({
+        error: 'No tables found in SQL',
+        details: 'The script must contain at least one CREATE TABLE statement',
+        warnings
+      });
+    }
+
+    const newSchema = new Schema({ ...schema, ownerId: req.user._id, workspaceId });
+    await newSchema.save();
+    await schemaVersionService.recordRevision(newSchema, 'Imported from SQL');
+
+    return res.status(201).json({
+      message: 'Schema imported successfully',
+      schema: newSchema,
+      warnings
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    logger.error('Error importing SQL:', error);
+    return res.status(500).json({
+      error: 'Failed to import SQL',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Import a schema from a Mermaid erDiagram
+ * @param {Object} req - Express request object with Mermaid source
+ * @param {Object} res - Express response object
+ */
+exports.importMermaid = async (req, res) => {
+  try {
+    const { mermaid, name = 'Imported Schema', description = '' } = req.body;
+
+    if (!mermaid || typeof mermaid !== 'string') {
+      return res.status(400).json({ error: 'Mermaid diagram is required' });
+    }
+
+    const workspaceId = await workspaceService.resolveWorkspaceId(req.body.workspaceId, req.user);
+
+    if (!/^\s*erDiagram\b/m.test(mermaid)) {
+      return res.status(400).json({
+        error: 'Not a Mermaid ER diagram',
+        details: 'The diagram must start with "erDiagram"'
+      });
+    }
+
+    const { schema, warnings } = await mermaidImportService.importMermaid(mermaid, { name, description });
+
+    if (schema.tables.length === 0) {
+      return res.status(400).json({
+        error: 'No entities found in diagram',
+        warnings
+      });
+    }
+
+    const newSchema = new Schema({ ...schema, ownerId: req.user._id, workspaceId });
+    await newSchema.save();
+    await schemaVersionService.recordRevision(newSchema, 'Imported from Mermaid');
+
+    return res.status(201).json({
+      message: 'Schema imported successfully',
+      schema: newSchema,
+      warnings
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    logger.error('Error importing Mermaid diagram:', error);
+    return res.status(500).json({
+      error: 'Failed to import Mermaid diagram',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * List the schemas you can view, with search, filters, sorting and pagination
+ * @param {Object} req - Express request object with q, workspaceId, archived, sort, order, page and limit query parameters
+ * @param {Object} res - Express response object
+ */
+exports.listSchemas = async (req, res) => {
+  try {
+    const options = searchService.parseListOptions(req.query, 'schemas');
+    const result = await searchService.listSchemas(req.user, options);
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error listing schemas:', error);
+    return res.status(500).json({ 
+      error: 'Failed to list schemas', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Get a specific schema by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSchemaById = async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    return res.status(200).json({ schema });
+  } catch (error) {
+    logger.error('Error fetching schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Update an existing schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateSchema = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message, expectedVersion, ...updates } = req.body;
+    
+    // Changes to a schema are made one at a time, on its latest version
+    return await schemaVersionService.withSchemaLock(id, async () => {
+      const schema = await Schema.findById(id);
+      
+      if (!schema) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+      
+      // The whole document is replaced, so a client that hasn't seen the latest version would undo it
+      if (isStaleVersion(req, expectedVersion, schema)) {
+        return res.status(409).json({ 
+          error: 'Schema has been modified', 
+          currentVersion: schema.version 
+        });
+      }
+      
+      // Every update becomes a new immutable revision
+      const updatedSchema = await schemaVersionService.commitRevision(
+        schema,
+        updates,
+        message || 'Updated schema'
+      );
+      collaborationService.publishChange(updatedSchema, { summary: message || 'Updated schema' });
+      
+      return res.status(200).json({ 
+        message: 'Schema updated successfully', 
+        schema: updatedSchema 
+      });
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(versionErrorBody(error));
+    }
+    
+    logger.error('Error updating schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to update schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Add a table to a schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addTable = (req, res) => editSchema(req, res, { type: 'addTable', table: req.params.table }, 201);
+
+/**
+ * Update a table's name, description, flags or position
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateTable = (req, res) => editSchema(req, res, { type: 'updateTable', table: req.params.table }, 200);
+
+/**
+ * Remove a table along with its relationships and the foreign keys that point at it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeTable = (req, res) => editSchema(req, res, { type: 'removeTable', table: req.params.table }, 200);
+
+/**
+ * Add a column to a table
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addColumn = (req, res) => editSchema(req, res, { 
+    type: 'addColumn', 
+    table: req.params.table, 
+    column: req.params.column 
+  }, 201);
+
+/**
+ * Update a column, keeping foreign keys that reference it in step
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateColumn = (req, res) => editSchema(req, res, { 
+    type: 'updateColumn', 
+    table: req.params.table, 
+    column: req.params.column 
+  }, 200);
+
+/**
+ * Remove a column that no foreign key references
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeColumn = (req, res) => editSchema(req, res, { 
+    type: 'removeColumn', 
+    table: req.params.table, 
+    column: req.params.column 
+  }, 200);
+
+/**
+ * Add a relationship, creating its foreign key and weak-entity keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addRelationship = (req, res) => editSchema(req, res, { type: 'addRelationship', relationship: req.params.name }, 201);
+
+/**
+ * Update a relationship, rebuilding its foreign key when its tables or type change
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateRelationship = (req, res) => editSchema(req, res, { 
+    type: 'updateRelationship', 
+    relationship: req.params.name, 
+    sourceTable: req.query.sourceTable, 
+    targetTable: req.query.targetTable 
+  }, 200);
+
+/**
+ * Remove a relationship and the foreign key created for it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeRelationship = (req, res) => editSchema(req, res, { 
+    type: 'removeRelationship', 
+    relationship: req.params.name, 
+    sourceTable: req.query.sourceTable, 
+    targetTable: req.query.targetTable 
+  }, 200);
+
+/**
+ * Apply one granular edit to a stored schema and record it as a new revision
+ * @param {Object} req - Express request object; the body holds the edit plus optional expectedVersion and message
+ * @param {Object} res - Express response object
+ * @param {Object} operation - Schema editor operation without its data
+ * @param {number} status - Status code to respond with on success
+ */
+async function editSchema(req, res, operation, status) {
+  try {
+    const { expectedVersion, message, ...data } = req.body || {};
+    
+    // Edits through the API and the socket share one queue per schema, so none is lost
+    return await schemaVersionService.withSchemaLock(req.params.id, async () => {
+      const schema = await Schema.findById(req.params.id);
+      
+      if (!schema) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+      
+      // Reject edits made against a version another client has since replaced
+      if (isStaleVersion(req, expectedVersion, schema)) {
+        return res.status(409).json({ 
+          error: 'Schema has been modified', 
+          currentVersion: schema.version 
+        });
+      }
+      
+      const { tables, relationships, summary } = schemaEditorService.applyOperation(schema, { 
+        ...operation, 
+        data 
+      });
+      
+      const updatedSchema = await schemaVersionService.commitRevision(
+        schema,
+        { tables, relationships },
+        message || summary
+      );
+      collaborationService.publishChange(updatedSchema, { operation: { ...operation, data }, summary });
+      
+      return res.status(status).json({ 
+        message: summary, 
+        schema: updatedSchema 
+      });
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(versionErrorBody(error));
+    }
+    
+    logger.error('Error editing schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to edit schema', 
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Response body for an error with a status code; conflicts include the current version
+ * @param {Error} error - Error with statusCode and optional currentVersion
+ * @returns {Object} - Error response body
+ */
+function versionErrorBody(error) {
+  return error.currentVersion !== undefined
+    ? { error: error.message, currentVersion: error.currentVersion }
+    : { error: error.message };
+}
+
+/**
+ * Check a client's expected version (body, query or If-Match header) against the stored schema
+ * @param {Object} req - Express request object
+ * @param {number|string} expectedVersion - Version from the request body, if any
+ * @param {Object} schema - Stored schema
+ * @returns {boolean} - True when the client's copy is out of date
+ */
+function isStaleVersion(req, expectedVersion, schema) {
+  const expected = expectedVersion ?? req.query.expectedVersion ?? req.get('If-Match');
+  
+  return expected !== undefined && Number(String(expected).replace(/"/g, '')) !== schema.version;
+}
+
+/**
+ * Refine a stored schema from a follow-up instruction
+ * @param {Object} req - Express request object with the instruction and optional expectedVersion
+ * @param {Object} res - Express response object
+ */
+exports.refineSchema = async (req, res) => {
+  try {
+    const { instruction, expectedVersion, message } = req.body || {};
+    
+    if (typeof instruction !== 'string' || !instruction.trim()) {
+      return res.status(400).json({ error: 'Instruction is required' });
+    }
+    
+    const schema = await Schema.findById(req.params.id);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    if (isStaleVersion(req, expectedVersion, schema)) {
+      return res.status(409).json({ 
+        error: 'Schema has been modified', 
+        currentVersion: schema.version 
+      });
+    }
+    
+    logger.info(`Refining schema ${schema._id}: ${instruction.substring(0, 100)}...`);
+    
+    const changeSet = await nlpService.proposeChanges(schema, instruction);
+    
+    // The model call is slow, so the lock is only taken to apply its result; don't overwrite an
+    // edit that landed while it ran
+    return await schemaVersionService.withSchemaLock(schema._id, async () => {
+      const latest = await Schema.findById(schema._id);
+      
+      if (!latest) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+      
+      if (latest.version !== schema.version) {
+        return res.status(409).json({ 
+          error: 'Schema was modified while the refinement was generated', 
+          currentVersion: latest.version, 
+          changeSet 
+        });
+      }
+      
+      const { tables, relationships, applied, skipped } = schemaEditorService.applyChangeSet(
+        latest,
+        changeSet.changes
+      );
+      
+      if (applied.length === 0) {
+        return res.status(422).json({ 
+          error: 'None of the proposed changes could be applied', 
+          changeSet, 
+          skipped 
+        });
+      }
+      
+      const updatedSchema = await schemaVersionService.commitRevision(
+        latest,
+        { tables, relationships },
+        message || `Refined: ${changeSet.summary || instruction}`
+      );
+      collaborationService.publishChange(updatedSchema, { summary: `Refined: ${changeSet.summary || instruction}` });
+      
+      return res.status(200).json({ 
+        message: 'Schema refined successfully', 
+        changeSet, 
+        applied, 
+        skipped, 
+        schema: updatedSchema 
+      });
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(versionErrorBody(error));
+    }
+    
+    logger.error('Error refining schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to refine schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * List the revisions of a schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSchemaVersions = async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const versions = await schemaVersionService.listRevisions(schema._id);
+    
+    return res.status(200).json({ 
+      currentVersion: schema.version,
+      versions 
+    });
+  } catch (error) {
+    logger.error('Error fetching schema versions:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch schema versions', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Get a specific revision of a schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSchemaVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    
+    const revision = await schemaVersionService.getRevision(id, version);
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Schema version not found' });
+    }
+    
+    return res.status(200).json({ revision });
+  } catch (error) {
+    logger.error('Error fetching schema version:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch schema version', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Get a structural diff between two revisions of a schema
+ * @param {Object} req - Express request object with optional from/to query parameters
+ * @param {Object} res - Express response object
+ */
+exports.diffSchemaVersions = async (req, res) => {
+  try {
+    const schema = await Schema.findById(req.params.id);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    // Default to comparing the current version with the one before it
+    const to = Number(req.query.to || schema.version);
+    const from = Number(req.query.from || Math.max(to - 1, 1));
+    
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'Versions must be integers' });
+    }
+    
+    const [fromRevision, toRevision] = await Promise.all([
+      schemaVersionService.getRevision(schema._id, from),
+      schemaVersionService.getRevision(schema._id, to)
+    ]);
+    
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ 
+        error: 'Schema version not found',
+        missing: [!fromRevision && from, !toRevision && to].filter(Boolean)
+      });
+    }
+    
+    const diff = schemaVersionService.diffSchemas(fromRevision, toRevision);
+    
+    return res.status(200).json({ from, to, diff });
+  } catch (error) {
+    logger.error('Error diffing schema versions:', error);
+    return res.status(500).json({ 
+      error: 'Failed to diff schema versions', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Roll a schema back to an earlier revision
+ * @param {Object} req - Express request object with the version to restore
+ * @param {Object} res - Express response object
+ */
+exports.rollbackSchema = async (req, res) => {
+  try {
+    const { version } = req.body;
+    
+    if (!version) {
+      return res.status(400).json({ error: 'Version is required' });
+    }
+    
+    return await schemaVersionService.withSchemaLock(req.params.id, async () => {
+      const schema = await Schema.findById(req.params.id);
+      
+      if (!schema) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
+      
+      const updatedSchema = await schemaVersionService.rollback(schema, version);
+      
+      if (!updatedSchema) {
+        return res.status(404).json({ error: 'Schema version not found' });
+      }
+      collaborationService.publishChange(updatedSchema, { summary: `Rolled back to version ${version}` });
+      
+      return res.status(200).json({ 
+        message: `Schema rolled back to version ${version}`, 
+        schema: updatedSchema 
+      });
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(versionErrorBody(error));
+    }
+    
+    logger.error('Error rolling back schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to roll back schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Validate a schema and report design problems
+ * @param {Object} req - Express request object with optional target dialect
+ * @param {Object} res - Express response object
+ */
+exports.validateSchema = async (req, res) => {
+  try {
+    const { dialect } = req.body || {};
+    const supportedDialects = schemaValidatorService.SUPPORTED_DIALECTS;
+    
+    if (dialect && (typeof dialect !== 'string' || !supportedDialects.includes(dialect.toLowerCase()))) {
+      return res.status(400).json({ 
+        error: 'Unsupported SQL dialect', 
+        supportedDialects 
+      });
+    }
+    
+    const schema = await Schema.findById(req.params.id);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const result = schemaValidatorService.validateSchema(schema, { dialect });
+    
+    return res.status(200).json({ 
+      schemaId: schema._id, 
+      version: schema.version, 
+      ...result 
+    });
+  } catch (error) {
+    logger.error('Error validating schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to validate schema', 
+      details: error.message 
+    });
+  }
+};
 
-    logger.info('Generating schema from prompt', { prompt });
+/**
+ * Analyze a schema for normal form violations and propose a decomposition
+ * @param {Object} req - Express request object with optional functional dependencies and target form
+ * @param {Object} res - Express response object
+ */
+exports.analyzeNormalization = async (req, res) => {
+  try {
+    const options = getNormalizationOptions(req.body);
+    
+    if (options.error) {
+      return res.status(400).json(options.error);
+    }
+    
+    const schema = await Schema.findById(req.params.id);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const result = normalizationService.analyzeSchema(schema, options);
+    
+    return res.status(200).json({ 
+      schemaId: schema._id, 
+      version: schema.version, 
+      ...result 
+    });
+  } catch (error) {
+    logger.error('Error analyzing schema normalization:', error);
+    return res.status(500).json({ 
+      error: 'Failed to analyze schema normalization', 
+      details: error.message 
+    });
+  }
+};
 
-    // Set a longer timeout for the request (90 seconds)
-    req.setTimeout(90000);
+/**
+ * Apply the proposed decomposition as a new schema revision
+ * @param {Object} req - Express request object with optional functional dependencies and target form
+ * @param {Object} res - Express response object
+ */
+exports.applyNormalization = async (req, res) => {
+  try {
+    const options = getNormalizationOptions(req.body);
     
-    // Process natural language using NLP service
-    let extractedEntities;
-    try {
-      extractedEntities = await nlpService.extractEntities(prompt);
-    } catch (nlpError) {
-      logger.error('NLP service error:', nlpError);
+    if (options.error) {
+      return res.status(400).json(options.error);
+    }
+    
+    return await schemaVersionService.withSchemaLock(req.params.id, async () => {
+      const schema = await Schema.findById(req.params.id);
       
-      // Provide a specific message for JSON parsing errors
-      let errorMessage = nlpError.message || 'Error in AI processing';
-      let errorCode = 'NLP_ERROR';
+      if (!schema) {
+        return res.status(404).json({ error: 'Schema not found' });
+      }
       
-      if (nlpError.message && (
-          nlpError.message.includes('JSON') || 
-          nlpError.message.includes('Unexpected') || 
-          nlpError.message.includes('token') || 
-          nlpError.message.includes('position') ||
-          nlpError.message.includes('parse')
-        )) {
-        errorMessage = 'The AI response contained invalid JSON. Please try again with a simpler prompt.';
-        errorCode = 'JSON_PARSE_ERROR';
-      } else if (nlpError.message && nlpError.message.includes('timeout')) {
-        errorMessage = 'The request timed out. Please try again with a simpler prompt.';
-        errorCode = 'TIMEOUT_ERROR';
+      const { proposal, warnings } = normalizationService.analyzeSchema(schema, options);
+      
+      // Nothing to decompose, so don't record an empty revision
+      if (proposal.changes.length === 0) {
+        return res.status(200).json({ 
+          message: `Schema already meets ${options.targetForm}`, 
+          schema, 
+          changes: [], 
+          unresolved: proposal.unresolved, 
+          warnings 
+        });
       }
       
-      return res.status(500).json({ 
-        error: errorMessage, 
-        details: nlpError.message,
-        code: errorCode
+      const updatedSchema = await schemaVersionService.commitRevision(
+        schema,
+        { tables: proposal.tables, relationships: proposal.relationships },
+        (req.body && req.body.message) || `Normalized to ${options.targetForm}`
+      );
+      collaborationService.publishChange(updatedSchema, { summary: `Normalized to ${options.targetForm}` });
+      
+      return res.status(200).json({ 
+        message: `Schema normalized to ${options.targetForm}`, 
+        schema: updatedSchema, 
+        changes: proposal.changes, 
+        unresolved: proposal.unresolved, 
+        warnings 
       });
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(versionErrorBody(error));
     }
     
-    // Generate schema from extracted entities
-    let schema;
-    try {
-      schema = await schemaGeneratorService.generateSchema(extractedEntities, { name, description });
-    } catch (schemaError) {
-      logger.error('Schema generation error:', schemaError);
-      return res.status(500).json({ 
-        error: 'Error generating schema structure', 
-        details: schemaError.message,
-        code: 'SCHEMA_GEN_ERROR'
-      });
-    }
+    logger.error('Error applying schema normalization:', error);
+    return res.status(500).json({ 
+      error: 'Failed to apply schema normalization', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Read and check the normalization options from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Options for the normalization service, or an error response body
+ */
+function getNormalizationOptions(body = {}) {
+  const { dependencies = [], targetForm = 'BCNF' } = body;
+  const normalForms = normalizationService.NORMAL_FORMS;
+  
+  if (!Array.isArray(dependencies)) {
+    return { error: { error: 'Dependencies must be an array' } };
+  }
+  
+  if (!normalForms.includes(String(targetForm).toUpperCase())) {
+    return { error: { error: 'Unsupported normal form', normalForms } };
+  }
+  
+  return { dependencies, targetForm: String(targetForm).toUpperCase() };
+}
+
+/**
+ * Archive a schema so it is left out of listings by default
+ * @param {Object} req - Express request object; req.schema is loaded by authorizeSchema
+ * @param {Object} res - Express response object
+ */
+exports.archiveSchema = (req, res) => setSchemaArchived(req, res, true);
+
+/**
+ * Restore an archived schema
+ * @param {Object} req - Express request object; req.schema is loaded by authorizeSchema
+ * @param {Object} res - Express response object
+ */
+exports.unarchiveSchema = (req, res) => setSchemaArchived(req, res, false);
+
+async function setSchemaArchived(req, res, archived) {
+  try {
+    const schema = await workspaceService.setArchived(req.schema, archived);
     
-    // Save schema to memory
-    try {
-      const newSchema = new Schema(schema);
-      await newSchema.save();
-      
-      return res.status(201).json({ 
-        message: 'Schema generated successfully', 
-        schema: newSchema 
-      });
-    } catch (dbError) {
-      logger.error('Error saving schema:', dbError);
-      return res.status(500).json({ 
-        error: 'Error saving schema', 
-        details: dbError.message,
-        code: 'SAVE_ERROR'
-      });
-    }
+    return res.status(200).json({ 
+      message: archived ? 'Schema archived' : 'Schema restored', 
+      schema 
+    });
   } catch (error) {
-    logger.error('Error generating schema:', error);
+    logger.error('Error archiving schema:', error);
     return res.status(500).json({ 
-      error: 'Failed to generate schema', 
+      error: archived ? 'Failed to archive schema' : 'Failed to restore schema', 
       details: error.message 
     });
   }
-};
+}
 
 /**
- * Get a specific schema by ID
- * @param {Object} req - Express request object
+ * Move a schema into a workspace, or out of its workspace with workspaceId null
+ * @param {Object} req - Express request object with workspaceId
  * @param {Object} res - Express response object
  */
-exports.getSchemaById = async (req, res) => {
+exports.moveSchema = async (req, res) => {
   try {
-    const schema = await Schema.findById(req.params.id);
+    const { workspaceId } = req.body || {};
     
-    if (!schema) {
-      return res.status(404).json({ error: 'Schema not found' });
+    if (workspaceId === undefined) {
+      return res.status(400).json({ error: 'workspaceId is required (null to remove the schema from its workspace)' });
     }
     
-    return res.status(200).json({ schema });
+    req.schema.workspaceId = await workspaceService.resolveWorkspaceId(workspaceId, req.user);
+    await req.schema.save();
+    
+    return res.status(200).json({ 
+      message: req.schema.workspaceId ? 'Schema moved to workspace' : 'Schema removed from workspace', 
+      schema: req.schema 
+    });
   } catch (error) {
-    logger.error('Error fetching schema:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error moving schema:', error);
     return res.status(500).json({ 
-      error: 'Failed to fetch schema', 
+      error: 'Failed to move schema', 
       details: error.message 
     });
   }
 };
 
 /**
- * Update an existing schema
- * @param {Object} req - Express request object
+ * Delete a schema and its revision history
+ * @param {Object} req - Express request object; req.schema is loaded by authorizeSchema
  * @param {Object} res - Express response object
  */
-exports.updateSchema = async (req, res) => {
+exports.deleteSchema = async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const { revisionsDeleted } = await workspaceService.deleteSchema(req.schema);
+    collaborationService.revokeAccess(req.schema._id, { reason: 'deleted' });
+    
+    return res.status(200).json({ 
+      message: 'Schema deleted successfully', 
+      schemaId: req.schema._id, 
+      revisionsDeleted 
+    });
+  } catch (error) {
+    logger.error('Error deleting schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to delete schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * List the owner and collaborators of a schema
+ * @param {Object} req - Express request object; req.schema is loaded by authorizeSchema
+ * @param {Object} res - Express response object
+ */
+exports.getCollaborators = async (req, res) => {
+  try {
+    const collaborators = await accessService.listCollaborators(req.schema);
     
-    const schema = await Schema.findById(id);
+    return res.status(200).json({ collaborators });
+  } catch (error) {
+    logger.error('Error fetching collaborators:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch collaborators', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Share a schema with a user as an editor or viewer, or change their role
+ * @param {Object} req - Express request object with userId or email, and role
+ * @param {Object} res - Express response object
+ */
+exports.shareSchema = async (req, res) => {
+  try {
+    const { userId, email, role } = req.body || {};
     
-    if (!schema) {
-      return res.status(404).json({ error: 'Schema not found' });
+    if (!userId && !email) {
+      return res.status(400).json({ error: 'User ID or email is required' });
     }
     
-    // Update timestamp
-    updates.updatedAt = new Date();
+    const result = await accessService.shareSchema(req.schema, { userId, email, role });
+    logger.info(`Schema ${req.schema._id} shared with user ${result.user._id} as ${result.role}`);
+    
+    return res.status(result.created ? 201 : 200).json({ 
+      message: `Schema shared with ${result.user.email} as ${result.role}`, 
+      collaborators: await accessService.listCollaborators(req.schema) 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     
-    const updatedSchema = await Schema.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true }
-    );
+    logger.error('Error sharing schema:', error);
+    return res.status(500).json({ 
+      error: 'Failed to share schema', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Stop sharing a schema with a user
+ * @param {Object} req - Express request object with the collaborator's user ID
+ * @param {Object} res - Express response object
+ */
+exports.removeCollaborator = async (req, res) => {
+  try {
+    await accessService.unshareSchema(req.schema, req.params.userId);
+    collaborationService.revokeAccess(req.schema._id, { userIds: [req.params.userId], reason: 'unshared' });
+    logger.info(`Schema ${req.schema._id} no longer shared with user ${req.params.userId}`);
     
     return res.status(200).json({ 
-      message: 'Schema updated successfully', 
-      schema: updatedSchema 
+      message: 'Collaborator removed', 
+      collaborators: await accessService.listCollaborators(req.schema) 
     });
   } catch (error) {
-    logger.error('Error updating schema:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error removing collaborator:', error);
     return res.status(500).json({ 
-      error: 'Failed to update schema', 
+      error: 'Failed to remove collaborator', 
       details: error.message 
     });
   }
 };
 
 /**
- * Get available schema templates
- * @param {Object} req - Express request object
+ * Get available schema templates, optionally filtered by a search query or tag
+ * @param {Object} req - Express request object with optional q and tag query parameters
  * @param {Object} res - Express response object
  */
 exports.getTemplates = async (req, res) => {
   try {
-    // This would typically fetch template schemas from a database or config file
-    const templates = [
-      { 
-        id: 'ecommerce',
-        name: 'E-Commerce',
-        description: 'Standard e-commerce database schema with products, customers, orders, and payments'
-      },
-      { 
-        id: 'blog',
-        name: 'Blog/CMS',
-        description: 'Content management system with posts, users, comments, and categories'
-      },
-      { 
-        id: 'inventory',
-        name: 'Inventory Management',
-        description: 'Inventory tracking system with products, warehouses, and stock movements'
-      },
-      { 
-        id: 'crm',
-        name: 'Customer Relationship Management',
-        description: 'CRM system with contacts, companies, deals, and activities'
-      }
-    ];
+    const { q, tag } = req.query;
+    const templates = await templateService.listTemplates({ q, tag });
     
     return res.status(200).json({ templates });
   } catch (error) {
@@ -195,6 +1224,152 @@ exports.getTemplates = async (req, res) => {
   }
 };
 
+/**
+ * Get a template with its tables and relationships
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    return res.status(200).json({ template });
+  } catch (error) {
+    logger.error('Error fetching template:', error);
+    return res.status(500).json({ 
+      error: 'Failed to fetch template', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Create a new schema from a template
+ * @param {Object} req - Express request object with optional name, description, prefix and modules
+ * @param {Object} res - Express response object
+ */
+exports.instantiateTemplate = async (req, res) => {
+  try {
+    const { name, description, prefix, modules, workspaceId: requestedWorkspaceId } = req.body || {};
+    
+    if (modules !== undefined && !Array.isArray(modules)) {
+      return res.status(400).json({ error: 'Modules must be an array of module IDs' });
+    }
+    
+    const template = await templateService.getTemplate(req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    const workspaceId = await workspaceService.resolveWorkspaceId(requestedWorkspaceId, req.user);
+    const result = templateService.instantiateTemplate(template, { 
+      name, 
+      description, 
+      prefix, 
+      modules 
+    });
+    
+    const newSchema = new Schema({ ...result.schema, ownerId: req.user._id, workspaceId });
+    await newSchema.save();
+    await schemaVersionService.recordRevision(newSchema, `Created from template ${template.name}`);
+    
+    return res.status(201).json({ 
+      message: 'Schema created from template', 
+      schema: newSchema, 
+      warnings: result.warnings 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error instantiating template:', error);
+    return res.status(500).json({ 
+      error: 'Failed to instantiate template', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Publish a stored schema as a template
+ * @param {Object} req - Express request object with schemaId, name, description, tags and modules
+ * @param {Object} res - Express response object
+ */
+exports.publishTemplate = async (req, res) => {
+  try {
+    const { schemaId, name, description, tags, modules } = req.body || {};
+    
+    if (!schemaId) {
+      return res.status(400).json({ error: 'Schema ID is required' });
+    }
+    
+    if (modules !== undefined && !Array.isArray(modules)) {
+      return res.status(400).json({ error: 'Modules must be an array' });
+    }
+    
+    const schema = await Schema.findById(schemaId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found' });
+    }
+    
+    const template = await templateService.publishTemplate(schema, { 
+      name, 
+      description, 
+      tags, 
+      modules, 
+      ownerId: req.user._id 
+    });
+    
+    return res.status(201).json({ 
+      message: 'Template published successfully', 
+      template 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error publishing template:', error);
+    return res.status(500).json({ 
+      error: 'Failed to publish template', 
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Unpublish a template; only the user who published it can
+ * @param {Object} req - Express request object with the template ID
+ * @param {Object} res - Express response object
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await templateService.deleteTemplate(req.params.templateId, req.user);
+    
+    return res.status(200).json({ 
+      message: 'Template deleted successfully', 
+      template: { id: template.id, name: template.name } 
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error deleting template:', error);
+    return res.status(500).json({ 
+      error: 'Failed to delete template', 
+      details: error.message 
+    });
+  }
+};
+
 /**
  * Optimize a user prompt using AI to make it more effective for schema generation
  * @param {Object} req - Express request object with original prompt
@@ -207,6 +1382,8 @@ exports.optimizePrompt = async (req, res) => {
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
+    
+    const session = await sessionHistoryService.resolveSession(req.body.sessionId, req.user);
 
     logger.info('Optimizing prompt with AI', { prompt });
 
@@ -216,6 +1393,7 @@ exports.optimizePrompt = async (req, res) => {
     // Process prompt optimization using NLP service
     try {
       const optimizedPrompt = await nlpService.optimizePrompt(prompt);
+      await sessionHistoryService.recordEntry(session, 'optimize', { prompt, result: optimizedPrompt });
       return res.status(200).json({ 
         message: 'Prompt optimized successfully', 
         optimizedPrompt 
@@ -229,15 +1407,21 @@ exports.optimizePrompt = async (req, res) => {
       if (nlpError.message && nlpError.message.includes('timeout')) {
         errorMessage = 'The request timed out. Please try again with a simpler prompt.';
         errorCode = 'TIMEOUT_ERROR';
+      } else if (nlpError.statusCode === 503) {
+        errorCode = 'LLM_NOT_CONFIGURED';
       }
       
-      return res.status(500).json({ 
+      return res.status(nlpError.statusCode || 500).json({ 
         error: errorMessage, 
         details: nlpError.message,
         code: errorCode
       });
     }
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     logger.error('Error optimizing prompt:', error);
     return res.status(500).json({ 
       error: 'Failed to optimize prompt', 
@@ -258,6 +1442,8 @@ exports.enhancePrompt = async (req, res) => {
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
+    
+    const session = await sessionHistoryService.resolveSession(req.body.sessionId, req.user);
 
     logger.info('Enhancing prompt with AI', { prompt });
 
@@ -267,6 +1453,7 @@ exports.enhancePrompt = async (req, res) => {
     // Process prompt enhancement using promptEnhancer service
     try {
       const enhancedPrompt = await promptEnhancerService.enhancePrompt(prompt);
+      await sessionHistoryService.recordEntry(session, 'enhance', { prompt, result: enhancedPrompt });
       return res.status(200).json({ 
         message: 'Prompt enhanced successfully', 
         enhancedPrompt 
@@ -280,15 +1467,21 @@ exports.enhancePrompt = async (req, res) => {
       if (enhancerError.message && enhancerError.message.includes('timeout')) {
         errorMessage = 'The request timed out. Please try again with a simpler prompt.';
         errorCode = 'TIMEOUT_ERROR';
+      } else if (enhancerError.statusCode === 503) {
+        errorCode = 'LLM_NOT_CONFIGURED';
       }
       
-      return res.status(500).json({ 
+      return res.status(enhancerError.statusCode || 500).json({ 
         error: errorMessage, 
         details: enhancerError.message,
         code: errorCode
       });
     }
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     logger.error('Error enhancing prompt:', error);
     return res.status(500).json({ 
       error: 'Failed to enhance prompt', 
@@ -1,5 +1,9 @@
 const Session = require('../models/session.model');
 const Schema = require('../models/schema.model');
+const accessService = require('../services/access.service');
+const workspaceService = require('../services/workspace.service');
+const searchService = require('../services/search.service');
+const sessionHistoryService = require('../services/sessionHistory.service');
 const logger = require('../utils/logger');
 
 /**
@@ -9,26 +13,33 @@ const logger = require('../utils/logger');
  */
 exports.createSession = async (req, res) => {
   try {
-    const { name, description, schemaId, prompt } = req.body;
+    const { name, description, schemaId, prompt, workspaceId } = req.body;
     
-    const sessionData = {
+    const session = new Session({
       name: name || 'New Session',
       description,
-      prompt,
       schemas: [],
-      activeSchemaId: null
-    };
+      activeSchemaId: null,
+      ownerId: req.user._id,
+      workspaceId: await workspaceService.resolveWorkspaceId(workspaceId, req.user)
+    });
+    
+    if (prompt) {
+      sessionHistoryService.appendEntry(session, 'prompt', { prompt, mode: null });
+    }
     
-    // If a schema ID is provided, add it to the session
+    // If a schema ID is provided and the user can read it, add it to the session
     if (schemaId) {
       const schema = await Schema.findById(schemaId);
-      if (schema) {
-        sessionData.schemas = [schema._id];
-        sessionData.activeSchemaId = schema._id;
+      if (schema && accessService.getSchemaRole(schema, req.user)) {
+        sessionHistoryService.appendEntry(session, 'schema', {
+          schemaId: schema._id,
+          schemaName: schema.name,
+          source: 'save'
+        });
       }
     }
     
-    const session = new Session(sessionData);
     await session.save();
     
     return res.status(201).json({
@@ -36,6 +47,10 @@ exports.createSession = async (req, res) => {
       session
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     logger.error('Error creating session:', error);
     return res.status(500).json({
       error: 'Failed to create session',
@@ -44,6 +59,30 @@ exports.createSession = async (req, res) => {
   }
 };
 
+/**
+ * List your sessions, with search, filters, sorting and pagination
+ * @param {Object} req - Express request object with q, workspaceId, archived, sort, order, page and limit query parameters
+ * @param {Object} res - Express response object
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const options = searchService.parseListOptions(req.query, 'sessions');
+    const result = await searchService.listSessions(req.user, options);
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error listing sessions:', error);
+    return res.status(500).json({
+      error: 'Failed to list sessions',
+      details: error.message
+    });
+  }
+};
+
 /**
  * Get a specific session by ID
  * @param {Object} req - Express request object
@@ -61,6 +100,12 @@ exports.getSessionById = async (req, res) => {
     await session.populate('schemas');
     await session.populate('activeSchemaId');
     
+    // Schemas can be unshared after they were added to the session
+    session.schemas = session.schemas.filter(schema => accessService.getSchemaRole(schema, req.user));
+    if (session.activeSchemaId && !accessService.getSchemaRole(session.activeSchemaId, req.user)) {
+      session.activeSchemaId = null;
+    }
+    
     return res.status(200).json({ session });
   } catch (error) {
     logger.error('Error fetching session:', error);
@@ -93,12 +138,12 @@ exports.saveSession = async (req, res) => {
       return res.status(404).json({ error: 'Schema not found' });
     }
     
-    // Update session with schema reference
-    if (!session.schemas.includes(schema._id)) {
-      session.schemas.push(schema._id);
-    }
-    session.activeSchemaId = schema._id;
-    session.updatedAt = new Date();
+    // Add the schema to the session and make it the active one
+    sessionHistoryService.appendEntry(session, 'schema', {
+      schemaId: schema._id,
+      schemaName: schema.name,
+      source: 'save'
+    });
     
     await session.save();
     
@@ -114,3 +159,208 @@ exports.saveSession = async (req, res) => {
     });
   }
 };
+
+/**
+ * Rename a session or change its description
+ * @param {Object} req - Express request object with name and/or description
+ * @param {Object} res - Express response object
+ */
+exports.updateSession = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    await sessionHistoryService.updateSession(session, req.body || {});
+    
+    return res.status(200).json({
+      message: 'Session updated successfully',
+      session
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error updating session:', error);
+    return res.status(500).json({
+      error: 'Failed to update session',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Get a session's history of prompts, prompt rewrites, schemas and queries
+ * @param {Object} req - Express request object with optional type query parameter
+ * @param {Object} res - Express response object
+ */
+exports.getSessionHistory = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    const history = sessionHistoryService.listHistory(session, { type: req.query.type });
+    
+    return res.status(200).json({
+      sessionId: session._id,
+      history,
+      total: history.length
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error fetching session history:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch session history',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Copy a session into a new one, optionally only up to a history entry
+ * @param {Object} req - Express request object with optional name and upToEntryId
+ * @param {Object} res - Express response object
+ */
+exports.forkSession = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    const fork = await sessionHistoryService.forkSession(session, req.user, req.body || {});
+    
+    return res.status(201).json({
+      message: 'Session forked successfully',
+      session: fork
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error forking session:', error);
+    return res.status(500).json({
+      error: 'Failed to fork session',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Regenerate a session's schemas from the prompts in its history
+ * @param {Object} req - Express request object with optional mode and entryIds
+ * @param {Object} res - Express response object
+ */
+exports.replaySession = async (req, res) => {
+  try {
+    const { mode, entryIds } = req.body || {};
+    const session = await Session.findById(req.params.id);
+    
+    // Every replayed prompt is a full generation
+    req.setTimeout(300000);
+    
+    const result = await sessionHistoryService.replaySession(session, req.user, { mode, entryIds });
+    const regenerated = result.results.filter(entry => entry.status === 'regenerated').length;
+    
+    return res.status(200).json({
+      message: `Regenerated ${regenerated} of ${result.results.length} schemas`,
+      session: result.session,
+      results: result.results
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error replaying session:', error);
+    return res.status(500).json({
+      error: 'Failed to replay session',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Archive a session so it is left out of listings by default
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.archiveSession = (req, res) => setSessionArchived(req, res, true);
+
+/**
+ * Restore an archived session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unarchiveSession = (req, res) => setSessionArchived(req, res, false);
+
+async function setSessionArchived(req, res, archived) {
+  try {
+    const session = await Session.findById(req.params.id);
+    await workspaceService.setArchived(session, archived);
+    
+    return res.status(200).json({
+      message: archived ? 'Session archived' : 'Session restored',
+      session
+    });
+  } catch (error) {
+    logger.error('Error archiving session:', error);
+    return res.status(500).json({
+      error: archived ? 'Failed to archive session' : 'Failed to restore session',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Move a session into a workspace, or out of its workspace with workspaceId null
+ * @param {Object} req - Express request object with workspaceId
+ * @param {Object} res - Express response object
+ */
+exports.moveSession = async (req, res) => {
+  try {
+    const { workspaceId } = req.body || {};
+    
+    if (workspaceId === undefined) {
+      return res.status(400).json({ error: 'workspaceId is required (null to remove the session from its workspace)' });
+    }
+    
+    const session = await Session.findById(req.params.id);
+    session.workspaceId = await workspaceService.resolveWorkspaceId(workspaceId, req.user);
+    await session.save();
+    
+    return res.status(200).json({
+      message: session.workspaceId ? 'Session moved to workspace' : 'Session removed from workspace',
+      session
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    logger.error('Error moving session:', error);
+    return res.status(500).json({
+      error: 'Failed to move session',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Delete a session. The schemas it references are not deleted.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteSession = async (req, res) => {
+  try {
+    await Session.findByIdAndDelete(req.params.id);
+    logger.info(`Deleted session ${req.params.id}`);
+    
+    return res.status(200).json({
+      message: 'Session deleted successfully',
+      sessionId: req.params.id
+    });
+  } catch (error) {
+    logger.error('Error deleting session:', error);
+    return res.status(500).json({
+      error: 'Failed to delete session',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,133 @@
+const workspaceService = require('../services/workspace.service');
+const searchService = require('../services/search.service');
+const logger = require('../utils/logger');
+
+/**
+ * List the signed-in user's workspaces
+ * @param {Object} req - Express request object with q, page, limit, sort, order and archived query parameters
+ * @param {Object} res - Express response object
+ */
+exports.listWorkspaces = async (req, res) => {
+  try {
+    const options = searchService.parseListOptions(req.query, 'workspaces');
+    const result = await searchService.listWorkspaces(req.user, options);
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    return handleError(res, error, 'Failed to list workspaces');
+  }
+};
+
+/**
+ * Create a workspace
+ * @param {Object} req - Express request object with name and optional description
+ * @param {Object} res - Express response object
+ */
+exports.createWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.createWorkspace(req.user, req.body || {});
+    
+    return res.status(201).json({ 
+      message: 'Workspace created successfully', 
+      workspace 
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to create workspace');
+  }
+};
+
+/**
+ * Get a workspace with the number of schemas and sessions filed under it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getWorkspaceById = async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.id, req.user);
+    const counts = await searchService.countWorkspaceContents([workspace._id]);
+    
+    return res.status(200).json({ 
+      workspace: { ...workspace.toObject(), ...counts.get(String(workspace._id)) } 
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch workspace');
+  }
+};
+
+/**
+ * Rename or re-describe a workspace
+ * @param {Object} req - Express request object with name and/or description
+ * @param {Object} res - Express response object
+ */
+exports.updateWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.id, req.user);
+    const updated = await workspaceService.updateWorkspace(workspace, req.body || {});
+    
+    return res.status(200).json({ 
+      message: 'Workspace updated successfully', 
+      workspace: updated 
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update workspace');
+  }
+};
+
+/**
+ * Archive a workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.archiveWorkspace = (req, res) => setArchived(req, res, true);
+
+/**
+ * Restore an archived workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.unarchiveWorkspace = (req, res) => setArchived(req, res, false);
+
+/**
+ * Delete a workspace; its schemas and sessions become unfiled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.id, req.user);
+    const result = await workspaceService.deleteWorkspace(workspace);
+    
+    return res.status(200).json({ 
+      message: 'Workspace deleted successfully', 
+      ...result 
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to delete workspace');
+  }
+};
+
+async function setArchived(req, res, archived) {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.id, req.user);
+    const updated = await workspaceService.setArchived(workspace, archived);
+    
+    return res.status(200).json({ 
+      message: archived ? 'Workspace archived' : 'Workspace restored', 
+      workspace: updated 
+    });
+  } catch (error) {
+    return handleError(res, error, archived ? 'Failed to archive workspace' : 'Failed to restore workspace');
+  }
+}
+
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  
+  logger.error(`${message}:`, error);
+  return res.status(500).json({ 
+    error: message, 
+    details: error.message 
+  });
+}
@@ -0,0 +1,58 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const { authorizeSchema } = require('../auth.middleware');
+
+const owner = { _id: '1' };
+const stranger = { _id: '9' };
+
+let user;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => { req.user = user; next(); });
+app.post('/body', authorizeSchema('viewer', req => req.body && req.body.schemaId), (req, res) => res.json({ role: req.schemaRole }));
+app.put('/schemas/:id', authorizeSchema('editor'), (req, res) => res.json({ role: req.schemaRole }));
+
+let schemaId;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+  user = owner;
+
+  const schema = await new Schema({ name: 'Shop', ownerId: owner._id }).save();
+  schemaId = schema._id;
+});
+
+describe('authorizeSchema', () => {
+  it.each([
+    ['missing', {}],
+    ['empty', { schemaId: '' }],
+    ['null', { schemaId: null }]
+  ])('answers 400 without reaching the route when the schema ID is %s', async (label, body) => {
+    const response = await request(app).post('/body').send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Schema ID is required');
+  });
+
+  it('passes the caller\'s role to the route', async () => {
+    const response = await request(app).post('/body').send({ schemaId });
+
+    expect(response.status).toBe(200);
+    expect(response.body.role).toBe('owner');
+  });
+
+  it('answers 404 for a user with no role on the schema', async () => {
+    user = stranger;
+
+    const response = await request(app).put(`/schemas/${schemaId}`);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Authentication and authorization middleware
+ * authenticate (and authenticateSocket for Socket.IO) identifies the caller from a JWT or API key;
+ * authorizeSchema, authorizeSession and authorizeSessionRead check the caller's access to the schema or session a route
+ * works on before the controller runs.
+ */
+
+const authService = require('../services/auth.service');
+const accessService = require('../services/access.service');
+const logger = require('../utils/logger');
+
+/**
+ * Require a signed-in user
+ * Accepts "Authorization: Bearer <jwt>", "Authorization: ApiKey <key>" or "X-API-Key: <key>"
+ * and sets req.user.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+exports.authenticate = async (req, res, next) => {
+  try {
+    req.user = await authService.authenticateCredentials({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key')
+    });
+    return next();
+  } catch (error) {
+    return sendError(res, error, 'Failed to authenticate request');
+  }
+};
+
+/**
+ * Socket.IO middleware: require a signed-in user for every connection
+ * Reads { token } or { apiKey } from the handshake auth payload, falling back to the Authorization
+ * and X-API-Key headers, and sets socket.data.user.
+ * @param {Object} socket - Socket being connected
+ * @param {Function} next - Call with an error to reject the connection
+ */
+exports.authenticateSocket = async (socket, next) => {
+  const auth = socket.handshake.auth || {};
+  const headers = socket.handshake.headers || {};
+
+  try {
+    socket.data.user = await authService.authenticateCredentials({
+      authorization: auth.token ? `Bearer ${auth.token}` : headers.authorization,
+      apiKey: auth.apiKey || headers['x-api-key']
+    });
+    return next();
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Failed to authenticate socket:', error);
+    }
+    const connectError = new Error(error.statusCode ? error.message : 'Failed to authenticate connection');
+    connectError.data = { code: error.statusCode === 401 ? 'UNAUTHORIZED' : 'AUTH_ERROR' };
+    return next(connectError);
+  }
+};
+
+/**
+ * Require a role on the schema a request refers to
+ * Sets req.schema and req.schemaRole. Requests without a schema ID are rejected with 400 before
+ * they reach the controller.
+ * @param {string} role - viewer, editor or owner
+ * @param {Function} getSchemaId - Reads the schema ID from the request (defaults to the :id parameter)
+ * @returns {Function} - Express middleware
+ */
+exports.authorizeSchema = (role, getSchemaId = req => req.params.id) => async (req, res, next) => {
+  const schemaId = getSchemaId(req);
+  if (schemaId === undefined || schemaId === null || schemaId === '') {
+    return res.status(400).json({ error: 'Schema ID is required' });
+  }
+
+  try {
+    const { schema, role: schemaRole } = await accessService.requireSchemaRole(schemaId, req.user, role);
+    req.schema = schema;
+    req.schemaRole = schemaRole;
+    return next();
+  } catch (error) {
+    return sendError(res, error, 'Failed to check schema access');
+  }
+};
+
+/**
+ * Require ownership of the session in the :id parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+exports.authorizeSession = async (req, res, next) => {
+  try {
+    await accessService.requireSessionOwner(req.params.id, req.user);
+    return next();
+  } catch (error) {
+    return sendError(res, error, 'Failed to check session access');
+  }
+};
+
+/**
+ * Require read access to the session in the :id parameter
+ * Like authorizeSession, but also lets anyone read sessions created before accounts existed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+exports.authorizeSessionRead = async (req, res, next) => {
+  try {
+    await accessService.requireSessionOwner(req.params.id, req.user, { readOnly: true });
+    return next();
+  } catch (error) {
+    return sendError(res, error, 'Failed to check session access');
+  }
+};
+
+function sendError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    error: fallbackMessage,
+    details: error.message
+  });
+}
+
+module.exports = exports;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../storage');
+const MemoryAdapter = require('../storage/memory.adapter');
+const FileAdapter = require('../storage/file.adapter');
+const Schema = require('../schema.model');
+const User = require('../user.model');
+
+const directories = [];
+
+function tempDirectory() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'laymandb-storage-'));
+  directories.push(directory);
+  return directory;
+}
+
+afterAll(() => {
+  directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+describe.each([
+  ['memory', () => new MemoryAdapter()],
+  ['file', () => new FileAdapter({ directory: tempDirectory() })]
+])('%s adapter', (driver, createAdapter) => {
+  beforeEach(() => {
+    setStorage(createAdapter());
+  });
+
+  it('saves a model and finds it by ID', async () => {
+    const schema = await new Schema({ name: 'Shop', tables: [{ name: 'orders', columns: [] }] }).save();
+
+    expect(schema._id).toBe('1');
+
+    const found = await Schema.findById(schema._id);
+    expect(found).toBeInstanceOf(Schema);
+    expect(found.name).toBe('Shop');
+    expect(found.tables).toEqual([{ name: 'orders', columns: [] }]);
+    expect(found.createdAt).toBeInstanceOf(Date);
+  });
+
+  it('returns copies that do not change the stored document', async () => {
+    const schema = await new Schema({ name: 'Shop' }).save();
+
+    const found = await Schema.findById(schema._id);
+    found.tables.push({ name: 'orders' });
+
+    expect((await Schema.findById(schema._id)).tables).toEqual([]);
+  });
+
+  it('numbers IDs per collection', async () => {
+    const first = await new Schema({ name: 'A' }).save();
+    const second = await new Schema({ name: 'B' }).save();
+    const user = await new User({ email: 'a@example.com' }).save();
+
+    expect([first._id, second._id, user._id]).toEqual(['1', '2', '1']);
+  });
+
+  it('lists, updates and deletes models', async () => {
+    const first = await new Schema({ name: 'A' }).save();
+    await new Schema({ name: 'B' }).save();
+
+    const updated = await Schema.findByIdAndUpdate(first._id, { _id: '99', name: 'A2' });
+    expect(updated._id).toBe(first._id);
+
+    expect((await Schema.findAll()).map(schema => schema.name).sort()).toEqual(['A2', 'B']);
+
+    expect(await Schema.findByIdAndDelete(first._id)).toBe(true);
+    expect(await Schema.findByIdAndDelete(first._id)).toBe(false);
+    expect(await Schema.findById(first._id)).toBeNull();
+  });
+
+  it('finds users by email', async () => {
+    await new User({ email: 'ada@example.com', name: 'Ada' }).save();
+
+    expect((await User.findByEmail(' ADA@example.com ')).name).toBe('Ada');
+    expect(await User.findByEmail('bob@example.com')).toBeNull();
+  });
+
+  it('keeps every document of concurrent first writes', async () => {
+    await Promise.all(['A', 'B', 'C', 'D'].map(name => new Schema({ name }).save()));
+
+    const schemas = await Schema.findAll();
+    expect(schemas.map(schema => schema.name).sort()).toEqual(['A', 'B', 'C', 'D']);
+    expect(schemas.map(schema => schema._id).sort()).toEqual(['1', '2', '3', '4']);
+  });
+});
+
+describe('file adapter restarts', () => {
+  it('keeps documents and ID counters', async () => {
+    const directory = tempDirectory();
+
+    setStorage(new FileAdapter({ directory }));
+    const first = await new Schema({ name: 'A' }).save();
+    const second = await new Schema({ name: 'B' }).save();
+    await Schema.findByIdAndDelete(second._id);
+
+    // A new adapter on the same directory starts with an empty cache, like a restarted server
+    setStorage(new FileAdapter({ directory }));
+
+    expect((await Schema.findById(first._id)).name).toBe('A');
+
+    const third = await new Schema({ name: 'C' }).save();
+    expect(third._id).toBe('3');
+  });
+
+  it('removes every collection on clear', async () => {
+    const directory = tempDirectory();
+    const adapter = new FileAdapter({ directory });
+
+    setStorage(adapter);
+    await new Schema({ name: 'A' }).save();
+    await adapter.clear();
+
+    setStorage(new FileAdapter({ directory }));
+    expect(await Schema.findAll()).toEqual([]);
+    expect((await new Schema({ name: 'B' }).save())._id).toBe('1');
+  });
+
+  it('does not let writes pending during clear restore data', async () => {
+    const directory = tempDirectory();
+    const adapter = new FileAdapter({ directory });
+
+    setStorage(adapter);
+    await new Schema({ name: 'A' }).save();
+
+    // Queue writes without waiting for them, then clear
+    const writes = ['B', 'C'].map(name => adapter.set('schemas', name, { _id: name, name }));
+    await adapter.clear();
+    await Promise.all(writes);
+
+    setStorage(new FileAdapter({ directory }));
+    expect(await Schema.findAll()).toEqual([]);
+  });
+});
@@ -1,12 +1,10 @@
-// In-memory storage for schemas
-const schemas = new Map();
-let nextId = 1;
+const { getStorage } = require('./storage');
 
-// Schema structure definitions
-// These are just plain objects now, not mongoose schemas
+// Storage collection for schemas
+const COLLECTION = 'schemas';
 
 /**
- * Schema model without MongoDB dependency
+ * Schema model backed by the configured storage adapter
  */
 class Schema {
   /**
@@ -14,22 +12,37 @@ class Schema {
    * @param {Object} data Schema data
    */
   constructor(data = {}) {
-    this._id = data._id || String(nextId++);
+    this._id = data._id || null;
     this.name = data.name || 'New Schema';
     this.description = data.description || '';
     this.tables = data.tables || [];
     this.relationships = data.relationships || [];
-    this.createdAt = data.createdAt || new Date();
-    this.updatedAt = data.updatedAt || new Date();
+    this.nodePositions = data.nodePositions || {};
+    this.version = data.version || 1;
+    // Owning user, and other users the schema is shared with as { userId, role, addedAt }
+    this.ownerId = data.ownerId || null;
+    this.collaborators = data.collaborators || [];
+    // Workspace the schema is filed under, and when it was archived (hidden from default listings)
+    this.workspaceId = data.workspaceId || null;
+    this.archivedAt = data.archivedAt ? new Date(data.archivedAt) : null;
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
   }
 
   /**
-   * Save the schema to memory
+   * Save the schema to storage
    * @returns {Promise<Schema>} The saved schema
    */
   async save() {
+    const storage = getStorage();
+
+    // IDs are assigned by the storage adapter so they survive restarts
+    if (!this._id) {
+      this._id = await storage.nextId(COLLECTION);
+    }
+
     this.updatedAt = new Date();
-    schemas.set(this._id, this);
+    await storage.set(COLLECTION, this._id, this.toObject());
     return this;
   }
 
@@ -39,7 +52,17 @@ class Schema {
    * @returns {Promise<Schema|null>} The schema or null if not found
    */
   static async findById(id) {
-    return schemas.get(id) || null;
+    const data = await getStorage().get(COLLECTION, String(id));
+    return data ? new Schema(data) : null;
+  }
+
+  /**
+   * Find all schemas
+   * @returns {Promise<Schema[]>} The schemas
+   */
+  static async findAll() {
+    const documents = await getStorage().list(COLLECTION);
+    return documents.map(doc => new Schema(doc));
   }
 
   /**
@@ -50,19 +73,28 @@ class Schema {
    * @returns {Promise<Schema|null>} The updated schema or null if not found
    */
   static async findByIdAndUpdate(id, updates, options = {}) {
-    const schema = schemas.get(id);
+    const schema = await Schema.findById(id);
     if (!schema) return null;
 
-    // Apply updates
-    Object.assign(schema, updates);
-    schema.updatedAt = new Date();
-    
+    // Apply updates (the ID is owned by storage and never overwritten)
+    const { _id, ...changes } = updates;
+    Object.assign(schema, changes);
+
     // Save updated schema
-    schemas.set(id, schema);
-    
+    await schema.save();
+
     return schema;
   }
 
+  /**
+   * Delete a schema
+   * @param {string} id Schema ID
+   * @returns {Promise<boolean>} True if the schema existed
+   */
+  static async findByIdAndDelete(id) {
+    return getStorage().delete(COLLECTION, String(id));
+  }
+
   /**
    * Convert to plain object
    * @returns {Object} Plain object representation
@@ -74,6 +106,12 @@ class Schema {
       description: this.description,
       tables: this.tables,
       relationships: this.relationships,
+      nodePositions: this.nodePositions,
+      version: this.version,
+      ownerId: this.ownerId,
+      collaborators: this.collaborators,
+      workspaceId: this.workspaceId,
+      archivedAt: this.archivedAt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
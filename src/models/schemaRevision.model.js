@@ -0,0 +1,99 @@
+const { getStorage } = require('./storage');
+
+// Storage collection for schema revisions
+const COLLECTION = 'schemaRevisions';
+
+/**
+ * Immutable snapshot of a schema at a given version
+ */
+class SchemaRevision {
+  /**
+   * Create a new revision
+   * @param {Object} data Revision data
+   */
+  constructor(data = {}) {
+    this.schemaId = String(data.schemaId);
+    this.version = Number(data.version);
+    this._id = `${this.schemaId}:${this.version}`;
+    this.name = data.name || 'New Schema';
+    this.description = data.description || '';
+    this.tables = data.tables || [];
+    this.relationships = data.relationships || [];
+    // Diagram positions keyed by table name; null for revisions recorded before layouts were kept
+    this.nodePositions = data.nodePositions || null;
+    this.message = data.message || '';
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+
+  /**
+   * Save the revision. Revisions are write-once: saving an existing version fails.
+   * @returns {Promise<SchemaRevision>} The saved revision
+   */
+  async save() {
+    const storage = getStorage();
+
+    if (await storage.get(COLLECTION, this._id)) {
+      throw new Error(`Revision ${this.version} of schema ${this.schemaId} already exists`);
+    }
+
+    await storage.set(COLLECTION, this._id, this.toObject());
+    return this;
+  }
+
+  /**
+   * Find a specific revision of a schema
+   * @param {string} schemaId Schema ID
+   * @param {number} version Version number
+   * @returns {Promise<SchemaRevision|null>} The revision or null if not found
+   */
+  static async findOne(schemaId, version) {
+    const data = await getStorage().get(COLLECTION, `${schemaId}:${Number(version)}`);
+    return data ? new SchemaRevision(data) : null;
+  }
+
+  /**
+   * Find all revisions of a schema, oldest first
+   * @param {string} schemaId Schema ID
+   * @returns {Promise<SchemaRevision[]>} The revisions
+   */
+  static async findBySchemaId(schemaId) {
+    const documents = await getStorage().list(COLLECTION);
+    return documents
+      .filter(doc => doc.schemaId === String(schemaId))
+      .map(doc => new SchemaRevision(doc))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Delete every revision of a schema
+   * @param {string} schemaId Schema ID
+   * @returns {Promise<number>} Number of revisions deleted
+   */
+  static async deleteBySchemaId(schemaId) {
+    const storage = getStorage();
+    const revisions = await SchemaRevision.findBySchemaId(schemaId);
+    await Promise.all(revisions.map(revision => storage.delete(COLLECTION, revision._id)));
+    return revisions.length;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      _id: this._id,
+      schemaId: this.schemaId,
+      version: this.version,
+      name: this.name,
+      description: this.description,
+      tables: this.tables,
+      relationships: this.relationships,
+      nodePositions: this.nodePositions,
+      message: this.message,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = SchemaRevision;
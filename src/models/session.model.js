@@ -1,9 +1,10 @@
-// In-memory storage for sessions
-const sessions = new Map();
-let nextId = 1;
+const { getStorage } = require('./storage');
+
+// Storage collection for sessions
+const COLLECTION = 'sessions';
 
 /**
- * Session model without MongoDB dependency
+ * Session model backed by the configured storage adapter
  */
 class Session {
   /**
@@ -11,23 +12,36 @@ class Session {
    * @param {Object} data Session data
    */
   constructor(data = {}) {
-    this._id = data._id || String(nextId++);
+    this._id = data._id || null;
     this.name = data.name || 'New Session';
     this.description = data.description || '';
     this.prompt = data.prompt || '';
     this.schemas = data.schemas || [];
     this.activeSchemaId = data.activeSchemaId || null;
-    this.createdAt = data.createdAt || new Date();
-    this.updatedAt = data.updatedAt || new Date();
+    this.ownerId = data.ownerId || null;
+    this.workspaceId = data.workspaceId || null;
+    this.archivedAt = data.archivedAt ? new Date(data.archivedAt) : null;
+    // Ordered record of prompts, prompt rewrites, generated schemas and queries (see sessionHistory.service)
+    this.history = data.history || [];
+    this.forkedFrom = data.forkedFrom || null;
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
   }
 
   /**
-   * Save the session to memory
+   * Save the session to storage
    * @returns {Promise<Session>} The saved session
    */
   async save() {
+    const storage = getStorage();
+
+    // IDs are assigned by the storage adapter so they survive restarts
+    if (!this._id) {
+      this._id = await storage.nextId(COLLECTION);
+    }
+
     this.updatedAt = new Date();
-    sessions.set(this._id, this);
+    await storage.set(COLLECTION, this._id, this.toObject());
     return this;
   }
 
@@ -37,7 +51,26 @@ class Session {
    * @returns {Promise<Session|null>} The session or null if not found
    */
   static async findById(id) {
-    return sessions.get(id) || null;
+    const data = await getStorage().get(COLLECTION, String(id));
+    return data ? new Session(data) : null;
+  }
+
+  /**
+   * Find all sessions
+   * @returns {Promise<Session[]>} The sessions
+   */
+  static async findAll() {
+    const documents = await getStorage().list(COLLECTION);
+    return documents.map(doc => new Session(doc));
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id Session ID
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  static async findByIdAndDelete(id) {
+    return getStorage().delete(COLLECTION, String(id));
   }
 
   /**
@@ -47,7 +80,7 @@ class Session {
    */
   async populate(path) {
     const Schema = require('./schema.model');
-    
+
     // Simple populate implementation
     if (path === 'schemas') {
       const populatedSchemas = [];
@@ -61,9 +94,31 @@ class Session {
         this.activeSchemaId = await Schema.findById(this.activeSchemaId);
       }
     }
-    
+
     return this;
   }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      _id: this._id,
+      name: this.name,
+      description: this.description,
+      prompt: this.prompt,
+      schemas: this.schemas,
+      activeSchemaId: this.activeSchemaId,
+      ownerId: this.ownerId,
+      workspaceId: this.workspaceId,
+      archivedAt: this.archivedAt,
+      history: this.history,
+      forkedFrom: this.forkedFrom,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
 }
 
 module.exports = Session;
@@ -0,0 +1,187 @@
+/**
+ * File storage adapter
+ * Persists each collection as a JSON file ({ nextId, documents }) inside a data directory.
+ * Files are loaded lazily, cached in memory and rewritten atomically on every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+class FileAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.directory - Directory holding the collection files
+   */
+  constructor({ directory }) {
+    this.directory = directory;
+    this.cache = new Map();
+    this.writeQueue = Promise.resolve();
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    logger.info(`File storage adapter using directory: ${this.directory}`);
+  }
+
+  /**
+   * Get the file path for a collection
+   * @param {string} collection - Collection name
+   * @returns {string} - Absolute file path
+   */
+  filePath(collection) {
+    return path.join(this.directory, `${collection.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  /**
+   * Load a collection from disk (or the cache)
+   * @param {string} collection - Collection name
+   * @returns {Promise<Object>} - Collection data ({ nextId, documents })
+   */
+  load(collection) {
+    // Cache the pending read so concurrent first calls share one copy of the collection
+    if (!this.cache.has(collection)) {
+      this.cache.set(collection, this.read(collection).catch(error => {
+        this.cache.delete(collection);
+        throw error;
+      }));
+    }
+    return this.cache.get(collection);
+  }
+
+  /**
+   * Read a collection file, or start an empty collection if there is none
+   * @param {string} collection - Collection name
+   * @returns {Promise<Object>} - Collection data ({ nextId, documents })
+   */
+  async read(collection) {
+    const file = this.filePath(collection);
+
+    try {
+      const content = await fs.promises.readFile(file, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read storage file ${file}:`, error);
+        throw new Error(`Failed to read ${collection} storage: ${error.message}`);
+      }
+      return { nextId: 1, documents: {} };
+    }
+  }
+
+  /**
+   * Write a collection to disk. Writes are queued so concurrent saves never interleave.
+   * @param {string} collection - Collection name
+   * @returns {Promise<void>}
+   */
+  persist(collection) {
+    const write = async () => {
+      const file = this.filePath(collection);
+      const tempFile = `${file}.tmp`;
+      // The collection was cleared after this write was queued
+      if (!this.cache.has(collection)) return;
+      const data = await this.cache.get(collection);
+
+      await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempFile, file);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} - Stored document or null
+   */
+  async get(collection, id) {
+    const data = await this.load(collection);
+    const document = data.documents[id];
+    return document ? clone(document) : null;
+  }
+
+  /**
+   * Insert or replace a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document to store
+   * @returns {Promise<Object>} - Stored document
+   */
+  async set(collection, id, document) {
+    const data = await this.load(collection);
+    data.documents[id] = clone(document);
+    await this.persist(collection);
+    return document;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - True if a document was removed
+   */
+  async delete(collection, id) {
+    const data = await this.load(collection);
+    if (!data.documents[id]) return false;
+
+    delete data.documents[id];
+    await this.persist(collection);
+    return true;
+  }
+
+  /**
+   * List all documents in a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array>} - Stored documents
+   */
+  async list(collection) {
+    const data = await this.load(collection);
+    return Object.values(data.documents).map(clone);
+  }
+
+  /**
+   * Generate the next sequential ID for a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<string>} - Next ID
+   */
+  async nextId(collection) {
+    const data = await this.load(collection);
+    const id = data.nextId || 1;
+    data.nextId = id + 1;
+    await this.persist(collection);
+    return String(id);
+  }
+
+  /**
+   * Remove all data in the directory managed by this adapter
+   * Queued like a write, so writes that are still pending can't bring the data back.
+   * @returns {Promise<void>}
+   */
+  clear() {
+    const clear = async () => {
+      this.cache.clear();
+
+      const files = await fs.promises.readdir(this.directory);
+      await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => fs.promises.rm(path.join(this.directory, file), { force: true })));
+    };
+
+    this.writeQueue = this.writeQueue.then(clear, clear);
+    return this.writeQueue;
+  }
+}
+
+/**
+ * Deep copy a document so callers never share references with the cache
+ * @param {Object} document - Document to copy
+ * @returns {Object} - Copied document
+ */
+function clone(document) {
+  return JSON.parse(JSON.stringify(document));
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,76 @@
+/**
+ * Storage adapter factory
+ * Selects the persistence backend for the models from the STORAGE_DRIVER environment variable.
+ *
+ * Every adapter implements the same async interface:
+ *   get(collection, id), set(collection, id, document), delete(collection, id),
+ *   list(collection), nextId(collection), clear()
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const logger = require('../../utils/logger');
+
+// Make sure environment variables are loaded before the driver is chosen
+dotenv.config();
+
+const SUPPORTED_DRIVERS = ['memory', 'file', 'redis'];
+
+let storage = null;
+
+/**
+ * Create a storage adapter for the given driver
+ * @param {string} driver - Storage driver (memory, file, redis)
+ * @returns {Object} - Storage adapter instance
+ */
+function createStorage(driver = 'memory') {
+  switch (driver.toLowerCase()) {
+    case 'file': {
+      const FileAdapter = require('./file.adapter');
+      return new FileAdapter({
+        directory: path.resolve(process.env.STORAGE_FILE_DIR || path.join(__dirname, '../../../data'))
+      });
+    }
+    case 'redis': {
+      const RedisAdapter = require('./redis.adapter');
+      return new RedisAdapter({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        prefix: process.env.REDIS_KEY_PREFIX || 'laymandb'
+      });
+    }
+    case 'memory': {
+      const MemoryAdapter = require('./memory.adapter');
+      return new MemoryAdapter();
+    }
+    default:
+      throw new Error(`Unsupported storage driver: ${driver}. Supported drivers: ${SUPPORTED_DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Get the shared storage adapter, creating it on first use
+ * @returns {Object} - Storage adapter instance
+ */
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'memory';
+    storage = createStorage(driver);
+    logger.info(`Using ${driver} storage driver`);
+  }
+  return storage;
+}
+
+/**
+ * Replace the shared storage adapter (e.g. with a fresh in-memory store in tests)
+ * @param {Object} adapter - Storage adapter instance
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  SUPPORTED_DRIVERS,
+  createStorage,
+  getStorage,
+  setStorage
+};
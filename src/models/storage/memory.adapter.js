@@ -0,0 +1,97 @@
+/**
+ * In-memory storage adapter
+ * Keeps every collection in a Map inside the process. Data is lost on restart,
+ * which makes this the default for development and tests.
+ */
+
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map();
+    this.counters = new Map();
+  }
+
+  /**
+   * Get (or lazily create) the Map backing a collection
+   * @param {string} collection - Collection name
+   * @returns {Map} - Collection map
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} - Stored document or null
+   */
+  async get(collection, id) {
+    const document = this.getCollection(collection).get(id);
+    return document ? clone(document) : null;
+  }
+
+  /**
+   * Insert or replace a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document to store
+   * @returns {Promise<Object>} - Stored document
+   */
+  async set(collection, id, document) {
+    this.getCollection(collection).set(id, clone(document));
+    return document;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - True if a document was removed
+   */
+  async delete(collection, id) {
+    return this.getCollection(collection).delete(id);
+  }
+
+  /**
+   * List all documents in a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array>} - Stored documents
+   */
+  async list(collection) {
+    return Array.from(this.getCollection(collection).values()).map(clone);
+  }
+
+  /**
+   * Generate the next sequential ID for a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<string>} - Next ID
+   */
+  async nextId(collection) {
+    const next = (this.counters.get(collection) || 0) + 1;
+    this.counters.set(collection, next);
+    return String(next);
+  }
+
+  /**
+   * Remove all data (used between tests)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.collections.clear();
+    this.counters.clear();
+  }
+}
+
+/**
+ * Deep copy a document so callers never share references with the store
+ * @param {Object} document - Document to copy
+ * @returns {Object} - Copied document
+ */
+function clone(document) {
+  return JSON.parse(JSON.stringify(document));
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,156 @@
+/**
+ * Redis storage adapter
+ * Stores each document as a JSON string under `<prefix>:<collection>:<id>`, keeps the
+ * IDs of a collection in a set and uses INCR for sequential IDs.
+ */
+
+const { createClient } = require('redis');
+const logger = require('../../utils/logger');
+
+class RedisAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.url - Redis connection URL
+   * @param {string} options.prefix - Key prefix for all LaymanDB data
+   */
+  constructor({ url, prefix }) {
+    this.url = url;
+    this.prefix = prefix;
+    this.client = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Connect lazily on first use so the server can boot before Redis is reachable
+   * @returns {Promise<Object>} - Connected Redis client
+   */
+  async getClient() {
+    if (this.client && this.client.isReady) {
+      return this.client;
+    }
+
+    if (!this.connecting) {
+      const client = createClient({ url: this.url });
+      client.on('error', (error) => {
+        logger.error('Redis storage error:', error);
+      });
+
+      this.connecting = client.connect()
+        .then(() => {
+          logger.info(`Redis storage adapter connected to ${this.url}`);
+          this.client = client;
+          return client;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * Build a Redis key
+   * @param {...string} parts - Key parts
+   * @returns {string} - Prefixed key
+   */
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  /**
+   * Get a document by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} - Stored document or null
+   */
+  async get(collection, id) {
+    const client = await this.getClient();
+    const value = await client.get(this.key(collection, id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Insert or replace a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @param {Object} document - Document to store
+   * @returns {Promise<Object>} - Stored document
+   */
+  async set(collection, id, document) {
+    const client = await this.getClient();
+    await client.multi()
+      .set(this.key(collection, id), JSON.stringify(document))
+      .sAdd(this.key(collection, 'ids'), id)
+      .exec();
+    return document;
+  }
+
+  /**
+   * Delete a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} - True if a document was removed
+   */
+  async delete(collection, id) {
+    const client = await this.getClient();
+    const [removed] = await client.multi()
+      .del(this.key(collection, id))
+      .sRem(this.key(collection, 'ids'), id)
+      .exec();
+    return removed > 0;
+  }
+
+  /**
+   * List all documents in a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array>} - Stored documents
+   */
+  async list(collection) {
+    const client = await this.getClient();
+    const ids = await client.sMembers(this.key(collection, 'ids'));
+    if (ids.length === 0) return [];
+
+    const values = await client.mGet(ids.map(id => this.key(collection, id)));
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  /**
+   * Generate the next sequential ID for a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<string>} - Next ID
+   */
+  async nextId(collection) {
+    const client = await this.getClient();
+    const id = await client.incr(this.key(collection, 'nextId'));
+    return String(id);
+  }
+
+  /**
+   * Remove all keys under the adapter prefix
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const client = await this.getClient();
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: this.key('*') })) {
+      keys.push(key);
+    }
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+  }
+
+  /**
+   * Close the Redis connection
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = RedisAdapter;
@@ -0,0 +1,100 @@
+const { getStorage } = require('./storage');
+
+// Storage collection for published templates
+const COLLECTION = 'templates';
+
+/**
+ * Schema template published by a team, backed by the configured storage adapter.
+ * Built-in templates are data files and are not stored here.
+ */
+class Template {
+  /**
+   * Create a new template
+   * @param {Object} data Template data
+   */
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.name = data.name || 'New Template';
+    this.description = data.description || '';
+    this.tags = data.tags || [];
+    this.modules = data.modules || [];
+    this.tables = data.tables || [];
+    this.relationships = data.relationships || [];
+    this.sourceSchemaId = data.sourceSchemaId || null;
+    this.sourceVersion = data.sourceVersion || null;
+    // User who published the template (null for templates published before ownership was recorded)
+    this.ownerId = data.ownerId || null;
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  /**
+   * Save the template to storage
+   * @returns {Promise<Template>} The saved template
+   */
+  async save() {
+    const storage = getStorage();
+
+    // IDs are assigned by the storage adapter so they survive restarts
+    if (!this._id) {
+      this._id = await storage.nextId(COLLECTION);
+    }
+
+    this.updatedAt = new Date();
+    await storage.set(COLLECTION, this._id, this.toObject());
+    return this;
+  }
+
+  /**
+   * Find a template by ID
+   * @param {string} id Template ID
+   * @returns {Promise<Template|null>} The template or null if not found
+   */
+  static async findById(id) {
+    const data = await getStorage().get(COLLECTION, String(id));
+    return data ? new Template(data) : null;
+  }
+
+  /**
+   * Find all published templates, newest first
+   * @returns {Promise<Template[]>} The templates
+   */
+  static async findAll() {
+    const documents = await getStorage().list(COLLECTION);
+    return documents
+      .map(doc => new Template(doc))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Delete a template
+   * @param {string} id Template ID
+   * @returns {Promise<boolean>} True if the template existed
+   */
+  static async findByIdAndDelete(id) {
+    return getStorage().delete(COLLECTION, String(id));
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      _id: this._id,
+      name: this.name,
+      description: this.description,
+      tags: this.tags,
+      modules: this.modules,
+      tables: this.tables,
+      relationships: this.relationships,
+      sourceSchemaId: this.sourceSchemaId,
+      sourceVersion: this.sourceVersion,
+      ownerId: this.ownerId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Template;
@@ -0,0 +1,129 @@
+const { getStorage } = require('./storage');
+
+// Storage collection for user accounts
+const COLLECTION = 'users';
+
+// When each API key was last used, kept apart so verifying a key never rewrites the account
+const API_KEY_USAGE_COLLECTION = 'apiKeyUsage';
+
+/**
+ * User account backed by the configured storage adapter.
+ * Passwords and API keys are stored as hashes only; use toPublic() for anything sent to a client.
+ */
+class User {
+  /**
+   * Create a new user
+   * @param {Object} data User data
+   */
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.email = data.email || '';
+    this.name = data.name || '';
+    this.passwordHash = data.passwordHash || null;
+    // API keys as { id, name, prefix, hash, createdAt }; last use is stored per key, see recordApiKeyUse
+    // (keys created before that may still carry a lastUsedAt of their own)
+    this.apiKeys = data.apiKeys || [];
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  /**
+   * Save the user to storage
+   * @returns {Promise<User>} The saved user
+   */
+  async save() {
+    const storage = getStorage();
+
+    // IDs are assigned by the storage adapter so they survive restarts
+    if (!this._id) {
+      this._id = await storage.nextId(COLLECTION);
+    }
+
+    this.updatedAt = new Date();
+    await storage.set(COLLECTION, this._id, this.toObject());
+    return this;
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} id User ID
+   * @returns {Promise<User|null>} The user or null if not found
+   */
+  static async findById(id) {
+    const data = await getStorage().get(COLLECTION, String(id));
+    return data ? new User(data) : null;
+  }
+
+  /**
+   * Find a user by email address (case-insensitive)
+   * @param {string} email Email address
+   * @returns {Promise<User|null>} The user or null if not found
+   */
+  static async findByEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    const documents = await getStorage().list(COLLECTION);
+    const data = documents.find(doc => doc.email === normalized);
+    return data ? new User(data) : null;
+  }
+
+  /**
+   * Record when an API key was last used
+   * Writes only the key's usage entry, so it can't overwrite keys created or revoked meanwhile.
+   * @param {string} keyId API key ID
+   * @param {string} usedAt ISO timestamp
+   * @returns {Promise<void>}
+   */
+  static async recordApiKeyUse(keyId, usedAt) {
+    await getStorage().set(API_KEY_USAGE_COLLECTION, String(keyId), { keyId, lastUsedAt: usedAt });
+  }
+
+  /**
+   * Find when an API key was last used
+   * @param {string} keyId API key ID
+   * @returns {Promise<string|null>} ISO timestamp or null if the key hasn't been used
+   */
+  static async findApiKeyUse(keyId) {
+    const usage = await getStorage().get(API_KEY_USAGE_COLLECTION, String(keyId));
+    return usage ? usage.lastUsedAt : null;
+  }
+
+  /**
+   * Forget when an API key was last used
+   * @param {string} keyId API key ID
+   * @returns {Promise<boolean>} True if the key had been used
+   */
+  static async deleteApiKeyUse(keyId) {
+    return getStorage().delete(API_KEY_USAGE_COLLECTION, String(keyId));
+  }
+
+  /**
+   * User details that are safe to return to clients
+   * @returns {Object} User without password or key hashes
+   */
+  toPublic() {
+    return {
+      _id: this._id,
+      email: this.email,
+      name: this.name,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      _id: this._id,
+      email: this.email,
+      name: this.name,
+      passwordHash: this.passwordHash,
+      apiKeys: this.apiKeys,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = User;
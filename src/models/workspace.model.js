@@ -0,0 +1,86 @@
+const { getStorage } = require('./storage');
+
+// Storage collection for workspaces
+const COLLECTION = 'workspaces';
+
+/**
+ * Workspace (project) that groups a user's schemas and sessions, backed by the configured storage adapter
+ */
+class Workspace {
+  /**
+   * Create a new workspace
+   * @param {Object} data Workspace data
+   */
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.name = data.name || 'New Workspace';
+    this.description = data.description || '';
+    this.ownerId = data.ownerId || null;
+    this.archivedAt = data.archivedAt ? new Date(data.archivedAt) : null;
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  /**
+   * Save the workspace to storage
+   * @returns {Promise<Workspace>} The saved workspace
+   */
+  async save() {
+    const storage = getStorage();
+
+    // IDs are assigned by the storage adapter so they survive restarts
+    if (!this._id) {
+      this._id = await storage.nextId(COLLECTION);
+    }
+
+    this.updatedAt = new Date();
+    await storage.set(COLLECTION, this._id, this.toObject());
+    return this;
+  }
+
+  /**
+   * Find a workspace by ID
+   * @param {string} id Workspace ID
+   * @returns {Promise<Workspace|null>} The workspace or null if not found
+   */
+  static async findById(id) {
+    const data = await getStorage().get(COLLECTION, String(id));
+    return data ? new Workspace(data) : null;
+  }
+
+  /**
+   * Find all workspaces
+   * @returns {Promise<Workspace[]>} The workspaces
+   */
+  static async findAll() {
+    const documents = await getStorage().list(COLLECTION);
+    return documents.map(doc => new Workspace(doc));
+  }
+
+  /**
+   * Delete a workspace
+   * @param {string} id Workspace ID
+   * @returns {Promise<boolean>} True if the workspace existed
+   */
+  static async findByIdAndDelete(id) {
+    return getStorage().delete(COLLECTION, String(id));
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      _id: this._id,
+      name: this.name,
+      description: this.description,
+      ownerId: this.ownerId,
+      archivedAt: this.archivedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Workspace;
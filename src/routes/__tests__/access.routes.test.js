@@ -0,0 +1,264 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const Session = require('../../models/session.model');
+const authService = require('../../services/auth.service');
+const { authenticateSocket } = require('../../middleware/auth.middleware');
+const routes = require('..');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Every route that works on the schema in :id, with the role it needs
+const SCHEMA_ROUTES = [
+  ['get', '/api/schema/:id', 'viewer'],
+  ['get', '/api/schema/:id/versions', 'viewer'],
+  ['get', '/api/schema/:id/versions/1', 'viewer'],
+  ['get', '/api/schema/:id/diff', 'viewer'],
+  ['post', '/api/schema/:id/validate', 'viewer'],
+  ['post', '/api/schema/:id/normalization', 'viewer'],
+  ['put', '/api/schema/:id', 'editor'],
+  ['post', '/api/schema/:id/refine', 'editor'],
+  ['post', '/api/schema/:id/tables/customers', 'editor'],
+  ['patch', '/api/schema/:id/tables/orders', 'editor'],
+  ['delete', '/api/schema/:id/tables/orders', 'editor'],
+  ['post', '/api/schema/:id/tables/orders/columns/total', 'editor'],
+  ['patch', '/api/schema/:id/tables/orders/columns/id', 'editor'],
+  ['delete', '/api/schema/:id/tables/orders/columns/id', 'editor'],
+  ['post', '/api/schema/:id/relationships/placed_by', 'editor'],
+  ['patch', '/api/schema/:id/relationships/placed_by', 'editor'],
+  ['delete', '/api/schema/:id/relationships/placed_by', 'editor'],
+  ['post', '/api/schema/:id/rollback', 'editor'],
+  ['post', '/api/schema/:id/normalization/apply', 'editor'],
+  ['delete', '/api/schema/:id', 'owner'],
+  ['post', '/api/schema/:id/archive', 'owner'],
+  ['post', '/api/schema/:id/unarchive', 'owner'],
+  ['put', '/api/schema/:id/workspace', 'owner'],
+  ['get', '/api/schema/:id/collaborators', 'owner'],
+  ['put', '/api/schema/:id/collaborators', 'owner'],
+  ['delete', '/api/schema/:id/collaborators/99', 'owner']
+];
+
+// Routes that read the schema named in the body
+const BODY_ROUTES = [
+  '/api/export/sql',
+  '/api/export/migration',
+  '/api/export/erd',
+  '/api/export/documentation',
+  '/api/export/mermaid',
+  '/api/export/orm',
+  '/api/export/graphql',
+  '/api/export/openapi',
+  '/api/export/typescript'
+];
+
+const SESSION_READ_ROUTES = [
+  ['get', '/api/session/:id'],
+  ['get', '/api/session/:id/history'],
+  ['post', '/api/session/:id/fork']
+];
+
+const SESSION_WRITE_ROUTES = [
+  ['post', '/api/session/:id/save'],
+  ['patch', '/api/session/:id'],
+  ['post', '/api/session/:id/replay'],
+  ['post', '/api/session/:id/archive'],
+  ['post', '/api/session/:id/unarchive'],
+  ['put', '/api/session/:id/workspace'],
+  ['delete', '/api/session/:id']
+];
+
+const users = {};
+const auth = {};
+let schemaId;
+
+/**
+ * Send a request as one of the test users
+ * @param {string} as - owner, editor, viewer or stranger
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with :id standing for the ID
+ * @param {string} id - Schema or session ID
+ * @returns {Object} - supertest request
+ */
+function call(as, method, path, id = schemaId) {
+  return request(app)[method](path.replace(':id', id)).set('Authorization', auth[as]).send({});
+}
+
+// Whether a response was refused by the access check rather than answered by the controller
+function refused(response) {
+  return response.status === 403 || response.body.error === 'Schema not found' || response.body.error === 'Session not found';
+}
+
+beforeAll(async () => {
+  setStorage(new MemoryAdapter());
+
+  for (const name of ['owner', 'editor', 'viewer', 'stranger']) {
+    const { user, token } = await authService.register({ email: `${name}@example.com`, password: 'correct horse' });
+    users[name] = user;
+    auth[name] = `Bearer ${token}`;
+  }
+});
+
+beforeEach(async () => {
+  const schema = await new Schema({
+    name: 'Shop',
+    ownerId: users.owner._id,
+    collaborators: [
+      { userId: users.editor._id, role: 'editor' },
+      { userId: users.viewer._id, role: 'viewer' }
+    ],
+    tables: [
+      { name: 'customer', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }] },
+      { name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }] }
+    ]
+  }).save();
+  schemaId = schema._id;
+});
+
+describe('schema routes', () => {
+  describe.each(SCHEMA_ROUTES)('%s %s', (method, path, required) => {
+    const below = ROLES.slice(0, ROLES.indexOf(required));
+
+    if (below.length > 0) {
+      it.each(below)(`refuses a %s with 403`, async (role) => {
+        const response = await call(role, method, path);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toMatch(`requires the ${required} role`);
+      });
+    }
+
+    it('answers 404 to a user the schema is not shared with', async () => {
+      const response = await call('stranger', method, path);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Schema not found');
+    });
+
+    it(`lets a ${required} through`, async () => {
+      expect(refused(await call(required, method, path))).toBe(false);
+    });
+  });
+
+  it('lets nobody change a schema without an owner', async () => {
+    const legacy = await new Schema({ name: 'Legacy' }).save();
+
+    expect((await call('stranger', 'get', '/api/schema/:id', legacy._id)).status).toBe(200);
+    expect((await call('stranger', 'put', '/api/schema/:id', legacy._id)).status).toBe(403);
+    expect((await call('stranger', 'delete', '/api/schema/:id', legacy._id)).status).toBe(403);
+  });
+});
+
+describe('export routes', () => {
+  it.each(BODY_ROUTES)('%s answers 404 to a user the schema is not shared with', async (path) => {
+    const response = await request(app).post(path).set('Authorization', auth.stranger).send({ schemaId });
+
+    expect(response.status).toBe(404);
+  });
+
+  it.each(BODY_ROUTES)('%s answers 400 without a schema ID', async (path) => {
+    const response = await request(app).post(path).set('Authorization', auth.viewer).send({});
+
+    expect(response.status).toBe(400);
+  });
+
+  it('lets a viewer export', async () => {
+    const response = await request(app).post('/api/export/sql').set('Authorization', auth.viewer).send({ schemaId });
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('session routes', () => {
+  let sessionId;
+  let legacyId;
+
+  beforeEach(async () => {
+    sessionId = (await new Session({ name: 'Mine', ownerId: users.owner._id }).save())._id;
+    legacyId = (await new Session({ name: 'Legacy' }).save())._id;
+  });
+
+  it.each([...SESSION_READ_ROUTES, ...SESSION_WRITE_ROUTES])('%s %s answers 404 to another user', async (method, path) => {
+    const response = await call('stranger', method, path, sessionId);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Session not found');
+  });
+
+  it.each(SESSION_READ_ROUTES)('%s %s lets anyone read a session without an owner', async (method, path) => {
+    expect(refused(await call('stranger', method, path, legacyId))).toBe(false);
+  });
+
+  it.each(SESSION_WRITE_ROUTES)('%s %s lets nobody change a session without an owner', async (method, path) => {
+    const response = await call('stranger', method, path, legacyId);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('needs access to the schema saved into a session', async () => {
+    const response = await request(app).post(`/api/session/${sessionId}/save`).set('Authorization', auth.owner).send({ schemaId: 'missing' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('API keys', () => {
+  async function createKey() {
+    const response = await request(app).post('/api/auth/api-keys').set('Authorization', auth.owner).send({ name: 'ci' });
+    return response.body;
+  }
+
+  it('authenticate requests until they are revoked', async () => {
+    const { key, apiKey } = await createKey();
+
+    expect((await request(app).get('/api/auth/me').set('X-API-Key', key)).status).toBe(200);
+
+    const revoked = await request(app).delete(`/api/auth/api-keys/${apiKey.id}`).set('Authorization', auth.owner);
+    expect(revoked.status).toBe(200);
+
+    for (const headers of [{ 'X-API-Key': key }, { Authorization: `ApiKey ${key}` }]) {
+      const response = await request(app).get(`/api/schema/${schemaId}`).set(headers);
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid API key');
+    }
+  });
+
+  it('are refused on socket connections once revoked', async () => {
+    const { key, apiKey } = await createKey();
+    await request(app).delete(`/api/auth/api-keys/${apiKey.id}`).set('Authorization', auth.owner);
+
+    const socket = { handshake: { auth: { apiKey: key }, headers: {} }, data: {} };
+    const next = jest.fn();
+    await authenticateSocket(socket, next);
+
+    expect(next.mock.calls[0][0].data).toEqual({ code: 'UNAUTHORIZED' });
+    expect(socket.data.user).toBeUndefined();
+  });
+
+  it('can only be revoked by their user', async () => {
+    const { apiKey } = await createKey();
+
+    const response = await request(app).delete(`/api/auth/api-keys/${apiKey.id}`).set('Authorization', auth.stranger);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('are required for every route but registration and login', async () => {
+    expect((await request(app).get(`/api/schema/${schemaId}`)).status).toBe(401);
+    expect((await request(app).get('/api/schema/templates')).status).toBe(401);
+  });
+});
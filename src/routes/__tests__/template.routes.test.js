@@ -0,0 +1,118 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const Template = require('../../models/template.model');
+const authService = require('../../services/auth.service');
+const routes = require('..');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+let tokens;
+let schemaId;
+
+/**
+ * Register a user and return the Authorization header for them
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} - { user, auth }
+ */
+async function signUp(email) {
+  const { user, token } = await authService.register({ email, password: 'correct horse' });
+  return { user, auth: `Bearer ${token}` };
+}
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+
+  const owner = await signUp('owner@example.com');
+  const editor = await signUp('editor@example.com');
+  const viewer = await signUp('viewer@example.com');
+  tokens = { owner: owner.auth, editor: editor.auth, viewer: viewer.auth };
+
+  const schema = await new Schema({
+    name: 'Shop',
+    ownerId: owner.user._id,
+    collaborators: [
+      { userId: editor.user._id, role: 'editor' },
+      { userId: viewer.user._id, role: 'viewer' }
+    ],
+    tables: [{ name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true }] }]
+  }).save();
+  schemaId = schema._id;
+});
+
+function publish(as, body = { schemaId }) {
+  return request(app).post('/api/schema/templates').set('Authorization', tokens[as]).send(body);
+}
+
+describe('POST /api/schema/templates', () => {
+  it('lets the owner publish and records them on the template', async () => {
+    const response = await publish('owner');
+
+    expect(response.status).toBe(201);
+    expect((await Template.findById(response.body.template.id)).ownerId).toBeTruthy();
+  });
+
+  it.each(['editor', 'viewer'])('refuses a schema %s with 403', async (role) => {
+    const response = await publish(role);
+
+    expect(response.status).toBe(403);
+    expect(await Template.findAll()).toEqual([]);
+  });
+
+  it('answers 400 without a schema ID', async () => {
+    expect((await publish('owner', {})).status).toBe(400);
+  });
+});
+
+describe('DELETE /api/schema/templates/:templateId', () => {
+  it('lets the publisher unpublish the template', async () => {
+    const { body } = await publish('owner');
+
+    const response = await request(app).delete(`/api/schema/templates/${body.template.id}`).set('Authorization', tokens.owner);
+
+    expect(response.status).toBe(200);
+    expect(await Template.findById(body.template.id)).toBeNull();
+  });
+
+  it('refuses other users with 403', async () => {
+    const { body } = await publish('owner');
+
+    const response = await request(app).delete(`/api/schema/templates/${body.template.id}`).set('Authorization', tokens.editor);
+
+    expect(response.status).toBe(403);
+    expect(await Template.findById(body.template.id)).not.toBeNull();
+  });
+
+  it('refuses templates published before owners were recorded', async () => {
+    const template = await new Template({ name: 'Legacy' }).save();
+
+    const response = await request(app).delete(`/api/schema/templates/${template._id}`).set('Authorization', tokens.owner);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('refuses built-in templates', async () => {
+    const response = await request(app).delete('/api/schema/templates/ecommerce').set('Authorization', tokens.owner);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('answers 404 for an unknown template', async () => {
+    const response = await request(app).delete('/api/schema/templates/999').set('Authorization', tokens.owner);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,201 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const Session = require('../../models/session.model');
+const authService = require('../../services/auth.service');
+const routes = require('..');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+let owner;
+let auth;
+let otherAuth;
+
+/**
+ * Send an authenticated request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @param {string} as - Authorization header
+ * @returns {Object} - supertest request
+ */
+function call(method, path, body = {}, as = auth) {
+  return request(app)[method](path).set('Authorization', as).send(body);
+}
+
+function names(list) {
+  return list.map(item => item.name);
+}
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+
+  let token;
+  ({ user: owner, token } = await authService.register({ email: 'owner@example.com', password: 'correct horse' }));
+  auth = `Bearer ${token}`;
+  ({ token } = await authService.register({ email: 'other@example.com', password: 'correct horse' }));
+  otherAuth = `Bearer ${token}`;
+});
+
+describe('workspaces', () => {
+  it('are created, listed with their counts and renamed', async () => {
+    const created = await call('post', '/api/workspace', { name: '  Client work ', description: 'Paid projects' });
+    const workspaceId = created.body.workspace._id;
+    await new Schema({ name: 'Shop', ownerId: owner._id, workspaceId }).save();
+    await new Session({ name: 'Kickoff', ownerId: owner._id, workspaceId }).save();
+
+    expect(created.status).toBe(201);
+    expect(created.body.workspace.name).toBe('Client work');
+
+    const listed = await call('get', '/api/workspace');
+    expect(listed.body.workspaces).toEqual([expect.objectContaining({ name: 'Client work', schemaCount: 1, sessionCount: 1 })]);
+
+    const renamed = await call('patch', `/api/workspace/${workspaceId}`, { name: 'Clients' });
+    expect(renamed.body.workspace.name).toBe('Clients');
+  });
+
+  it('answers 400 without a name', async () => {
+    const response = await call('post', '/api/workspace', { name: ' ' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Workspace name is required');
+  });
+
+  it('are private to their owner', async () => {
+    const { body } = await call('post', '/api/workspace', { name: 'Mine' });
+    const path = `/api/workspace/${body.workspace._id}`;
+
+    expect((await call('get', path, {}, otherAuth)).status).toBe(404);
+    expect((await call('delete', path, {}, otherAuth)).status).toBe(404);
+    expect((await call('get', '/api/workspace', {}, otherAuth)).body.workspaces).toEqual([]);
+  });
+
+  it('unfile their schemas and sessions when deleted', async () => {
+    const { body } = await call('post', '/api/workspace', { name: 'Old' });
+    const workspaceId = body.workspace._id;
+    const schema = await new Schema({ name: 'Shop', ownerId: owner._id, workspaceId }).save();
+    await new Session({ name: 'Kickoff', ownerId: owner._id, workspaceId }).save();
+
+    const response = await call('delete', `/api/workspace/${workspaceId}`);
+
+    expect(response.body).toMatchObject({ schemasUnfiled: 1, sessionsUnfiled: 1 });
+    expect((await Schema.findById(schema._id)).workspaceId).toBeNull();
+  });
+
+  it('refuse new contents while archived', async () => {
+    const { body } = await call('post', '/api/workspace', { name: 'Done' });
+    const workspaceId = body.workspace._id;
+    const schema = await new Schema({ name: 'Shop', ownerId: owner._id }).save();
+    await call('post', `/api/workspace/${workspaceId}/archive`);
+
+    const moved = await call('put', `/api/schema/${schema._id}/workspace`, { workspaceId });
+    expect(moved.status).toBe(409);
+    expect(moved.body.error).toBe('Workspace is archived; unarchive it before adding to it');
+
+    await call('post', `/api/workspace/${workspaceId}/unarchive`);
+    expect((await call('put', `/api/schema/${schema._id}/workspace`, { workspaceId })).status).toBe(200);
+  });
+
+  it('cannot receive schemas from another user\'s workspace', async () => {
+    const { body } = await call('post', '/api/workspace', { name: 'Theirs' }, otherAuth);
+    const schema = await new Schema({ name: 'Shop', ownerId: owner._id }).save();
+
+    const response = await call('put', `/api/schema/${schema._id}/workspace`, { workspaceId: body.workspace._id });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('GET /api/schema', () => {
+  let workspaceId;
+
+  beforeEach(async () => {
+    ({ body: { workspace: { _id: workspaceId } } } = await call('post', '/api/workspace', { name: 'Shop' }));
+
+    await new Schema({
+      name: 'Orders',
+      ownerId: owner._id,
+      workspaceId,
+      tables: [{ name: 'customers', columns: [id, { name: 'email', dataType: 'VARCHAR(255)' }] }]
+    }).save();
+    await new Schema({ name: 'Customer support', ownerId: owner._id, tables: [{ name: 'customer_notes', columns: [id] }] }).save();
+    await new Schema({ name: 'Archive', ownerId: owner._id, archivedAt: new Date() }).save();
+  });
+
+  it('searches names, tables and columns and ranks the best matches first', async () => {
+    const response = await call('get', '/api/schema?q=customer');
+
+    expect(names(response.body.schemas)).toEqual(['Customer support', 'Orders']);
+    expect(response.body.schemas.map(schema => schema.score)).toEqual([9, 5]);
+    expect(response.body.schemas[1].matches).toEqual([
+      { field: 'table', value: 'customers' },
+      { field: 'column', value: 'customers.id' },
+      { field: 'column', value: 'customers.email' }
+    ]);
+  });
+
+  it('needs every search term to match', async () => {
+    const response = await call('get', '/api/schema?q=customer%20email');
+
+    expect(names(response.body.schemas)).toEqual(['Orders']);
+  });
+
+  it('filters by workspace and archived state', async () => {
+    expect(names((await call('get', `/api/schema?workspaceId=${workspaceId}`)).body.schemas)).toEqual(['Orders']);
+    expect(names((await call('get', '/api/schema?workspaceId=none&sort=name')).body.schemas)).toEqual(['Customer support']);
+    expect(names((await call('get', '/api/schema?archived=true')).body.schemas)).toEqual(['Archive']);
+    expect((await call('get', '/api/schema?archived=all')).body.schemas).toHaveLength(3);
+  });
+
+  it('sorts and paginates', async () => {
+    const response = await call('get', '/api/schema?archived=all&sort=name&limit=2&page=2');
+
+    expect(names(response.body.schemas)).toEqual(['Orders']);
+    expect(response.body.pagination).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2 });
+    expect(response.body.schemas[0].score).toBeUndefined();
+  });
+
+  it('lists only the schemas the user can view', async () => {
+    expect((await call('get', '/api/schema', {}, otherAuth)).body.schemas).toEqual([]);
+  });
+
+  it.each([
+    ['page=0', 'page must be a positive integer'],
+    ['limit=101', 'limit must be an integer between 1 and 100'],
+    ['sort=size', 'sort must be one of: relevance, updatedAt, createdAt, name, tableCount'],
+    ['order=up', 'order must be one of: asc, desc'],
+    ['archived=maybe', 'archived must be one of: false, true, all']
+  ])('answers 400 for %s', async (query, error) => {
+    const response = await call('get', `/api/schema?${query}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(error);
+  });
+});
+
+describe('GET /api/session', () => {
+  it('searches the user\'s sessions by prompt', async () => {
+    await new Session({ name: 'Library', prompt: 'Members borrow books', ownerId: owner._id }).save();
+    await new Session({ name: 'Shop', prompt: 'Customers place orders', ownerId: owner._id }).save();
+
+    const response = await call('get', '/api/session?q=borrow');
+
+    expect(names(response.body.sessions)).toEqual(['Library']);
+    expect(response.body.sessions[0].matches).toEqual([{ field: 'prompt', value: 'Members borrow books' }]);
+  });
+});
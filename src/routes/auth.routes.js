@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+/**
+ * @route POST /api/auth/register
+ * @description Create an account and receive a JWT
+ * @access Public
+ */
+router.post('/register', authController.register);
+
+/**
+ * @route POST /api/auth/login
+ * @description Exchange an email and password for a JWT
+ * @access Public
+ */
+router.post('/login', authController.login);
+
+/**
+ * @route GET /api/auth/me
+ * @description Get the signed-in user
+ * @access Private
+ */
+router.get('/me', authenticate, authController.getCurrentUser);
+
+/**
+ * @route POST /api/auth/api-keys
+ * @description Create an API key; the key is only returned in this response
+ * @access Private
+ */
+router.post('/api-keys', authenticate, authController.createApiKey);
+
+/**
+ * @route GET /api/auth/api-keys
+ * @description List API keys (prefix and usage only)
+ * @access Private
+ */
+router.get('/api-keys', authenticate, authController.getApiKeys);
+
+/**
+ * @route DELETE /api/auth/api-keys/:keyId
+ * @description Revoke an API key
+ * @access Private
+ */
+router.delete('/api-keys/:keyId', authenticate, authController.revokeApiKey);
+
+module.exports = router;
@@ -1,33 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const exportController = require('../controllers/export.controller');
+const { authorizeSchema } = require('../middleware/auth.middleware');
+
+// Every export reads the schema named in the request body
+const canView = authorizeSchema('viewer', req => req.body && req.body.schemaId);
 
 /**
  * @route POST /api/export/sql
  * @description Generate SQL script from schema
- * @access Public
+ * @access Private (viewer)
+ */
+router.post('/sql', canView, exportController.generateSQL);
+
+/**
+ * @route POST /api/export/migration
+ * @description Generate up/down migration scripts between two schema versions
+ * @access Private (viewer)
  */
-router.post('/sql', exportController.generateSQL);
+router.post('/migration', canView, exportController.generateMigration);
 
 /**
  * @route POST /api/export/erd
- * @description Export ERD diagram as image
- * @access Public
+ * @description Render the ERD diagram as an SVG, PNG or PDF download
+ * @access Private (viewer)
  */
-router.post('/erd', exportController.exportERD);
+router.post('/erd', canView, exportController.exportERD);
 
 /**
  * @route POST /api/export/documentation
  * @description Generate schema documentation
- * @access Public
+ * @access Private (viewer)
  */
-router.post('/documentation', exportController.generateDocumentation);
+router.post('/documentation', canView, exportController.generateDocumentation);
 
 /**
  * @route POST /api/export/mermaid
  * @description Generate Mermaid ER diagram
- * @access Public
+ * @access Private (viewer)
+ */
+router.post('/mermaid', canView, exportController.generateMermaidERD);
+
+/**
+ * @route POST /api/export/orm
+ * @description Generate Prisma, Sequelize, TypeORM, SQLAlchemy or Django models from schema
+ * @access Private (viewer)
+ */
+router.post('/orm', canView, exportController.exportORM);
+
+/**
+ * @route POST /api/export/graphql
+ * @description Generate GraphQL SDL and an optional resolver skeleton from schema
+ * @access Private (viewer)
+ */
+router.post('/graphql', canView, exportController.exportGraphQL);
+
+/**
+ * @route POST /api/export/openapi
+ * @description Generate an OpenAPI 3.1 document and an optional Express CRUD router from schema
+ * @access Private (viewer)
+ */
+router.post('/openapi', canView, exportController.exportOpenAPI);
+
+/**
+ * @route POST /api/export/typescript
+ * @description Generate TypeScript row, insert and update types with matching Zod schemas from schema
+ * @access Private (viewer)
  */
-router.post('/mermaid', exportController.generateMermaidERD);
+router.post('/typescript', canView, exportController.exportTypeScript);
 
 module.exports = router;
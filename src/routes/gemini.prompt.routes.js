@@ -10,7 +10,7 @@ const router = express.Router();
 /**
  * @route POST /api/gemini/prompt/enhance
  * @desc Enhance a prompt using Gemini model
- * @access Public
+ * @access Private
  */
 router.post('/enhance', geminiPromptController.enhancePrompt);
 
@@ -10,7 +10,7 @@ const router = express.Router();
 /**
  * @route POST /api/gemini/generate
  * @desc Generate an ER diagram using Gemini model
- * @access Public
+ * @access Private
  */
 router.post('/generate', geminiController.generateERDiagram);
 
@@ -8,10 +8,20 @@ const geminiRoutes = require('./gemini.routes');
 const geminiPromptRoutes = require('./gemini.prompt.routes');
 const queryRoutes = require('./query.routes');
 const mermaidQueryRoutes = require('./mermaidQuery.routes');
+const workspaceRoutes = require('./workspace.routes');
+const authRoutes = require('./auth.routes');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Registration and login are the only routes that don't need credentials
+router.use('/auth', authRoutes);
+
+// Everything below requires a JWT or API key
+router.use(authenticate);
 
 // Mount route modules
 router.use('/schema', schemaRoutes);
 router.use('/session', sessionRoutes);
+router.use('/workspace', workspaceRoutes);
 router.use('/export', exportRoutes);
 router.use('/gemini', geminiRoutes);
 router.use('/gemini/prompt', geminiPromptRoutes);
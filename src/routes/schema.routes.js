@@ -1,47 +1,291 @@
 const express = require('express');
 const router = express.Router();
 const schemaController = require('../controllers/schema.controller');
+const { authorizeSchema } = require('../middleware/auth.middleware');
+
+// Role each route needs on the schema in :id (owner > editor > viewer)
+const canView = authorizeSchema('viewer');
+const canEdit = authorizeSchema('editor');
+const isOwner = authorizeSchema('owner');
+
+/**
+ * @route GET /api/schema
+ * @description List schemas you can view (?q=, ?workspaceId=, ?archived=, ?sort=, ?order=, ?page=, ?limit=)
+ * @access Private
+ */
+router.get('/', schemaController.listSchemas);
 
 /**
  * @route POST /api/schema/generate
- * @description Generate database schema from natural language input
- * @access Public
+ * @description Generate database schema from natural language input (with async: true, start a generation job)
+ * @access Private
  */
 router.post('/generate', schemaController.generateSchema);
 
+/**
+ * @route GET /api/schema/jobs/:jobId
+ * @description Get the status and recorded progress events of a generation job
+ * @access Private
+ */
+router.get('/jobs/:jobId', schemaController.getGenerationJob);
+
+/**
+ * @route GET /api/schema/jobs/:jobId/events
+ * @description Stream the progress of a generation job as Server-Sent Events
+ * @access Private
+ */
+router.get('/jobs/:jobId/events', schemaController.streamGenerationJob);
+
+/**
+ * @route POST /api/schema/jobs/:jobId/cancel
+ * @description Cancel a running generation job
+ * @access Private
+ */
+router.post('/jobs/:jobId/cancel', schemaController.cancelGenerationJob);
+
+/**
+ * @route POST /api/schema/import/sql
+ * @description Import a schema from existing SQL DDL (MySQL, PostgreSQL, SQLite, SQL Server)
+ * @access Private
+ */
+router.post('/import/sql', schemaController.importSQL);
+
+/**
+ * @route POST /api/schema/import/mermaid
+ * @description Import a schema from a Mermaid erDiagram (e.g. one generated by the Gemini playground)
+ * @access Private
+ */
+router.post('/import/mermaid', schemaController.importMermaid);
+
 /**
  * @route POST /api/schema/optimize-prompt
  * @description Optimize a user prompt to make it more effective for schema generation
- * @access Public
+ * @access Private
  */
 router.post('/optimize-prompt', schemaController.optimizePrompt);
 
 /**
  * @route POST /api/schema/enhance-prompt
  * @description Enhance a user prompt by adding more detail while preserving original intent
- * @access Public
+ * @access Private
  */
 router.post('/enhance-prompt', schemaController.enhancePrompt);
 
 /**
  * @route GET /api/schema/templates
- * @description Get available schema templates
- * @access Public
+ * @description Get available schema templates, optionally filtered by ?q= and ?tag=
+ * @access Private
  */
 router.get('/templates', schemaController.getTemplates);
 
+/**
+ * @route POST /api/schema/templates
+ * @description Publish a stored schema as a template (requires ownership of the schema)
+ * @access Private
+ */
+router.post('/templates', authorizeSchema('owner', req => req.body && req.body.schemaId), schemaController.publishTemplate);
+
+/**
+ * @route GET /api/schema/templates/:templateId
+ * @description Get a template with its tables and relationships
+ * @access Private
+ */
+router.get('/templates/:templateId', schemaController.getTemplate);
+
+/**
+ * @route DELETE /api/schema/templates/:templateId
+ * @description Unpublish a template (only the user who published it)
+ * @access Private
+ */
+router.delete('/templates/:templateId', schemaController.deleteTemplate);
+
+/**
+ * @route POST /api/schema/templates/:templateId/instantiate
+ * @description Create a new schema from a template
+ * @access Private
+ */
+router.post('/templates/:templateId/instantiate', schemaController.instantiateTemplate);
+
 /**
  * @route GET /api/schema/:id
  * @description Get a specific schema by ID
- * @access Public
+ * @access Private
+ */
+router.get('/:id', canView, schemaController.getSchemaById);
+
+/**
+ * @route DELETE /api/schema/:id
+ * @description Delete a schema and its revision history
+ * @access Private (owner)
+ */
+router.delete('/:id', isOwner, schemaController.deleteSchema);
+
+/**
+ * @route POST /api/schema/:id/archive
+ * @description Archive a schema (hidden from listings unless ?archived=true|all)
+ * @access Private (owner)
+ */
+router.post('/:id/archive', isOwner, schemaController.archiveSchema);
+
+/**
+ * @route POST /api/schema/:id/unarchive
+ * @description Restore an archived schema
+ * @access Private (owner)
+ */
+router.post('/:id/unarchive', isOwner, schemaController.unarchiveSchema);
+
+/**
+ * @route PUT /api/schema/:id/workspace
+ * @description Move a schema into one of your workspaces ({ workspaceId }, null to unfile it)
+ * @access Private (owner)
  */
-router.get('/:id', schemaController.getSchemaById);
+router.put('/:id/workspace', isOwner, schemaController.moveSchema);
 
 /**
  * @route PUT /api/schema/:id
  * @description Update an existing schema
- * @access Public
+ * @access Private
+ */
+router.put('/:id', canEdit, schemaController.updateSchema);
+
+/**
+ * @route POST /api/schema/:id/refine
+ * @description Apply a follow-up instruction to a stored schema as a new revision
+ * @access Private
+ */
+router.post('/:id/refine', canEdit, schemaController.refineSchema);
+
+/**
+ * @route POST /api/schema/:id/tables/:table
+ * @description Add a table
+ * @access Private
+ */
+router.post('/:id/tables/:table', canEdit, schemaController.addTable);
+
+/**
+ * @route PATCH /api/schema/:id/tables/:table
+ * @description Update a table (renames update every reference)
+ * @access Private
+ */
+router.patch('/:id/tables/:table', canEdit, schemaController.updateTable);
+
+/**
+ * @route DELETE /api/schema/:id/tables/:table
+ * @description Remove a table, its relationships and foreign keys pointing at it
+ * @access Private
+ */
+router.delete('/:id/tables/:table', canEdit, schemaController.removeTable);
+
+/**
+ * @route POST /api/schema/:id/tables/:table/columns/:column
+ * @description Add a column to a table
+ * @access Private
+ */
+router.post('/:id/tables/:table/columns/:column', canEdit, schemaController.addColumn);
+
+/**
+ * @route PATCH /api/schema/:id/tables/:table/columns/:column
+ * @description Update a column
+ * @access Private
+ */
+router.patch('/:id/tables/:table/columns/:column', canEdit, schemaController.updateColumn);
+
+/**
+ * @route DELETE /api/schema/:id/tables/:table/columns/:column
+ * @description Remove a column
+ * @access Private
+ */
+router.delete('/:id/tables/:table/columns/:column', canEdit, schemaController.removeColumn);
+
+/**
+ * @route POST /api/schema/:id/relationships/:name
+ * @description Add a relationship and its foreign key
+ * @access Private
+ */
+router.post('/:id/relationships/:name', canEdit, schemaController.addRelationship);
+
+/**
+ * @route PATCH /api/schema/:id/relationships/:name
+ * @description Update a relationship
+ * @access Private
+ */
+router.patch('/:id/relationships/:name', canEdit, schemaController.updateRelationship);
+
+/**
+ * @route DELETE /api/schema/:id/relationships/:name
+ * @description Remove a relationship and its foreign key
+ * @access Private
+ */
+router.delete('/:id/relationships/:name', canEdit, schemaController.removeRelationship);
+
+/**
+ * @route GET /api/schema/:id/versions
+ * @description List all revisions of a schema
+ * @access Private
+ */
+router.get('/:id/versions', canView, schemaController.getSchemaVersions);
+
+/**
+ * @route GET /api/schema/:id/versions/:version
+ * @description Get a specific revision of a schema
+ * @access Private
+ */
+router.get('/:id/versions/:version', canView, schemaController.getSchemaVersion);
+
+/**
+ * @route GET /api/schema/:id/diff
+ * @description Get a structural diff between two revisions (?from=&to=)
+ * @access Private
+ */
+router.get('/:id/diff', canView, schemaController.diffSchemaVersions);
+
+/**
+ * @route POST /api/schema/:id/rollback
+ * @description Roll a schema back to an earlier revision
+ * @access Private
+ */
+router.post('/:id/rollback', canEdit, schemaController.rollbackSchema);
+
+/**
+ * @route POST /api/schema/:id/validate
+ * @description Check a schema against design rules before export
+ * @access Private
+ */
+router.post('/:id/validate', canView, schemaController.validateSchema);
+
+/**
+ * @route POST /api/schema/:id/normalization
+ * @description Report normal form violations and propose a decomposition
+ * @access Private
+ */
+router.post('/:id/normalization', canView, schemaController.analyzeNormalization);
+
+/**
+ * @route POST /api/schema/:id/normalization/apply
+ * @description Apply the proposed decomposition as a new revision
+ * @access Private
+ */
+router.post('/:id/normalization/apply', canEdit, schemaController.applyNormalization);
+
+/**
+ * @route GET /api/schema/:id/collaborators
+ * @description List the owner and the users a schema is shared with
+ * @access Private (owner)
+ */
+router.get('/:id/collaborators', isOwner, schemaController.getCollaborators);
+
+/**
+ * @route PUT /api/schema/:id/collaborators
+ * @description Share a schema with a user ({ userId | email, role: editor | viewer }) or change their role
+ * @access Private (owner)
+ */
+router.put('/:id/collaborators', isOwner, schemaController.shareSchema);
+
+/**
+ * @route DELETE /api/schema/:id/collaborators/:userId
+ * @description Stop sharing a schema with a user
+ * @access Private (owner)
  */
-router.put('/:id', schemaController.updateSchema);
+router.delete('/:id/collaborators/:userId', isOwner, schemaController.removeCollaborator);
 
 module.exports = router;
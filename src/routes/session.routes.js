@@ -1,26 +1,90 @@
 const express = require('express');
 const router = express.Router();
 const sessionController = require('../controllers/session.controller');
+const { authorizeSchema, authorizeSession, authorizeSessionRead } = require('../middleware/auth.middleware');
+
+/**
+ * @route GET /api/session
+ * @description List your sessions (?q=, ?workspaceId=, ?archived=, ?sort=, ?order=, ?page=, ?limit=)
+ * @access Private
+ */
+router.get('/', sessionController.listSessions);
 
 /**
  * @route POST /api/session/create
  * @description Create a new design session
- * @access Public
+ * @access Private
  */
 router.post('/create', sessionController.createSession);
 
 /**
  * @route GET /api/session/:id
- * @description Get a specific session by ID
- * @access Public
+ * @description Get a specific session by ID (owner only)
+ * @access Private
  */
-router.get('/:id', sessionController.getSessionById);
+router.get('/:id', authorizeSessionRead, sessionController.getSessionById);
 
 /**
  * @route POST /api/session/:id/save
- * @description Save the current state of a session
- * @access Public
+ * @description Save the current state of a session (owner only; requires viewer access to the schema)
+ * @access Private
+ */
+router.post('/:id/save', authorizeSession, authorizeSchema('viewer', req => req.body && req.body.schemaId), sessionController.saveSession);
+
+/**
+ * @route PATCH /api/session/:id
+ * @description Rename a session or change its description
+ * @access Private (owner)
+ */
+router.patch('/:id', authorizeSession, sessionController.updateSession);
+
+/**
+ * @route GET /api/session/:id/history
+ * @description Get a session's history of prompts, prompt rewrites, schemas and queries (?type= to filter)
+ * @access Private (owner)
+ */
+router.get('/:id/history', authorizeSessionRead, sessionController.getSessionHistory);
+
+/**
+ * @route POST /api/session/:id/fork
+ * @description Copy a session, optionally only up to a history entry ({ name, upToEntryId })
+ * @access Private (owner)
+ */
+router.post('/:id/fork', authorizeSessionRead, sessionController.forkSession);
+
+/**
+ * @route POST /api/session/:id/replay
+ * @description Regenerate the session's schemas from the prompts in its history ({ mode, entryIds })
+ * @access Private (owner)
+ */
+router.post('/:id/replay', authorizeSession, sessionController.replaySession);
+
+/**
+ * @route POST /api/session/:id/archive
+ * @description Archive a session (hidden from listings unless ?archived=true|all)
+ * @access Private (owner)
+ */
+router.post('/:id/archive', authorizeSession, sessionController.archiveSession);
+
+/**
+ * @route POST /api/session/:id/unarchive
+ * @description Restore an archived session
+ * @access Private (owner)
+ */
+router.post('/:id/unarchive', authorizeSession, sessionController.unarchiveSession);
+
+/**
+ * @route PUT /api/session/:id/workspace
+ * @description Move a session into one of your workspaces ({ workspaceId }, null to unfile it)
+ * @access Private (owner)
+ */
+router.put('/:id/workspace', authorizeSession, sessionController.moveSession);
+
+/**
+ * @route DELETE /api/session/:id
+ * @description Delete a session (its schemas are kept)
+ * @access Private (owner)
  */
-router.post('/:id/save', sessionController.saveSession);
+router.delete('/:id', authorizeSession, sessionController.deleteSession);
 
 module.exports = router;
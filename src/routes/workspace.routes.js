@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspace.controller');
+
+/**
+ * @route GET /api/workspace
+ * @description List your workspaces (?q=, ?page=, ?limit=, ?sort=, ?order=, ?archived=)
+ * @access Private
+ */
+router.get('/', workspaceController.listWorkspaces);
+
+/**
+ * @route POST /api/workspace
+ * @description Create a workspace to group schemas and sessions
+ * @access Private
+ */
+router.post('/', workspaceController.createWorkspace);
+
+/**
+ * @route GET /api/workspace/:id
+ * @description Get a workspace with its schema and session counts
+ * @access Private (owner)
+ */
+router.get('/:id', workspaceController.getWorkspaceById);
+
+/**
+ * @route PATCH /api/workspace/:id
+ * @description Rename or re-describe a workspace
+ * @access Private (owner)
+ */
+router.patch('/:id', workspaceController.updateWorkspace);
+
+/**
+ * @route POST /api/workspace/:id/archive
+ * @description Archive a workspace (hidden from listings unless ?archived=true|all)
+ * @access Private (owner)
+ */
+router.post('/:id/archive', workspaceController.archiveWorkspace);
+
+/**
+ * @route POST /api/workspace/:id/unarchive
+ * @description Restore an archived workspace
+ * @access Private (owner)
+ */
+router.post('/:id/unarchive', workspaceController.unarchiveWorkspace);
+
+/**
+ * @route DELETE /api/workspace/:id
+ * @description Delete a workspace; its schemas and sessions are kept and become unfiled
+ * @access Private (owner)
+ */
+router.delete('/:id', workspaceController.deleteWorkspace);
+
+module.exports = router;
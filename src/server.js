@@ -5,6 +5,10 @@ const socketIo = require('socket.io');
 const dotenv = require('dotenv');
 const logger = require('./utils/logger');
 const apiRoutes = require('./routes');
+const llm = require('./services/llm');
+const generationJobService = require('./services/generationJob.service');
+const { registerCollaborationHandlers } = require('./sockets/collaboration.socket');
+const { authenticateSocket } = require('./middleware/auth.middleware');
 
 // Load environment variables
 dotenv.config();
@@ -50,17 +54,52 @@ app.use('/api', apiRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', uptime: process.uptime() });
+  res.status(200).json({ status: 'ok', uptime: process.uptime(), llm: llm.describeProviders() });
 });
 
+// Every socket connection must carry a JWT or API key (see authenticateSocket)
+io.use(authenticateSocket);
+
+// Push generation job progress to the clients following each job
+generationJobService.on('progress', (event) => {
+  io.to(`generation:${event.jobId}`).emit('generation-progress', event);
+});
+
+// Schema and session rooms: edit operations, presence and scoped schema-update relays
+registerCollaborationHandlers(io);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  logger.info(`New client connected: ${socket.id}`);
+  logger.info(`New client connected: ${socket.id} (user ${socket.data.user._id})`);
+
+  // Follow a generation job you started; the ack receives the job and the events emitted so far
+  socket.on('generation-subscribe', ({ jobId } = {}, ack) => {
+    const job = generationJobService.describeJob(jobId, socket.data.user);
+    if (!job) {
+      return typeof ack === 'function' && ack({ error: 'Generation job not found' });
+    }
+
+    socket.join(`generation:${jobId}`);
+    if (typeof ack === 'function') {
+      ack({ job, events: generationJobService.getEvents(jobId) });
+    }
+  });
+
+  socket.on('generation-unsubscribe', ({ jobId } = {}) => {
+    socket.leave(`generation:${jobId}`);
+  });
 
-  // Handle real-time schema updates
-  socket.on('schema-update', (data) => {
-    // Broadcast to all clients except the sender
-    socket.broadcast.emit('schema-updated', data);
+  socket.on('generation-cancel', ({ jobId } = {}, ack) => {
+    try {
+      const job = generationJobService.cancelJob(jobId, socket.data.user);
+      if (typeof ack === 'function') {
+        ack(job ? { job } : { error: 'Generation job not found' });
+      }
+    } catch (error) {
+      if (typeof ack === 'function') {
+        ack({ error: error.message });
+      }
+    }
   });
 
   socket.on('disconnect', () => {
@@ -0,0 +1,59 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const Session = require('../../models/session.model');
+const accessService = require('../access.service');
+
+const owner = { _id: '1' };
+const editor = { _id: '2' };
+const viewer = { _id: '3' };
+const stranger = { _id: '9' };
+
+beforeEach(() => {
+  setStorage(new MemoryAdapter());
+});
+
+describe('getSchemaRole', () => {
+  const schema = {
+    ownerId: '1',
+    collaborators: [{ userId: '2', role: 'editor' }, { userId: '3', role: 'viewer' }]
+  };
+
+  it('tells the owner, collaborators and strangers apart', () => {
+    expect(accessService.getSchemaRole(schema, owner)).toBe('owner');
+    expect(accessService.getSchemaRole(schema, editor)).toBe('editor');
+    expect(accessService.getSchemaRole(schema, viewer)).toBe('viewer');
+    expect(accessService.getSchemaRole(schema, stranger)).toBeNull();
+  });
+
+  it('makes schemas without an owner read-only', () => {
+    expect(accessService.getSchemaRole({ ownerId: null }, stranger)).toBe('viewer');
+  });
+});
+
+describe('requireSchemaRole', () => {
+  it('refuses to let anyone change a schema without an owner', async () => {
+    const schema = await new Schema({ name: 'Legacy' }).save();
+
+    await expect(accessService.requireSchemaRole(schema._id, stranger, 'viewer')).resolves.toMatchObject({ role: 'viewer' });
+    await expect(accessService.requireSchemaRole(schema._id, stranger, 'editor')).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('requireSessionOwner', () => {
+  it('answers 404 for another user\'s session', async () => {
+    const session = await new Session({ name: 'Mine', ownerId: owner._id }).save();
+
+    await expect(accessService.requireSessionOwner(session._id, stranger)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(accessService.requireSessionOwner(session._id, stranger, { readOnly: true })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('lets anyone read a session without an owner but nobody change it', async () => {
+    const session = await new Session({ name: 'Legacy' }).save();
+
+    await expect(accessService.requireSessionOwner(session._id, stranger, { readOnly: true })).resolves.toMatchObject({ name: 'Legacy' });
+    await expect(accessService.requireSessionOwner(session._id, stranger)).rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+  });
+});
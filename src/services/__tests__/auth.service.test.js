@@ -0,0 +1,67 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const User = require('../../models/user.model');
+const authService = require('../auth.service');
+
+let user;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+  ({ user } = await authService.register({ email: 'ada@example.com', password: 'correct horse' }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyApiKey', () => {
+  it('resolves the key\'s user without saving the account', async () => {
+    const { key } = await authService.createApiKey(user, 'ci');
+    const save = jest.spyOn(User.prototype, 'save');
+
+    const verified = await authService.verifyApiKey(key);
+
+    expect(String(verified._id)).toBe(String(user._id));
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('records when the key was last used', async () => {
+    const { key, apiKey } = await authService.createApiKey(user, 'ci');
+    expect(apiKey.lastUsedAt).toBeNull();
+
+    await authService.verifyApiKey(key);
+
+    const [listed] = await authService.listApiKeys(await User.findById(user._id));
+    expect(listed.lastUsedAt).toEqual(expect.any(String));
+  });
+
+  it('rejects a revoked key', async () => {
+    const { key, apiKey } = await authService.createApiKey(user, 'ci');
+    await authService.verifyApiKey(key);
+
+    await authService.revokeApiKey(user, apiKey.id);
+
+    await expect(authService.verifyApiKey(key)).rejects.toMatchObject({ statusCode: 401 });
+    expect(await User.findApiKeyUse(apiKey.id)).toBeNull();
+  });
+
+  it('does not let a stale copy of the account bring a revoked key back', async () => {
+    const stale = await User.findById(user._id);
+    const { key, apiKey } = await authService.createApiKey(user, 'ci');
+
+    await authService.revokeApiKey(user, apiKey.id);
+    await authService.createApiKey(stale, 'deploy');
+
+    await expect(authService.verifyApiKey(key)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it.each([
+    ['an unknown user', 'ldb_999_secret'],
+    ['a malformed key', 'not-a-key'],
+    ['no key', undefined]
+  ])('rejects %s', async (label, key) => {
+    await expect(authService.verifyApiKey(key)).rejects.toMatchObject({ statusCode: 401, message: 'Invalid API key' });
+  });
+});
@@ -0,0 +1,90 @@
+const erdLayoutService = require('../erdLayout.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+const schema = {
+  name: 'Shop',
+  tables: [
+    { name: 'customer', position: { x: -100, y: 50 }, columns: [id] },
+    { name: 'orders', position: { x: 200, y: 50 }, columns: [id, { name: 'customer_id', dataType: 'INTEGER', isForeignKey: true }] },
+    { name: 'note', isWeakEntity: true, columns: [{ name: 'text', dataType: 'TEXT' }] }
+  ],
+  relationships: [
+    { name: 'places', sourceTable: 'customer', targetTable: 'orders', type: 'ONE_TO_MANY' },
+    { name: 'refers', sourceTable: 'customer', targetTable: 'ghost', type: 'ONE_TO_MANY' }
+  ]
+};
+
+function box(layout, name) {
+  return layout.tables.find(table => table.name === name);
+}
+
+describe('layoutSchema', () => {
+  it('keeps stored positions, shifted to start at the margin', () => {
+    const layout = erdLayoutService.layoutSchema(schema);
+
+    expect(box(layout, 'customer')).toMatchObject({ x: 30, y: 30 });
+    expect(box(layout, 'orders')).toMatchObject({ x: 330, y: 30 });
+  });
+
+  it('puts tables without a position below the others', () => {
+    const layout = erdLayoutService.layoutSchema(schema);
+    const orders = box(layout, 'orders');
+
+    expect(box(layout, 'note')).toMatchObject({ x: 30, y: orders.y + orders.height + 70, kind: 'weak' });
+    expect(layout.height).toBe(box(layout, 'note').y + box(layout, 'note').height + 30);
+  });
+
+  it('lays every table out in a grid when positions are turned off', () => {
+    const layout = erdLayoutService.layoutSchema(schema, { usePositions: false });
+
+    expect(layout.tables.map(table => [table.x, table.y])).toEqual([[30, 30], [260, 30], [30, 160]]);
+  });
+
+  it('sizes a box to its columns', () => {
+    const layout = erdLayoutService.layoutSchema(schema);
+
+    // Header, one row per column and half the padding below the last row
+    expect(box(layout, 'orders').height).toBe(24 + 2 * 16 + 4);
+    expect(box(layout, 'note').height).toBe(24 + 16 + 4);
+    expect(box(layout, 'orders').columns.map(column => column.marker)).toEqual(['PK', 'FK']);
+  });
+
+  it('skips relationships to tables that do not exist', () => {
+    const layout = erdLayoutService.layoutSchema(schema);
+
+    expect(layout.relationships.map(relationship => relationship.name)).toEqual(['places']);
+    expect(layout.relationships[0]).toMatchObject({
+      sourceCardinality: '1',
+      targetCardinality: 'N',
+      sourceMarker: { max: 'one', min: 'one' },
+      targetMarker: { max: 'many', min: 'zero' }
+    });
+  });
+});
+
+describe('getCardinality', () => {
+  it.each([
+    [{ type: 'ONE_TO_MANY' }, '1', 'N'],
+    [{ type: 'many_to_one' }, 'N', '1'],
+    [{ type: 'MANY_TO_MANY' }, 'M', 'N'],
+    [{ type: 'ONE_TO_ONE' }, '1', '1'],
+    [{ type: 'ONE_TO_MANY', cardinality: { source: 'many', target: 'one' } }, 'N', '1'],
+    [{ type: 'ONE_TO_MANY', sourceCardinality: '0..1', targetCardinality: '1..*' }, '0..1', '1..*']
+  ])('reads %j as %s to %s', (relationship, source, target) => {
+    expect(erdLayoutService.getCardinality(relationship, 'source')).toBe(source);
+    expect(erdLayoutService.getCardinality(relationship, 'target')).toBe(target);
+  });
+});
+
+describe('getCrowsFoot', () => {
+  it.each([
+    ['1', 'one', 'one'],
+    ['N', 'many', 'zero'],
+    ['0..1', 'one', 'zero'],
+    ['1..*', 'many', 'one'],
+    ['0..*', 'many', 'zero']
+  ])('draws %s as max %s, min %s', (cardinality, max, min) => {
+    expect(erdLayoutService.getCrowsFoot(cardinality)).toEqual({ max, min });
+  });
+});
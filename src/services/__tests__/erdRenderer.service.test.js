@@ -0,0 +1,78 @@
+const erdRendererService = require('../erdRenderer.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+const schema = {
+  name: 'Shop & Co',
+  tables: [
+    { name: 'customer', position: { x: 0, y: 0 }, columns: [id] },
+    { name: 'orders', position: { x: 300, y: 0 }, columns: [id, { name: 'customer_id', dataType: 'INTEGER', isForeignKey: true }] },
+    { name: 'order_note', isWeakEntity: true, columns: [{ name: 'text', dataType: 'TEXT' }] }
+  ],
+  relationships: [
+    { name: 'places', sourceTable: 'customer', targetTable: 'orders', type: 'ONE_TO_MANY' },
+    { name: 'annotates', sourceTable: 'orders', targetTable: 'order_note', type: 'ONE_TO_MANY', isIdentifying: true }
+  ]
+};
+
+// Width and height from the IHDR chunk of a PNG
+function pngSize(png) {
+  return [png.readUInt32BE(16), png.readUInt32BE(20)];
+}
+
+function svgSize(svg) {
+  const [, width, height] = svg.match(/<svg [^>]*width="(\d+)" height="(\d+)"/);
+  return [Number(width), Number(height)];
+}
+
+describe('renderSvg', () => {
+  const svg = erdRendererService.renderSvg(schema);
+
+  it('draws one group per table and relationship', () => {
+    expect(svg.match(/data-table="[^"]*"/g)).toEqual(['data-table="customer"', 'data-table="orders"', 'data-table="order_note"']);
+    expect(svg).toContain('<g class="relationship" data-source="customer" data-target="orders">');
+  });
+
+  it('escapes the schema name', () => {
+    expect(svg).toContain('<title>Shop &amp; Co</title>');
+  });
+
+  it('marks keys, weak entities and identifying relationships', () => {
+    expect(svg).toMatch(/font-weight="bold" text-decoration="underline">id<\/text>/);
+    expect(svg).toMatch(/>FK<\/text>/);
+    // A weak entity's second border
+    expect(svg.match(/<rect [^>]*fill="none"/g)).toHaveLength(1);
+    expect(svg).toMatch(/<polyline [^>]*stroke-width="2"\/>/);
+  });
+
+  it('says so when the schema has no tables', () => {
+    const empty = erdRendererService.renderSvg({ name: 'Empty', tables: [], relationships: [] });
+
+    expect(svgSize(empty)).toEqual([240, 60]);
+    expect(empty).toContain('This schema has no tables.');
+  });
+});
+
+describe('renderPng', () => {
+  it('rasterizes the SVG at the requested scale', () => {
+    const [width, height] = svgSize(erdRendererService.renderSvg(schema));
+
+    const png = erdRendererService.renderPng(schema, { scale: 1 });
+
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect(pngSize(png)).toEqual([width, height]);
+    expect(pngSize(erdRendererService.renderPng(schema))).toEqual([width * 2, height * 2]);
+  });
+
+  it.each([0.25, 5, 'large'])('answers 400 for scale %s', (scale) => {
+    expect(() => erdRendererService.renderPng(schema, { scale })).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'scale must be a number from 0.5 to 4' })
+    );
+  });
+
+  it('answers 413 when the image would be too large', () => {
+    const wide = { name: 'Wide', tables: [{ name: 'far', position: { x: 0, y: 0 }, columns: [id] }, { name: 'away', position: { x: 20000, y: 20000 }, columns: [id] }] };
+
+    expect(() => erdRendererService.renderPng(wide, { scale: 1 })).toThrow(expect.objectContaining({ statusCode: 413 }));
+  });
+});
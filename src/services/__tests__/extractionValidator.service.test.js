@@ -0,0 +1,145 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const fs = require('fs');
+const llm = require('../llm');
+const extractionValidator = require('../extractionValidator.service');
+const nlpService = require('../nlp.service');
+
+const VALID = {
+  entities: [
+    { name: 'Customer', attributes: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true }] },
+    { name: 'Order', attributes: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true }] }
+  ],
+  relationships: [{ name: 'places', sourceEntity: 'Customer', targetEntity: 'Order', type: 'ONE_TO_MANY', sourceCardinality: '1..1' }]
+};
+
+/**
+ * Copy of the valid payload with one relationship field replaced
+ * @param {Object} changes - Fields to set on the relationship
+ * @returns {Object} - Extraction payload
+ */
+function withRelationship(changes) {
+  return { ...VALID, relationships: [{ ...VALID.relationships[0], ...changes }] };
+}
+
+describe('parseResponse', () => {
+  it('strips code fences and text around the object', () => {
+    const { payload, errors } = extractionValidator.parseResponse('Here you go:\n```json\n{"entities": []}\n```');
+
+    expect(errors).toEqual([]);
+    expect(payload).toEqual({ entities: [] });
+  });
+
+  it('reports text that is not JSON', () => {
+    const { payload, errors } = extractionValidator.parseResponse('{ entities: [] }');
+
+    expect(payload).toBeNull();
+    expect(errors).toEqual([{ path: '$', message: expect.stringMatching(/^is not valid JSON/) }]);
+  });
+});
+
+describe('validateExtraction', () => {
+  it('accepts a payload that matches the schema', () => {
+    expect(extractionValidator.validateExtraction(VALID)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports problems with JSONPath paths', () => {
+    const { valid, errors } = extractionValidator.validateExtraction({
+      entities: [{ name: '1Customer', attributes: [{ name: 'id' }] }],
+      relationships: []
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: '$.entities[0].name', message: expect.stringMatching(/must match pattern .*\(got "1Customer"\)$/) },
+      { path: '$.entities[0].attributes[0]', message: 'must have required property \'dataType\'' }
+    ]));
+  });
+
+  it('lists the allowed values of an enum', () => {
+    const { errors } = extractionValidator.validateExtraction(withRelationship({ type: 'ONE_TO_FEW' }));
+
+    expect(errors).toEqual([{
+      path: '$.relationships[0].type',
+      message: 'must be one of "ONE_TO_ONE", "ONE_TO_MANY", "MANY_TO_ONE", "MANY_TO_MANY"'
+    }]);
+  });
+
+  it('reports relationships to entities that were not extracted', () => {
+    const { errors } = extractionValidator.validateExtraction(withRelationship({ targetEntity: 'Invoice' }));
+
+    expect(errors).toEqual([{ path: '$.relationships[0].targetEntity', message: 'references unknown entity "Invoice"' }]);
+  });
+
+  it('requires at least one entity', () => {
+    const { errors } = extractionValidator.validateExtraction({ entities: [], relationships: [] });
+
+    expect(errors.map(error => error.path)).toEqual(['$.entities']);
+  });
+});
+
+describe('formatErrors', () => {
+  it('renders one line per error', () => {
+    expect(extractionValidator.formatErrors([
+      { path: '$.entities', message: 'must NOT have fewer than 1 items' },
+      { path: '$', message: 'is not valid JSON' }
+    ])).toBe('- $.entities: must NOT have fewer than 1 items\n- $: is not valid JSON');
+  });
+});
+
+describe('AI extraction', () => {
+  let requests;
+
+  /**
+   * Use a provider that answers extraction requests with the given texts in turn
+   * @param {Array<string>} answers - Response texts
+   */
+  function answerWith(answers) {
+    requests = [];
+    llm.setProvider('extraction', {
+      name: 'test',
+      isConfigured: () => true,
+      complete: async (request) => {
+        requests.push(request);
+        return { text: answers[Math.min(requests.length - 1, answers.length - 1)], model: 'test' };
+      }
+    });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(fs, 'appendFileSync').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    llm.setProvider('extraction', null);
+    jest.restoreAllMocks();
+  });
+
+  it('asks the model to repair an invalid response', async () => {
+    answerWith([JSON.stringify(withRelationship({ targetEntity: 'Invoice' })), JSON.stringify(VALID)]);
+    const onProgress = jest.fn();
+
+    const result = await nlpService.extractEntities('Customers place orders', { mode: 'ai', onProgress });
+
+    expect(result.extractionMethod).toBe('ai');
+    expect(requests).toHaveLength(2);
+    expect(requests[1].prompt).toMatch('- $.relationships[0].targetEntity: references unknown entity "Invoice"');
+    expect(onProgress).toHaveBeenCalledWith('repair-requested', { attempt: 1, errors: expect.any(Array) });
+  });
+
+  it('answers 502 when the response never matches the schema', async () => {
+    answerWith(['not json']);
+
+    await expect(nlpService.extractEntities('Customers place orders', { mode: 'ai' })).rejects.toMatchObject({
+      statusCode: 502,
+      validationErrors: [expect.objectContaining({ path: '$' })]
+    });
+    expect(requests).toHaveLength(3);
+  });
+});
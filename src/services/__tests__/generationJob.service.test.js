@@ -0,0 +1,90 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const schemaVersionService = require('../schemaVersion.service');
+const generationJobService = require('../generationJob.service');
+
+const input = { prompt: 'A library where members borrow books', name: 'Library', mode: 'heuristic', ownerId: '1' };
+
+beforeEach(() => {
+  setStorage(new MemoryAdapter());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Start a job and wait until its run has ended
+ * @param {Function} onStart - Called with the job ID before the job runs
+ * @returns {Promise<Object>} - { job, stages } with the stage of every recorded event
+ */
+async function runJob(onStart = () => {}) {
+  const run = jest.spyOn(generationJobService, 'run');
+  const job = generationJobService.createJob(input);
+  onStart(job.id);
+
+  await new Promise(resolve => setImmediate(resolve));
+  await run.mock.results[0].value;
+
+  return {
+    job: generationJobService.describeJob(job.id),
+    stages: generationJobService.getEvents(job.id).map(event => event.stage)
+  };
+}
+
+describe('generation jobs', () => {
+  it('save the generated schema', async () => {
+    const { job, stages } = await runJob();
+
+    expect(job.status).toBe('completed');
+    expect(stages.slice(-2)).toEqual(['saved', 'completed']);
+    expect((await Schema.findById(job.schemaId)).name).toBe('Library');
+  });
+
+  it('delete a schema saved while the job was cancelled', async () => {
+    let jobId;
+    const save = Schema.prototype.save;
+    jest.spyOn(Schema.prototype, 'save').mockImplementation(async function () {
+      const saved = await save.call(this);
+      generationJobService.cancelJob(jobId);
+      return saved;
+    });
+
+    const { job, stages } = await runJob(id => { jobId = id; });
+
+    expect(job.status).toBe('cancelled');
+    expect(job.schemaId).toBeNull();
+    expect(stages[stages.length - 1]).toBe('cancelled');
+    expect(stages).not.toContain('saved');
+    expect(stages).not.toContain('completed');
+    expect(await Schema.findAll()).toEqual([]);
+  });
+
+  it('delete the schema and its history when cancelled while recording the revision', async () => {
+    let jobId;
+    let schemaId;
+    const recordRevision = schemaVersionService.recordRevision;
+    jest.spyOn(schemaVersionService, 'recordRevision').mockImplementation(async (schema, message) => {
+      schemaId = schema._id;
+      const revision = await recordRevision(schema, message);
+      generationJobService.cancelJob(jobId);
+      return revision;
+    });
+
+    const { job, stages } = await runJob(id => { jobId = id; });
+
+    expect(job.status).toBe('cancelled');
+    expect(stages).not.toContain('completed');
+    expect(await Schema.findById(schemaId)).toBeNull();
+    expect(await schemaVersionService.listRevisions(schemaId)).toEqual([]);
+  });
+});
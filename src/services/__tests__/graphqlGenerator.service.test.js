@@ -0,0 +1,158 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const graphqlGeneratorService = require('../graphqlGenerator.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+const schema = {
+  name: 'Shop',
+  tables: [
+    { name: 'customer', columns: [id, { name: 'email', dataType: 'VARCHAR(255)', isNullable: false, isUnique: true }, { name: 'created_at', dataType: 'TIMESTAMP' }] },
+    {
+      name: 'orders',
+      columns: [
+        id,
+        { name: 'customer_id', dataType: 'INTEGER', isForeignKey: true, isNullable: false, references: { table: 'customer', column: 'id' } },
+        { name: 'status', dataType: "ENUM('new','paid')" }
+      ]
+    },
+    { name: 'product', columns: [id, { name: 'name', dataType: 'VARCHAR(100)' }] },
+    { name: 'query', columns: [id, { name: 'text', dataType: 'TEXT' }] }
+  ],
+  relationships: [
+    { name: 'places', sourceTable: 'customer', targetTable: 'orders', sourceColumn: 'id', targetColumn: 'customer_id', type: 'ONE_TO_MANY' },
+    { name: 'contains', sourceTable: 'orders', targetTable: 'product', type: 'MANY_TO_MANY' }
+  ]
+};
+
+/**
+ * Body of a type, input or enum definition in the SDL
+ * @param {string} sdl - GraphQL SDL
+ * @param {string} definition - e.g. "type Order" or "input CreateOrderInput"
+ * @returns {Array<string>} - Trimmed lines between the braces
+ */
+function block(sdl, definition) {
+  const match = sdl.match(new RegExp(`^${definition} \\{\\n([\\s\\S]*?)\\n\\}`, 'm'));
+  return match ? match[1].split('\n').map(line => line.trim()) : null;
+}
+
+/**
+ * Load a generated resolver module
+ * @param {string} code - Generated resolvers
+ * @returns {Object} - The module's exports
+ */
+function loadResolvers(code) {
+  const graphql = {
+    GraphQLScalarType: class { constructor(config) { Object.assign(this, config); } },
+    Kind: { STRING: 'StringValue', INT: 'IntValue', FLOAT: 'FloatValue' }
+  };
+  const module = { exports: {} };
+  new Function('require', 'module', 'Buffer', code)(() => graphql, module, Buffer);
+  return module.exports;
+}
+
+describe('generateGraphQL', () => {
+  let sdl;
+
+  beforeAll(async () => {
+    ({ sdl } = await graphqlGeneratorService.generateGraphQL(schema));
+  });
+
+  it('maps columns to fields with their nullability', () => {
+    expect(block(sdl, 'type Customer')).toEqual([
+      'id: ID!',
+      'email: String!',
+      'createdAt: DateTime',
+      'orders(first: Int, after: String): OrderConnection!'
+    ]);
+  });
+
+  it('declares the custom scalars and enums its columns use', () => {
+    expect(sdl).toMatch(/^scalar DateTime$/m);
+    expect(sdl).not.toMatch(/^scalar (Decimal|JSON|BigInt)$/m);
+    expect(block(sdl, 'enum OrderStatus')).toEqual(['new', 'paid']);
+  });
+
+  it('links both ends of a relationship', () => {
+    expect(block(sdl, 'type Order')).toEqual(expect.arrayContaining([
+      'customer: Customer!',
+      'products(first: Int, after: String): ProductConnection!'
+    ]));
+    expect(block(sdl, 'type Product')).toContain('orders(first: Int, after: String): OrderConnection!');
+    // The junction table is only reached through its ends
+    expect(sdl).not.toMatch(/type OrdersProduct /);
+  });
+
+  it('pages the to-many side as a connection', () => {
+    expect(block(sdl, 'type OrderConnection')).toEqual(['edges: [OrderEdge!]!', 'pageInfo: PageInfo!', 'totalCount: Int!']);
+    expect(block(sdl, 'type OrderEdge')).toEqual(['node: Order!', 'cursor: String!']);
+  });
+
+  it('adds create and update inputs without the generated key', () => {
+    expect(block(sdl, 'input CreateOrderInput')).toEqual(['customerId: ID!', 'status: OrderStatus']);
+    expect(block(sdl, 'input UpdateOrderInput')).toEqual(['customerId: ID', 'status: OrderStatus']);
+    expect(block(sdl, 'type Mutation')).toEqual(expect.arrayContaining([
+      'createOrder(input: CreateOrderInput!): Order!',
+      'updateOrder(id: ID!, input: UpdateOrderInput!): Order',
+      'deleteOrder(id: ID!): Boolean!'
+    ]));
+  });
+
+  it('renames a table that would clash with a built-in type', () => {
+    expect(block(sdl, 'type QueryType')).toEqual(['id: ID!', 'text: String']);
+    expect(block(sdl, 'type Query')).toEqual(expect.arrayContaining(['queryType(id: ID!): QueryType']));
+  });
+
+  it('only generates resolvers on request', async () => {
+    expect((await graphqlGeneratorService.generateGraphQL(schema)).resolvers).toBeNull();
+    expect(typeof (await graphqlGeneratorService.generateGraphQL(schema, { includeResolvers: true })).resolvers).toBe('string');
+  });
+});
+
+describe('generated resolvers', () => {
+  let resolvers;
+  let db;
+
+  beforeAll(async () => {
+    const { resolvers: code } = await graphqlGeneratorService.generateGraphQL(schema, { includeResolvers: true });
+    resolvers = loadResolvers(code);
+  });
+
+  beforeEach(() => {
+    db = {
+      findOne: jest.fn(async (table, where) => ({ table, ...where })),
+      findMany: jest.fn(async (table, where, { limit, offset }) => ({
+        rows: Array.from({ length: limit }, (value, index) => ({ id: offset + index + 1 })).filter(row => row.id <= 3),
+        totalCount: 3
+      })),
+      findManyThrough: jest.fn(async () => ({ rows: [], totalCount: 0 })),
+      insert: jest.fn(async (table, values) => values)
+    };
+  });
+
+  it('read rows by key and relationship', async () => {
+    await resolvers.Query.order(null, { id: 7 }, { db });
+    await resolvers.Order.customer({ id: 7, customer_id: 2 }, {}, { db });
+    await resolvers.Order.products({ id: 7 }, {}, { db });
+
+    expect(db.findOne.mock.calls).toEqual([['orders', { id: 7 }], ['customer', { id: 2 }]]);
+    expect(db.findManyThrough).toHaveBeenCalledWith('product', expect.objectContaining({ foreignKey: 'orders_id', value: 7 }), { limit: 20, offset: 0 });
+  });
+
+  it('page through connections with cursors', async () => {
+    const first = await resolvers.Query.customers(null, { first: 2 }, { db });
+    const second = await resolvers.Query.customers(null, { first: 2, after: first.pageInfo.endCursor }, { db });
+
+    expect(first.edges.map(edge => edge.node.id)).toEqual([1, 2]);
+    expect(first.pageInfo.hasNextPage).toBe(true);
+    expect(second.edges.map(edge => edge.node.id)).toEqual([3]);
+    expect(second.pageInfo).toEqual({ hasNextPage: false, endCursor: second.edges[0].cursor });
+  });
+
+  it('write inputs with their column names', async () => {
+    await resolvers.Mutation.createOrder(null, { input: { customerId: 2, status: 'new' } }, { db });
+
+    expect(db.insert).toHaveBeenCalledWith('orders', { customer_id: 2, status: 'new' });
+    expect(resolvers.Customer.createdAt({ created_at: '2024-01-01' })).toBe('2024-01-01');
+  });
+});
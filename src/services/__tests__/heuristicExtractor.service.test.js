@@ -0,0 +1,101 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const heuristicExtractor = require('../heuristicExtractor.service');
+const nlpService = require('../nlp.service');
+
+/**
+ * Extract a prompt and reduce the relationships to [name, source, target, type]
+ * @param {string} prompt - Natural language prompt
+ * @returns {Array} - Relationship summaries
+ */
+function relationshipsOf(prompt) {
+  return heuristicExtractor.extractEntities(prompt).relationships
+    .map(rel => [rel.name, rel.sourceEntity, rel.targetEntity, rel.type]);
+}
+
+function attributesOf(entity) {
+  return entity.attributes.map(attribute => attribute.name);
+}
+
+describe('extractEntities', () => {
+  it('finds entities and the verbs that relate them', () => {
+    const { entities, relationships, warnings } = heuristicExtractor.extractEntities(
+      'Customers place orders. Each product belongs to one category.'
+    );
+
+    expect(entities.map(entity => entity.name)).toEqual(['Customer', 'Order', 'Product', 'Category']);
+    expect(relationships.map(rel => [rel.name, rel.sourceEntity, rel.targetEntity, rel.type])).toEqual([
+      ['places', 'Customer', 'Order', 'ONE_TO_MANY'],
+      ['belongsTo', 'Product', 'Category', 'MANY_TO_ONE']
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('reads the relationship type from the wording', () => {
+    expect(relationshipsOf('Students enroll in courses.')).toEqual([['enrollsIn', 'Student', 'Course', 'MANY_TO_MANY']]);
+    expect(relationshipsOf('A book is written by many authors.')).toEqual([['isWrittenBy', 'Book', 'Author', 'MANY_TO_MANY']]);
+    expect(relationshipsOf('An employee works in a department.')).toEqual([['worksIn', 'Employee', 'Department', 'MANY_TO_ONE']]);
+  });
+
+  it('names a relationship after the verb that follows a modal', () => {
+    expect(relationshipsOf('Each customer can place multiple orders.')).toEqual([['places', 'Customer', 'Order', 'ONE_TO_MANY']]);
+  });
+
+  it('lists attributes after "has" and guesses their types', () => {
+    const [customer] = heuristicExtractor.extractEntities('Each customer has a name and a unique email.').entities;
+
+    expect(customer.attributes).toEqual([
+      expect.objectContaining({ name: 'name', dataType: 'VARCHAR(255)' }),
+      expect.objectContaining({ name: 'email', dataType: 'VARCHAR(255)', isUnique: true })
+    ]);
+  });
+
+  it('reads "Entity: attribute, attribute" lines with types and flags', () => {
+    const { entities } = heuristicExtractor.extractEntities('Customer: name, email (VARCHAR(255), UNIQUE), phone\nOrder: date, total (DECIMAL(10,2))');
+
+    expect(entities.map(entity => [entity.name, attributesOf(entity)])).toEqual([
+      ['Customer', ['name', 'email', 'phone']],
+      ['Order', ['date', 'total']]
+    ]);
+    expect(entities[0].attributes[1]).toMatchObject({ dataType: 'VARCHAR(255)', isUnique: true });
+    expect(entities[1].attributes[1].dataType).toBe('DECIMAL(10,2)');
+  });
+
+  it('turns an attribute named after another entity into a relationship', () => {
+    const { entities, relationships } = heuristicExtractor.extractEntities('A customer has a name. Each order has a customer_id and a total.');
+
+    expect(attributesOf(entities.find(entity => entity.name === 'Order'))).not.toContain('customer_id');
+    expect(relationships).toEqual([
+      expect.objectContaining({ name: 'belongsTo', sourceEntity: 'Order', targetEntity: 'Customer', type: 'MANY_TO_ONE' })
+    ]);
+  });
+
+  it('warns when the prompt names nothing to store', () => {
+    expect(heuristicExtractor.extractEntities('We need a database.')).toEqual({
+      entities: [],
+      relationships: [],
+      warnings: ['No entities could be identified in the prompt']
+    });
+  });
+});
+
+describe('heuristic extraction mode', () => {
+  it('marks the result as rule-based', async () => {
+    const result = await nlpService.extractEntities('Students enroll in courses.', { mode: 'heuristic' });
+
+    expect(result.extractionMethod).toBe('heuristic');
+  });
+
+  it('answers 422 when no entities are found', async () => {
+    await expect(nlpService.extractEntities('We need a database.', { mode: 'heuristic' })).rejects.toMatchObject({
+      statusCode: 422,
+      message: 'Failed to extract entities: no entities could be identified in the prompt'
+    });
+  });
+});
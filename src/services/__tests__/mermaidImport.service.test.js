@@ -0,0 +1,118 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const mermaidImportService = require('../mermaidImport.service');
+
+const DIAGRAM = `erDiagram
+    CUSTOMER ||--o{ ORDER : places
+    ORDER ||--|{ LINE-ITEM : contains
+    CUSTOMER {
+        number id PK
+        string email UK "Login email"
+    }
+    ORDER {
+        int id PK
+        int customerRef FK
+        date placed_at
+    }
+    LINE-ITEM {
+        int order_id PK, FK
+        int line PK
+        decimal(10,2) price
+    }
+`;
+
+function findTable(schema, name) {
+  return schema.tables.find(table => table.name === name);
+}
+
+function findColumn(table, name) {
+  return table.columns.find(column => column.name === name);
+}
+
+describe('parseERDiagram', () => {
+  it('reads entities, attribute keys and comments', () => {
+    const { entities, warnings } = mermaidImportService.parseERDiagram(DIAGRAM);
+    const customer = entities.find(entity => entity.name === 'CUSTOMER');
+
+    expect(entities.map(entity => entity.name)).toEqual(['CUSTOMER', 'ORDER', 'LINE_ITEM']);
+    expect(customer.attributes).toEqual([
+      expect.objectContaining({ name: 'id', isPrimaryKey: true, isNullable: false }),
+      expect.objectContaining({ name: 'email', isUnique: true, description: 'Login email' })
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('reads cardinalities and puts the "one" side first', () => {
+    const { relationships } = mermaidImportService.parseERDiagram(`erDiagram
+      ORDER }o--|| CUSTOMER : "placed by"
+      STUDENT }|..|{ COURSE : takes
+      PERSON one or zero to only one PASSPORT : holds`);
+
+    expect(relationships).toEqual([
+      expect.objectContaining({
+        name: 'placed by',
+        sourceEntity: 'CUSTOMER',
+        targetEntity: 'ORDER',
+        type: 'ONE_TO_MANY',
+        sourceCardinality: '1..1',
+        targetCardinality: '0..*'
+      }),
+      expect.objectContaining({ sourceEntity: 'STUDENT', targetEntity: 'COURSE', type: 'MANY_TO_MANY' }),
+      expect.objectContaining({ sourceEntity: 'PERSON', targetEntity: 'PASSPORT', type: 'ONE_TO_ONE', sourceCardinality: '0..1' })
+    ]);
+  });
+
+  it('warns about lines it cannot read and unclosed entities', () => {
+    const { warnings } = mermaidImportService.parseERDiagram(`erDiagram
+      this is not mermaid
+      ORDER {
+        int id PK`);
+
+    expect(warnings).toEqual([
+      'Line 2: could not parse "this is not mermaid"',
+      'Entity "ORDER" is missing its closing brace'
+    ]);
+  });
+
+  it('accepts a diagram in a Markdown fence', () => {
+    const { entities } = mermaidImportService.parseERDiagram('```mermaid\nerDiagram\n  CUSTOMER\n```');
+
+    expect(entities.map(entity => entity.name)).toEqual(['CUSTOMER']);
+  });
+
+  it('rejects text that is not an erDiagram', () => {
+    expect(() => mermaidImportService.parseERDiagram('flowchart LR\n  A --> B')).toThrow('Diagram must start with "erDiagram"');
+  });
+});
+
+describe('importMermaid', () => {
+  it('keeps declared foreign keys instead of adding generated ones', async () => {
+    const { schema } = await mermaidImportService.importMermaid(DIAGRAM, { name: 'Shop' });
+    const order = findTable(schema, 'order');
+    const places = schema.relationships.find(rel => rel.name === 'places');
+
+    expect(findColumn(order, 'customerref')).toMatchObject({ isForeignKey: true, references: { table: 'customer', column: 'id' } });
+    expect(findColumn(order, 'customer_id')).toBeUndefined();
+    expect(places).toMatchObject({ sourceTable: 'customer', targetTable: 'order', targetColumn: 'customerref' });
+  });
+
+  it('marks a relationship identifying when its foreign key is part of the primary key', async () => {
+    const { schema } = await mermaidImportService.importMermaid(DIAGRAM);
+    const lineItem = findTable(schema, 'line_item');
+
+    expect(schema.relationships.find(rel => rel.name === 'contains').isIdentifying).toBe(true);
+    expect(lineItem.columns.filter(column => column.isPrimaryKey).map(column => column.name)).toEqual(['order_id', 'line']);
+    expect(findColumn(lineItem, 'price').dataType).toBe('DECIMAL(10,2)');
+  });
+
+  it('imports an FK no entity matches as a plain column, with a warning', async () => {
+    const { schema, warnings } = await mermaidImportService.importMermaid(`erDiagram
+      ORDER {
+        int id PK
+        int warehouse_id FK
+      }`);
+
+    expect(findColumn(findTable(schema, 'order'), 'warehouse_id').isForeignKey).toBe(false);
+    expect(warnings).toEqual(['Attribute "ORDER.warehouse_id" is marked FK but no related entity matches it; imported as a plain column']);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const migrationGeneratorService = require('../migrationGenerator.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+/**
+ * Build a schema snapshot with a single customer table
+ * @param {Array} columns - Columns after the primary key
+ * @param {number} version - Schema version
+ * @returns {Object} - Schema snapshot
+ */
+function customers(columns, version) {
+  return { name: 'Shop', version, tables: [{ name: 'customer', columns: [id, ...columns] }], relationships: [] };
+}
+
+const nullableEmail = { name: 'email', dataType: 'VARCHAR(255)', isNullable: true };
+const requiredEmail = { ...nullableEmail, isNullable: false };
+
+describe('generateMigration', () => {
+  it('creates added tables and drops them again in the down script', async () => {
+    const from = { name: 'Shop', version: 1, tables: [], relationships: [] };
+    const result = await migrationGeneratorService.generateMigration(from, customers([], 2), 'postgresql');
+
+    expect(result.up).toMatch(/CREATE TABLE[^;]*"customer"/);
+    expect(result.down).toMatch(/DROP TABLE[^;]*"customer"/);
+    expect(result.summary).toBeDefined();
+  });
+
+  it('says so when nothing changed', async () => {
+    const schema = customers([nullableEmail], 1);
+    const result = await migrationGeneratorService.generateMigration(schema, { ...schema, version: 2 }, 'mysql');
+
+    expect(result.up).toBe('-- No schema changes between version 1 and version 2');
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('warns when a column and its data are dropped', async () => {
+    const result = await migrationGeneratorService.generateMigration(customers([nullableEmail], 1), customers([], 2), 'mysql');
+
+    expect(result.up).toMatch(/DROP COLUMN `email`/);
+    expect(result.warnings).toContain('Column "customer.email" is dropped and its data will be lost');
+  });
+
+  it('warns when a column becomes NOT NULL in place', async () => {
+    const result = await migrationGeneratorService.generateMigration(customers([nullableEmail], 1), customers([requiredEmail], 2), 'postgresql');
+
+    expect(result.up).toMatch(/ALTER COLUMN "email" SET NOT NULL/);
+    expect(result.warnings).toContain('Column "customer.email" becomes NOT NULL; existing NULL values will make the migration fail');
+  });
+});
+
+describe('SQLite table rebuilds', () => {
+  it('warn when a column becomes NOT NULL without a default', async () => {
+    const result = await migrationGeneratorService.generateMigration(customers([nullableEmail], 1), customers([requiredEmail], 2), 'sqlite');
+
+    expect(result.up).toMatch(/INSERT INTO "_customer_new" \("id", "email"\)\s+SELECT "id", "email" FROM "customer";/);
+    expect(result.warnings).toContain('Column "customer.email" becomes NOT NULL without a default; existing NULL values will make the migration fail');
+  });
+
+  it('copy the default in place of NULLs when the column has one', async () => {
+    const to = customers([{ ...requiredEmail, defaultValue: 'unknown' }], 2);
+    const result = await migrationGeneratorService.generateMigration(customers([nullableEmail], 1), to, 'sqlite');
+
+    expect(result.up).toMatch(/SELECT "id", COALESCE\("email", 'unknown'\) FROM "customer";/);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('warn when a NOT NULL column without a default is added', async () => {
+    const result = await migrationGeneratorService.generateMigration(customers([], 1), customers([requiredEmail], 2), 'sqlite');
+
+    expect(result.up).toMatch(/ALTER TABLE "_customer_new" RENAME TO "customer"/);
+    expect(result.warnings).toContain('Column "customer.email" is NOT NULL without a default and cannot be added to a table that has rows');
+  });
+});
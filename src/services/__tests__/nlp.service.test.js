@@ -0,0 +1,69 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const llm = require('../llm');
+const FixtureProvider = require('../llm/fixture.provider');
+const OpenAIProvider = require('../llm/openai.provider');
+const nlpService = require('../nlp.service');
+const promptEnhancerService = require('../promptEnhancer.service');
+
+const PROMPT = 'A library where members borrow books';
+const FEATURES = ['extraction', 'promptOptimization', 'promptEnhancement'];
+
+// Replays the recorded responses in src/services/llm/fixtures
+function useFixtures() {
+  FEATURES.forEach(feature => llm.setProvider(feature, new FixtureProvider()));
+}
+
+// An OpenAI provider without an API key, which never makes a request
+function useUnconfiguredProvider() {
+  FEATURES.forEach(feature => llm.setProvider(feature, new OpenAIProvider({ apiKey: '' })));
+}
+
+afterEach(() => {
+  FEATURES.forEach(feature => llm.setProvider(feature, null));
+});
+
+describe('with the fixture provider', () => {
+  beforeEach(useFixtures);
+
+  it('extracts entities with the AI', async () => {
+    const result = await nlpService.extractEntities(PROMPT, { mode: 'ai' });
+
+    expect(result.extractionMethod).toBe('ai');
+    expect(result.entities.length).toBeGreaterThan(0);
+  });
+
+  it('optimizes and enhances prompts', async () => {
+    expect(await nlpService.optimizePrompt(PROMPT)).toMatch(/ENTITIES/);
+    expect(typeof await promptEnhancerService.enhancePrompt(PROMPT)).toBe('string');
+  });
+});
+
+describe('with an unconfigured provider', () => {
+  beforeEach(useUnconfiguredProvider);
+
+  it('reports AI extraction as unavailable', async () => {
+    await expect(nlpService.extractEntities(PROMPT, { mode: 'ai' })).rejects.toMatchObject({
+      statusCode: 503,
+      message: expect.stringMatching(/^Failed to extract entities: The openai LLM provider for extraction is not configured/)
+    });
+  });
+
+  it('falls back to rule-based extraction in auto mode', async () => {
+    const result = await nlpService.extractEntities(PROMPT, { mode: 'auto' });
+
+    expect(result.extractionMethod).toBe('heuristic');
+    expect(result.fallbackReason).toMatch(/not configured/);
+  });
+
+  it('reports prompt optimization and enhancement as unavailable', async () => {
+    await expect(nlpService.optimizePrompt(PROMPT)).rejects.toMatchObject({ statusCode: 503 });
+    await expect(promptEnhancerService.enhancePrompt(PROMPT)).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
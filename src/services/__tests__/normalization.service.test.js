@@ -0,0 +1,141 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const normalizationService = require('../normalization.service');
+
+const key = name => ({ name, dataType: 'INTEGER', isPrimaryKey: true, isNullable: false });
+const column = (name, dataType = 'VARCHAR(100)') => ({ name, dataType });
+
+const enrollment = {
+  name: 'enrollment',
+  columns: [key('student_id'), key('course_id'), column('student_name'), column('grade', 'CHAR(2)'), column('zip'), column('city')]
+};
+
+const dependencies = [
+  { table: 'enrollment', determinant: 'student_id', dependent: ['student_name', 'zip'] },
+  { table: 'enrollment', determinant: 'zip', dependent: 'city' }
+];
+
+/**
+ * Analyze a single table and return its report
+ * @param {Object} table - Table to analyze
+ * @param {Object} options - Analysis options
+ * @returns {Object} - Report for the table
+ */
+function analyzeTable(table, options) {
+  return normalizationService.analyzeSchema({ name: 'Test', tables: [table], relationships: [] }, options).tables[0];
+}
+
+describe('closure', () => {
+  it('follows dependencies transitively', () => {
+    const closure = normalizationService.closure(['a'], [
+      { determinant: ['a'], dependent: ['b'] },
+      { determinant: ['b'], dependent: ['c'] }
+    ]);
+
+    expect([...closure].sort()).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('candidateKeys', () => {
+  it('finds every minimal key', () => {
+    const keys = normalizationService.candidateKeys(['a', 'b', 'c'], [
+      { determinant: ['a'], dependent: ['b'] },
+      { determinant: ['b'], dependent: ['a'] }
+    ]);
+
+    expect(keys.map(columns => [...columns].sort())).toEqual([['a', 'c'], ['b', 'c']]);
+  });
+});
+
+describe('analyzeSchema', () => {
+  it('finds 1NF violations from column shapes', () => {
+    const report = analyzeTable({
+      name: 'person',
+      columns: [
+        key('id'),
+        column('phone1'),
+        column('phone2'),
+        column('tags', 'JSON'),
+        { ...column('emails'), isMultivalued: true },
+        { ...column('address'), isComposite: true }
+      ]
+    });
+
+    expect(report.normalForm).toBe('UNF');
+    expect(report.violations.map(violation => violation.type).sort()).toEqual([
+      'composite-attribute',
+      'multivalued-attribute',
+      'non-atomic-type',
+      'repeating-group'
+    ]);
+    expect(report.violations.find(violation => violation.type === 'repeating-group').columns).toEqual(['phone1', 'phone2']);
+  });
+
+  it('finds partial and transitive dependencies', () => {
+    const report = analyzeTable(enrollment, { dependencies });
+
+    expect(report.normalForm).toBe('1NF');
+    expect(report.candidateKeys).toEqual([['student_id', 'course_id']]);
+    expect(report.violations).toEqual([
+      expect.objectContaining({ normalForm: '2NF', type: 'partial-dependency', columns: ['student_name', 'zip', 'city'] }),
+      expect.objectContaining({ normalForm: '3NF', type: 'transitive-dependency', columns: ['city'] })
+    ]);
+  });
+
+  it('finds determinants that are not keys', () => {
+    const report = analyzeTable({
+      name: 'booking',
+      columns: [key('student'), key('course'), column('teacher', 'INTEGER')]
+    }, {
+      dependencies: [
+        { table: 'booking', determinant: ['student', 'course'], dependent: 'teacher' },
+        { table: 'booking', determinant: 'teacher', dependent: 'course' }
+      ]
+    });
+
+    expect(report.normalForm).toBe('3NF');
+    expect(report.violations).toEqual([
+      expect.objectContaining({ normalForm: 'BCNF', type: 'non-key-determinant', columns: ['course'] })
+    ]);
+  });
+
+  it('decomposes a table into the target form and links the new tables', () => {
+    const { normalForm, proposal } = normalizationService.analyzeSchema({ name: 'School', tables: [enrollment] }, { dependencies });
+    const tables = Object.fromEntries(proposal.tables.map(table => [table.name, table.columns.map(col => col.name)]));
+
+    expect(normalForm).toBe('1NF');
+    expect(tables).toEqual({
+      enrollment: ['student_id', 'course_id', 'grade'],
+      student: ['student_id', 'student_name', 'zip'],
+      zip: ['zip', 'city']
+    });
+    expect(proposal.relationships.map(rel => [rel.sourceTable, rel.targetTable])).toEqual([
+      ['student', 'enrollment'],
+      ['zip', 'student']
+    ]);
+    expect(proposal.changes.map(change => change.type)).toEqual(['partial-dependency', 'transitive-dependency']);
+  });
+
+  it('stops decomposing at the target form', () => {
+    const { proposal } = normalizationService.analyzeSchema({ name: 'School', tables: [enrollment] }, { dependencies, targetForm: '2NF' });
+
+    expect(proposal.changes.map(change => change.normalForm)).toEqual(['2NF']);
+  });
+
+  it('ignores dependencies it cannot use, with a warning', () => {
+    const result = normalizationService.analyzeSchema({ name: 'School', tables: [enrollment] }, {
+      dependencies: [
+        { table: 'ghost', determinant: 'a', dependent: 'b' },
+        { table: 'enrollment', determinant: 'nope', dependent: 'grade' },
+        { table: 'enrollment', determinant: 'zip' }
+      ]
+    });
+
+    expect(result.warnings).toEqual([
+      'Dependency 0 refers to unknown table "ghost" and was ignored',
+      'Dependency 1 refers to columns "enrollment" doesn\'t have and was ignored',
+      'Dependency 2 on "enrollment" needs a determinant and a dependent and was ignored'
+    ]);
+    expect(result.normalForm).toBe('BCNF');
+  });
+});
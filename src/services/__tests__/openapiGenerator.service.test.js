@@ -0,0 +1,198 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const openapiGeneratorService = require('../openapiGenerator.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+const schema = {
+  name: 'Shop',
+  version: 3,
+  tables: [
+    {
+      name: 'customer',
+      columns: [
+        id,
+        { name: 'email', dataType: 'VARCHAR(255)', isNullable: false },
+        { name: 'tier', dataType: "ENUM('basic','gold')" },
+        { name: 'created_at', dataType: 'TIMESTAMP', isNullable: false, defaultValue: 'CURRENT_TIMESTAMP' },
+        { name: 'updated_at', dataType: 'TIMESTAMP', isNullable: false, defaultValue: 'CURRENT_TIMESTAMP' }
+      ]
+    },
+    { name: 'order_item', columns: [id, { name: 'quantity', dataType: 'INTEGER', isNullable: false, defaultValue: '1' }] },
+    { name: 'product', columns: [id, { name: 'name', dataType: 'VARCHAR(100)' }] },
+    { name: 'error', columns: [id, { name: 'message', dataType: 'TEXT' }] },
+    { name: 'audit_entry', columns: [{ name: 'message', dataType: 'TEXT' }] }
+  ],
+  relationships: [
+    { name: 'buys', sourceTable: 'customer', targetTable: 'product', type: 'MANY_TO_MANY' }
+  ]
+};
+
+/**
+ * Mount a generated router on an app with a fake query function
+ * @param {string} code - Generated router module
+ * @param {Function} answer - Returns the result of a statement: (sql, params) => result
+ * @returns {Object} - { app, statements }; statements records every [sql, params] run
+ */
+function mountRouter(code, answer = () => ({ rows: [] })) {
+  const module = { exports: {} };
+  new Function('require', 'module', code)(name => require(name), module);
+
+  const statements = [];
+  const app = express();
+  app.use(module.exports(async (sql, params) => {
+    statements.push([sql, params]);
+    return answer(sql, params);
+  }));
+  return { app, statements };
+}
+
+describe('listRouterDialects', () => {
+  it('lists every registered dialect the scaffold can write SQL for', () => {
+    expect(openapiGeneratorService.listRouterDialects()).toEqual([
+      'mysql', 'postgresql', 'sqlite', 'sqlserver', 'oracle', 'mariadb', 'cockroachdb', 'duckdb'
+    ]);
+  });
+});
+
+describe('generateOpenAPI', () => {
+  let openapi;
+
+  beforeAll(async () => {
+    ({ openapi } = await openapiGeneratorService.generateOpenAPI(schema));
+  });
+
+  it('describes the schema and its version', () => {
+    expect(openapi).toMatchObject({ openapi: '3.1.0', info: { title: 'Shop', version: '3' } });
+  });
+
+  it('adds collection and key paths for every table but junction tables', () => {
+    expect(Object.keys(openapi.paths)).toEqual([
+      '/customers', '/customers/{id}',
+      '/order-items', '/order-items/{id}',
+      '/products', '/products/{id}',
+      '/errors', '/errors/{id}',
+      '/audit-entries'
+    ]);
+    expect(openapi.paths['/customers'].post.operationId).toBe('createCustomer');
+    expect(openapi.paths['/order-items'].get.operationId).toBe('listOrderItems');
+  });
+
+  it('renames components that clash with the Error schema', () => {
+    expect(openapi.components.schemas.ErrorResource).toBeDefined();
+    expect(openapi.components.schemas.Error.required).toEqual(['error']);
+    expect(openapi.paths['/errors/{id}'].get.operationId).toBe('getErrorResource');
+  });
+
+  it('leaves generated keys and timestamps out of create bodies', () => {
+    const { Customer, CustomerCreate, CustomerUpdate, OrderItemCreate } = openapi.components.schemas;
+
+    expect(Object.keys(CustomerCreate.properties)).toEqual(['email', 'tier']);
+    expect(CustomerCreate.required).toEqual(['email']);
+    expect(Object.keys(CustomerUpdate.properties)).toEqual(['email', 'tier']);
+    expect(Customer.properties.id.readOnly).toBe(true);
+    expect(Customer.properties.created_at).toEqual({ type: 'string', format: 'date-time', readOnly: true });
+    expect(OrderItemCreate.required).toBeUndefined();
+  });
+
+  it('lets nullable columns be null', () => {
+    const { Customer, Product } = openapi.components.schemas;
+
+    expect(Customer.properties.tier).toEqual({ type: ['string', 'null'], enum: ['basic', 'gold', null] });
+    expect(Product.properties.name).toEqual({ type: ['string', 'null'], maxLength: 100 });
+  });
+
+  it('returns a router only on request', async () => {
+    const { router } = await openapiGeneratorService.generateOpenAPI(schema);
+
+    expect(router).toBeNull();
+  });
+
+  it('rejects a dialect the scaffold cannot write SQL for', async () => {
+    await expect(openapiGeneratorService.generateOpenAPI(schema, { includeRouter: true, dialect: 'access' }))
+      .rejects.toThrow('Unsupported SQL dialect: access');
+  });
+});
+
+describe('router scaffold', () => {
+  it('pages lists and reads rows back with RETURNING in PostgreSQL', async () => {
+    const { router } = await openapiGeneratorService.generateOpenAPI(schema, { includeRouter: true, dialect: 'PostgreSQL' });
+    const { app, statements } = mountRouter(router, sql => (
+      sql.startsWith('SELECT COUNT') ? { rows: [{ total: '2' }] } : { rows: [{ id: 1, email: 'ada@example.com' }] }
+    ));
+
+    const list = await request(app).get('/customers?limit=500&offset=5');
+    expect(list.body).toEqual({ items: [{ id: 1, email: 'ada@example.com' }], total: 2, limit: 100, offset: 5 });
+    expect(statements[0]).toEqual(['SELECT * FROM "customer" ORDER BY "id" LIMIT $1 OFFSET $2', [100, 5]]);
+
+    const created = await request(app).post('/customers').send({ email: 'ada@example.com', id: 9, created_at: 'now' });
+    expect(created.status).toBe(201);
+    expect(statements[2]).toEqual(['INSERT INTO "customer" ("email") VALUES ($1) RETURNING *', ['ada@example.com']]);
+
+    await request(app).patch('/customers/1').send({ tier: 'gold' });
+    expect(statements[3]).toEqual([
+      'UPDATE "customer" SET "tier" = $1, "updated_at" = CURRENT_TIMESTAMP WHERE "id" = $2 RETURNING *',
+      ['gold', 1]
+    ]);
+  });
+
+  it('answers 400 for missing fields and 404 for missing rows', async () => {
+    const { router } = await openapiGeneratorService.generateOpenAPI(schema, { includeRouter: true, dialect: 'postgresql' });
+    const { app, statements } = mountRouter(router);
+
+    const missing = await request(app).post('/customers').send({ tier: 'gold' });
+    expect(missing.status).toBe(400);
+    expect(missing.body).toEqual({ error: 'Missing required fields', fields: ['email'] });
+
+    const empty = await request(app).patch('/customers/1').send({ id: 2 });
+    expect(empty.status).toBe(400);
+
+    const gone = await request(app).delete('/order-items/7');
+    expect(gone.status).toBe(404);
+    expect(gone.body.error).toBe('Order item not found');
+    expect(statements).toEqual([['DELETE FROM "order_item" WHERE "id" = $1 RETURNING *', [7]]]);
+  });
+
+  it('reads created rows back by insertId in MySQL', async () => {
+    const { router } = await openapiGeneratorService.generateOpenAPI(schema, { includeRouter: true, dialect: 'mysql' });
+    const { app, statements } = mountRouter(router, sql => (
+      sql.startsWith('INSERT') ? { rows: [], insertId: 42 } : { rows: [{ id: 42, quantity: 1 }] }
+    ));
+
+    const created = await request(app).post('/order-items').send({});
+
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual({ id: 42, quantity: 1 });
+    expect(statements).toEqual([
+      ['INSERT INTO `order_item` () VALUES ()', []],
+      ['SELECT * FROM `order_item` WHERE `id` = ?', [42]]
+    ]);
+  });
+
+  it('pages with OFFSET ... FETCH NEXT in SQL Server', async () => {
+    const { router } = await openapiGeneratorService.generateOpenAPI(schema, { includeRouter: true, dialect: 'sqlserver' });
+    const { app, statements } = mountRouter(router, sql => ({ rows: sql.startsWith('SELECT COUNT') ? [{ total: 0 }] : [] }));
+
+    await request(app).get('/audit-entries');
+
+    expect(statements[0]).toEqual(['SELECT * FROM [audit_entry] ORDER BY (SELECT NULL) OFFSET @p1 ROWS FETCH NEXT @p2 ROWS ONLY', [0, 20]]);
+    expect(router).toMatch(/SCOPE_IDENTITY\(\)/);
+  });
+
+  it('inserts a row of defaults through its first column in Oracle', async () => {
+    const { router } = await openapiGeneratorService.generateOpenAPI(schema, { includeRouter: true, dialect: 'oracle' });
+    const { app, statements } = mountRouter(router, sql => (
+      sql.startsWith('INSERT') ? { rows: [], insertId: 'AAAR3sAAEAAAACXAAA' } : { rows: [{ id: 1, quantity: 1 }] }
+    ));
+
+    await request(app).post('/order-items').send({});
+
+    expect(statements).toEqual([
+      ['INSERT INTO "order_item" ("id") VALUES (DEFAULT)', []],
+      ['SELECT * FROM "order_item" WHERE ROWID = :1', ['AAAR3sAAEAAAACXAAA']]
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const codeModelService = require('../codeModel.service');
+const ormGeneratorService = require('../ormGenerator.service');
+
+// An image belongs to a product and is keyed by its position among that product's images. The
+// generator marks every primary key column unique, as schemaGenerator.service does.
+const schema = {
+  name: 'Catalog',
+  tables: [
+    {
+      name: 'product',
+      columns: [
+        { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isUnique: true, isNullable: false },
+        { name: 'sku', dataType: 'VARCHAR(40)', isUnique: true, isNullable: false }
+      ]
+    },
+    {
+      name: 'product_image',
+      columns: [
+        { name: 'product_id', dataType: 'INTEGER', isPrimaryKey: true, isUnique: true, isForeignKey: true, isNullable: false,
+          references: { table: 'product', column: 'id' } },
+        { name: 'position', dataType: 'INTEGER', isPrimaryKey: true, isUnique: true, isNullable: false },
+        { name: 'url', dataType: 'VARCHAR(255)', isNullable: false }
+      ]
+    }
+  ],
+  relationships: [
+    { sourceTable: 'product', targetTable: 'product_image', sourceColumn: 'id', targetColumn: 'product_id', type: 'ONE_TO_MANY' }
+  ]
+};
+
+describe('composite primary keys', () => {
+  it('are not unique column by column', () => {
+    const entity = codeModelService.buildModel(schema).entities.find(e => e.table === 'product_image');
+
+    expect(entity.primaryKey).toEqual(['product_id', 'position']);
+    expect(entity.fields.filter(field => field.isUnique)).toEqual([]);
+    expect(entity.associations.map(assoc => assoc.kind)).toEqual(['manyToOne']);
+  });
+
+  it('keep unique columns outside the key', () => {
+    const entity = codeModelService.buildModel(schema).entities.find(e => e.table === 'product');
+
+    expect(entity.fields.filter(field => field.isUnique).map(field => field.column)).toEqual(['sku']);
+  });
+
+  it.each([
+    ['prisma', /position\s+Int\s+@unique/],
+    ['sequelize', /position: \{[^}]*unique: true/],
+    ['typeorm', /unique: true[^\n]*\n\s*position/],
+    ['sqlalchemy', /position: [^\n]*unique=True/],
+    ['django', /position = [^\n]*unique=True/]
+  ])('are not marked unique in %s models', async (target, uniquePosition) => {
+    const { files } = await ormGeneratorService.generateModels(schema, target);
+    const output = files.map(file => file.content).join('\n');
+
+    expect(output).toMatch(/position/);
+    expect(output).not.toMatch(uniquePosition);
+  });
+});
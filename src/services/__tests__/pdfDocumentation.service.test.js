@@ -0,0 +1,86 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const pdfDocumentationService = require('../pdfDocumentation.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+/**
+ * Schema with the given number of tables, each referencing the one before it
+ * @param {number} count - Number of tables
+ * @returns {Object} - Schema
+ */
+function schemaWithTables(count) {
+  const tables = Array.from({ length: count }, (value, index) => ({
+    name: `table_${index + 1}`,
+    columns: index === 0
+      ? [id]
+      : [id, { name: `table_${index}_id`, dataType: 'INTEGER', isForeignKey: true, references: { table: `table_${index}`, column: 'id' } }]
+  }));
+  const relationships = tables.slice(1).map((table, index) => ({
+    name: 'has',
+    sourceTable: `table_${index + 1}`,
+    targetTable: table.name,
+    type: 'ONE_TO_MANY'
+  }));
+
+  return { name: 'Shop', description: 'Orders and customers', tables, relationships };
+}
+
+// Size of every page, as "width x height" in points
+function pageSizes(pdf) {
+  return [...pdf.toString('latin1').matchAll(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/g)].map(([, width, height]) => `${width} x ${height}`);
+}
+
+function count(pdf, pattern) {
+  return (pdf.toString('latin1').match(pattern) || []).length;
+}
+
+const PORTRAIT = '595.28 x 841.89';
+const LANDSCAPE = '841.89 x 595.28';
+
+describe('generatePdfDocumentation', () => {
+  it('produces a PDF with the schema as its title', async () => {
+    const pdf = await pdfDocumentationService.generatePdfDocumentation(schemaWithTables(2));
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.toString('latin1')).toContain('(Database Schema: Shop)');
+  });
+
+  it('gives each table after the first its own page', async () => {
+    const two = await pdfDocumentationService.generatePdfDocumentation(schemaWithTables(2));
+    const three = await pdfDocumentationService.generatePdfDocumentation(schemaWithTables(3));
+
+    // Title, contents, overview, diagram, tables, one more per extra table, relationships
+    expect(pageSizes(two)).toHaveLength(7);
+    expect(pageSizes(three)).toHaveLength(8);
+  });
+
+  it('links every section from the table of contents', async () => {
+    const pdf = await pdfDocumentationService.generatePdfDocumentation(schemaWithTables(3));
+
+    // Overview, diagram, tables heading, three tables, relationships and notes
+    expect(count(pdf, /\/Subtype \/Link/g)).toBe(8);
+  });
+
+  it('turns the diagram page sideways for a wide diagram', async () => {
+    const pdf = await pdfDocumentationService.generatePdfDocumentation(schemaWithTables(4));
+    const sizes = pageSizes(pdf);
+
+    expect(sizes[3]).toBe(LANDSCAPE);
+    expect(sizes.filter(size => size === PORTRAIT)).toHaveLength(sizes.length - 1);
+  });
+
+  it('documents a schema without tables', async () => {
+    const pdf = await pdfDocumentationService.generatePdfDocumentation({ name: 'Empty', tables: [], relationships: [] });
+
+    expect(pageSizes(pdf)).toHaveLength(6);
+  });
+});
+
+describe('generateDiagramPdf', () => {
+  it('draws the diagram on a single page', async () => {
+    const pdf = await pdfDocumentationService.generateDiagramPdf(schemaWithTables(4));
+
+    expect(pageSizes(pdf)).toEqual([LANDSCAPE]);
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const schemaEditorService = require('../schemaEditor.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+const schema = {
+  tables: [
+    { name: 'customer', columns: [id] },
+    { name: 'orders', columns: [id, { name: 'note', dataType: 'TEXT' }] }
+  ],
+  relationships: []
+};
+
+describe('applyChangeSet', () => {
+  it('applies entity, attribute and relationship changes by their model names', () => {
+    const { tables, relationships, applied } = schemaEditorService.applyChangeSet(schema, [
+      { action: 'addEntity', entity: 'Refund', attributes: [{ name: 'amount', dataType: 'DECIMAL(10,2)' }] },
+      { action: 'addRelationship', relationship: { name: 'places', sourceEntity: 'Customer', targetEntity: 'Orders', type: 'ONE_TO_MANY' } },
+      { action: 'modifyAttribute', entity: 'Orders', attribute: 'note', changes: { name: 'notes' } }
+    ]);
+
+    expect(applied.map(entry => entry.index)).toEqual([0, 1, 2]);
+    expect(tables.find(table => table.name === 'refund').columns.map(column => column.name)).toEqual(['id', 'amount', 'created_at', 'updated_at']);
+    expect(tables.find(table => table.name === 'orders').columns.map(column => column.name)).toEqual(['id', 'notes', 'customer_id']);
+    expect(relationships).toEqual([
+      expect.objectContaining({ name: 'places', sourceTable: 'customer', targetTable: 'orders', targetColumn: 'customer_id' })
+    ]);
+  });
+
+  it('skips the changes that cannot be applied and keeps the rest', () => {
+    const { tables, applied, skipped } = schemaEditorService.applyChangeSet(schema, [
+      { action: 'removeAttribute', entity: 'Orders', attribute: 'missing' },
+      { action: 'explode' },
+      { action: 'removeAttribute', entity: 'Orders', attribute: 'note' }
+    ]);
+
+    expect(applied.map(entry => entry.index)).toEqual([2]);
+    expect(skipped).toEqual([
+      expect.objectContaining({ index: 0, reason: 'Column "orders.missing" not found' }),
+      expect.objectContaining({ index: 1, reason: 'Unknown change action "explode"' })
+    ]);
+    expect(tables.find(table => table.name === 'orders').columns.map(column => column.name)).toEqual(['id']);
+  });
+
+  it('leaves the schema it was given unchanged', () => {
+    schemaEditorService.applyChangeSet(schema, [
+      { action: 'addAttribute', entity: 'Orders', attribute: { name: 'total', dataType: 'DECIMAL(10,2)' } },
+      { action: 'removeEntity', entity: 'Customer' }
+    ]);
+
+    expect(schema.tables.map(table => table.name)).toEqual(['customer', 'orders']);
+    expect(schema.tables[1].columns).toHaveLength(2);
+  });
+});
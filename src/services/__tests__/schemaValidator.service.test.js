@@ -0,0 +1,90 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const schemaValidatorService = require('../schemaValidator.service');
+
+const id = { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false };
+
+/**
+ * Validate a schema and keep the findings of one rule
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {string} rule - Rule ID
+ * @param {Object} options - Validation options
+ * @returns {Array} - Findings of the rule
+ */
+function findingsOf(schema, rule, options) {
+  return schemaValidatorService.validateSchema({ name: 'Test', ...schema }, options).findings
+    .filter(finding => finding.rule === rule);
+}
+
+describe('validateSchema', () => {
+  it('passes a well-formed schema', () => {
+    const result = schemaValidatorService.validateSchema({
+      name: 'Shop',
+      tables: [
+        { name: 'customer', columns: [id] },
+        { name: 'purchase', columns: [id, { name: 'customer_id', dataType: 'INT', isForeignKey: true, references: { table: 'customer', column: 'id' } }] }
+      ],
+      relationships: [{ name: 'places', sourceTable: 'customer', targetTable: 'purchase', sourceColumn: 'id', targetColumn: 'customer_id' }]
+    }, { dialect: 'postgresql' });
+
+    expect(result).toMatchObject({ valid: true, dialect: 'postgresql', summary: { errors: 0, warnings: 0 } });
+  });
+
+  it('flags nullable primary keys and duplicate columns', () => {
+    const schema = { tables: [{ name: 'item', columns: [{ ...id, isNullable: true }, { name: 'ID', dataType: 'INTEGER' }] }] };
+
+    expect(findingsOf(schema, 'nullable-primary-key')).toEqual([
+      expect.objectContaining({ severity: 'error', path: '$.tables[0].columns[0].isNullable' })
+    ]);
+    expect(findingsOf(schema, 'duplicate-column')).toEqual([
+      expect.objectContaining({ path: '$.tables[0].columns[1]' })
+    ]);
+  });
+
+  it('flags tables that collide once normalized', () => {
+    const schema = { tables: [{ name: 'OrderItem', columns: [id] }, { name: 'order_item', columns: [id] }] };
+
+    expect(findingsOf(schema, 'table-name-collision')).toHaveLength(1);
+  });
+
+  it('flags relationships to missing tables', () => {
+    const schema = { tables: [{ name: 'customer', columns: [id] }], relationships: [{ name: 'places', sourceTable: 'customer', targetTable: 'purchase' }] };
+
+    expect(findingsOf(schema, 'orphan-relationship')).toEqual([
+      expect.objectContaining({ message: 'Relationship "places" references missing table "purchase"', path: '$.relationships[0].targetTable' })
+    ]);
+  });
+
+  it('checks what foreign keys reference', () => {
+    const schema = {
+      tables: [
+        { name: 'customer', columns: [id, { name: 'code', dataType: 'VARCHAR(10)' }] },
+        {
+          name: 'purchase',
+          columns: [
+            id,
+            { name: 'customer_id', dataType: 'VARCHAR(36)', isForeignKey: true, references: { table: 'customer', column: 'id' } },
+            { name: 'customer_code', dataType: 'VARCHAR(20)', isForeignKey: true, references: { table: 'customer', column: 'code' } },
+            { name: 'store_id', dataType: 'INTEGER', isForeignKey: true, references: { table: 'store', column: 'id' } },
+            { name: 'agent_id', dataType: 'INTEGER', isForeignKey: true }
+          ]
+        }
+      ]
+    };
+
+    expect(findingsOf(schema, 'fk-type-mismatch').map(finding => finding.severity)).toEqual(['error', 'warning']);
+    expect(findingsOf(schema, 'fk-target-not-key')).toHaveLength(1);
+    expect(findingsOf(schema, 'fk-unknown-target')).toEqual([
+      expect.objectContaining({ message: 'Foreign key "purchase.store_id" references missing table "store"' })
+    ]);
+    expect(findingsOf(schema, 'fk-missing-reference')).toHaveLength(1);
+  });
+
+  it('checks reserved words for the requested dialect only', () => {
+    const schema = { tables: [{ name: 'order', columns: [id] }] };
+
+    const [finding] = findingsOf(schema, 'reserved-word', { dialect: 'MySQL' });
+    expect(finding.message).toBe('Table name "order" is a reserved word in mysql; it must be quoted in hand-written queries');
+    expect(findingsOf(schema, 'reserved-word')[0].message).toMatch(/postgresql/);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const FileAdapter = require('../../models/storage/file.adapter');
+const Schema = require('../../models/schema.model');
+const schemaVersionService = require('../schemaVersion.service');
+
+const TABLES = ['t1', 't2', 't3', 't4', 't5'];
+
+let directory;
+
+afterAll(() => {
+  if (directory) fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function addTable(schemaId, name) {
+  return schemaVersionService.withSchemaLock(schemaId, async () => {
+    const schema = await Schema.findById(schemaId);
+    return schemaVersionService.commitRevision(
+      schema,
+      { tables: [...schema.tables, { name, columns: [] }] },
+      `Added table ${name}`
+    );
+  });
+}
+
+describe.each([
+  ['memory', () => new MemoryAdapter()],
+  ['file', () => {
+    directory = directory || fs.mkdtempSync(path.join(os.tmpdir(), 'laymandb-versions-'));
+    return new FileAdapter({ directory: fs.mkdtempSync(path.join(directory, 'run-')) });
+  }]
+])('commitRevision with the %s adapter', (driver, createAdapter) => {
+  let schemaId;
+
+  beforeEach(async () => {
+    setStorage(createAdapter());
+    schemaId = (await new Schema({ name: 'Shop' }).save())._id;
+  });
+
+  it('applies concurrent commits one after another', async () => {
+    await Promise.all(TABLES.map(name => addTable(schemaId, name)));
+
+    const schema = await Schema.findById(schemaId);
+    expect(schema.tables.map(table => table.name)).toEqual(TABLES);
+    expect(schema.version).toBe(6);
+
+    const revisions = await schemaVersionService.listRevisions(schemaId);
+    expect(revisions.map(revision => revision.version)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(revisions.filter(revision => revision.message === 'Baseline')).toHaveLength(1);
+    expect(revisions.map(revision => revision.tableCount)).toEqual([0, 1, 2, 3, 4, 5]);
+
+    const latest = await schemaVersionService.getRevision(schemaId, 6);
+    expect(latest.tables).toEqual(schema.tables);
+  });
+
+  it('rejects commits from copies read before another commit', async () => {
+    const copies = await Promise.all(TABLES.map(() => Schema.findById(schemaId)));
+
+    const results = await Promise.allSettled(copies.map((copy, index) =>
+      schemaVersionService.commitRevision(
+        copy,
+        { tables: [{ name: TABLES[index], columns: [] }] },
+        `Added table ${TABLES[index]}`
+      )
+    ));
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(4);
+    rejected.forEach(result => {
+      expect(result.reason.statusCode).toBe(409);
+      expect(result.reason.currentVersion).toBe(2);
+    });
+
+    // The stored schema and the history agree on what the one accepted commit did
+    const schema = await Schema.findById(schemaId);
+    const revisions = await schemaVersionService.listRevisions(schemaId);
+    const accepted = fulfilled[0].value.tables[0].name;
+    expect(schema.version).toBe(2);
+    expect(schema.tables.map(table => table.name)).toEqual([accepted]);
+    expect(revisions.map(revision => revision.message)).toEqual(['Baseline', `Added table ${accepted}`]);
+    expect((await schemaVersionService.getRevision(schemaId, 2)).tables).toEqual(schema.tables);
+  });
+
+  it('runs nested calls of a task that holds the lock', async () => {
+    const schema = await schemaVersionService.withSchemaLock(schemaId, async () => {
+      const current = await Schema.findById(schemaId);
+      return schemaVersionService.rollback(
+        await schemaVersionService.commitRevision(current, { name: 'Shop 2' }, 'Renamed'),
+        1
+      );
+    });
+
+    expect(schema.version).toBe(3);
+    expect(schema.name).toBe('Shop');
+  });
+
+  it('restores the diagram layout with the tables on rollback', async () => {
+    const original = await Schema.findById(schemaId);
+    const v2 = await schemaVersionService.commitRevision(original, {
+      tables: [{ name: 'orders', columns: [] }],
+      nodePositions: { orders: { x: 10, y: 20 } }
+    }, 'Added orders');
+    const v3 = await schemaVersionService.commitRevision(v2, {
+      tables: [{ name: 'orders', columns: [] }, { name: 'items', columns: [] }],
+      nodePositions: { orders: { x: 300, y: 40 }, items: { x: 50, y: 50 } }
+    }, 'Moved orders, added items');
+
+    expect((await schemaVersionService.getRevision(schemaId, 3)).nodePositions).toEqual(v3.nodePositions);
+
+    const restored = await schemaVersionService.rollback(v3, 2);
+    expect(restored.tables.map(table => table.name)).toEqual(['orders']);
+    expect(restored.nodePositions).toEqual({ orders: { x: 10, y: 20 } });
+  });
+
+  it('rejects commits to a deleted schema', async () => {
+    const schema = await Schema.findById(schemaId);
+    await Schema.findByIdAndDelete(schemaId);
+
+    await expect(schemaVersionService.commitRevision(schema, { name: 'Gone' })).rejects.toMatchObject({ statusCode: 404 });
+    expect(await Schema.findById(schemaId)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  openaiResponseLogger: { info: jest.fn() }
+}));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Session = require('../../models/session.model');
+const nlpService = require('../nlp.service');
+const sessionHistoryService = require('../sessionHistory.service');
+
+const PROMPT = 'A library where members borrow books';
+const user = { _id: '1' };
+
+let session;
+let generated;
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+
+  session = new Session({ name: 'Library', ownerId: user._id });
+  sessionHistoryService.appendEntry(session, 'prompt', { prompt: PROMPT, mode: 'heuristic' });
+  generated = sessionHistoryService.appendEntry(session, 'schema', {
+    schemaId: '41',
+    schemaName: 'Library',
+    source: 'generate',
+    prompt: PROMPT,
+    mode: 'heuristic'
+  });
+  await session.save();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('replaySession', () => {
+  it('keeps entries recorded while the schemas were regenerated', async () => {
+    // Hold the extraction until another request has recorded its entry
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const extractEntities = nlpService.extractEntities;
+    jest.spyOn(nlpService, 'extractEntities').mockImplementation(async (...args) => {
+      await held;
+      return extractEntities(...args);
+    });
+
+    const replay = sessionHistoryService.replaySession(session, user);
+    await sessionHistoryService.recordEntry(session._id, 'optimize', { prompt: PROMPT, result: 'Members, books and loans' });
+    release();
+    const { session: replayed, results } = await replay;
+
+    expect(results.map(result => result.status)).toEqual(['regenerated']);
+
+    const stored = await Session.findById(session._id);
+    expect(stored.history.map(entry => entry.type)).toEqual(['prompt', 'schema', 'optimize', 'schema']);
+    expect(stored.history[3]).toMatchObject({ source: 'replay', replayOf: generated.id, schemaId: results[0].schemaId });
+    expect(stored.schemas).toEqual([results[0].schemaId]);
+    expect(stored.activeSchemaId).toBe(results[0].schemaId);
+    expect(replayed.history).toEqual(stored.history);
+  });
+
+  it('replaces the schema of the previous replay', async () => {
+    const first = await sessionHistoryService.replaySession(session, user);
+    const second = await sessionHistoryService.replaySession(first.session, user);
+
+    const stored = await Session.findById(session._id);
+    expect(stored.schemas).toEqual([second.results[0].schemaId]);
+    expect(stored.history.filter(entry => entry.replayOf === generated.id)).toHaveLength(2);
+  });
+
+  it('fails when the session was deleted during the replay', async () => {
+    await Session.findByIdAndDelete(session._id);
+
+    await expect(sessionHistoryService.replaySession(session, user)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,47 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const sqlGeneratorService = require('../sqlGenerator.service');
+
+const schema = {
+  name: 'Blog',
+  tables: [
+    {
+      name: 'author',
+      columns: [
+        { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }
+      ]
+    },
+    {
+      name: 'post',
+      columns: [
+        { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false },
+        { name: 'author_id', dataType: 'INTEGER', isForeignKey: true, isNullable: false,
+          references: { table: 'author', column: 'id', onDelete: 'CASCADE' } }
+      ]
+    }
+  ],
+  relationships: [
+    { sourceTable: 'author', targetTable: 'post', sourceColumn: 'id', targetColumn: 'author_id', type: 'ONE_TO_MANY' }
+  ]
+};
+
+function createTable(sql, table) {
+  return sql.match(new RegExp(`CREATE TABLE IF NOT EXISTS \`${table}\` \\([\\s\\S]*?\\) ENGINE`))[0];
+}
+
+describe('foreign keys in CREATE TABLE', () => {
+  it('are declared once, as a named constraint, for MariaDB', async () => {
+    const post = createTable(await sqlGeneratorService.generateSQL(schema, 'mariadb'), 'post');
+
+    expect(post.match(/REFERENCES/g)).toHaveLength(1);
+    expect(post).toMatch(/CONSTRAINT `fk_post_author_id` FOREIGN KEY \(`author_id`\)\s+REFERENCES `author` \(`id`\)\s+ON DELETE CASCADE/);
+    expect(post).toMatch(/`author_id` INTEGER NOT NULL,/);
+  });
+
+  it('keep the inline clause MySQL ignores', async () => {
+    const post = createTable(await sqlGeneratorService.generateSQL(schema, 'mysql'), 'post');
+
+    expect(post).toMatch(/`author_id` INTEGER NOT NULL REFERENCES `author` \(`id`\) ON DELETE CASCADE/);
+    expect(post).toMatch(/CONSTRAINT `fk_post_author_id`/);
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const sqlImportService = require('../sqlImport.service');
+
+beforeEach(() => {
+  setStorage(new MemoryAdapter());
+});
+
+describe('importSQL', () => {
+  it('keeps the role of small tables the DDL defines', async () => {
+    const { schema } = await sqlImportService.importSQL(`
+      CREATE TABLE users (id INT PRIMARY KEY, name VARCHAR(100));
+      CREATE TABLE posts (id INT PRIMARY KEY, user_id INT REFERENCES users(id), title TEXT);
+    `);
+
+    const users = schema.tables.find(table => table.name === 'users');
+    expect(users.isLookupTable).toBeFalsy();
+    expect(users.description).toBe('Table for users');
+    expect(schema.relationships.map(relationship => relationship.type)).toEqual(['ONE_TO_MANY']);
+  });
+
+  it('warns about indexes, checks and generated columns it drops', async () => {
+    const { schema, warnings } = await sqlImportService.importSQL(`
+      CREATE TABLE posts (
+        id INT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        title TEXT CHECK (length(title) > 0),
+        slug TEXT GENERATED ALWAYS AS (lower(title)) STORED,
+        KEY by_title (title)
+      );
+      CREATE INDEX by_slug ON posts (slug);
+      ALTER TABLE posts ADD CONSTRAINT short_title CHECK (length(title) < 200);
+    `, { dialect: 'postgresql' });
+
+    expect(warnings).toEqual([
+      'Index "by_title" on posts (title) is not imported; schemas do not store indexes',
+      'Index "by_slug" on posts (slug) is not imported; schemas do not store indexes',
+      'CHECK constraint on posts (length(title)> 0) is not imported; schemas do not store CHECK constraints',
+      'CHECK constraint "short_title" on posts (length(title)< 200) is not imported; schemas do not store CHECK constraints',
+      'Generated column posts.slug AS (lower(title)) is imported as a plain column'
+    ]);
+    expect(schema.tables[0].columns.map(column => column.name)).toEqual(['id', 'title', 'slug']);
+  });
+
+  it('still imports unique indexes as unique columns', async () => {
+    const { schema, warnings } = await sqlImportService.importSQL(`
+      CREATE TABLE users (id INT PRIMARY KEY, email VARCHAR(255));
+      CREATE UNIQUE INDEX users_email ON users (email);
+    `);
+
+    expect(schema.tables[0].columns.find(column => column.name === 'email').isUnique).toBe(true);
+    expect(warnings).toEqual([]);
+  });
+
+  it('rejects a script with an unterminated string as a bad request', async () => {
+    await expect(sqlImportService.importSQL("CREATE TABLE t (status VARCHAR(10) DEFAULT 'open);"))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid SQL: Unterminated string starting on line 1' });
+  });
+
+  it('rejects a script with an unterminated comment as a bad request', async () => {
+    await expect(sqlImportService.importSQL('CREATE TABLE t (id INT);\n/* unfinished'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid SQL: Unterminated comment starting on line 2' });
+  });
+});
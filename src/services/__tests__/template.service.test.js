@@ -0,0 +1,63 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const templateService = require('../template.service');
+const sqlGeneratorService = require('../sqlGenerator.service');
+
+describe('built-in templates', () => {
+  it('store raw default values that generators quote once', async () => {
+    const templates = await templateService.listTemplates();
+    expect(templates.length).toBeGreaterThan(0);
+
+    for (const { id } of templates) {
+      const template = await templateService.getTemplate(id);
+      const columns = template.tables.flatMap(table => table.columns);
+
+      // Quoting is the generators' job; a quoted default comes out as DEFAULT '''value'''
+      columns.filter(column => typeof column.defaultValue === 'string').forEach(column => {
+        expect(column.defaultValue).not.toMatch(/^'.*'$/);
+      });
+
+      const { schema } = templateService.instantiateTemplate(template);
+      expect(await sqlGeneratorService.generateSQL(schema, 'postgresql')).not.toContain("''");
+    }
+  });
+
+  it('generates the order status default as a string literal', async () => {
+    const { schema } = templateService.instantiateTemplate(await templateService.getTemplate('ecommerce'));
+
+    expect(await sqlGeneratorService.generateSQL(schema, 'postgresql')).toContain('"status" VARCHAR(20) NOT NULL DEFAULT \'pending\'');
+  });
+});
+
+describe('publishTemplate', () => {
+  const schema = {
+    _id: '7',
+    name: 'Shop',
+    version: 3,
+    tables: [{ name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true }] }],
+    relationships: []
+  };
+
+  beforeEach(() => {
+    setStorage(new MemoryAdapter());
+  });
+
+  it('publishes modules that list tables of the schema', async () => {
+    const template = await templateService.publishTemplate(schema, { modules: [{ name: 'Sales', tables: ['orders'] }] });
+
+    expect(template.modules).toEqual([expect.objectContaining({ id: 'sales', tables: ['orders'] })]);
+  });
+
+  it.each([
+    ['modules that are not an array', { modules: { name: 'Sales' } }, 'Modules must be an array'],
+    ['a module that is not an object', { modules: ['Sales'] }, 'Module 1 must be an object'],
+    ['a module without a name', { modules: [{ tables: ['orders'] }] }, 'Module 1 needs a name or an id'],
+    ['tables given as a string', { modules: [{ name: 'Sales', tables: 'orders' }] }, 'Module "Sales" must list its tables as an array of table names'],
+    ['tables given as objects', { modules: [{ id: 'sales', tables: [{ name: 'orders' }] }] }, 'Module "sales" must list its tables as an array of table names'],
+    ['a table the schema lacks', { modules: [{ name: 'Sales', tables: ['invoices'] }] }, 'Module "sales" lists tables the schema doesn\'t have: invoices']
+  ])('rejects %s with 400', async (label, options, message) => {
+    await expect(templateService.publishTemplate(schema, options)).rejects.toMatchObject({ statusCode: 400, message });
+  });
+});
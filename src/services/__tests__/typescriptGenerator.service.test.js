@@ -0,0 +1,107 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const typescriptGeneratorService = require('../typescriptGenerator.service');
+
+const schema = {
+  name: 'Shop',
+  tables: [
+    {
+      name: 'customer',
+      columns: [
+        { name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false },
+        { name: 'email', dataType: 'VARCHAR(255)', isNullable: false, description: 'Login email' },
+        { name: 'tier', dataType: "ENUM('basic','gold')" },
+        { name: 'balance', dataType: 'DECIMAL(10,2)', isNullable: false, defaultValue: '0' },
+        { name: 'first-name', dataType: 'TEXT' },
+        { name: 'created_at', dataType: 'TIMESTAMP', isNullable: false, defaultValue: 'CURRENT_TIMESTAMP' }
+      ]
+    },
+    { name: 'date', columns: [{ name: 'day', dataType: 'DATE', isPrimaryKey: true, isNullable: false }] },
+    { name: 'tag', columns: [{ name: 'label', dataType: 'VARCHAR(20)', isNullable: false }] }
+  ]
+};
+
+/**
+ * Body of an interface or z.object in generated TypeScript
+ * @param {string} source - Generated file
+ * @param {string} declaration - e.g. "export interface Customer" or "export const customerSchema = z.object("
+ * @returns {Array<string>} - Trimmed lines between the braces
+ */
+function block(source, declaration) {
+  const escaped = declaration.replace(/[(.]/g, '\\$&');
+  const match = source.match(new RegExp(`^${escaped}\\{\\n([\\s\\S]*?)\\n\\}`, 'm'));
+  return match ? match[1].split('\n').map(line => line.trim()) : null;
+}
+
+describe('generateTypeScript', () => {
+  let types;
+  let zod;
+
+  beforeAll(async () => {
+    ({ types, zod } = await typescriptGeneratorService.generateTypeScript(schema));
+  });
+
+  it('types rows as they are sent as JSON, with notes on what the type cannot say', () => {
+    expect(block(types, 'export interface Customer ')).toEqual([
+      '/** Primary key, generated by the database */',
+      'id: number;',
+      '/** Login email. At most 255 characters */',
+      'email: string;',
+      "tier: 'basic' | 'gold' | null;",
+      '/** Defaults to 0 */',
+      'balance: string;',
+      "'first-name': string | null;",
+      '/** Defaults to the current time */',
+      'created_at: string;'
+    ]);
+  });
+
+  it('makes generated, defaulted and nullable columns optional on insert', () => {
+    expect(block(types, 'export interface CustomerInsert ')).toEqual([
+      'id?: number;',
+      'email: string;',
+      "tier?: 'basic' | 'gold' | null;",
+      'balance?: string;',
+      "'first-name'?: string | null;",
+      'created_at?: string;'
+    ]);
+  });
+
+  it('leaves primary keys out of updates, and the update type out when only keys remain', () => {
+    expect(block(types, 'export interface CustomerUpdate ')).not.toContain('id?: number;');
+    expect(block(types, 'export interface TagUpdate ')).toEqual(['label?: string;']);
+    expect(types).not.toMatch(/DateRowUpdate/);
+  });
+
+  it('renames tables that clash with built-in types', () => {
+    expect(types).toMatch(/^export interface DateRow \{$/m);
+    expect(zod).toMatch(/^export const dateRowSchema = z\.object\(\{$/m);
+  });
+
+  it('writes Zod schemas with the lengths, digits and values a column allows', () => {
+    expect(block(zod, 'export const customerSchema = z.object(')).toEqual([
+      'id: z.number().int(),',
+      'email: z.string().max(255),',
+      "tier: z.enum(['basic', 'gold']).nullable(),",
+      'balance: z.string().regex(/^-?\\d{1,8}(\\.\\d{1,2})?$/),',
+      "'first-name': z.string().nullable(),",
+      'created_at: z.string().datetime({ offset: true })'
+    ]);
+    expect(block(zod, 'export const customerInsertSchema = z.object(')).toContain('id: z.number().int().optional(),');
+    expect(block(zod, 'export const customerUpdateSchema = z.object(')).toContain('email: z.string().max(255).optional(),');
+    expect(zod).not.toMatch(/dateRowUpdateSchema/);
+  });
+
+  it('declares the Json type only when a column needs it', async () => {
+    const withJson = await typescriptGeneratorService.generateTypeScript({
+      name: 'Settings',
+      tables: [{ name: 'setting', columns: [{ name: 'value', dataType: 'JSON' }] }]
+    });
+
+    expect(types).not.toMatch(/type Json/);
+    expect(withJson.types).toMatch(/^export type Json = /m);
+    expect(withJson.types).toMatch(/^ {2}value: Json;$/m);
+    expect(withJson.zod).toMatch(/^const json: z\.ZodType<Json> = z\.lazy/m);
+    expect(withJson.zod).toMatch(/^ {2}value: json\.nullable\(\)$/m);
+  });
+});
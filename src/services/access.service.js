@@ -0,0 +1,182 @@
+/**
+ * Schema and session access control
+ * Each schema has an owner and may be shared with other users as an editor or a viewer:
+ *
+ *   - viewer: read the schema, its history, and exports generated from it
+ *   - editor: everything a viewer can do, plus change the schema
+ *   - owner:  everything an editor can do, plus manage who it is shared with
+ *
+ * Schemas and sessions created before accounts existed have no owner; any signed-in user can read
+ * them, but nobody can change them. Users with no role on a schema get a 404 rather than a 403,
+ * so schema IDs can't be probed.
+ */
+
+const Schema = require('../models/schema.model');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles that can be granted through sharing; ownership is fixed at creation
+const SHARED_ROLES = ['viewer', 'editor'];
+
+/**
+ * A user's role on a schema
+ * @param {Object} schema - Schema model instance
+ * @param {Object} user - User model instance
+ * @returns {string|null} - owner, editor, viewer, or null when the user has no access
+ */
+exports.getSchemaRole = (schema, user) => {
+  if (!schema || !user) {
+    return null;
+  }
+
+  if (!schema.ownerId) {
+    return 'viewer';
+  }
+  if (String(schema.ownerId) === String(user._id)) {
+    return 'owner';
+  }
+
+  const collaborator = (schema.collaborators || []).find(entry => String(entry.userId) === String(user._id));
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * Whether a role grants at least the required role
+ * @param {string|null} role - Role the user has
+ * @param {string} required - Role the action needs
+ * @returns {boolean} - True when the role is sufficient
+ */
+exports.hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required) && role !== null;
+
+/**
+ * Load a schema and check the user's role on it
+ * @param {string} schemaId - Schema ID
+ * @param {Object} user - User model instance
+ * @param {string} required - viewer, editor or owner
+ * @returns {Promise<Object>} - { schema, role }
+ */
+exports.requireSchemaRole = async (schemaId, user, required = 'viewer') => {
+  const schema = await Schema.findById(schemaId);
+  const role = exports.getSchemaRole(schema, user);
+
+  if (!schema || !role) {
+    throw accessError('Schema not found', 404, 'SCHEMA_NOT_FOUND');
+  }
+  if (!exports.hasRole(role, required)) {
+    throw accessError(`This action requires the ${required} role on the schema; you are a ${role}`, 403, 'FORBIDDEN');
+  }
+
+  return { schema, role };
+};
+
+/**
+ * Load a session owned by the user
+ * Sessions aren't shared; sessions created before accounts existed can be read by any signed-in
+ * user but changed by nobody.
+ * @param {string} sessionId - Session ID
+ * @param {Object} user - User model instance
+ * @param {Object} options - { readOnly } to also accept sessions without an owner
+ * @returns {Promise<Object>} - Session model instance
+ */
+exports.requireSessionOwner = async (sessionId, user, { readOnly = false } = {}) => {
+  const session = await Session.findById(sessionId);
+
+  if (!session || (session.ownerId && String(session.ownerId) !== String(user._id))) {
+    throw accessError('Session not found', 404, 'SESSION_NOT_FOUND');
+  }
+  if (!session.ownerId && !readOnly) {
+    throw accessError('This session was created before accounts existed and is read-only', 403, 'FORBIDDEN');
+  }
+
+  return session;
+};
+
+/**
+ * List the users a schema is shared with
+ * @param {Object} schema - Schema model instance
+ * @returns {Promise<Array>} - { userId, email, name, role, addedAt }, owner first
+ */
+exports.listCollaborators = async (schema) => {
+  const entries = [
+    ...(schema.ownerId ? [{ userId: schema.ownerId, role: 'owner', addedAt: schema.createdAt }] : []),
+    ...(schema.collaborators || [])
+  ];
+
+  return Promise.all(entries.map(async (entry) => {
+    const user = await User.findById(entry.userId);
+    return {
+      userId: entry.userId,
+      email: user ? user.email : null,
+      name: user ? user.name : null,
+      role: entry.role,
+      addedAt: entry.addedAt
+    };
+  }));
+};
+
+/**
+ * Share a schema with a user, or change their role
+ * @param {Object} schema - Schema model instance
+ * @param {Object} share - { userId | email, role }
+ * @returns {Promise<Object>} - { user, role, created }
+ */
+exports.shareSchema = async (schema, { userId, email, role } = {}) => {
+  if (!SHARED_ROLES.includes(role)) {
+    throw accessError(`Role must be one of: ${SHARED_ROLES.join(', ')}`, 400);
+  }
+
+  const user = userId ? await User.findById(userId) : await User.findByEmail(email);
+  if (!user) {
+    throw accessError('User not found', 404);
+  }
+  if (String(user._id) === String(schema.ownerId)) {
+    throw accessError('The owner already has full access to the schema', 400);
+  }
+
+  const collaborators = schema.collaborators || [];
+  const existing = collaborators.find(entry => String(entry.userId) === String(user._id));
+
+  if (existing) {
+    existing.role = role;
+  } else {
+    collaborators.push({ userId: user._id, role, addedAt: new Date().toISOString() });
+  }
+  schema.collaborators = collaborators;
+  await schema.save();
+
+  return { user, role, created: !existing };
+};
+
+/**
+ * Stop sharing a schema with a user
+ * @param {Object} schema - Schema model instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - The removed collaborator entry
+ */
+exports.unshareSchema = async (schema, userId) => {
+  const entry = (schema.collaborators || []).find(collaborator => String(collaborator.userId) === String(userId));
+  if (!entry) {
+    throw accessError('The schema is not shared with this user', 404);
+  }
+
+  schema.collaborators = schema.collaborators.filter(collaborator => collaborator !== entry);
+  await schema.save();
+
+  return entry;
+};
+
+function accessError(message, statusCode, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+exports.ROLES = ROLES;
+exports.SHARED_ROLES = SHARED_ROLES;
+
+module.exports = exports;
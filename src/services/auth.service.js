@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const logger = require('../utils/logger');
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// API keys look like ldb_<userId>_<secret>; the user ID lets us find the key without scanning every account
+const API_KEY_PREFIX = 'ldb';
+
+// A key's last use is written at most this often (ms), so busy keys don't write on every request
+const API_KEY_USAGE_INTERVAL = 60 * 1000;
+
+// Key ID -> time its last use was written
+const recordedKeyUse = new Map();
+
+let generatedSecret = null;
+
+/**
+ * Create a user account
+ * @param {Object} details - { email, password, name }
+ * @returns {Promise<Object>} - { user, token }
+ */
+exports.register = async ({ email, password, name } = {}) => {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw authError('A valid email address is required', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (await User.findByEmail(normalizedEmail)) {
+    throw authError('An account with this email already exists', 409);
+  }
+
+  const user = new User({
+    email: normalizedEmail,
+    name: String(name || '').trim() || normalizedEmail.split('@')[0],
+    passwordHash: await hashPassword(password)
+  });
+  await user.save();
+
+  logger.info(`Registered user ${user._id}`);
+
+  return { user, token: exports.signToken(user) };
+};
+
+/**
+ * Check an email and password
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} - { user, token }
+ */
+exports.login = async ({ email, password } = {}) => {
+  const user = await User.findByEmail(email);
+
+  // Same error for unknown emails and wrong passwords so accounts can't be enumerated
+  if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+    throw authError('Invalid email or password', 401);
+  }
+
+  return { user, token: exports.signToken(user) };
+};
+
+/**
+ * Issue a JWT for a user
+ * @param {Object} user - User model instance
+ * @returns {string} - Signed token
+ */
+exports.signToken = (user) => jwt.sign({ sub: String(user._id) }, getJwtSecret(), {
+  expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+});
+
+/**
+ * Resolve the user a JWT was issued to
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - User model instance
+ */
+exports.verifyToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    throw authError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token', 401);
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user) {
+    throw authError('Invalid token', 401);
+  }
+
+  return user;
+};
+
+/**
+ * Create an API key for a user. The key is only returned here; afterwards only its prefix is shown.
+ * @param {Object} user - User model instance
+ * @param {string} name - Label for the key
+ * @returns {Promise<Object>} - { key, apiKey } where apiKey is the key's public summary
+ */
+exports.createApiKey = async (user, name) => {
+  const id = crypto.randomUUID();
+  const secret = crypto.randomBytes(24).toString('hex');
+  const key = `${API_KEY_PREFIX}_${user._id}_${secret}`;
+
+  const record = {
+    id,
+    name: String(name || '').trim() || 'API key',
+    // Enough of the key to recognise it in a list
+    prefix: `${API_KEY_PREFIX}_${user._id}_${secret.substring(0, 4)}`,
+    hash: hashApiKey(key),
+    createdAt: new Date().toISOString()
+  };
+
+  // Change the stored account rather than the copy loaded when the request was authenticated
+  const current = await reloadUser(user);
+  current.apiKeys.push(record);
+  await current.save();
+  user.apiKeys = current.apiKeys;
+
+  logger.info(`Created API key ${id} for user ${user._id}`);
+
+  return { key, apiKey: summarizeApiKey(record) };
+};
+
+/**
+ * List a user's API keys without their hashes
+ * @param {Object} user - User model instance
+ * @returns {Promise<Array>} - API key summaries
+ */
+exports.listApiKeys = (user) => Promise.all(user.apiKeys.map(async record => summarizeApiKey({
+  ...record,
+  lastUsedAt: (await User.findApiKeyUse(record.id)) || record.lastUsedAt
+})));
+
+/**
+ * Revoke one of a user's API keys
+ * @param {Object} user - User model instance
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} - Summary of the revoked key
+ */
+exports.revokeApiKey = async (user, keyId) => {
+  const current = await reloadUser(user);
+  const record = current.apiKeys.find(apiKey => apiKey.id === keyId);
+  if (!record) {
+    throw authError('API key not found', 404);
+  }
+
+  current.apiKeys = current.apiKeys.filter(apiKey => apiKey.id !== keyId);
+  await current.save();
+  user.apiKeys = current.apiKeys;
+
+  await User.deleteApiKeyUse(keyId);
+  recordedKeyUse.delete(keyId);
+
+  logger.info(`Revoked API key ${keyId} for user ${user._id}`);
+
+  return summarizeApiKey(record);
+};
+
+/**
+ * Resolve the user an API key belongs to
+ * @param {string} key - API key
+ * @returns {Promise<Object>} - User model instance
+ */
+exports.verifyApiKey = async (key) => {
+  const match = /^ldb_([^_]+)_(.+)$/.exec(String(key || ''));
+  const user = match && await User.findById(match[1]);
+  const hash = hashApiKey(String(key || ''));
+  const record = user && user.apiKeys.find(apiKey => safeEqual(apiKey.hash, hash));
+
+  if (!record) {
+    throw authError('Invalid API key', 401);
+  }
+
+  await recordApiKeyUse(record.id);
+
+  return user;
+};
+
+/**
+ * Authenticate a request from whichever credentials it carries
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {Object} credentials - { authorization, apiKey } where authorization is an Authorization
+ *   header value ("Bearer <jwt>" or "ApiKey <key>")
+ * @returns {Promise<Object>} - User model instance
+ */
+exports.authenticateCredentials = async ({ authorization, apiKey } = {}) => {
+  if (apiKey) {
+    return exports.verifyApiKey(apiKey);
+  }
+
+  const [scheme, value] = String(authorization || '').trim().split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme) && value) {
+    return exports.verifyToken(value);
+  }
+  if (/^apikey$/i.test(scheme) && value) {
+    return exports.verifyApiKey(value);
+  }
+
+  throw authError('Authentication required: send a Bearer token or an API key', 401);
+};
+
+/**
+ * Secret used to sign JWTs
+ * Without JWT_SECRET a random secret is generated, so tokens stop working when the server restarts.
+ * @returns {string} - Signing secret
+ */
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET is not set; using a random secret. Issued tokens will be invalid after a restart.');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [algorithm, salt, hash] = String(stored || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const candidate = await scrypt(password, salt);
+  return safeEqual(candidate.toString('hex'), hash);
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, derivedKey) => (error ? reject(error) : resolve(derivedKey)));
+  });
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Note that an API key was used, at most once per API_KEY_USAGE_INTERVAL
+ * Best effort: a failed write is logged and doesn't fail the request being authenticated.
+ * @param {string} keyId - API key ID
+ */
+async function recordApiKeyUse(keyId) {
+  const now = Date.now();
+  if (now - (recordedKeyUse.get(keyId) || 0) < API_KEY_USAGE_INTERVAL) {
+    return;
+  }
+  recordedKeyUse.set(keyId, now);
+
+  try {
+    await User.recordApiKeyUse(keyId, new Date(now).toISOString());
+  } catch (error) {
+    logger.warn(`Failed to record use of API key ${keyId}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the stored copy of a user, so account changes start from the latest keys
+ * @param {Object} user - User model instance
+ * @returns {Promise<Object>} - User model instance
+ */
+async function reloadUser(user) {
+  const current = await User.findById(user._id);
+  if (!current) {
+    throw authError('User not found', 404);
+  }
+  return current;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function summarizeApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt || null
+  };
+}
+
+function authError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = exports;
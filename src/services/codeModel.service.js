@@ -0,0 +1,479 @@
+/**
+ * Code model of a schema
+ * Describes a schema the way application code sees it: one entity per table, with typed fields,
+ * a class name, and associations in both directions. The schema is laid out the way the SQL export
+ * creates it first, so MANY_TO_MANY relationships arrive as junction tables and become
+ * many-to-many associations on both ends. Code generators (ORM models, ...) work from this model
+ * instead of reading tables and foreign keys themselves.
+ */
+
+const natural = require('natural');
+const sqlGeneratorService = require('./sqlGenerator.service');
+
+const inflector = new natural.NounInflector();
+
+// Columns a junction table may carry without them being data of the association itself
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at'];
+
+/**
+ * Build the code model of a schema
+ * @param {Object} schema - Schema with tables and relationships
+ * @returns {Object} - { name, description, entities }; each entity is
+ *   { table, className, description, isJunctionTable, hasPayload, primaryKey, fields, associations }
+ */
+exports.buildModel = (schema) => {
+  const processed = sqlGeneratorService.preprocessSchema({
+    ...schema,
+    tables: schema.tables || [],
+    relationships: schema.relationships || []
+  });
+
+  const classNames = uniqueNames(processed.tables.map(table => pascalCase(singular(table.name))));
+
+  const entities = processed.tables.map((table, index) => {
+    const primaryKey = table.columns.filter(column => column.isPrimaryKey).map(column => column.name);
+    const junctionKeys = getJunctionKeys(table);
+
+    return {
+      table: table.name,
+      className: classNames[index],
+      description: table.description || '',
+      isJunctionTable: !!junctionKeys,
+      // Junction tables with columns of their own need to be modelled as entities by every ORM
+      hasPayload: !!junctionKeys && table.columns.some(column =>
+        !junctionKeys.includes(column) && !TIMESTAMP_COLUMNS.includes(column.name)
+      ),
+      primaryKey,
+      fields: table.columns.map(column => buildField(column, primaryKey)),
+      associations: []
+    };
+  });
+
+  const byTable = new Map(entities.map(entity => [entity.table, entity]));
+  const taken = new Map(entities.map(entity => [entity.table, new Set(entity.fields.map(field => field.column))]));
+
+  // Foreign keys: the owning side holds the key, the referenced side gets the inverse
+  processed.tables.forEach(table => {
+    const entity = byTable.get(table.name);
+
+    foreignKeyColumns(table, byTable).forEach(column => {
+      const target = byTable.get(column.references.table);
+      const isOneToOne = isOneToOneKey(column, entity, processed.relationships);
+      const field = entity.fields.find(f => f.column === column.name);
+
+      const name = claimName(taken.get(entity.table), singular(stripKeySuffix(column.name) || target.table), singular(target.table));
+      const inverseBase = isOneToOne ? singular(entity.table) : plural(entity.table);
+      const inverse = claimName(taken.get(target.table), inverseBase, `${name}_${inverseBase}`);
+
+      entity.associations.push({
+        kind: isOneToOne ? 'oneToOne' : 'manyToOne',
+        name,
+        target: target.table,
+        foreignKey: column.name,
+        references: column.references.column,
+        onDelete: normalizeAction(column.references.onDelete),
+        onUpdate: normalizeAction(column.references.onUpdate),
+        isNullable: field.isNullable,
+        inverse,
+        owner: true
+      });
+
+      target.associations.push({
+        kind: isOneToOne ? 'oneToOne' : 'oneToMany',
+        name: inverse,
+        target: entity.table,
+        foreignKey: column.name,
+        references: column.references.column,
+        isNullable: true,
+        inverse: name,
+        owner: false
+      });
+    });
+  });
+
+  // Junction tables: each end also reaches the other end directly
+  processed.tables.forEach(table => {
+    const junction = byTable.get(table.name);
+    if (!junction.isJunctionTable) return;
+
+    const [sourceKey, targetKey] = getJunctionKeys(table);
+    const source = byTable.get(sourceKey.references.table);
+    const target = byTable.get(targetKey.references.table);
+
+    const name = claimName(taken.get(source.table), plural(stripKeySuffix(targetKey.name) || target.table), `${table.name}_${plural(target.table)}`);
+    const inverse = claimName(taken.get(target.table), plural(stripKeySuffix(sourceKey.name) || source.table), `${table.name}_${plural(source.table)}`);
+
+    source.associations.push({
+      kind: 'manyToMany',
+      name,
+      target: target.table,
+      through: table.name,
+      foreignKey: sourceKey.name,
+      otherKey: targetKey.name,
+      sourceKey: sourceKey.references.column,
+      targetKey: targetKey.references.column,
+      inverse,
+      owner: true
+    });
+
+    target.associations.push({
+      kind: 'manyToMany',
+      name: inverse,
+      target: source.table,
+      through: table.name,
+      foreignKey: targetKey.name,
+      otherKey: sourceKey.name,
+      sourceKey: targetKey.references.column,
+      targetKey: sourceKey.references.column,
+      inverse: name,
+      owner: false
+    });
+  });
+
+  return {
+    name: schema.name || 'Schema',
+    description: schema.description || '',
+    entities
+  };
+};
+
+/**
+ * Describe a column's data type independently of the SQL dialect
+ * @param {string} dataType - Column data type, e.g. VARCHAR(255) or DECIMAL(10,2)
+ * @returns {Object} - { kind, length, precision, scale, values }; kind is one of integer, bigint,
+ *   smallint, decimal, float, double, boolean, string, text, date, datetime, time, json, uuid,
+ *   binary or enum
+ */
+exports.columnType = (dataType) => {
+  const match = String(dataType || '').trim().match(/^([A-Za-z_][\w ]*?)\s*(?:\((.*)\))?(?:\s+UNSIGNED)?$/i);
+  if (!match) return { kind: 'text' };
+
+  const type = match[1].toUpperCase();
+  const args = match[2] ? match[2].split(',').map(arg => arg.trim()) : [];
+  const size = Number(args[0]);
+
+  switch (type) {
+    case 'INT':
+    case 'INTEGER':
+    case 'MEDIUMINT':
+    case 'SERIAL':
+    case 'YEAR':
+      return { kind: 'integer' };
+    case 'BIGINT':
+    case 'BIGSERIAL':
+      return { kind: 'bigint' };
+    case 'TINYINT':
+      // MySQL's boolean spelling
+      return size === 1 ? { kind: 'boolean' } : { kind: 'smallint' };
+    case 'SMALLINT':
+      return { kind: 'smallint' };
+    case 'DECIMAL':
+    case 'NUMERIC':
+    case 'NUMBER':
+    case 'MONEY':
+      return { kind: 'decimal', precision: Number(args[0]) || 10, scale: args[1] !== undefined ? Number(args[1]) || 0 : 2 };
+    case 'FLOAT':
+    case 'REAL':
+      return { kind: 'float' };
+    case 'DOUBLE':
+    case 'DOUBLE PRECISION':
+      return { kind: 'double' };
+    case 'BOOLEAN':
+    case 'BOOL':
+    case 'BIT':
+      return { kind: 'boolean' };
+    case 'CHAR':
+    case 'NCHAR':
+    case 'VARCHAR':
+    case 'NVARCHAR':
+    case 'VARCHAR2':
+    case 'CHARACTER VARYING':
+      return Number.isFinite(size) && size > 0 ? { kind: 'string', length: size } : { kind: 'text' };
+    case 'DATE':
+      return { kind: 'date' };
+    case 'DATETIME':
+    case 'DATETIME2':
+    case 'TIMESTAMP':
+    case 'TIMESTAMPTZ':
+      return { kind: 'datetime' };
+    case 'TIME':
+      return { kind: 'time' };
+    case 'JSON':
+    case 'JSONB':
+      return { kind: 'json' };
+    case 'UUID':
+    case 'UNIQUEIDENTIFIER':
+      return { kind: 'uuid' };
+    case 'BLOB':
+    case 'TINYBLOB':
+    case 'MEDIUMBLOB':
+    case 'LONGBLOB':
+    case 'BYTEA':
+    case 'BINARY':
+    case 'VARBINARY':
+      return { kind: 'binary' };
+    case 'ENUM': {
+      const values = args.map(arg => arg.replace(/^'(.*)'$/, '$1').replace(/''/g, "'")).filter(Boolean);
+      return values.length > 0 ? { kind: 'enum', values } : { kind: 'string', length: 255 };
+    }
+    default:
+      // TEXT, CLOB, SET and anything unknown are kept as text
+      return { kind: 'text' };
+  }
+};
+
+/**
+ * Convert a snake_case or spaced name to camelCase
+ * @param {string} name - Name to convert
+ * @returns {string} - camelCase name
+ */
+exports.camelCase = (name) => {
+  const pascal = pascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+};
+
+/**
+ * Convert a snake_case, camelCase or spaced name to snake_case
+ * @param {string} name - Name to convert
+ * @returns {string} - snake_case name
+ */
+exports.snakeCase = (name) => {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+};
+
+/**
+ * Property names for an entity's columns in code, kept clear of its association names
+ * @param {Object} entity - Code model entity
+ * @param {Function} convert - Naming convention, e.g. camelCase
+ * @returns {Map} - Property name by column name
+ */
+exports.fieldNames = (entity, convert = exports.camelCase) => {
+  const taken = new Set(entity.associations.map(assoc => convert(assoc.name)));
+  const names = new Map();
+
+  entity.fields.forEach(field => {
+    let name = convert(field.column);
+    for (let suffix = 2; taken.has(name); suffix++) {
+      name = `${convert(field.column)}${suffix}`;
+    }
+    taken.add(name);
+    names.set(field.column, name);
+  });
+
+  return names;
+};
+
+/**
+ * A junction table an ORM can manage by itself as a plain join table: nothing but the two keys and
+ * timestamps, and not referenced by any other table
+ * @param {Object} entity - Code model entity
+ * @returns {boolean} - True when the table needs no model of its own
+ */
+exports.isPlainJunction = (entity) => {
+  return entity.isJunctionTable && !entity.hasPayload && entity.associations.every(assoc => assoc.owner);
+};
+
+exports.pascalCase = pascalCase;
+exports.singular = singular;
+exports.plural = plural;
+
+/**
+ * Convert a snake_case, camelCase or spaced name to PascalCase
+ * @param {string} name - Name to convert
+ * @returns {string} - PascalCase name, prefixed with an underscore if it would start with a digit
+ */
+function pascalCase(name) {
+  const result = String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+  return /^[0-9]/.test(result) ? `_${result}` : result || 'Model';
+}
+
+/**
+ * Singular form of the last word of a name, e.g. order_items -> order_item
+ * @param {string} name - Name to convert
+ * @returns {string} - Singular name
+ */
+function singular(name) {
+  return inflectLastWord(name, word => {
+    // The inflector turns "status" into "statu"; words like these are already singular
+    if (/(ss|us|is)$/i.test(word)) return word;
+    return inflector.singularize(word);
+  });
+}
+
+/**
+ * Plural form of the last word of a name, e.g. order_item -> order_items
+ * @param {string} name - Name to convert
+ * @returns {string} - Plural name
+ */
+function plural(name) {
+  return inflectLastWord(singular(name), word => inflector.pluralize(word));
+}
+
+function inflectLastWord(name, inflect) {
+  const match = String(name).match(/^(.*?)([A-Za-z]+)$/);
+  if (!match) return String(name);
+
+  const inflected = inflect(match[2].toLowerCase());
+  // Keep the capitalization of the original word
+  const word = match[2] === match[2].toLowerCase() ? inflected : inflected.charAt(0).toUpperCase() + inflected.slice(1);
+  return match[1] + word;
+}
+
+/**
+ * Build the description of a single field
+ * @param {Object} column - Schema column
+ * @param {Array} primaryKey - Names of the table's primary key columns
+ * @returns {Object} - Field description
+ */
+function buildField(column, primaryKey) {
+  const type = exports.columnType(column.dataType);
+  const isPrimaryKey = !!column.isPrimaryKey;
+
+  return {
+    column: column.name,
+    dataType: column.dataType,
+    type,
+    isPrimaryKey,
+    // Single integer primary keys are filled by the database, as in the SQL export, unless they
+    // are copied from another table
+    isGenerated: isPrimaryKey && primaryKey.length === 1 && !column.defaultValue && !column.isForeignKey &&
+      ['integer', 'bigint', 'smallint'].includes(type.kind),
+    isNullable: !isPrimaryKey && column.isNullable !== false,
+    // The schema generator marks every primary key column unique, and the SQL export ignores the
+    // flag on them; in a composite key only the combination is unique
+    isUnique: !!column.isUnique && !isPrimaryKey,
+    isForeignKey: !!column.isForeignKey,
+    defaultValue: parseDefault(column.defaultValue, type),
+    description: column.description || ''
+  };
+}
+
+/**
+ * Interpret a column default for code
+ * @param {string} value - Default value as stored on the column
+ * @param {Object} type - Column type from columnType
+ * @returns {Object|null} - { now: true } for the current time, { value } for literals, or null
+ */
+function parseDefault(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^(CURRENT_TIMESTAMP|NOW\(\))$/i.test(text)) return { now: true };
+  if (/^NULL$/i.test(text)) return null;
+
+  const literal = text.replace(/^'(.*)'$/, '$1');
+
+  if (type.kind === 'boolean') {
+    return { value: ['true', '1', 'yes'].includes(literal.toLowerCase()) };
+  }
+  if (['integer', 'bigint', 'smallint', 'decimal', 'float', 'double'].includes(type.kind) && literal !== '' && !isNaN(literal)) {
+    return { value: Number(literal) };
+  }
+  return { value: literal };
+}
+
+/**
+ * Foreign key columns pointing at tables in the model
+ * @param {Object} table - Schema table
+ * @param {Map} byTable - Entities by table name
+ * @returns {Array} - Columns
+ */
+function foreignKeyColumns(table, byTable) {
+  return table.columns.filter(column =>
+    column.isForeignKey && column.references && byTable.has(column.references.table)
+  );
+}
+
+/**
+ * The two foreign key columns of a junction table: one flagged by preprocessSchema, or a table
+ * whose primary key is exactly two foreign keys
+ * @param {Object} table - Schema table
+ * @returns {Array|null} - [sourceKey, targetKey], or null if the table isn't a junction table
+ */
+function getJunctionKeys(table) {
+  const foreignKeys = table.columns.filter(column => column.isForeignKey && column.references);
+  if (foreignKeys.length !== 2) return null;
+
+  const primaryKey = table.columns.filter(column => column.isPrimaryKey);
+  const keyedByForeignKeys = primaryKey.length === 2 && primaryKey.every(column => foreignKeys.includes(column));
+
+  return table.isJunctionTable || keyedByForeignKeys ? foreignKeys : null;
+}
+
+/**
+ * A foreign key is one-to-one when it is unique on its own, is the table's whole primary key, or
+ * belongs to a ONE_TO_ONE relationship between the two tables
+ * @param {Object} column - Foreign key column
+ * @param {Object} entity - Entity owning the column
+ * @param {Array} relationships - Schema relationships
+ * @returns {boolean} - True for one-to-one keys
+ */
+function isOneToOneKey(column, entity, relationships) {
+  if (column.isUnique && !column.isPrimaryKey) return true;
+  if (entity.primaryKey.length === 1 && entity.primaryKey[0] === column.name) return true;
+
+  const tables = [entity.table, column.references.table];
+  return relationships.some(rel =>
+    String(rel.type).toUpperCase() === 'ONE_TO_ONE' &&
+    tables.includes(rel.sourceTable) && tables.includes(rel.targetTable) &&
+    (!rel.targetColumn || !rel.sourceColumn || [rel.targetColumn, rel.sourceColumn].includes(column.name))
+  );
+}
+
+/**
+ * Name of the association a foreign key column stands for, e.g. customer_id -> customer
+ * @param {string} columnName - Foreign key column name
+ * @returns {string} - Name without the key suffix, or an empty string
+ */
+function stripKeySuffix(columnName) {
+  return String(columnName).replace(/(_id|Id|_ID|_fk|_key)$/, '');
+}
+
+/**
+ * Reserve a name on an entity, falling back to a second choice and then a numbered one on clashes
+ * @param {Set} taken - Names already used by the entity's fields and associations
+ * @param {string} name - Preferred name
+ * @param {string} fallback - Name to use when the preferred one is taken
+ * @returns {string} - The reserved name
+ */
+function claimName(taken, name, fallback) {
+  let result = taken.has(name) ? fallback : name;
+  for (let suffix = 2; taken.has(result); suffix++) {
+    result = `${fallback}_${suffix}`;
+  }
+  taken.add(result);
+  return result;
+}
+
+/**
+ * Make names unique by numbering repeats, e.g. two tables order and orders both become Order
+ * @param {Array} names - Names in table order
+ * @returns {Array} - Unique names
+ */
+function uniqueNames(names) {
+  const taken = new Set();
+  return names.map(name => {
+    let result = name;
+    for (let suffix = 2; taken.has(result); suffix++) {
+      result = `${name}${suffix}`;
+    }
+    taken.add(result);
+    return result;
+  });
+}
+
+function normalizeAction(action) {
+  const value = String(action || '').toUpperCase().replace(/_/g, ' ').trim();
+  return ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'].includes(value) ? value : 'NO ACTION';
+}
+
+module.exports = exports;
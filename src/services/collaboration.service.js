@@ -0,0 +1,335 @@
+/**
+ * Real-time collaboration
+ * Tracks who is viewing each schema or session room, applies edit operations from clients to
+ * the stored schema one at a time, and resolves concurrent edits by version:
+ *
+ *   - an operation made against the current version is applied as-is
+ *   - an operation made against an older version is rebased onto the current version when none
+ *     of the operations applied since touch the same table, column or relationship
+ *   - otherwise it is rejected with a 409 conflict listing the operations the client missed
+ *
+ * The service does not know about sockets: applied operations and presence changes are emitted
+ * as 'operation' and 'presence' events, which the Socket.IO layer forwards to the rooms, and lost
+ * access as 'access-revoked' events, on which it removes the affected sockets from the room.
+ */
+
+const EventEmitter = require('events');
+const Schema = require('../models/schema.model');
+const schemaEditorService = require('./schemaEditor.service');
+const schemaVersionService = require('./schemaVersion.service');
+const logger = require('../utils/logger');
+
+const ROOM_TYPES = ['schema', 'session'];
+
+// Operations kept per schema for rebasing; older base versions always conflict
+const OPERATION_LOG_SIZE = 200;
+
+class CollaborationService extends EventEmitter {
+  constructor() {
+    super();
+    // Room name -> Map of socket ID -> viewer
+    this.rooms = new Map();
+    // Schema ID -> applied operations, oldest first
+    this.operationLogs = new Map();
+  }
+
+  /**
+   * Room name for a schema or session
+   * @param {string} type - schema or session
+   * @param {string} id - Schema or session ID
+   * @returns {string} - Room name
+   */
+  roomName(type, id) {
+    if (!ROOM_TYPES.includes(type)) {
+      throw collaborationError(`Unknown room type "${type}". Supported types: ${ROOM_TYPES.join(', ')}`, 400);
+    }
+    return `${type}:${id}`;
+  }
+
+  /**
+   * Add a viewer to a room
+   * @param {string} room - Room name
+   * @param {string} socketId - Socket ID
+   * @param {Object} user - { id, name, color }
+   * @returns {Array} - Viewers in the room
+   */
+  join(room, socketId, user = {}) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Map());
+    }
+
+    this.rooms.get(room).set(socketId, {
+      socketId,
+      userId: user.id || null,
+      name: user.name || 'Guest',
+      color: user.color || null,
+      editing: null,
+      joinedAt: new Date().toISOString()
+    });
+
+    return this.publishPresence(room);
+  }
+
+  /**
+   * Remove a viewer from a room
+   * @param {string} room - Room name
+   * @param {string} socketId - Socket ID
+   * @returns {Array} - Viewers left in the room
+   */
+  leave(room, socketId) {
+    const viewers = this.rooms.get(room);
+    if (!viewers || !viewers.delete(socketId)) {
+      return this.getViewers(room);
+    }
+
+    if (viewers.size === 0) {
+      this.rooms.delete(room);
+    }
+
+    return this.publishPresence(room);
+  }
+
+  /**
+   * Remove a disconnected socket from every room it was in
+   * @param {string} socketId - Socket ID
+   * @returns {Array} - Rooms the socket left
+   */
+  leaveAll(socketId) {
+    const left = [...this.rooms.entries()]
+      .filter(([, viewers]) => viewers.has(socketId))
+      .map(([room]) => room);
+
+    left.forEach(room => this.leave(room, socketId));
+
+    return left;
+  }
+
+  /**
+   * Record what a viewer is editing
+   * @param {string} room - Room name
+   * @param {string} socketId - Socket ID
+   * @param {Object|null} editing - { table, column } being edited, or null when idle
+   * @returns {Array} - Viewers in the room
+   */
+  updatePresence(room, socketId, editing) {
+    const viewer = this.rooms.get(room) && this.rooms.get(room).get(socketId);
+    if (!viewer) {
+      throw collaborationError(`Join ${room} before updating presence`, 400);
+    }
+
+    viewer.editing = editing && editing.table
+      ? { table: editing.table, column: editing.column || null }
+      : null;
+
+    return this.publishPresence(room);
+  }
+
+  getViewers(room) {
+    return this.rooms.has(room) ? [...this.rooms.get(room).values()] : [];
+  }
+
+  isInRoom(room, socketId) {
+    return this.rooms.has(room) && this.rooms.get(room).has(socketId);
+  }
+
+  publishPresence(room) {
+    const viewers = this.getViewers(room);
+    this.emit('presence', { room, viewers });
+    return viewers;
+  }
+
+  /**
+   * Queue an edit operation for a schema. Operations share the schema's lock with changes made
+   * through the REST API, so they apply in arrival order on the latest version.
+   * @param {string} schemaId - Schema ID
+   * @param {Object} request - { operation, baseVersion, author, message, clientOperationId }
+   * @returns {Promise<Object>} - { schema, entry } once the operation is applied
+   */
+  applyOperation(schemaId, request) {
+    return schemaVersionService.withSchemaLock(schemaId, () => this.applyNow(String(schemaId), request));
+  }
+
+  /**
+   * Apply an operation to the stored schema and record it as a revision
+   * @param {string} schemaId - Schema ID
+   * @param {Object} request - { operation, baseVersion, author, message, clientOperationId }
+   * @returns {Promise<Object>} - { schema, entry }
+   */
+  async applyNow(schemaId, { operation, baseVersion, author = null, message, clientOperationId = null }) {
+    if (!operation || typeof operation !== 'object') {
+      throw collaborationError('Operation is required', 400);
+    }
+
+    const schema = await Schema.findById(schemaId);
+    if (!schema) {
+      const error = collaborationError('Schema not found', 404);
+      error.code = 'SCHEMA_NOT_FOUND';
+      throw error;
+    }
+
+    let rebasedFrom = null;
+    if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== schema.version) {
+      const missed = this.getOperationsSince(schemaId, Number(baseVersion));
+      const covered = Number(baseVersion) < schema.version && missed.length === schema.version - Number(baseVersion);
+      const conflicting = covered ? missed.filter(entry => operationsConflict(entry.operation, operation)) : missed;
+
+      if (!covered || conflicting.length > 0) {
+        const error = collaborationError(
+          covered
+            ? `Operation conflicts with ${conflicting.length} change(s) made since version ${baseVersion}`
+            : `Version ${baseVersion} is too old to rebase onto version ${schema.version}`,
+          409
+        );
+        error.currentVersion = schema.version;
+        error.missedOperations = missed;
+        throw error;
+      }
+
+      rebasedFrom = Number(baseVersion);
+    }
+
+    const { tables, relationships, summary } = schemaEditorService.applyOperation(schema, operation);
+    const updatedSchema = await schemaVersionService.commitRevision(
+      schema,
+      { tables, relationships },
+      message || summary
+    );
+
+    const entry = this.publishChange(updatedSchema, { operation, summary, author, clientOperationId, rebasedFrom, source: 'socket' });
+
+    return { schema: updatedSchema, entry };
+  }
+
+  /**
+   * Record a change to a schema and tell its room about it
+   * Changes made through the REST API are published here too, so open editors stay in sync.
+   * @param {Object} schema - Schema after the change
+   * @param {Object} change - { operation, summary, author, clientOperationId, rebasedFrom, source };
+   *   operation is null when the whole schema was replaced
+   * @returns {Object} - Operation log entry
+   */
+  publishChange(schema, change = {}) {
+    const schemaId = String(schema._id);
+    const entry = {
+      schemaId,
+      version: schema.version,
+      operation: change.operation || null,
+      summary: change.summary || '',
+      author: change.author || null,
+      clientOperationId: change.clientOperationId || null,
+      rebasedFrom: change.rebasedFrom ?? null,
+      source: change.source || 'api',
+      appliedAt: new Date().toISOString()
+    };
+
+    const log = this.operationLogs.get(schemaId) || [];
+    log.push(entry);
+    this.operationLogs.set(schemaId, log.slice(-OPERATION_LOG_SIZE));
+
+    logger.info(`Schema ${schemaId} changed to version ${entry.version}`, { source: entry.source, summary: entry.summary });
+    this.emit('operation', entry);
+
+    return entry;
+  }
+
+  /**
+   * Report that users lost access to a schema, so their sockets are removed from its room
+   * @param {string} schemaId - Schema ID
+   * @param {Object} revocation - { userIds, reason }; userIds is null when everyone lost access
+   *   (the schema was deleted)
+   */
+  revokeAccess(schemaId, { userIds = null, reason = 'deleted' } = {}) {
+    const id = String(schemaId);
+
+    if (!userIds) {
+      this.operationLogs.delete(id);
+    }
+
+    this.emit('access-revoked', { schemaId: id, userIds: userIds && userIds.map(String), reason });
+  }
+
+  /**
+   * Operations applied after a version, for clients catching up
+   * @param {string} schemaId - Schema ID
+   * @param {number} version - Version the client has
+   * @returns {Array} - Log entries, oldest first
+   */
+  getOperationsSince(schemaId, version) {
+    return (this.operationLogs.get(String(schemaId)) || []).filter(entry => entry.version > version);
+  }
+}
+
+/**
+ * Whether two operations edit the same part of a schema
+ * A whole-schema change (operation null) conflicts with everything.
+ * @param {Object|null} applied - Operation already applied
+ * @param {Object} incoming - Operation being rebased
+ * @returns {boolean} - True when the incoming operation can't be rebased past the applied one
+ */
+function operationsConflict(applied, incoming) {
+  if (!applied) {
+    return true;
+  }
+
+  const appliedTargets = operationTargets(applied);
+  return operationTargets(incoming).some(target =>
+    appliedTargets.some(other => other.key === target.key && (other.exclusive || target.exclusive))
+  );
+}
+
+/**
+ * Parts of a schema an operation reads or writes
+ * Table-level edits own their table; column edits own their column and share the table with other
+ * column edits; relationship edits own the relationship and share both tables.
+ * @param {Object} operation - Schema editor operation
+ * @returns {Array} - { key, exclusive } targets
+ */
+function operationTargets(operation) {
+  const data = operation.data || {};
+  const key = (...parts) => parts.map(part => String(part || '').toLowerCase()).join(':');
+  const targets = [];
+
+  switch (operation.type) {
+    case 'addTable':
+    case 'updateTable':
+    case 'removeTable':
+      targets.push({ key: key('table', operation.table || data.name), exclusive: true });
+      if (data.name && operation.table) {
+        targets.push({ key: key('table', data.name), exclusive: true });
+      }
+      break;
+    case 'addColumn':
+    case 'updateColumn':
+    case 'removeColumn':
+      targets.push({ key: key('table', operation.table), exclusive: false });
+      targets.push({ key: key('column', operation.table, operation.column || data.name), exclusive: true });
+      if (data.name && operation.column) {
+        targets.push({ key: key('column', operation.table, data.name), exclusive: true });
+      }
+      break;
+    case 'addRelationship':
+    case 'updateRelationship':
+    case 'removeRelationship':
+      targets.push({ key: key('relationship', operation.relationship || data.name), exclusive: true });
+      [operation.sourceTable, operation.targetTable, data.sourceTable, data.targetTable]
+        .filter(Boolean)
+        .forEach(table => targets.push({ key: key('table', table), exclusive: false }));
+      break;
+    default:
+      // Unknown operation types are rejected by the editor
+      break;
+  }
+
+  return targets;
+}
+
+function collaborationError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const collaborationService = new CollaborationService();
+collaborationService.ROOM_TYPES = ROOM_TYPES;
+
+module.exports = collaborationService;
@@ -0,0 +1,110 @@
+/**
+ * CockroachDB SQL Generator
+ * CockroachDB speaks the PostgreSQL wire protocol and dialect, so this reuses the PostgreSQL
+ * generator and only changes what CockroachDB handles differently:
+ *   - schema changes inside explicit transactions can fail, so scripts are not wrapped in BEGIN/COMMIT
+ *   - updated_at is maintained with ON UPDATE column expressions instead of PL/pgSQL triggers
+ *   - comments cannot be attached to views
+ * SERIAL keys become INT8 columns defaulting to unique_rowid(), which are unique but not sequential.
+ * Full-text indexes need CockroachDB 23.1 or later.
+ */
+
+const postgresqlGenerator = require('./postgresql.generator');
+
+Object.assign(exports, postgresqlGenerator);
+
+/**
+ * Words CockroachDB reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ALL', 'ANALYSE', 'ANALYZE', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'ASYMMETRIC', 'BOTH', 'CASE',
+  'CAST', 'CHECK', 'COLLATE', 'COLUMN', 'CONCURRENTLY', 'CONSTRAINT', 'CREATE', 'CURRENT_CATALOG',
+  'CURRENT_DATE', 'CURRENT_ROLE', 'CURRENT_SCHEMA', 'CURRENT_TIME', 'CURRENT_TIMESTAMP',
+  'CURRENT_USER', 'DEFAULT', 'DEFERRABLE', 'DESC', 'DISTINCT', 'DO', 'ELSE', 'END', 'EXCEPT',
+  'FALSE', 'FAMILY', 'FETCH', 'FOR', 'FOREIGN', 'FROM', 'GRANT', 'GROUP', 'HAVING', 'IN', 'INDEX',
+  'INITIALLY', 'INTERSECT', 'INTO', 'LATERAL', 'LEADING', 'LIMIT', 'LOCALTIME', 'LOCALTIMESTAMP',
+  'NOT', 'NOTHING', 'NULL', 'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER', 'PLACING', 'PRIMARY',
+  'REFERENCES', 'RETURNING', 'SELECT', 'SESSION_USER', 'SOME', 'SYMMETRIC', 'TABLE', 'THEN', 'TO',
+  'TRAILING', 'TRUE', 'UNION', 'UNIQUE', 'USER', 'USING', 'VARIADIC', 'WHEN', 'WHERE', 'WINDOW',
+  'WITH'
+];
+
+/**
+ * Generate a header comment for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Header comment
+ */
+exports.headerComment = (schema) => {
+  return `-- CockroachDB Script Generated for Schema: ${schema.name}
+-- Created: ${new Date().toISOString()}
+-- Description: ${schema.description || 'Database schema generated by LaymanDB'}
+
+-- Create schema if it doesn't exist
+CREATE SCHEMA IF NOT EXISTS "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}";
+
+-- Set search path
+SET search_path TO "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}", public;`;
+};
+
+/**
+ * Generate CREATE VIEW statements for commonly needed views
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array of CREATE VIEW statements
+ */
+exports.createViewStatements = (schema) => {
+  return postgresqlGenerator.createViewStatements(schema)
+    .map(statement => statement.replace(/\n+-- Add view comment\nCOMMENT ON VIEW [^\n]*;/, ''));
+};
+
+/**
+ * Keep updated_at current with ON UPDATE expressions, CockroachDB's replacement for timestamp triggers
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array of ALTER TABLE statements
+ */
+exports.createTriggerStatements = (schema) => {
+  return schema.tables
+    .filter(table => table.columns.some(col => col.name === 'updated_at'))
+    .map(table => `-- Automatic updated_at timestamp on ${table.name}
+ALTER TABLE "${table.name}" ALTER COLUMN "updated_at" SET ON UPDATE current_timestamp();`);
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- CockroachDB Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+
+-- Each schema change runs as its own job; a failed statement leaves the earlier ones applied
+
+-- Column type changes that rewrite data are behind this setting
+SET enable_experimental_alter_column_type_general = true;
+
+SET search_path TO "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}", public;`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return '-- Migration complete';
+};
+
+/**
+ * Generate footer for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Footer comment
+ */
+exports.footerComment = (schema) => {
+  return `-- Script execution completed
+-- Schema: ${schema.name}
+-- Tables: ${schema.tables.length}`;
+};
+
+module.exports = exports;
@@ -0,0 +1,600 @@
+/**
+ * DuckDB SQL Generator
+ * DuckDB's DDL is close to PostgreSQL's, with these limits the generator works around:
+ *   - there is no SERIAL, so integer primary keys default to nextval() of their own sequence
+ *   - foreign keys can only be declared in CREATE TABLE and have no ON DELETE/ON UPDATE actions,
+ *     so tables are created referenced-first (see createInDependencyOrder in the registry)
+ *   - constraints can't be added to or dropped from existing tables, so unique columns get unique
+ *     indexes, which migrations can create and drop
+ *   - there are no triggers, so updated_at has to be set by the application
+ */
+
+/**
+ * Words DuckDB reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ALL', 'ANALYSE', 'ANALYZE', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'ASYMMETRIC', 'BOTH', 'CASE',
+  'CAST', 'CHECK', 'COLLATE', 'COLUMN', 'CONSTRAINT', 'CREATE', 'DEFAULT', 'DEFERRABLE', 'DESC',
+  'DESCRIBE', 'DISTINCT', 'DO', 'ELSE', 'END', 'EXCEPT', 'FALSE', 'FETCH', 'FOR', 'FOREIGN',
+  'FROM', 'GRANT', 'GROUP', 'HAVING', 'IN', 'INITIALLY', 'INTERSECT', 'INTO', 'LATERAL',
+  'LEADING', 'LIMIT', 'NOT', 'NULL', 'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER', 'PIVOT',
+  'PIVOT_LONGER', 'PIVOT_WIDER', 'PLACING', 'PRIMARY', 'QUALIFY', 'REFERENCES', 'RETURNING',
+  'SELECT', 'SHOW', 'SOME', 'SUMMARIZE', 'SYMMETRIC', 'TABLE', 'THEN', 'TO', 'TRAILING', 'TRUE',
+  'UNION', 'UNIQUE', 'UNPIVOT', 'USING', 'VARIADIC', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+];
+
+// Source types whose single-column primary keys are filled from a sequence
+const SEQUENCE_TYPES = ['INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'MEDIUMINT', 'SERIAL', 'BIGSERIAL'];
+
+/**
+ * Generate a header comment for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Header comment
+ */
+exports.headerComment = (schema) => {
+  return `-- DuckDB Script Generated for Schema: ${schema.name}
+-- Created: ${new Date().toISOString()}
+-- Description: ${schema.description || 'Database schema generated by LaymanDB'}
+-- DuckDB has no triggers: set updated_at columns from the application
+
+-- Create schema if it doesn't exist
+CREATE SCHEMA IF NOT EXISTS "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}";
+
+-- Use the schema
+USE "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}";
+
+-- Start transaction
+BEGIN TRANSACTION;`;
+};
+
+/**
+ * Generate DROP statements for all tables to allow re-running the script
+ * Tables arrive referenced-first, so they are dropped in reverse: DuckDB refuses to drop a table
+ * another table's foreign key still points at.
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array of DROP TABLE and DROP SEQUENCE statements
+ */
+exports.generateDropStatements = (schema) => {
+  const sequences = schema.tables.flatMap(table =>
+    table.columns.filter(column => isSequenceColumn(column, table)).map(column => sequenceName(table, column))
+  );
+
+  return [`-- Drop tables if they exist (for easier script re-running)
+${[...schema.tables].reverse().map(table => `DROP TABLE IF EXISTS "${table.name}";`).join('\n')}
+${sequences.map(name => `DROP SEQUENCE IF EXISTS "${name}";`).join('\n')}`.trim()];
+};
+
+/**
+ * Generate CREATE TABLE statement for DuckDB
+ * @param {Object} table - Table object
+ * @param {Object} schema - Full schema
+ * @returns {string} - CREATE SEQUENCE, CREATE TABLE, unique index and comment statements
+ */
+exports.createTableStatement = (table, schema) => {
+  const statements = [];
+  const columnDefinitions = table.columns.map(column => columnDefinition(column, table));
+
+  table.columns
+    .filter(column => isSequenceColumn(column, table))
+    .forEach(column => statements.push(`CREATE SEQUENCE IF NOT EXISTS "${sequenceName(table, column)}" START 1;`));
+
+  // Handle composite primary keys
+  const primaryKeyColumns = table.columns.filter(column => column.isPrimaryKey);
+  if (primaryKeyColumns.length > 1) {
+    columnDefinitions.push(`PRIMARY KEY (${primaryKeyColumns.map(col => `"${col.name}"`).join(', ')})`);
+  }
+
+  // Foreign keys, without the referential actions DuckDB doesn't support
+  const droppedActions = [];
+  table.columns
+    .filter(column => column.isForeignKey && column.references)
+    .forEach(column => {
+      columnDefinitions.push(`CONSTRAINT "fk_${table.name}_${column.name}" FOREIGN KEY ("${column.name}") REFERENCES "${column.references.table}" ("${column.references.column}")`);
+
+      ['onDelete', 'onUpdate'].forEach(action => {
+        const value = String(column.references[action] || '').toUpperCase();
+        if (value && value !== 'NO ACTION' && value !== 'RESTRICT') {
+          droppedActions.push(`-- ${action === 'onDelete' ? 'ON DELETE' : 'ON UPDATE'} ${value} on "${column.name}" is not supported by DuckDB and is left out`);
+        }
+      });
+    });
+
+  statements.push(`-- Table: ${table.name}${table.isWeakEntity ? ' (Weak Entity)' : ''}${table.isLookupTable ? ' (Lookup Table)' : ''}${table.isJunctionTable ? ' (Junction Table)' : ''}
+${droppedActions.map(line => `${line}\n`).join('')}CREATE TABLE IF NOT EXISTS "${table.name}" (
+  ${columnDefinitions.join(',\n  ')}
+);`);
+
+  table.columns
+    .filter(column => column.isUnique && !column.isPrimaryKey)
+    .forEach(column => statements.push(uniqueIndexStatement(table.name, column.name)));
+
+  if (table.description) {
+    statements.push(`COMMENT ON TABLE "${table.name}" IS '${escapeString(table.description)}';`);
+  }
+
+  table.columns.forEach(column => {
+    if (column.description) {
+      statements.push(`COMMENT ON COLUMN "${table.name}"."${column.name}" IS '${escapeString(column.description)}';`);
+    }
+  });
+
+  return statements.join('\n\n');
+};
+
+/**
+ * Generate CREATE INDEX statements for DuckDB
+ * @param {Object} table - Table object
+ * @param {Object} schema - Full schema
+ * @returns {Array} - CREATE INDEX statements
+ */
+exports.createIndexStatements = (table, schema) => {
+  const indexes = [];
+
+  // Add indexes for foreign keys
+  table.columns
+    .filter(column => column.isForeignKey && !column.isPrimaryKey)
+    .forEach(column => {
+      indexes.push(`-- Index for foreign key: ${column.name}
+CREATE INDEX "idx_${table.name}_${column.name}" ON "${table.name}" ("${column.name}");`);
+    });
+
+  // Add indexes for frequently queried columns (heuristic-based)
+  const potentialIndexColumns = table.columns.filter(column =>
+    !column.isPrimaryKey &&
+    !column.isForeignKey &&
+    !column.isUnique &&
+    (column.name.includes('status') ||
+     column.name.includes('type') ||
+     column.name.includes('date') ||
+     column.name.includes('code') ||
+     column.name.includes('category') ||
+     column.name === 'name' ||
+     column.name === 'email')
+  );
+
+  potentialIndexColumns.forEach(column => {
+    indexes.push(`-- Index for commonly queried column: ${column.name}
+CREATE INDEX "idx_${table.name}_${column.name}" ON "${table.name}" ("${column.name}");`);
+  });
+
+  return indexes;
+};
+
+/**
+ * Generate DROP TABLE statement
+ * @param {string} tableName - Table name
+ * @returns {string} - DROP TABLE statement
+ */
+exports.dropTableStatement = (tableName) => {
+  return `DROP TABLE IF EXISTS "${tableName}";`;
+};
+
+/**
+ * Generate DROP VIEW statement
+ * @param {string} viewName - View name
+ * @returns {string} - DROP VIEW statement
+ */
+exports.dropViewStatement = (viewName) => {
+  return `DROP VIEW IF EXISTS "${viewName}";`;
+};
+
+/**
+ * Generate ALTER TABLE statements for adding a column
+ * DuckDB's ADD COLUMN takes a type and default only; NOT NULL and uniqueness are added after it.
+ * @param {Object} table - Table the column is added to
+ * @param {Object} column - Column object
+ * @returns {string} - ALTER TABLE statements, plus unique index and comment if needed
+ */
+exports.addColumnStatement = (table, column) => {
+  let definition = `"${column.name}" ${mapDataType(column.dataType)}`;
+  if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+
+  const statements = [`ALTER TABLE "${table.name}" ADD COLUMN IF NOT EXISTS ${definition};`];
+
+  if (column.isNullable === false) {
+    statements.push(`ALTER TABLE "${table.name}" ALTER COLUMN "${column.name}" SET NOT NULL;`);
+  }
+
+  if (column.isUnique && !column.isPrimaryKey) {
+    statements.push(uniqueIndexStatement(table.name, column.name));
+  }
+
+  if (column.description) {
+    statements.push(`COMMENT ON COLUMN "${table.name}"."${column.name}" IS '${escapeString(column.description)}';`);
+  }
+
+  return statements.join('\n');
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropColumnStatement = (tableName, columnName) => {
+  return `ALTER TABLE "${tableName}" DROP COLUMN IF EXISTS "${columnName}";`;
+};
+
+/**
+ * Generate statements for changing a column's type, nullability, default, uniqueness or comment
+ * @param {Object} table - Table the column belongs to (new definition)
+ * @param {Object} oldColumn - Current column definition
+ * @param {Object} newColumn - Desired column definition
+ * @returns {string} - ALTER TABLE statements
+ */
+exports.alterColumnStatement = (table, oldColumn, newColumn) => {
+  const statements = [];
+  const alter = `ALTER TABLE "${table.name}" ALTER COLUMN "${newColumn.name}"`;
+  const oldType = mapDataType(oldColumn.dataType);
+  const newType = mapDataType(newColumn.dataType);
+
+  if (oldType !== newType) {
+    statements.push(`${alter} SET DATA TYPE ${newType};`);
+  }
+
+  if ((oldColumn.isNullable === false) !== (newColumn.isNullable === false)) {
+    statements.push(`${alter} ${newColumn.isNullable === false ? 'SET' : 'DROP'} NOT NULL;`);
+  }
+
+  if ((oldColumn.defaultValue || null) !== (newColumn.defaultValue || null)) {
+    statements.push(newColumn.defaultValue
+      ? `${alter} SET DEFAULT ${formatDefaultValue(newColumn.defaultValue, newColumn.dataType)};`
+      : `${alter} DROP DEFAULT;`);
+  }
+
+  if (oldColumn.isUnique && !newColumn.isUnique) {
+    statements.push(`DROP INDEX IF EXISTS "uq_${table.name}_${newColumn.name}";`);
+  } else if (!oldColumn.isUnique && newColumn.isUnique && !newColumn.isPrimaryKey) {
+    statements.push(uniqueIndexStatement(table.name, newColumn.name));
+  }
+
+  if ((oldColumn.description || '') !== (newColumn.description || '')) {
+    statements.push(`COMMENT ON COLUMN "${table.name}"."${newColumn.name}" IS ${newColumn.description ? `'${escapeString(newColumn.description)}'` : 'NULL'};`);
+  }
+
+  return statements.join('\n');
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `CREATE INDEX IF NOT EXISTS "idx_${tableName}_${columnName}" ON "${tableName}" ("${columnName}");`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `DROP INDEX IF EXISTS "idx_${tableName}_${columnName}";`;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- DuckDB Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+-- Foreign keys can't be added to or dropped from existing tables; changed ones need a table rebuild
+
+USE "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}";
+
+-- DDL is transactional in DuckDB, so the whole migration applies or nothing does
+BEGIN TRANSACTION;`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return `-- Commit migration
+COMMIT;`;
+};
+
+/**
+ * Generate CREATE VIEW statements for commonly needed views
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array of CREATE VIEW statements
+ */
+exports.createViewStatements = (schema) => {
+  const views = [];
+
+  // Find tables with typical view potential (e.g., join opportunities)
+  const tablesWithRelationships = new Set();
+
+  schema.relationships.forEach(rel => {
+    tablesWithRelationships.add(rel.sourceTable);
+    tablesWithRelationships.add(rel.targetTable);
+  });
+
+  Array.from(tablesWithRelationships).forEach(tableName => {
+    const table = schema.tables.find(t => t.name === tableName);
+    if (!table) return;
+
+    const relations = schema.relationships.filter(rel =>
+      rel.sourceTable === tableName || rel.targetTable === tableName
+    );
+
+    // Skip if not enough relationships
+    if (relations.length < 2) return;
+
+    const joinClauses = [];
+    const selectColumns = table.columns.map(c => `t."${c.name}"`);
+
+    relations.forEach((rel, idx) => {
+      const isSource = rel.sourceTable === tableName;
+      const relatedTableName = isSource ? rel.targetTable : rel.sourceTable;
+      const relatedTable = schema.tables.find(t => t.name === relatedTableName);
+
+      // Skip junction tables for the view to keep it simpler
+      if (!relatedTable || relatedTable.isJunctionTable) return;
+
+      const alias = `r${idx + 1}`;
+
+      if (isSource) {
+        joinClauses.push(`LEFT JOIN "${relatedTableName}" ${alias} ON t."${rel.sourceColumn}" = ${alias}."${rel.targetColumn}"`);
+      } else {
+        joinClauses.push(`LEFT JOIN "${relatedTableName}" ${alias} ON ${alias}."${rel.sourceColumn}" = t."${rel.targetColumn}"`);
+      }
+
+      // Add columns from related table, except for the join key to avoid duplication
+      selectColumns.push(...relatedTable.columns
+        .filter(c => !(isSource && c.name === rel.targetColumn) &&
+                    !(!isSource && c.name === rel.sourceColumn))
+        .map(c => `${alias}."${c.name}" AS "${relatedTableName}_${c.name}"`));
+    });
+
+    if (joinClauses.length === 0) return;
+
+    views.push(`-- View for ${tableName} with related data
+CREATE OR REPLACE VIEW "v_${tableName}_details" AS
+SELECT
+  ${selectColumns.join(',\n  ')}
+FROM "${tableName}" t
+${joinClauses.join('\n')};
+
+COMMENT ON VIEW "v_${tableName}_details" IS 'Detailed view for ${escapeString(tableName)} with joined related data';`);
+  });
+
+  return views;
+};
+
+/**
+ * Generate seed data for lookup tables
+ * @param {Object} table - Table object
+ * @returns {Array} - Array of INSERT statements
+ */
+exports.generateSeedData = (table) => {
+  // Only generate seed data for lookup tables
+  if (!table.isLookupTable) return [];
+
+  // Leave sequence-filled primary keys and timestamps to their defaults
+  const columns = table.columns.filter(col =>
+    !isSequenceColumn(col, table) &&
+    col.name !== 'created_at' &&
+    col.name !== 'updated_at'
+  );
+
+  if (columns.length === 0) return [];
+
+  let names;
+  if (table.name.includes('status')) {
+    names = ['Active', 'Inactive', 'Pending', 'Completed', 'Cancelled'];
+  } else if (table.name.includes('type')) {
+    names = ['Standard', 'Premium', 'Basic', 'Custom', 'Enterprise'];
+  } else if (table.name.includes('category')) {
+    names = ['General', 'Electronics', 'Clothing', 'Food', 'Services'];
+  } else if (table.name.includes('priority')) {
+    names = ['Low', 'Medium', 'High', 'Critical', 'Urgent'];
+  } else if (table.name.includes('role')) {
+    names = ['Admin', 'User', 'Manager', 'Guest', 'SuperAdmin'];
+  } else {
+    names = ['Value 1', 'Value 2', 'Value 3', 'Value 4', 'Value 5'];
+  }
+
+  return [`-- Seed data for lookup table: ${table.name}
+INSERT INTO "${table.name}" (${columns.map(col => `"${col.name}"`).join(', ')}) VALUES
+${generateValuesList(columns, names)};`];
+};
+
+/**
+ * Generate a list of values for INSERT statement
+ * @param {Array} columns - Columns to generate values for
+ * @param {Array} names - Example names to use
+ * @returns {string} - VALUES clause for INSERT statement
+ */
+function generateValuesList(columns, names) {
+  return names.map((name, idx) => {
+    const values = columns.map(col => {
+      if (col.name === 'name' || col.name === 'label' || col.name === 'title') {
+        return `'${escapeString(name)}'`;
+      } else if (col.name === 'code' || col.name === 'key') {
+        return `'${name.substring(0, 3).toUpperCase()}'`;
+      } else if (col.name === 'value' || col.name === 'id') {
+        return idx + 1;
+      } else if (col.name === 'description') {
+        return `'${escapeString(name)} description'`;
+      } else if (col.name === 'is_active' || col.name === 'active') {
+        return 'true';
+      } else if (col.name === 'display_order' || col.name === 'sort_order') {
+        return idx + 1;
+      } else if ((col.dataType || '').toUpperCase().includes('INT')) {
+        return idx + 1;
+      }
+      return `'Value ${idx + 1}'`;
+    });
+
+    return `(${values.join(', ')})`;
+  }).join(',\n');
+}
+
+/**
+ * Generate footer for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Footer comment
+ */
+exports.footerComment = (schema) => {
+  return `-- Commit the transaction
+COMMIT;
+
+-- Script execution completed
+-- Schema: ${schema.name}
+-- Tables: ${schema.tables.length}`;
+};
+
+/**
+ * Generate the definition of a single column
+ * @param {Object} column - Column object
+ * @param {Object} table - Table the column belongs to
+ * @returns {string} - Column definition
+ */
+function columnDefinition(column, table) {
+  let definition = `"${column.name}" ${mapDataType(column.dataType)}`;
+
+  if (isSequenceColumn(column, table)) {
+    definition += ` DEFAULT nextval('${sequenceName(table, column)}')`;
+  } else if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+
+  if (column.isNullable === false) {
+    definition += ' NOT NULL';
+  }
+
+  if (column.isPrimaryKey && table.columns.filter(col => col.isPrimaryKey).length === 1) {
+    definition += ' PRIMARY KEY';
+  }
+
+  return definition;
+}
+
+function uniqueIndexStatement(tableName, columnName) {
+  return `CREATE UNIQUE INDEX IF NOT EXISTS "uq_${tableName}_${columnName}" ON "${tableName}" ("${columnName}");`;
+}
+
+/**
+ * Check whether a column is filled from a sequence: the only primary key column, with an integer type
+ * @param {Object} column - Column object
+ * @param {Object} table - Table the column belongs to
+ * @returns {boolean} - True for sequence-backed columns
+ */
+function isSequenceColumn(column, table) {
+  return Boolean(column.isPrimaryKey) &&
+    !column.defaultValue &&
+    table.columns.filter(col => col.isPrimaryKey).length === 1 &&
+    SEQUENCE_TYPES.includes(String(column.dataType || '').trim().toUpperCase().replace(/\s*\(.*$/, ''));
+}
+
+function sequenceName(table, column) {
+  return `seq_${table.name}_${column.name}`;
+}
+
+/**
+ * Format default value for DuckDB
+ * @param {string} value - Default value
+ * @param {string} dataType - Column data type
+ * @returns {string} - Formatted default value
+ */
+function formatDefaultValue(value, dataType) {
+  const text = String(value);
+  const type = String(dataType || '').toUpperCase();
+
+  if (text === 'CURRENT_TIMESTAMP' || text === 'NOW()') {
+    return 'CURRENT_TIMESTAMP';
+  } else if (text === 'NULL') {
+    return 'NULL';
+  } else if (/INT|FLOAT|DOUBLE|REAL|DECIMAL|NUMERIC/.test(type) && !isNaN(text)) {
+    // For numeric types, don't quote numeric values
+    return text;
+  } else if (type.includes('BOOL')) {
+    if (['true', '1', 'yes'].includes(text.toLowerCase())) return 'true';
+    if (['false', '0', 'no'].includes(text.toLowerCase())) return 'false';
+  }
+
+  return `'${escapeString(text)}'`;
+}
+
+/**
+ * Escape string for DuckDB
+ * @param {string} str - String to escape
+ * @returns {string} - Escaped string
+ */
+function escapeString(str) {
+  if (typeof str !== 'string') return str;
+  return str.replace(/'/g, "''");
+}
+
+/**
+ * Map MySQL-style data types to DuckDB data types
+ * @param {string} dataType - Schema data type
+ * @returns {string} - DuckDB data type
+ */
+function mapDataType(dataType) {
+  if (!dataType) return 'VARCHAR';
+
+  const typeMap = {
+    'INT': 'INTEGER',
+    'MEDIUMINT': 'INTEGER',
+    'SERIAL': 'INTEGER',
+    'BIGSERIAL': 'BIGINT',
+    'YEAR': 'INTEGER',
+    'NUMERIC': 'DECIMAL',
+    'REAL': 'FLOAT',
+    'DOUBLE PRECISION': 'DOUBLE',
+    'BOOL': 'BOOLEAN',
+    'DATETIME': 'TIMESTAMP',
+    'CHAR': 'VARCHAR',
+    'NVARCHAR': 'VARCHAR',
+    'TEXT': 'VARCHAR',
+    'TINYTEXT': 'VARCHAR',
+    'MEDIUMTEXT': 'VARCHAR',
+    'LONGTEXT': 'VARCHAR',
+    'CLOB': 'VARCHAR',
+    'SET': 'VARCHAR',
+    'TINYBLOB': 'BLOB',
+    'MEDIUMBLOB': 'BLOB',
+    'LONGBLOB': 'BLOB',
+    'BYTEA': 'BLOB',
+    'BINARY': 'BLOB',
+    'VARBINARY': 'BLOB',
+    'JSONB': 'JSON'
+  };
+
+  const match = dataType.trim().match(/^([A-Za-z_][\w ]*?)\s*(?:\((.+)\))?$/);
+  if (!match) return dataType;
+
+  const type = match[1].toUpperCase();
+  const size = match[2];
+
+  // ENUM('a', 'b') is a DuckDB type as written
+  if (type === 'ENUM') return size ? `ENUM(${size})` : 'VARCHAR';
+
+  const baseType = typeMap[type] || type;
+
+  // VARCHAR lengths aren't enforced, but DECIMAL precision and scale are
+  if (size && baseType === 'DECIMAL') {
+    return `DECIMAL(${size})`;
+  }
+  if (!size && baseType === 'DECIMAL') {
+    return 'DECIMAL(10,2)';
+  }
+
+  return baseType;
+}
+
+module.exports = exports;
@@ -0,0 +1,108 @@
+/**
+ * SQL dialect registry
+ * SQL export, migrations, schema validation and query generation look dialects up here instead
+ * of keeping their own lists, so a dialect is supported everywhere once it is registered.
+ *
+ * Every generator implements the same interface (see REQUIRED_METHODS); the optional methods
+ * generateDropStatements, generateEnumTypes, createViewStatements, createStoredProcedures,
+ * createTriggerStatements, generateSeedData, footerComment, addForeignKeyStatement,
+ * dropForeignKeyStatement, dropColumnStatement, alterColumnStatement, dropViewStatement and
+ * rebuildTableStatements are used when present.
+ */
+
+const REQUIRED_METHODS = [
+  'headerComment',
+  'createTableStatement',
+  'createIndexStatements',
+  'createIndexStatement',
+  'dropIndexStatement',
+  'dropTableStatement',
+  'addColumnStatement',
+  'migrationHeader',
+  'migrationFooter'
+];
+
+const dialects = new Map();
+
+/**
+ * Register a SQL dialect
+ * @param {string} name - Dialect name used in requests, e.g. oracle
+ * @param {Object} definition - { label, generator, formatterLanguage, separateForeignKeys, createInDependencyOrder }
+ *   label: display name; generator: module implementing REQUIRED_METHODS and reservedWords;
+ *   formatterLanguage: sql-formatter language, or null to leave scripts unformatted;
+ *   separateForeignKeys: foreign keys are added with ALTER TABLE after every table is created;
+ *   createInDependencyOrder: tables are created after the tables they reference
+ */
+function registerDialect(name, definition) {
+  const { generator } = definition;
+  const missing = REQUIRED_METHODS.filter(method => typeof generator[method] !== 'function');
+
+  if (!Array.isArray(generator.reservedWords)) {
+    missing.push('reservedWords');
+  }
+  if (missing.length > 0) {
+    throw new Error(`SQL dialect ${name} is missing: ${missing.join(', ')}`);
+  }
+
+  dialects.set(name.toLowerCase(), {
+    name: name.toLowerCase(),
+    label: definition.label || name,
+    generator,
+    formatterLanguage: definition.formatterLanguage === undefined ? name.toLowerCase() : definition.formatterLanguage,
+    separateForeignKeys: Boolean(definition.separateForeignKeys),
+    createInDependencyOrder: Boolean(definition.createInDependencyOrder)
+  });
+}
+
+/**
+ * Look up a registered dialect
+ * @param {string} name - Dialect name, in any case
+ * @returns {Object|null} - Dialect definition, or null when it isn't registered
+ */
+function getDialect(name) {
+  return dialects.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Names of the registered dialects, in registration order
+ * @returns {Array} - Dialect names
+ */
+function listDialects() {
+  return Array.from(dialects.keys());
+}
+
+registerDialect('mysql', { label: 'MySQL', generator: require('./mysql.generator') });
+registerDialect('postgresql', { label: 'PostgreSQL', generator: require('./postgresql.generator') });
+registerDialect('sqlite', { label: 'SQLite', generator: require('./sqlite.generator'), separateForeignKeys: true });
+registerDialect('sqlserver', {
+  label: 'SQL Server',
+  generator: require('./sqlserver.generator'),
+  formatterLanguage: 'tsql',
+  separateForeignKeys: true
+});
+registerDialect('oracle', {
+  label: 'Oracle',
+  generator: require('./oracle.generator'),
+  // PL/SQL blocks end with a lone "/" that the formatter would fold into the next statement
+  formatterLanguage: null,
+  separateForeignKeys: true
+});
+registerDialect('mariadb', { label: 'MariaDB', generator: require('./mariadb.generator') });
+registerDialect('cockroachdb', {
+  label: 'CockroachDB',
+  generator: require('./cockroachdb.generator'),
+  formatterLanguage: 'postgresql'
+});
+registerDialect('duckdb', {
+  label: 'DuckDB',
+  generator: require('./duckdb.generator'),
+  // DuckDB can't add foreign keys to existing tables
+  createInDependencyOrder: true
+});
+
+module.exports = {
+  REQUIRED_METHODS,
+  registerDialect,
+  getDialect,
+  listDialects
+};
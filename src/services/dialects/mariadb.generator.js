@@ -0,0 +1,95 @@
+/**
+ * MariaDB SQL Generator
+ * MariaDB accepts the MySQL generator's DDL, so this reuses it and only changes what differs:
+ * the script headers, reserved words, foreign keys, and the IF [NOT] EXISTS guards MariaDB allows
+ * on foreign keys, columns and indexes, which make migrations safe to re-run.
+ */
+
+const mysqlGenerator = require('./mysql.generator');
+
+Object.assign(exports, mysqlGenerator);
+
+// MySQL 8 reserves these for window functions and roles; MariaDB does not
+const MYSQL_ONLY_RESERVED = ['CUBE', 'GROUPS', 'LAG', 'LEAD', 'OVER', 'RANK', 'SYSTEM', 'WINDOW'];
+
+/**
+ * Words MariaDB reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  ...mysqlGenerator.reservedWords.filter(word => !MYSQL_ONLY_RESERVED.includes(word)),
+  'INTERSECT', 'OFFSET', 'RETURNING'
+].sort();
+
+/**
+ * Generate a header comment for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Header comment
+ */
+exports.headerComment = (schema) => {
+  return mysqlGenerator.headerComment(schema).replace(/^-- MySQL Script/, '-- MariaDB Script');
+};
+
+/**
+ * Generate CREATE TABLE statement for MariaDB
+ * MariaDB 10.5+ enforces a REFERENCES clause on a column, which MySQL used to ignore, so each foreign
+ * key is only declared once: as the named constraint migrations drop by name.
+ * @param {Object} table - Table object
+ * @param {Object} schema - Full schema
+ * @returns {string} - CREATE TABLE statement
+ */
+exports.createTableStatement = (table, schema) => {
+  return mysqlGenerator.createTableStatement(table, schema, { inlineReferences: false });
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a foreign key
+ * @param {string} tableName - Table name
+ * @param {string} constraintName - Foreign key constraint name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropForeignKeyStatement = (tableName, constraintName) => {
+  return `ALTER TABLE \`${tableName}\` DROP FOREIGN KEY IF EXISTS \`${constraintName}\`;`;
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropColumnStatement = (tableName, columnName) => {
+  return `ALTER TABLE \`${tableName}\` DROP COLUMN IF EXISTS \`${columnName}\`;`;
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `CREATE INDEX IF NOT EXISTS \`idx_${tableName}_${columnName}\` ON \`${tableName}\` (\`${columnName}\`);`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `DROP INDEX IF EXISTS \`idx_${tableName}_${columnName}\` ON \`${tableName}\`;`;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return mysqlGenerator.migrationHeader(schema, fromVersion, toVersion).replace(/^-- MySQL Migration/, '-- MariaDB Migration');
+};
+
+module.exports = exports;
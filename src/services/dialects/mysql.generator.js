@@ -3,6 +3,32 @@
  * Enhanced version with support for additional features
  */
 
+/**
+ * Words MySQL reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ACCESSIBLE', 'ADD', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'AS', 'ASC', 'BEFORE', 'BETWEEN',
+  'BIGINT', 'BINARY', 'BLOB', 'BOTH', 'BY', 'CALL', 'CASCADE', 'CASE', 'CHANGE', 'CHAR',
+  'CHARACTER', 'CHECK', 'COLLATE', 'COLUMN', 'CONDITION', 'CONSTRAINT', 'CONTINUE', 'CONVERT',
+  'CREATE', 'CROSS', 'CUBE', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP',
+  'CURRENT_USER', 'CURSOR', 'DATABASE', 'DATABASES', 'DEC', 'DECIMAL', 'DECLARE', 'DEFAULT',
+  'DELAYED', 'DELETE', 'DESC', 'DESCRIBE', 'DISTINCT', 'DIV', 'DOUBLE', 'DROP', 'DUAL', 'EACH',
+  'ELSE', 'ELSEIF', 'ENCLOSED', 'ESCAPED', 'EXCEPT', 'EXISTS', 'EXIT', 'EXPLAIN', 'FALSE',
+  'FETCH', 'FLOAT', 'FOR', 'FORCE', 'FOREIGN', 'FROM', 'FULLTEXT', 'FUNCTION', 'GENERATED',
+  'GET', 'GRANT', 'GROUP', 'GROUPS', 'HAVING', 'IF', 'IGNORE', 'IN', 'INDEX', 'INNER', 'INOUT',
+  'INSERT', 'INT', 'INTEGER', 'INTERVAL', 'INTO', 'IS', 'ITERATE', 'JOIN', 'KEY', 'KEYS',
+  'KILL', 'LAG', 'LEAD', 'LEADING', 'LEAVE', 'LEFT', 'LIKE', 'LIMIT', 'LINES', 'LOAD', 'LOCK',
+  'LONG', 'LOOP', 'MATCH', 'MOD', 'MODIFIES', 'NATURAL', 'NOT', 'NULL', 'NUMERIC', 'OF', 'ON',
+  'OPTIMIZE', 'OPTION', 'OR', 'ORDER', 'OUT', 'OUTER', 'OVER', 'PARTITION', 'PRECISION',
+  'PRIMARY', 'PROCEDURE', 'PURGE', 'RANGE', 'RANK', 'READ', 'REAL', 'RECURSIVE', 'REFERENCES',
+  'REGEXP', 'RELEASE', 'RENAME', 'REPEAT', 'REPLACE', 'REQUIRE', 'RESIGNAL', 'RESTRICT',
+  'RETURN', 'REVOKE', 'RIGHT', 'RLIKE', 'ROW', 'ROWS', 'SCHEMA', 'SCHEMAS', 'SELECT', 'SET',
+  'SHOW', 'SIGNAL', 'SMALLINT', 'SPATIAL', 'SQL', 'STARTING', 'STORED', 'SYSTEM', 'TABLE',
+  'TERMINATED', 'THEN', 'TO', 'TRAILING', 'TRIGGER', 'TRUE', 'UNDO', 'UNION', 'UNIQUE',
+  'UNLOCK', 'UNSIGNED', 'UPDATE', 'USAGE', 'USE', 'USING', 'VALUES', 'VARCHAR', 'VARYING',
+  'VIRTUAL', 'WHEN', 'WHERE', 'WHILE', 'WINDOW', 'WITH', 'WRITE', 'XOR', 'ZEROFILL'
+];
+
 /**
  * Generate a header comment for the SQL script
  * @param {Object} schema - Database schema
@@ -37,57 +63,13 @@ ${schema.tables.map(table => `DROP TABLE IF EXISTS \`${table.name}\`;`).join('\n
  * Generate CREATE TABLE statement for MySQL
  * @param {Object} table - Table object
  * @param {Object} schema - Full schema
+ * @param {Object} options - { inlineReferences: false } leaves out the REFERENCES clause on columns,
+ *   for servers that enforce it as well as the table-level constraint
  * @returns {string} - CREATE TABLE statement
  */
-exports.createTableStatement = (table, schema) => {
-  const columnDefinitions = table.columns.map(column => {
-    let definition = `\`${column.name}\` ${mapDataType(column.dataType)}`;
-    
-    // Handle auto-increment for primary key
-    if (column.isPrimaryKey && 
-        !isCompositePrimaryKey(table) && 
-        ['INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'MEDIUMINT']
-          .some(type => column.dataType.toUpperCase().includes(type))) {
-      definition += ' AUTO_INCREMENT';
-    }
-    
-    if (column.isNullable === false) {
-      definition += ' NOT NULL';
-    } else {
-      definition += ' NULL';
-    }
-    
-    if (column.defaultValue) {
-      definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
-    }
-    
-    if (column.isUnique && !column.isPrimaryKey) {
-      definition += ' UNIQUE';
-    }
-    
-    if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
-      definition += ' PRIMARY KEY';
-    }
-    
-    // MySQL supports inline foreign key constraints
-    if (column.isForeignKey && column.references) {
-      definition += ` REFERENCES \`${column.references.table}\`(\`${column.references.column}\`)`;
-      
-      if (column.references.onDelete) {
-        definition += ` ON DELETE ${column.references.onDelete}`;
-      }
-      
-      if (column.references.onUpdate) {
-        definition += ` ON UPDATE ${column.references.onUpdate}`;
-      }
-    }
-    
-    if (column.description) {
-      definition += ` COMMENT '${column.description.replace(/'/g, "''")}'`;
-    }
-    
-    return definition;
-  });
+exports.createTableStatement = (table, schema, options = {}) => {
+  const { inlineReferences = true } = options;
+  const columnDefinitions = table.columns.map(column => columnDefinition(column, table, true, inlineReferences));
   
   // Handle composite primary keys
   const primaryKeyColumns = table.columns.filter(column => column.isPrimaryKey);
@@ -183,6 +165,122 @@ ON DELETE ${foreignKey.onDelete}
 ON UPDATE ${foreignKey.onUpdate};`;
 };
 
+/**
+ * Generate ALTER TABLE statement for dropping a foreign key
+ * @param {string} tableName - Table name
+ * @param {string} constraintName - Foreign key constraint name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropForeignKeyStatement = (tableName, constraintName) => {
+  return `ALTER TABLE \`${tableName}\` DROP FOREIGN KEY \`${constraintName}\`;`;
+};
+
+/**
+ * Generate DROP TABLE statement
+ * @param {string} tableName - Table name
+ * @returns {string} - DROP TABLE statement
+ */
+exports.dropTableStatement = (tableName) => {
+  return `DROP TABLE IF EXISTS \`${tableName}\`;`;
+};
+
+/**
+ * Generate DROP VIEW statement
+ * @param {string} viewName - View name
+ * @returns {string} - DROP VIEW statement
+ */
+exports.dropViewStatement = (viewName) => {
+  return `DROP VIEW IF EXISTS \`${viewName}\`;`;
+};
+
+/**
+ * Generate ALTER TABLE statement for adding a column
+ * @param {Object} table - Table the column is added to
+ * @param {Object} column - Column object
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.addColumnStatement = (table, column) => {
+  return `ALTER TABLE \`${table.name}\` ADD COLUMN ${columnDefinition(column, table, false)}${column.isUnique && !column.isPrimaryKey ? ' UNIQUE' : ''};`;
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropColumnStatement = (tableName, columnName) => {
+  return `ALTER TABLE \`${tableName}\` DROP COLUMN \`${columnName}\`;`;
+};
+
+/**
+ * Generate statements for changing a column's type, nullability, default or uniqueness
+ * @param {Object} table - Table the column belongs to (new definition)
+ * @param {Object} oldColumn - Current column definition
+ * @param {Object} newColumn - Desired column definition
+ * @returns {string} - ALTER TABLE statements
+ */
+exports.alterColumnStatement = (table, oldColumn, newColumn) => {
+  // MODIFY COLUMN restates the whole column; keys are handled separately
+  const statements = [
+    `ALTER TABLE \`${table.name}\` MODIFY COLUMN ${columnDefinition(newColumn, table, false)};`
+  ];
+  
+  // Inline UNIQUE constraints create an index named after the column
+  if (oldColumn.isUnique && !newColumn.isUnique) {
+    statements.push(`ALTER TABLE \`${table.name}\` DROP INDEX \`${newColumn.name}\`;`);
+  } else if (!oldColumn.isUnique && newColumn.isUnique && !newColumn.isPrimaryKey) {
+    statements.push(`ALTER TABLE \`${table.name}\` ADD UNIQUE INDEX \`${newColumn.name}\` (\`${newColumn.name}\`);`);
+  }
+  
+  return statements.join('\n');
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `CREATE INDEX \`idx_${tableName}_${columnName}\` ON \`${tableName}\` (\`${columnName}\`);`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `DROP INDEX \`idx_${tableName}_${columnName}\` ON \`${tableName}\`;`;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- MySQL Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+
+-- Disable foreign key checks while tables are being restructured
+SET FOREIGN_KEY_CHECKS=0;`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return `-- Re-enable foreign key checks
+SET FOREIGN_KEY_CHECKS=1;`;
+};
+
 /**
  * Generate CREATE VIEW statements for commonly needed views
  * @param {Object} schema - Database schema
@@ -392,6 +490,63 @@ SET FOREIGN_KEY_CHECKS=1;
 -- Tables: ${schema.tables.length}`;
 };
 
+/**
+ * Generate the definition of a single column
+ * @param {Object} column - Column object
+ * @param {Object} table - Table the column belongs to
+ * @param {boolean} inlineConstraints - Include UNIQUE, PRIMARY KEY and REFERENCES clauses
+ * @param {boolean} inlineReferences - Include the REFERENCES clause (defaults to inlineConstraints)
+ * @returns {string} - Column definition
+ */
+function columnDefinition(column, table, inlineConstraints = true, inlineReferences = inlineConstraints) {
+  let definition = `\`${column.name}\` ${mapDataType(column.dataType)}`;
+  
+  // Handle auto-increment for primary key
+  if (column.isPrimaryKey && 
+      !isCompositePrimaryKey(table) && 
+      ['INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'MEDIUMINT']
+        .some(type => column.dataType.toUpperCase().includes(type))) {
+    definition += ' AUTO_INCREMENT';
+  }
+  
+  if (column.isNullable === false) {
+    definition += ' NOT NULL';
+  } else {
+    definition += ' NULL';
+  }
+  
+  if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+  
+  if (inlineConstraints && column.isUnique && !column.isPrimaryKey) {
+    definition += ' UNIQUE';
+  }
+  
+  if (inlineConstraints && column.isPrimaryKey && !isCompositePrimaryKey(table)) {
+    definition += ' PRIMARY KEY';
+  }
+  
+  // MySQL supports inline foreign key constraints
+  if (inlineReferences && column.isForeignKey && column.references) {
+    definition += ` REFERENCES \`${column.references.table}\`(\`${column.references.column}\`)`;
+    
+    if (column.references.onDelete) {
+      definition += ` ON DELETE ${column.references.onDelete}`;
+    }
+    
+    if (column.references.onUpdate) {
+      definition += ` ON UPDATE ${column.references.onUpdate}`;
+    }
+  }
+  
+  if (column.description) {
+    definition += ` COMMENT '${column.description.replace(/'/g, "''")}'`;
+  }
+  
+  return definition;
+}
+
 /**
  * Format default value for MySQL
  * @param {string} value - Default value
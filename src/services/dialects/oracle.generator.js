@@ -0,0 +1,675 @@
+/**
+ * Oracle SQL Generator
+ * Targets Oracle Database 12.2 or later: single-column integer primary keys become identity
+ * columns (backed by a system sequence), text becomes VARCHAR2 or CLOB, numbers become NUMBER, and
+ * booleans become NUMBER(1) with a check constraint. Oracle has no IF [NOT] EXISTS before 23c, so
+ * drops that may find nothing are wrapped in PL/SQL blocks that ignore "does not exist" errors.
+ * Scripts are meant for SQL*Plus or SQLcl, where a lone "/" runs the preceding PL/SQL block.
+ */
+
+/**
+ * Words Oracle reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ACCESS', 'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'AUDIT', 'BETWEEN', 'BY', 'CHAR',
+  'CHECK', 'CLUSTER', 'COLUMN', 'COMMENT', 'COMPRESS', 'CONNECT', 'CREATE', 'CURRENT', 'DATE',
+  'DECIMAL', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE', 'EXCLUSIVE', 'EXISTS',
+  'FILE', 'FLOAT', 'FOR', 'FROM', 'GRANT', 'GROUP', 'HAVING', 'IDENTIFIED', 'IMMEDIATE', 'IN',
+  'INCREMENT', 'INDEX', 'INITIAL', 'INSERT', 'INTEGER', 'INTERSECT', 'INTO', 'IS', 'LEVEL', 'LIKE',
+  'LOCK', 'LONG', 'MAXEXTENTS', 'MINUS', 'MLSLABEL', 'MODE', 'MODIFY', 'NOAUDIT', 'NOCOMPRESS',
+  'NOT', 'NOWAIT', 'NULL', 'NUMBER', 'OF', 'OFFLINE', 'ON', 'ONLINE', 'OPTION', 'OR', 'ORDER',
+  'PCTFREE', 'PRIOR', 'PUBLIC', 'RAW', 'RENAME', 'RESOURCE', 'REVOKE', 'ROW', 'ROWID', 'ROWNUM',
+  'ROWS', 'SELECT', 'SESSION', 'SET', 'SHARE', 'SIZE', 'SMALLINT', 'START', 'SUCCESSFUL',
+  'SYNONYM', 'SYSDATE', 'TABLE', 'THEN', 'TO', 'TRIGGER', 'UID', 'UNION', 'UNIQUE', 'UPDATE',
+  'USER', 'VALIDATE', 'VALUES', 'VARCHAR', 'VARCHAR2', 'VIEW', 'WHENEVER', 'WHERE', 'WITH'
+];
+
+// Source types that become identity columns when they are a table's only primary key column
+const IDENTITY_TYPES = ['INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'MEDIUMINT', 'SERIAL', 'BIGSERIAL'];
+
+// Longest VARCHAR2 in the default MAX_STRING_SIZE=STANDARD; longer text becomes CLOB
+const MAX_VARCHAR2_LENGTH = 4000;
+
+/**
+ * Generate a header comment for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Header comment
+ */
+exports.headerComment = (schema) => {
+  return `-- Oracle Script Generated for Schema: ${schema.name}
+-- Created: ${new Date().toISOString()}
+-- Description: ${schema.description || 'Database schema generated by LaymanDB'}
+-- Requires Oracle Database 12.2 or later (identity columns, names up to 128 characters)
+
+-- Run as the user that should own the tables; stop at the first error
+WHENEVER SQLERROR EXIT SQL.SQLCODE`;
+};
+
+/**
+ * Generate DROP statements for all tables to allow re-running the script
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array containing one PL/SQL block that drops every table
+ */
+exports.generateDropStatements = (schema) => {
+  if (schema.tables.length === 0) return [];
+
+  return [`-- Drop tables if they exist (for easier script re-running)
+-- ORA-00942 (table or view does not exist) is ignored; CASCADE CONSTRAINTS drops referencing foreign keys
+DECLARE
+  PROCEDURE drop_table(table_name VARCHAR2) IS
+  BEGIN
+    EXECUTE IMMEDIATE 'DROP TABLE "' || table_name || '" CASCADE CONSTRAINTS PURGE';
+  EXCEPTION
+    WHEN OTHERS THEN
+      IF SQLCODE != -942 THEN RAISE; END IF;
+  END;
+BEGIN
+${schema.tables.map(table => `  drop_table('${escapeString(table.name)}');`).join('\n')}
+END;
+/`];
+};
+
+/**
+ * Generate CREATE TABLE statement for Oracle
+ * @param {Object} table - Table object
+ * @param {Object} schema - Full schema
+ * @returns {string} - CREATE TABLE statement followed by its comments
+ */
+exports.createTableStatement = (table, schema) => {
+  const columnDefinitions = table.columns.map(column => columnDefinition(column, table));
+
+  // Named primary key and unique constraints; foreign keys are added with ALTER TABLE afterwards
+  const primaryKeyColumns = table.columns.filter(column => column.isPrimaryKey);
+  if (primaryKeyColumns.length > 0) {
+    columnDefinitions.push(`CONSTRAINT "pk_${table.name}" PRIMARY KEY (${primaryKeyColumns.map(col => `"${col.name}"`).join(', ')})`);
+  }
+
+  table.columns
+    .filter(column => column.isUnique && !column.isPrimaryKey)
+    .forEach(column => {
+      columnDefinitions.push(`CONSTRAINT "uq_${table.name}_${column.name}" UNIQUE ("${column.name}")`);
+    });
+
+  const tableDefinition = `-- Table: ${table.name}${table.isWeakEntity ? ' (Weak Entity)' : ''}${table.isLookupTable ? ' (Lookup Table)' : ''}${table.isJunctionTable ? ' (Junction Table)' : ''}
+CREATE TABLE "${table.name}" (
+  ${columnDefinitions.join(',\n  ')}
+);`;
+
+  const commentStatements = [];
+
+  if (table.description) {
+    commentStatements.push(`COMMENT ON TABLE "${table.name}" IS '${escapeString(table.description)}';`);
+  }
+
+  table.columns.forEach(column => {
+    if (column.description) {
+      commentStatements.push(`COMMENT ON COLUMN "${table.name}"."${column.name}" IS '${escapeString(column.description)}';`);
+    }
+  });
+
+  if (commentStatements.length === 0) {
+    return tableDefinition;
+  }
+
+  return tableDefinition + '\n\n-- Add table and column comments\n' + commentStatements.join('\n');
+};
+
+/**
+ * Generate CREATE INDEX statements for Oracle
+ * @param {Object} table - Table object
+ * @param {Object} schema - Full schema
+ * @returns {Array} - CREATE INDEX statements
+ */
+exports.createIndexStatements = (table, schema) => {
+  const indexes = [];
+
+  // Oracle doesn't index foreign keys itself; unindexed ones lock the child table on parent deletes
+  table.columns
+    .filter(column => column.isForeignKey && !column.isPrimaryKey)
+    .forEach(column => {
+      indexes.push(`-- Index for foreign key: ${column.name}
+CREATE INDEX "idx_${table.name}_${column.name}" ON "${table.name}" ("${column.name}");`);
+    });
+
+  // Add indexes for frequently queried columns (heuristic-based)
+  const potentialIndexColumns = table.columns.filter(column =>
+    !column.isPrimaryKey &&
+    !column.isForeignKey &&
+    !column.isUnique &&
+    (column.name.includes('status') ||
+     column.name.includes('type') ||
+     column.name.includes('date') ||
+     column.name.includes('code') ||
+     column.name.includes('category') ||
+     column.name === 'name' ||
+     column.name === 'email')
+  );
+
+  potentialIndexColumns.forEach(column => {
+    indexes.push(`-- Index for commonly queried column: ${column.name}
+CREATE INDEX "idx_${table.name}_${column.name}" ON "${table.name}" ("${column.name}");`);
+  });
+
+  return indexes;
+};
+
+/**
+ * Generate ALTER TABLE statement for adding foreign key
+ * Oracle supports ON DELETE CASCADE and SET NULL only, and has no ON UPDATE actions.
+ * @param {string} tableName - Table name
+ * @param {Object} foreignKey - Foreign key constraint
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.addForeignKeyStatement = (tableName, foreignKey) => {
+  const onDelete = String(foreignKey.onDelete || '').toUpperCase();
+  const onUpdate = String(foreignKey.onUpdate || '').toUpperCase();
+
+  let statement = `ALTER TABLE "${tableName}"
+ADD CONSTRAINT "${foreignKey.constraintName || `fk_${tableName}_${foreignKey.columnName}`}"
+FOREIGN KEY ("${foreignKey.columnName}")
+REFERENCES "${foreignKey.referenceTable}" ("${foreignKey.referenceColumn}")`;
+
+  if (onDelete === 'CASCADE' || onDelete === 'SET NULL') {
+    statement += `\nON DELETE ${onDelete}`;
+  }
+  statement += ';';
+
+  if (onUpdate === 'CASCADE' || onUpdate === 'SET NULL') {
+    statement = `-- Oracle has no ON UPDATE ${onUpdate}; update referencing rows in application code or a trigger\n${statement}`;
+  }
+
+  return statement;
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a foreign key
+ * @param {string} tableName - Table name
+ * @param {string} constraintName - Foreign key constraint name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropForeignKeyStatement = (tableName, constraintName) => {
+  return `ALTER TABLE "${tableName}" DROP CONSTRAINT "${constraintName}";`;
+};
+
+/**
+ * Generate DROP TABLE statement
+ * @param {string} tableName - Table name
+ * @returns {string} - DROP TABLE statement
+ */
+exports.dropTableStatement = (tableName) => {
+  return `DROP TABLE "${tableName}" CASCADE CONSTRAINTS PURGE;`;
+};
+
+/**
+ * Generate a DROP VIEW statement that does nothing when the view doesn't exist
+ * @param {string} viewName - View name
+ * @returns {string} - PL/SQL block
+ */
+exports.dropViewStatement = (viewName) => {
+  return `BEGIN
+  EXECUTE IMMEDIATE 'DROP VIEW "${escapeString(viewName)}"';
+EXCEPTION
+  WHEN OTHERS THEN
+    IF SQLCODE != -942 THEN RAISE; END IF;
+END;
+/`;
+};
+
+/**
+ * Generate ALTER TABLE statements for adding a column
+ * @param {Object} table - Table the column is added to
+ * @param {Object} column - Column object
+ * @returns {string} - ALTER TABLE statement, plus unique constraint and comment if needed
+ */
+exports.addColumnStatement = (table, column) => {
+  const statements = [
+    `ALTER TABLE "${table.name}" ADD (${columnDefinition(column, table)});`
+  ];
+
+  if (column.isUnique && !column.isPrimaryKey) {
+    statements.push(`ALTER TABLE "${table.name}" ADD CONSTRAINT "uq_${table.name}_${column.name}" UNIQUE ("${column.name}");`);
+  }
+
+  if (column.description) {
+    statements.push(`COMMENT ON COLUMN "${table.name}"."${column.name}" IS '${escapeString(column.description)}';`);
+  }
+
+  return statements.join('\n');
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropColumnStatement = (tableName, columnName) => {
+  return `ALTER TABLE "${tableName}" DROP COLUMN "${columnName}";`;
+};
+
+/**
+ * Generate statements for changing a column's type, nullability, default, uniqueness or comment
+ * Oracle rejects MODIFY clauses that restate the current nullability, so only changes are emitted.
+ * @param {Object} table - Table the column belongs to (new definition)
+ * @param {Object} oldColumn - Current column definition
+ * @param {Object} newColumn - Desired column definition
+ * @returns {string} - ALTER TABLE statements
+ */
+exports.alterColumnStatement = (table, oldColumn, newColumn) => {
+  const statements = [];
+  const modify = (clause) => `ALTER TABLE "${table.name}" MODIFY ("${newColumn.name}" ${clause});`;
+  const oldType = mapDataType(oldColumn.dataType);
+  const newType = mapDataType(newColumn.dataType);
+
+  if (oldType !== newType && (oldType === 'CLOB' || newType === 'CLOB')) {
+    // MODIFY can't convert to or from a LOB (ORA-22858)
+    statements.push(`-- Oracle can't change "${newColumn.name}" from ${oldType} to ${newType} in place; add a ${newType} column, copy the values and rename it`);
+  } else if (oldType !== newType) {
+    statements.push(modify(newType));
+  }
+
+  if ((oldColumn.defaultValue || null) !== (newColumn.defaultValue || null)) {
+    statements.push(modify(`DEFAULT ${newColumn.defaultValue ? formatDefaultValue(newColumn.defaultValue, newColumn.dataType) : 'NULL'}`));
+  }
+
+  if ((oldColumn.isNullable === false) !== (newColumn.isNullable === false)) {
+    statements.push(modify(newColumn.isNullable === false ? 'NOT NULL' : 'NULL'));
+  }
+
+  if (oldColumn.isUnique && !newColumn.isUnique) {
+    statements.push(`ALTER TABLE "${table.name}" DROP CONSTRAINT "uq_${table.name}_${newColumn.name}";`);
+  } else if (!oldColumn.isUnique && newColumn.isUnique && !newColumn.isPrimaryKey) {
+    statements.push(`ALTER TABLE "${table.name}" ADD CONSTRAINT "uq_${table.name}_${newColumn.name}" UNIQUE ("${newColumn.name}");`);
+  }
+
+  if ((oldColumn.description || '') !== (newColumn.description || '')) {
+    statements.push(`COMMENT ON COLUMN "${table.name}"."${newColumn.name}" IS '${escapeString(newColumn.description || '')}';`);
+  }
+
+  return statements.join('\n');
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `CREATE INDEX "idx_${tableName}_${columnName}" ON "${tableName}" ("${columnName}");`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `DROP INDEX "idx_${tableName}_${columnName}";`;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- Oracle Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+
+-- Oracle commits every DDL statement, so a migration that fails part-way has to be finished by hand
+WHENEVER SQLERROR EXIT SQL.SQLCODE`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return '-- Migration complete';
+};
+
+/**
+ * Generate CREATE VIEW statements for commonly needed views
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array of CREATE VIEW statements
+ */
+exports.createViewStatements = (schema) => {
+  const views = [];
+
+  // Find tables with typical view potential (e.g., join opportunities)
+  const tablesWithRelationships = new Set();
+
+  schema.relationships.forEach(rel => {
+    tablesWithRelationships.add(rel.sourceTable);
+    tablesWithRelationships.add(rel.targetTable);
+  });
+
+  Array.from(tablesWithRelationships).forEach(tableName => {
+    const table = schema.tables.find(t => t.name === tableName);
+    if (!table) return;
+
+    const relations = schema.relationships.filter(rel =>
+      rel.sourceTable === tableName || rel.targetTable === tableName
+    );
+
+    // Skip if not enough relationships
+    if (relations.length < 2) return;
+
+    const joinClauses = [];
+    const selectColumns = table.columns.map(c => `t."${c.name}"`);
+
+    relations.forEach((rel, idx) => {
+      const isSource = rel.sourceTable === tableName;
+      const relatedTableName = isSource ? rel.targetTable : rel.sourceTable;
+      const relatedTable = schema.tables.find(t => t.name === relatedTableName);
+
+      // Skip junction tables for the view to keep it simpler
+      if (!relatedTable || relatedTable.isJunctionTable) return;
+
+      // Oracle table aliases are written without AS
+      const alias = `r${idx + 1}`;
+
+      if (isSource) {
+        joinClauses.push(`LEFT JOIN "${relatedTableName}" ${alias} ON t."${rel.sourceColumn}" = ${alias}."${rel.targetColumn}"`);
+      } else {
+        joinClauses.push(`LEFT JOIN "${relatedTableName}" ${alias} ON ${alias}."${rel.sourceColumn}" = t."${rel.targetColumn}"`);
+      }
+
+      // Add columns from related table, except for the join key to avoid duplication
+      selectColumns.push(...relatedTable.columns
+        .filter(c => !(isSource && c.name === rel.targetColumn) &&
+                    !(!isSource && c.name === rel.sourceColumn))
+        .map(c => `${alias}."${c.name}" AS "${relatedTableName}_${c.name}"`));
+    });
+
+    if (joinClauses.length === 0) return;
+
+    views.push(`-- View for ${tableName} with related data
+CREATE OR REPLACE VIEW "v_${tableName}_details" AS
+SELECT
+  ${selectColumns.join(',\n  ')}
+FROM "${tableName}" t
+${joinClauses.join('\n')};
+
+COMMENT ON TABLE "v_${tableName}_details" IS 'Detailed view for ${escapeString(tableName)} with joined related data';`);
+  });
+
+  return views;
+};
+
+/**
+ * Generate Oracle triggers for automatic timestamp updates
+ * @param {Object} schema - Database schema
+ * @returns {Array} - Array of CREATE TRIGGER statements
+ */
+exports.createTriggerStatements = (schema) => {
+  return schema.tables
+    .filter(table => table.columns.some(col => col.name === 'updated_at'))
+    .map(table => `-- Trigger for automatic updated_at timestamp on ${table.name}
+CREATE OR REPLACE TRIGGER "trig_${table.name}_update_timestamp"
+BEFORE UPDATE ON "${table.name}"
+FOR EACH ROW
+BEGIN
+  :NEW."updated_at" := CURRENT_TIMESTAMP;
+END;
+/`);
+};
+
+/**
+ * Generate seed data for lookup tables
+ * Oracle before 23c takes one row per INSERT, so each value gets its own statement.
+ * @param {Object} table - Table object
+ * @returns {Array} - Array of INSERT statements
+ */
+exports.generateSeedData = (table) => {
+  // Only generate seed data for lookup tables
+  if (!table.isLookupTable) return [];
+
+  // Leave identity primary keys and timestamps to their defaults
+  const columns = table.columns.filter(col =>
+    !isIdentityColumn(col, table) &&
+    col.name !== 'created_at' &&
+    col.name !== 'updated_at'
+  );
+
+  if (columns.length === 0) return [];
+
+  let names;
+  if (table.name.includes('status')) {
+    names = ['Active', 'Inactive', 'Pending', 'Completed', 'Cancelled'];
+  } else if (table.name.includes('type')) {
+    names = ['Standard', 'Premium', 'Basic', 'Custom', 'Enterprise'];
+  } else if (table.name.includes('category')) {
+    names = ['General', 'Electronics', 'Clothing', 'Food', 'Services'];
+  } else if (table.name.includes('priority')) {
+    names = ['Low', 'Medium', 'High', 'Critical', 'Urgent'];
+  } else if (table.name.includes('role')) {
+    names = ['Admin', 'User', 'Manager', 'Guest', 'SuperAdmin'];
+  } else {
+    names = ['Value 1', 'Value 2', 'Value 3', 'Value 4', 'Value 5'];
+  }
+
+  const columnList = columns.map(col => `"${col.name}"`).join(', ');
+  const inserts = generateValuesList(columns, names)
+    .map(values => `INSERT INTO "${table.name}" (${columnList}) VALUES ${values};`);
+
+  return [`-- Seed data for lookup table: ${table.name}\n${inserts.join('\n')}`];
+};
+
+/**
+ * Generate one VALUES row per example name
+ * @param {Array} columns - Columns to generate values for
+ * @param {Array} names - Example names to use
+ * @returns {Array} - Parenthesized value lists
+ */
+function generateValuesList(columns, names) {
+  return names.map((name, idx) => {
+    const values = columns.map(col => {
+      if (col.name === 'name' || col.name === 'label' || col.name === 'title') {
+        return `'${escapeString(name)}'`;
+      } else if (col.name === 'code' || col.name === 'key') {
+        return `'${name.substring(0, 3).toUpperCase()}'`;
+      } else if (col.name === 'value' || col.name === 'id') {
+        return idx + 1;
+      } else if (col.name === 'description') {
+        return `'${escapeString(name)} description'`;
+      } else if (col.name === 'is_active' || col.name === 'active') {
+        return '1';
+      } else if (col.name === 'display_order' || col.name === 'sort_order') {
+        return idx + 1;
+      } else if ((col.dataType || '').toUpperCase().includes('INT')) {
+        return idx + 1;
+      }
+      return `'Value ${idx + 1}'`;
+    });
+
+    return `(${values.join(', ')})`;
+  });
+}
+
+/**
+ * Generate footer for the SQL script
+ * @param {Object} schema - Database schema
+ * @returns {string} - Footer comment
+ */
+exports.footerComment = (schema) => {
+  return `-- Commit seed data
+COMMIT;
+
+-- Script execution completed
+-- Schema: ${schema.name}
+-- Tables: ${schema.tables.length}`;
+};
+
+/**
+ * Generate the definition of a single column
+ * Oracle wants DEFAULT before NOT NULL; boolean and JSON columns carry a named check constraint.
+ * @param {Object} column - Column object
+ * @param {Object} table - Table the column belongs to
+ * @returns {string} - Column definition
+ */
+function columnDefinition(column, table) {
+  const dataType = mapDataType(column.dataType);
+  let definition = `"${column.name}" ${dataType}`;
+
+  if (isIdentityColumn(column, table)) {
+    return `${definition} GENERATED BY DEFAULT ON NULL AS IDENTITY`;
+  }
+
+  if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+
+  if (column.isNullable === false || column.isPrimaryKey) {
+    definition += ' NOT NULL';
+  }
+
+  const sourceType = baseType(column.dataType);
+  if (['BOOLEAN', 'BOOL'].includes(sourceType)) {
+    definition += ` CONSTRAINT "ck_${table.name}_${column.name}" CHECK ("${column.name}" IN (0, 1))`;
+  } else if (['JSON', 'JSONB'].includes(sourceType)) {
+    definition += ` CONSTRAINT "ck_${table.name}_${column.name}" CHECK ("${column.name}" IS JSON)`;
+  }
+
+  return definition;
+}
+
+/**
+ * Check whether a column becomes an identity column: the only primary key column, with an integer type
+ * @param {Object} column - Column object
+ * @param {Object} table - Table the column belongs to
+ * @returns {boolean} - True for identity columns
+ */
+function isIdentityColumn(column, table) {
+  return Boolean(column.isPrimaryKey) &&
+    table.columns.filter(col => col.isPrimaryKey).length === 1 &&
+    IDENTITY_TYPES.includes(baseType(column.dataType));
+}
+
+/**
+ * Format default value for Oracle
+ * @param {string} value - Default value
+ * @param {string} dataType - Column data type (as in the schema)
+ * @returns {string} - Formatted default value
+ */
+function formatDefaultValue(value, dataType) {
+  const text = String(value);
+  const type = baseType(dataType);
+
+  if (text === 'CURRENT_TIMESTAMP' || text === 'NOW()') {
+    return type === 'DATE' ? 'SYSDATE' : 'CURRENT_TIMESTAMP';
+  } else if (text === 'NULL') {
+    return 'NULL';
+  } else if (['BOOLEAN', 'BOOL'].includes(type)) {
+    return ['true', '1', 'yes'].includes(text.toLowerCase()) ? '1' : '0';
+  } else if (/INT|FLOAT|DOUBLE|DECIMAL|NUMERIC|NUMBER|REAL/.test(type) && !isNaN(text)) {
+    // For numeric types, don't quote numeric values
+    return text;
+  }
+
+  return `'${escapeString(text)}'`;
+}
+
+/**
+ * Escape string for Oracle
+ * @param {string} str - String to escape
+ * @returns {string} - Escaped string
+ */
+function escapeString(str) {
+  if (typeof str !== 'string') return str;
+  return str.replace(/'/g, "''");
+}
+
+function baseType(dataType) {
+  return String(dataType || '').trim().toUpperCase().replace(/\s*\(.*$/, '');
+}
+
+/**
+ * Map MySQL-style data types to Oracle data types
+ * @param {string} dataType - Schema data type
+ * @returns {string} - Oracle data type
+ */
+function mapDataType(dataType) {
+  if (!dataType) return 'VARCHAR2(255 CHAR)';
+
+  const match = dataType.trim().match(/^([A-Za-z_][\w ]*?)\s*(?:\(([^)]+)\))?$/);
+  if (!match) return dataType;
+
+  const type = match[1].toUpperCase();
+  const size = match[2] && match[2].replace(/\s+/g, '');
+
+  switch (type) {
+    case 'TINYINT':
+      return 'NUMBER(3)';
+    case 'SMALLINT':
+      return 'NUMBER(5)';
+    case 'INT':
+    case 'INTEGER':
+    case 'MEDIUMINT':
+    case 'SERIAL':
+      return 'NUMBER(10)';
+    case 'BIGINT':
+    case 'BIGSERIAL':
+      return 'NUMBER(19)';
+    case 'DECIMAL':
+    case 'NUMERIC':
+    case 'NUMBER':
+      return `NUMBER(${size || '10,2'})`;
+    case 'FLOAT':
+    case 'REAL':
+      return 'BINARY_FLOAT';
+    case 'DOUBLE':
+    case 'DOUBLE PRECISION':
+      return 'BINARY_DOUBLE';
+    case 'BOOLEAN':
+    case 'BOOL':
+      return 'NUMBER(1)';
+    case 'CHAR':
+    case 'NCHAR':
+      return `CHAR(${size || 50} CHAR)`;
+    case 'VARCHAR':
+    case 'VARCHAR2':
+    case 'NVARCHAR':
+    case 'CHARACTER VARYING':
+      return Number(size) > MAX_VARCHAR2_LENGTH ? 'CLOB' : `VARCHAR2(${size || 255} CHAR)`;
+    case 'TEXT':
+    case 'TINYTEXT':
+    case 'MEDIUMTEXT':
+    case 'LONGTEXT':
+    case 'CLOB':
+    case 'JSON':
+    case 'JSONB':
+      return 'CLOB';
+    case 'DATE':
+      return 'DATE';
+    case 'DATETIME':
+    case 'TIMESTAMP':
+      return 'TIMESTAMP';
+    case 'TIME':
+      return 'INTERVAL DAY(0) TO SECOND(0)';
+    case 'YEAR':
+      return 'NUMBER(4)';
+    case 'BLOB':
+    case 'TINYBLOB':
+    case 'MEDIUMBLOB':
+    case 'LONGBLOB':
+    case 'BYTEA':
+    case 'BINARY':
+    case 'VARBINARY':
+      return 'BLOB';
+    case 'UUID':
+      return 'VARCHAR2(36 CHAR)';
+    case 'ENUM':
+    case 'SET':
+      return 'VARCHAR2(255 CHAR)';
+    default:
+      return dataType;
+  }
+}
+
+module.exports = exports;
@@ -3,6 +3,24 @@
  * Enhanced version with support for additional features
  */
 
+/**
+ * Words PostgreSQL reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ALL', 'ANALYSE', 'ANALYZE', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'ASYMMETRIC',
+  'AUTHORIZATION', 'BINARY', 'BOTH', 'CASE', 'CAST', 'CHECK', 'COLLATE', 'COLLATION', 'COLUMN',
+  'CONCURRENTLY', 'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT_CATALOG', 'CURRENT_DATE',
+  'CURRENT_ROLE', 'CURRENT_SCHEMA', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER',
+  'DEFAULT', 'DEFERRABLE', 'DESC', 'DISTINCT', 'DO', 'ELSE', 'END', 'EXCEPT', 'FALSE', 'FETCH',
+  'FOR', 'FOREIGN', 'FREEZE', 'FROM', 'FULL', 'GRANT', 'GROUP', 'HAVING', 'ILIKE', 'IN',
+  'INITIALLY', 'INNER', 'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'LATERAL', 'LEADING',
+  'LEFT', 'LIKE', 'LIMIT', 'LOCALTIME', 'LOCALTIMESTAMP', 'NATURAL', 'NOT', 'NOTNULL', 'NULL',
+  'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER', 'OUTER', 'OVERLAPS', 'PLACING', 'PRIMARY',
+  'REFERENCES', 'RETURNING', 'RIGHT', 'SELECT', 'SESSION_USER', 'SIMILAR', 'SOME', 'SYMMETRIC',
+  'TABLE', 'TABLESAMPLE', 'THEN', 'TO', 'TRAILING', 'TRUE', 'UNION', 'UNIQUE', 'USER', 'USING',
+  'VARIADIC', 'VERBOSE', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+];
+
 /**
  * Generate a header comment for the SQL script
  * @param {Object} schema - Database schema
@@ -84,40 +102,7 @@ exports.createTableStatement = (table, schema) => {
     dataType: mapDataType(column.dataType)
   }));
   
-  const columnDefinitions = mappedColumns.map(column => {
-    let definition = `"${column.name}" ${column.dataType}`;
-    
-    // Handle auto-increment/sequences for primary keys
-    if (column.isPrimaryKey && 
-        !isCompositePrimaryKey(table) && 
-        ['INTEGER', 'BIGINT', 'SMALLINT'].includes(column.dataType.toUpperCase())) {
-      
-      // Use SERIAL types for auto-increment in PostgreSQL
-      if (column.dataType.toUpperCase() === 'INTEGER') {
-        definition = `"${column.name}" SERIAL`;
-      } else if (column.dataType.toUpperCase() === 'BIGINT') {
-        definition = `"${column.name}" BIGSERIAL`;
-      } else if (column.dataType.toUpperCase() === 'SMALLINT') {
-        definition = `"${column.name}" SMALLSERIAL`;
-      }
-    }
-    
-    if (column.isNullable === false) {
-      definition += ' NOT NULL';
-    } else {
-      definition += ' NULL';
-    }
-    
-    if (column.defaultValue) {
-      definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
-    }
-    
-    if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
-      definition += ' PRIMARY KEY';
-    }
-    
-    return definition;
-  });
+  const columnDefinitions = mappedColumns.map(column => columnDefinition(column, table));
   
   // Handle composite primary keys
   const primaryKeyColumns = table.columns.filter(column => column.isPrimaryKey);
@@ -253,6 +238,154 @@ ON DELETE ${foreignKey.onDelete}
 ON UPDATE ${foreignKey.onUpdate};`;
 };
 
+/**
+ * Generate ALTER TABLE statement for dropping a foreign key
+ * @param {string} tableName - Table name
+ * @param {string} constraintName - Foreign key constraint name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropForeignKeyStatement = (tableName, constraintName) => {
+  return `ALTER TABLE "${tableName}" DROP CONSTRAINT IF EXISTS "${constraintName}";`;
+};
+
+/**
+ * Generate DROP TABLE statement
+ * @param {string} tableName - Table name
+ * @returns {string} - DROP TABLE statement
+ */
+exports.dropTableStatement = (tableName) => {
+  return `DROP TABLE IF EXISTS "${tableName}" CASCADE;`;
+};
+
+/**
+ * Generate DROP VIEW statement
+ * @param {string} viewName - View name
+ * @returns {string} - DROP VIEW statement
+ */
+exports.dropViewStatement = (viewName) => {
+  return `DROP VIEW IF EXISTS "${viewName}";`;
+};
+
+/**
+ * Generate ALTER TABLE statements for adding a column
+ * @param {Object} table - Table the column is added to
+ * @param {Object} column - Column object
+ * @returns {string} - ALTER TABLE statement, plus unique constraint and comment if needed
+ */
+exports.addColumnStatement = (table, column) => {
+  const mappedColumn = { ...column, dataType: mapDataType(column.dataType) };
+  const statements = [
+    `ALTER TABLE "${table.name}" ADD COLUMN ${columnDefinition(mappedColumn, table)};`
+  ];
+  
+  if (column.isUnique && !column.isPrimaryKey) {
+    statements.push(`ALTER TABLE "${table.name}" ADD CONSTRAINT "unique_${table.name}_${column.name}" UNIQUE ("${column.name}");`);
+  }
+  
+  if (column.description) {
+    statements.push(`COMMENT ON COLUMN "${table.name}"."${column.name}" IS '${escapeString(column.description)}';`);
+  }
+  
+  return statements.join('\n');
+};
+
+/**
+ * Generate ALTER TABLE statement for dropping a column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropColumnStatement = (tableName, columnName) => {
+  return `ALTER TABLE "${tableName}" DROP COLUMN IF EXISTS "${columnName}";`;
+};
+
+/**
+ * Generate statements for changing a column's type, nullability, default, uniqueness or comment
+ * @param {Object} table - Table the column belongs to (new definition)
+ * @param {Object} oldColumn - Current column definition
+ * @param {Object} newColumn - Desired column definition
+ * @returns {string} - ALTER TABLE statements
+ */
+exports.alterColumnStatement = (table, oldColumn, newColumn) => {
+  const statements = [];
+  const alter = `ALTER TABLE "${table.name}" ALTER COLUMN "${newColumn.name}"`;
+  const oldType = mapDataType(oldColumn.dataType);
+  const newType = mapDataType(newColumn.dataType);
+  
+  if (oldType !== newType) {
+    statements.push(`${alter} TYPE ${newType} USING "${newColumn.name}"::${newType};`);
+  }
+  
+  if ((oldColumn.isNullable === false) !== (newColumn.isNullable === false)) {
+    statements.push(`${alter} ${newColumn.isNullable === false ? 'SET' : 'DROP'} NOT NULL;`);
+  }
+  
+  if ((oldColumn.defaultValue || null) !== (newColumn.defaultValue || null)) {
+    statements.push(newColumn.defaultValue
+      ? `${alter} SET DEFAULT ${formatDefaultValue(newColumn.defaultValue, newType)};`
+      : `${alter} DROP DEFAULT;`);
+  }
+  
+  if (oldColumn.isUnique && !newColumn.isUnique) {
+    statements.push(`ALTER TABLE "${table.name}" DROP CONSTRAINT IF EXISTS "unique_${table.name}_${newColumn.name}";`);
+  } else if (!oldColumn.isUnique && newColumn.isUnique && !newColumn.isPrimaryKey) {
+    statements.push(`ALTER TABLE "${table.name}" ADD CONSTRAINT "unique_${table.name}_${newColumn.name}" UNIQUE ("${newColumn.name}");`);
+  }
+  
+  if ((oldColumn.description || '') !== (newColumn.description || '')) {
+    statements.push(`COMMENT ON COLUMN "${table.name}"."${newColumn.name}" IS ${newColumn.description ? `'${escapeString(newColumn.description)}'` : 'NULL'};`);
+  }
+  
+  return statements.join('\n');
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `CREATE INDEX IF NOT EXISTS "idx_${tableName}_${columnName}" ON "${tableName}" ("${columnName}");`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `DROP INDEX IF EXISTS "idx_${tableName}_${columnName}";`;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- PostgreSQL Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+
+-- DDL is transactional in PostgreSQL, so the whole migration applies or nothing does
+BEGIN;
+
+SET search_path TO "${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}", public;`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return `-- Commit migration
+COMMIT;`;
+};
+
 /**
  * Generate CREATE VIEW statements for commonly needed views
  * @param {Object} schema - Database schema
@@ -472,6 +605,47 @@ COMMIT;
 -- Tables: ${schema.tables.length}`;
 };
 
+/**
+ * Generate the definition of a single column
+ * @param {Object} column - Column object with a PostgreSQL data type
+ * @param {Object} table - Table the column belongs to
+ * @returns {string} - Column definition
+ */
+function columnDefinition(column, table) {
+  let definition = `"${column.name}" ${column.dataType}`;
+  
+  // Handle auto-increment/sequences for primary keys
+  if (column.isPrimaryKey && 
+      !isCompositePrimaryKey(table) && 
+      ['INTEGER', 'BIGINT', 'SMALLINT'].includes(column.dataType.toUpperCase())) {
+    
+    // Use SERIAL types for auto-increment in PostgreSQL
+    if (column.dataType.toUpperCase() === 'INTEGER') {
+      definition = `"${column.name}" SERIAL`;
+    } else if (column.dataType.toUpperCase() === 'BIGINT') {
+      definition = `"${column.name}" BIGSERIAL`;
+    } else if (column.dataType.toUpperCase() === 'SMALLINT') {
+      definition = `"${column.name}" SMALLSERIAL`;
+    }
+  }
+  
+  if (column.isNullable === false) {
+    definition += ' NOT NULL';
+  } else {
+    definition += ' NULL';
+  }
+  
+  if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+  
+  if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
+    definition += ' PRIMARY KEY';
+  }
+  
+  return definition;
+}
+
 /**
  * Format default value for PostgreSQL
  * @param {string} value - Default value
@@ -3,6 +3,26 @@
  * Enhanced version with support for additional features
  */
 
+/**
+ * Words SQLite reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ABORT', 'ACTION', 'ADD', 'AFTER', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'AS', 'ASC', 'ATTACH',
+  'AUTOINCREMENT', 'BEFORE', 'BEGIN', 'BETWEEN', 'BY', 'CASCADE', 'CASE', 'CAST', 'CHECK',
+  'COLLATE', 'COLUMN', 'COMMIT', 'CONFLICT', 'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT_DATE',
+  'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DATABASE', 'DEFAULT', 'DEFERRABLE', 'DEFERRED',
+  'DELETE', 'DESC', 'DETACH', 'DISTINCT', 'DROP', 'EACH', 'ELSE', 'END', 'ESCAPE', 'EXCEPT',
+  'EXCLUSIVE', 'EXISTS', 'EXPLAIN', 'FAIL', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GLOB', 'GROUP',
+  'HAVING', 'IF', 'IGNORE', 'IMMEDIATE', 'IN', 'INDEX', 'INDEXED', 'INITIALLY', 'INNER',
+  'INSERT', 'INSTEAD', 'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'KEY', 'LEFT', 'LIKE',
+  'LIMIT', 'MATCH', 'NATURAL', 'NO', 'NOT', 'NOTNULL', 'NULL', 'OF', 'OFFSET', 'ON', 'OR',
+  'ORDER', 'OUTER', 'PLAN', 'PRAGMA', 'PRIMARY', 'QUERY', 'RAISE', 'RECURSIVE', 'REFERENCES',
+  'REGEXP', 'REINDEX', 'RELEASE', 'RENAME', 'REPLACE', 'RESTRICT', 'RIGHT', 'ROLLBACK', 'ROW',
+  'SAVEPOINT', 'SELECT', 'SET', 'TABLE', 'TEMP', 'TEMPORARY', 'THEN', 'TO', 'TRANSACTION',
+  'TRIGGER', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VACUUM', 'VALUES', 'VIEW', 'VIRTUAL',
+  'WHEN', 'WHERE', 'WITH', 'WITHOUT'
+];
+
 /**
  * Generate a header comment for the SQL script
  * @param {Object} schema - Database schema
@@ -46,28 +66,7 @@ exports.createTableStatement = (table, schema) => {
     dataType: mapDataType(column.dataType)
   }));
   
-  const columnDefinitions = mappedColumns.map(column => {
-    let definition = `"${column.name}" ${column.dataType}`;
-    
-    if (column.isNullable === false) {
-      definition += ' NOT NULL';
-    }
-    
-    if (column.defaultValue) {
-      definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
-    }
-    
-    if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
-      definition += ' PRIMARY KEY';
-      
-      // Auto-increment for INTEGER primary keys
-      if (column.dataType.toUpperCase() === 'INTEGER') {
-        definition += ' AUTOINCREMENT';
-      }
-    }
-    
-    return definition;
-  });
+  const columnDefinitions = mappedColumns.map(column => columnDefinition(column, table));
   
   // Handle composite primary keys
   const primaryKeyColumns = table.columns.filter(column => column.isPrimaryKey);
@@ -105,22 +104,7 @@ CREATE TABLE IF NOT EXISTS "${table.name}" (
 );`;
   
   // Create statements to add metadata for table and column descriptions
-  const metadataStatements = [];
-  
-  if (table.description) {
-    metadataStatements.push(`-- Add table description
-INSERT OR REPLACE INTO "schema_metadata" ("object_type", "object_name", "description") 
-VALUES ('table', '${table.name}', '${escapeString(table.description)}');`);
-  }
-  
-  // Add column descriptions
-  mappedColumns.forEach(column => {
-    if (column.description) {
-      metadataStatements.push(`-- Add column description
-INSERT OR REPLACE INTO "schema_metadata" ("object_type", "object_name", "description") 
-VALUES ('column', '${table.name}.${column.name}', '${escapeString(column.description)}');`);
-    }
-  });
+  const metadataStatements = generateMetadataStatements(table, mappedColumns);
   
   return tableDefinition + (metadataStatements.length > 0 ? '\n\n' + metadataStatements.join('\n') : '');
 };
@@ -197,6 +181,153 @@ exports.addForeignKeyStatement = (tableName, foreignKey) => {
 -- To add a foreign key constraint, you need to recreate the table with the constraint`;
 };
 
+/**
+ * Generate DROP TABLE statement
+ * @param {string} tableName - Table name
+ * @returns {string} - DROP TABLE statement
+ */
+exports.dropTableStatement = (tableName) => {
+  return `DROP TABLE IF EXISTS "${tableName}";`;
+};
+
+/**
+ * Generate DROP VIEW statement
+ * @param {string} viewName - View name
+ * @returns {string} - DROP VIEW statement
+ */
+exports.dropViewStatement = (viewName) => {
+  return `DROP VIEW IF EXISTS "${viewName}";`;
+};
+
+/**
+ * Generate ALTER TABLE statement for adding a column
+ * SQLite can only add columns that are not keys or unique; anything else needs a table rebuild
+ * @param {Object} table - Table the column is added to
+ * @param {Object} column - Column object
+ * @returns {string} - ALTER TABLE statement, plus metadata insert if needed
+ */
+exports.addColumnStatement = (table, column) => {
+  const mappedColumn = { ...column, dataType: mapDataType(column.dataType) };
+  const statements = [
+    `ALTER TABLE "${table.name}" ADD COLUMN ${columnDefinition(mappedColumn, table)};`,
+    ...generateMetadataStatements({ name: table.name }, [mappedColumn])
+  ];
+  
+  return statements.join('\n');
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `CREATE INDEX IF NOT EXISTS "idx_${tableName}_${columnName}" ON "${tableName}" ("${columnName}");`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `DROP INDEX IF EXISTS "idx_${tableName}_${columnName}";`;
+};
+
+/**
+ * Generate statements that rebuild a table with a new definition.
+ * SQLite cannot alter column types or constraints in place, so this follows the procedure
+ * from the SQLite documentation: create the new table, copy the shared columns, drop the
+ * old table and rename the new one. Foreign key enforcement must be off while this runs.
+ * @param {Object} oldTable - Current table definition
+ * @param {Object} newTable - Desired table definition
+ * @param {Object} schema - Full schema (new definition)
+ * @returns {Array} - Statements that perform the rebuild
+ */
+exports.rebuildTableStatements = (oldTable, newTable, schema) => {
+  const temporaryName = `_${newTable.name}_new`;
+  
+  // Descriptions are recorded against the final table name once the rename is done
+  const temporaryTable = {
+    ...newTable,
+    name: temporaryName,
+    description: '',
+    isWeakEntity: false,
+    isLookupTable: false,
+    isJunctionTable: false,
+    columns: newTable.columns.map(column => ({ ...column, description: '' }))
+  };
+  
+  const oldColumns = new Map(oldTable.columns.map(column => [column.name, column]));
+  const copiedColumns = newTable.columns.filter(column => oldColumns.has(column.name));
+  const sharedColumns = copiedColumns.map(column => `"${column.name}"`).join(', ');
+  
+  // Columns that become NOT NULL take their default in place of existing NULLs
+  const selectedColumns = copiedColumns.map(column => {
+    const oldColumn = oldColumns.get(column.name);
+    if (column.isNullable === false && oldColumn.isNullable !== false && column.defaultValue) {
+      return `COALESCE("${column.name}", ${formatDefaultValue(column.defaultValue, column.dataType)})`;
+    }
+    return `"${column.name}"`;
+  }).join(', ');
+  
+  const statements = [
+    `-- Rebuild table: ${newTable.name} (SQLite cannot alter columns or constraints in place)
+${exports.createTableStatement(temporaryTable, schema).replace(/^-- Table: .*\n/, '')}`
+  ];
+  
+  if (sharedColumns) {
+    statements.push(`INSERT INTO "${temporaryName}" (${sharedColumns})
+SELECT ${selectedColumns} FROM "${newTable.name}";`);
+  }
+  
+  statements.push(`DROP TABLE "${newTable.name}";`);
+  statements.push(`ALTER TABLE "${temporaryName}" RENAME TO "${newTable.name}";`);
+  
+  const metadataStatements = generateMetadataStatements(newTable, newTable.columns);
+  if (metadataStatements.length > 0) {
+    statements.push(...metadataStatements);
+  }
+  
+  // Indexes are dropped together with the old table
+  statements.push(...exports.createIndexStatements(newTable, { ...schema, tables: [] }));
+  
+  statements.push(`PRAGMA foreign_key_check("${newTable.name}");`);
+  
+  return statements;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- SQLite Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+
+-- Foreign keys must be disabled outside the transaction for table rebuilds
+PRAGMA foreign_keys = OFF;
+
+BEGIN TRANSACTION;`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return `-- Commit migration and re-enable foreign key constraints
+COMMIT;
+
+PRAGMA foreign_keys = ON;`;
+};
+
 /**
  * Generate CREATE VIEW statements for SQLite
  * @param {Object} schema - Database schema
@@ -379,6 +510,62 @@ exports.footerComment = (schema) => {
 -- Tables: ${schema.tables.length}`;
 };
 
+/**
+ * Generate the definition of a single column
+ * @param {Object} column - Column object with a SQLite data type
+ * @param {Object} table - Table the column belongs to
+ * @returns {string} - Column definition
+ */
+function columnDefinition(column, table) {
+  let definition = `"${column.name}" ${column.dataType}`;
+  
+  if (column.isNullable === false) {
+    definition += ' NOT NULL';
+  }
+  
+  if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+  
+  if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
+    definition += ' PRIMARY KEY';
+    
+    // Auto-increment for INTEGER primary keys
+    if (column.dataType.toUpperCase() === 'INTEGER') {
+      definition += ' AUTOINCREMENT';
+    }
+  }
+  
+  return definition;
+}
+
+/**
+ * Generate statements that record table and column descriptions in the metadata table
+ * @param {Object} table - Table object
+ * @param {Array} columns - Columns of the table
+ * @returns {Array} - INSERT statements
+ */
+function generateMetadataStatements(table, columns) {
+  const metadataStatements = [];
+  
+  if (table.description) {
+    metadataStatements.push(`-- Add table description
+INSERT OR REPLACE INTO "schema_metadata" ("object_type", "object_name", "description") 
+VALUES ('table', '${table.name}', '${escapeString(table.description)}');`);
+  }
+  
+  // Add column descriptions
+  columns.forEach(column => {
+    if (column.description) {
+      metadataStatements.push(`-- Add column description
+INSERT OR REPLACE INTO "schema_metadata" ("object_type", "object_name", "description") 
+VALUES ('column', '${table.name}.${column.name}', '${escapeString(column.description)}');`);
+    }
+  });
+  
+  return metadataStatements;
+}
+
 /**
  * Format default value for SQLite
  * @param {string} value - Default value
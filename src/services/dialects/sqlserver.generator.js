@@ -3,6 +3,32 @@
  * Enhanced version with support for additional features
  */
 
+/**
+ * Words SQL Server reserves; identifiers using them only work when quoted
+ */
+exports.reservedWords = [
+  'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'AUTHORIZATION', 'BACKUP', 'BEGIN',
+  'BETWEEN', 'BREAK', 'BROWSE', 'BULK', 'BY', 'CASCADE', 'CASE', 'CHECK', 'CHECKPOINT', 'CLOSE',
+  'CLUSTERED', 'COALESCE', 'COLLATE', 'COLUMN', 'COMMIT', 'COMPUTE', 'CONSTRAINT', 'CONTAINS',
+  'CONTAINSTABLE', 'CONTINUE', 'CONVERT', 'CREATE', 'CROSS', 'CURRENT', 'CURRENT_DATE',
+  'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURSOR', 'DATABASE', 'DBCC',
+  'DEALLOCATE', 'DECLARE', 'DEFAULT', 'DELETE', 'DENY', 'DESC', 'DISK', 'DISTINCT',
+  'DISTRIBUTED', 'DOUBLE', 'DROP', 'DUMP', 'ELSE', 'END', 'ERRLVL', 'ESCAPE', 'EXCEPT', 'EXEC',
+  'EXECUTE', 'EXISTS', 'EXIT', 'EXTERNAL', 'FETCH', 'FILE', 'FILLFACTOR', 'FOR', 'FOREIGN',
+  'FREETEXT', 'FROM', 'FULL', 'FUNCTION', 'GOTO', 'GRANT', 'GROUP', 'HAVING', 'HOLDLOCK',
+  'IDENTITY', 'IDENTITYCOL', 'IF', 'IN', 'INDEX', 'INNER', 'INSERT', 'INTERSECT', 'INTO', 'IS',
+  'JOIN', 'KEY', 'KILL', 'LEFT', 'LIKE', 'LINENO', 'LOAD', 'MERGE', 'NATIONAL', 'NOCHECK',
+  'NONCLUSTERED', 'NOT', 'NULL', 'NULLIF', 'OF', 'OFF', 'OFFSETS', 'ON', 'OPEN', 'OPTION', 'OR',
+  'ORDER', 'OUTER', 'OVER', 'PERCENT', 'PIVOT', 'PLAN', 'PRECISION', 'PRIMARY', 'PRINT', 'PROC',
+  'PROCEDURE', 'PUBLIC', 'RAISERROR', 'READ', 'READTEXT', 'RECONFIGURE', 'REFERENCES',
+  'REPLICATION', 'RESTORE', 'RESTRICT', 'RETURN', 'REVERT', 'REVOKE', 'RIGHT', 'ROLLBACK',
+  'ROWCOUNT', 'ROWGUIDCOL', 'RULE', 'SAVE', 'SCHEMA', 'SELECT', 'SESSION_USER', 'SET',
+  'SETUSER', 'SHUTDOWN', 'SOME', 'STATISTICS', 'SYSTEM_USER', 'TABLE', 'TABLESAMPLE',
+  'TEXTSIZE', 'THEN', 'TO', 'TOP', 'TRAN', 'TRANSACTION', 'TRIGGER', 'TRUNCATE', 'TRY_CONVERT',
+  'TSEQUAL', 'UNION', 'UNIQUE', 'UNPIVOT', 'UPDATE', 'UPDATETEXT', 'USE', 'USER', 'VALUES',
+  'VARYING', 'VIEW', 'WAITFOR', 'WHEN', 'WHERE', 'WHILE', 'WITH', 'WRITETEXT'
+];
+
 /**
  * Generate a header comment for the SQL script
  * @param {Object} schema - Database schema
@@ -71,32 +97,7 @@ exports.createTableStatement = (table, schema) => {
     dataType: mapDataType(column.dataType)
   }));
   
-  const columnDefinitions = mappedColumns.map(column => {
-    let definition = `[${column.name}] ${column.dataType}`;
-    
-    // Handle identity for primary keys (SQL Server's auto-increment)
-    if (column.isPrimaryKey && 
-        !isCompositePrimaryKey(table) && 
-        ['INT', 'BIGINT', 'SMALLINT', 'TINYINT'].includes(column.dataType.toUpperCase())) {
-      definition += ' IDENTITY(1,1)';
-    }
-    
-    if (column.isNullable === false) {
-      definition += ' NOT NULL';
-    } else {
-      definition += ' NULL';
-    }
-    
-    if (column.defaultValue) {
-      definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
-    }
-    
-    if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
-      definition += ' PRIMARY KEY';
-    }
-    
-    return definition;
-  });
+  const columnDefinitions = mappedColumns.map(column => columnDefinition(column, table));
   
   // Handle composite primary keys
   const primaryKeyColumns = table.columns.filter(column => column.isPrimaryKey);
@@ -259,6 +260,182 @@ END
 GO`;
 };
 
+/**
+ * Generate ALTER TABLE statement for dropping a foreign key
+ * @param {string} tableName - Table name
+ * @param {string} constraintName - Foreign key constraint name
+ * @returns {string} - ALTER TABLE statement
+ */
+exports.dropForeignKeyStatement = (tableName, constraintName) => {
+  return `-- Drop foreign key constraint
+IF OBJECT_ID(N'[dbo].[${constraintName}]', N'F') IS NOT NULL
+  ALTER TABLE [dbo].[${tableName}] DROP CONSTRAINT [${constraintName}];
+GO`;
+};
+
+/**
+ * Generate DROP TABLE statement
+ * @param {string} tableName - Table name
+ * @returns {string} - DROP TABLE statement
+ */
+exports.dropTableStatement = (tableName) => {
+  return `IF OBJECT_ID(N'[dbo].[${tableName}]', N'U') IS NOT NULL
+  DROP TABLE [dbo].[${tableName}];
+GO`;
+};
+
+/**
+ * Generate DROP VIEW statement
+ * @param {string} viewName - View name
+ * @returns {string} - DROP VIEW statement
+ */
+exports.dropViewStatement = (viewName) => {
+  return `IF OBJECT_ID(N'[dbo].[${viewName}]', N'V') IS NOT NULL
+  DROP VIEW [dbo].[${viewName}];
+GO`;
+};
+
+/**
+ * Generate ALTER TABLE statements for adding a column
+ * @param {Object} table - Table the column is added to
+ * @param {Object} column - Column object
+ * @returns {string} - ALTER TABLE statement, plus unique constraint and description if needed
+ */
+exports.addColumnStatement = (table, column) => {
+  const mappedColumn = { ...column, dataType: mapDataType(column.dataType) };
+  const statements = [
+    `ALTER TABLE [dbo].[${table.name}] ADD ${columnDefinition(mappedColumn, table)};`
+  ];
+  
+  if (column.isUnique && !column.isPrimaryKey) {
+    statements.push(`ALTER TABLE [dbo].[${table.name}] ADD CONSTRAINT [UQ_${table.name}_${column.name}] UNIQUE ([${column.name}]);`);
+  }
+  
+  if (column.description) {
+    statements.push(`EXEC sys.sp_addextendedproperty 
+  @name = N'Description', 
+  @value = N'${escapeString(column.description)}',
+  @level0type = N'SCHEMA', @level0name = N'dbo',
+  @level1type = N'TABLE',  @level1name = N'${table.name}',
+  @level2type = N'COLUMN', @level2name = N'${column.name}';`);
+  }
+  
+  return statements.join('\n') + '\nGO';
+};
+
+/**
+ * Generate statements for dropping a column together with its default and unique constraints
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - ALTER TABLE statements
+ */
+exports.dropColumnStatement = (tableName, columnName) => {
+  return `${dropDefaultConstraintStatement(tableName, columnName)}
+IF OBJECT_ID(N'[dbo].[UQ_${tableName}_${columnName}]', N'UQ') IS NOT NULL
+  ALTER TABLE [dbo].[${tableName}] DROP CONSTRAINT [UQ_${tableName}_${columnName}];
+ALTER TABLE [dbo].[${tableName}] DROP COLUMN [${columnName}];
+GO`;
+};
+
+/**
+ * Generate statements for changing a column's type, nullability, default or uniqueness
+ * @param {Object} table - Table the column belongs to (new definition)
+ * @param {Object} oldColumn - Current column definition
+ * @param {Object} newColumn - Desired column definition
+ * @returns {string} - ALTER TABLE statements
+ */
+exports.alterColumnStatement = (table, oldColumn, newColumn) => {
+  const statements = [];
+  const newType = mapDataType(newColumn.dataType);
+  const typeChanged = mapDataType(oldColumn.dataType) !== newType;
+  const nullabilityChanged = (oldColumn.isNullable === false) !== (newColumn.isNullable === false);
+  const defaultChanged = (oldColumn.defaultValue || null) !== (newColumn.defaultValue || null);
+  const uniqueChanged = !!oldColumn.isUnique !== !!newColumn.isUnique;
+  
+  // Constraints on the column have to be removed before ALTER COLUMN can run
+  if (defaultChanged || typeChanged) {
+    statements.push(dropDefaultConstraintStatement(table.name, newColumn.name));
+  }
+  
+  if (oldColumn.isUnique && (uniqueChanged || typeChanged)) {
+    statements.push(`IF OBJECT_ID(N'[dbo].[UQ_${table.name}_${newColumn.name}]', N'UQ') IS NOT NULL
+  ALTER TABLE [dbo].[${table.name}] DROP CONSTRAINT [UQ_${table.name}_${newColumn.name}];`);
+  }
+  
+  if (typeChanged || nullabilityChanged) {
+    statements.push(`ALTER TABLE [dbo].[${table.name}] ALTER COLUMN [${newColumn.name}] ${newType}${newColumn.isNullable === false ? ' NOT NULL' : ' NULL'};`);
+  }
+  
+  if (newColumn.isUnique && !newColumn.isPrimaryKey && (uniqueChanged || typeChanged)) {
+    statements.push(`ALTER TABLE [dbo].[${table.name}] ADD CONSTRAINT [UQ_${table.name}_${newColumn.name}] UNIQUE ([${newColumn.name}]);`);
+  }
+  
+  if (newColumn.defaultValue && (defaultChanged || typeChanged)) {
+    statements.push(`ALTER TABLE [dbo].[${table.name}] ADD CONSTRAINT [DF_${table.name}_${newColumn.name}] DEFAULT ${formatDefaultValue(newColumn.defaultValue, newType)} FOR [${newColumn.name}];`);
+  }
+  
+  if (statements.length === 0) return '';
+  
+  return statements.join('\n') + '\nGO';
+};
+
+/**
+ * Generate CREATE INDEX statement for a single column
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - CREATE INDEX statement
+ */
+exports.createIndexStatement = (tableName, columnName) => {
+  return `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_${tableName}_${columnName}' 
+  AND object_id = OBJECT_ID(N'[dbo].[${tableName}]'))
+BEGIN
+  CREATE INDEX [IX_${tableName}_${columnName}] ON [dbo].[${tableName}] ([${columnName}]);
+END
+GO`;
+};
+
+/**
+ * Generate DROP INDEX statement for a single column index
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - DROP INDEX statement
+ */
+exports.dropIndexStatement = (tableName, columnName) => {
+  return `IF EXISTS (SELECT * FROM sys.indexes WHERE name = N'IX_${tableName}_${columnName}' 
+  AND object_id = OBJECT_ID(N'[dbo].[${tableName}]'))
+BEGIN
+  DROP INDEX [IX_${tableName}_${columnName}] ON [dbo].[${tableName}];
+END
+GO`;
+};
+
+/**
+ * Generate the opening statements of a migration script
+ * @param {Object} schema - Database schema
+ * @param {number} fromVersion - Version the database is currently at
+ * @param {number} toVersion - Version the migration moves to
+ * @returns {string} - Header statements
+ */
+exports.migrationHeader = (schema, fromVersion, toVersion) => {
+  return `-- SQL Server Migration for Schema: ${schema.name}
+-- From version ${fromVersion} to version ${toVersion}
+-- Created: ${new Date().toISOString()}
+
+SET NOCOUNT ON;
+
+USE [${schema.name.replace(/[^a-zA-Z0-9_]/g, '_')}];
+GO`;
+};
+
+/**
+ * Generate the closing statements of a migration script
+ * @returns {string} - Footer statements
+ */
+exports.migrationFooter = () => {
+  return `-- Migration completed
+GO`;
+};
+
 /**
  * Generate CREATE VIEW statements for commonly needed views
  * @param {Object} schema - Database schema
@@ -730,6 +907,56 @@ exports.footerComment = (schema) => {
 GO`;
 };
 
+/**
+ * Generate the definition of a single column
+ * @param {Object} column - Column object with a SQL Server data type
+ * @param {Object} table - Table the column belongs to
+ * @returns {string} - Column definition
+ */
+function columnDefinition(column, table) {
+  let definition = `[${column.name}] ${column.dataType}`;
+  
+  // Handle identity for primary keys (SQL Server's auto-increment)
+  if (column.isPrimaryKey && 
+      !isCompositePrimaryKey(table) && 
+      ['INT', 'BIGINT', 'SMALLINT', 'TINYINT'].includes(column.dataType.toUpperCase())) {
+    definition += ' IDENTITY(1,1)';
+  }
+  
+  if (column.isNullable === false) {
+    definition += ' NOT NULL';
+  } else {
+    definition += ' NULL';
+  }
+  
+  if (column.defaultValue) {
+    definition += ` DEFAULT ${formatDefaultValue(column.defaultValue, column.dataType)}`;
+  }
+  
+  if (column.isPrimaryKey && !isCompositePrimaryKey(table)) {
+    definition += ' PRIMARY KEY';
+  }
+  
+  return definition;
+}
+
+/**
+ * Generate a statement that drops the default constraint of a column.
+ * Inline defaults get system-generated names, so the name is looked up at run time.
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @returns {string} - T-SQL batch
+ */
+function dropDefaultConstraintStatement(tableName, columnName) {
+  return `DECLARE @df_${tableName}_${columnName} NVARCHAR(256) = (
+  SELECT dc.name FROM sys.default_constraints dc
+  JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+  WHERE dc.parent_object_id = OBJECT_ID(N'[dbo].[${tableName}]') AND c.name = N'${columnName}'
+);
+IF @df_${tableName}_${columnName} IS NOT NULL
+  EXEC(N'ALTER TABLE [dbo].[${tableName}] DROP CONSTRAINT [' + @df_${tableName}_${columnName} + N']');`;
+}
+
 /**
  * Format default value for SQL Server
  * @param {string} value - Default value
@@ -1,10 +1,11 @@
+const pdfDocumentationService = require('./pdfDocumentation.service');
 const logger = require('../utils/logger');
 
 /**
  * Generate documentation for a database schema
  * @param {Object} schema - Database schema
  * @param {string} format - Documentation format (markdown, html, pdf)
- * @returns {string} - Generated documentation
+ * @returns {Promise<string|Buffer>} - Generated documentation; a Buffer holding the file for pdf
  */
 exports.generateDocumentation = async (schema, format = 'markdown') => {
   try {
@@ -17,9 +18,7 @@ exports.generateDocumentation = async (schema, format = 'markdown') => {
         documentationContent = generateHtmlDocumentation(schema);
         break;
       case 'pdf':
-        // In a real implementation, this would generate a PDF
-        // For now, we'll just generate Markdown
-        documentationContent = generateMarkdownDocumentation(schema);
+        documentationContent = await pdfDocumentationService.generatePdfDocumentation(schema);
         break;
       case 'markdown':
       default:
@@ -0,0 +1,380 @@
+/**
+ * ER diagram layout
+ * Places a schema's tables and relationship lines on a plane so renderers (PDF, SVG, PNG) only
+ * have to draw boxes, lines and text. Tables are placed at the position the schema generator
+ * stored on them, shifted so the diagram starts at the margin; tables without a position go in a
+ * grid below them, in schema order. Each box lists its columns, and relationships
+ * are straight lines between box edges with crow's foot ends, labelled with their name. A
+ * relationship from a table to itself is drawn as a loop on its right.
+ *
+ * Coordinates are in abstract units (points for PDF, pixels for SVG) with the origin top-left.
+ */
+
+const DEFAULTS = {
+  fontSize: 10,
+  headerFontSize: 11,
+  padding: 8,
+  rowHeight: 16,
+  headerHeight: 24,
+  minTableWidth: 140,
+  maxTableWidth: 320,
+  gapX: 90,
+  gapY: 70,
+  margin: 30,
+  selfLoopSize: 30,
+  // Place tables at their stored positions; false lays every table out in a grid
+  usePositions: true
+};
+
+// Average glyph width of a sans-serif font relative to its size, used when no measurer is given
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+// Crow's foot geometry, measured along the line from the table edge
+const FOOT_LENGTH = 12;
+const FOOT_SPREAD = 6;
+const BAR_DISTANCE = 6;
+const MIN_MARK_DISTANCE = 18;
+const RING_RADIUS = 4;
+
+/**
+ * Lay out a schema as an ER diagram
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - Overrides for DEFAULTS, plus measureText(text, fontSize, bold) to size
+ *   boxes with real font metrics
+ * @returns {Object} - { width, height, tables, relationships }
+ */
+exports.layoutSchema = (schema, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const measureText = options.measureText || estimateTextWidth;
+
+  const boxes = (schema.tables || []).map(table => sizeTable(table, settings, measureText));
+  placeTables(boxes, schema.tables || [], settings);
+
+  const byName = new Map(boxes.map(box => [box.name.toLowerCase(), box]));
+  const relationships = (schema.relationships || [])
+    .map(relationship => routeRelationship(relationship, byName, settings))
+    .filter(Boolean);
+
+  const right = Math.max(0, ...boxes.map(box => box.x + box.width + (box.hasSelfLoop ? settings.selfLoopSize : 0)));
+  const bottom = Math.max(0, ...boxes.map(box => box.y + box.height));
+
+  boxes.forEach(box => delete box.hasSelfLoop);
+
+  return {
+    width: right + settings.margin,
+    height: bottom + settings.margin,
+    tables: boxes,
+    relationships
+  };
+};
+
+/**
+ * Cardinality shown at one end of a relationship
+ * @param {Object} relationship - Relationship with type and optional explicit cardinalities
+ * @param {string} side - source or target
+ * @returns {string} - 1, N or M
+ */
+exports.getCardinality = (relationship, side) => {
+  const explicit = side === 'source' ? relationship.sourceCardinality : relationship.targetCardinality;
+  if (explicit) {
+    return String(explicit);
+  }
+
+  // { source, target } as one or many, as the Mermaid export reads it
+  const edited = relationship.cardinality && relationship.cardinality[side];
+  if (edited === 'one' || edited === 'many') {
+    return edited === 'one' ? '1' : 'N';
+  }
+
+  switch (String(relationship.type || '').toUpperCase()) {
+    case 'ONE_TO_MANY':
+      return side === 'source' ? '1' : 'N';
+    case 'MANY_TO_ONE':
+      return side === 'source' ? 'N' : '1';
+    case 'MANY_TO_MANY':
+      return side === 'source' ? 'M' : 'N';
+    default:
+      return '1';
+  }
+};
+
+/**
+ * Crow's foot notation for one end of a relationship
+ * Follows the Mermaid export: a bare "1" is exactly one and "N"/"M" is zero or many. Explicit
+ * cardinalities such as 0..1 or 1..* set the minimum as well.
+ * @param {string} cardinality - From getCardinality
+ * @returns {Object} - { max: one|many, min: zero|one }
+ */
+exports.getCrowsFoot = (cardinality) => {
+  const value = String(cardinality).trim().toLowerCase();
+  const [lower, upper = lower] = value.split('..');
+  const many = /many|\*|^[nm]$/.test(upper) || Number(upper) > 1;
+  const optional = lower === '0' || (many && !/^[1-9]/.test(lower));
+
+  return { max: many ? 'many' : 'one', min: optional ? 'zero' : 'one' };
+};
+
+/**
+ * Size a table box from its name and columns
+ * @param {Object} table - Schema table
+ * @param {Object} settings - Layout settings
+ * @param {Function} measureText - (text, fontSize, bold) -> width
+ * @returns {Object} - Box without a position
+ */
+function sizeTable(table, settings, measureText) {
+  const columns = (table.columns || []).map(column => ({
+    name: column.name,
+    dataType: column.dataType || '',
+    isPrimaryKey: Boolean(column.isPrimaryKey),
+    isForeignKey: Boolean(column.isForeignKey),
+    // Key marker, name and type share one row: "PK  id  INT"
+    marker: [column.isPrimaryKey && 'PK', column.isForeignKey && 'FK'].filter(Boolean).join(',')
+  }));
+
+  const markerWidth = Math.max(0, ...columns.map(column => measureText(column.marker, settings.fontSize, true)));
+  const nameWidth = Math.max(0, ...columns.map(column => measureText(column.name, settings.fontSize, column.isPrimaryKey)));
+  const typeWidth = Math.max(0, ...columns.map(column => measureText(column.dataType, settings.fontSize, false)));
+  const gap = settings.padding;
+
+  const contentWidth = Math.max(
+    measureText(table.name, settings.headerFontSize, true),
+    (markerWidth ? markerWidth + gap : 0) + nameWidth + gap + typeWidth
+  );
+  const width = clamp(Math.ceil(contentWidth + settings.padding * 2), settings.minTableWidth, settings.maxTableWidth);
+
+  return {
+    name: table.name,
+    kind: table.isWeakEntity ? 'weak' : (table.isLookupTable ? 'lookup' : 'strong'),
+    x: 0,
+    y: 0,
+    width,
+    height: settings.headerHeight + Math.max(columns.length, 1) * settings.rowHeight + settings.padding / 2,
+    headerHeight: settings.headerHeight,
+    rowHeight: settings.rowHeight,
+    // Where the name and type columns start, relative to the box
+    nameOffset: settings.padding + (markerWidth ? markerWidth + gap : 0),
+    typeOffset: width - settings.padding - typeWidth,
+    columns,
+    hasSelfLoop: false
+  };
+}
+
+/**
+ * Position boxes at their tables' stored positions, with the rest in a grid below them
+ * @param {Array} boxes - Sized boxes, positioned in place
+ * @param {Array} tables - Schema tables, in the same order as boxes
+ * @param {Object} settings - Layout settings
+ */
+function placeTables(boxes, tables, settings) {
+  const positioned = [];
+  const unpositioned = [];
+
+  boxes.forEach((box, index) => {
+    const position = settings.usePositions ? storedPosition(tables[index]) : null;
+    if (position) {
+      box.x = position.x;
+      box.y = position.y;
+      positioned.push(box);
+    } else {
+      unpositioned.push(box);
+    }
+  });
+
+  let top = settings.margin;
+  if (positioned.length > 0) {
+    // Stored coordinates can start anywhere, including below zero
+    const offsetX = settings.margin - Math.min(...positioned.map(box => box.x));
+    const offsetY = settings.margin - Math.min(...positioned.map(box => box.y));
+    positioned.forEach(box => {
+      box.x += offsetX;
+      box.y += offsetY;
+    });
+    top = Math.max(...positioned.map(box => box.y + box.height)) + settings.gapY;
+  }
+
+  placeInGrid(unpositioned, settings, top);
+}
+
+function storedPosition(table) {
+  const position = table && table.position;
+  if (!position || position.x === null || position.y === null) {
+    return null;
+  }
+
+  const x = Number(position.x);
+  const y = Number(position.y);
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+/**
+ * Position boxes in rows of a near-square grid; each grid column is as wide as its widest box
+ * @param {Array} boxes - Sized boxes, positioned in place
+ * @param {Object} settings - Layout settings
+ * @param {number} top - Where the first row starts
+ */
+function placeInGrid(boxes, settings, top) {
+  const perRow = Math.max(1, Math.ceil(Math.sqrt(boxes.length)));
+  const columnWidths = [];
+  const rowHeights = [];
+
+  boxes.forEach((box, index) => {
+    const column = index % perRow;
+    const row = Math.floor(index / perRow);
+    columnWidths[column] = Math.max(columnWidths[column] || 0, box.width);
+    rowHeights[row] = Math.max(rowHeights[row] || 0, box.height);
+  });
+
+  boxes.forEach((box, index) => {
+    const column = index % perRow;
+    const row = Math.floor(index / perRow);
+    box.x = settings.margin + sum(columnWidths.slice(0, column)) + column * settings.gapX;
+    box.y = top + sum(rowHeights.slice(0, row)) + row * settings.gapY;
+  });
+}
+
+/**
+ * Route a relationship between the edges of its two boxes
+ * @param {Object} relationship - Schema relationship
+ * @param {Map} byName - Lower-cased table name -> box
+ * @param {Object} settings - Layout settings
+ * @returns {Object|null} - Routed relationship, or null when a table is missing
+ */
+function routeRelationship(relationship, byName, settings) {
+  const sourceName = relationship.sourceTable || relationship.sourceEntity;
+  const targetName = relationship.targetTable || relationship.targetEntity;
+  const source = sourceName && byName.get(String(sourceName).toLowerCase());
+  const target = targetName && byName.get(String(targetName).toLowerCase());
+
+  if (!source || !target) {
+    return null;
+  }
+
+  let points;
+  if (source === target) {
+    source.hasSelfLoop = true;
+    const right = source.x + source.width;
+    const top = source.y + source.headerHeight / 2;
+    const bottom = Math.min(source.y + source.height, top + settings.selfLoopSize * 1.5);
+    points = [
+      { x: right, y: top },
+      { x: right + settings.selfLoopSize, y: top },
+      { x: right + settings.selfLoopSize, y: bottom },
+      { x: right, y: bottom }
+    ];
+  } else {
+    const sourceCenter = center(source);
+    const targetCenter = center(target);
+    points = [edgePoint(source, targetCenter), edgePoint(target, sourceCenter)];
+  }
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const middle = midpoint(points);
+  const sourceCardinality = exports.getCardinality(relationship, 'source');
+  const targetCardinality = exports.getCardinality(relationship, 'target');
+
+  return {
+    name: relationship.name || '',
+    type: relationship.type || null,
+    sourceTable: source.name,
+    targetTable: target.name,
+    isIdentifying: Boolean(relationship.isIdentifying),
+    points,
+    labelPosition: middle,
+    sourceCardinality,
+    targetCardinality,
+    sourceMarker: crowsFootMarker(start, points[1], sourceCardinality),
+    targetMarker: crowsFootMarker(end, points[points.length - 2], targetCardinality)
+  };
+}
+
+/**
+ * Lines and rings that draw a crow's foot end
+ * The maximum sits against the table (a bar for one, a fork for many) and the minimum just beyond
+ * it (a bar for one, a ring for zero).
+ * @param {Object} end - { x, y } where the line meets the table
+ * @param {Object} next - The next point along the line
+ * @param {string} cardinality - From getCardinality
+ * @returns {Object} - { max, min, lines: [{ x1, y1, x2, y2 }], rings: [{ x, y, r }] }
+ */
+function crowsFootMarker(end, next, cardinality) {
+  const { max, min } = exports.getCrowsFoot(cardinality);
+  const length = Math.hypot(next.x - end.x, next.y - end.y) || 1;
+  // Unit vectors along the line (away from the table) and across it
+  const along = { x: (next.x - end.x) / length, y: (next.y - end.y) / length };
+  const across = { x: -along.y, y: along.x };
+  const at = (distance, offset = 0) => ({
+    x: end.x + along.x * distance + across.x * offset,
+    y: end.y + along.y * distance + across.y * offset
+  });
+  const line = (from, to) => ({ x1: from.x, y1: from.y, x2: to.x, y2: to.y });
+
+  const lines = [];
+  const rings = [];
+
+  if (max === 'many') {
+    lines.push(line(at(FOOT_LENGTH), at(0, FOOT_SPREAD)), line(at(FOOT_LENGTH), at(0, -FOOT_SPREAD)));
+  } else {
+    lines.push(line(at(BAR_DISTANCE, FOOT_SPREAD), at(BAR_DISTANCE, -FOOT_SPREAD)));
+  }
+
+  if (min === 'zero') {
+    const ring = at(MIN_MARK_DISTANCE + RING_RADIUS);
+    rings.push({ x: ring.x, y: ring.y, r: RING_RADIUS });
+  } else {
+    lines.push(line(at(MIN_MARK_DISTANCE, FOOT_SPREAD), at(MIN_MARK_DISTANCE, -FOOT_SPREAD)));
+  }
+
+  return { max, min, lines, rings };
+}
+
+function center(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+/**
+ * Where the line from a box's center towards a point leaves the box
+ * @param {Object} box - Positioned box
+ * @param {Object} point - { x, y } outside the box
+ * @returns {Object} - { x, y } on the box border
+ */
+function edgePoint(box, point) {
+  const { x: cx, y: cy } = center(box);
+  const dx = point.x - cx;
+  const dy = point.y - cy;
+
+  if (dx === 0 && dy === 0) {
+    return { x: cx, y: cy };
+  }
+
+  const scale = Math.min(
+    dx === 0 ? Infinity : (box.width / 2) / Math.abs(dx),
+    dy === 0 ? Infinity : (box.height / 2) / Math.abs(dy)
+  );
+
+  return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+function midpoint(points) {
+  if (points.length === 2) {
+    return { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+  }
+  // Self loop: the middle of its outer segment
+  return { x: points[1].x, y: (points[1].y + points[2].y) / 2 };
+}
+
+function estimateTextWidth(text, fontSize) {
+  return String(text || '').length * fontSize * AVERAGE_CHAR_WIDTH;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+exports.DEFAULTS = DEFAULTS;
+
+module.exports = exports;
@@ -0,0 +1,203 @@
+/**
+ * ER diagram rendering to SVG and PNG
+ * Draws the layout from erdLayoutService as a standalone SVG: table boxes with typed columns and
+ * PK/FK markers, and relationship lines with crow's foot ends. PNGs are the same SVG rasterized
+ * with resvg, so both formats look alike and neither needs a browser.
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+const erdLayoutService = require('./erdLayout.service');
+
+const FONT_FAMILY = 'Helvetica, Arial, \'DejaVu Sans\', sans-serif';
+
+// resvg falls back to this family when none of FONT_FAMILY is installed
+const DEFAULT_FONT = 'DejaVu Sans';
+
+const COLORS = {
+  background: '#ffffff',
+  text: '#333333',
+  muted: '#6b7280',
+  line: '#4b5563',
+  stripe: '#f9fafb',
+  strong: '#3b82f6',
+  weak: '#f59e0b',
+  lookup: '#10b981'
+};
+
+const PNG_SCALE = { default: 2, min: 0.5, max: 4 };
+
+// Rasterizing is memory-bound, so very large diagrams are refused rather than rendered
+const MAX_PNG_PIXELS = 40000000;
+
+/**
+ * Render a schema's ER diagram as SVG
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - Layout overrides passed to erdLayoutService.layoutSchema
+ * @returns {string} - SVG document
+ */
+exports.renderSvg = (schema, options = {}) => {
+  const layout = erdLayoutService.layoutSchema(schema, { measureText: estimateTextWidth, ...options });
+  const width = Math.ceil(Math.max(layout.width, 240));
+  const height = Math.ceil(Math.max(layout.height, 60));
+
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<title>${escapeXml(schema.name || 'Schema')}</title>`,
+    `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`
+  ];
+
+  if (layout.tables.length === 0) {
+    parts.push(`<text x="${width / 2}" y="36" font-size="12" fill="${COLORS.muted}" text-anchor="middle">This schema has no tables.</text>`);
+  }
+
+  // Lines first so table boxes cover their ends
+  layout.relationships.forEach(relationship => parts.push(relationshipSvg(relationship)));
+  layout.tables.forEach(box => parts.push(tableSvg(box)));
+
+  parts.push('</svg>');
+
+  return parts.join('\n');
+};
+
+/**
+ * Render a schema's ER diagram as PNG
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - { scale } pixels per diagram unit (0.5 to 4, default 2), plus layout overrides
+ * @returns {Buffer} - PNG image
+ */
+exports.renderPng = (schema, { scale, ...options } = {}) => {
+  const zoom = scale === undefined || scale === null ? PNG_SCALE.default : Number(scale);
+  if (!Number.isFinite(zoom) || zoom < PNG_SCALE.min || zoom > PNG_SCALE.max) {
+    throw renderError(`scale must be a number from ${PNG_SCALE.min} to ${PNG_SCALE.max}`, 400);
+  }
+
+  const svg = exports.renderSvg(schema, options);
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: zoom },
+    background: COLORS.background,
+    font: {
+      loadSystemFonts: true,
+      fontDirs: process.env.ERD_FONT_DIR ? process.env.ERD_FONT_DIR.split(',').map(dir => dir.trim()).filter(Boolean) : [],
+      defaultFontFamily: DEFAULT_FONT,
+      sansSerifFamily: DEFAULT_FONT
+    }
+  });
+
+  if (resvg.width * resvg.height * zoom * zoom > MAX_PNG_PIXELS) {
+    throw renderError('The diagram is too large to render as PNG at this scale; lower scale or export SVG', 413);
+  }
+
+  return resvg.render().asPng();
+};
+
+function relationshipSvg(relationship) {
+  const points = relationship.points.map(point => `${round(point.x)},${round(point.y)}`).join(' ');
+  const parts = [
+    `<g class="relationship" data-source="${escapeXml(relationship.sourceTable)}" data-target="${escapeXml(relationship.targetTable)}">`,
+    `<polyline points="${points}" fill="none" stroke="${COLORS.line}" stroke-width="${relationship.isIdentifying ? 2 : 1}"/>`
+  ];
+
+  [relationship.sourceMarker, relationship.targetMarker].forEach(marker => {
+    marker.lines.forEach(line => parts.push(
+      `<line x1="${round(line.x1)}" y1="${round(line.y1)}" x2="${round(line.x2)}" y2="${round(line.y2)}" stroke="${COLORS.line}" stroke-width="1"/>`
+    ));
+    marker.rings.forEach(ring => parts.push(
+      `<circle cx="${round(ring.x)}" cy="${round(ring.y)}" r="${ring.r}" fill="${COLORS.background}" stroke="${COLORS.line}" stroke-width="1"/>`
+    ));
+  });
+
+  if (relationship.name) {
+    // A background-coloured outline keeps the label readable where it crosses the line
+    parts.push(
+      `<text x="${round(relationship.labelPosition.x)}" y="${round(relationship.labelPosition.y + 3)}" font-size="8" font-style="italic" fill="${COLORS.muted}" text-anchor="middle" stroke="${COLORS.background}" stroke-width="3" paint-order="stroke">${escapeXml(relationship.name)}</text>`
+    );
+  }
+
+  parts.push('</g>');
+  return parts.join('\n');
+}
+
+function tableSvg(box) {
+  const accent = COLORS[box.kind];
+  const parts = [`<g class="table" data-table="${escapeXml(box.name)}">`];
+
+  if (box.kind === 'weak') {
+    parts.push(`<rect x="${box.x - 3}" y="${box.y - 3}" width="${box.width + 6}" height="${box.height + 6}" fill="none" stroke="${accent}" stroke-width="0.75"/>`);
+  }
+  parts.push(
+    `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" fill="${COLORS.background}" stroke="${accent}" stroke-width="1"/>`,
+    `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.headerHeight}" fill="${accent}" stroke="${accent}" stroke-width="1"/>`,
+    `<text x="${box.x + 8}" y="${baseline(box.y, box.headerHeight, 11)}" font-size="11" font-weight="bold" fill="#ffffff">${escapeXml(fitText(box.name, box.width - 16, 11, true))}</text>`
+  );
+
+  box.columns.forEach((column, index) => {
+    const top = box.y + box.headerHeight + index * box.rowHeight;
+    const y = baseline(top, box.rowHeight, 10);
+    const nameWidth = Math.max(box.typeOffset - box.nameOffset - 6, 20);
+
+    if (index % 2 === 1) {
+      parts.push(`<rect x="${box.x + 1}" y="${top}" width="${box.width - 2}" height="${box.rowHeight}" fill="${COLORS.stripe}"/>`);
+    }
+    if (column.marker) {
+      parts.push(`<text x="${box.x + 8}" y="${y - 1}" font-size="7" font-weight="bold" fill="${accent}">${column.marker}</text>`);
+    }
+    parts.push(
+      `<text x="${box.x + box.nameOffset}" y="${y}" font-size="10" fill="${COLORS.text}"${column.isPrimaryKey ? ' font-weight="bold" text-decoration="underline"' : ''}>${escapeXml(fitText(column.name, nameWidth, 10, column.isPrimaryKey))}</text>`,
+      `<text x="${box.x + box.typeOffset}" y="${y}" font-size="10" fill="${COLORS.muted}">${escapeXml(column.dataType)}</text>`
+    );
+  });
+
+  parts.push('</g>');
+  return parts.join('\n');
+}
+
+// SVG text is positioned by its baseline; this centers a line of text in a row
+function baseline(top, height, fontSize) {
+  return round(top + height / 2 + fontSize * 0.35);
+}
+
+/**
+ * Shorten text with an ellipsis so it fits a width
+ * Without font metrics the width is estimated, erring wide so text stays inside its box.
+ */
+function fitText(text, width, fontSize, bold) {
+  const value = String(text || '');
+  if (estimateTextWidth(value, fontSize, bold) <= width) {
+    return value;
+  }
+
+  let length = value.length;
+  while (length > 1 && estimateTextWidth(`${value.slice(0, length)}…`, fontSize, bold) > width) {
+    length--;
+  }
+  return `${value.slice(0, length)}…`;
+}
+
+// Wider than erdLayoutService's default so boxes fit DejaVu Sans, the widest of FONT_FAMILY
+function estimateTextWidth(text, fontSize, bold) {
+  return String(text || '').length * fontSize * (bold ? 0.66 : 0.6);
+}
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function renderError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+exports.PNG_SCALE = PNG_SCALE;
+
+module.exports = exports;
@@ -0,0 +1,139 @@
+const Ajv = require('ajv');
+const extractionSchema = require('./extraction.schema.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const validate = ajv.compile(extractionSchema);
+
+/**
+ * Parse a model response into JSON
+ * Only markdown code fences and text around the outermost object are stripped; anything else
+ * is reported as an error so the model can be asked to fix it.
+ * @param {string} content - Raw response text
+ * @returns {Object} - { payload, errors }
+ */
+exports.parseResponse = (content) => {
+  let json = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  const firstBrace = json.indexOf('{');
+  const lastBrace = json.lastIndexOf('}');
+  if (firstBrace >= 0 && lastBrace > firstBrace) {
+    json = json.substring(firstBrace, lastBrace + 1);
+  }
+
+  try {
+    return { payload: JSON.parse(json), errors: [] };
+  } catch (error) {
+    return {
+      payload: null,
+      errors: [{ path: '$', message: `is not valid JSON: ${error.message}` }]
+    };
+  }
+};
+
+/**
+ * Validate an extraction payload against the extraction JSON Schema
+ * Relationships are also checked to reference entities that exist in the payload.
+ * @param {Object} payload - Parsed extraction result
+ * @returns {Object} - { valid, errors: [{ path, message }] }
+ */
+exports.validateExtraction = (payload) => {
+  const errors = [];
+
+  if (!validate(payload)) {
+    errors.push(...validate.errors.map(toValidationError));
+  }
+
+  if (payload && Array.isArray(payload.entities) && Array.isArray(payload.relationships)) {
+    errors.push(...checkEntityReferences(payload));
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Parse and validate a model response in one step
+ * @param {string} content - Raw response text
+ * @returns {Object} - { payload, valid, errors }
+ */
+exports.parseAndValidate = (content) => {
+  const { payload, errors } = exports.parseResponse(content);
+  if (errors.length > 0) {
+    return { payload, valid: false, errors };
+  }
+
+  return { payload, ...exports.validateExtraction(payload) };
+};
+
+/**
+ * Render validation errors as one line each, for logs and repair prompts
+ * @param {Array} errors - Validation errors
+ * @returns {string} - Bulleted error list
+ */
+exports.formatErrors = (errors) => errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+
+/**
+ * Convert an Ajv error into a { path, message } error
+ * @param {Object} error - Ajv error object
+ * @returns {Object} - Validation error with a JSONPath-style path
+ */
+function toValidationError(error) {
+  let message = error.message;
+
+  if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  } else if (error.keyword === 'pattern') {
+    message = `${message} (got ${JSON.stringify(error.data)})`;
+  }
+
+  return { path: toJsonPath(error.instancePath), message };
+}
+
+/**
+ * Convert a JSON Pointer ("/entities/0/name") into the "$.entities[0].name" form used elsewhere
+ * @param {string} pointer - JSON Pointer
+ * @returns {string} - JSONPath-style path
+ */
+function toJsonPath(pointer) {
+  if (!pointer) {
+    return '$';
+  }
+
+  return '$' + pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('');
+}
+
+/**
+ * Find relationships whose source or target is not one of the extracted entities
+ * @param {Object} payload - Extraction payload
+ * @returns {Array} - Validation errors
+ */
+function checkEntityReferences(payload) {
+  const names = new Set(
+    payload.entities
+      .filter(entity => entity && typeof entity.name === 'string')
+      .map(entity => entity.name.toLowerCase())
+  );
+  const errors = [];
+
+  payload.relationships.forEach((relationship, index) => {
+    ['sourceEntity', 'targetEntity'].forEach(field => {
+      const name = relationship && relationship[field];
+      if (typeof name === 'string' && name && !names.has(name.toLowerCase())) {
+        errors.push({
+          path: `$.relationships[${index}].${field}`,
+          message: `references unknown entity "${name}"`
+        });
+      }
+    });
+  });
+
+  return errors;
+}
+
+exports.EXTRACTION_SCHEMA = extractionSchema;
+
+module.exports = exports;
@@ -1,21 +1,15 @@
 /**
  * Gemini Prompt Enhancement Service
- * Uses Google's Gemini 2.5 Flash model to enhance vague prompts into more detailed ones.
+ * Enhances vague prompts into more detailed ones with the LLM provider configured for the
+ * erDiagramPromptEnhancement feature (Gemini unless overridden).
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('./llm');
 const logger = require('../utils/logger');
-const dotenv = require('dotenv');
-
-// Make sure environment variables are loaded
-dotenv.config();
 
 class GeminiPromptEnhancerService {
   constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.modelName = process.env.GEMINI_MODEL_NAME || 'gemini-2.5-flash';
-    this.genAI = null;
-    this.model = null;
+    this.feature = 'erDiagramPromptEnhancement';
 
     // System prompt for enhancing database schema descriptions
     this.systemPrompt = 
@@ -38,31 +32,10 @@ class GeminiPromptEnhancerService {
       "Original: \"Build a library database\"\n\n" +
       "Enhanced: \"Build a library database to manage books, members, and borrowing transactions. Books should have attributes like title, author, ISBN, publication date, and availability status. Members need to have personal details, membership status, and contact information. The system should track when books are borrowed and returned, including due dates and potential late fees. Consider including categories for books and different membership levels for users.\"\n\n" +
       "CORE PRINCIPLE: The goal is to make the prompt more detailed and specific without changing its fundamental meaning. The enhanced prompt should help generate a more comprehensive and accurate database schema.";
-
-    this.initialize();
-  }
-
-  initialize() {
-    if (this.isInitialized()) {
-      logger.info('Gemini Prompt Enhancer Service already initialized.');
-      return;
-    }
-    if (!this.apiKey) {
-      logger.error('GEMINI_API_KEY is not set in environment variables. Prompt Enhancer Service will not function.');
-      return;
-    }
-    try {
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: this.modelName });
-      logger.info(`Gemini Prompt Enhancer Service initialized successfully with model: ${this.modelName}`);
-    } catch (error) {
-      logger.error('Failed to initialize Gemini Prompt Enhancer Service', { error: error.message });
-      this.model = null;
-    }
   }
 
   isInitialized() {
-    return !!this.model;
+    return llm.isConfigured(this.feature);
   }
 
   /**
@@ -72,31 +45,25 @@ class GeminiPromptEnhancerService {
    */
   async enhancePrompt(prompt) {
     if (!this.isInitialized()) {
-      this.initialize();
-      if (!this.isInitialized()) {
-        return {
-          success: false,
-          error: 'Gemini Prompt Enhancer Service is not initialized. Please check your GEMINI_API_KEY.',
-          enhancedPrompt: null,
-        };
-      }
+      logger.error(`The LLM provider for ${this.feature} is not configured.`);
+      return {
+        success: false,
+        error: 'Gemini Prompt Enhancer Service is not initialized. Please check the LLM provider configuration (e.g. GEMINI_API_KEY).',
+        enhancedPrompt: null,
+      };
     }
 
     try {
-      logger.info('Enhancing prompt with Gemini', { inputLength: prompt.length });
-
-      const fullPrompt = `${this.systemPrompt}\n\n---\n\nPlease enhance this database design prompt by adding more detail while keeping the original intent:\n\n"${prompt}"`;
+      logger.info('Enhancing prompt', { inputLength: prompt.length });
 
-      const result = await this.model.generateContent(fullPrompt, {
-        generationConfig: {
-          temperature: 0.2,
-          maxOutputTokens: 2048,
-          responseMimeType: 'text/plain',
-        }
+      const response = await llm.complete(this.feature, {
+        system: this.systemPrompt,
+        prompt: `Please enhance this database design prompt by adding more detail while keeping the original intent:\n\n"${prompt}"`,
+        temperature: 0.2,
+        maxTokens: 2048
       });
 
-      const response = await result.response;
-      const enhancedPrompt = response.text().trim();
+      const enhancedPrompt = response.text.trim();
 
       if (!enhancedPrompt) {
         logger.error('Generated content is empty');
@@ -124,7 +91,7 @@ class GeminiPromptEnhancerService {
         enhancedPrompt,
       };
     } catch (error) {
-      logger.error('Error enhancing prompt with Gemini', { error: error.message });
+      logger.error('Error enhancing prompt', { error: error.message });
       const clientError = error.message.includes('API key') 
         ? 'An authentication error occurred. Please check the server configuration.'
         : `Failed to enhance prompt: An internal error occurred.`;
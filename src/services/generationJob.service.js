@@ -0,0 +1,388 @@
+/**
+ * Schema generation jobs
+ * Runs prompt -> entities -> schema -> save in the background and reports progress as events,
+ * so clients can follow a long generation over Socket.IO or Server-Sent Events and cancel it.
+ *
+ * Every event is emitted twice: as 'progress' for all jobs (used by the Socket.IO bridge in
+ * server.js) and as 'job:<id>' for subscribers of a single job (used by the SSE endpoint).
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Schema = require('../models/schema.model');
+const nlpService = require('./nlp.service');
+const schemaGeneratorService = require('./schemaGenerator.service');
+const schemaVersionService = require('./schemaVersion.service');
+const sessionHistoryService = require('./sessionHistory.service');
+const workspaceService = require('./workspace.service');
+const logger = require('../utils/logger');
+
+// Progress stages, in the order a successful job reaches them (tokens and repair-requested may repeat)
+const STAGES = ['queued', 'prompt-sent', 'tokens', 'repair-requested', 'entities-parsed', 'relationships-resolved', 'saved'];
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Finished jobs stay queryable for this long
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+// Streamed tokens are batched into one event per interval instead of one per chunk
+const TOKEN_FLUSH_MS = 250;
+
+class GenerationJobService extends EventEmitter {
+  constructor() {
+    super();
+    // Any number of SSE connections may follow the same job
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Create a job and start it on the next tick
+   * @param {Object} input - { prompt, name, description, mode, ownerId, workspaceId, sessionId }; the saved
+   *   schema belongs to ownerId, is filed under workspaceId and is recorded in the history of sessionId
+   * @returns {Object} - Job summary
+   */
+  createJob(input) {
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      input,
+      schemaId: null,
+      extraction: null,
+      error: null,
+      events: [],
+      sequence: 0,
+      receivedChars: 0,
+      tokenBuffer: '',
+      tokenTimer: null,
+      controller: new AbortController(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    this.emitEvent(job, 'queued', { name: input.name });
+
+    setImmediate(() => this.run(job));
+
+    return this.describeJob(job.id);
+  }
+
+  /**
+   * Get a job summary
+   * @param {string} jobId - Job ID
+   * @param {Object} user - When given, only the user who started the job can see it
+   * @returns {Object|null} - Job summary, or null if the job doesn't exist (or has expired)
+   */
+  describeJob(jobId, user = null) {
+    const job = this.findJob(jobId, user);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      name: job.input.name,
+      mode: job.input.mode || null,
+      ownerId: job.input.ownerId || null,
+      sessionId: job.input.sessionId || null,
+      schemaId: job.schemaId,
+      extraction: job.extraction,
+      error: job.error,
+      receivedChars: job.receivedChars,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  /**
+   * Progress events recorded for a job, for clients that subscribe after it started
+   * Token events are not recorded; the job's receivedChars tells how much text has arrived.
+   * @param {string} jobId - Job ID
+   * @param {number} afterSequence - Only return events after this sequence number
+   * @returns {Array} - Events in order
+   */
+  getEvents(jobId, afterSequence = 0) {
+    const job = this.jobs.get(jobId);
+    return job ? job.events.filter(event => event.sequence > afterSequence) : [];
+  }
+
+  /**
+   * Follow the events of one job
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    const eventName = `job:${jobId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Look up a job record, hiding jobs started by other users
+   * @param {string} jobId - Job ID
+   * @param {Object} user - User model instance, or null to skip the ownership check
+   * @returns {Object|null} - Job record
+   */
+  findJob(jobId, user = null) {
+    const job = this.jobs.get(jobId);
+    if (!job || (user && String(job.input.ownerId) !== String(user._id))) {
+      return null;
+    }
+    return job;
+  }
+
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Cancel a running job
+   * Cancelling aborts the LLM request; a job that is cancelled before the save step never saves a schema,
+   * and a schema saved while the job was cancelled is deleted again.
+   * @param {string} jobId - Job ID
+   * @param {Object} user - When given, only the user who started the job can cancel it
+   * @returns {Object|null} - Job summary, or null if the job doesn't exist
+   */
+  cancelJob(jobId, user = null) {
+    const job = this.findJob(jobId, user);
+    if (!job) {
+      return null;
+    }
+
+    if (this.isFinished(job)) {
+      const error = new Error(`Job ${jobId} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    logger.info(`Cancelling schema generation job ${jobId}`);
+    job.controller.abort();
+    this.finish(job, 'cancelled', {});
+
+    return this.describeJob(jobId);
+  }
+
+  /**
+   * Run a job to completion, emitting an event after each step
+   * @param {Object} job - Job record
+   */
+  async run(job) {
+    if (this.isFinished(job)) {
+      return;
+    }
+
+    const { prompt, name, description, mode, ownerId, workspaceId, sessionId } = job.input;
+    const signal = job.controller.signal;
+    let savedSchema = null;
+
+    try {
+      job.status = 'running';
+      this.emitEvent(job, 'prompt-sent', { mode: mode || process.env.NLP_EXTRACTION_MODE || 'auto' });
+
+      const extractedEntities = await nlpService.extractEntities(prompt, {
+        mode,
+        signal,
+        onToken: (chunk) => this.bufferTokens(job, chunk),
+        onProgress: (stage, data) => {
+          this.flushTokens(job);
+          this.emitEvent(job, stage, data);
+        }
+      });
+      this.flushTokens(job);
+      this.throwIfCancelled(job);
+
+      job.extraction = {
+        method: extractedEntities.extractionMethod,
+        fallbackReason: extractedEntities.fallbackReason,
+        warnings: extractedEntities.warnings || []
+      };
+      this.emitEvent(job, 'entities-parsed', {
+        ...job.extraction,
+        entities: extractedEntities.entities.map(entity => entity.name)
+      });
+
+      const schema = await schemaGeneratorService.generateSchema(extractedEntities, { name, description });
+      this.throwIfCancelled(job);
+
+      this.emitEvent(job, 'relationships-resolved', {
+        tables: schema.tables.map(table => table.name),
+        relationships: schema.relationships.map(relationship => ({
+          name: relationship.name,
+          sourceTable: relationship.sourceTable,
+          targetTable: relationship.targetTable,
+          type: relationship.type
+        }))
+      });
+
+      const newSchema = new Schema({ ...schema, ownerId, workspaceId });
+      await newSchema.save();
+      savedSchema = newSchema;
+      this.throwIfCancelled(job);
+
+      await schemaVersionService.recordRevision(newSchema, 'Generated from prompt');
+      this.throwIfCancelled(job);
+
+      await sessionHistoryService.recordEntry(sessionId, 'schema', {
+        schemaId: newSchema._id,
+        schemaName: newSchema.name,
+        source: 'generate',
+        prompt,
+        mode: mode || null,
+        extraction: {
+          method: job.extraction.method,
+          fallbackReason: job.extraction.fallbackReason || null
+        }
+      });
+      this.throwIfCancelled(job);
+
+      job.schemaId = newSchema._id;
+      this.emitEvent(job, 'saved', { schemaId: newSchema._id });
+      this.finish(job, 'completed', { schemaId: newSchema._id, extraction: job.extraction });
+    } catch (error) {
+      clearTimeout(job.tokenTimer);
+
+      if (this.isFinished(job)) {
+        // Cancelled while a step was in flight; the cancellation was already reported
+        if (savedSchema) {
+          await this.discardSchema(job, savedSchema);
+        }
+        return;
+      }
+
+      logger.error(`Schema generation job ${job.id} failed:`, error);
+      job.error = {
+        message: error.message,
+        code: getErrorCode(error),
+        validationErrors: error.validationErrors
+      };
+      this.finish(job, 'failed', job.error);
+    }
+  }
+
+  throwIfCancelled(job) {
+    if (job.controller.signal.aborted) {
+      throw new Error('Job was cancelled');
+    }
+  }
+
+  /**
+   * Delete the schema of a job that was cancelled after saving it
+   * A session the schema was recorded in keeps the ID, as for any deleted schema.
+   * @param {Object} job - Job record
+   * @param {Object} schema - Schema model instance
+   */
+  async discardSchema(job, schema) {
+    try {
+      await workspaceService.deleteSchema(schema);
+      logger.info(`Deleted schema ${schema._id} of cancelled job ${job.id}`);
+    } catch (error) {
+      logger.error(`Failed to delete schema ${schema._id} of cancelled job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Collect streamed text and emit it as one 'tokens' event per flush interval
+   * @param {Object} job - Job record
+   * @param {string} chunk - Text received from the model
+   */
+  bufferTokens(job, chunk) {
+    job.tokenBuffer += chunk;
+    job.receivedChars += chunk.length;
+
+    if (!job.tokenTimer) {
+      job.tokenTimer = setTimeout(() => this.flushTokens(job), TOKEN_FLUSH_MS);
+    }
+  }
+
+  flushTokens(job) {
+    clearTimeout(job.tokenTimer);
+    job.tokenTimer = null;
+
+    if (!job.tokenBuffer || this.isFinished(job)) {
+      return;
+    }
+
+    const text = job.tokenBuffer;
+    job.tokenBuffer = '';
+    this.emitEvent(job, 'tokens', { text, receivedChars: job.receivedChars });
+  }
+
+  /**
+   * Mark a job finished and schedule its removal
+   * @param {Object} job - Job record
+   * @param {string} status - completed, failed or cancelled
+   * @param {Object} data - Event payload
+   */
+  finish(job, status, data) {
+    job.status = status;
+    this.emitEvent(job, status, data);
+
+    setTimeout(() => {
+      this.jobs.delete(job.id);
+      this.removeAllListeners(`job:${job.id}`);
+    }, JOB_TTL_MS).unref();
+  }
+
+  /**
+   * Record and publish a progress event
+   * @param {Object} job - Job record
+   * @param {string} stage - Stage name, or the final status
+   * @param {Object} data - Stage details
+   */
+  emitEvent(job, stage, data) {
+    job.sequence += 1;
+    job.updatedAt = new Date();
+    if (!TERMINAL_STATUSES.includes(stage)) {
+      job.stage = stage;
+    }
+
+    const event = {
+      jobId: job.id,
+      sequence: job.sequence,
+      stage,
+      status: job.status,
+      data,
+      timestamp: job.updatedAt.toISOString()
+    };
+
+    if (stage !== 'tokens') {
+      job.events.push(event);
+    }
+
+    this.emit('progress', event);
+    this.emit(`job:${job.id}`, event);
+  }
+}
+
+/**
+ * Error code reported for a failed job, matching the codes of the synchronous endpoint
+ * @param {Error} error - Generation error
+ * @returns {string} - Error code
+ */
+function getErrorCode(error) {
+  if (error.validationErrors) {
+    return 'EXTRACTION_VALIDATION_ERROR';
+  }
+  if (error.statusCode === 422) {
+    return 'NO_ENTITIES';
+  }
+  if (error.statusCode === 503) {
+    return 'LLM_NOT_CONFIGURED';
+  }
+  if (error.message && error.message.includes('timeout')) {
+    return 'TIMEOUT_ERROR';
+  }
+  return 'GENERATION_ERROR';
+}
+
+const generationJobService = new GenerationJobService();
+generationJobService.STAGES = STAGES;
+generationJobService.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = generationJobService;
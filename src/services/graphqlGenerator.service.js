@@ -0,0 +1,582 @@
+/**
+ * GraphQL Generator Service
+ * Turns a schema into GraphQL SDL: an object type per table, Relay-style connections for the
+ * to-many side of every relationship, create/update input types with their mutations, and
+ * optionally a resolver skeleton that reads and writes through a data access object you provide.
+ */
+
+const codeModelService = require('./codeModel.service');
+const logger = require('../utils/logger');
+
+const { camelCase, snakeCase, plural, fieldNames: getFieldNames, isPlainJunction } = codeModelService;
+
+// Custom scalars, declared in the SDL only when a column uses them
+const CUSTOM_SCALARS = {
+  BigInt: 'Integer too large for Int, serialized as a string',
+  Decimal: 'Exact decimal number, serialized as a string',
+  Date: 'Calendar date as an ISO 8601 string (YYYY-MM-DD)',
+  DateTime: 'Date and time as an ISO 8601 string',
+  Time: 'Time of day as an ISO 8601 string (HH:MM:SS)',
+  JSON: 'Arbitrary JSON value'
+};
+
+// Type names the generated SDL uses itself; tables with these names get a Type suffix
+const RESERVED_TYPE_NAMES = ['Query', 'Mutation', 'PageInfo', 'Int', 'Float', 'String', 'Boolean', 'ID', ...Object.keys(CUSTOM_SCALARS)];
+
+const PAGE_ARGUMENTS = '(first: Int, after: String)';
+
+/**
+ * Generate GraphQL SDL, and optionally resolvers, for a schema
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - { includeResolvers }
+ * @returns {Promise<Object>} - { sdl, resolvers }; resolvers is null unless requested
+ */
+exports.generateGraphQL = async (schema, options = {}) => {
+  try {
+    logger.info(`Generating GraphQL schema for: ${schema.name}`);
+
+    const model = codeModelService.buildModel(schema);
+    const context = buildContext(model);
+
+    const sdl = generateSDL(model, context);
+    const resolvers = options.includeResolvers ? generateResolvers(model, context) : null;
+
+    logger.info(`GraphQL schema generation complete for: ${schema.name}`);
+
+    return { sdl, resolvers };
+  } catch (error) {
+    logger.error('Error generating GraphQL schema:', error);
+    throw new Error(`Failed to generate GraphQL schema: ${error.message}`);
+  }
+};
+
+/**
+ * Names and lookups shared by the SDL and the resolvers
+ * @param {Object} model - Code model
+ * @returns {Object} - { entities, byTable, typeNames, fieldNames, scalars, enums }
+ */
+function buildContext(model) {
+  // Plain junction tables are only reached through the many-to-many fields of their ends
+  const entities = model.entities.filter(entity => !isPlainJunction(entity));
+  const byTable = new Map(model.entities.map(entity => [entity.table, entity]));
+
+  const typeNames = new Map(entities.map(entity => [
+    entity.table,
+    RESERVED_TYPE_NAMES.includes(entity.className) ? `${entity.className}Type` : entity.className
+  ]));
+  const fieldNames = new Map(entities.map(entity => [entity.table, getFieldNames(entity)]));
+
+  return { entities, byTable, typeNames, fieldNames, scalars: new Set(), enums: [] };
+}
+
+/**
+ * Generate the SDL document
+ * @param {Object} model - Code model
+ * @param {Object} context - Generation context
+ * @returns {string} - GraphQL SDL
+ */
+function generateSDL(model, context) {
+  const types = context.entities.flatMap(entity => [
+    objectType(entity, context),
+    connectionTypes(entity, context),
+    ...inputTypes(entity, context)
+  ]);
+
+  const blocks = [
+    ...Array.from(context.scalars).sort().map(name => `${description(CUSTOM_SCALARS[name])}scalar ${name}`),
+    ...context.enums,
+    `${description('Pagination information of a connection')}type PageInfo {\n  hasNextPage: Boolean!\n  endCursor: String\n}`,
+    ...types,
+    queryType(context),
+    ...(context.entities.length > 0 ? [mutationType(context)] : [])
+  ];
+
+  return [
+    `# GraphQL schema generated by LaymanDB for: ${model.name}`,
+    ...(model.description ? [`# ${model.description}`] : []),
+    '',
+    blocks.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Object type of an entity: its columns and a field per relationship
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {string} - SDL type definition
+ */
+function objectType(entity, context) {
+  const names = context.fieldNames.get(entity.table);
+
+  const fields = entity.fields.map(field =>
+    `${description(field.description, '  ')}  ${names.get(field.column)}: ${fieldType(entity, field, context)}${field.isNullable ? '' : '!'}`
+  );
+
+  getRelations(entity, context).forEach(assoc => {
+    const targetType = context.typeNames.get(assoc.target);
+    const name = camelCase(assoc.name);
+
+    if (assoc.kind === 'oneToMany' || assoc.kind === 'manyToMany') {
+      fields.push(`  ${name}${PAGE_ARGUMENTS}: ${targetType}Connection!`);
+    } else {
+      // Only the side holding a required foreign key is sure to find a row
+      fields.push(`  ${name}: ${targetType}${assoc.owner && !assoc.isNullable ? '!' : ''}`);
+    }
+  });
+
+  return `${description(entity.description)}type ${context.typeNames.get(entity.table)} {\n${fields.join('\n')}\n}`;
+}
+
+/**
+ * Connection and edge types of an entity
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {string} - SDL type definitions
+ */
+function connectionTypes(entity, context) {
+  const typeName = context.typeNames.get(entity.table);
+
+  return [
+    `type ${typeName}Connection {\n  edges: [${typeName}Edge!]!\n  pageInfo: PageInfo!\n  totalCount: Int!\n}`,
+    `type ${typeName}Edge {\n  node: ${typeName}!\n  cursor: String!\n}`
+  ].join('\n\n');
+}
+
+/**
+ * Create and update input types of an entity. Database-generated keys are left out of both and
+ * primary keys can't be updated; an entity with nothing to update gets no update input.
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {Array} - SDL input definitions
+ */
+function inputTypes(entity, context) {
+  const names = context.fieldNames.get(entity.table);
+  const typeName = context.typeNames.get(entity.table);
+
+  const createFields = entity.fields
+    .filter(field => !field.isGenerated)
+    .map(field => {
+      const isRequired = !field.isNullable && !field.defaultValue;
+      return `  ${names.get(field.column)}: ${fieldType(entity, field, context)}${isRequired ? '!' : ''}`;
+    });
+  const updateFields = entity.fields
+    .filter(field => !field.isPrimaryKey)
+    .map(field => `  ${names.get(field.column)}: ${fieldType(entity, field, context)}`);
+
+  return [
+    ...(hasCreateInput(entity) ? [`input Create${typeName}Input {\n${createFields.join('\n')}\n}`] : []),
+    ...(hasUpdateInput(entity) ? [`input Update${typeName}Input {\n${updateFields.join('\n')}\n}`] : [])
+  ];
+}
+
+// GraphQL input types can't be empty
+function hasCreateInput(entity) {
+  return entity.fields.some(field => !field.isGenerated);
+}
+
+function hasUpdateInput(entity) {
+  return entity.fields.some(field => !field.isPrimaryKey);
+}
+
+/**
+ * Query type: a lookup by primary key and a paginated list per entity
+ * @param {Object} context - Generation context
+ * @returns {string} - SDL type definition
+ */
+function queryType(context) {
+  const fields = context.entities.flatMap(entity => {
+    const typeName = context.typeNames.get(entity.table);
+    const { one, many } = queryNames(entity, context);
+
+    return [
+      ...(entity.primaryKey.length > 0 ? [`  ${one}(${keyArguments(entity, context)}): ${typeName}`] : []),
+      `  ${many}${PAGE_ARGUMENTS}: ${typeName}Connection!`
+    ];
+  });
+
+  if (fields.length === 0) fields.push(`${description('The schema has no tables yet', '  ')}  _empty: Boolean`);
+
+  return `type Query {\n${fields.join('\n')}\n}`;
+}
+
+/**
+ * Mutation type: create, update and delete per entity
+ * @param {Object} context - Generation context
+ * @returns {string} - SDL type definition
+ */
+function mutationType(context) {
+  const fields = context.entities.flatMap(entity => {
+    const typeName = context.typeNames.get(entity.table);
+    const hasKey = entity.primaryKey.length > 0;
+    const mutations = [];
+
+    if (hasCreateInput(entity)) {
+      mutations.push(`  create${typeName}(input: Create${typeName}Input!): ${typeName}!`);
+    }
+    if (hasKey && hasUpdateInput(entity)) {
+      mutations.push(`  update${typeName}(${keyArguments(entity, context)}, input: Update${typeName}Input!): ${typeName}`);
+    }
+    if (hasKey) {
+      mutations.push(`  delete${typeName}(${keyArguments(entity, context)}): Boolean!`);
+    }
+    return mutations;
+  });
+
+  return `type Mutation {\n${fields.join('\n')}\n}`;
+}
+
+/**
+ * Generate the resolver skeleton
+ * @param {Object} model - Code model
+ * @param {Object} context - Generation context
+ * @returns {string} - JavaScript module
+ */
+function generateResolvers(model, context) {
+  const columnMaps = [];
+  const typeResolvers = [];
+  const queries = [];
+  const mutations = [];
+
+  context.entities.forEach(entity => {
+    const typeName = context.typeNames.get(entity.table);
+    const names = context.fieldNames.get(entity.table);
+    const table = jsString(entity.table);
+    const { one, many } = queryNames(entity, context);
+    const keyWhere = `{ ${entity.primaryKey.map(column => `${propertyKey(column)}: args.${names.get(column)}`).join(', ')} }`;
+
+    const renamed = entity.fields.filter(field => names.get(field.column) !== field.column);
+    if (renamed.length > 0) {
+      columnMaps.push(`  ${typeName}: { ${renamed.map(field => `${names.get(field.column)}: ${jsString(field.column)}`).join(', ')} }`);
+    }
+
+    if (entity.primaryKey.length > 0) {
+      queries.push(`    ${one}: (parent, args, { db }) => db.findOne(${table}, ${keyWhere})`);
+    }
+    queries.push(`    ${many}: (parent, args, { db }) => paginate(page => db.findMany(${table}, {}, page), args)`);
+
+    if (hasCreateInput(entity)) {
+      mutations.push(`    create${typeName}: (parent, { input }, { db }) => db.insert(${table}, toRow('${typeName}', input))`);
+    }
+    if (entity.primaryKey.length > 0) {
+      if (hasUpdateInput(entity)) {
+        mutations.push(`    update${typeName}: (parent, args, { db }) => db.update(${table}, ${keyWhere}, toRow('${typeName}', args.input))`);
+      }
+      mutations.push(`    delete${typeName}: (parent, args, { db }) => db.remove(${table}, ${keyWhere})`);
+    }
+
+    const fields = [
+      ...renamed.map(field => `    ${names.get(field.column)}: row => ${propertyAccess('row', field.column)}`),
+      ...getRelations(entity, context).map(assoc => `    ${camelCase(assoc.name)}: ${relationResolver(entity, assoc, context)}`)
+    ];
+    if (fields.length > 0) typeResolvers.push(`  ${typeName}: {\n${fields.join(',\n')}\n  }`);
+  });
+
+  const scalars = Array.from(context.scalars).sort();
+  const resolverMap = [
+    ...scalars.map(name => `  ${name}: ${name}Scalar`),
+    `  Query: {\n${queries.join(',\n')}\n  }`,
+    ...(mutations.length > 0 ? [`  Mutation: {\n${mutations.join(',\n')}\n  }`] : []),
+    ...typeResolvers
+  ];
+
+  return `/**
+ * GraphQL resolvers generated by LaymanDB for: ${String(model.name).replace(/\*\//g, '* /')}
+ * Every resolver reads and writes through context.db, which you provide:
+ *   findOne(table, where)                      -> row or null
+ *   findMany(table, where, { limit, offset })  -> { rows, totalCount }
+ *   findManyThrough(table, join, { limit, offset }) -> { rows, totalCount }
+ *     rows of table linked to join.value through the junction table join.through, whose
+ *     join.foreignKey column holds join.value and join.otherKey column the row's join.targetKey
+ *   insert(table, values)                      -> inserted row
+ *   update(table, where, values)               -> updated row or null
+ *   remove(table, where)                       -> true if a row was deleted
+ * Rows are plain objects keyed by column name.
+ */
+${scalars.length > 0 ? "const { GraphQLScalarType, Kind } = require('graphql');\n" : ''}
+const PAGE_SIZE = 20;
+
+// GraphQL field name -> column name, for fields named differently from their column
+const COLUMNS = {
+${columnMaps.join(',\n')}
+};
+
+/**
+ * Turn an input object into a row keyed by column name
+ * @param {string} typeName - GraphQL type the input is for
+ * @param {Object} input - Input values keyed by field name
+ * @returns {Object} - Row values
+ */
+function toRow(typeName, input) {
+  const columns = COLUMNS[typeName] || {};
+  return Object.fromEntries(Object.entries(input).map(([field, value]) => [columns[field] || field, value]));
+}
+
+/**
+ * Resolve a connection from one page of rows. Cursors are opaque row offsets.
+ * @param {Function} find - Called with { limit, offset }, returns { rows, totalCount }
+ * @param {Object} args - Connection arguments { first, after }
+ * @returns {Promise<Object>} - { edges, pageInfo, totalCount }
+ */
+async function paginate(find, { first = PAGE_SIZE, after } = {}) {
+  const offset = after ? Number(Buffer.from(after, 'base64').toString('utf8')) + 1 : 0;
+  const { rows, totalCount } = await find({ limit: first, offset });
+  const edges = rows.map((row, index) => ({
+    node: row,
+    cursor: Buffer.from(String(offset + index)).toString('base64')
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: offset + rows.length < totalCount,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    totalCount
+  };
+}
+${scalars.map(name => scalarDefinition(name)).join('')}
+module.exports = {
+${resolverMap.join(',\n')}
+};
+`;
+}
+
+/**
+ * Resolver of one relationship field
+ * @param {Object} entity - Entity the field is on
+ * @param {Object} assoc - Association
+ * @param {Object} context - Generation context
+ * @returns {string} - Resolver function
+ */
+function relationResolver(entity, assoc, context) {
+  const target = context.byTable.get(assoc.target);
+  const typeVariable = camelCase(context.typeNames.get(entity.table));
+  const parent = ['args', 'db', 'page'].includes(typeVariable) ? 'parent' : typeVariable;
+
+  if (assoc.kind === 'manyToMany') {
+    const join = `{ through: ${jsString(assoc.through)}, foreignKey: ${jsString(assoc.foreignKey)}, otherKey: ${jsString(assoc.otherKey)}, targetKey: ${jsString(assoc.targetKey)}, value: ${propertyAccess(parent, assoc.sourceKey)} }`;
+    return `(${parent}, args, { db }) => paginate(page => db.findManyThrough(${jsString(target.table)}, ${join}, page), args)`;
+  }
+  if (assoc.owner) {
+    return `(${parent}, args, { db }) => db.findOne(${jsString(target.table)}, { ${propertyKey(assoc.references)}: ${propertyAccess(parent, assoc.foreignKey)} })`;
+  }
+
+  const where = `{ ${propertyKey(assoc.foreignKey)}: ${propertyAccess(parent, assoc.references)} }`;
+  if (assoc.kind === 'oneToMany') {
+    return `(${parent}, args, { db }) => paginate(page => db.findMany(${jsString(target.table)}, ${where}, page), args)`;
+  }
+  return `(${parent}, args, { db }) => db.findOne(${jsString(target.table)}, ${where})`;
+}
+
+/**
+ * Implementation of a custom scalar for the resolver skeleton
+ * @param {string} name - Scalar name
+ * @returns {string} - JavaScript constant definition
+ */
+function scalarDefinition(name) {
+  const conversions = {
+    BigInt: {
+      serialize: 'value => String(value)',
+      parseValue: 'value => String(value)',
+      parseLiteral: 'ast => ([Kind.INT, Kind.STRING].includes(ast.kind) ? ast.value : undefined)'
+    },
+    Decimal: {
+      serialize: 'value => String(value)',
+      parseValue: 'value => String(value)',
+      parseLiteral: 'ast => ([Kind.INT, Kind.FLOAT, Kind.STRING].includes(ast.kind) ? ast.value : undefined)'
+    },
+    Date: {
+      serialize: 'value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value))',
+      parseValue: 'value => String(value)',
+      parseLiteral: 'ast => (ast.kind === Kind.STRING ? ast.value : undefined)'
+    },
+    DateTime: {
+      serialize: 'value => new Date(value).toISOString()',
+      parseValue: 'value => new Date(value)',
+      parseLiteral: 'ast => (ast.kind === Kind.STRING ? new Date(ast.value) : undefined)'
+    },
+    Time: {
+      serialize: 'value => String(value)',
+      parseValue: 'value => String(value)',
+      parseLiteral: 'ast => (ast.kind === Kind.STRING ? ast.value : undefined)'
+    },
+    // JSON literals can be any GraphQL value, so they are rebuilt from the syntax tree
+    JSON: {
+      serialize: 'value => value',
+      parseValue: 'value => value',
+      parseLiteral: `function parseJSONLiteral(ast, variables) {
+    switch (ast.kind) {
+      case Kind.OBJECT:
+        return Object.fromEntries(ast.fields.map(field => [field.name.value, parseJSONLiteral(field.value, variables)]));
+      case Kind.LIST:
+        return ast.values.map(value => parseJSONLiteral(value, variables));
+      case Kind.INT:
+      case Kind.FLOAT:
+        return Number(ast.value);
+      case Kind.NULL:
+        return null;
+      case Kind.VARIABLE:
+        return variables ? variables[ast.name.value] : undefined;
+      default:
+        return ast.value;
+    }
+  }`
+    }
+  };
+  const { serialize, parseValue, parseLiteral } = conversions[name];
+
+  // Suffixed so the constants don't shadow the Date and JSON globals
+  return `
+const ${name}Scalar = new GraphQLScalarType({
+  name: '${name}',
+  description: ${jsString(CUSTOM_SCALARS[name])},
+  serialize: ${serialize},
+  parseValue: ${parseValue},
+  parseLiteral: ${parseLiteral}
+});
+`;
+}
+
+/**
+ * Relationship fields of an entity, leaving out those to plain junction tables, which have no type
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {Array} - Associations
+ */
+function getRelations(entity, context) {
+  return entity.associations.filter(assoc => context.typeNames.has(assoc.target));
+}
+
+/**
+ * Query field names of an entity, e.g. orderItem and orderItems
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {Object} - { one, many }
+ */
+function queryNames(entity, context) {
+  const one = camelCase(context.typeNames.get(entity.table));
+  const many = camelCase(plural(snakeCase(context.typeNames.get(entity.table))));
+  return { one, many: many === one ? `${many}List` : many };
+}
+
+/**
+ * Arguments identifying a row by its primary key
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {string} - Argument list without parentheses
+ */
+function keyArguments(entity, context) {
+  const names = context.fieldNames.get(entity.table);
+  return entity.primaryKey.map(column => `${names.get(column)}: ID!`).join(', ');
+}
+
+/**
+ * GraphQL type of a column: ID for keys, an enum for ENUM columns with valid value names, and the
+ * mapped scalar otherwise
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} field - Code model field
+ * @param {Object} context - Generation context
+ * @returns {string} - GraphQL type name
+ */
+function fieldType(entity, field, context) {
+  if (field.isPrimaryKey || field.isForeignKey) return 'ID';
+
+  if (field.type.kind === 'enum' && field.type.values.every(isEnumValueName)) {
+    return enumType(entity, field, context);
+  }
+
+  const scalar = mapDataType(field.dataType);
+  if (CUSTOM_SCALARS[scalar]) context.scalars.add(scalar);
+  return scalar;
+}
+
+/**
+ * Declare the enum type of an ENUM column and return its name
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} field - Code model field with an enum type
+ * @param {Object} context - Generation context
+ * @returns {string} - Enum name
+ */
+function enumType(entity, field, context) {
+  const name = `${context.typeNames.get(entity.table)}${codeModelService.pascalCase(field.column)}`;
+  const declaration = `enum ${name} {\n${field.type.values.map(value => `  ${value}`).join('\n')}\n}`;
+
+  if (!context.enums.includes(declaration)) context.enums.push(declaration);
+  return name;
+}
+
+/**
+ * Map SQL data types to GraphQL scalars
+ * @param {string} dataType - Column data type
+ * @returns {string} - GraphQL scalar name
+ */
+function mapDataType(dataType) {
+  if (!dataType) return 'String';
+
+  const typeMap = {
+    'INT': 'Int',
+    'INTEGER': 'Int',
+    'TINYINT': 'Int',
+    'SMALLINT': 'Int',
+    'MEDIUMINT': 'Int',
+    'YEAR': 'Int',
+    'SERIAL': 'Int',
+    'BIGINT': 'BigInt',
+    'BIGSERIAL': 'BigInt',
+    'DECIMAL': 'Decimal',
+    'NUMERIC': 'Decimal',
+    'NUMBER': 'Decimal',
+    'MONEY': 'Decimal',
+    'FLOAT': 'Float',
+    'REAL': 'Float',
+    'DOUBLE': 'Float',
+    'BOOLEAN': 'Boolean',
+    'BOOL': 'Boolean',
+    'BIT': 'Boolean',
+    'DATE': 'Date',
+    'DATETIME': 'DateTime',
+    'DATETIME2': 'DateTime',
+    'TIMESTAMP': 'DateTime',
+    'TIMESTAMPTZ': 'DateTime',
+    'TIME': 'Time',
+    'JSON': 'JSON',
+    'JSONB': 'JSON'
+  };
+
+  // Extract type and size
+  const match = dataType.trim().match(/^(\w+)(?:\s*\(([^)]+)\))?/);
+  if (!match) return 'String';
+
+  const type = match[1].toUpperCase();
+  const size = match[2];
+
+  // MySQL's boolean spelling
+  if (type === 'TINYINT' && size === '1') return 'Boolean';
+
+  // Character, binary and unknown types are carried as strings
+  return typeMap[type] || 'String';
+}
+
+function isEnumValueName(value) {
+  return /^[_A-Za-z][_0-9A-Za-z]*$/.test(value) && !['true', 'false', 'null'].includes(value);
+}
+
+function description(text, indent = '') {
+  if (!text) return '';
+  return `${indent}"""${String(text).replace(/"""/g, '\\"""')}"""\n`;
+}
+
+function propertyAccess(object, name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? `${object}.${name}` : `${object}[${jsString(name)}]`;
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : jsString(name);
+}
+
+function jsString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+module.exports = exports;
@@ -0,0 +1,899 @@
+const natural = require('natural');
+const schemaGeneratorService = require('./schemaGenerator.service');
+const logger = require('../utils/logger');
+
+/**
+ * Rule-based entity extraction
+ * Turns prompts such as "customers place orders containing products" into the same
+ * { entities, relationships } structure the AI extraction returns, without calling a model.
+ * Used as the offline extraction mode and as the fallback when the AI call fails.
+ */
+
+const DETERMINERS = ['a', 'an', 'the', 'each', 'every', 'any', 'some', 'all', 'its', 'their', 'his', 'her', 'this', 'that', 'these', 'those'];
+const MANY_WORDS = ['many', 'multiple', 'several', 'various', 'numerous'];
+const ONE_WORDS = ['one', 'single'];
+const COLLECTION_NOUNS = ['list', 'set', 'number', 'collection', 'lot', 'lots', 'variety', 'range', 'series'];
+const RELATIVE_PRONOUNS = ['that', 'which', 'who', 'whom', 'where'];
+const MODALS = ['can', 'could', 'may', 'might', 'must', 'shall', 'should', 'will', 'would', 'do', 'does', 'did'];
+const BE_FORMS = ['is', 'are', 'was', 'were', 'be', 'been', 'being'];
+const PREPOSITIONS = ['to', 'in', 'by', 'for', 'with', 'of', 'on', 'at', 'from', 'into', 'onto', 'under', 'about', 'between'];
+const ATTACHING_PREPOSITIONS = ['on', 'for', 'about', 'under', 'in', 'at', 'from'];
+
+// Verbs that list attributes ("each order has a date and a total") unless the object is an entity
+const HAS_VERBS = ['have', 'has', 'having', 'include', 'includes', 'including', 'with', 'store', 'stores', 'record', 'records', 'track', 'tracks'];
+
+// "Each product belongs to one category": many subjects share one object
+const BELONGS_VERBS = ['belong', 'belongs', 'report', 'reports', 'work', 'works', 'live', 'lives', 'reside', 'resides'];
+
+// "Students enroll in courses": both sides can repeat
+const MANY_TO_MANY_VERBS = [
+  'enroll', 'enrolls', 'attend', 'attends', 'take', 'takes', 'follow', 'follows', 'like', 'likes',
+  'join', 'joins', 'participate', 'participates', 'subscribe', 'subscribes', 'register', 'registers',
+  'tag', 'tags', 'visit', 'visits', 'watch', 'watches', 'bookmark', 'bookmarks', 'favorite', 'favorites'
+];
+
+// Nouns that describe the request rather than something to store
+const STOP_NOUNS = [
+  'system', 'database', 'db', 'application', 'app', 'platform', 'website', 'site', 'schema', 'design',
+  'table', 'entity', 'attribute', 'field', 'column', 'relationship', 'data', 'information', 'info',
+  'detail', 'way', 'thing', 'kind', 'something', 'everything', 'i', 'we', 'you', 'they', 'it', 'erd',
+  'diagram', 'model', 'solution', 'project', 'need', 'requirement', 'business', 'example', 'sample'
+];
+
+const UNIQUE_HINTS = ['email', 'username', 'sku', 'isbn', 'slug', 'email_address'];
+const QUALIFIERS = { unique: 'isUnique', required: 'required', mandatory: 'required', optional: 'optional' };
+
+const RELATIONSHIP_TYPE_PATTERN = /\b(ONE|MANY)_TO_(ONE|MANY)\b/;
+
+let tagger = null;
+let lexicon = null;
+const nounInflector = new natural.NounInflector();
+const verbInflector = new natural.PresentVerbInflector();
+
+/**
+ * Extract entities, relationships and attributes from a natural language prompt
+ * @param {string} text - Natural language description of the database
+ * @returns {Object} - Extracted entities and relationships, plus warnings about what was assumed
+ */
+exports.extractEntities = (text) => {
+  const context = {
+    entities: new Map(),
+    relationships: new Map(),
+    facts: new Map(),
+    warnings: []
+  };
+
+  const clauses = splitClauses(text || '');
+
+  // First pass: find which nouns are entities, so "has" can tell attributes from related entities
+  const parsed = clauses.map(clause => {
+    const colonLine = parseColonLine(clause);
+    if (colonLine) {
+      ensureEntity(context, colonLine.entity, clause);
+      return { clause, colonLine };
+    }
+
+    const groups = groupPhrases(chunk(clause));
+    collectEntities(context, groups, clause);
+    return { clause, groups };
+  });
+
+  // Second pass: attributes and relationships
+  parsed.forEach(({ clause, colonLine, groups }) => {
+    if (colonLine) {
+      colonLine.attributes.forEach(attribute => addAttribute(context.entities.get(colonLine.entity), attribute));
+      return;
+    }
+    interpret(context, groups, clause);
+  });
+
+  linkForeignKeyAttributes(context);
+
+  const entities = Array.from(context.entities.values()).map(entity => finishEntity(entity));
+  const relationships = Array.from(context.relationships.values()).map(relationship => finishRelationship(context, relationship));
+
+  if (entities.length === 0) {
+    context.warnings.push('No entities could be identified in the prompt');
+  }
+
+  logger.info('Rule-based entity extraction completed', {
+    entityCount: entities.length,
+    relationshipCount: relationships.length
+  });
+
+  return { entities, relationships, warnings: context.warnings };
+};
+
+/**
+ * Split a prompt into sentences and clauses
+ * @param {string} text - Prompt
+ * @returns {Array<string>} - Clauses
+ */
+function splitClauses(text) {
+  return text
+    .split(/\n+|(?<=[.!?;])\s+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/[.!?;]+\s*$/, '').trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Parse "Customer: name, email (VARCHAR(255), UNIQUE), phone" style lines
+ * @param {string} clause - Clause
+ * @returns {Object|null} - Entity name and attributes, or null if the clause isn't a colon line
+ */
+function parseColonLine(clause) {
+  const match = clause.match(/^([A-Za-z][A-Za-z ]{0,40}?)\s*:\s*(.+)$/);
+  if (!match || match[1].split(/\s+/).length > 3) {
+    return null;
+  }
+
+  const head = match[1].trim().split(/\s+/).map(word => word.toLowerCase());
+  if (STOP_NOUNS.includes(singular(head[head.length - 1]))) {
+    return null;
+  }
+
+  const items = splitTopLevel(match[2]);
+  if (items.some(item => item.replace(/\(.*\)/, '').trim().split(/\s+/).length > 4)) {
+    return null;
+  }
+
+  return {
+    entity: entityName(head),
+    attributes: items.map(item => {
+      const typed = item.match(/^([^()]+?)\s*\((.*)\)\s*$/);
+      const words = (typed ? typed[1] : item).trim().toLowerCase().split(/\s+/);
+      const flags = typed ? splitTopLevel(typed[2]).map(flag => flag.trim()) : [];
+      const dataType = flags.find(flag => /^[A-Za-z]+(\(\d+(,\s*\d+)?\))?$/.test(flag) && !/^(PK|FK|UNIQUE|NULL)$/i.test(flag));
+
+      return buildAttribute(words, {
+        dataType: dataType ? dataType.toUpperCase() : undefined,
+        isPrimaryKey: flags.some(flag => /^(PK|PRIMARY KEY)$/i.test(flag)),
+        isUnique: flags.some(flag => /^UNIQUE$/i.test(flag)),
+        isNullable: flags.some(flag => /^NOT NULL$/i.test(flag)) ? false : undefined
+      });
+    }).filter(Boolean)
+  };
+}
+
+function splitTopLevel(text) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items.map(item => item.replace(/^\s*(and|or)\s+/i, '').trim()).filter(Boolean);
+}
+
+/**
+ * Create the POS tagger on first use (loading the lexicon takes a moment)
+ * @returns {Object} - Brill POS tagger
+ */
+function getTagger() {
+  if (!tagger) {
+    lexicon = new natural.Lexicon('EN', 'N', 'NNP');
+    tagger = new natural.BrillPOSTagger(lexicon, new natural.RuleSet('EN'));
+  }
+  return tagger;
+}
+
+function lexiconTags(word) {
+  getTagger();
+  return lexicon.lexicon[word.toLowerCase()] || [];
+}
+
+/**
+ * Tokenize and POS-tag a clause, then chunk it into noun phrases, verb groups and separators
+ * @param {string} clause - Clause
+ * @returns {Array<Object>} - Phrases
+ */
+function chunk(clause) {
+  const tokens = clause.replace(/'s\b/g, '').match(/\(|\)|,|:|[A-Za-z][A-Za-z0-9_'-]*|\d+/g) || [];
+  const words = tokens.map(token => token.toLowerCase());
+  // Tag lowercase words: a capitalised first word ("Posts have ...") is otherwise read as a verb
+  const tags = getTagger().tag(words).taggedWords.map(word => word.tag);
+  const phrases = [];
+  let pending = {};
+  let i = 0;
+
+  const isNounTag = (tag) => /^(NN|NNS|NNP|NNPS|N|JJ|JJR|JJS|CD|VBN)$/.test(tag);
+  const startsNoun = (index) => index < words.length && (
+    /^(NN|NNS|NNP|NNPS|N)$/.test(tags[index]) ||
+    DETERMINERS.includes(words[index]) || MANY_WORDS.includes(words[index]) || ONE_WORDS.includes(words[index]) ||
+    (/^(JJ|VBG)$/.test(tags[index]) && index + 1 < words.length && /^(NN|NNS|N)$/.test(tags[index + 1]))
+  );
+
+  while (i < words.length) {
+    const word = words[i];
+    const tag = tags[i];
+
+    if (word === '(') {
+      const end = words.indexOf(')', i);
+      const inner = tokens.slice(i + 1, end === -1 ? tokens.length : end).join(' ').replace(/ ,/g, ',');
+      phrases.push({ type: 'paren', items: splitTopLevel(inner).flatMap(item => item.split(/\s+(?:and|or)\s+/i)) });
+      i = end === -1 ? tokens.length : end + 1;
+      continue;
+    }
+
+    if (word === ',' || word === ':' || word === 'and' || word === 'or' || word === 'as' || word === 'well') {
+      phrases.push({ type: 'sep' });
+      i++;
+      continue;
+    }
+
+    if (RELATIVE_PRONOUNS.includes(word) && !startsNounPhraseAfterThat(words, tags, i)) {
+      phrases.push({ type: 'rel' });
+      i++;
+      continue;
+    }
+
+    // "one or more", "zero or more", "at least one": the object side repeats
+    if ((word === 'one' || word === 'zero') && words[i + 1] === 'or' && words[i + 2] === 'more') {
+      pending.quantity = 'many';
+      i += 3;
+      continue;
+    }
+    if (word === 'at' && words[i + 1] === 'least') {
+      pending.quantity = 'many';
+      i += words[i + 2] === 'one' ? 3 : 2;
+      continue;
+    }
+    if (word === 'exactly' || word === 'only') {
+      i++;
+      continue;
+    }
+
+    if (DETERMINERS.includes(word)) {
+      pending.det = word;
+      if ((word === 'a' || word === 'an') && !pending.quantity) {
+        pending.quantity = 'one';
+      }
+      i++;
+      continue;
+    }
+    if (MANY_WORDS.includes(word)) {
+      pending.quantity = 'many';
+      i++;
+      continue;
+    }
+    if (ONE_WORDS.includes(word)) {
+      pending.quantity = 'one';
+      i++;
+      continue;
+    }
+
+    if (startsNoun(i) && !MODALS.includes(word) && !isMisreadVerb(words, tags, i)) {
+      const start = i;
+      let end = i;
+      while (end < words.length && words[end] !== ',' && !['and', 'or'].includes(words[end]) &&
+             (isNounTag(tags[end]) || (tags[end] === 'VBG' && lexiconTags(words[end]).some(t => /^(NN|JJ)/.test(t))))) {
+        // A verb the tagger read as a noun: "customers place orders", "a customer places orders"
+        if (end > start && isMisreadVerb(words, tags, end)) {
+          break;
+        }
+        end++;
+      }
+
+      if (end > start) {
+        // "a list of products" is a quantity, not a noun phrase
+        if (end - start === 1 && COLLECTION_NOUNS.includes(words[start]) && words[end] === 'of') {
+          pending.quantity = 'many';
+          i = end + 1;
+          continue;
+        }
+
+        const np = {
+          type: 'np',
+          words: words.slice(start, end),
+          tags: tags.slice(start, end),
+          det: pending.det || null,
+          quantity: pending.quantity || null
+        };
+
+        // "date of birth" is one noun phrase
+        if (pending.of) {
+          pending.of.words.push('of', ...np.words);
+          pending.of.tags.push('IN', ...np.tags);
+        } else {
+          phrases.push(np);
+        }
+        pending = {};
+        i = end;
+        continue;
+      }
+    }
+
+    if (/^(VB|VBD|VBG|VBN|VBP|VBZ|MD)$/.test(tag) || MODALS.includes(word) || BE_FORMS.includes(word) ||
+        (/^(NN|NNS|RB|JJ)$/.test(tag) && isMisreadVerb(words, tags, i))) {
+      const verb = { type: 'verb', words: [] };
+      while (i < words.length &&
+             (/^(VB|VBD|VBG|VBN|VBP|VBZ|MD|RB)$/.test(tags[i]) || MODALS.includes(words[i]) || BE_FORMS.includes(words[i]) ||
+              (verb.words.length === 0 && isMisreadVerb(words, tags, i)) || followsModal(verb, words[i]) ||
+              (words[i] === 'to' && /^VB/.test(tags[i + 1] || '')))) {
+        verb.words.push(words[i]);
+        i++;
+      }
+      if (i < words.length && PREPOSITIONS.includes(words[i]) && words[i] !== 'with') {
+        verb.prep = words[i];
+        i++;
+      }
+      if (verb.words.length > 0) {
+        phrases.push(verb);
+        continue;
+      }
+    }
+
+    const previousPhrase = phrases[phrases.length - 1];
+    if (word === 'of' && previousPhrase && previousPhrase.type === 'np' && startsNoun(i + 1)) {
+      pending = { of: previousPhrase };
+      i++;
+      continue;
+    }
+
+    if (PREPOSITIONS.includes(word)) {
+      phrases.push({ type: 'prep', word });
+      i++;
+      continue;
+    }
+
+    i++;
+  }
+
+  return phrases;
+}
+
+/**
+ * Whether a token the tagger read as a noun is the base verb after a modal: "can place orders"
+ * @param {Object} verb - Verb group being collected
+ * @param {string} word - Next token
+ * @returns {boolean} - True if the token belongs to the verb group
+ */
+function followsModal(verb, word) {
+  return MODALS.includes(verb.words[verb.words.length - 1]) && lexiconTags(word).includes('VB');
+}
+
+function startsNounPhraseAfterThat(words, tags, index) {
+  // "that" as a determiner ("that order") rather than a relative pronoun
+  return words[index] === 'that' && /^(NN|NNS)$/.test(tags[index + 1] || '') && /^VB/.test(tags[index + 2] || '');
+}
+
+/**
+ * Whether a token tagged as a noun is really the verb between two noun phrases
+ * @param {Array<string>} words - Lowercased tokens
+ * @param {Array<string>} tags - POS tags
+ * @param {number} index - Token index
+ * @returns {boolean} - True if the token should start a verb group
+ */
+function isMisreadVerb(words, tags, index) {
+  // Look past a parenthesised attribute list: "employees (name, email) work in departments"
+  let before = index - 1;
+  if (words[before] === ')') {
+    before = words.lastIndexOf('(', before) - 1;
+  }
+  if (before < 0) {
+    return false;
+  }
+
+  const previous = tags[before];
+  const next = index + 1 < words.length ? words[index + 1] : null;
+  if (!/^(NN|NNS|NNP|NNPS|N)$/.test(previous) || !next) {
+    return false;
+  }
+  if (!(DETERMINERS.includes(next) || MANY_WORDS.includes(next) || ONE_WORDS.includes(next) ||
+        PREPOSITIONS.includes(next) || /^(NN|NNS|NNP|NNPS|N|JJ)$/.test(tags[index + 1]))) {
+    return false;
+  }
+
+  const candidates = lexiconTags(words[index]);
+  const pluralSubject = /^(NNS|NNPS)$/.test(previous) || (previous === 'N' && singular(words[before]) !== words[before]);
+  return pluralSubject
+    ? candidates.some(tag => tag === 'VBP' || tag === 'VB') && !/s$/.test(words[index])
+    : candidates.includes('VBZ');
+}
+
+/**
+ * Group phrases into noun phrase lists ("books, members and loans"), verbs and markers
+ * @param {Array<Object>} phrases - Chunked phrases
+ * @returns {Array<Object>} - Groups
+ */
+function groupPhrases(phrases) {
+  const groups = [];
+
+  phrases.forEach(phrase => {
+    const last = groups[groups.length - 1];
+
+    if (phrase.type === 'np') {
+      if (last && last.type === 'nps' && last.open) {
+        last.items.push(phrase);
+        last.open = false;
+      } else {
+        groups.push({ type: 'nps', items: [phrase], open: false });
+      }
+    } else if (phrase.type === 'sep') {
+      if (last && last.type === 'nps') {
+        last.open = true;
+      }
+    } else if (phrase.type === 'paren') {
+      if (last && last.type === 'nps') {
+        last.items[last.items.length - 1].paren = phrase.items;
+      }
+    } else if (phrase.type === 'prep' && phrase.word === 'with') {
+      groups.push({ type: 'verb', words: ['with'], prep: null });
+    } else {
+      groups.push(phrase);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Walk the clause as subject-verb-object triples
+ * @param {Array<Object>} groups - Grouped phrases
+ * @param {Function} callback - Called with (subjects, verb, objects)
+ */
+function eachTriple(groups, callback) {
+  groups.forEach((group, index) => {
+    if (group.type !== 'verb') {
+      return;
+    }
+
+    let subjects = null;
+    for (let j = index - 1; j >= 0; j--) {
+      if (groups[j].type === 'nps') {
+        // A relative clause or participle ("orders containing products") is about the last noun only
+        const relative = groups[j + 1] && groups[j + 1].type === 'rel';
+        const participle = group.words.length === 1 && /ing$/.test(group.words[0]) && group.words[0] !== 'including';
+        subjects = relative || participle ? [groups[j].items[groups[j].items.length - 1]] : groups[j].items;
+        break;
+      }
+      if (groups[j].type === 'verb') {
+        break;
+      }
+    }
+
+    const next = groups[index + 1];
+    const objects = next && next.type === 'nps' ? next.items : [];
+
+    callback(subjects, group, objects);
+  });
+}
+
+/**
+ * First pass: register the nouns that are clearly entities
+ * @param {Object} context - Extraction state
+ * @param {Array<Object>} groups - Grouped phrases
+ * @param {string} clause - Clause text, used as the entity description
+ */
+function collectEntities(context, groups, clause) {
+  groups.forEach(group => {
+    if (group.type === 'nps') {
+      group.items.filter(np => np.paren).forEach(np => registerEntity(context, np, clause));
+    }
+  });
+
+  eachTriple(groups, (subjects, verb, objects) => {
+    const subjectEntities = (subjects || []).filter(np => !isStopNoun(np));
+    const isHas = HAS_VERBS.includes(mainVerb(verb));
+
+    subjectEntities.forEach(np => registerEntity(context, np, clause));
+
+    objects.forEach(np => {
+      if (isStopNoun(np)) {
+        return;
+      }
+      // "A database with books and members", "track members and loans"
+      const describesRequest = subjectEntities.length === 0;
+      if (!isHas || describesRequest || np.quantity === 'many') {
+        registerEntity(context, np, describesRequest ? null : clause);
+      }
+    });
+  });
+
+  // A clause that is only a list of nouns ("Books, members and loans") names entities
+  if (groups.length === 1 && groups[0].type === 'nps' && groups[0].items.length > 1) {
+    groups[0].items.filter(np => !isStopNoun(np)).forEach(np => registerEntity(context, np, null));
+  }
+}
+
+/**
+ * Second pass: attributes and relationships
+ * @param {Object} context - Extraction state
+ * @param {Array<Object>} groups - Grouped phrases
+ * @param {string} clause - Clause text
+ */
+function interpret(context, groups, clause) {
+  const explicitType = (clause.match(RELATIONSHIP_TYPE_PATTERN) || [])[0];
+
+  groups.forEach(group => {
+    if (group.type !== 'nps') {
+      return;
+    }
+    group.items.filter(np => np.paren).forEach(np => {
+      const entity = context.entities.get(entityName(nounWords(np)));
+      if (!entity) {
+        return;
+      }
+      np.paren
+        .filter(item => !RELATIONSHIP_TYPE_PATTERN.test(item))
+        .forEach(item => addAttribute(entity, buildAttribute(item.toLowerCase().split(/\s+/))));
+    });
+  });
+
+  // "comments on posts": the first belongs to the second
+  groups.forEach((group, index) => {
+    const prep = groups[index + 1];
+    const next = groups[index + 2];
+    if (group.type !== 'nps' || !prep || prep.type !== 'prep' || !ATTACHING_PREPOSITIONS.includes(prep.word) || !next || next.type !== 'nps') {
+      return;
+    }
+
+    // After a passive agent the phrase describes the subject: "prescriptions are written by doctors for patients"
+    const previous = groups[index - 1];
+    const agentOf = previous && previous.type === 'verb' && previous.prep === 'by' && groups[index - 2];
+    const owner = agentOf && agentOf.type === 'nps' ? agentOf : group;
+
+    const subject = owner.items[owner.items.length - 1];
+    const entity = context.entities.get(entityName(nounWords(subject)));
+    next.items.forEach(object => {
+      const target = context.entities.get(entityName(nounWords(object)));
+      if (entity && target && entity.name !== target.name) {
+        addRelationship(context, { subject, entity, verb: { words: ['belongs'], prep: 'to' }, object, target, clause, explicitType });
+      }
+    });
+  });
+
+  eachTriple(groups, (subjects, verb, objects) => {
+    const subjectEntities = (subjects || [])
+      .map(np => ({ np, entity: context.entities.get(entityName(nounWords(np))) }))
+      .filter(item => item.entity);
+
+    if (subjectEntities.length === 0 || objects.length === 0) {
+      return;
+    }
+
+    const isHas = HAS_VERBS.includes(mainVerb(verb));
+
+    objects.forEach(object => {
+      const target = context.entities.get(entityName(nounWords(object)));
+
+      if (!target) {
+        if (isHas) {
+          subjectEntities.forEach(({ entity }) => addAttribute(entity, buildAttribute(attributeWords(object))));
+        }
+        return;
+      }
+
+      subjectEntities.forEach(({ np, entity }) => {
+        if (entity.name !== target.name) {
+          addRelationship(context, { subject: np, entity, verb, object, target, clause, explicitType });
+        }
+      });
+    });
+  });
+}
+
+function registerEntity(context, np, clause) {
+  const words = nounWords(np);
+  if (words.length === 0) {
+    return;
+  }
+  ensureEntity(context, entityName(words), clause);
+}
+
+function ensureEntity(context, name, clause) {
+  if (!context.entities.has(name)) {
+    context.entities.set(name, { name, description: null, attributes: [] });
+  }
+  const entity = context.entities.get(name);
+  if (!entity.description && clause) {
+    entity.description = clause.length > 200 ? `${clause.substring(0, 197)}...` : clause;
+  }
+  return entity;
+}
+
+function isStopNoun(np) {
+  const words = nounWords(np);
+  return words.length === 0 || STOP_NOUNS.includes(singular(words[words.length - 1]));
+}
+
+/**
+ * The noun compound that names an entity: "the registered users" -> ["user"]
+ * @param {Object} np - Noun phrase
+ * @returns {Array<string>} - Lowercase words
+ */
+function nounWords(np) {
+  const words = [];
+  for (let i = headIndex(np); i >= 0; i--) {
+    if (!/^(NN|NNS|NNP|NNPS|N)$/.test(np.tags[i])) {
+      break;
+    }
+    words.unshift(np.words[i]);
+  }
+  return words.length > 0 ? words : [np.words[headIndex(np)]];
+}
+
+// The head noun comes before "of": "list of products", "date of birth"
+function headIndex(np) {
+  const of = np.words.indexOf('of');
+  return of > 0 ? of - 1 : np.words.length - 1;
+}
+
+function attributeWords(np) {
+  return np.words.filter((word, index) => !/^(CD)$/.test(np.tags[index]));
+}
+
+function singular(word) {
+  if (/(ss|us|is)$/.test(word)) {
+    return word;
+  }
+
+  // The inflector turns "courses" into "cours"; prefer a form the lexicon knows as a noun
+  const candidates = [nounInflector.singularize(word), word.replace(/s$/, ''), word.replace(/es$/, '')];
+  return candidates.find(candidate => lexiconTags(candidate).some(tag => /^NN/.test(tag))) || candidates[0];
+}
+
+function entityName(words) {
+  const parts = words.map((word, index) => index === words.length - 1 ? singular(word) : word);
+  return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Build an attribute from its words, honouring qualifiers like "unique" and "optional"
+ * @param {Array<string>} words - Lowercase words
+ * @param {Object} overrides - Explicit data type and constraints
+ * @returns {Object|null} - Attribute or null if nothing is left to name it
+ */
+function buildAttribute(words, overrides = {}) {
+  const flags = {};
+  const nameWords = words
+    .map(word => word.replace(/[^a-z0-9_]/g, ''))
+    .filter(word => {
+      if (QUALIFIERS[word]) {
+        flags[QUALIFIERS[word]] = true;
+        return false;
+      }
+      return word && !DETERMINERS.includes(word) && !MANY_WORDS.includes(word);
+    });
+
+  if (nameWords.length === 0) {
+    return null;
+  }
+
+  nameWords[nameWords.length - 1] = singular(nameWords[nameWords.length - 1]);
+  const name = nameWords.join('_');
+
+  return {
+    name,
+    dataType: overrides.dataType || schemaGeneratorService.inferDataType(name),
+    isPrimaryKey: overrides.isPrimaryKey || name === 'id',
+    isForeignKey: false,
+    isNullable: overrides.isNullable !== undefined ? overrides.isNullable : !(flags.required || overrides.isPrimaryKey) || !!flags.optional,
+    isUnique: !!(overrides.isUnique || flags.isUnique || UNIQUE_HINTS.includes(name)),
+    description: `${nameWords.join(' ')} of the record`
+  };
+}
+
+function addAttribute(entity, attribute) {
+  if (!entity || !attribute || ['created_at', 'updated_at'].includes(attribute.name)) {
+    return;
+  }
+  if (!entity.attributes.some(existing => existing.name === attribute.name)) {
+    entity.attributes.push(attribute);
+  }
+}
+
+/**
+ * Record a relationship and what the clause says about how many of each side there are
+ * @param {Object} context - Extraction state
+ * @param {Object} details - Subject/object phrases and entities, verb, clause and explicit type
+ */
+function addRelationship(context, details) {
+  const { subject, entity, verb, object, target, clause, explicitType } = details;
+  const key = [entity.name, target.name].sort().join('|');
+
+  if (!context.relationships.has(key)) {
+    context.relationships.set(key, {
+      name: relationshipName(verb),
+      sourceEntity: entity.name,
+      targetEntity: target.name,
+      description: clause,
+      explicitType: null
+    });
+  }
+
+  const relationship = context.relationships.get(key);
+  if (explicitType && !relationship.explicitType) {
+    relationship.explicitType = relationship.sourceEntity === entity.name ? explicitType : reverseType(explicitType);
+  }
+
+  const verbWord = mainVerb(verb);
+  const passive = verb.words.some(word => BE_FORMS.includes(word)) && verb.prep === 'by';
+  const belongs = passive || BELONGS_VERBS.includes(verbWord) ||
+    (verbWord === 'with' && !object.quantity) ||
+    (verb.prep && ['to', 'in', 'under'].includes(verb.prep) && !MANY_TO_MANY_VERBS.includes(verbWord));
+
+  // What the clause states: how many targets each subject has. "Employees work in departments"
+  // pairs plurals, but each employee still works in one department
+  const objectMany = object.quantity ? object.quantity === 'many' : !belongs && isPlural(object);
+  setFact(context, entity.name, target.name, objectMany, true);
+
+  // What it implies about the other direction
+  let subjectMany = false;
+  if (belongs) {
+    subjectMany = true;
+  } else if (MANY_TO_MANY_VERBS.includes(verbWord)) {
+    subjectMany = objectMany;
+  } else if (subject.quantity === 'many') {
+    subjectMany = true;
+  }
+  setFact(context, target.name, entity.name, subjectMany, false);
+}
+
+function setFact(context, from, to, many, stated) {
+  const key = `${from}|${to}`;
+  const existing = context.facts.get(key);
+  if (!existing || (stated && !existing.stated)) {
+    context.facts.set(key, { many, stated });
+  }
+}
+
+function isPlural(np) {
+  const tag = np.tags[headIndex(np)];
+  const word = np.words[headIndex(np)];
+  if (tag === 'NNS' || tag === 'NNPS') {
+    return true;
+  }
+  return tag === 'N' && singular(word) !== word;
+}
+
+function mainVerb(verb) {
+  const words = verb.words.filter(word => !MODALS.includes(word) && !BE_FORMS.includes(word) && word !== 'to');
+  return words.length > 0 ? words[words.length - 1] : verb.words[verb.words.length - 1];
+}
+
+/**
+ * Relationship name from the verb group: "can place" -> places, "belongs to" -> belongsTo,
+ * "is taught by" -> isTaughtBy, "containing" -> contains
+ * @param {Object} verb - Verb group
+ * @returns {string} - camelCase relationship name
+ */
+function relationshipName(verb) {
+  const word = mainVerb(verb);
+  const passive = verb.words.some(w => BE_FORMS.includes(w)) && word !== verb.words[0];
+  let name;
+
+  if (passive) {
+    name = `is${capitalize(word)}`;
+  } else if (word === 'with') {
+    name = 'has';
+  } else if (/ing$/.test(word)) {
+    name = verbInflector.singularize(baseFromParticiple(word));
+  } else if (/s$/.test(word) && lexiconTags(word).includes('VBZ')) {
+    name = word;
+  } else {
+    name = verbInflector.singularize(word);
+  }
+
+  return verb.prep ? `${name}${capitalize(verb.prep)}` : name;
+}
+
+function baseFromParticiple(word) {
+  const stem = word.replace(/ing$/, '');
+  const candidates = [stem, `${stem}e`, stem.replace(/(.)\1$/, '$1')];
+  return candidates.find(candidate => lexiconTags(candidate).some(tag => tag === 'VB' || tag === 'VBP')) || stem;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function reverseType(type) {
+  return type.split('_TO_').reverse().join('_TO_');
+}
+
+/**
+ * Turn "customer_id" attributes on entities into relationships with the Customer entity
+ * @param {Object} context - Extraction state
+ */
+function linkForeignKeyAttributes(context) {
+  context.entities.forEach(entity => {
+    entity.attributes = entity.attributes.filter(attribute => {
+      const match = attribute.name.match(/^(.+)_id$/);
+      const target = match && context.entities.get(entityName(match[1].split('_')));
+      if (!target || target.name === entity.name) {
+        return true;
+      }
+
+      const key = [entity.name, target.name].sort().join('|');
+      if (!context.relationships.has(key)) {
+        context.relationships.set(key, {
+          name: 'belongsTo',
+          sourceEntity: entity.name,
+          targetEntity: target.name,
+          description: `${entity.name} references ${target.name} through ${attribute.name}`,
+          explicitType: null
+        });
+        setFact(context, entity.name, target.name, false, true);
+        setFact(context, target.name, entity.name, true, false);
+      }
+      return false;
+    });
+  });
+}
+
+function finishEntity(entity) {
+  const assumptionsMade = [];
+  if (entity.attributes.length === 0) {
+    assumptionsMade.push('No attributes were described; a name column was assumed');
+  }
+
+  return {
+    name: entity.name,
+    description: entity.description || `${entity.name} mentioned in the prompt`,
+    isWeakEntity: false,
+    attributes: entity.attributes,
+    position: { isDraggable: true },
+    assumptionsMade
+  };
+}
+
+/**
+ * Work out the relationship type and cardinalities from the collected facts
+ * @param {Object} context - Extraction state
+ * @param {Object} relationship - Collected relationship
+ * @returns {Object} - Relationship in the extraction format
+ */
+function finishRelationship(context, relationship) {
+  const { sourceEntity, targetEntity } = relationship;
+  const forward = context.facts.get(`${sourceEntity}|${targetEntity}`) || { many: false, stated: false };
+  const backward = context.facts.get(`${targetEntity}|${sourceEntity}`) || { many: false, stated: false };
+  const assumptionsMade = [];
+
+  let type = relationship.explicitType;
+  if (!type) {
+    const sourceMany = backward.many;
+    const targetMany = forward.many;
+    type = sourceMany && targetMany ? 'MANY_TO_MANY'
+      : targetMany ? 'ONE_TO_MANY'
+        : sourceMany ? 'MANY_TO_ONE'
+          : 'ONE_TO_ONE';
+
+    if (!forward.stated || !backward.stated) {
+      const side = !backward.stated ? sourceEntity : targetEntity;
+      assumptionsMade.push(`How many ${side} records relate to each ${side === sourceEntity ? targetEntity : sourceEntity} was assumed from the wording`);
+    }
+  }
+
+  const [sourceSide, targetSide] = type.split('_TO_');
+  const cardinality = (side) => side === 'MANY' ? '0..*' : '1..1';
+
+  return {
+    name: relationship.name,
+    sourceEntity,
+    targetEntity,
+    type,
+    isIdentifying: false,
+    sourceCardinality: cardinality(sourceSide),
+    targetCardinality: cardinality(targetSide),
+    // The side holding the foreign key must point at a parent
+    sourceParticipation: type === 'MANY_TO_ONE' ? 'TOTAL' : 'PARTIAL',
+    targetParticipation: type === 'ONE_TO_MANY' ? 'TOTAL' : 'PARTIAL',
+    description: relationship.description,
+    attributes: [],
+    position: { isDraggable: true },
+    assumptionsMade
+  };
+}
+
+module.exports = exports;
@@ -0,0 +1,144 @@
+/**
+ * Fixture replay LLM provider
+ * Answers prompts from JSON files instead of a model, so the server and tests run offline
+ * and get the same response every time.
+ *
+ * A request is looked up in <directory>/<feature>/<key>.json, where key is a hash of the
+ * system prompt, user prompt and JSON flag, then in <directory>/<feature>/default.json.
+ * When a recorder provider is given, misses are sent to it and its answer is saved as
+ * <key>.json for the next run.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+class FixtureProvider {
+  /**
+   * @param {Object} options - { directory, recorder }
+   */
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.model = 'fixture';
+    this.directory = path.resolve(options.directory || path.join(__dirname, 'fixtures'));
+    this.recorder = options.recorder || null;
+    this.configurationHint = 'Set LLM_FIXTURE_DIR to a directory of fixtures.';
+    // Size of the pieces a fixture is replayed in when the caller streams tokens
+    this.chunkSize = options.chunkSize || 64;
+  }
+
+  isConfigured() {
+    return !!this.directory;
+  }
+
+  /**
+   * Hash identifying a request
+   * @param {Object} request - { system, prompt, json }
+   * @returns {string} - Fixture key
+   */
+  fixtureKey(request) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ system: request.system || '', prompt: request.prompt, json: !!request.json }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Return the recorded response for a request
+   * @param {Object} request - { feature, system, prompt, json, onToken, signal }
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async complete(request) {
+    const result = await this.lookup(request);
+
+    if (request.onToken) {
+      await this.replayTokens(result.text, request);
+    }
+
+    return result;
+  }
+
+  /**
+   * Find (or record) the fixture for a request
+   * @param {Object} request - LLM request
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async lookup(request) {
+    const feature = request.feature || 'default';
+    const key = this.fixtureKey(request);
+    const exactPath = path.join(this.directory, feature, `${key}.json`);
+
+    if (fs.existsSync(exactPath)) {
+      return this.readFixture(exactPath);
+    }
+
+    if (this.recorder) {
+      return this.record(request, exactPath);
+    }
+
+    const defaultPath = path.join(this.directory, feature, 'default.json');
+    if (fs.existsSync(defaultPath)) {
+      logger.info(`No ${feature} fixture for request ${key}, replaying default.json`);
+      return this.readFixture(defaultPath);
+    }
+
+    throw new Error(`No ${feature} fixture for request ${key} in ${this.directory}`);
+  }
+
+  /**
+   * Pass a fixture's text to onToken in chunks, as a streaming provider would
+   * @param {string} text - Fixture text
+   * @param {Object} request - { onToken, signal }
+   */
+  async replayTokens(text, request) {
+    for (let offset = 0; offset < text.length; offset += this.chunkSize) {
+      if (request.signal && request.signal.aborted) {
+        const error = new Error('Fixture replay was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      request.onToken(text.substring(offset, offset + this.chunkSize));
+      // Yield so listeners (sockets, SSE) can flush between chunks
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  readFixture(filePath) {
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const text = typeof fixture.text === 'string' ? fixture.text : JSON.stringify(fixture.text);
+
+    return { text, model: fixture.model || this.model, usage: null };
+  }
+
+  /**
+   * Ask the recorder provider and save its answer as a fixture
+   * @param {Object} request - LLM request
+   * @param {string} filePath - Fixture file to write
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async record(request, filePath) {
+    if (!this.recorder.isConfigured()) {
+      throw new Error(`Cannot record fixtures: the ${this.recorder.name} provider is not configured. ${this.recorder.configurationHint}`);
+    }
+
+    // Tokens are replayed from the recorded text, so the recorder itself doesn't stream
+    const result = await this.recorder.complete({ ...request, onToken: undefined });
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      feature: request.feature,
+      prompt: request.prompt,
+      model: result.model,
+      recordedAt: new Date().toISOString(),
+      text: result.text
+    }, null, 2));
+
+    logger.info(`Recorded ${request.feature} fixture ${path.basename(filePath)} from ${this.recorder.name}`);
+
+    return result;
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,100 @@
+/**
+ * Google Gemini LLM provider
+ * Sends prompts to Google's Generative AI models.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  /**
+   * @param {Object} options - { apiKey, model }
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey;
+    this.model = options.model || 'gemini-2.5-flash';
+    this.configurationHint = 'Set GEMINI_API_KEY.';
+    this.generativeModel = null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Create the Gemini model client on first use
+   * @returns {Object} - GenerativeModel instance
+   */
+  getModel() {
+    if (!this.generativeModel) {
+      const genAI = new GoogleGenerativeAI(this.apiKey);
+      this.generativeModel = genAI.getGenerativeModel({ model: this.model });
+    }
+    return this.generativeModel;
+  }
+
+  /**
+   * Send a prompt and return the model's text
+   * @param {Object} request - { system, prompt, json, temperature, maxTokens, onToken, signal }
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async complete(request) {
+    // The system prompt is sent as part of the user turn, separated from the request
+    const text = request.system ? `${request.system}\n\n---\n\n${request.prompt}` : request.prompt;
+
+    const generationConfig = {
+      responseMimeType: request.json ? 'application/json' : 'text/plain'
+    };
+    if (request.temperature !== undefined) {
+      generationConfig.temperature = request.temperature;
+    }
+    if (request.maxTokens !== undefined) {
+      generationConfig.maxOutputTokens = request.maxTokens;
+    }
+
+    const content = { contents: [{ role: 'user', parts: [{ text }] }], generationConfig };
+    const options = request.signal ? { signal: request.signal } : undefined;
+
+    if (request.onToken) {
+      return this.stream(content, options, request.onToken);
+    }
+
+    const result = await this.getModel().generateContent(content, options);
+    const response = await result.response;
+
+    return {
+      text: response.text(),
+      model: this.model,
+      usage: response.usageMetadata
+    };
+  }
+
+  /**
+   * Stream a response, passing each piece of text to onToken
+   * @param {Object} content - generateContent request
+   * @param {Object} options - Request options (abort signal)
+   * @param {Function} onToken - Called with each text chunk
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async stream(content, options, onToken) {
+    const result = await this.getModel().generateContentStream(content, options);
+
+    let text = '';
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+    const response = await result.response;
+
+    return {
+      text,
+      model: this.model,
+      usage: response.usageMetadata
+    };
+  }
+}
+
+module.exports = GeminiProvider;
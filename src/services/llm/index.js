@@ -0,0 +1,205 @@
+/**
+ * LLM provider factory
+ * Every AI feature asks this module for its provider instead of building its own client,
+ * so the provider (and model) can be chosen per feature from environment variables:
+ *
+ *   LLM_PROVIDER              provider for every feature that has no override
+ *   LLM_PROVIDER_<FEATURE>    provider for one feature, e.g. LLM_PROVIDER_QUERY_GENERATION=openai-compatible
+ *   LLM_MODEL_<FEATURE>       model for one feature, e.g. LLM_MODEL_EXTRACTION=gpt-4o-mini
+ *
+ * Every provider implements the same interface:
+ *   isConfigured(), configurationHint,
+ *   complete({ feature, system, prompt, json, temperature, maxTokens, onToken, signal }) -> { text, model, usage }
+ *
+ * When onToken is given the provider streams the response and calls onToken(chunk) for each piece
+ * of text as it arrives; the resolved text is still the full response. signal is an AbortSignal
+ * that cancels the request.
+ *
+ * Clients are created on first use, so a missing API key only fails the features that need it.
+ */
+
+const dotenv = require('dotenv');
+const logger = require('../../utils/logger');
+
+// Make sure environment variables are loaded before providers are chosen
+dotenv.config();
+
+const SUPPORTED_PROVIDERS = ['openai', 'gemini', 'openai-compatible', 'fixture'];
+
+// Default provider per feature; models listed here override the provider's default model
+const FEATURES = {
+  extraction: { provider: 'openai' },
+  promptOptimization: { provider: 'openai' },
+  promptEnhancement: { provider: 'openai' },
+  refinement: { provider: 'openai' },
+  erDiagram: { provider: 'gemini' },
+  erDiagramPromptEnhancement: { provider: 'gemini' },
+  queryGeneration: { provider: 'gemini' },
+  mermaidQuery: { provider: 'gemini', models: { gemini: 'gemini-2.0-flash-exp' } }
+};
+
+const providers = new Map();
+const overrides = new Map();
+
+/**
+ * Create a provider instance
+ * @param {string} name - Provider name (openai, gemini, openai-compatible, fixture)
+ * @param {Object} options - Provider options, e.g. { model }
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name, options = {}) {
+  switch (name.toLowerCase()) {
+    case 'openai': {
+      const OpenAIProvider = require('./openai.provider');
+      return new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: options.model || process.env.OPENAI_MODEL
+      });
+    }
+    case 'gemini': {
+      const GeminiProvider = require('./gemini.provider');
+      return new GeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: options.model || process.env.GEMINI_MODEL_NAME
+      });
+    }
+    case 'openai-compatible': {
+      const OpenAICompatibleProvider = require('./openaiCompatible.provider');
+      return new OpenAICompatibleProvider({
+        baseURL: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        model: options.model || process.env.LLM_MODEL
+      });
+    }
+    case 'fixture': {
+      const FixtureProvider = require('./fixture.provider');
+      const recordWith = process.env.LLM_FIXTURE_RECORD;
+      return new FixtureProvider({
+        directory: process.env.LLM_FIXTURE_DIR,
+        // On a fixture miss, ask this provider and save its answer as a new fixture
+        recorder: recordWith ? createProvider(recordWith, options) : null
+      });
+    }
+    default:
+      throw new Error(`Unsupported LLM provider: ${name}. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Resolve the provider name and model configured for a feature
+ * @param {string} feature - Feature name (see FEATURES)
+ * @returns {Object} - { provider, model }
+ */
+function resolveConfig(feature) {
+  const defaults = FEATURES[feature];
+  if (!defaults) {
+    throw new Error(`Unknown LLM feature: ${feature}. Known features: ${Object.keys(FEATURES).join(', ')}`);
+  }
+
+  const key = feature.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+  const provider = process.env[`LLM_PROVIDER_${key}`] || process.env.LLM_PROVIDER || defaults.provider;
+  const model = process.env[`LLM_MODEL_${key}`] || (defaults.models && defaults.models[provider]) || undefined;
+
+  return { provider, model };
+}
+
+/**
+ * Get the provider for a feature, creating it on first use
+ * @param {string} feature - Feature name (see FEATURES)
+ * @returns {Object} - Provider instance
+ */
+function getProvider(feature) {
+  if (overrides.has(feature)) {
+    return overrides.get(feature);
+  }
+
+  const { provider: name, model } = resolveConfig(feature);
+  const cacheKey = `${name}:${model || ''}`;
+
+  if (!providers.has(cacheKey)) {
+    const provider = createProvider(name, { model });
+    providers.set(cacheKey, provider);
+    logger.info(`Using ${provider.name} LLM provider for ${feature}`, { model: provider.model });
+  }
+  return providers.get(cacheKey);
+}
+
+/**
+ * Check whether the provider for a feature has the configuration it needs (API key, endpoint)
+ * @param {string} feature - Feature name
+ * @returns {boolean} - True if the feature can make requests
+ */
+function isConfigured(feature) {
+  return getProvider(feature).isConfigured();
+}
+
+/**
+ * Send a prompt to the provider configured for a feature
+ * @param {string} feature - Feature name
+ * @param {Object} request - { system, prompt, json, temperature, maxTokens, onToken, signal }
+ * @returns {Promise<Object>} - { text, model, usage, provider }
+ */
+async function complete(feature, request) {
+  const provider = getProvider(feature);
+
+  if (!provider.isConfigured()) {
+    const error = new Error(`The ${provider.name} LLM provider for ${feature} is not configured. ${provider.configurationHint}`);
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const startedAt = Date.now();
+  const result = await provider.complete({ ...request, feature });
+
+  logger.info(`LLM response received for ${feature}`, {
+    provider: provider.name,
+    model: result.model,
+    durationMs: Date.now() - startedAt
+  });
+
+  if (!result.text) {
+    throw new Error(`Empty response content from the ${provider.name} LLM provider`);
+  }
+
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Replace the provider used for a feature (e.g. with a fixture provider in tests)
+ * @param {string} feature - Feature name
+ * @param {Object|null} provider - Provider instance, or null to go back to the configured one
+ */
+function setProvider(feature, provider) {
+  if (!FEATURES[feature]) {
+    throw new Error(`Unknown LLM feature: ${feature}. Known features: ${Object.keys(FEATURES).join(', ')}`);
+  }
+
+  if (provider) {
+    overrides.set(feature, provider);
+  } else {
+    overrides.delete(feature);
+  }
+}
+
+/**
+ * Describe the provider and model behind every feature, e.g. for the health check
+ * @returns {Object} - Feature name -> { provider, model, configured }
+ */
+function describeProviders() {
+  return Object.keys(FEATURES).reduce((status, feature) => {
+    const provider = getProvider(feature);
+    status[feature] = { provider: provider.name, model: provider.model, configured: provider.isConfigured() };
+    return status;
+  }, {});
+}
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  FEATURES,
+  createProvider,
+  getProvider,
+  setProvider,
+  isConfigured,
+  complete,
+  describeProviders
+};
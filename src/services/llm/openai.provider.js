@@ -0,0 +1,122 @@
+/**
+ * OpenAI LLM provider
+ * Sends prompts to the OpenAI chat completions API.
+ */
+
+const https = require('https');
+const { OpenAI } = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { apiKey, model, baseURL, timeout, maxRetries }
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI API';
+    this.apiKey = options.apiKey;
+    this.model = options.model || 'gpt-3.5-turbo-0125';
+    this.baseURL = options.baseURL;
+    this.timeout = options.timeout || 90000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.configurationHint = 'Set OPENAI_API_KEY.';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Create the OpenAI client on first use
+   * @returns {OpenAI} - Client instance
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL,
+        httpAgent: this.createAgent(),
+        timeout: this.timeout,
+        maxRetries: this.maxRetries
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * HTTP agent for the client
+   * @returns {https.Agent} - Agent with SSL verification disabled for development environments
+   */
+  createAgent() {
+    // This should be removed in production for security reasons
+    return new https.Agent({
+      rejectUnauthorized: false,
+      timeout: this.timeout
+    });
+  }
+
+  /**
+   * Send a prompt and return the model's text
+   * @param {Object} request - { system, prompt, json, temperature, maxTokens, onToken, signal }
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async complete(request) {
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    const body = {
+      model: this.model,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      response_format: request.json ? { type: 'json_object' } : undefined
+    };
+    const options = request.signal ? { signal: request.signal } : undefined;
+
+    if (request.onToken) {
+      return this.stream(body, options, request.onToken);
+    }
+
+    const response = await this.getClient().chat.completions.create(body, options);
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error(`No choices returned from ${this.label}`);
+    }
+
+    return {
+      text: response.choices[0].message.content || '',
+      model: response.model || this.model,
+      usage: response.usage
+    };
+  }
+
+  /**
+   * Stream a chat completion, passing each piece of text to onToken
+   * @param {Object} body - Chat completion request body
+   * @param {Object} options - Request options (abort signal)
+   * @param {Function} onToken - Called with each text chunk
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async stream(body, options, onToken) {
+    const stream = await this.getClient().chat.completions.create({ ...body, stream: true }, options);
+
+    let text = '';
+    let model = this.model;
+    for await (const chunk of stream) {
+      model = chunk.model || model;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+
+    // Token usage is not reported for streamed completions
+    return { text, model, usage: null };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,42 @@
+/**
+ * OpenAI-compatible LLM provider
+ * Talks to any server that implements the OpenAI chat completions API, such as a local
+ * Ollama, LM Studio or vLLM instance.
+ */
+
+const OpenAIProvider = require('./openai.provider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} options - { baseURL, apiKey, model }
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: options.apiKey || 'not-needed',
+      baseURL: options.baseURL || 'http://localhost:11434/v1',
+      model: options.model || 'llama3.1',
+      // Local models can be slow to load; don't retry a request that is still warming up
+      timeout: 180000,
+      maxRetries: 1
+    });
+    this.name = 'openai-compatible';
+    this.label = `OpenAI-compatible endpoint ${this.baseURL}`;
+    this.configurationHint = 'Set LLM_BASE_URL and LLM_MODEL.';
+  }
+
+  isConfigured() {
+    return !!this.baseURL && !!this.model;
+  }
+
+  /**
+   * Local endpoints are usually plain HTTP, which an https agent can't talk to
+   * @returns {undefined} - Let the client pick its default agent
+   */
+  createAgent() {
+    return undefined;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
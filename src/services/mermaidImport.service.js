@@ -0,0 +1,425 @@
+const schemaGeneratorService = require('./schemaGenerator.service');
+const logger = require('../utils/logger');
+
+// Mermaid cardinality markers, written as they appear on the left / right of the line
+const LEFT_MARKERS = { '|o': '0..1', '||': '1..1', '}o': '0..*', '}|': '1..*' };
+const RIGHT_MARKERS = { 'o|': '0..1', '||': '1..1', 'o{': '0..*', '|{': '1..*' };
+
+// Word aliases Mermaid accepts instead of the symbols
+const CARDINALITY_ALIASES = {
+  'one or zero': '0..1',
+  'zero or one': '0..1',
+  'one or more': '1..*',
+  'one or many': '1..*',
+  'many(1)': '1..*',
+  '1+': '1..*',
+  'zero or more': '0..*',
+  'zero or many': '0..*',
+  'many(0)': '0..*',
+  '0+': '0..*',
+  'only one': '1..1',
+  '1': '1..1'
+};
+
+// Generic Mermaid attribute types; names are still used to pick a more specific SQL type
+const GENERIC_TYPES = {
+  string: { fallback: 'VARCHAR(255)', accepts: /^(VARCHAR|CHAR|TEXT)/ },
+  text: { fallback: 'TEXT', accepts: /^TEXT/ },
+  number: { fallback: 'INTEGER', accepts: /^(INTEGER|DECIMAL)/ },
+  date: { fallback: 'DATE', accepts: /^(DATE|TIMESTAMP)/ },
+  datetime: { fallback: 'TIMESTAMP', accepts: /^TIMESTAMP/ },
+  boolean: { fallback: 'BOOLEAN', accepts: /^BOOLEAN/ },
+  bool: { fallback: 'BOOLEAN', accepts: /^BOOLEAN/ },
+  binary: { fallback: 'BLOB', accepts: /^BLOB/ },
+  uuid: { fallback: 'VARCHAR(36)', accepts: /^VARCHAR\(36\)/ },
+  json: { fallback: 'JSON', accepts: /^JSON/ }
+};
+
+/**
+ * Import a Mermaid erDiagram into a LaymanDB schema
+ * @param {string} text - Mermaid source (optionally wrapped in a ```mermaid fence)
+ * @param {Object} options - Import options ({ name, description })
+ * @returns {Promise<Object>} - { schema, warnings }
+ */
+exports.importMermaid = async (text, options = {}) => {
+  try {
+    const { name = 'Imported Schema', description = '' } = options;
+
+    logger.info('Importing schema from Mermaid erDiagram', { length: text.length });
+
+    const { entities, relationships, warnings } = exports.parseERDiagram(text);
+
+    resolveDeclaredForeignKeys(entities, relationships, warnings);
+
+    const schema = await schemaGeneratorService.generateSchema(
+      { entities, relationships },
+      { name, description }
+    );
+
+    mergeDeclaredForeignKeys(schema, entities);
+
+    logger.info('Mermaid import completed', {
+      tableCount: schema.tables.length,
+      relationshipCount: schema.relationships.length,
+      warningCount: warnings.length
+    });
+
+    return { schema, warnings };
+  } catch (error) {
+    logger.error('Error importing Mermaid diagram:', error);
+    throw new Error(`Failed to import Mermaid diagram: ${error.message}`);
+  }
+};
+
+/**
+ * Parse Mermaid erDiagram text into the entity/relationship format schemaGenerator expects
+ * @param {string} text - Mermaid source
+ * @returns {Object} - { entities, relationships, warnings }
+ */
+exports.parseERDiagram = (text) => {
+  const lines = extractDiagram(text).split('\n');
+  const entities = new Map();
+  const relationships = [];
+  const warnings = [];
+
+  const headerIndex = lines.findIndex(line => line.trim() !== '' && !line.trim().startsWith('%%'));
+  if (headerIndex === -1 || !/^erDiagram\b/.test(lines[headerIndex].trim())) {
+    throw new Error('Diagram must start with "erDiagram"');
+  }
+
+  let currentEntity = null;
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    const line = lines[i].replace(/%%.*$/, '').trim();
+
+    if (line === '' || /^(direction|title|accTitle|accDescr)\b/.test(line)) continue;
+
+    if (currentEntity) {
+      if (line === '}') {
+        currentEntity = null;
+        continue;
+      }
+
+      const attribute = parseAttribute(line);
+      if (attribute) {
+        currentEntity.attributes.push(attribute);
+      } else {
+        warnings.push(`Line ${lineNumber}: could not parse attribute "${line}" in entity "${currentEntity.name}"`);
+      }
+      continue;
+    }
+
+    // Entity block: NAME {, NAME["Alias"] {, or an empty NAME { }
+    const blockMatch = line.match(/^("[^"]+"|[\w-]+)(?:\[("[^"]*"|[^\]]*)\])?\s*\{\s*(\})?$/);
+    if (blockMatch) {
+      const entity = getEntity(entities, unquote(blockMatch[1]));
+      if (blockMatch[2]) entity.description = unquote(blockMatch[2]);
+      if (!blockMatch[3]) currentEntity = entity;
+      continue;
+    }
+
+    const relationship = parseRelationship(line);
+    if (relationship) {
+      getEntity(entities, relationship.left);
+      getEntity(entities, relationship.right);
+      relationships.push(toRelationship(relationship));
+      continue;
+    }
+
+    // A bare entity name declares an entity without attributes
+    if (/^("[^"]+"|[\w-]+)$/.test(line)) {
+      getEntity(entities, unquote(line));
+      continue;
+    }
+
+    warnings.push(`Line ${lineNumber}: could not parse "${line}"`);
+  }
+
+  if (currentEntity) {
+    warnings.push(`Entity "${currentEntity.name}" is missing its closing brace`);
+  }
+
+  return { entities: Array.from(entities.values()), relationships, warnings };
+};
+
+/**
+ * Pull the diagram out of a Markdown code fence if there is one
+ * @param {string} text - Raw input
+ * @returns {string} - Diagram source
+ */
+function extractDiagram(text) {
+  const fenced = text.match(/```(?:mermaid)?([\s\S]*?)```/);
+  const source = fenced ? fenced[1] : text;
+
+  // Drop YAML front matter (---\ntitle: ...\n---)
+  return source.replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '');
+}
+
+/**
+ * Remove surrounding double quotes
+ * @param {string} value - Possibly quoted value
+ * @returns {string} - Unquoted value
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  return trimmed.startsWith('"') && trimmed.endsWith('"') ? trimmed.slice(1, -1) : trimmed;
+}
+
+/**
+ * Get or create a parsed entity
+ * @param {Map} entities - Entities by name
+ * @param {string} name - Entity name as written in the diagram
+ * @returns {Object} - Entity
+ */
+function getEntity(entities, name) {
+  if (!entities.has(name)) {
+    entities.set(name, {
+      // Hyphens are common in Mermaid names but dropped by table name normalization
+      name: name.replace(/[-\s]+/g, '_'),
+      attributes: []
+    });
+  }
+  return entities.get(name);
+}
+
+/**
+ * Parse an attribute line: type name [PK|FK|UK, ...] ["comment"]
+ * @param {string} line - Attribute line
+ * @returns {Object|null} - Attribute in the schemaGenerator input format, or null if invalid
+ */
+function parseAttribute(line) {
+  const match = line.match(/^([\w()[\],.*-]+)\s+([\w*-]+)(?:\s+((?:PK|FK|UK)(?:\s*,\s*(?:PK|FK|UK))*))?(?:\s+"([^"]*)")?$/i);
+  if (!match) return null;
+
+  const [, type, rawName, keyList = '', comment] = match;
+  const keys = keyList.toUpperCase().split(',').map(key => key.trim()).filter(Boolean);
+  const name = rawName.replace(/^\*/, '');
+
+  const attribute = {
+    name,
+    dataType: resolveDataType(type, name),
+    isPrimaryKey: keys.includes('PK') || rawName.startsWith('*'),
+    isForeignKey: keys.includes('FK'),
+    isUnique: keys.includes('UK')
+  };
+
+  if (attribute.isPrimaryKey) attribute.isNullable = false;
+  if (comment) attribute.description = comment;
+
+  return attribute;
+}
+
+/**
+ * Map a Mermaid attribute type to a SQL data type
+ * @param {string} type - Type as written in the diagram (string, number, varchar(100), ...)
+ * @param {string} name - Attribute name, used to refine generic types
+ * @returns {string} - SQL data type
+ */
+function resolveDataType(type, name) {
+  const generic = GENERIC_TYPES[type.toLowerCase()];
+
+  if (!generic) {
+    // Diagrams may already use SQL types (int, varchar(100), decimal(10,2))
+    return type.toUpperCase().replace(/^INT$/, 'INTEGER');
+  }
+
+  const inferred = schemaGeneratorService.inferDataType(name);
+  return generic.accepts.test(inferred) ? inferred : generic.fallback;
+}
+
+/**
+ * Parse a relationship line: A ||--o{ B : "label"
+ * @param {string} line - Relationship line
+ * @returns {Object|null} - { left, right, leftCardinality, rightCardinality, identifying, label }
+ */
+function parseRelationship(line) {
+  const entity = '("[^"]+"|[\\w-]+)';
+  const label = '(?:\\s*:\\s*(.*))?$';
+
+  const symbolMatch = line.match(new RegExp(
+    `^${entity}\\s+(\\|o|\\|\\||\\}o|\\}\\|)\\s*(--|\\.\\.)\\s*(o\\||\\|\\||o\\{|\\|\\{)\\s+${entity}${label}`
+  ));
+  if (symbolMatch) {
+    return {
+      left: unquote(symbolMatch[1]),
+      leftCardinality: LEFT_MARKERS[symbolMatch[2]],
+      identifying: symbolMatch[3] === '--',
+      rightCardinality: RIGHT_MARKERS[symbolMatch[4]],
+      right: unquote(symbolMatch[5]),
+      label: symbolMatch[6] ? unquote(symbolMatch[6]) : ''
+    };
+  }
+
+  const alias = Object.keys(CARDINALITY_ALIASES)
+    .map(key => key.replace(/[()+]/g, '\\$&'))
+    .join('|');
+  const aliasMatch = line.match(new RegExp(
+    `^${entity}\\s+(${alias})\\s+(to|optionally to)\\s+(${alias})\\s+${entity}${label}`, 'i'
+  ));
+  if (aliasMatch) {
+    return {
+      left: unquote(aliasMatch[1]),
+      leftCardinality: CARDINALITY_ALIASES[aliasMatch[2].toLowerCase()],
+      identifying: aliasMatch[3].toLowerCase() === 'to',
+      rightCardinality: CARDINALITY_ALIASES[aliasMatch[4].toLowerCase()],
+      right: unquote(aliasMatch[5]),
+      label: aliasMatch[6] ? unquote(aliasMatch[6]) : ''
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Turn a parsed diagram relationship into the schemaGenerator input format.
+ * "Many to one" lines are flipped so the "one" side is always the source.
+ * @param {Object} parsed - Parsed relationship line
+ * @returns {Object} - Relationship
+ */
+function toRelationship(parsed) {
+  const leftMany = parsed.leftCardinality.endsWith('*');
+  const rightMany = parsed.rightCardinality.endsWith('*');
+  const flip = leftMany && !rightMany;
+
+  const source = flip
+    ? { entity: parsed.right, cardinality: parsed.rightCardinality }
+    : { entity: parsed.left, cardinality: parsed.leftCardinality };
+  const target = flip
+    ? { entity: parsed.left, cardinality: parsed.leftCardinality }
+    : { entity: parsed.right, cardinality: parsed.rightCardinality };
+
+  let type = 'ONE_TO_ONE';
+  if (leftMany && rightMany) type = 'MANY_TO_MANY';
+  else if (leftMany || rightMany) type = 'ONE_TO_MANY';
+
+  return {
+    name: parsed.label || undefined,
+    sourceEntity: source.entity.replace(/[-\s]+/g, '_'),
+    targetEntity: target.entity.replace(/[-\s]+/g, '_'),
+    type,
+    // Solid lines only mean identifying when the key is declared as part of the primary key (see below)
+    isIdentifying: false,
+    identifyingLine: parsed.identifying,
+    sourceCardinality: source.cardinality,
+    targetCardinality: target.cardinality,
+    // An entity must take part when the other side requires at least one of it
+    sourceParticipation: target.cardinality.startsWith('1') ? 'TOTAL' : 'PARTIAL',
+    targetParticipation: source.cardinality.startsWith('1') ? 'TOTAL' : 'PARTIAL'
+  };
+}
+
+/**
+ * Link attributes marked FK to the table they reference, and mark relationships identifying
+ * when their foreign key is declared as part of the dependent entity's primary key
+ * @param {Array} entities - Parsed entities (attributes modified)
+ * @param {Array} relationships - Parsed relationships (modified)
+ * @param {Array} warnings - Import warnings to append to
+ */
+function resolveDeclaredForeignKeys(entities, relationships, warnings) {
+  const tableName = name => schemaGeneratorService.transformTableName(name);
+  const byTable = new Map(entities.map(entity => [tableName(entity.name), entity]));
+
+  entities.forEach(entity => {
+    const table = tableName(entity.name);
+
+    // Tables this entity holds a foreign key to, according to the relationship lines
+    const parents = relationships
+      .filter(rel => rel.type !== 'MANY_TO_MANY' && tableName(rel.targetEntity) === table)
+      .map(rel => tableName(rel.sourceEntity));
+    const claimed = new Set();
+
+    entity.attributes.filter(attr => attr.isForeignKey).forEach(attr => {
+      // customer_id, customerId and customer all match a "customer" or "customers" table
+      const stem = attr.name.toLowerCase().replace(/_?id$/, '').replace(/_/g, '');
+      const matchesStem = candidate => [stem, `${stem}s`, `${stem}es`].includes(candidate.replace(/_/g, ''));
+
+      // Prefer a related table named like the column, then the only unclaimed related table,
+      // then any table named like the column
+      let referenced = parents.find(matchesStem);
+      if (!referenced) {
+        const unclaimed = parents.filter(parent => !claimed.has(parent));
+        if (unclaimed.length === 1) referenced = unclaimed[0];
+      }
+      if (!referenced) {
+        referenced = Array.from(byTable.keys()).find(candidate => candidate !== table && matchesStem(candidate));
+      }
+
+      if (!referenced) {
+        warnings.push(`Attribute "${entity.name}.${attr.name}" is marked FK but no related entity matches it; imported as a plain column`);
+        attr.isForeignKey = false;
+        return;
+      }
+
+      claimed.add(referenced);
+      const referencedEntity = byTable.get(referenced);
+      const referencedKey = referencedEntity.attributes.find(a => a.isPrimaryKey);
+
+      attr.references = {
+        table: referenced,
+        column: referencedKey ? referencedKey.name.toLowerCase() : 'id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      };
+
+      // Generic "number"/"string" keys take the referenced key's exact type
+      if (referencedKey && ['INTEGER', 'VARCHAR(255)'].includes(attr.dataType)) {
+        attr.dataType = referencedKey.dataType;
+      }
+
+      const relationship = relationships.find(rel =>
+        rel.type !== 'MANY_TO_MANY' &&
+        tableName(rel.sourceEntity) === referenced &&
+        tableName(rel.targetEntity) === table
+      );
+      if (relationship) {
+        relationship.isIdentifying = relationship.identifyingLine && attr.isPrimaryKey;
+      }
+    });
+  });
+
+  relationships.forEach(rel => {
+    delete rel.identifyingLine;
+  });
+}
+
+/**
+ * schemaGenerator adds a "<table>_id" foreign key for every relationship. When the diagram
+ * already declares the foreign key under another name, drop the generated one and point the
+ * relationship at the declared column.
+ * @param {Object} schema - Generated schema (modified)
+ * @param {Array} entities - Parsed entities with resolved foreign keys
+ */
+function mergeDeclaredForeignKeys(schema, entities) {
+  const declared = new Map(entities.map(entity => [
+    schemaGeneratorService.transformTableName(entity.name),
+    new Set(entity.attributes.map(attr => attr.name.toLowerCase()))
+  ]));
+
+  schema.relationships.forEach(rel => {
+    const fkTable = schema.tables.find(table => table.name === rel.targetTable);
+    if (rel.type === 'MANY_TO_MANY' || !fkTable) return;
+
+    const declaredColumn = fkTable.columns.find(column =>
+      column.isForeignKey && column.references && column.references.table === rel.sourceTable &&
+      declared.get(fkTable.name).has(column.name)
+    );
+    if (!declaredColumn) return;
+
+    const generatedName = `${rel.sourceTable.toLowerCase()}_id`;
+    if (declaredColumn.name !== generatedName && !declared.get(fkTable.name).has(generatedName)) {
+      const generatedIndex = fkTable.columns.findIndex(column => column.name === generatedName);
+      if (generatedIndex !== -1) {
+        const [generated] = fkTable.columns.splice(generatedIndex, 1);
+        if (generated.isPrimaryKey) {
+          declaredColumn.isPrimaryKey = true;
+          declaredColumn.isNullable = false;
+        }
+      }
+    }
+
+    rel.targetColumn = declaredColumn.name;
+  });
+}
+
+module.exports = exports;
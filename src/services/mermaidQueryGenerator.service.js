@@ -3,41 +3,16 @@
  * Converts natural language questions into Mermaid ER Diagram code based on database schema
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('./llm');
 const logger = require('../utils/logger');
 
 class MermaidQueryGeneratorService {
   constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.modelName = process.env.GEMINI_MODEL_NAME || 'gemini-2.0-flash-exp';
-    this.genAI = null;
-    this.model = null;
-    this.initialize();
-  }
-
-  initialize() {
-    if (this.isInitialized()) {
-      logger.info('Mermaid Query Generator Service already initialized.');
-      return;
-    }
-    
-    if (!this.apiKey) {
-      logger.error('GEMINI_API_KEY is not set in environment variables. Mermaid Query Generator Service will not function.');
-      return;
-    }
-    
-    try {
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: this.modelName });
-      logger.info(`Mermaid Query Generator Service initialized successfully with model: ${this.modelName}`);
-    } catch (error) {
-      logger.error('Failed to initialize Mermaid Query Generator Service', { error: error.message });
-      this.model = null;
-    }
+    this.feature = 'mermaidQuery';
   }
 
   isInitialized() {
-    return !!this.model;
+    return llm.isConfigured(this.feature);
   }
 
   /**
@@ -121,15 +96,13 @@ class MermaidQueryGeneratorService {
    */
   async generateMermaidQuery(question, schema) {
     if (!this.isInitialized()) {
-      this.initialize();
-      if (!this.isInitialized()) {
-        return {
-          success: false,
-          error: 'Mermaid Query Generator Service is not initialized. Please check your GEMINI_API_KEY.',
-          mermaidCode: null,
-          explanation: null
-        };
-      }
+      logger.error(`The LLM provider for ${this.feature} is not configured.`);
+      return {
+        success: false,
+        error: 'Mermaid Query Generator Service is not initialized. Please check the LLM provider configuration (e.g. GEMINI_API_KEY).',
+        mermaidCode: null,
+        explanation: null
+      };
     }
 
     try {
@@ -169,9 +142,8 @@ EXPLANATION:
 
 Generate the Mermaid ER diagram now:`;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const response = await llm.complete(this.feature, { prompt });
+      const text = response.text;
 
       logger.info('Mermaid query generated successfully', { responseLength: text.length });
 
@@ -0,0 +1,331 @@
+const sqlGeneratorService = require('./sqlGenerator.service');
+const dialects = require('./dialects');
+const schemaVersionService = require('./schemaVersion.service');
+const logger = require('../utils/logger');
+
+// Column name fragments the dialect generators add single-column indexes for
+const INDEXED_NAME_PATTERNS = ['status', 'type', 'date', 'code', 'category'];
+const INDEXED_NAMES = ['name', 'email'];
+
+/**
+ * Generate up and down migration scripts that move a database between two schema snapshots
+ * @param {Object} fromSchema - Schema the database is currently at ({ name, tables, relationships })
+ * @param {Object} toSchema - Schema the database should end up at
+ * @param {string} dialect - SQL dialect registered in ./dialects
+ * @param {Object} options - Version numbers shown in the script headers ({ fromVersion, toVersion })
+ * @returns {Promise<Object>} - { up, down, warnings, summary }
+ */
+exports.generateMigration = async (fromSchema, toSchema, dialect = 'mysql', options = {}) => {
+  try {
+    const normalizedDialect = dialect.toLowerCase();
+    const { fromVersion = fromSchema.version, toVersion = toSchema.version } = options;
+
+    logger.info(`Generating ${normalizedDialect} migration for schema: ${toSchema.name} (${fromVersion} -> ${toVersion})`);
+
+    const generator = sqlGeneratorService.getDialectGenerator(normalizedDialect);
+
+    // Compare the schemas as they are actually laid out in the database (junction tables included)
+    const from = sqlGeneratorService.preprocessSchema(fromSchema, normalizedDialect);
+    const to = sqlGeneratorService.preprocessSchema(toSchema, normalizedDialect);
+
+    const upPlan = planMigration(from, to, generator, normalizedDialect);
+    const downPlan = planMigration(to, from, generator, normalizedDialect);
+
+    logger.info(`Migration generation complete for schema: ${toSchema.name}`);
+
+    return {
+      up: renderScript(upPlan.statements, generator, to, fromVersion, toVersion),
+      down: renderScript(downPlan.statements, generator, from, toVersion, fromVersion),
+      warnings: upPlan.warnings,
+      summary: upPlan.summary
+    };
+  } catch (error) {
+    logger.error('Error generating migration:', error);
+    throw new Error(`Failed to generate migration script: ${error.message}`);
+  }
+};
+
+/**
+ * Plan the statements that turn one preprocessed schema into another
+ * @param {Object} from - Current schema
+ * @param {Object} to - Desired schema
+ * @param {Object} generator - Dialect-specific generator
+ * @param {string} dialect - SQL dialect
+ * @returns {Object} - { statements, warnings, summary }
+ */
+function planMigration(from, to, generator, dialect) {
+  const diff = schemaVersionService.diffSchemas(from, to);
+  const statements = [];
+  const warnings = [];
+
+  const { added, removed } = diff.tables;
+
+  if (added.length === 0 && removed.length === 0 && diff.tables.altered.length === 0) {
+    return { statements, warnings, summary: diff.summary };
+  }
+
+  // Only dialects that can alter constraints in place drop and add foreign keys separately
+  const canAlterConstraints = !!generator.dropForeignKeyStatement;
+
+  // Some dialects define foreign keys with ALTER TABLE rather than inline in CREATE TABLE
+  const definition = dialects.getDialect(dialect);
+  const separateForeignKeys = !!definition && definition.separateForeignKeys;
+
+  const altered = diff.tables.altered.map(entry => ({
+    ...entry,
+    rebuild: !!generator.rebuildTableStatements && requiresRebuild(entry)
+  }));
+  const inPlace = altered.filter(entry => !entry.rebuild);
+
+  // Generated views select from the tables being changed, so they are recreated afterwards
+  const views = generator.dropViewStatement && generator.createViewStatements
+    ? getViewNames(generator.createViewStatements(from))
+    : [];
+  views.forEach(viewName => statements.push(generator.dropViewStatement(viewName)));
+
+  // Drop foreign keys that are removed or redefined
+  if (canAlterConstraints) {
+    removed.forEach(table => {
+      sqlGeneratorService.getForeignKeyConstraints(table, from).forEach(fk => {
+        statements.push(generator.dropForeignKeyStatement(table.name, fk.constraintName));
+      });
+    });
+
+    inPlace.forEach(entry => {
+      changedForeignKeys(entry.before, entry.after, from).forEach(fk => {
+        statements.push(generator.dropForeignKeyStatement(entry.name, fk.constraintName));
+      });
+    });
+  }
+
+  // Drop indexes on columns that are removed, no longer indexed or change type
+  inPlace.forEach(entry => {
+    const keep = getIndexedColumns(entry.after);
+    const retyped = retypedColumns(entry);
+    getIndexedColumns(entry.before)
+      .filter(name => !keep.includes(name) || retyped.includes(name))
+      .forEach(name => statements.push(generator.dropIndexStatement(entry.name, name)));
+  });
+
+  // Drop removed tables
+  removed.forEach(table => {
+    statements.push(generator.dropTableStatement(table.name));
+    warnings.push(`Table "${table.name}" is dropped and its data will be lost`);
+  });
+
+  // Create added tables, referenced tables first
+  const createdTables = sqlGeneratorService.sortByDependencies(added);
+  createdTables.forEach(table => {
+    statements.push(generator.createTableStatement(table, to));
+  });
+
+  // Change existing tables
+  altered.forEach(entry => {
+    if (entry.rebuild) {
+      statements.push(...generator.rebuildTableStatements(entry.before, entry.after, to));
+      entry.columns.removed.forEach(column => {
+        warnings.push(`Column "${entry.name}.${column.name}" is dropped and its data will be lost`);
+      });
+      entry.columns.added
+        .filter(column => column.isNullable === false && !column.defaultValue)
+        .forEach(column => {
+          warnings.push(`Column "${entry.name}.${column.name}" is NOT NULL without a default and cannot be added to a table that has rows`);
+        });
+      // The rebuild copies existing NULLs through COALESCE when the column has a default
+      tightenedColumns(entry)
+        .filter(change => !change.after.defaultValue)
+        .forEach(change => {
+          warnings.push(`Column "${entry.name}.${change.name}" becomes NOT NULL without a default; existing NULL values will make the migration fail`);
+        });
+      return;
+    }
+
+    entry.columns.added.forEach(column => {
+      statements.push(generator.addColumnStatement(entry.after, column));
+
+      if (column.isNullable === false && !column.defaultValue) {
+        warnings.push(`Column "${entry.name}.${column.name}" is NOT NULL without a default and cannot be added to a table that has rows`);
+      }
+    });
+
+    entry.columns.altered.forEach(change => {
+      if (generator.alterColumnStatement) {
+        const statement = generator.alterColumnStatement(entry.after, change.before, change.after);
+        if (statement) statements.push(statement);
+      }
+
+      if (change.changes.dataType) {
+        warnings.push(`Column "${entry.name}.${change.name}" changes type from ${change.changes.dataType.from} to ${change.changes.dataType.to}; existing values may fail to convert`);
+      }
+
+      if (tightenedColumns(entry).includes(change)) {
+        warnings.push(`Column "${entry.name}.${change.name}" becomes NOT NULL; existing NULL values will make the migration fail`);
+      }
+
+      if (change.changes.isPrimaryKey) {
+        warnings.push(`Primary key of "${entry.name}" changes on column "${change.name}" and must be migrated manually`);
+      }
+    });
+
+    entry.columns.removed.forEach(column => {
+      statements.push(generator.dropColumnStatement(entry.name, column.name));
+      warnings.push(`Column "${entry.name}.${column.name}" is dropped and its data will be lost`);
+    });
+  });
+
+  // Add foreign keys that are new or redefined
+  if (canAlterConstraints) {
+    if (separateForeignKeys) {
+      createdTables.forEach(table => {
+        sqlGeneratorService.getForeignKeyConstraints(table, to).forEach(fk => {
+          statements.push(generator.addForeignKeyStatement(table.name, fk));
+        });
+      });
+    }
+
+    inPlace.forEach(entry => {
+      changedForeignKeys(entry.after, entry.before, to).forEach(fk => {
+        statements.push(generator.addForeignKeyStatement(entry.name, fk));
+      });
+    });
+  }
+
+  // Indexes for created tables, then for newly indexed columns of existing tables
+  createdTables.forEach(table => {
+    statements.push(...generator.createIndexStatements(table, to));
+  });
+
+  inPlace.forEach(entry => {
+    const existing = getIndexedColumns(entry.before);
+    const retyped = retypedColumns(entry);
+    getIndexedColumns(entry.after)
+      .filter(name => !existing.includes(name) || retyped.includes(name))
+      .forEach(name => statements.push(generator.createIndexStatement(entry.name, name)));
+  });
+
+  // Timestamp triggers for created tables
+  if (generator.createTriggerStatements && createdTables.length > 0) {
+    statements.push(...generator.createTriggerStatements({ ...to, tables: createdTables }));
+  }
+
+  // Recreate generated views against the new structure
+  if (generator.dropViewStatement && generator.createViewStatements) {
+    statements.push(...generator.createViewStatements(to));
+  }
+
+  return { statements, warnings, summary: diff.summary };
+}
+
+/**
+ * Join migration statements into a script with the dialect's header and footer
+ * @param {Array} statements - Migration statements
+ * @param {Object} generator - Dialect-specific generator
+ * @param {Object} schema - Schema the script migrates to
+ * @param {number} fromVersion - Version the script starts from
+ * @param {number} toVersion - Version the script moves to
+ * @returns {string} - Migration script
+ */
+function renderScript(statements, generator, schema, fromVersion, toVersion) {
+  if (statements.length === 0) {
+    return `-- No schema changes between version ${fromVersion} and version ${toVersion}`;
+  }
+
+  return [
+    generator.migrationHeader(schema, fromVersion, toVersion),
+    ...statements,
+    generator.migrationFooter()
+  ].join('\n\n');
+}
+
+/**
+ * Decide whether a table change needs a full rebuild on dialects that cannot alter columns.
+ * Adding plain nullable (or defaulted) columns works in place; everything else does not.
+ * @param {Object} entry - Altered table entry from the schema diff
+ * @returns {boolean} - True if the table has to be rebuilt
+ */
+function requiresRebuild(entry) {
+  const { added, removed, altered } = entry.columns;
+
+  if (removed.length > 0) return true;
+
+  // Description changes are metadata only
+  if (altered.some(change => Object.keys(change.changes).some(field => field !== 'description'))) {
+    return true;
+  }
+
+  return added.some(column =>
+    column.isPrimaryKey ||
+    column.isUnique ||
+    column.isForeignKey ||
+    (column.isNullable === false && !column.defaultValue)
+  );
+}
+
+/**
+ * Find foreign keys of a table that do not exist, unchanged, in another version of the table
+ * @param {Object} table - Table whose foreign keys are checked
+ * @param {Object} otherTable - The same table in the other schema version
+ * @param {Object} schema - Schema the table belongs to
+ * @returns {Array} - Foreign key constraints
+ */
+function changedForeignKeys(table, otherTable, schema) {
+  const existing = new Set(
+    sqlGeneratorService.getForeignKeyConstraints(otherTable, schema).map(fk => JSON.stringify(fk))
+  );
+
+  return sqlGeneratorService.getForeignKeyConstraints(table, schema)
+    .filter(fk => !existing.has(JSON.stringify(fk)));
+}
+
+/**
+ * List the columns of an altered table whose data type changes
+ * @param {Object} entry - Altered table entry from the schema diff
+ * @returns {Array} - Column names
+ */
+function retypedColumns(entry) {
+  return entry.columns.altered
+    .filter(change => change.changes.dataType)
+    .map(change => change.name);
+}
+
+/**
+ * List the column changes of an altered table that make a nullable column NOT NULL
+ * @param {Object} entry - Altered table entry from the schema diff
+ * @returns {Array} - Column changes
+ */
+function tightenedColumns(entry) {
+  return entry.columns.altered
+    .filter(change => change.before.isNullable !== false && change.after.isNullable === false);
+}
+
+/**
+ * List the columns that receive a single-column index.
+ * Mirrors the indexes the dialect generators create in createIndexStatements.
+ * @param {Object} table - Table object
+ * @returns {Array} - Column names
+ */
+function getIndexedColumns(table) {
+  return table.columns
+    .filter(column => !column.isPrimaryKey && (
+      column.isForeignKey ||
+      (!column.isUnique && (
+        INDEXED_NAME_PATTERNS.some(pattern => column.name.includes(pattern)) ||
+        INDEXED_NAMES.includes(column.name)
+      ))
+    ))
+    .map(column => column.name);
+}
+
+/**
+ * Extract view names from generated CREATE VIEW statements
+ * @param {Array} viewStatements - CREATE VIEW statements
+ * @returns {Array} - View names
+ */
+function getViewNames(viewStatements) {
+  return viewStatements
+    .map(statement => statement.match(/VIEW\s+(?:IF NOT EXISTS\s+)?(?:\[dbo\]\.)?[`"[](v_[^`"\]]+)[`"\]]/))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+module.exports = exports;
@@ -1,249 +1,103 @@
-const { OpenAI } = require('openai');
+const llm = require('./llm');
+const heuristicExtractor = require('./heuristicExtractor.service');
+const extractionValidator = require('./extractionValidator.service');
 const logger = require('../utils/logger');
 const { openaiResponseLogger } = require('../utils/logger');
-const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
 
-// Helper function to sanitize JSON content with common errors
-function sanitizeJSON(jsonString) {
-  try {
-    // If it's already valid JSON, return it as is
-    JSON.parse(jsonString);
-    return jsonString;
-  } catch (e) {
-    logger.info('Attempting to sanitize malformed JSON');
-    
-    // Make a copy to work with
-    let result = jsonString;
-    
-    // Remove any markdown code block indicators
-    result = result.replace(/```json/g, '').replace(/```/g, '');
-    
-    // Ensure the content starts and ends with curly braces
-    result = result.trim();
-    if (!result.startsWith('{')) {
-      const firstBrace = result.indexOf('{');
-      if (firstBrace >= 0) {
-        result = result.substring(firstBrace);
-      } else {
-        result = '{' + result;
-      }
-    }
-    
-    if (!result.endsWith('}')) {
-      const lastBrace = result.lastIndexOf('}');
-      if (lastBrace >= 0) {
-        result = result.substring(0, lastBrace + 1);
-      } else {
-        result = result + '}';
-      }
-    }
-    
-    // Fix unquoted property names
-    result = result.replace(/([{,]\s*)([a-zA-Z0-9_$]+)(\s*:)/g, '$1"$2"$3');
-    
-    // Fix trailing commas in objects and arrays
-    result = result.replace(/,(\s*[}\]])/g, '$1');
-    
-    // Fix missing quotes around string values
-    // This is trickier and might cause issues, so we're cautious
-    // result = result.replace(/:(\s*)([^{}\[\]"'\d,\s][^,\s}]*)/g, ':"$2"');
-    
-    // Replace single quotes with double quotes (careful with nested quotes)
-    result = result.replace(/:\s*'([^']*?)'/g, ':"$1"');
-    
-    // Handle any other specific issues found in the logs
-    
-    // Log the sanitized result
-    logger.info('JSON after sanitization (first 100 chars):', result.substring(0, 100) + '...');
-    
-    // Verify it's now valid
-    try {
-      JSON.parse(result);
-      logger.info('JSON sanitization successful');
-      return result;
-    } catch (parseError) {
-      logger.error('JSON sanitization failed:', parseError);
-      
-      // As a last resort, try to construct a minimal valid JSON
-      try {
-        // Extract entities and relationships using regex
-        const entitiesMatch = result.match(/"entities"\s*:\s*\[(.*?)\]/s);
-        const relationshipsMatch = result.match(/"relationships"\s*:\s*\[(.*?)\]/s);
-        
-        let fallbackJSON = '{';
-        if (entitiesMatch && entitiesMatch[1]) {
-          fallbackJSON += '"entities": ' + fixArrayJSON(entitiesMatch[1]);
-          if (relationshipsMatch && relationshipsMatch[1]) {
-            fallbackJSON += ', "relationships": ' + fixArrayJSON(relationshipsMatch[1]);
-          } else {
-            fallbackJSON += ', "relationships": []';
-          }
-        } else {
-          fallbackJSON += '"entities": [], "relationships": []';
-        }
-        fallbackJSON += '}';
-        
-        // Verify the fallback JSON
-        JSON.parse(fallbackJSON);
-        logger.info('Created fallback JSON structure');
-        return fallbackJSON;
-      } catch (fallbackError) {
-        // If all else fails, return a minimal valid JSON structure
-        logger.error('Fallback JSON creation failed:', fallbackError);
-        return '{"entities":[],"relationships":[]}';
-      }
-    }
-  }
-}
-
-// Helper to fix array JSON fragments
-function fixArrayJSON(arrayContent) {
-  try {
-    JSON.parse('[' + arrayContent + ']');
-    return '[' + arrayContent + ']';
-  } catch (e) {
-    // Simple fix for trailing commas
-    let content = arrayContent.trim();
-    if (content.endsWith(',')) {
-      content = content.slice(0, -1);
-    }
-    
-    try {
-      JSON.parse('[' + content + ']');
-      return '[' + content + ']';
-    } catch (e2) {
-      // Return empty array if we can't fix it
-      return '[]';
-    }
-  }
-}
-
-// Make sure environment variables are loaded
-dotenv.config();
+// Number of times a response that fails extraction schema validation is sent back to the model
+const DEFAULT_REPAIR_ATTEMPTS = 2;
 
-// Initialize OpenAI client if API key is available
-let openai;
-try {
-  // Check for API key in environment
-  const apiKey = process.env.OPENAI_API_KEY;
-  
-  if (apiKey) {
-    console.log('Found OpenAI API key in environment variables. First few characters:', apiKey.substring(0, 7) + '...');
-    logger.info('Found OpenAI API key in environment variables');
-    
-    // Configure with SSL certificate checking disabled for development environments
-    // This should be removed in production for security reasons
-    const httpsAgent = require('https').Agent({
-      rejectUnauthorized: false, // Bypass SSL certificate validation
-      timeout: 90000 // 90 second timeout
-    });
-    
-    openai = new OpenAI({
-      apiKey: apiKey,
-      httpAgent: httpsAgent,
-      timeout: 90000, // 90 second timeout
-      maxRetries: 3 // Allow 3 retries on failures
-    });
-    logger.info('OpenAI client initialized successfully with SSL verification disabled');
-  } else {
-    // Try to read directly from .env file as a fallback
-    try {
-      const envPath = path.resolve(__dirname, '../../.env');
-      if (fs.existsSync(envPath)) {
-        const envContent = fs.readFileSync(envPath, 'utf-8');
-        const match = envContent.match(/OPENAI_API_KEY=([^\s\r\n]+)/);
-        if (match && match[1]) {
-          console.log('Found OpenAI API key in .env file. First few characters:', match[1].substring(0, 7) + '...');
-          logger.info('Found OpenAI API key in .env file, using it directly');
-          
-          // Configure with SSL certificate checking disabled for development environments
-          const httpsAgent = require('https').Agent({
-            rejectUnauthorized: false, // Bypass SSL certificate validation
-            timeout: 90000 // 90 second timeout
-          });
-          
-          openai = new OpenAI({
-            apiKey: match[1],
-            httpAgent: httpsAgent,
-            timeout: 90000, // 90 second timeout
-            maxRetries: 3 // Allow 3 retries on failures
-          });
-          logger.info('OpenAI client initialized successfully from .env file with SSL verification disabled');
-        } else {
-          logger.warn('No OpenAI API key found in .env file');
-        }
-      } else {
-        logger.warn('No .env file found');
-      }
-    } catch (readError) {
-      logger.warn('Error reading .env file directly:', readError);
-    }
-    
-    if (!openai) {
-      logger.error('No OpenAI API key found in environment variables or .env file');
-      throw new Error('OpenAI API key is required for entity extraction');
-    }
-  }
-} catch (error) {
-  logger.error('Error initializing OpenAI client:', error);
-  throw error;
-}
+// auto: AI first, rule-based extraction if the AI call fails; ai: AI only; heuristic: offline only
+const EXTRACTION_MODES = ['auto', 'ai', 'heuristic'];
 
 /**
  * Extract entities, relationships, and attributes from natural language input
  * @param {string} text - Natural language prompt about database design
- * @returns {Object} - Extracted entities, relationships and attributes
+ * @param {Object} options - { mode, onToken, onProgress, signal }; mode is auto, ai or heuristic and defaults to
+ *   NLP_EXTRACTION_MODE or auto. onToken receives streamed response text, onProgress(stage, data) is told about
+ *   repair requests, and signal cancels the AI request.
+ * @returns {Object} - Extracted entities, relationships and attributes, with the method that produced them
  */
-exports.extractEntities = async (text) => {
-  try {
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please check your API key configuration.');
-    }
+exports.extractEntities = async (text, options = {}) => {
+  const mode = (options.mode || process.env.NLP_EXTRACTION_MODE || 'auto').toLowerCase();
+
+  if (mode === 'heuristic') {
+    logger.info('Using rule-based extraction for schema generation');
+    return extractWithHeuristics(text);
+  }
 
-    logger.info('Using OpenAI for schema generation');
-    const result = await processWithAI(text);
-    logger.info('OpenAI processing successful');
+  try {
+    logger.info('Using LLM provider for schema generation');
+    const result = await processWithAI(text, options);
+    logger.info('LLM processing successful');
+    result.extractionMethod = 'ai';
     return result;
   } catch (error) {
     logger.error('Error extracting entities:', error);
     
+    // A cancelled request must not be answered by the fallback
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+    
+    if (mode === 'auto') {
+      try {
+        logger.warn('Falling back to rule-based extraction', { reason: error.message });
+        const result = extractWithHeuristics(text);
+        result.fallbackReason = error.message;
+        return result;
+      } catch (fallbackError) {
+        logger.warn('Rule-based extraction fallback failed:', fallbackError);
+      }
+    }
+    
     // Handle different types of errors
-    if (error.message && error.message.includes('JSON')) {
-      throw new Error(`JSON parsing error: ${error.message}`);
+    if (error.validationErrors) {
+      throw error;
     } else if (error.cause && error.cause.code === 'CERT_HAS_EXPIRED') {
       throw new Error('SSL certificate has expired. This is a development environment issue.');
     } else if (error.message && error.message.includes('timeout')) {
       throw new Error('Request timed out. The model is taking too long to generate a response.');
     } else {
-      throw new Error(`Failed to extract entities: ${error.message}`);
+      // Keep the status of errors that have one, such as 503 for an unconfigured provider
+      const wrapped = new Error(`Failed to extract entities: ${error.message}`);
+      if (error.statusCode) wrapped.statusCode = error.statusCode;
+      throw wrapped;
     }
   }
 };
 
 /**
- * Process text using OpenAI for entity extraction
+ * Extract entities with the rule-based extractor
+ * @param {string} text - Natural language prompt
+ * @returns {Object} - Extracted entities and relationships
+ */
+function extractWithHeuristics(text) {
+  const result = heuristicExtractor.extractEntities(text);
+
+  if (result.entities.length === 0) {
+    const error = new Error('Failed to extract entities: no entities could be identified in the prompt');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  result.extractionMethod = 'heuristic';
+  return result;
+}
+
+/**
+ * Process text using the configured LLM provider for entity extraction
  * @param {string} text - Natural language prompt
+ * @param {Object} options - { onToken, onProgress, signal }
  * @returns {Object} - Extracted entities and relationships
  */
-async function processWithAI(text) {
+async function processWithAI(text, options = {}) {
   try {
-    // Use a cost-efficient model
-    const model = "gpt-3.5-turbo-0125"; // Using the most efficient version of gpt-3.5-turbo
-    logger.info(`Starting OpenAI API request with model: ${model}`);
+    logger.info('Starting LLM request for entity extraction');
     
-    // Validate OpenAI client is available
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized');
-    }
-    
-    const response = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert database designer tasked with converting natural language descriptions into formal database schemas. Follow these comprehensive database design principles:
+    const systemPrompt = `You are an expert database designer tasked with converting natural language descriptions into formal database schemas. Follow these comprehensive database design principles:
 
 ## 1. CONCEPTUAL DESIGN ELEMENTS
 
@@ -382,170 +236,123 @@ ALWAYS include the following for EACH entity:
 4. Ensure all entities have properly configured attribute data types
 5. Include several business attributes that accurately represent the entity's purpose
 
-Ensure all relationships have meaningful names and correct cardinality settings. Foreign keys should be properly defined with clear reference to the target entity.`
-        },
-        {
-          role: "user",
-          content: text
-        }
-      ],
-      response_format: { type: "json_object" }
-    });
-    
-    logger.info('OpenAI API response received');
-    
-    if (!response.choices || response.choices.length === 0) {
-      throw new Error('No choices returned from OpenAI API');
-    }
+Ensure all relationships have meaningful names and correct cardinality settings. Foreign keys should be properly defined with clear reference to the target entity.
+
+The JSON object MUST validate against this JSON Schema:
+${JSON.stringify(extractionValidator.EXTRACTION_SCHEMA)}`;
     
-    const responseContent = response.choices[0].message.content;
-    if (!responseContent) {
-      throw new Error('Empty response content from OpenAI API');
-    }
+    const { response, payload: parsedResponse, repairAttempts } = await requestValidExtraction(systemPrompt, text, options);
     
-    try {
-      // Attempt to sanitize JSON before parsing
-      // First, check if the content starts and ends with curly braces
-      let sanitizedContent = responseContent.trim();
-      
-      // Log the raw response content for debugging (first 100 chars)
-      logger.info('Raw API response beginning:', sanitizedContent.substring(0, 100) + '...');
-      
-      // Try to fix common JSON syntax errors
-      sanitizedContent = sanitizeJSON(sanitizedContent);
-      
-      // Parse the sanitized response
-      const parsedResponse = JSON.parse(sanitizedContent);
-      
-      // Enhance relationship descriptions to ensure they display correctly
-      if (parsedResponse.relationships && Array.isArray(parsedResponse.relationships)) {
-        parsedResponse.relationships = parsedResponse.relationships.map(relationship => {
-          // Make sure the description is human-readable and properly formatted
-          if (relationship.description) {
-            relationship.description = relationship.description.trim();
+    // Enhance relationship descriptions to ensure they display correctly
+    if (parsedResponse.relationships && Array.isArray(parsedResponse.relationships)) {
+      parsedResponse.relationships = parsedResponse.relationships.map(relationship => {
+        // Make sure the description is human-readable and properly formatted
+        if (relationship.description) {
+          relationship.description = relationship.description.trim();
+          
+          // If relationship name is missing or generic, extract from description
+          if (!relationship.name || ['has', 'relates_to', 'relates', 'belongs_to', 'associated_with'].includes(relationship.name.toLowerCase())) {
+            // Extract a meaningful name from the description
+            const description = relationship.description.toLowerCase();
             
-            // If relationship name is missing or generic, extract from description
-            if (!relationship.name || ['has', 'relates_to', 'relates', 'belongs_to', 'associated_with'].includes(relationship.name.toLowerCase())) {
-              // Extract a meaningful name from the description
-              const description = relationship.description.toLowerCase();
-              
-              // Common patterns to extract verbs from descriptions
-              const verbPatterns = [
-                /can ([a-z]+) /i,                  // "can place", "can have"
-                /([a-z]+)s to /i,                  // "belongs to"
-                /is ([a-z]+)d? by/i,               // "is owned by", "is managed by"
-                /([a-z]+)s multiple/i,             // "contains multiple"
-                /([a-z]+)s many/i,                 // "has many"
-                /([a-z]+)s the/i,                  // "processes the"
-                /([a-z]+)s to/i                    // "relates to"
-              ];
-              
-              // Try each pattern to extract a verb
-              let extractedVerb = null;
-              for (const pattern of verbPatterns) {
-                const match = description.match(pattern);
-                if (match && match[1]) {
-                  extractedVerb = match[1];
-                  break;
-                }
-              }
-              
-              // If a verb was found, use it as the relationship name
-              if (extractedVerb && extractedVerb.length > 2) {
-                relationship.name = extractedVerb;
-              } else if (description.includes('belong')) {
-                relationship.name = 'belongsTo';
-              } else if (description.includes('contain')) {
-                relationship.name = 'contains';
-              } else if (description.includes('own')) {
-                relationship.name = 'owns';
-              } else if (description.includes('place')) {
-                relationship.name = 'places';
-              } else if (description.includes('manage')) {
-                relationship.name = 'manages';
-              } else if (relationship.type === 'MANY_TO_MANY') {
-                relationship.name = 'participatesIn';
-              } else if (relationship.type === 'ONE_TO_MANY') {
-                relationship.name = 'has';
-              } else {
-                relationship.name = 'relatesTo';
+            // Common patterns to extract verbs from descriptions
+            const verbPatterns = [
+              /can ([a-z]+) /i,                  // "can place", "can have"
+              /([a-z]+)s to /i,                  // "belongs to"
+              /is ([a-z]+)d? by/i,               // "is owned by", "is managed by"
+              /([a-z]+)s multiple/i,             // "contains multiple"
+              /([a-z]+)s many/i,                 // "has many"
+              /([a-z]+)s the/i,                  // "processes the"
+              /([a-z]+)s to/i                    // "relates to"
+            ];
+            
+            // Try each pattern to extract a verb
+            let extractedVerb = null;
+            for (const pattern of verbPatterns) {
+              const match = description.match(pattern);
+              if (match && match[1]) {
+                extractedVerb = match[1];
+                break;
               }
             }
+            
+            // If a verb was found, use it as the relationship name
+            if (extractedVerb && extractedVerb.length > 2) {
+              relationship.name = extractedVerb;
+            } else if (description.includes('belong')) {
+              relationship.name = 'belongsTo';
+            } else if (description.includes('contain')) {
+              relationship.name = 'contains';
+            } else if (description.includes('own')) {
+              relationship.name = 'owns';
+            } else if (description.includes('place')) {
+              relationship.name = 'places';
+            } else if (description.includes('manage')) {
+              relationship.name = 'manages';
+            } else if (relationship.type === 'MANY_TO_MANY') {
+              relationship.name = 'participatesIn';
+            } else if (relationship.type === 'ONE_TO_MANY') {
+              relationship.name = 'has';
+            } else {
+              relationship.name = 'relatesTo';
+            }
           }
-          
-          // Ensure all components in the diagram are draggable by adding position property if missing
-          if (!relationship.position) {
-            relationship.position = { isDraggable: true };
-          } else {
-            relationship.position.isDraggable = true;
-          }
-          return relationship;
-        });
-      }
-      
-      // Ensure all entities are draggable
-      if (parsedResponse.entities && Array.isArray(parsedResponse.entities)) {
-        parsedResponse.entities = parsedResponse.entities.map(entity => {
-          if (!entity.position) {
-            entity.position = { isDraggable: true, x: Math.random() * 500, y: Math.random() * 400 };
-          } else {
-            entity.position.isDraggable = true;
-          }
-          return entity;
-        });
-      }
-      
-      // Stringify the enhanced response
-      const enhancedResponse = JSON.stringify(parsedResponse, null, 2);
-      
-      // Log the full OpenAI response to the dedicated log file
-      openaiResponseLogger.info('OpenAI response', {
-        prompt: text,
-        model: model,
-        response: enhancedResponse,
-        usage: response.usage,
-        timestamp: new Date().toISOString()
+        }
+        
+        // Ensure all components in the diagram are draggable by adding position property if missing
+        if (!relationship.position) {
+          relationship.position = { isDraggable: true };
+        } else {
+          relationship.position.isDraggable = true;
+        }
+        return relationship;
       });
-      
-      logger.info('AI-based entity extraction completed', { 
-        entityCount: parsedResponse.entities?.length,
-        relationshipCount: parsedResponse.relationships?.length
+    }
+    
+    // Ensure all entities are draggable
+    if (parsedResponse.entities && Array.isArray(parsedResponse.entities)) {
+      parsedResponse.entities = parsedResponse.entities.map(entity => {
+        if (!entity.position) {
+          entity.position = { isDraggable: true, x: Math.random() * 500, y: Math.random() * 400 };
+        } else {
+          entity.position.isDraggable = true;
+        }
+        return entity;
       });
-      
-      return parsedResponse;
-    } catch (parseError) {
-      logger.error('Error parsing OpenAI response:', parseError);
-      
-      // Log the full response content for debugging
-      try {
-        // Save the problematic response to a special log file for debugging
-        const debugLogPath = path.join(__dirname, '../../logs/json-errors.log');
-        const debugContent = `
---- ERROR LOG: ${new Date().toISOString()} ---
-ERROR: ${parseError.message}
-CONTENT:
-${responseContent}
-------------------------------------------
-`;
-        fs.appendFileSync(debugLogPath, debugContent);
-        logger.info('Saved problematic JSON response to json-errors.log');
-      } catch (logError) {
-        logger.error('Failed to save debug log:', logError);
-      }
-      
-      throw parseError;
     }
+    
+    // Stringify the enhanced response
+    const enhancedResponse = JSON.stringify(parsedResponse, null, 2);
+    
+    // Log the full model response to the dedicated log file
+    openaiResponseLogger.info('LLM response', {
+      prompt: text,
+      provider: response.provider,
+      model: response.model,
+      response: enhancedResponse,
+      repairAttempts,
+      usage: response.usage,
+      timestamp: new Date().toISOString()
+    });
+    
+    logger.info('AI-based entity extraction completed', { 
+      entityCount: parsedResponse.entities?.length,
+      relationshipCount: parsedResponse.relationships?.length,
+      repairAttempts
+    });
+    
+    return parsedResponse;
   } catch (error) {
-    logger.error('OpenAI API error:', error);
+    logger.error('LLM provider error:', error);
     
     // Enhance error message based on error type
     if (error.cause) {
       if (error.cause.code === 'CERT_HAS_EXPIRED') {
-        error.message = 'SSL certificate error with OpenAI API. This is a development environment issue.';
+        error.message = 'SSL certificate error with the LLM provider. This is a development environment issue.';
       } else if (error.cause.code === 'ETIMEDOUT' || error.cause.code === 'ESOCKETTIMEDOUT') {
-        error.message = 'Request to OpenAI API timed out. Try again with a simpler prompt.';
+        error.message = 'Request to the LLM provider timed out. Try again with a simpler prompt.';
       } else if (error.cause.code === 'ECONNRESET') {
-        error.message = 'Connection to OpenAI API was reset. The server might be overloaded.';
+        error.message = 'Connection to the LLM provider was reset. The server might be overloaded.';
       }
     }
     
@@ -553,6 +360,106 @@ ${responseContent}
   }
 }
 
+/**
+ * Ask the model for an extraction and re-ask with the validation errors until it matches the JSON Schema
+ * @param {string} systemPrompt - Extraction system prompt
+ * @param {string} text - Natural language prompt
+ * @param {Object} options - { onToken, onProgress, signal }
+ * @returns {Object} - { response, payload, repairAttempts }
+ */
+async function requestValidExtraction(systemPrompt, text, options = {}) {
+  const maxRepairs = getRepairAttempts();
+  const { onToken, signal } = options;
+  let response = await llm.complete('extraction', { system: systemPrompt, prompt: text, json: true, onToken, signal });
+  
+  for (let attempt = 0; ; attempt++) {
+    logger.info(`LLM response received from ${response.provider}`);
+    logger.info('Raw API response beginning:', response.text.substring(0, 100) + '...');
+    
+    const { payload, valid, errors } = extractionValidator.parseAndValidate(response.text);
+    if (valid) {
+      return { response, payload, repairAttempts: attempt };
+    }
+    
+    logger.warn(`Extraction response failed schema validation (attempt ${attempt + 1} of ${maxRepairs + 1})`, { errors });
+    
+    if (attempt >= maxRepairs) {
+      saveInvalidResponse(response.text, errors);
+      
+      const error = new Error(`The AI response did not match the extraction schema after ${attempt + 1} attempt(s): ${errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ')}`);
+      error.statusCode = 502;
+      error.validationErrors = errors;
+      throw error;
+    }
+    
+    if (options.onProgress) {
+      options.onProgress('repair-requested', { attempt: attempt + 1, errors });
+    }
+    
+    response = await llm.complete('extraction', {
+      system: systemPrompt,
+      prompt: buildRepairPrompt(text, response.text, errors),
+      json: true,
+      onToken,
+      signal
+    });
+  }
+}
+
+/**
+ * Prompt asking the model to correct a response that failed validation
+ * @param {string} text - Original natural language prompt
+ * @param {string} content - Invalid response
+ * @param {Array} errors - Validation errors
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(text, content, errors) {
+  return `Your previous answer to the request below does not match the required JSON Schema.
+
+REQUEST:
+${text}
+
+PREVIOUS ANSWER:
+${content}
+
+VALIDATION ERRORS (JSONPath: problem):
+${extractionValidator.formatErrors(errors)}
+
+Return the complete corrected JSON object. Fix every listed error and keep everything else unchanged. Return only JSON.`;
+}
+
+/**
+ * Number of repair requests allowed after the first response
+ * @returns {number} - NLP_EXTRACTION_REPAIR_ATTEMPTS, or the default
+ */
+function getRepairAttempts() {
+  const attempts = parseInt(process.env.NLP_EXTRACTION_REPAIR_ATTEMPTS, 10);
+  return Number.isInteger(attempts) && attempts >= 0 ? attempts : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Save a response that never passed validation to logs/json-errors.log for debugging
+ * @param {string} content - Last response content
+ * @param {Array} errors - Its validation errors
+ */
+function saveInvalidResponse(content, errors) {
+  try {
+    const debugLogPath = path.join(__dirname, '../../logs/json-errors.log');
+    const debugContent = `
+--- ERROR LOG: ${new Date().toISOString()} ---
+ERRORS:
+${extractionValidator.formatErrors(errors)}
+CONTENT:
+${content}
+------------------------------------------
+`;
+    fs.appendFileSync(debugLogPath, debugContent);
+    logger.info('Saved invalid extraction response to json-errors.log');
+  } catch (logError) {
+    logger.error('Failed to save debug log:', logError);
+  }
+}
+
 /**
  * Optimize a user prompt to make it more effective for schema generation
  * @param {string} text - Original natural language prompt
@@ -560,21 +467,10 @@ ${responseContent}
  */
 exports.optimizePrompt = async (text) => {
   try {
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please check your API key configuration.');
-    }
-
-    logger.info('Using OpenAI for prompt optimization');
-    
-    // Use a cost-efficient model
-    const model = "gpt-3.5-turbo-0125"; // Using the most efficient version of gpt-3.5-turbo
+    logger.info('Using LLM provider for prompt optimization');
     
-    const response = await openai.chat.completions.create({
-      model: model,
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert database design assistant specializing in transforming natural language descriptions into structured database schema specifications. Your task is to refine user prompts into a highly structured format that explicitly defines entities, attributes, relationships, and constraints.
+    const response = await llm.complete('promptOptimization', {
+      system: `You are an expert database design assistant specializing in transforming natural language descriptions into structured database schema specifications. Your task is to refine user prompts into a highly structured format that explicitly defines entities, attributes, relationships, and constraints.
 
 OUTPUT FORMAT REQUIREMENTS:
 Your output MUST follow this EXACT structured format:
@@ -666,25 +562,13 @@ For example, given "Design a system for a library with books and members":
 - Members can borrow a maximum of 5 books at a time
 - Late returns incur a fine of $0.50 per day
 
-If the user submits a request for examples or samples ("CREATE AN ERD DIAGRAM", "CREATE SAMPLE", "GIVE EXAMPLE"), provide the sample in the exact format above, ensuring it's comprehensive but follows the strict formatting requirements.`
-        },
-        {
-          role: "user",
-          content: `Please optimize this database design prompt to make it clearer and more specific for schema generation: "${text}"`
-        }
-      ]
+If the user submits a request for examples or samples ("CREATE AN ERD DIAGRAM", "CREATE SAMPLE", "GIVE EXAMPLE"), provide the sample in the exact format above, ensuring it's comprehensive but follows the strict formatting requirements.`,
+      prompt: `Please optimize this database design prompt to make it clearer and more specific for schema generation: "${text}"`
     });
     
-    logger.info('OpenAI API response received for prompt optimization');
-    
-    if (!response.choices || response.choices.length === 0) {
-      throw new Error('No choices returned from OpenAI API');
-    }
+    logger.info(`LLM response received from ${response.provider} for prompt optimization`);
     
-    const optimizedPrompt = response.choices[0].message.content;
-    if (!optimizedPrompt) {
-      throw new Error('Empty response content from OpenAI API');
-    }
+    const optimizedPrompt = response.text;
     
     // Log the optimized prompt
     logger.info('Prompt optimization successful');
@@ -700,4 +584,102 @@ If the user submits a request for examples or samples ("CREATE AN ERD DIAGRAM",
   }
 }
 
+/**
+ * Ask the model for a change set that applies a follow-up instruction to an existing schema
+ * @param {Object} schema - Current schema with tables and relationships
+ * @param {string} instruction - Follow-up request, e.g. "also track refunds for orders"
+ * @returns {Object} - Change set with a summary and a list of changes
+ */
+exports.proposeChanges = async (schema, instruction) => {
+  try {
+    logger.info('Using LLM provider for schema refinement');
+    
+    // Only the structure is sent; positions and UI state don't help the model
+    const currentSchema = {
+      entities: schema.tables.map(table => ({
+        name: table.name,
+        description: table.description,
+        isWeakEntity: table.isWeakEntity,
+        attributes: table.columns.map(column => ({
+          name: column.name,
+          dataType: column.dataType,
+          isPrimaryKey: column.isPrimaryKey,
+          isNullable: column.isNullable,
+          isUnique: column.isUnique,
+          references: column.references ? `${column.references.table}.${column.references.column}` : undefined
+        }))
+      })),
+      relationships: schema.relationships.map(relationship => ({
+        name: relationship.name,
+        sourceEntity: relationship.sourceTable,
+        targetEntity: relationship.targetTable,
+        type: relationship.type,
+        isIdentifying: relationship.isIdentifying
+      }))
+    };
+    
+    const response = await llm.complete('refinement', {
+      system: `You are an expert database designer refining an existing database schema. You receive the current schema as JSON and a follow-up instruction. Respond with ONLY the changes needed to satisfy the instruction — never restate parts of the schema that stay the same.
+
+OUTPUT FORMAT (JSON object):
+{
+  "summary": "One sentence describing the change",
+  "changes": [ ... ]
+}
+
+Each change has an "action" and these fields:
+- addEntity: "entity" (PascalCase name), "description", "isWeakEntity", "attributes" (array of { name, dataType, isPrimaryKey, isNullable, isUnique, defaultValue, description })
+- modifyEntity: "entity", optional "newName", "description", "isWeakEntity", "isLookupTable"
+- removeEntity: "entity"
+- addAttribute: "entity", "attribute" ({ name, dataType, isPrimaryKey, isNullable, isUnique, defaultValue, description })
+- modifyAttribute: "entity", "attribute" (current name), "changes" (fields to change, including "name" to rename)
+- removeAttribute: "entity", "attribute"
+- addRelationship: "relationship" ({ name, sourceEntity, targetEntity, type, isIdentifying, description, sourceCardinality, targetCardinality, sourceParticipation, targetParticipation })
+- modifyRelationship: "relationship" (current name), "sourceEntity", "targetEntity", "changes" (fields to change)
+- removeRelationship: "relationship", "sourceEntity", "targetEntity"
+
+RULES:
+1. Refer to existing entities and attributes by the names in the current schema
+2. Relationship types are ONE_TO_ONE, ONE_TO_MANY, MANY_TO_ONE or MANY_TO_MANY
+3. Do NOT add foreign key attributes yourself — adding a relationship creates the foreign key on the "many" side
+4. Do NOT add id, created_at or updated_at to new entities; they are added automatically
+5. Mark relationships to weak entities as identifying
+6. Use snake_case attribute names and SQL data types (VARCHAR(255), INTEGER, DECIMAL(10,2), TIMESTAMP, BOOLEAN, TEXT, DATE)
+7. Give relationships descriptive verb names such as "places" or "refunds", not "has"
+8. Apply changes in order: add entities before relationships that use them`,
+      prompt: `Current schema:\n${JSON.stringify(currentSchema)}\n\nInstruction: ${instruction}`,
+      json: true
+    });
+    
+    logger.info(`LLM response received from ${response.provider} for schema refinement`);
+    
+    const { payload: changeSet, errors } = extractionValidator.parseResponse(response.text);
+    
+    if (errors.length > 0) {
+      throw new Error(`Model response was not valid JSON: ${errors[0].message}`);
+    }
+    
+    if (!Array.isArray(changeSet.changes)) {
+      throw new Error('Model response did not include a list of changes');
+    }
+    
+    openaiResponseLogger.info('Schema refinement:', { 
+      instruction,
+      provider: response.provider,
+      model: response.model,
+      response: JSON.stringify(changeSet, null, 2),
+      usage: response.usage
+    });
+    
+    logger.info('Schema refinement proposal completed', { changeCount: changeSet.changes.length });
+    
+    return changeSet;
+  } catch (error) {
+    logger.error('Error proposing schema changes:', error);
+    throw error;
+  }
+};
+
+exports.EXTRACTION_MODES = EXTRACTION_MODES;
+
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,820 @@
+const logger = require('../utils/logger');
+
+// Normal forms from weakest to strongest
+const NORMAL_FORMS = ['1NF', '2NF', '3NF', 'BCNF'];
+
+// Reported when a table doesn't even satisfy 1NF
+const UNNORMALIZED = 'UNF';
+
+// Candidate keys wider than this are not searched for
+const MAX_KEY_SIZE = 4;
+
+// Safety limit on decomposition steps for pathological dependency sets
+const MAX_DECOMPOSITION_STEPS = 100;
+
+// Column types that hold several values in one field
+const NON_ATOMIC_TYPE = /(\[\]$|^JSONB?$|^ARRAY\b|^SET\s*\()/i;
+
+// Numbered columns such as phone1, phone_2 form a repeating group
+const REPEATING_GROUP = /^(.+?)_?(\d+)$/;
+
+/**
+ * Analyze a schema for normal form violations and propose a decomposition
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - Declared functional dependencies and the normal form to decompose to
+ * @returns {Object} - Per-table analysis, proposed tables/relationships and warnings
+ */
+exports.analyzeSchema = (schema, options = {}) => {
+  const { targetForm = 'BCNF' } = options;
+  const warnings = [];
+  const dependencies = groupDependencies(schema.tables || [], options.dependencies || [], warnings);
+
+  const tables = (schema.tables || []).map(table =>
+    analyzeTable(table, dependencies.get(table.name) || [])
+  );
+
+  const proposal = decompose(schema, dependencies, targetForm);
+
+  const violations = tables.reduce((count, table) => count + table.violations.length, 0);
+
+  logger.info('Analyzed schema normalization', {
+    tableCount: tables.length,
+    violations,
+    changes: proposal.changes.length
+  });
+
+  return {
+    normalForm: weakestForm(tables.map(table => table.normalForm)),
+    targetForm,
+    tables,
+    proposal,
+    warnings,
+    summary: {
+      tables: tables.length,
+      violations,
+      changes: proposal.changes.length
+    }
+  };
+};
+
+/**
+ * Compute the closure of a set of columns under functional dependencies
+ * @param {Array} columns - Starting column names
+ * @param {Array} dependencies - Functional dependencies ({ determinant, dependent })
+ * @returns {Set} - Every column the starting set determines
+ */
+exports.closure = (columns, dependencies) => {
+  const result = new Set(columns);
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    dependencies.forEach(dependency => {
+      if (dependency.determinant.every(column => result.has(column))) {
+        dependency.dependent.forEach(column => {
+          if (!result.has(column)) {
+            result.add(column);
+            changed = true;
+          }
+        });
+      }
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Find the candidate keys of a relation
+ * @param {Array} attributes - Column names of the relation
+ * @param {Array} dependencies - Functional dependencies that hold in the relation
+ * @returns {Array} - Minimal keys, each an array of column names
+ */
+exports.candidateKeys = (attributes, dependencies) => {
+  const isSuperkey = (columns) => exports.closure(columns, dependencies).size >= attributes.length;
+
+  // Columns never determined by anything must be part of every key
+  const determined = new Set(dependencies.flatMap(dependency => dependency.dependent));
+  const core = attributes.filter(attribute => !determined.has(attribute));
+
+  if (isSuperkey(core)) {
+    return [core];
+  }
+
+  const rest = attributes.filter(attribute => !core.includes(attribute));
+  const keys = [];
+
+  for (let size = 1; size <= Math.min(rest.length, MAX_KEY_SIZE); size++) {
+    combinations(rest, size).forEach(combination => {
+      const candidate = [...core, ...combination];
+
+      if (keys.some(key => key.every(column => candidate.includes(column)))) {
+        return;
+      }
+
+      if (isSuperkey(candidate)) {
+        keys.push(candidate);
+      }
+    });
+  }
+
+  return keys.length > 0 ? keys : [attributes];
+};
+
+/**
+ * Analyze a single table
+ * @param {Object} table - Table definition
+ * @param {Array} declared - Functional dependencies declared for the table
+ * @returns {Object} - Candidate keys, dependencies, violations and the highest normal form met
+ */
+function analyzeTable(table, declared) {
+  const context = tableContext(table, declared);
+  const violations = [
+    ...firstNormalFormViolations(table),
+    ...dependencyViolations(context)
+  ];
+
+  // The table meets every form below the weakest one it violates
+  const weakest = violations.reduce(
+    (index, violation) => Math.min(index, NORMAL_FORMS.indexOf(violation.normalForm)),
+    NORMAL_FORMS.length
+  );
+
+  return {
+    table: table.name,
+    normalForm: weakest === 0 ? UNNORMALIZED : NORMAL_FORMS[weakest - 1],
+    candidateKeys: context.keys,
+    dependencies: context.dependencies,
+    violations
+  };
+}
+
+/**
+ * Collect the attributes, dependencies and keys of a table
+ * @param {Object} table - Table definition
+ * @param {Array} declared - Functional dependencies declared for the table
+ * @returns {Object} - Analysis context
+ */
+function tableContext(table, declared) {
+  const attributes = (table.columns || []).map(column => column.name);
+  const present = new Set(attributes);
+
+  // Declared dependencies only apply while all their columns are still in the table
+  const applicable = declared
+    .filter(dependency => dependency.determinant.every(column => present.has(column)))
+    .map(dependency => ({
+      ...dependency,
+      dependent: dependency.dependent.filter(column => present.has(column) && !dependency.determinant.includes(column))
+    }))
+    .filter(dependency => dependency.dependent.length > 0);
+
+  const dependencies = [...keyDependencies(table, attributes), ...applicable];
+  const keys = exports.candidateKeys(attributes, dependencies);
+
+  return {
+    table,
+    attributes,
+    dependencies,
+    keys,
+    prime: new Set(keys.flat())
+  };
+}
+
+/**
+ * Dependencies implied by the table's primary key and non-nullable unique columns
+ * @param {Object} table - Table definition
+ * @param {Array} attributes - Column names of the table
+ * @returns {Array} - Functional dependencies
+ */
+function keyDependencies(table, attributes) {
+  const dependencies = [];
+  const primaryKey = (table.columns || []).filter(column => column.isPrimaryKey).map(column => column.name);
+
+  if (primaryKey.length > 0) {
+    dependencies.push({
+      determinant: primaryKey,
+      dependent: attributes.filter(attribute => !primaryKey.includes(attribute)),
+      source: 'primary-key'
+    });
+  }
+
+  (table.columns || [])
+    .filter(column => column.isUnique && !column.isPrimaryKey && column.isNullable === false)
+    .forEach(column => {
+      dependencies.push({
+        determinant: [column.name],
+        dependent: attributes.filter(attribute => attribute !== column.name),
+        source: 'unique'
+      });
+    });
+
+  return dependencies.filter(dependency => dependency.dependent.length > 0);
+}
+
+/**
+ * Find columns that don't hold atomic values
+ * @param {Object} table - Table definition
+ * @returns {Array} - 1NF violations
+ */
+function firstNormalFormViolations(table) {
+  const violations = [];
+
+  (table.columns || []).forEach(column => {
+    if (column.isMultivalued) {
+      violations.push({
+        normalForm: '1NF',
+        type: 'multivalued-attribute',
+        columns: [column.name],
+        message: `Column "${table.name}.${column.name}" is multi-valued; store each value as its own row`
+      });
+    } else if (NON_ATOMIC_TYPE.test(column.dataType || '')) {
+      violations.push({
+        normalForm: '1NF',
+        type: 'non-atomic-type',
+        columns: [column.name],
+        message: `Column "${table.name}.${column.name}" uses ${column.dataType}, which stores several values in one field`
+      });
+    } else if (column.isComposite) {
+      violations.push({
+        normalForm: '1NF',
+        type: 'composite-attribute',
+        columns: [column.name],
+        message: `Column "${table.name}.${column.name}" is composite; split it into its component columns`
+      });
+    }
+  });
+
+  repeatingGroups(table).forEach(({ stem, columns }) => {
+    violations.push({
+      normalForm: '1NF',
+      type: 'repeating-group',
+      columns,
+      message: `Columns ${columns.map(name => `"${name}"`).join(', ')} in "${table.name}" repeat the same ${stem} attribute`
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Find numbered columns that repeat the same attribute
+ * @param {Object} table - Table definition
+ * @returns {Array} - Groups of { stem, columns }
+ */
+function repeatingGroups(table) {
+  const groups = new Map();
+
+  (table.columns || [])
+    .filter(column => !column.isPrimaryKey && !column.isForeignKey)
+    .forEach(column => {
+      const match = REPEATING_GROUP.exec(column.name);
+
+      if (match) {
+        const stem = match[1];
+        groups.set(stem, [...(groups.get(stem) || []), column.name]);
+      }
+    });
+
+  return Array.from(groups.entries())
+    .filter(([, columns]) => columns.length > 1)
+    .map(([stem, columns]) => ({ stem, columns }));
+}
+
+/**
+ * Find partial, transitive and non-key dependencies
+ * @param {Object} context - Table analysis context
+ * @returns {Array} - 2NF, 3NF and BCNF violations
+ */
+function dependencyViolations(context) {
+  const { table, attributes, dependencies, keys, prime } = context;
+  const violations = [];
+  const isSuperkey = (columns) => exports.closure(columns, dependencies).size >= attributes.length;
+
+  // 2NF: a non-prime column depends on part of a composite candidate key
+  keys.filter(key => key.length > 1).forEach(key => {
+    properSubsets(key).forEach(subset => {
+      const explained = new Set(
+        properSubsets(subset).flatMap(smaller => Array.from(exports.closure(smaller, dependencies)))
+      );
+      const dependent = Array.from(exports.closure(subset, dependencies))
+        .filter(column => !prime.has(column) && !explained.has(column));
+
+      if (dependent.length > 0 && !violations.some(v => sameColumns(v.dependency.determinant, subset))) {
+        violations.push({
+          normalForm: '2NF',
+          type: 'partial-dependency',
+          columns: dependent,
+          dependency: { determinant: subset, dependent },
+          message: `${formatColumns(dependent)} in "${table.name}" depend${dependent.length === 1 ? 's' : ''} on ${formatColumns(subset)}, only part of the key (${key.join(', ')})`
+        });
+      }
+    });
+  });
+
+  dependencies
+    .filter(dependency => !isSuperkey(dependency.determinant))
+    .forEach(dependency => {
+      const partOfKey = keys.some(key =>
+        key.length > dependency.determinant.length && dependency.determinant.every(column => key.includes(column))
+      );
+
+      // Non-prime columns that depend on part of a key were already reported under 2NF
+      const transitive = dependency.dependent.filter(column => !prime.has(column) && !partOfKey);
+      const nonKey = dependency.dependent.filter(column => prime.has(column));
+
+      if (transitive.length > 0) {
+        violations.push({
+          normalForm: '3NF',
+          type: 'transitive-dependency',
+          columns: transitive,
+          dependency: { determinant: dependency.determinant, dependent: transitive },
+          message: `${formatColumns(transitive)} in "${table.name}" depend${transitive.length === 1 ? 's' : ''} on ${formatColumns(dependency.determinant)}, which is not a key`
+        });
+      }
+
+      if (nonKey.length > 0) {
+        violations.push({
+          normalForm: 'BCNF',
+          type: 'non-key-determinant',
+          columns: nonKey,
+          dependency: { determinant: dependency.determinant, dependent: nonKey },
+          message: `Key column${nonKey.length === 1 ? '' : 's'} ${formatColumns(nonKey)} in "${table.name}" depend${nonKey.length === 1 ? 's' : ''} on ${formatColumns(dependency.determinant)}, which is not a key`
+        });
+      }
+    });
+
+  return violations;
+}
+
+/**
+ * Decompose the schema until every table meets the target normal form
+ * @param {Object} schema - Original schema
+ * @param {Map} dependencies - Declared dependencies by table name
+ * @param {string} targetForm - Normal form to reach
+ * @returns {Object} - Proposed tables, relationships, applied changes and unresolved violations
+ */
+function decompose(schema, dependencies, targetForm) {
+  const state = {
+    tables: clone(schema.tables || []),
+    relationships: clone(schema.relationships || []),
+    dependencies: new Map(dependencies),
+    changes: [],
+    unresolved: []
+  };
+  const target = NORMAL_FORMS.indexOf(targetForm);
+
+  state.tables.slice().forEach(table => normalizeAtomicity(table, state));
+
+  const queue = state.tables.slice();
+  let steps = 0;
+
+  while (queue.length > 0 && steps < MAX_DECOMPOSITION_STEPS) {
+    const table = queue.shift();
+    const context = tableContext(table, state.dependencies.get(table.name) || []);
+
+    // Resolve the weakest violation first; later passes pick up whatever remains
+    const violation = dependencyViolations(context)
+      .filter(v => NORMAL_FORMS.indexOf(v.normalForm) <= target)
+      .sort((a, b) => NORMAL_FORMS.indexOf(a.normalForm) - NORMAL_FORMS.indexOf(b.normalForm))[0];
+
+    if (!violation) {
+      continue;
+    }
+
+    steps++;
+
+    const { determinant } = violation.dependency;
+    const moved = Array.from(exports.closure(determinant, context.dependencies))
+      .filter(column => !determinant.includes(column));
+
+    const receiver = splitTable(table, determinant, moved, violation, state);
+
+    queue.push(table);
+    if (!queue.includes(receiver)) {
+      queue.push(receiver);
+    }
+  }
+
+  if (queue.length > 0) {
+    logger.warn('Normalization stopped before every table was decomposed', { steps });
+  }
+
+  return {
+    tables: state.tables,
+    relationships: state.relationships,
+    changes: state.changes,
+    unresolved: state.unresolved
+  };
+}
+
+/**
+ * Move multi-valued columns and repeating groups into child tables
+ * @param {Object} table - Table to fix (modified in place)
+ * @param {Object} state - Decomposition state
+ */
+function normalizeAtomicity(table, state) {
+  const parentKey = table.columns.filter(column => column.isPrimaryKey);
+
+  firstNormalFormViolations(table).forEach(violation => {
+    if (violation.type === 'composite-attribute') {
+      state.unresolved.push({
+        table: table.name,
+        ...violation,
+        message: `${violation.message}; its components are not known, so it was left as is`
+      });
+      return;
+    }
+
+    if (parentKey.length === 0) {
+      state.unresolved.push({
+        table: table.name,
+        ...violation,
+        message: `${violation.message}; "${table.name}" has no primary key to link a child table to`
+      });
+      return;
+    }
+
+    const stem = violation.type === 'repeating-group'
+      ? REPEATING_GROUP.exec(violation.columns[0])[1]
+      : violation.columns[0];
+    const source = table.columns.find(column => column.name === violation.columns[0]);
+
+    const childName = uniqueTableName(`${table.name}_${stem}`, state.tables);
+    const childKey = parentKey.map(column => ({
+      ...clone(column),
+      name: column.name === 'id' ? `${table.name.toLowerCase()}_id` : column.name,
+      isPrimaryKey: true,
+      isForeignKey: true,
+      isNullable: false,
+      isUnique: false,
+      references: {
+        table: table.name,
+        column: column.name,
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      },
+      description: `Foreign key reference to ${table.name}`
+    }));
+
+    const child = createTable(childName, [
+      ...childKey,
+      {
+        name: stem,
+        dataType: NON_ATOMIC_TYPE.test(source.dataType || '') ? 'VARCHAR(255)' : source.dataType,
+        isPrimaryKey: true,
+        isForeignKey: false,
+        isNullable: false,
+        isUnique: false,
+        description: source.description || `${stem} value`
+      }
+    ], `Values of ${table.name}.${stem}, one per row`, state.tables.length);
+    child.isWeakEntity = true;
+
+    table.columns = table.columns.filter(column => !violation.columns.includes(column.name));
+    state.tables.push(child);
+    state.relationships.push(createRelationship(table, child, parentKey[0].name, childKey[0].name, true));
+
+    state.changes.push({
+      normalForm: '1NF',
+      type: violation.type,
+      table: table.name,
+      createdTable: childName,
+      columns: violation.columns,
+      message: `Moved ${formatColumns(violation.columns)} from "${table.name}" to new table "${childName}" with one row per value`
+    });
+  });
+}
+
+/**
+ * Split the columns a determinant decides out of a table
+ * @param {Object} table - Table being decomposed (modified in place)
+ * @param {Array} determinant - Columns that stay behind as a foreign key
+ * @param {Array} moved - Columns determined by the determinant
+ * @param {Object} violation - Violation being resolved
+ * @param {Object} state - Decomposition state
+ * @returns {Object} - The table that received the moved columns
+ */
+function splitTable(table, determinant, moved, violation, state) {
+  const movedColumns = table.columns.filter(column => moved.includes(column.name));
+  let receiver = referencedTable(table, determinant, moved, state.tables);
+  let createdTable = null;
+
+  if (receiver) {
+    receiver.columns.push(...movedColumns.map(column => ({ ...clone(column), isPrimaryKey: false })));
+  } else {
+    const keyColumns = table.columns
+      .filter(column => determinant.includes(column.name))
+      .map(column => {
+        const { references, ...rest } = clone(column);
+        return {
+          ...rest,
+          isPrimaryKey: true,
+          isForeignKey: false,
+          isNullable: false,
+          isUnique: determinant.length === 1
+        };
+      });
+
+    createdTable = uniqueTableName(
+      determinant.length === 1 ? determinant[0].replace(/_id$/, '') : `${table.name}_${determinant.join('_')}`,
+      state.tables
+    );
+    receiver = createTable(createdTable, [
+      ...keyColumns,
+      ...movedColumns.map(column => ({ ...clone(column), isPrimaryKey: false }))
+    ], `${formatColumns(moved)} determined by ${determinant.join(', ')} (split from ${table.name})`, state.tables.length);
+
+    // The split-off table obeys the same declared dependencies as the table it came from
+    state.dependencies.set(createdTable, state.dependencies.get(table.name) || []);
+    state.tables.push(receiver);
+
+    table.columns.forEach(column => {
+      if (determinant.includes(column.name)) {
+        column.isForeignKey = true;
+        column.references = {
+          table: createdTable,
+          column: column.name,
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        };
+      }
+    });
+
+    state.relationships.push(createRelationship(receiver, table, determinant[0], determinant[0], false));
+  }
+
+  table.columns = table.columns.filter(column => !moved.includes(column.name));
+  retargetReferences(table.name, moved, receiver.name, state);
+
+  // Moving key columns out (BCNF) leaves the table needing a new primary key
+  if (!table.columns.some(column => column.isPrimaryKey)) {
+    const [key] = tableContext(table, state.dependencies.get(table.name) || []).keys;
+    table.columns.forEach(column => {
+      if (key.includes(column.name)) {
+        column.isPrimaryKey = true;
+        column.isNullable = false;
+      }
+    });
+  }
+
+  state.changes.push({
+    normalForm: violation.normalForm,
+    type: violation.type,
+    table: table.name,
+    ...(createdTable ? { createdTable } : { updatedTable: receiver.name }),
+    columns: moved,
+    dependency: { determinant, dependent: moved },
+    message: `Moved ${formatColumns(moved)} from "${table.name}" to ${createdTable ? 'new table' : 'table'} "${receiver.name}" (${determinant.join(', ')} → ${moved.join(', ')})`
+  });
+
+  return receiver;
+}
+
+/**
+ * Find the table a single-column determinant already references, if the moved columns fit there
+ * @param {Object} table - Table being decomposed
+ * @param {Array} determinant - Determinant columns
+ * @param {Array} moved - Columns being moved
+ * @param {Array} tables - All tables
+ * @returns {Object|null} - Referenced table or null
+ */
+function referencedTable(table, determinant, moved, tables) {
+  if (determinant.length !== 1) {
+    return null;
+  }
+
+  const column = table.columns.find(c => c.name === determinant[0]);
+  if (!column?.isForeignKey || !column.references?.table) {
+    return null;
+  }
+
+  const referenced = tables.find(t => t.name === column.references.table && t !== table);
+  if (!referenced) {
+    return null;
+  }
+
+  const primaryKey = referenced.columns.filter(c => c.isPrimaryKey);
+  const fits = primaryKey.length === 1 &&
+    primaryKey[0].name === column.references.column &&
+    !referenced.columns.some(c => moved.includes(c.name));
+
+  return fits ? referenced : null;
+}
+
+/**
+ * Point relationships and foreign keys at the table a column moved to
+ * @param {string} from - Table the columns left
+ * @param {Array} columns - Moved column names
+ * @param {string} to - Table the columns moved to
+ * @param {Object} state - Decomposition state
+ */
+function retargetReferences(from, columns, to, state) {
+  state.relationships.forEach(relationship => {
+    if (relationship.sourceTable === from && columns.includes(relationship.sourceColumn)) {
+      relationship.sourceTable = to;
+      relationship.sourceEntity = to;
+    }
+    if (relationship.targetTable === from && columns.includes(relationship.targetColumn)) {
+      relationship.targetTable = to;
+      relationship.targetEntity = to;
+    }
+  });
+
+  state.tables.forEach(table => {
+    table.columns.forEach(column => {
+      if (column.references?.table === from && columns.includes(column.references.column)) {
+        column.references = { ...column.references, table: to };
+      }
+    });
+  });
+}
+
+/**
+ * Build a table in the shape the schema generator produces
+ * @param {string} name - Table name
+ * @param {Array} columns - Columns
+ * @param {string} description - Table description
+ * @param {number} index - Position in the table list, used for layout
+ * @returns {Object} - Table definition
+ */
+function createTable(name, columns, description, index) {
+  return {
+    name,
+    columns,
+    description,
+    isWeakEntity: false,
+    isLookupTable: false,
+    assumptionsMade: ['Created by normalization'],
+    position: {
+      x: 100 + (index % 3) * 350,
+      y: 100 + Math.floor(index / 3) * 250,
+      isDraggable: true
+    }
+  };
+}
+
+/**
+ * Build a one-to-many relationship between two tables
+ * @param {Object} sourceTable - The "one" side
+ * @param {Object} targetTable - The "many" side, holding the foreign key
+ * @param {string} sourceColumn - Referenced column
+ * @param {string} targetColumn - Foreign key column
+ * @param {boolean} isIdentifying - Whether the foreign key is part of the target's key
+ * @returns {Object} - Relationship definition
+ */
+function createRelationship(sourceTable, targetTable, sourceColumn, targetColumn, isIdentifying) {
+  return {
+    name: 'has',
+    sourceTable: sourceTable.name,
+    sourceEntity: sourceTable.name,
+    targetTable: targetTable.name,
+    targetEntity: targetTable.name,
+    sourceColumn,
+    targetColumn,
+    type: 'ONE_TO_MANY',
+    isIdentifying,
+    description: `Relationship between ${sourceTable.name} and ${targetTable.name}`,
+    sourceCardinality: '1',
+    targetCardinality: 'N',
+    sourceParticipation: 'PARTIAL',
+    targetParticipation: 'TOTAL',
+    attributes: [],
+    position: {
+      x: ((sourceTable.position?.x || 0) + (targetTable.position?.x || 0)) / 2,
+      y: ((sourceTable.position?.y || 0) + (targetTable.position?.y || 0)) / 2,
+      isDraggable: true
+    },
+    assumptionsMade: ['Created by normalization']
+  };
+}
+
+/**
+ * Validate declared dependencies and group them by table
+ * @param {Array} tables - Schema tables
+ * @param {Array} declared - Dependencies from the request
+ * @param {Array} warnings - Collects skipped dependencies
+ * @returns {Map} - Dependencies by table name, with column names resolved
+ */
+function groupDependencies(tables, declared, warnings) {
+  const grouped = new Map();
+
+  declared.forEach((dependency, index) => {
+    const table = tables.find(t => t.name.toLowerCase() === String(dependency.table || '').toLowerCase());
+
+    if (!table) {
+      warnings.push(`Dependency ${index} refers to unknown table "${dependency.table}" and was ignored`);
+      return;
+    }
+
+    const resolve = (names) => toArray(names).map(name =>
+      (table.columns || []).find(column => column.name.toLowerCase() === String(name).toLowerCase())?.name || null
+    );
+    const determinant = resolve(dependency.determinant);
+    const dependent = resolve(dependency.dependent);
+
+    if (determinant.length === 0 || dependent.length === 0) {
+      warnings.push(`Dependency ${index} on "${table.name}" needs a determinant and a dependent and was ignored`);
+      return;
+    }
+
+    if (determinant.includes(null) || dependent.includes(null)) {
+      warnings.push(`Dependency ${index} refers to columns "${table.name}" doesn't have and was ignored`);
+      return;
+    }
+
+    grouped.set(table.name, [
+      ...(grouped.get(table.name) || []),
+      { determinant: unique(determinant), dependent: unique(dependent), source: 'declared' }
+    ]);
+  });
+
+  return grouped;
+}
+
+/**
+ * Pick the weakest of several normal forms
+ * @param {Array} forms - Normal forms reached by each table
+ * @returns {string} - Weakest form
+ */
+function weakestForm(forms) {
+  if (forms.includes(UNNORMALIZED)) {
+    return UNNORMALIZED;
+  }
+
+  return forms.reduce(
+    (weakest, form) => (NORMAL_FORMS.indexOf(form) < NORMAL_FORMS.indexOf(weakest) ? form : weakest),
+    'BCNF'
+  );
+}
+
+/**
+ * Make a table name unique within the schema
+ * @param {string} base - Preferred name
+ * @param {Array} tables - Existing tables
+ * @returns {string} - Unused name
+ */
+function uniqueTableName(base, tables) {
+  const taken = new Set(tables.map(table => table.name.toLowerCase()));
+  let name = base;
+
+  for (let i = 2; taken.has(name.toLowerCase()); i++) {
+    name = `${base}_${i}`;
+  }
+
+  return name;
+}
+
+/**
+ * All combinations of a given size
+ * @param {Array} items - Items to choose from
+ * @param {number} size - Combination size
+ * @returns {Array} - Combinations
+ */
+function combinations(items, size) {
+  if (size === 0) return [[]];
+
+  return items.flatMap((item, i) =>
+    combinations(items.slice(i + 1), size - 1).map(rest => [item, ...rest])
+  );
+}
+
+/**
+ * All non-empty proper subsets, smallest first
+ * @param {Array} items - Items
+ * @returns {Array} - Subsets
+ */
+function properSubsets(items) {
+  const subsets = [];
+
+  for (let size = 1; size < items.length; size++) {
+    subsets.push(...combinations(items, size));
+  }
+
+  return subsets;
+}
+
+function sameColumns(a, b) {
+  return a.length === b.length && a.every(column => b.includes(column));
+}
+
+function formatColumns(columns) {
+  return columns.join(', ');
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value === undefined || value === null || value === '' ? [] : [value];
+}
+
+function unique(items) {
+  return Array.from(new Set(items));
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+exports.NORMAL_FORMS = NORMAL_FORMS;
+
+module.exports = exports;
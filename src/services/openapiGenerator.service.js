@@ -0,0 +1,788 @@
+/**
+ * OpenAPI Generator Service
+ * Turns a schema into an OpenAPI 3.1 document with CRUD paths and component schemas for every
+ * table except junction tables, and optionally an Express router implementing those paths with
+ * the SQL of a chosen dialect. Like the SQL Server stored procedures, creates leave out generated
+ * keys and the created_at/updated_at timestamps, and updates set updated_at themselves.
+ */
+
+const codeModelService = require('./codeModel.service');
+const dialects = require('./dialects');
+const logger = require('../utils/logger');
+
+const { snakeCase, pascalCase, plural } = codeModelService;
+
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at'];
+
+// Component names the document declares itself; tables with these names get a Resource suffix
+const RESERVED_COMPONENT_NAMES = ['Error'];
+
+// JSON Schema of the values each column kind is read and written as
+const SCHEMA_TYPES = {
+  integer: { type: 'integer', format: 'int32' },
+  smallint: { type: 'integer', format: 'int32' },
+  bigint: { type: 'integer', format: 'int64' },
+  // Drivers return decimals as strings so no precision is lost
+  decimal: { type: 'string', format: 'decimal' },
+  float: { type: 'number', format: 'float' },
+  double: { type: 'number', format: 'double' },
+  boolean: { type: 'boolean' },
+  string: { type: 'string' },
+  text: { type: 'string' },
+  date: { type: 'string', format: 'date' },
+  datetime: { type: 'string', format: 'date-time' },
+  time: { type: 'string', format: 'time' },
+  uuid: { type: 'string', format: 'uuid' },
+  binary: { type: 'string', contentEncoding: 'base64' },
+  enum: { type: 'string' },
+  json: {}
+};
+
+// How the router scaffold writes SQL for each dialect:
+//   quote: identifier quotes; placeholder: $1, ?, @p1 or :1;
+//   pagination: LIMIT/OFFSET or OFFSET ... FETCH NEXT;
+//   returning: how writes return the row: RETURNING, or a follow-up SELECT by the key MySQL
+//     reports as insertId, by SCOPE_IDENTITY() or by the ROWID of the insert;
+//   emptyInsert: how a row made only of defaults is inserted
+const SQL_STYLES = {
+  postgresql: { quote: '"', placeholder: '$', pagination: 'limit', returning: 'returning', emptyInsert: 'defaultValues', driver: 'pg' },
+  cockroachdb: { quote: '"', placeholder: '$', pagination: 'limit', returning: 'returning', emptyInsert: 'defaultValues', driver: 'pg' },
+  mysql: { quote: '`', placeholder: '?', pagination: 'limit', returning: 'insertId', emptyInsert: 'emptyValues', driver: 'mysql2' },
+  // MariaDB has INSERT ... RETURNING but not UPDATE ... RETURNING, so it reads rows back like MySQL
+  mariadb: { quote: '`', placeholder: '?', pagination: 'limit', returning: 'insertId', emptyInsert: 'emptyValues', driver: 'mysql2' },
+  sqlite: { quote: '"', placeholder: '?', pagination: 'limit', returning: 'returning', emptyInsert: 'defaultValues', driver: 'better-sqlite3' },
+  duckdb: { quote: '"', placeholder: '$', pagination: 'limit', returning: 'returning', emptyInsert: 'defaultValues', driver: '@duckdb/node-api' },
+  // OUTPUT fails on tables with triggers, which the SQL Server export adds for updated_at
+  sqlserver: { quote: '[', placeholder: '@p', pagination: 'fetch', returning: 'scopeIdentity', emptyInsert: 'defaultValues', driver: 'mssql' },
+  // Oracle's RETURNING needs output binds; rows are read back by the ROWID of the insert instead
+  oracle: { quote: '"', placeholder: ':', pagination: 'fetch', returning: 'rowid', emptyInsert: 'defaultColumn', driver: 'oracledb' }
+};
+
+/**
+ * Dialects the router scaffold can be generated for
+ * @returns {Array} - Dialect names, in registry order
+ */
+exports.listRouterDialects = () => {
+  return dialects.listDialects().filter(name => SQL_STYLES[name]);
+};
+
+/**
+ * Generate an OpenAPI document, and optionally an Express router, for a schema
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - { dialect, includeRouter }
+ * @returns {Promise<Object>} - { openapi, router }; router is null unless requested
+ */
+exports.generateOpenAPI = async (schema, options = {}) => {
+  try {
+    logger.info(`Generating OpenAPI document for: ${schema.name}`);
+
+    const model = codeModelService.buildModel(schema);
+    const resources = buildResources(model);
+
+    const openapi = buildDocument(schema, model, resources);
+
+    let router = null;
+    if (options.includeRouter) {
+      const dialect = String(options.dialect || 'mysql').toLowerCase();
+      const definition = dialects.getDialect(dialect);
+      if (!definition || !SQL_STYLES[dialect]) {
+        throw new Error(`Unsupported SQL dialect: ${dialect}`);
+      }
+      router = generateRouter(model, resources, definition, SQL_STYLES[dialect]);
+    }
+
+    logger.info(`OpenAPI generation complete for: ${schema.name} (${resources.length} resources)`);
+
+    return { openapi, router };
+  } catch (error) {
+    logger.error('Error generating OpenAPI document:', error);
+    throw new Error(`Failed to generate OpenAPI document: ${error.message}`);
+  }
+};
+
+/**
+ * One REST resource per table, leaving out junction tables
+ * @param {Object} model - Code model
+ * @returns {Array} - { entity, name, path, keys, insertable, required, updatable, touched }
+ */
+function buildResources(model) {
+  const paths = new Set();
+
+  return model.entities
+    .filter(entity => !entity.isJunctionTable)
+    .map(entity => {
+      const name = RESERVED_COMPONENT_NAMES.includes(entity.className) ? `${entity.className}Resource` : entity.className;
+
+      // order_item -> /order-items, falling back to the table name if two tables share a path
+      let path = `/${plural(snakeCase(entity.table)).replace(/_/g, '-')}`;
+      if (paths.has(path)) path = `/${encodeURIComponent(entity.table)}`;
+      paths.add(path);
+
+      const keys = entity.primaryKey.map((column, index) => ({
+        column,
+        field: entity.fields.find(field => field.column === column),
+        // Express and OpenAPI parameter names are identifiers
+        param: /^[A-Za-z_]\w*$/.test(column) ? column : `key${index + 1}`
+      }));
+
+      const insertable = entity.fields.filter(field => !field.isGenerated && !TIMESTAMP_COLUMNS.includes(field.column));
+
+      return {
+        entity,
+        name,
+        path,
+        keys,
+        insertable,
+        required: insertable.filter(field => !field.isNullable && !field.defaultValue),
+        updatable: entity.fields.filter(field => !field.isPrimaryKey && !TIMESTAMP_COLUMNS.includes(field.column)),
+        touched: entity.fields.filter(field => field.column === 'updated_at' && field.type.kind === 'datetime')
+      };
+    });
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} schema - Stored schema
+ * @param {Object} model - Code model
+ * @param {Array} resources - REST resources
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+function buildDocument(schema, model, resources) {
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: model.name || 'API',
+      version: String(schema.version || 1),
+      ...(model.description ? { description: model.description } : {})
+    },
+    tags: resources.map(resource => ({
+      name: resource.name,
+      ...(resource.entity.description ? { description: resource.entity.description } : {})
+    })),
+    paths: {},
+    components: {
+      schemas: {},
+      parameters: {
+        limit: {
+          name: 'limit',
+          in: 'query',
+          description: 'Maximum number of items to return',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+        },
+        offset: {
+          name: 'offset',
+          in: 'query',
+          description: 'Number of items to skip',
+          schema: { type: 'integer', minimum: 0, default: 0 }
+        }
+      },
+      responses: {
+        BadRequest: errorResponse('The request body is invalid'),
+        NotFound: errorResponse('No row has this key')
+      }
+    }
+  };
+
+  resources.forEach(resource => {
+    Object.assign(document.components.schemas, componentSchemas(resource));
+    Object.assign(document.paths, resourcePaths(resource));
+  });
+
+  document.components.schemas.Error = {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      fields: { type: 'array', items: { type: 'string' }, description: 'Fields the error is about' }
+    },
+    required: ['error']
+  };
+
+  return document;
+}
+
+/**
+ * Component schemas of a resource: the row, its create and update bodies, and a page of rows
+ * @param {Object} resource - REST resource
+ * @returns {Object} - Schemas by name
+ */
+function componentSchemas(resource) {
+  const { entity, name } = resource;
+  const readOnly = field => field.isGenerated || TIMESTAMP_COLUMNS.includes(field.column);
+
+  return {
+    [name]: {
+      type: 'object',
+      ...(entity.description ? { description: entity.description } : {}),
+      properties: properties(entity.fields, field => (readOnly(field) ? { readOnly: true } : {})),
+      required: entity.fields.map(field => field.column)
+    },
+    [`${name}Create`]: {
+      type: 'object',
+      properties: properties(resource.insertable),
+      ...(resource.required.length > 0 ? { required: resource.required.map(field => field.column) } : {})
+    },
+    [`${name}Update`]: {
+      type: 'object',
+      properties: properties(resource.updatable),
+      minProperties: 1
+    },
+    [`${name}Page`]: {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: { $ref: `#/components/schemas/${name}` } },
+        total: { type: 'integer', description: 'Number of rows in the table' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' }
+      },
+      required: ['items', 'total', 'limit', 'offset']
+    }
+  };
+}
+
+/**
+ * Paths of a resource: list and create on the collection, read, update and delete by primary key
+ * @param {Object} resource - REST resource
+ * @returns {Object} - Path items by path
+ */
+function resourcePaths(resource) {
+  const { name, path, keys } = resource;
+  const pluralName = pascalCase(plural(snakeCase(name)));
+  const label = snakeCase(name).replace(/_/g, ' ');
+  const json = schemaName => ({ 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } });
+
+  const paths = {
+    [path]: {
+      get: {
+        tags: [name],
+        operationId: `list${pluralName === name ? `${name}List` : pluralName}`,
+        summary: `List ${plural(label)}`,
+        parameters: [{ $ref: '#/components/parameters/limit' }, { $ref: '#/components/parameters/offset' }],
+        responses: {
+          200: { description: `A page of ${plural(label)}`, content: json(`${name}Page`) }
+        }
+      },
+      post: {
+        tags: [name],
+        operationId: `create${name}`,
+        summary: `Create a ${label}`,
+        requestBody: { required: true, content: json(`${name}Create`) },
+        responses: {
+          201: { description: `The created ${label}`, content: json(name) },
+          400: { $ref: '#/components/responses/BadRequest' }
+        }
+      }
+    }
+  };
+
+  // Rows can only be addressed one at a time through a primary key
+  if (keys.length === 0) return paths;
+
+  const parameters = keys.map(key => ({
+    name: key.param,
+    in: 'path',
+    required: true,
+    ...(key.param !== key.column ? { description: `Value of ${key.column}` } : {}),
+    schema: columnSchema(key.field)
+  }));
+
+  paths[`${path}/${keys.map(key => `{${key.param}}`).join('/')}`] = {
+    parameters,
+    get: {
+      tags: [name],
+      operationId: `get${name}`,
+      summary: `Get a ${label}`,
+      responses: {
+        200: { description: `The ${label}`, content: json(name) },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    patch: {
+      tags: [name],
+      operationId: `update${name}`,
+      summary: `Update a ${label}`,
+      requestBody: { required: true, content: json(`${name}Update`) },
+      responses: {
+        200: { description: `The updated ${label}`, content: json(name) },
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    delete: {
+      tags: [name],
+      operationId: `delete${name}`,
+      summary: `Delete a ${label}`,
+      responses: {
+        204: { description: `The ${label} was deleted` },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  };
+
+  return paths;
+}
+
+/**
+ * JSON Schema properties of columns
+ * @param {Array} fields - Code model fields
+ * @param {Function} extra - Additional keywords for a field
+ * @returns {Object} - Property schemas by column name
+ */
+function properties(fields, extra = () => ({})) {
+  return Object.fromEntries(fields.map(field => {
+    const schema = columnSchema(field);
+
+    if (field.isNullable && schema.type) schema.type = [schema.type, 'null'];
+    if (field.isNullable && schema.enum) schema.enum = [...schema.enum, null];
+
+    return [field.column, {
+      ...schema,
+      ...(field.description ? { description: field.description } : {}),
+      ...extra(field)
+    }];
+  }));
+}
+
+/**
+ * JSON Schema of a column's values
+ * @param {Object} field - Code model field
+ * @returns {Object} - JSON Schema
+ */
+function columnSchema(field) {
+  const { type } = field;
+  const schema = { ...(SCHEMA_TYPES[type.kind] || SCHEMA_TYPES.text) };
+
+  if (type.kind === 'string') schema.maxLength = type.length;
+  if (type.kind === 'enum') schema.enum = [...type.values];
+
+  return schema;
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+/**
+ * Generate the Express router scaffold
+ * @param {Object} model - Code model
+ * @param {Array} resources - REST resources
+ * @param {Object} definition - Registered dialect
+ * @param {Object} style - SQL style of the dialect
+ * @returns {string} - JavaScript module
+ */
+function generateRouter(model, resources, definition, style) {
+  const routes = resources.map(resource => resourceRoutes(resource, style)).join('\n\n');
+
+  return `/**
+ * Express router generated by LaymanDB for: ${String(model.name).replace(/\*\//g, '* /')}
+ * Implements the paths of the OpenAPI document with ${definition.label} SQL. createRouter takes a
+ * function that runs one parameterized statement:
+ *
+${queryContract(style)}
+ *
+${driverExample(style)}
+ */
+const express = require('express');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+${runtimeHelpers(style)}
+
+/**
+ * Create the router
+ * @param {Function} query - Runs a statement: (sql, params) => Promise<{ ${{ returning: 'rows', scopeIdentity: 'rows, rowCount' }[style.returning] || 'rows, rowCount, insertId'} }>
+ * @returns {Object} - Express router
+ */
+module.exports = function createRouter(query) {
+  const router = express.Router();
+  router.use(express.json());
+
+${routes}
+
+  return router;
+};
+`;
+}
+
+/**
+ * Route handlers of one resource
+ * @param {Object} resource - REST resource
+ * @param {Object} style - SQL style
+ * @returns {string} - Router calls
+ */
+function resourceRoutes(resource, style) {
+  const { entity, name, path, keys } = resource;
+  const table = jsString(entity.table);
+  const q = name => quoteIdentifier(style, name);
+  const ph = index => placeholderText(style, index);
+  const from = q(entity.table);
+  const orderBy = keys.length > 0
+    ? ` ORDER BY ${keys.map(key => q(key.column)).join(', ')}`
+    : (style.pagination === 'fetch' && style.quote === '[' ? ' ORDER BY (SELECT NULL)' : '');
+  const listSql = style.pagination === 'fetch'
+    ? `SELECT * FROM ${from}${orderBy} OFFSET ${ph(1)} ROWS FETCH NEXT ${ph(2)} ROWS ONLY`
+    : `SELECT * FROM ${from}${orderBy} LIMIT ${ph(1)} OFFSET ${ph(2)}`;
+  const listParams = style.pagination === 'fetch' ? '[offset, limit]' : '[limit, offset]';
+  const label = `${snakeCase(name).replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase())} not found`;
+  const insertable = jsArray(resource.insertable.map(field => field.column));
+  const required = jsArray(resource.required.map(field => field.column));
+
+  const routes = [`  // ${entity.table}
+  router.get('${path}', async (req, res, next) => {
+    try {
+      const { limit, offset } = page(req.query);
+      const { rows } = await query(${jsString(listSql)}, ${listParams});
+      const { rows: [count] } = await query(${jsString(`SELECT COUNT(*) AS ${q('total')} FROM ${from}`)}, []);
+      res.json({ items: rows, total: Number(count.total), limit, offset });
+    } catch (error) {
+      next(error);
+    }
+  });`];
+
+  const insertCall = `insertStatement(${table}, values${style.emptyInsert === 'defaultColumn' ? `, ${jsString(entity.fields[0].column)}` : ''})`;
+  routes.push(`  router.post('${path}', async (req, res, next) => {
+    try {
+      const missing = ${required}.filter(column => req.body?.[column] == null);
+      if (missing.length > 0) {
+        return res.status(400).json({ error: 'Missing required fields', fields: missing });
+      }
+
+      const values = pick(req.body, ${insertable});
+      ${createBody(resource, style, insertCall)}
+    } catch (error) {
+      next(error);
+    }
+  });`);
+
+  if (keys.length === 0) return routes.join('\n\n');
+
+  const routePath = `${path}/${keys.map(key => `:${key.param}`).join('/')}`;
+  const keyWhere = keys.map((key, index) => `${q(key.column)} = ${ph(index + 1)}`).join(' AND ');
+  const keyParams = `[${keys.map(key => keyValue(key)).join(', ')}]`;
+  const keyPairs = `[${keys.map(key => `[${jsString(key.column)}, ${keyValue(key)}]`).join(', ')}]`;
+  const notFound = `return res.status(404).json({ error: ${jsString(label)} });`;
+
+  routes.push(`  router.get('${routePath}', async (req, res, next) => {
+    try {
+      const { rows } = await query(${jsString(`SELECT * FROM ${from} WHERE ${keyWhere}`)}, ${keyParams});
+      if (rows.length === 0) {
+        ${notFound}
+      }
+      res.json(rows[0]);
+    } catch (error) {
+      next(error);
+    }
+  });`);
+
+  if (resource.updatable.length > 0) {
+    const touched = resource.touched.length > 0 ? `, ${jsArray(resource.touched.map(field => field.column))}` : '';
+    const readBack = style.returning === 'returning'
+      ? `const { rows } = await query(sql, params);`
+      : `await query(sql, params);
+      const { rows } = await query(${jsString(`SELECT * FROM ${from} WHERE ${keyWhere}`)}, ${keyParams});`;
+
+    routes.push(`  router.patch('${routePath}', async (req, res, next) => {
+    try {
+      const values = pick(req.body, ${jsArray(resource.updatable.map(field => field.column))});
+      if (values.length === 0) {
+        return res.status(400).json({ error: 'No updatable fields in request body' });
+      }
+
+      const [sql, params] = updateStatement(${table}, values, ${keyPairs}${touched});
+      ${readBack}
+      if (rows.length === 0) {
+        ${notFound}
+      }
+      res.json(rows[0]);
+    } catch (error) {
+      next(error);
+    }
+  });`);
+  }
+
+  const deleteCheck = style.returning === 'returning'
+    ? `const { rows } = await query(${jsString(`DELETE FROM ${from} WHERE ${keyWhere} RETURNING *`)}, ${keyParams});
+      if (rows.length === 0) {`
+    : `const { rowCount } = await query(${jsString(`DELETE FROM ${from} WHERE ${keyWhere}`)}, ${keyParams});
+      if (rowCount === 0) {`;
+
+  routes.push(`  router.delete('${routePath}', async (req, res, next) => {
+    try {
+      ${deleteCheck}
+        ${notFound}
+      }
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });`);
+
+  return routes.join('\n\n');
+}
+
+/**
+ * Statements of a create route after the body has been checked
+ * @param {Object} resource - REST resource
+ * @param {Object} style - SQL style
+ * @param {string} insertCall - Call building the INSERT statement
+ * @returns {string} - Route body lines
+ */
+function createBody(resource, style, insertCall) {
+  const { entity, keys } = resource;
+
+  if (style.returning === 'returning') {
+    return `const [sql, params] = ${insertCall};
+      const { rows } = await query(sql, params);
+      res.status(201).json(rows[0]);`;
+  }
+
+  const from = quoteIdentifier(style, entity.table);
+  let readBack;
+  if (style.returning === 'rowid') {
+    readBack = `query(${jsString(`SELECT * FROM ${from} WHERE ROWID = ${placeholderText(style, 1)}`)}, [insertId])`;
+  } else if (keys.length > 0) {
+    // A generated key comes back as insertId; other keys are in the request body
+    const where = keys.map((key, index) => `${quoteIdentifier(style, key.column)} = ${placeholderText(style, index + 1)}`).join(' AND ');
+    const params = keys.map(key => (key.field.isGenerated ? 'insertId' : `req.body[${jsString(key.column)}]`));
+    readBack = `query(${jsString(`SELECT * FROM ${from} WHERE ${where}`)}, [${params.join(', ')}])`;
+  } else {
+    return `const [sql, params] = ${insertCall};
+      await query(sql, params);
+      res.status(201).json(Object.fromEntries(values));`;
+  }
+
+  // SQL Server reports the identity in a SELECT after the INSERT
+  const insertId = style.returning === 'scopeIdentity' ? '{ rows: [{ insertId }] }' : '{ insertId }';
+  return `const [sql, params] = ${insertCall};
+      const ${insertId} = await query(sql, params);
+      const { rows } = await ${readBack};
+      res.status(201).json(rows[0]);`;
+}
+
+/**
+ * Expression reading a key from the route parameters, as a number for integer keys
+ * @param {Object} key - Primary key column
+ * @returns {string} - JavaScript expression
+ */
+function keyValue(key) {
+  const value = `req.params.${key.param}`;
+  return ['integer', 'smallint'].includes(key.field.type.kind) ? `Number(${value})` : value;
+}
+
+/**
+ * Helper functions of the router, written for the dialect
+ * @param {Object} style - SQL style
+ * @returns {string} - JavaScript functions
+ */
+function runtimeHelpers(style) {
+  const quoteBody = {
+    '"': 'return `"${name.replace(/"/g, \'""\')}"`;',
+    '`': 'return `\\`${name.replace(/`/g, \'``\')}\\``;',
+    '[': 'return `[${name.replace(/]/g, \']]\')}]`;'
+  }[style.quote];
+  const placeholder = {
+    '$': 'function placeholder(index) {\n  return `$${index}`;\n}',
+    '?': '// Placeholders are positional\nfunction placeholder() {\n  return \'?\';\n}',
+    '@p': 'function placeholder(index) {\n  return `@p${index}`;\n}',
+    ':': 'function placeholder(index) {\n  return `:${index}`;\n}'
+  }[style.placeholder];
+
+  const into = 'INSERT INTO ${quote(table)}';
+  const columns = '(${values.map(([column]) => quote(column)).join(\', \')})';
+  const valuesList = 'VALUES (${values.map((value, index) => placeholder(index + 1)).join(\', \')})';
+  const returning = {
+    returning: ' RETURNING *',
+    scopeIdentity: '; SELECT CAST(SCOPE_IDENTITY() AS BIGINT) AS [insertId]'
+  }[style.returning] || '';
+  const insert = [
+    `${into} ${columns} ${valuesList}${returning}`,
+    {
+      defaultValues: `${into} DEFAULT VALUES${returning}`,
+      emptyValues: `${into} () VALUES ()`,
+      defaultColumn: `${into} (\${quote(defaultColumn)}) VALUES (DEFAULT)`
+    }[style.emptyInsert]
+  ];
+
+  return `function quote(name) {
+  ${quoteBody}
+}
+
+${placeholder}
+
+/**
+ * Read limit and offset from the query string
+ * @param {Object} queryString - req.query
+ * @returns {Object} - { limit, offset }
+ */
+function page(queryString) {
+  const limit = Math.min(Math.max(parseInt(queryString.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(queryString.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * Values of the given columns present in a request body. Objects and arrays (JSON columns) are
+ * passed as JSON text.
+ * @param {Object} body - req.body
+ * @param {Array} columns - Columns the route accepts
+ * @returns {Array} - [column, value] pairs
+ */
+function pick(body, columns) {
+  return columns
+    .filter(column => body && body[column] !== undefined)
+    .map(column => {
+      const value = body[column];
+      return [column, value !== null && typeof value === 'object' ? JSON.stringify(value) : value];
+    });
+}
+
+/**
+ * Build an INSERT statement
+ * @param {string} table - Table name
+ * @param {Array} values - [column, value] pairs${style.emptyInsert === 'defaultColumn' ? '\n * @param {string} defaultColumn - Column set to DEFAULT when there are no values' : ''}
+ * @returns {Array} - [sql, params]
+ */
+function insertStatement(table, values${style.emptyInsert === 'defaultColumn' ? ', defaultColumn' : ''}) {
+  const sql = values.length > 0
+    ? \`${insert[0]}\`
+    : \`${insert[1]}\`;
+  return [sql, values.map(([, value]) => value)];
+}
+
+/**
+ * Build an UPDATE statement for one row
+ * @param {string} table - Table name
+ * @param {Array} values - [column, value] pairs to set
+ * @param {Array} key - [column, value] pairs of the primary key
+ * @param {Array} touched - Columns set to the current time
+ * @returns {Array} - [sql, params]
+ */
+function updateStatement(table, values, key, touched = []) {
+  const assignments = [
+    ...values.map(([column], index) => \`\${quote(column)} = \${placeholder(index + 1)}\`),
+    ...touched.map(column => \`\${quote(column)} = CURRENT_TIMESTAMP\`)
+  ];
+  const conditions = key.map(([column], index) => \`\${quote(column)} = \${placeholder(values.length + index + 1)}\`);
+  const sql = \`UPDATE \${quote(table)} SET \${assignments.join(', ')} WHERE \${conditions.join(' AND ')}${style.returning === 'returning' ? returning : ''}\`;
+  return [sql, [...values, ...key].map(([, value]) => value)];
+}`;
+}
+
+/**
+ * Description of the query function the router needs for a dialect
+ * @param {Object} style - SQL style
+ * @returns {string} - Comment lines
+ */
+function queryContract(style) {
+  if (style.returning === 'insertId') {
+    return [
+      ' *   query(sql, params) -> Promise<{ rows, rowCount, insertId }>',
+      ' *     rows: rows of a SELECT; rowCount: rows a DELETE removed; insertId: key generated by an INSERT'
+    ].join('\n');
+  }
+  if (style.returning === 'rowid') {
+    return [
+      ' *   query(sql, params) -> Promise<{ rows, rowCount, insertId }>',
+      ' *     rows: rows of a SELECT; rowCount: rows a DELETE removed; insertId: ROWID of an INSERT'
+    ].join('\n');
+  }
+  if (style.returning === 'scopeIdentity') {
+    return [
+      ' *   query(sql, params) -> Promise<{ rows, rowCount }>',
+      ' *     rows: rows of the last SELECT in the batch; rowCount: rows a DELETE removed'
+    ].join('\n');
+  }
+  return [
+    ' *   query(sql, params) -> Promise<{ rows }>',
+    ' *     rows: rows of a SELECT, or the rows written by a statement with RETURNING'
+  ].join('\n');
+}
+
+/**
+ * Example wiring of the router to the dialect's usual Node.js driver
+ * @param {Object} style - SQL style
+ * @returns {string} - Comment lines
+ */
+function driverExample(style) {
+  const examples = {
+    'pg': `With node-postgres (pg):
+
+  const { Pool } = require('pg');
+  const pool = new Pool();
+  app.use('/api', createRouter((sql, params) => pool.query(sql, params)));`,
+    'mysql2': `With mysql2:
+
+  const mysql = require('mysql2/promise');
+  const pool = mysql.createPool(process.env.DATABASE_URL);
+  app.use('/api', createRouter(async (sql, params) => {
+    const [result] = await pool.query(sql, params);
+    return Array.isArray(result)
+      ? { rows: result }
+      : { rows: [], rowCount: result.affectedRows, insertId: result.insertId };
+  }));`,
+    'better-sqlite3': `With better-sqlite3 (SQLite 3.35 or later, for RETURNING):
+
+  const Database = require('better-sqlite3');
+  const db = new Database('app.db');
+  app.use('/api', createRouter(async (sql, params) => {
+    // SQLite has no boolean type
+    const values = params.map(value => (typeof value === 'boolean' ? Number(value) : value));
+    return { rows: db.prepare(sql).all(values) };
+  }));`,
+    '@duckdb/node-api': `With @duckdb/node-api:
+
+  const { DuckDBInstance } = require('@duckdb/node-api');
+  const connection = await (await DuckDBInstance.create('app.duckdb')).connect();
+  app.use('/api', createRouter(async (sql, params) => {
+    const reader = await connection.runAndReadAll(sql, params);
+    return { rows: reader.getRowObjectsJson() };
+  }));`,
+    'mssql': `With mssql:
+
+  const mssql = require('mssql');
+  const pool = await mssql.connect(process.env.DATABASE_URL);
+  app.use('/api', createRouter(async (sql, params) => {
+    const request = pool.request();
+    params.forEach((value, index) => request.input(\`p\${index + 1}\`, value));
+    const result = await request.query(sql);
+    return { rows: result.recordset || [], rowCount: result.rowsAffected[0] };
+  }));`,
+    'oracledb': `With node-oracledb:
+
+  const oracledb = require('oracledb');
+  const pool = await oracledb.createPool({ user, password, connectString });
+  app.use('/api', createRouter(async (sql, params) => {
+    const connection = await pool.getConnection();
+    try {
+      const result = await connection.execute(sql, params, { outFormat: oracledb.OUT_FORMAT_OBJECT, autoCommit: true });
+      return { rows: result.rows || [], rowCount: result.rowsAffected, insertId: result.lastRowid };
+    } finally {
+      await connection.close();
+    }
+  }));`
+  };
+
+  return examples[style.driver].split('\n').map(line => ` *${line ? ` ${line}` : ''}`).join('\n');
+}
+
+function quoteIdentifier(style, name) {
+  if (style.quote === '[') return `[${name.replace(/]/g, ']]')}]`;
+  return `${style.quote}${name.split(style.quote).join(style.quote + style.quote)}${style.quote}`;
+}
+
+function placeholderText(style, index) {
+  return style.placeholder === '?' ? '?' : `${style.placeholder}${index}`;
+}
+
+function jsArray(values) {
+  return `[${values.map(jsString).join(', ')}]`;
+}
+
+function jsString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+module.exports = exports;
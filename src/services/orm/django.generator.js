@@ -0,0 +1,327 @@
+/**
+ * Django model generator
+ * Produces a single models.py for a Django app. Foreign key columns become ForeignKey/OneToOneField
+ * fields named after the association, with db_column keeping the schema's column name. Junction tables
+ * are models of their own and the `through` model of a ManyToManyField on the owning end. Composite
+ * primary keys use CompositePrimaryKey, which needs Django 5.2 or later.
+ */
+
+const { snakeCase, fieldNames: getFieldNames } = require('../codeModel.service');
+
+// Names Python or Django don't allow as field names
+const RESERVED_NAMES = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+  'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  'pk', 'objects'
+]);
+
+const AUTO_FIELDS = {
+  integer: 'AutoField',
+  bigint: 'BigAutoField',
+  smallint: 'SmallAutoField'
+};
+
+/**
+ * Generate Django models for a code model
+ * @param {Object} model - Code model from codeModel.service.buildModel
+ * @returns {Array} - [{ path, content }]
+ */
+exports.generate = (model) => {
+  const byTable = new Map(model.entities.map(entity => [entity.table, entity]));
+  const fieldNames = new Map(model.entities.map(entity => [entity.table, getNames(entity)]));
+  const context = { byTable, fieldNames, usesTimezone: false };
+
+  const classes = model.entities.map(entity => modelClass(entity, context));
+
+  const content = [
+    `"""Django models generated by LaymanDB for: ${docstringText(model.name)}`,
+    ...(model.description ? ['', docstringText(model.description)] : []),
+    '"""',
+    'from django.db import models',
+    ...(context.usesTimezone ? ['from django.utils import timezone'] : []),
+    '',
+    '',
+    classes.join('\n\n\n'),
+    ''
+  ].join('\n');
+
+  return [{ path: 'models.py', content }];
+};
+
+/**
+ * Django field names of an entity: foreign key columns are named after their association, other
+ * columns keep their names
+ * @param {Object} entity - Code model entity
+ * @returns {Map} - Field name by column name
+ */
+function getNames(entity) {
+  const names = getFieldNames(entity, snakeCase);
+
+  entity.associations
+    .filter(assoc => assoc.owner && assoc.kind !== 'manyToMany')
+    .forEach(assoc => names.set(assoc.foreignKey, snakeCase(assoc.name)));
+
+  return new Map(Array.from(names, ([column, name]) => [column, djangoName(name)]));
+}
+
+/**
+ * Generate the model class of an entity
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - { byTable, fieldNames, usesTimezone }
+ * @returns {string} - Python class
+ */
+function modelClass(entity, context) {
+  const names = context.fieldNames.get(entity.table);
+  const lines = [`class ${entity.className}(models.Model):`];
+
+  if (entity.description) lines.push(`    """${docstringText(entity.description)}"""`, '');
+
+  if (entity.primaryKey.length > 1) {
+    const keys = entity.primaryKey.map(column => pyString(names.get(column)));
+    lines.push(`    pk = models.CompositePrimaryKey(${keys.join(', ')})`);
+  }
+
+  entity.fields.forEach(field => {
+    const assoc = entity.associations.find(a => a.owner && a.kind !== 'manyToMany' && a.foreignKey === field.column);
+    const definition = assoc ? relationField(entity, field, assoc, context) : columnField(entity, field, context);
+
+    if (definition.comment) lines.push(`    # ${definition.comment}`);
+    lines.push(`    ${names.get(field.column)} = ${definition.code}`);
+  });
+
+  entity.associations
+    .filter(assoc => assoc.kind === 'manyToMany' && isDeclaringEnd(entity, assoc, context))
+    .forEach(assoc => {
+      const junction = context.byTable.get(assoc.through);
+      if (junction.primaryKey.length > 1 && !isCreatedBefore(entity, junction)) {
+        lines.push(`    # Add in a migration after the one creating ${junction.className}: makemigrations can't create both at once`);
+      }
+      lines.push(`    ${djangoName(snakeCase(assoc.name))} = ${manyToManyField(entity, assoc, context)}`);
+    });
+
+  lines.push('', '    class Meta:', `        db_table = ${pyString(entity.table)}`);
+  if (entity.description) lines.push(`        db_table_comment = ${pyString(entity.description)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Field of a plain column
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} field - Code model field
+ * @param {Object} context - { usesTimezone }
+ * @returns {Object} - { code, comment }
+ */
+function columnField(entity, field, context) {
+  const names = context.fieldNames.get(entity.table);
+  const isSoleKey = field.isPrimaryKey && entity.primaryKey.length === 1;
+  const { name, args } = field.isGenerated && AUTO_FIELDS[field.type.kind]
+    ? { name: AUTO_FIELDS[field.type.kind], args: [] }
+    : fieldType(field);
+  let comment = null;
+
+  if (isSoleKey) args.push('primary_key=True');
+  if (names.get(field.column) !== field.column) args.push(`db_column=${pyString(field.column)}`);
+  if (field.isNullable) args.push('null=True', 'blank=True');
+  if (field.isUnique) args.push('unique=True');
+
+  if (field.defaultValue && field.defaultValue.now) {
+    if (field.column === 'created_at') {
+      args.push('auto_now_add=True');
+    } else if (field.column === 'updated_at') {
+      args.push('auto_now=True');
+    } else {
+      context.usesTimezone = true;
+      args.push('default=timezone.now');
+    }
+  } else if (field.defaultValue) {
+    const value = pythonValue(field);
+    if (value === null) {
+      comment = `Database default: ${field.defaultValue.value}`;
+    } else {
+      args.push(`default=${value}`);
+    }
+  }
+  if (field.description) args.push(`db_comment=${pyString(field.description)}`);
+
+  return { code: `models.${name}(${args.join(', ')})`, comment };
+}
+
+/**
+ * ForeignKey or OneToOneField for a foreign key column
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} field - Foreign key field
+ * @param {Object} assoc - Owning association of the key
+ * @param {Object} context - { byTable, fieldNames }
+ * @returns {Object} - { code, comment }
+ */
+function relationField(entity, field, assoc, context) {
+  const target = context.byTable.get(assoc.target);
+  const targetNames = context.fieldNames.get(target.table);
+  const names = context.fieldNames.get(entity.table);
+  const type = assoc.kind === 'oneToOne' ? 'OneToOneField' : 'ForeignKey';
+
+  const args = [
+    target === entity ? '"self"' : pyString(target.className),
+    `on_delete=${onDelete(assoc, field)}`
+  ];
+
+  const isPrimaryTarget = target.primaryKey.length === 1 && target.primaryKey[0] === assoc.references;
+  if (!isPrimaryTarget) args.push(`to_field=${pyString(targetNames.get(assoc.references))}`);
+  if (field.column !== `${names.get(field.column)}_id`) args.push(`db_column=${pyString(field.column)}`);
+  args.push(`related_name=${pyString(djangoName(snakeCase(assoc.inverse)))}`);
+
+  if (field.isPrimaryKey && entity.primaryKey.length === 1) args.push('primary_key=True');
+  if (field.isNullable) args.push('null=True', 'blank=True');
+  if (field.isUnique && type === 'ForeignKey') args.push('unique=True');
+  if (field.description) args.push(`db_comment=${pyString(field.description)}`);
+
+  return { code: `models.${type}(${args.join(', ')})` };
+}
+
+/**
+ * ManyToManyField through a junction model
+ * @param {Object} entity - Declaring end of the many-to-many association
+ * @param {Object} assoc - Many-to-many association
+ * @param {Object} context - { byTable, fieldNames }
+ * @returns {string} - Field definition
+ */
+function manyToManyField(entity, assoc, context) {
+  const target = context.byTable.get(assoc.target);
+  const junction = context.byTable.get(assoc.through);
+  const junctionNames = context.fieldNames.get(junction.table);
+
+  const args = [
+    target === entity ? '"self"' : pyString(target.className),
+    `through=${pyString(junction.className)}`,
+    `through_fields=(${pyString(junctionNames.get(assoc.foreignKey))}, ${pyString(junctionNames.get(assoc.otherKey))})`,
+    `related_name=${pyString(djangoName(snakeCase(assoc.inverse)))}`
+  ];
+  if (target === entity) args.push('symmetrical=False');
+
+  return `models.ManyToManyField(${args.join(', ')})`;
+}
+
+/**
+ * Whether an end of a many-to-many association declares its ManyToManyField. makemigrations can't
+ * create a composite primary key whose foreign keys it had to postpone, which happens when the
+ * declaring end is created after the junction model, so an end created before it is preferred
+ * @param {Object} entity - End of the association
+ * @param {Object} assoc - Many-to-many association on that end
+ * @param {Object} context - { byTable }
+ * @returns {boolean} - True when the field goes on this end
+ */
+function isDeclaringEnd(entity, assoc, context) {
+  const junction = context.byTable.get(assoc.through);
+  const other = context.byTable.get(assoc.target);
+
+  if (junction.primaryKey.length < 2 || isCreatedBefore(entity, junction) === isCreatedBefore(other, junction)) {
+    return assoc.owner;
+  }
+  return isCreatedBefore(entity, junction);
+}
+
+// makemigrations adds new models in alphabetical order of their lower-cased names
+function isCreatedBefore(entity, other) {
+  return entity.className.toLowerCase() < other.className.toLowerCase();
+}
+
+/**
+ * on_delete handler matching a foreign key's ON DELETE action
+ * @param {Object} assoc - Owning association
+ * @param {Object} field - Foreign key field
+ * @returns {string} - Handler
+ */
+function onDelete(assoc, field) {
+  switch (assoc.onDelete) {
+    case 'CASCADE':
+      return 'models.CASCADE';
+    case 'SET NULL':
+      // Django can't null a required field, so deletes are refused instead
+      return field.isNullable ? 'models.SET_NULL' : 'models.PROTECT';
+    case 'SET DEFAULT':
+      return field.defaultValue ? 'models.SET_DEFAULT' : 'models.PROTECT';
+    case 'RESTRICT':
+      return 'models.RESTRICT';
+    default:
+      // NO ACTION: leave it to the database's constraint
+      return 'models.DO_NOTHING';
+  }
+}
+
+/**
+ * Django field class and type arguments of a column type
+ * @param {Object} field - Code model field
+ * @returns {Object} - { name, args }
+ */
+function fieldType(field) {
+  const { type } = field;
+
+  switch (type.kind) {
+    case 'integer':
+      return { name: 'IntegerField', args: [] };
+    case 'bigint':
+      return { name: 'BigIntegerField', args: [] };
+    case 'smallint':
+      return { name: 'SmallIntegerField', args: [] };
+    case 'decimal':
+      return { name: 'DecimalField', args: [`max_digits=${type.precision}`, `decimal_places=${type.scale}`] };
+    case 'float':
+    case 'double':
+      return { name: 'FloatField', args: [] };
+    case 'boolean':
+      return { name: 'BooleanField', args: [] };
+    case 'string':
+      return { name: 'CharField', args: [`max_length=${type.length}`] };
+    case 'date':
+      return { name: 'DateField', args: [] };
+    case 'datetime':
+      return { name: 'DateTimeField', args: [] };
+    case 'time':
+      return { name: 'TimeField', args: [] };
+    case 'json':
+      return { name: 'JSONField', args: [] };
+    case 'uuid':
+      return { name: 'UUIDField', args: [] };
+    case 'binary':
+      return { name: 'BinaryField', args: [] };
+    case 'enum': {
+      const choices = type.values.map(value => `(${pyString(value)}, ${pyString(value)})`);
+      const maxLength = Math.max(...type.values.map(value => value.length));
+      return { name: 'CharField', args: [`max_length=${maxLength}`, `choices=[${choices.join(', ')}]`] };
+    }
+    default:
+      return { name: 'TextField', args: [] };
+  }
+}
+
+/**
+ * Python literal for a field's default
+ * @param {Object} field - Code model field with a literal default
+ * @returns {string|null} - Literal, or null when the default is left to the database
+ */
+function pythonValue(field) {
+  const { value } = field.defaultValue;
+
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value === 'number') return String(value);
+  if (['string', 'text', 'enum', 'uuid'].includes(field.type.kind)) return pyString(value);
+  return null;
+}
+
+function djangoName(name) {
+  // Django field names can't end with an underscore or contain a double one
+  const result = (/^[0-9]/.test(name) ? `field_${name}` : name).replace(/_{2,}/g, '_').replace(/_+$/, '');
+  return RESERVED_NAMES.has(result) ? `${result}_field` : result;
+}
+
+function pyString(value) {
+  return JSON.stringify(String(value));
+}
+
+function docstringText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"');
+}
+
+module.exports = exports;
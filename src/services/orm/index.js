@@ -0,0 +1,75 @@
+/**
+ * ORM target registry
+ * ORM export looks targets up here, so a target is available to POST /api/export/orm once it is
+ * registered.
+ *
+ * Every generator works from the code model built by codeModel.service and implements
+ *   generate(model, options) -> [{ path, content }]
+ * where options.dialect is the database the models are for, given only to targets that list
+ * dialects (e.g. Prisma, whose schema names its datasource provider).
+ */
+
+const targets = new Map();
+
+/**
+ * Register an ORM target
+ * @param {string} name - Target name used in requests, e.g. prisma
+ * @param {Object} definition - { label, language, generator, dialects, defaultDialect }
+ *   label: display name; language: language of the generated files;
+ *   generator: module implementing generate(model, options);
+ *   dialects: SQL dialects the target can generate for, or omitted when the output doesn't depend on one;
+ *   defaultDialect: dialect used when the request names none
+ */
+function registerTarget(name, definition) {
+  if (!definition.generator || typeof definition.generator.generate !== 'function') {
+    throw new Error(`ORM target ${name} is missing: generate`);
+  }
+
+  targets.set(name.toLowerCase(), {
+    name: name.toLowerCase(),
+    label: definition.label || name,
+    language: definition.language,
+    generator: definition.generator,
+    dialects: definition.dialects || null,
+    defaultDialect: definition.defaultDialect || (definition.dialects ? definition.dialects[0] : null)
+  });
+}
+
+/**
+ * Look up a registered target
+ * @param {string} name - Target name, in any case
+ * @returns {Object|null} - Target definition, or null when it isn't registered
+ */
+function getTarget(name) {
+  return targets.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Names of the registered targets, in registration order
+ * @returns {Array} - Target names
+ */
+function listTargets() {
+  return Array.from(targets.keys());
+}
+
+registerTarget('prisma', {
+  label: 'Prisma',
+  language: 'prisma',
+  generator: require('./prisma.generator'),
+  dialects: ['postgresql', 'mysql', 'mariadb', 'sqlite', 'sqlserver', 'cockroachdb']
+});
+registerTarget('sequelize', { label: 'Sequelize', language: 'javascript', generator: require('./sequelize.generator') });
+registerTarget('typeorm', {
+  label: 'TypeORM',
+  language: 'typescript',
+  generator: require('./typeorm.generator'),
+  dialects: ['postgresql', 'mysql', 'mariadb', 'sqlite', 'sqlserver', 'cockroachdb']
+});
+registerTarget('sqlalchemy', { label: 'SQLAlchemy', language: 'python', generator: require('./sqlalchemy.generator') });
+registerTarget('django', { label: 'Django', language: 'python', generator: require('./django.generator') });
+
+module.exports = {
+  registerTarget,
+  getTarget,
+  listTargets
+};
@@ -0,0 +1,316 @@
+/**
+ * Prisma schema generator
+ * Produces a single schema.prisma. Models and fields use Prisma's naming (PascalCase models,
+ * camelCase fields) and map back to the schema's tables and columns with @@map/@map. Junction tables
+ * become explicit many-to-many relation models, which is how Prisma models a join table it doesn't
+ * manage itself.
+ */
+
+const { camelCase, pascalCase, fieldNames: getFieldNames } = require('../codeModel.service');
+
+// Prisma datasource provider per SQL dialect
+const PROVIDERS = {
+  postgresql: 'postgresql',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  sqlite: 'sqlite',
+  sqlserver: 'sqlserver',
+  cockroachdb: 'cockroachdb'
+};
+
+const REFERENTIAL_ACTIONS = {
+  CASCADE: 'Cascade',
+  'SET NULL': 'SetNull',
+  'SET DEFAULT': 'SetDefault',
+  RESTRICT: 'Restrict',
+  'NO ACTION': 'NoAction'
+};
+
+/**
+ * Generate schema.prisma for a code model
+ * @param {Object} model - Code model from codeModel.service.buildModel
+ * @param {Object} options - { dialect }
+ * @returns {Array} - [{ path, content }]
+ */
+exports.generate = (model, options = {}) => {
+  const provider = PROVIDERS[options.dialect] || 'postgresql';
+  const byTable = new Map(model.entities.map(entity => [entity.table, entity]));
+  const fieldNames = new Map(model.entities.map(entity => [entity.table, getFieldNames(entity)]));
+  const enums = [];
+  const enumNames = new Map();
+
+  const models = model.entities.map(entity => modelBlock(entity, { provider, byTable, fieldNames, enums, enumNames }));
+
+  const content = [
+    `// Prisma schema generated by LaymanDB for: ${model.name}`,
+    ...(model.description ? [`// ${model.description}`] : []),
+    '',
+    'generator client {',
+    '  provider = "prisma-client-js"',
+    '}',
+    '',
+    'datasource db {',
+    `  provider = "${provider}"`,
+    '  url      = env("DATABASE_URL")',
+    '}',
+    '',
+    ...models.flatMap(block => [block, '']),
+    ...enums.flatMap(block => [block, ''])
+  ].join('\n');
+
+  return [{ path: 'prisma/schema.prisma', content }];
+};
+
+/**
+ * Generate a model block
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - { provider, byTable, fieldNames, enums, enumNames }
+ * @returns {string} - Prisma model
+ */
+function modelBlock(entity, context) {
+  const names = context.fieldNames.get(entity.table);
+  const rows = [];
+
+  // Foreign keys of one-to-one relations have to be unique for Prisma
+  const oneToOneKeys = entity.associations
+    .filter(assoc => assoc.kind === 'oneToOne' && assoc.owner)
+    .map(assoc => assoc.foreignKey);
+
+  entity.fields.forEach(field => {
+    const attributes = [];
+    const isSoleKey = field.isPrimaryKey && entity.primaryKey.length === 1;
+
+    if (isSoleKey) attributes.push('@id');
+    if (field.isGenerated) {
+      attributes.push('@default(autoincrement())');
+    } else if (field.defaultValue) {
+      attributes.push(`@default(${defaultValue(field, entity, context)})`);
+    }
+    if (!isSoleKey && (field.isUnique || oneToOneKeys.includes(field.column))) attributes.push('@unique');
+    if (field.column === 'updated_at' && field.type.kind === 'datetime') attributes.push('@updatedAt');
+    if (names.get(field.column) !== field.column) attributes.push(`@map("${field.column}")`);
+
+    const nativeType = getNativeType(field.type, context.provider);
+    if (nativeType) attributes.push(nativeType);
+
+    rows.push({
+      comment: field.description,
+      cells: [names.get(field.column), `${scalarType(field, entity, context)}${field.isNullable ? '?' : ''}`, attributes.join(' ')]
+    });
+  });
+
+  entity.associations.forEach(assoc => {
+    // Many-to-many is reached through the junction model's own relations
+    if (assoc.kind === 'manyToMany') return;
+
+    const target = context.byTable.get(assoc.target);
+    const relationName = getRelationName(entity, assoc, context.byTable);
+    const name = camelCase(assoc.name);
+
+    if (assoc.owner) {
+      const args = [
+        ...(relationName ? [`"${relationName}"`] : []),
+        `fields: [${names.get(assoc.foreignKey)}]`,
+        `references: [${context.fieldNames.get(assoc.target).get(assoc.references)}]`,
+        ...referentialActions(assoc, context.provider)
+      ];
+      rows.push({ cells: [name, `${target.className}${assoc.isNullable ? '?' : ''}`, `@relation(${args.join(', ')})`] });
+    } else {
+      const type = assoc.kind === 'oneToMany' ? `${target.className}[]` : `${target.className}?`;
+      rows.push({ cells: [name, type, relationName ? `@relation("${relationName}")` : ''] });
+    }
+  });
+
+  const widths = [0, 1].map(index => Math.max(...rows.map(row => row.cells[index].length)));
+  const lines = rows.flatMap(row => [
+    ...(row.comment ? [`  /// ${row.comment}`] : []),
+    `  ${row.cells[0].padEnd(widths[0])} ${row.cells[1].padEnd(widths[1])} ${row.cells[2]}`.trimEnd()
+  ]);
+
+  if (entity.primaryKey.length > 1) {
+    lines.push('', `  @@id([${entity.primaryKey.map(column => names.get(column)).join(', ')}])`);
+  }
+  lines.push(...(entity.primaryKey.length > 1 ? [] : ['']), `  @@map("${entity.table}")`);
+
+  return [
+    ...(entity.description ? [`/// ${entity.description}`] : []),
+    `model ${entity.className} {`,
+    ...lines,
+    '}'
+  ].join('\n');
+}
+
+/**
+ * Relation name, needed when two models are joined by more than one relation or a model refers to itself
+ * @param {Object} entity - Entity the relation field is on
+ * @param {Object} assoc - Association
+ * @param {Map} byTable - Entities by table name
+ * @returns {string|null} - Relation name, or null when the relation is unambiguous
+ */
+function getRelationName(entity, assoc, byTable) {
+  const owner = assoc.owner ? entity : byTable.get(assoc.target);
+  const other = assoc.owner ? byTable.get(assoc.target) : entity;
+  const ownerName = assoc.owner ? assoc.name : assoc.inverse;
+
+  const holdsKeyTo = (from, to) => from.associations.filter(a => a.owner && a.kind !== 'manyToMany' && a.target === to.table).length;
+  const between = holdsKeyTo(owner, other) + (owner === other ? 0 : holdsKeyTo(other, owner));
+
+  return owner === other || between > 1 ? `${owner.className}${pascalCase(ownerName)}` : null;
+}
+
+/**
+ * onDelete/onUpdate arguments of a relation
+ * @param {Object} assoc - Owning association
+ * @param {string} provider - Prisma datasource provider
+ * @returns {Array} - Arguments
+ */
+function referentialActions(assoc, provider) {
+  return [['onDelete', assoc.onDelete], ['onUpdate', assoc.onUpdate]]
+    // A required relation can't be set to null, so Prisma's default is kept instead
+    .filter(([, action]) => !(action === 'SET NULL' && !assoc.isNullable))
+    .map(([name, action]) => {
+      // SQL Server has no RESTRICT; NO ACTION behaves the same there
+      const value = provider === 'sqlserver' && action === 'RESTRICT' ? 'NoAction' : REFERENTIAL_ACTIONS[action];
+      return `${name}: ${value}`;
+    });
+}
+
+/**
+ * Prisma scalar type of a field
+ * @param {Object} field - Code model field
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} context - { provider, byTable, enums, enumNames }
+ * @returns {string} - Prisma type
+ */
+function scalarType(field, entity, context) {
+  const { provider } = context;
+
+  switch (field.type.kind) {
+    case 'integer':
+    case 'smallint':
+      return 'Int';
+    case 'bigint':
+      return 'BigInt';
+    case 'decimal':
+      return 'Decimal';
+    case 'float':
+    case 'double':
+      return 'Float';
+    case 'boolean':
+      return 'Boolean';
+    case 'date':
+    case 'datetime':
+    case 'time':
+      return 'DateTime';
+    case 'json':
+      return ['sqlite', 'sqlserver'].includes(provider) ? 'String' : 'Json';
+    case 'binary':
+      return 'Bytes';
+    case 'enum':
+      return ['sqlite', 'sqlserver'].includes(provider) ? 'String' : enumType(field, entity, context);
+    default:
+      return 'String';
+  }
+}
+
+/**
+ * Declare the enum type for a field and return its name
+ * @param {Object} field - Code model field with an enum type
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} context - { byTable, enums, enumNames }
+ * @returns {string} - Enum name
+ */
+function enumType(field, entity, context) {
+  const key = `${entity.table}.${field.column}`;
+
+  if (!context.enumNames.has(key)) {
+    const classNames = Array.from(context.byTable.values()).map(e => e.className);
+    const base = `${entity.className}${pascalCase(field.column)}`;
+    const name = classNames.includes(base) ? `${base}Enum` : base;
+
+    const lines = field.type.values.map(value => {
+      const identifier = enumIdentifier(value);
+      return identifier === value ? `  ${identifier}` : `  ${identifier} @map("${escapeString(value)}")`;
+    });
+    context.enums.push([`enum ${name} {`, ...lines, '', `  @@map("${entity.table}_${field.column}")`, '}'].join('\n'));
+    context.enumNames.set(key, name);
+  }
+
+  return context.enumNames.get(key);
+}
+
+function enumIdentifier(value) {
+  const identifier = String(value).replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z]/.test(identifier) ? identifier : `_${identifier}`;
+}
+
+/**
+ * Native database type attribute, where Prisma's default column type would differ from the schema
+ * @param {Object} type - Column type from codeModel.service.columnType
+ * @param {string} provider - Prisma datasource provider
+ * @returns {string|null} - @db attribute, or null
+ */
+function getNativeType(type, provider) {
+  if (provider === 'sqlite') return null;
+
+  switch (type.kind) {
+    case 'string':
+      if (provider === 'sqlserver') return `@db.NVarChar(${type.length})`;
+      if (provider === 'cockroachdb') return `@db.String(${type.length})`;
+      return `@db.VarChar(${type.length})`;
+    case 'text':
+      if (provider === 'mysql') return '@db.Text';
+      if (provider === 'sqlserver') return '@db.NVarChar(Max)';
+      return null;
+    case 'decimal':
+      return `@db.Decimal(${type.precision}, ${type.scale})`;
+    case 'smallint':
+      return provider === 'cockroachdb' ? '@db.Int2' : '@db.SmallInt';
+    case 'float':
+      if (provider === 'mysql') return '@db.Float';
+      if (provider === 'cockroachdb') return '@db.Float4';
+      return '@db.Real';
+    case 'date':
+      return '@db.Date';
+    case 'time':
+      return '@db.Time';
+    case 'uuid':
+      if (provider === 'mysql') return '@db.Char(36)';
+      if (provider === 'sqlserver') return '@db.UniqueIdentifier';
+      return '@db.Uuid';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render a field's default value
+ * @param {Object} field - Code model field with a default
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} context - { provider, byTable, enums, enumNames }
+ * @returns {string} - Argument of @default
+ */
+function defaultValue(field, entity, context) {
+  const { defaultValue: value, type } = field;
+
+  if (value.now) return 'now()';
+
+  if (type.kind === 'enum' && scalarType(field, entity, context) !== 'String') {
+    return enumIdentifier(value.value);
+  }
+  if (typeof value.value === 'number' || typeof value.value === 'boolean') {
+    return String(value.value);
+  }
+  if (['string', 'text', 'uuid', 'enum'].includes(type.kind) || scalarType(field, entity, context) === 'String') {
+    return `"${escapeString(value.value)}"`;
+  }
+
+  // Dates, JSON and anything else are left to the database
+  return `dbgenerated("'${escapeString(String(value.value).replace(/'/g, "''"))}'")`;
+}
+
+function escapeString(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+module.exports = exports;
@@ -0,0 +1,253 @@
+/**
+ * Sequelize model generator
+ * Produces one CommonJS module per model, in the define-and-associate layout Sequelize's CLI uses,
+ * and a models/index.js that defines every model on a Sequelize instance and wires the
+ * associations. Attributes are camelCased and mapped to their columns with `field`. Junction tables
+ * are models of their own and the `through` model of the belongsToMany associations between their ends.
+ */
+
+const { camelCase, snakeCase, fieldNames } = require('../codeModel.service');
+
+const ASSOCIATION_METHODS = {
+  manyToOne: 'belongsTo',
+  oneToMany: 'hasMany',
+  manyToMany: 'belongsToMany'
+};
+
+/**
+ * Generate Sequelize models for a code model
+ * @param {Object} model - Code model from codeModel.service.buildModel
+ * @returns {Array} - [{ path, content }]
+ */
+exports.generate = (model) => {
+  const byTable = new Map(model.entities.map(entity => [entity.table, entity]));
+  const attributeNames = new Map(model.entities.map(entity => [entity.table, fieldNames(entity)]));
+  const context = { byTable, attributeNames };
+
+  const files = model.entities.map(entity => ({
+    path: `models/${fileName(entity)}.js`,
+    content: modelModule(entity, context)
+  }));
+
+  files.push({ path: 'models/index.js', content: indexModule(model) });
+
+  return files;
+};
+
+/**
+ * Generate the module defining one model
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - { byTable, attributeNames }
+ * @returns {string} - JavaScript module
+ */
+function modelModule(entity, context) {
+  const names = context.attributeNames.get(entity.table);
+  const columns = entity.fields.map(field => field.column);
+  const hasCreatedAt = columns.includes('created_at');
+  const hasUpdatedAt = columns.includes('updated_at');
+
+  const attributes = entity.fields.map(field => `    ${propertyKey(names.get(field.column))}: {\n${attributeOptions(field, entity, names).map(option => `      ${option}`).join(',\n')}\n    }`);
+
+  const associations = entity.associations.map(assoc => `      ${associationCall(entity, assoc, context)}`);
+
+  const options = [
+    'sequelize',
+    `modelName: '${entity.className}'`,
+    `tableName: ${jsString(entity.table)}`
+  ];
+  if (hasCreatedAt || hasUpdatedAt) {
+    options.push('timestamps: true');
+    options.push(`createdAt: ${hasCreatedAt ? `'${names.get('created_at')}'` : 'false'}`);
+    options.push(`updatedAt: ${hasUpdatedAt ? `'${names.get('updated_at')}'` : 'false'}`);
+  } else {
+    options.push('timestamps: false');
+  }
+  if (entity.description) options.push(`comment: ${jsString(entity.description)}`);
+
+  return `const { DataTypes, Model } = require('sequelize');
+
+/**
+ * ${commentText(entity.description || `${entity.className} model`)}
+ * Table: ${entity.table}
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {typeof Model} - ${entity.className} model
+ */
+module.exports = (sequelize) => {
+  class ${entity.className} extends Model {
+    /**
+     * Set up associations once every model is defined
+     * @param {Object} models - Models by name
+     */
+    static associate(models) {
+${associations.length > 0 ? associations.join('\n') : '      // No associations'}
+    }
+  }
+
+  ${entity.className}.init({
+${attributes.join(',\n')}
+  }, {
+${options.map(option => `    ${option}`).join(',\n')}
+  });
+
+  return ${entity.className};
+};
+`;
+}
+
+/**
+ * Options of one attribute
+ * @param {Object} field - Code model field
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Map} names - Attribute name by column name
+ * @returns {Array} - Option strings
+ */
+function attributeOptions(field, entity, names) {
+  const options = [`type: ${dataType(field.type)}`];
+
+  if (names.get(field.column) !== field.column) options.push(`field: ${jsString(field.column)}`);
+  if (field.isPrimaryKey) options.push('primaryKey: true');
+  if (field.isGenerated) options.push('autoIncrement: true');
+  options.push(`allowNull: ${field.isNullable}`);
+  if (field.isUnique) options.push('unique: true');
+
+  if (field.defaultValue) {
+    options.push(`defaultValue: ${field.defaultValue.now ? 'DataTypes.NOW' : jsValue(field.defaultValue.value)}`);
+  }
+  if (field.description) options.push(`comment: ${jsString(field.description)}`);
+
+  return options;
+}
+
+/**
+ * Generate the association call for one association
+ * @param {Object} entity - Entity the association is declared on
+ * @param {Object} assoc - Association
+ * @param {Object} context - { byTable, attributeNames }
+ * @returns {string} - Statement inside associate()
+ */
+function associationCall(entity, assoc, context) {
+  const target = context.byTable.get(assoc.target);
+  const method = assoc.kind === 'oneToOne' ? (assoc.owner ? 'belongsTo' : 'hasOne') : ASSOCIATION_METHODS[assoc.kind];
+  const options = [`as: '${camelCase(assoc.name)}'`];
+
+  if (assoc.kind === 'manyToMany') {
+    const junctionNames = context.attributeNames.get(assoc.through);
+    options.push(
+      `through: models.${context.byTable.get(assoc.through).className}`,
+      `foreignKey: '${junctionNames.get(assoc.foreignKey)}'`,
+      `otherKey: '${junctionNames.get(assoc.otherKey)}'`,
+      `sourceKey: '${context.attributeNames.get(entity.table).get(assoc.sourceKey)}'`,
+      `targetKey: '${context.attributeNames.get(target.table).get(assoc.targetKey)}'`
+    );
+  } else if (assoc.owner) {
+    options.push(
+      `foreignKey: '${context.attributeNames.get(entity.table).get(assoc.foreignKey)}'`,
+      `targetKey: '${context.attributeNames.get(target.table).get(assoc.references)}'`,
+      `onDelete: '${assoc.onDelete}'`,
+      `onUpdate: '${assoc.onUpdate}'`
+    );
+  } else {
+    options.push(
+      `foreignKey: '${context.attributeNames.get(target.table).get(assoc.foreignKey)}'`,
+      `sourceKey: '${context.attributeNames.get(entity.table).get(assoc.references)}'`
+    );
+  }
+
+  return `${entity.className}.${method}(models.${target.className}, { ${options.join(', ')} });`;
+}
+
+/**
+ * Generate models/index.js
+ * @param {Object} model - Code model
+ * @returns {string} - JavaScript module
+ */
+function indexModule(model) {
+  const definitions = model.entities.map(entity => `    ${entity.className}: require('./${fileName(entity)}')(sequelize)`);
+
+  return `/**
+ * Models generated by LaymanDB for: ${commentText(model.name)}
+ * Usage:
+ *   const { Sequelize } = require('sequelize');
+ *   const models = require('./models')(new Sequelize(process.env.DATABASE_URL));
+ */
+
+/**
+ * Define every model on a Sequelize instance and set up their associations
+ * @param {import('sequelize').Sequelize} sequelize - Sequelize instance
+ * @returns {Object} - Models by name
+ */
+module.exports = (sequelize) => {
+  const models = {
+${definitions.join(',\n')}
+  };
+
+  Object.values(models).forEach(model => model.associate(models));
+
+  return models;
+};
+`;
+}
+
+/**
+ * Sequelize data type of a column type
+ * @param {Object} type - Column type from codeModel.service.columnType
+ * @returns {string} - DataTypes expression
+ */
+function dataType(type) {
+  switch (type.kind) {
+    case 'integer':
+      return 'DataTypes.INTEGER';
+    case 'bigint':
+      return 'DataTypes.BIGINT';
+    case 'smallint':
+      return 'DataTypes.SMALLINT';
+    case 'decimal':
+      return `DataTypes.DECIMAL(${type.precision}, ${type.scale})`;
+    case 'float':
+      return 'DataTypes.FLOAT';
+    case 'double':
+      return 'DataTypes.DOUBLE';
+    case 'boolean':
+      return 'DataTypes.BOOLEAN';
+    case 'string':
+      return `DataTypes.STRING(${type.length})`;
+    case 'date':
+      return 'DataTypes.DATEONLY';
+    case 'datetime':
+      return 'DataTypes.DATE';
+    case 'time':
+      return 'DataTypes.TIME';
+    case 'json':
+      return 'DataTypes.JSON';
+    case 'uuid':
+      return 'DataTypes.UUID';
+    case 'binary':
+      return 'DataTypes.BLOB';
+    case 'enum':
+      return `DataTypes.ENUM(${type.values.map(jsString).join(', ')})`;
+    default:
+      return 'DataTypes.TEXT';
+  }
+}
+
+function fileName(entity) {
+  return snakeCase(entity.className).replace(/_/g, '-');
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : jsString(name);
+}
+
+function commentText(text) {
+  return String(text).replace(/\*\//g, '* /').replace(/\s*\n\s*/g, ' ');
+}
+
+function jsValue(value) {
+  return typeof value === 'string' ? jsString(value) : String(value);
+}
+
+function jsString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+module.exports = exports;
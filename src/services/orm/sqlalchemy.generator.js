@@ -0,0 +1,359 @@
+/**
+ * SQLAlchemy model generator
+ * Produces a single models.py in SQLAlchemy 2.0's typed declarative style (Mapped/mapped_column).
+ * Attributes keep the column names. Junction tables with no columns of their own become Table objects
+ * used as the `secondary` of many-to-many relationships; junction tables carrying data are mapped as
+ * association objects with a relationship to each end.
+ */
+
+const { snakeCase, fieldNames: getFieldNames, isPlainJunction } = require('../codeModel.service');
+
+// Names Python or the declarative base don't allow as attribute names
+const RESERVED_NAMES = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+  'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  'metadata', 'registry'
+]);
+
+/**
+ * Generate SQLAlchemy models for a code model
+ * @param {Object} model - Code model from codeModel.service.buildModel
+ * @returns {Array} - [{ path, content }]
+ */
+exports.generate = (model) => {
+  const byTable = new Map(model.entities.map(entity => [entity.table, entity]));
+  const attributeNames = new Map(model.entities.map(entity => [entity.table, pythonNames(getFieldNames(entity, snakeCase))]));
+  const context = { byTable, attributeNames, sqlalchemy: new Set(), typing: new Set(), modules: new Set() };
+
+  const tables = model.entities.filter(isPlainJunction).map(entity => tableBlock(entity, context));
+  const classes = model.entities.filter(entity => !isPlainJunction(entity)).map(entity => classBlock(entity, context));
+
+  const typing = Array.from(context.typing).sort();
+  const content = [
+    `"""SQLAlchemy models generated by LaymanDB for: ${docstringText(model.name)}`,
+    ...(model.description ? ['', docstringText(model.description)] : []),
+    '"""',
+    'from __future__ import annotations',
+    '',
+    ...Array.from(context.modules).sort().map(name => `import ${name}`),
+    ...(typing.length > 0 ? [`from typing import ${typing.join(', ')}`] : []),
+    ...(context.modules.size > 0 || typing.length > 0 ? [''] : []),
+    `from sqlalchemy import ${Array.from(context.sqlalchemy).sort(compareNames).join(', ')}`,
+    'from sqlalchemy.orm import DeclarativeBase, Mapped, mapped_column, relationship',
+    '',
+    '',
+    'class Base(DeclarativeBase):',
+    '    pass',
+    '',
+    '',
+    ...[...tables, ...classes].flatMap(block => [block, '', '']),
+  ].join('\n').replace(/\n+$/, '\n');
+
+  return [{ path: 'models.py', content }];
+};
+
+/**
+ * Generate the Table object of a plain join table
+ * @param {Object} entity - Junction entity
+ * @param {Object} context - Generation context
+ * @returns {string} - Python statement
+ */
+function tableBlock(entity, context) {
+  context.sqlalchemy.add('Table');
+  context.sqlalchemy.add('Column');
+
+  const columns = entity.fields.map(field => {
+    const args = [pyString(field.column), ...columnArguments(field, entity, context)];
+    return `    Column(${args.join(', ')}),`;
+  });
+
+  return [
+    `${tableVariable(entity)} = Table(`,
+    `    ${pyString(entity.table)},`,
+    '    Base.metadata,',
+    ...columns,
+    ...(entity.description ? [`    comment=${pyString(entity.description)},`] : []),
+    ')'
+  ].join('\n');
+}
+
+/**
+ * Generate the mapped class of an entity
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - Generation context
+ * @returns {string} - Python class
+ */
+function classBlock(entity, context) {
+  const names = context.attributeNames.get(entity.table);
+  const lines = [`class ${entity.className}(Base):`];
+
+  if (entity.description) lines.push(`    """${docstringText(entity.description)}"""`, '');
+  lines.push(`    __tablename__ = ${pyString(entity.table)}`);
+  if (entity.description) lines.push(`    __table_args__ = {"comment": ${pyString(entity.description)}}`);
+  lines.push('');
+
+  entity.fields.forEach(field => {
+    const name = names.get(field.column);
+    const args = [...(name !== field.column ? [pyString(field.column)] : []), ...columnArguments(field, entity, context)];
+    lines.push(`    ${name}: Mapped[${optional(pythonType(field, context), field.isNullable, context)}] = mapped_column(${args.join(', ')})`);
+  });
+
+  const relationships = entity.associations
+    .filter(assoc => assoc.kind === 'manyToMany'
+      ? isPlainJunction(context.byTable.get(assoc.through))
+      : !isPlainJunction(context.byTable.get(assoc.target)))
+    .map(assoc => relationshipLine(entity, assoc, context));
+
+  if (relationships.length > 0) lines.push('', ...relationships);
+
+  return lines.join('\n');
+}
+
+/**
+ * Positional and keyword arguments of a column
+ * @param {Object} field - Code model field
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} context - Generation context
+ * @returns {Array} - Arguments
+ */
+function columnArguments(field, entity, context) {
+  const args = [];
+  const assoc = entity.associations.find(a => a.owner && a.kind !== 'manyToMany' && a.foreignKey === field.column);
+
+  args.push(sqlType(field.type, field.column, entity, context));
+
+  if (assoc) {
+    context.sqlalchemy.add('ForeignKey');
+    const actions = [['ondelete', assoc.onDelete], ['onupdate', assoc.onUpdate]]
+      .filter(([, action]) => action !== 'NO ACTION')
+      .map(([name, action]) => `${name}=${pyString(action)}`);
+    args.push(`ForeignKey(${[pyString(`${assoc.target}.${assoc.references}`), ...actions].join(', ')})`);
+  }
+
+  if (field.isPrimaryKey) args.push('primary_key=True');
+  if (field.isGenerated) args.push('autoincrement=True');
+  // Table columns don't take their nullability from a type annotation
+  if (!field.isPrimaryKey && isPlainJunction(entity)) {
+    args.push(`nullable=${field.isNullable ? 'True' : 'False'}`);
+  }
+  if (field.isUnique) args.push('unique=True');
+
+  if (field.defaultValue) args.push(defaultArgument(field, context));
+  if (field.description) args.push(`comment=${pyString(field.description)}`);
+
+  return args;
+}
+
+/**
+ * Generate the relationship() attribute of one association
+ * @param {Object} entity - Entity the association is declared on
+ * @param {Object} assoc - Association
+ * @param {Object} context - Generation context
+ * @returns {string} - Python line
+ */
+function relationshipLine(entity, assoc, context) {
+  const target = context.byTable.get(assoc.target);
+  const names = context.attributeNames.get(entity.table);
+  const args = [`back_populates=${pyString(pythonName(snakeCase(assoc.inverse)))}`];
+  let type;
+
+  if (assoc.kind === 'manyToMany') {
+    const junction = context.byTable.get(assoc.through);
+    args.unshift(`secondary=${pyString(junction.table)}`);
+    if (target === entity) {
+      // A self-referencing join table needs both join conditions spelled out; the strings are
+      // evaluated against the mapped classes and the metadata's tables
+      const table = junction.table;
+      args.push(
+        `primaryjoin=${pyString(`${entity.className}.${names.get(assoc.sourceKey)} == ${table}.c.${assoc.foreignKey}`)}`,
+        `secondaryjoin=${pyString(`${entity.className}.${names.get(assoc.targetKey)} == ${table}.c.${assoc.otherKey}`)}`
+      );
+    }
+    type = `List[${target.className}]`;
+    context.typing.add('List');
+  } else if (assoc.owner) {
+    if (isAmbiguous(entity, assoc, context.byTable)) args.push(`foreign_keys=[${names.get(assoc.foreignKey)}]`);
+    if (target === entity) args.push(`remote_side=[${names.get(assoc.references)}]`);
+    type = optional(target.className, assoc.isNullable, context);
+  } else {
+    if (isAmbiguous(entity, assoc, context.byTable)) {
+      args.push(`foreign_keys=${pyString(`[${target.className}.${context.attributeNames.get(target.table).get(assoc.foreignKey)}]`)}`);
+    }
+    if (assoc.kind === 'oneToMany') {
+      type = `List[${target.className}]`;
+      context.typing.add('List');
+    } else {
+      type = optional(target.className, true, context);
+    }
+  }
+
+  return `    ${pythonName(snakeCase(assoc.name))}: Mapped[${type}] = relationship(${args.join(', ')})`;
+}
+
+/**
+ * Whether more than one foreign key joins the two ends of an association, so SQLAlchemy has to be
+ * told which one it uses
+ * @param {Object} entity - Entity the association is declared on
+ * @param {Object} assoc - Foreign key association
+ * @param {Map} byTable - Entities by table name
+ * @returns {boolean} - True when foreign_keys is needed
+ */
+function isAmbiguous(entity, assoc, byTable) {
+  const owner = assoc.owner ? entity : byTable.get(assoc.target);
+  const other = assoc.owner ? byTable.get(assoc.target) : entity;
+
+  const holdsKeyTo = (from, to) => from.associations.filter(a => a.owner && a.kind !== 'manyToMany' && a.target === to.table).length;
+  return holdsKeyTo(owner, other) + (owner === other ? 0 : holdsKeyTo(other, owner)) > 1;
+}
+
+/**
+ * SQLAlchemy column type of a field
+ * @param {Object} type - Column type from codeModel.service.columnType
+ * @param {string} column - Column name, used to name enum types
+ * @param {Object} entity - Entity the column belongs to
+ * @param {Object} context - Generation context
+ * @returns {string} - Type expression
+ */
+function sqlType(type, column, entity, context) {
+  const use = (name, expression = name) => {
+    context.sqlalchemy.add(name);
+    return expression;
+  };
+
+  switch (type.kind) {
+    case 'integer':
+      return use('Integer');
+    case 'bigint':
+      return use('BigInteger');
+    case 'smallint':
+      return use('SmallInteger');
+    case 'decimal':
+      return use('Numeric', `Numeric(${type.precision}, ${type.scale})`);
+    case 'float':
+      return use('Float');
+    case 'double':
+      return use('Double');
+    case 'boolean':
+      return use('Boolean');
+    case 'string':
+      return use('String', `String(${type.length})`);
+    case 'date':
+      return use('Date');
+    case 'datetime':
+      return use('DateTime');
+    case 'time':
+      return use('Time');
+    case 'json':
+      return use('JSON');
+    case 'uuid':
+      return use('Uuid');
+    case 'binary':
+      return use('LargeBinary');
+    case 'enum':
+      return use('Enum', `Enum(${[...type.values.map(pyString), `name=${pyString(`${entity.table}_${column}`)}`].join(', ')})`);
+    default:
+      return use('Text');
+  }
+}
+
+/**
+ * Python type of a field's attribute
+ * @param {Object} field - Code model field
+ * @param {Object} context - Generation context
+ * @returns {string} - Type annotation
+ */
+function pythonType(field, context) {
+  switch (field.type.kind) {
+    case 'integer':
+    case 'bigint':
+    case 'smallint':
+      return 'int';
+    case 'decimal':
+      context.modules.add('decimal');
+      return 'decimal.Decimal';
+    case 'float':
+    case 'double':
+      return 'float';
+    case 'boolean':
+      return 'bool';
+    case 'date':
+      context.modules.add('datetime');
+      return 'datetime.date';
+    case 'datetime':
+      context.modules.add('datetime');
+      return 'datetime.datetime';
+    case 'time':
+      context.modules.add('datetime');
+      return 'datetime.time';
+    case 'json':
+      context.typing.add('Any');
+      return 'Any';
+    case 'uuid':
+      context.modules.add('uuid');
+      return 'uuid.UUID';
+    case 'binary':
+      return 'bytes';
+    default:
+      return 'str';
+  }
+}
+
+/**
+ * Default of a column: the current time and literals the database can't take as-is are server
+ * defaults, other literals are set by SQLAlchemy on insert
+ * @param {Object} field - Code model field with a default
+ * @param {Object} context - Generation context
+ * @returns {string} - Keyword argument
+ */
+function defaultArgument(field, context) {
+  const { defaultValue } = field;
+
+  if (defaultValue.now) {
+    context.sqlalchemy.add('func');
+    return field.column === 'updated_at' ? 'server_default=func.now(), onupdate=func.now()' : 'server_default=func.now()';
+  }
+  if (typeof defaultValue.value === 'boolean') return `default=${defaultValue.value ? 'True' : 'False'}`;
+  if (typeof defaultValue.value === 'number') return `default=${defaultValue.value}`;
+  if (['string', 'text', 'enum', 'uuid'].includes(field.type.kind)) return `default=${pyString(defaultValue.value)}`;
+
+  context.sqlalchemy.add('text');
+  return `server_default=text(${pyString(`'${String(defaultValue.value).replace(/'/g, "''")}'`)})`;
+}
+
+function optional(type, isNullable, context) {
+  if (!isNullable) return type;
+  context.typing.add('Optional');
+  return `Optional[${type}]`;
+}
+
+function pythonNames(names) {
+  return new Map(Array.from(names, ([column, name]) => [column, pythonName(name)]));
+}
+
+function pythonName(name) {
+  const result = /^[0-9]/.test(name) ? `_${name}` : name;
+  return RESERVED_NAMES.has(result) ? `${result}_` : result;
+}
+
+function tableVariable(entity) {
+  return `${pythonName(snakeCase(entity.table))}_table`;
+}
+
+// Classes (capitalized) before functions, as isort orders them
+function compareNames(a, b) {
+  const aClass = /^[A-Z]/.test(a);
+  const bClass = /^[A-Z]/.test(b);
+  if (aClass !== bClass) return aClass ? -1 : 1;
+  return a.localeCompare(b);
+}
+
+function pyString(value) {
+  return JSON.stringify(String(value));
+}
+
+function docstringText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"');
+}
+
+module.exports = exports;
@@ -0,0 +1,347 @@
+/**
+ * TypeORM entity generator
+ * Produces one decorated TypeScript class per entity and an entities/index.ts listing them for the
+ * DataSource. Column types are chosen for the target database, since TypeORM can't infer them from
+ * nullable property types. Junction tables with no columns of their own become @ManyToMany relations
+ * with a @JoinTable and no entity; junction tables carrying data stay entities, joined to both ends.
+ */
+
+const { camelCase, fieldNames: getFieldNames, isPlainJunction } = require('../codeModel.service');
+
+// TypeORM column type per column kind, where it differs between databases
+const COLUMN_TYPES = {
+  postgresql: { boolean: 'boolean', datetime: 'timestamp', json: 'jsonb', binary: 'bytea', uuid: 'uuid' },
+  cockroachdb: { boolean: 'boolean', datetime: 'timestamp', json: 'jsonb', binary: 'bytea', uuid: 'uuid' },
+  mysql: { boolean: 'boolean', datetime: 'datetime', json: 'json', binary: 'blob', uuid: 'uuid' },
+  mariadb: { boolean: 'boolean', datetime: 'datetime', json: 'json', binary: 'blob', uuid: 'uuid' },
+  sqlite: { boolean: 'boolean', datetime: 'datetime', json: 'simple-json', binary: 'blob', uuid: 'varchar' },
+  sqlserver: { boolean: 'bit', datetime: 'datetime2', json: 'simple-json', binary: 'varbinary', uuid: 'uniqueidentifier' }
+};
+
+// TypeScript type of the values TypeORM reads for each column kind
+const PROPERTY_TYPES = {
+  integer: 'number',
+  smallint: 'number',
+  float: 'number',
+  double: 'number',
+  // bigint and decimal come back as strings so no precision is lost
+  bigint: 'string',
+  decimal: 'string',
+  boolean: 'boolean',
+  datetime: 'Date',
+  json: 'unknown',
+  binary: 'Buffer'
+};
+
+/**
+ * Generate TypeORM entities for a code model
+ * @param {Object} model - Code model from codeModel.service.buildModel
+ * @param {Object} options - { dialect }
+ * @returns {Array} - [{ path, content }]
+ */
+exports.generate = (model, options = {}) => {
+  const dialect = COLUMN_TYPES[options.dialect] ? options.dialect : 'postgresql';
+  const byTable = new Map(model.entities.map(entity => [entity.table, entity]));
+  const propertyNames = new Map(model.entities.map(entity => [entity.table, getFieldNames(entity)]));
+  const context = { dialect, byTable, propertyNames };
+
+  const entities = model.entities.filter(entity => !isPlainJunction(entity));
+
+  const files = entities.map(entity => ({
+    path: `entities/${entity.className}.ts`,
+    content: entityModule(entity, context)
+  }));
+
+  files.push({ path: 'entities/index.ts', content: indexModule(model, entities) });
+
+  return files;
+};
+
+/**
+ * Associations to generate for an entity: many-to-many only across plain join tables, and no
+ * relations to the join tables themselves
+ * @param {Object} entity - Code model entity
+ * @param {Map} byTable - Entities by table name
+ * @returns {Array} - Associations
+ */
+function getRelations(entity, byTable) {
+  return entity.associations.filter(assoc => assoc.kind === 'manyToMany'
+    ? isPlainJunction(byTable.get(assoc.through))
+    : !isPlainJunction(byTable.get(assoc.target)));
+}
+
+/**
+ * Generate the module of one entity
+ * @param {Object} entity - Code model entity
+ * @param {Object} context - { dialect, byTable, propertyNames }
+ * @returns {string} - TypeScript module
+ */
+function entityModule(entity, context) {
+  const names = context.propertyNames.get(entity.table);
+  const decorators = new Set(['Entity']);
+  const imports = new Set();
+  const members = [];
+
+  entity.fields.forEach(field => {
+    const decorator = columnDecorator(field, entity, context);
+    decorators.add(decorator.name);
+
+    members.push([
+      ...(field.description ? [`/** ${commentText(field.description)} */`] : []),
+      `@${decorator.name}(${tsObject(decorator.options)})`,
+      `${names.get(field.column)}!: ${propertyType(field)}${field.isNullable ? ' | null' : ''};`
+    ]);
+  });
+
+  getRelations(entity, context.byTable).forEach(assoc => {
+    const target = context.byTable.get(assoc.target);
+    const relation = relationMember(entity, assoc, context);
+
+    relation.decorators.forEach(name => decorators.add(name));
+    if (target !== entity) imports.add(target.className);
+
+    members.push(relation.lines);
+  });
+
+  const entityOptions = { name: entity.table };
+  if (entity.description) entityOptions.comment = entity.description;
+
+  return [
+    `import { ${Array.from(decorators).sort().join(', ')} } from 'typeorm';`,
+    ...Array.from(imports).sort().map(className => `import { ${className} } from './${className}';`),
+    '',
+    '/**',
+    ` * ${commentText(entity.description || `${entity.className} entity`)}`,
+    ` * Table: ${entity.table}`,
+    ' */',
+    `@Entity(${tsObject(entityOptions)})`,
+    `export class ${entity.className} {`,
+    members.map(lines => lines.map(line => `  ${line}`).join('\n')).join('\n\n'),
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Column decorator of a field
+ * @param {Object} field - Code model field
+ * @param {Object} entity - Entity the field belongs to
+ * @param {Object} context - { dialect }
+ * @returns {Object} - { name, options }
+ */
+function columnDecorator(field, entity, context) {
+  const options = { name: field.column, ...columnType(field.type, context.dialect) };
+
+  if (field.isGenerated) {
+    // SQLite only auto-increments INTEGER PRIMARY KEY columns
+    if (context.dialect === 'sqlite') options.type = 'integer';
+    return { name: 'PrimaryGeneratedColumn', options: withComment(options, field) };
+  }
+
+  // Timestamps TypeORM fills in itself
+  if (field.defaultValue && field.defaultValue.now && ['created_at', 'updated_at'].includes(field.column)) {
+    return {
+      name: field.column === 'created_at' ? 'CreateDateColumn' : 'UpdateDateColumn',
+      options: withComment({ ...options, nullable: field.isNullable }, field)
+    };
+  }
+
+  if (!field.isPrimaryKey) options.nullable = field.isNullable;
+  if (field.isUnique) options.unique = true;
+  if (field.defaultValue) {
+    options.default = field.defaultValue.now ? raw('() => \'CURRENT_TIMESTAMP\'') : defaultValue(field);
+  }
+
+  return { name: field.isPrimaryKey ? 'PrimaryColumn' : 'Column', options: withComment(options, field) };
+}
+
+/**
+ * Relation decorators and property of one association
+ * @param {Object} entity - Entity the association is declared on
+ * @param {Object} assoc - Association
+ * @param {Object} context - { dialect, byTable, propertyNames }
+ * @returns {Object} - { decorators, lines }
+ */
+function relationMember(entity, assoc, context) {
+  const target = context.byTable.get(assoc.target);
+  const name = camelCase(assoc.name);
+  const inverse = `(${camelCase(target.className)}) => ${camelCase(target.className)}.${camelCase(assoc.inverse)}`;
+  const targetType = `() => ${target.className}`;
+
+  if (assoc.kind === 'manyToMany') {
+    const lines = [`@ManyToMany(${targetType}, ${inverse})`];
+    if (assoc.owner) {
+      lines.push(`@JoinTable(${tsObject({
+        name: assoc.through,
+        joinColumn: { name: assoc.foreignKey, referencedColumnName: context.propertyNames.get(entity.table).get(assoc.sourceKey) },
+        inverseJoinColumn: { name: assoc.otherKey, referencedColumnName: context.propertyNames.get(target.table).get(assoc.targetKey) }
+      })})`);
+    }
+    lines.push(`${name}!: ${target.className}[];`);
+    return { decorators: assoc.owner ? ['ManyToMany', 'JoinTable'] : ['ManyToMany'], lines };
+  }
+
+  if (assoc.kind === 'oneToMany') {
+    return {
+      decorators: ['OneToMany'],
+      lines: [`@OneToMany(${targetType}, ${inverse})`, `${name}!: ${target.className}[];`]
+    };
+  }
+
+  const decorator = assoc.kind === 'oneToOne' ? 'OneToOne' : 'ManyToOne';
+
+  if (!assoc.owner) {
+    return {
+      decorators: [decorator],
+      lines: [`@${decorator}(${targetType}, ${inverse})`, `${name}!: ${target.className} | null;`]
+    };
+  }
+
+  const options = {
+    nullable: assoc.isNullable,
+    onDelete: referentialAction(assoc.onDelete, context.dialect),
+    onUpdate: referentialAction(assoc.onUpdate, context.dialect)
+  };
+  const joinColumn = {
+    name: assoc.foreignKey,
+    referencedColumnName: context.propertyNames.get(target.table).get(assoc.references)
+  };
+
+  return {
+    decorators: [decorator, 'JoinColumn'],
+    lines: [
+      `@${decorator}(${targetType}, ${inverse}, ${tsObject(options)})`,
+      `@JoinColumn(${tsObject(joinColumn)})`,
+      `${name}!: ${target.className}${assoc.isNullable ? ' | null' : ''};`
+    ]
+  };
+}
+
+/**
+ * Generate entities/index.ts
+ * @param {Object} model - Code model
+ * @param {Array} entities - Entities that have a class
+ * @returns {string} - TypeScript module
+ */
+function indexModule(model, entities) {
+  const classNames = entities.map(entity => entity.className);
+
+  return [
+    '/**',
+    ` * Entities generated by LaymanDB for: ${commentText(model.name)}`,
+    ' * Usage:',
+    ' *   new DataSource({ type: \'postgres\', url: process.env.DATABASE_URL, entities })',
+    ' */',
+    ...classNames.map(className => `import { ${className} } from './${className}';`),
+    '',
+    `export { ${classNames.join(', ')} };`,
+    '',
+    `export const entities = [${classNames.join(', ')}];`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * TypeORM column type options of a column type
+ * @param {Object} type - Column type from codeModel.service.columnType
+ * @param {string} dialect - Target database
+ * @returns {Object} - { type, length, precision, scale, enum }
+ */
+function columnType(type, dialect) {
+  const types = COLUMN_TYPES[dialect];
+  const isSqlServer = dialect === 'sqlserver';
+
+  switch (type.kind) {
+    case 'integer':
+      return { type: 'int' };
+    case 'bigint':
+      return { type: 'bigint' };
+    case 'smallint':
+      return { type: 'smallint' };
+    case 'decimal':
+      return { type: 'decimal', precision: type.precision, scale: type.scale };
+    case 'float':
+      return { type: 'real' };
+    case 'double':
+      return { type: isSqlServer ? 'float' : 'double precision' };
+    case 'string':
+      return { type: isSqlServer ? 'nvarchar' : 'varchar', length: type.length };
+    case 'date':
+      return { type: 'date' };
+    case 'time':
+      return { type: 'time' };
+    case 'uuid':
+      return types.uuid === 'varchar' ? { type: 'varchar', length: 36 } : { type: types.uuid };
+    case 'enum':
+      return { type: 'simple-enum', enum: type.values };
+    case 'boolean':
+    case 'datetime':
+    case 'json':
+    case 'binary':
+      return { type: types[type.kind] };
+    default:
+      return isSqlServer ? { type: 'nvarchar', length: 'MAX' } : { type: 'text' };
+  }
+}
+
+/**
+ * TypeScript type of a field's property
+ * @param {Object} field - Code model field
+ * @returns {string} - Type
+ */
+function propertyType(field) {
+  if (field.type.kind === 'enum') return field.type.values.map(tsString).join(' | ');
+  return PROPERTY_TYPES[field.type.kind] || 'string';
+}
+
+function defaultValue(field) {
+  const { value } = field.defaultValue;
+  if (typeof value !== 'string') return value;
+  if (['datetime', 'json'].includes(field.type.kind)) {
+    // Left to the database as written
+    return raw(`() => ${tsString(`'${value.replace(/'/g, "''")}'`)}`);
+  }
+  return value;
+}
+
+// SQL Server has no RESTRICT; NO ACTION behaves the same there
+function referentialAction(action, dialect) {
+  return dialect === 'sqlserver' && action === 'RESTRICT' ? 'NO ACTION' : action;
+}
+
+function withComment(options, field) {
+  return field.description ? { ...options, comment: field.description } : options;
+}
+
+// Marks an option value to be written as code rather than as a literal
+function raw(code) {
+  return { raw: code };
+}
+
+/**
+ * Write an options object as a TypeScript object literal
+ * @param {Object} value - Options; values made with raw() are written as-is
+ * @returns {string} - Object literal
+ */
+function tsObject(value) {
+  const entries = Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => `${key}: ${tsValue(item)}`);
+  return `{ ${entries.join(', ')} }`;
+}
+
+function tsValue(value) {
+  if (Array.isArray(value)) return `[${value.map(tsValue).join(', ')}]`;
+  if (value && typeof value === 'object') return Object.keys(value).length === 1 && value.raw ? value.raw : tsObject(value);
+  return typeof value === 'string' ? tsString(value) : String(value);
+}
+
+function tsString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+function commentText(text) {
+  return String(text).replace(/\*\//g, '* /').replace(/\s*\n\s*/g, ' ');
+}
+
+module.exports = exports;
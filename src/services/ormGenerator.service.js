@@ -0,0 +1,40 @@
+const codeModelService = require('./codeModel.service');
+const ormTargets = require('./orm');
+const logger = require('../utils/logger');
+
+/**
+ * Generate ORM model files for a schema
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {string} target - ORM target registered in ./orm
+ * @param {Object} options - { dialect } for targets whose output depends on the database
+ * @returns {Promise<Object>} - { target, dialect, language, files: [{ path, content }] }
+ */
+exports.generateModels = async (schema, target, options = {}) => {
+  try {
+    const definition = ormTargets.getTarget(target);
+    if (!definition) {
+      throw new Error(`Unsupported ORM target: ${target}`);
+    }
+
+    const dialect = definition.dialects ? String(options.dialect || definition.defaultDialect).toLowerCase() : null;
+
+    logger.info(`Generating ${definition.name} models for schema: ${schema.name}`);
+
+    const model = codeModelService.buildModel(schema);
+    const files = definition.generator.generate(model, { dialect });
+
+    logger.info(`${definition.label} model generation complete for schema: ${schema.name} (${files.length} files)`);
+
+    return {
+      target: definition.name,
+      dialect,
+      language: definition.language,
+      files
+    };
+  } catch (error) {
+    logger.error('Error generating ORM models:', error);
+    throw new Error(`Failed to generate ORM models: ${error.message}`);
+  }
+};
+
+module.exports = exports;
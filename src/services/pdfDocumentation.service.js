@@ -0,0 +1,557 @@
+/**
+ * PDF schema documentation
+ * Renders the same content as the Markdown and HTML documentation with PDFKit: a title page,
+ * a linked table of contents, the ER diagram, one section per table and the relationship tables.
+ * Page numbers in the contents and the page footers are filled in once every page exists.
+ *
+ * PDFKit's built-in Helvetica fonts only cover Latin-1 (WinAnsi) characters.
+ */
+
+const PDFDocument = require('pdfkit');
+const erdLayoutService = require('./erdLayout.service');
+
+const PAGE = { size: 'A4', margin: 50 };
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique'
+};
+
+const COLORS = {
+  text: '#333333',
+  heading: '#2c3e50',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  headerFill: '#f2f2f2',
+  stripe: '#f9f9f9',
+  link: '#3b82f6',
+  strong: '#3b82f6',
+  weak: '#f59e0b',
+  lookup: '#10b981',
+  line: '#4b5563'
+};
+
+const TOC_LINE_HEIGHT = 18;
+
+/**
+ * Generate PDF documentation for a schema
+ * @param {Object} schema - Database schema
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+exports.generatePdfDocumentation = (schema) => render(schema, (doc) => {
+  const sections = buildSections(schema);
+
+  doc.addPage(PAGE);
+  drawTitlePage(doc, schema);
+
+  // Reserve the contents pages now; they are written once section page numbers are known
+  doc.addPage();
+  const tocStart = doc.bufferedPageRange().count - 1;
+  const tocPages = Math.ceil((sections.length * TOC_LINE_HEIGHT + 40) / contentHeight(doc));
+  for (let page = 1; page < tocPages; page += 1) {
+    doc.addPage();
+  }
+
+  startSection(doc, sections[0], { newPage: true });
+  drawOverview(doc, schema);
+
+  // Wide diagrams get a landscape page
+  const layout = erdLayoutService.layoutSchema(schema, { measureText: measureWith(doc) });
+  startSection(doc, sections[1], { newPage: true, landscape: layout.width > layout.height });
+  drawDiagram(doc, layout);
+
+  startSection(doc, sections[2], { newPage: true, landscape: false });
+  schema.tables.forEach((table, index) => {
+    startSection(doc, sections[3 + index], { newPage: index > 0 });
+    drawTableSection(doc, table);
+  });
+
+  const relationshipSections = sections.slice(3 + schema.tables.length);
+  startSection(doc, relationshipSections[0], { newPage: true });
+  drawRelationships(doc, schema);
+
+  startSection(doc, relationshipSections[1], { newPage: false });
+  drawNotes(doc, schema);
+
+  drawTableOfContents(doc, sections, tocStart);
+  drawFooters(doc, schema);
+});
+
+/**
+ * Render just the ER diagram of a schema on a single page
+ * @param {Object} schema - Database schema
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+exports.generateDiagramPdf = (schema) => render(schema, (doc) => {
+  const layout = erdLayoutService.layoutSchema(schema, { measureText: measureWith(doc) });
+  doc.addPage({ ...PAGE, layout: layout.width > layout.height ? 'landscape' : 'portrait' });
+  heading(doc, schema.name, 18);
+  drawDiagram(doc, layout);
+});
+
+/**
+ * Create a document, let a callback draw it and collect the output
+ * The document starts without pages so the callback can choose the first page's orientation.
+ * @param {Object} schema - Database schema, for the document metadata
+ * @param {Function} draw - Receives the PDFKit document
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+function render(schema, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      ...PAGE,
+      autoFirstPage: false,
+      bufferPages: true,
+      info: {
+        Title: `Database Schema: ${schema.name}`,
+        Subject: schema.description || 'Database schema documentation',
+        Creator: 'LaymanDB'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Sections listed in the table of contents, in document order
+ * @param {Object} schema - Database schema
+ * @returns {Array} - { title, destination, level, page }
+ */
+function buildSections(schema) {
+  return [
+    { title: 'Overview', destination: 'overview', level: 0 },
+    { title: 'ER Diagram', destination: 'er-diagram', level: 0 },
+    { title: 'Tables', destination: 'tables', level: 0 },
+    ...schema.tables.map((table, index) => ({ title: table.name, destination: `table-${index}`, level: 1 })),
+    { title: 'Relationships', destination: 'relationships', level: 0 },
+    { title: 'Notes', destination: 'notes', level: 0 }
+  ].map(section => ({ ...section, page: null }));
+}
+
+/**
+ * Begin a section: optional page break, link target, bookmark and heading
+ * @param {Object} doc - PDFKit document
+ * @param {Object} section - Entry from buildSections; its page is recorded
+ * @param {Object} options - { newPage, landscape }; landscape only applies to a new page
+ */
+function startSection(doc, section, { newPage = false, landscape = false } = {}) {
+  if (newPage) {
+    doc.addPage({ ...PAGE, layout: landscape ? 'landscape' : 'portrait' });
+  } else {
+    ensureSpace(doc, 80);
+  }
+
+  section.page = doc.bufferedPageRange().count - 1;
+  doc.addNamedDestination(section.destination);
+  doc.outline.addItem(section.title);
+
+  heading(doc, section.title, section.level === 0 ? 18 : 15);
+}
+
+function drawTitlePage(doc, schema) {
+  doc.moveDown(8);
+  doc.font(FONTS.bold).fontSize(28).fillColor(COLORS.heading)
+    .text(schema.name, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font(FONTS.regular).fontSize(14).fillColor(COLORS.muted)
+    .text('Database Schema Documentation', { align: 'center' });
+
+  if (schema.description) {
+    doc.moveDown(2);
+    doc.fontSize(12).fillColor(COLORS.text).text(schema.description, { align: 'center' });
+  }
+
+  doc.moveDown(4);
+  doc.fontSize(11).fillColor(COLORS.muted);
+  [
+    `${schema.tables.length} tables, ${schema.relationships.length} relationships`,
+    `Schema version ${schema.version || 1}`,
+    `Last updated ${formatDate(schema.updatedAt)}`,
+    `Generated ${formatDate(new Date())}`
+  ].forEach(line => doc.text(line, { align: 'center' }));
+
+  doc.fillColor(COLORS.text);
+}
+
+function drawOverview(doc, schema) {
+  paragraph(doc, `This schema contains ${schema.tables.length} tables and ${schema.relationships.length} relationships.`);
+
+  if (schema.description) {
+    paragraph(doc, schema.description);
+  }
+
+  drawGrid(doc, ['Table', 'Entity Type', 'Columns', 'Description'], schema.tables.map(table => [
+    table.name,
+    entityType(table),
+    String(table.columns.length),
+    table.description || ''
+  ]), [0.25, 0.2, 0.12, 0.43]);
+}
+
+/**
+ * Draw a laid-out ER diagram scaled to fit the rest of the page
+ * @param {Object} doc - PDFKit document
+ * @param {Object} layout - From erdLayoutService.layoutSchema
+ */
+function drawDiagram(doc, layout) {
+  if (layout.tables.length === 0) {
+    paragraph(doc, 'This schema has no tables.');
+    return;
+  }
+
+  const left = doc.page.margins.left;
+  const top = doc.y + 10;
+  const availableWidth = contentWidth(doc);
+  const availableHeight = doc.page.height - doc.page.margins.bottom - top;
+  const scale = Math.min(1, availableWidth / layout.width, availableHeight / layout.height);
+
+  // Box coordinates are unscaled, so PDFKit would see text below the page and break to a new one
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = -layout.height;
+
+  doc.save();
+  doc.translate(left + (availableWidth - layout.width * scale) / 2, top);
+  doc.scale(scale);
+
+  layout.relationships.forEach(relationship => {
+    const [first, ...rest] = relationship.points;
+    doc.moveTo(first.x, first.y);
+    rest.forEach(point => doc.lineTo(point.x, point.y));
+    doc.lineWidth(relationship.isIdentifying ? 2 : 1).strokeColor(COLORS.line).stroke();
+
+    [relationship.sourceMarker, relationship.targetMarker].forEach(marker => {
+      marker.lines.forEach(line => doc.moveTo(line.x1, line.y1).lineTo(line.x2, line.y2).lineWidth(1).stroke(COLORS.line));
+      marker.rings.forEach(ring => doc.circle(ring.x, ring.y, ring.r).lineWidth(1).fillAndStroke('#ffffff', COLORS.line));
+    });
+    if (relationship.name) {
+      doc.font(FONTS.italic).fontSize(8).fillColor(COLORS.muted);
+      centeredLabel(doc, relationship.name, relationship.labelPosition, true);
+    }
+  });
+
+  layout.tables.forEach(box => {
+    const accent = COLORS[box.kind];
+
+    doc.lineWidth(1).rect(box.x, box.y, box.width, box.height).fillAndStroke('#ffffff', accent);
+    doc.rect(box.x, box.y, box.width, box.headerHeight).fillAndStroke(accent, accent);
+    if (box.kind === 'weak') {
+      doc.rect(box.x - 3, box.y - 3, box.width + 6, box.height + 6).lineWidth(0.75).stroke(accent);
+    }
+
+    doc.font(FONTS.bold).fontSize(11).fillColor('#ffffff')
+      .text(box.name, box.x + 8, box.y + 7, { width: box.width - 16, lineBreak: false, ellipsis: true });
+
+    box.columns.forEach((column, index) => {
+      const y = box.y + box.headerHeight + index * box.rowHeight + 3;
+      const nameWidth = Math.max(box.typeOffset - box.nameOffset - 6, 20);
+
+      doc.font(FONTS.bold).fontSize(7).fillColor(accent)
+        .text(column.marker, box.x + 8, y + 1.5, { lineBreak: false });
+      doc.font(column.isPrimaryKey ? FONTS.bold : FONTS.regular).fontSize(10).fillColor(COLORS.text)
+        .text(column.name, box.x + box.nameOffset, y, { width: nameWidth, lineBreak: false, ellipsis: true, underline: column.isPrimaryKey });
+      doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted)
+        .text(column.dataType, box.x + box.typeOffset, y, { lineBreak: false });
+    });
+  });
+
+  doc.restore();
+  doc.page.margins.bottom = bottomMargin;
+  doc.fillColor(COLORS.text).strokeColor('#000000').lineWidth(1);
+  doc.x = left;
+  doc.y = top + layout.height * scale + 10;
+}
+
+function drawTableSection(doc, table) {
+  doc.font(FONTS.bold).fontSize(10).fillColor(COLORS[entityKind(table)])
+    .text(entityType(table));
+  doc.moveDown(0.5);
+
+  if (table.description) {
+    paragraph(doc, table.description);
+  }
+
+  subheading(doc, 'Columns');
+  drawGrid(doc, ['Name', 'Data Type', 'PK', 'FK', 'Null', 'Unique', 'Default', 'Description'], table.columns.map(column => [
+    column.name,
+    column.dataType || '',
+    column.isPrimaryKey ? 'Yes' : '',
+    column.isForeignKey ? 'Yes' : '',
+    column.isNullable !== false ? 'Yes' : '',
+    column.isUnique ? 'Yes' : '',
+    column.defaultValue === undefined || column.defaultValue === null ? '' : String(column.defaultValue),
+    column.description || ''
+  ]), [0.17, 0.15, 0.05, 0.05, 0.06, 0.07, 0.18, 0.27]);
+
+  const foreignKeyColumns = table.columns.filter(column => column.isForeignKey && column.references);
+  if (foreignKeyColumns.length > 0) {
+    subheading(doc, 'Foreign Key References');
+    drawGrid(doc, ['Column', 'References', 'On Delete', 'On Update'], foreignKeyColumns.map(column => [
+      column.name,
+      `${column.references.table}.${column.references.column}`,
+      column.references.onDelete || 'NO ACTION',
+      column.references.onUpdate || 'NO ACTION'
+    ]), [0.25, 0.35, 0.2, 0.2]);
+  }
+}
+
+function drawRelationships(doc, schema) {
+  if (schema.relationships.length === 0) {
+    paragraph(doc, 'This schema has no relationships.');
+  } else {
+    drawGrid(doc, ['Source', 'Relationship', 'Target', 'Type', 'Cardinality', 'Identifying', 'Description'],
+      schema.relationships.map(relationship => [
+        relationship.sourceEntity || relationship.sourceTable,
+        relationship.name || 'relates to',
+        relationship.targetEntity || relationship.targetTable,
+        formatRelationshipType(relationship.type),
+        `${erdLayoutService.getCardinality(relationship, 'source')} : ${erdLayoutService.getCardinality(relationship, 'target')}`,
+        relationship.isIdentifying ? 'Yes' : '',
+        relationship.description || ''
+      ]), [0.13, 0.14, 0.13, 0.17, 0.1, 0.12, 0.21]);
+  }
+
+  const withAttributes = schema.relationships.filter(relationship =>
+    Array.isArray(relationship.attributes) && relationship.attributes.length > 0
+  );
+
+  withAttributes.forEach(relationship => {
+    const sourceEntity = relationship.sourceEntity || relationship.sourceTable;
+    const targetEntity = relationship.targetEntity || relationship.targetTable;
+
+    subheading(doc, `${relationship.name || 'Relationship'} (${sourceEntity} to ${targetEntity}) attributes`);
+    drawGrid(doc, ['Attribute', 'Data Type', 'Description'], relationship.attributes.map(attribute => [
+      attribute.name,
+      attribute.dataType || '',
+      attribute.description || ''
+    ]), [0.3, 0.25, 0.45]);
+  });
+}
+
+function drawNotes(doc, schema) {
+  [
+    'This documentation was automatically generated by LaymanDB.',
+    `Schema creation date: ${formatDate(schema.createdAt)}`,
+    `Last updated: ${formatDate(schema.updatedAt)}`,
+    `Schema version: ${schema.version || 1}`
+  ].forEach(line => doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).text(`•  ${line}`));
+}
+
+/**
+ * Write the reserved contents pages, linking each entry to its section
+ * @param {Object} doc - PDFKit document
+ * @param {Array} sections - Sections with their page numbers
+ * @param {number} firstPage - Index of the first reserved page
+ */
+function drawTableOfContents(doc, sections, firstPage) {
+  let pageIndex = firstPage;
+  doc.switchToPage(pageIndex);
+  doc.x = doc.page.margins.left;
+  doc.y = doc.page.margins.top;
+  heading(doc, 'Table of Contents', 18);
+
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  sections.forEach(section => {
+    if (doc.y + TOC_LINE_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+      pageIndex += 1;
+      doc.switchToPage(pageIndex);
+      doc.y = doc.page.margins.top;
+    }
+
+    const y = doc.y;
+    const indent = section.level * 20;
+    const pageLabel = String(section.page + 1);
+
+    doc.font(section.level === 0 ? FONTS.bold : FONTS.regular).fontSize(11).fillColor(COLORS.link)
+      .text(section.title, left + indent, y, {
+        width: width - indent - 40,
+        lineBreak: false,
+        ellipsis: true,
+        goTo: section.destination
+      });
+    doc.font(FONTS.regular).fillColor(COLORS.text)
+      .text(pageLabel, left, y, { width, align: 'right', lineBreak: false });
+
+    doc.y = y + TOC_LINE_HEIGHT;
+  });
+
+  doc.fillColor(COLORS.text);
+}
+
+/**
+ * Number every page except the title page
+ * @param {Object} doc - PDFKit document
+ * @param {Object} schema - Database schema
+ */
+function drawFooters(doc, schema) {
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let index = start + 1; index < start + count; index += 1) {
+    doc.switchToPage(index);
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - bottomMargin / 2 - 5;
+    doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted);
+    doc.text(schema.name, doc.page.margins.left, y, { lineBreak: false });
+    doc.text(`Page ${index + 1} of ${count}`, doc.page.margins.left, y, {
+      width: contentWidth(doc),
+      align: 'right',
+      lineBreak: false
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Draw a bordered table, breaking across pages and repeating the header row
+ * @param {Object} doc - PDFKit document
+ * @param {Array} headers - Column titles
+ * @param {Array} rows - Rows of cell strings
+ * @param {Array} fractions - Share of the content width for each column
+ */
+function drawGrid(doc, headers, rows, fractions) {
+  const left = doc.page.margins.left;
+  const widths = fractions.map(fraction => fraction * contentWidth(doc));
+  const padding = 4;
+  const fontSize = 8.5;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map((cell, index) =>
+      doc.heightOfString(String(cell), { width: widths[index] - padding * 2 })
+    )) + padding * 2;
+  };
+
+  const drawRow = (cells, { font, fill }) => {
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    let x = left;
+
+    cells.forEach((cell, index) => {
+      if (fill) {
+        doc.rect(x, y, widths[index], height).fill(fill);
+      }
+      doc.rect(x, y, widths[index], height).lineWidth(0.5).stroke(COLORS.border);
+      doc.font(font).fontSize(fontSize).fillColor(COLORS.text)
+        .text(String(cell), x + padding, y + padding, { width: widths[index] - padding * 2 });
+      x += widths[index];
+    });
+
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  ensureSpace(doc, rowHeight(headers, FONTS.bold) * 2);
+  drawRow(headers, { font: FONTS.bold, fill: COLORS.headerFill });
+
+  rows.forEach((row, index) => {
+    if (doc.y + rowHeight(row, FONTS.regular) > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headers, { font: FONTS.bold, fill: COLORS.headerFill });
+    }
+    drawRow(row, { font: FONTS.regular, fill: index % 2 === 1 ? COLORS.stripe : null });
+  });
+
+  doc.moveDown(1);
+}
+
+function heading(doc, text, size) {
+  doc.x = doc.page.margins.left;
+  doc.font(FONTS.bold).fontSize(size).fillColor(COLORS.heading).text(text);
+  doc.moveDown(0.5);
+  doc.fillColor(COLORS.text);
+}
+
+function subheading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.x = doc.page.margins.left;
+  doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.heading).text(text);
+  doc.moveDown(0.3);
+  doc.fillColor(COLORS.text);
+}
+
+function paragraph(doc, text) {
+  doc.x = doc.page.margins.left;
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).text(text, { width: contentWidth(doc) });
+  doc.moveDown(0.8);
+}
+
+function centeredLabel(doc, text, position, withBackground = false) {
+  const width = doc.widthOfString(text);
+  const height = doc.currentLineHeight();
+
+  if (withBackground) {
+    doc.save();
+    doc.rect(position.x - width / 2 - 2, position.y - height / 2 - 1, width + 4, height + 2).fill('#ffffff');
+    doc.restore();
+  }
+  doc.text(text, position.x - width / 2, position.y - height / 2, { lineBreak: false });
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function contentHeight(doc) {
+  return doc.page.height - doc.page.margins.top - doc.page.margins.bottom;
+}
+
+/**
+ * Text measurer for the layout, using the document's font metrics
+ * @param {Object} doc - PDFKit document
+ * @returns {Function} - (text, fontSize, bold) -> width
+ */
+function measureWith(doc) {
+  return (text, fontSize, bold) => doc.font(bold ? FONTS.bold : FONTS.regular).fontSize(fontSize).widthOfString(String(text || ''));
+}
+
+function entityKind(table) {
+  return table.isWeakEntity ? 'weak' : (table.isLookupTable ? 'lookup' : 'strong');
+}
+
+function entityType(table) {
+  return { weak: 'Weak Entity', lookup: 'Lookup/Reference Table', strong: 'Strong Entity' }[entityKind(table)];
+}
+
+function formatRelationshipType(type) {
+  const labels = {
+    ONE_TO_ONE: 'One-to-One (1:1)',
+    ONE_TO_MANY: 'One-to-Many (1:N)',
+    MANY_TO_ONE: 'Many-to-One (N:1)',
+    MANY_TO_MANY: 'Many-to-Many (N:M)'
+  };
+  return type ? labels[String(type).toUpperCase()] || type : 'Undefined';
+}
+
+function formatDate(date) {
+  const d = date ? new Date(date) : null;
+  if (!d || isNaN(d.getTime())) {
+    return 'Unknown';
+  }
+  return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+module.exports = exports;
@@ -3,42 +3,18 @@
  * Converts natural language questions into SQL queries based on database schema
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('./llm');
+const dialects = require('./dialects');
 const logger = require('../utils/logger');
 const { format } = require('sql-formatter');
 
 class QueryGeneratorService {
   constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.modelName = process.env.GEMINI_MODEL_NAME || 'gemini-2.5-flash';
-    this.genAI = null;
-    this.model = null;
-    this.initialize();
-  }
-
-  initialize() {
-    if (this.isInitialized()) {
-      logger.info('Query Generator Service already initialized.');
-      return;
-    }
-    
-    if (!this.apiKey) {
-      logger.error('GEMINI_API_KEY is not set in environment variables. Query Generator Service will not function.');
-      return;
-    }
-    
-    try {
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: this.modelName });
-      logger.info(`Query Generator Service initialized successfully with model: ${this.modelName}`);
-    } catch (error) {
-      logger.error('Failed to initialize Query Generator Service', { error: error.message });
-      this.model = null;
-    }
+    this.feature = 'queryGeneration';
   }
 
   isInitialized() {
-    return !!this.model;
+    return llm.isConfigured(this.feature);
   }
 
   /**
@@ -123,15 +99,13 @@ class QueryGeneratorService {
    */
   async generateQuery(question, schema, dialect = 'mysql') {
     if (!this.isInitialized()) {
-      this.initialize();
-      if (!this.isInitialized()) {
-        return {
-          success: false,
-          error: 'Query Generator Service is not initialized. Please check your GEMINI_API_KEY.',
-          sql: null,
-          explanation: null
-        };
-      }
+      logger.error(`The LLM provider for ${this.feature} is not configured.`);
+      return {
+        success: false,
+        error: 'Query Generator Service is not initialized. Please check the LLM provider configuration (e.g. GEMINI_API_KEY).',
+        sql: null,
+        explanation: null
+      };
     }
 
     try {
@@ -166,38 +140,29 @@ ${question}
 
 Generate the ${dialect.toUpperCase()} query:`;
 
-      const result = await this.model.generateContent({
-        contents: [
-          {
-            role: "user",
-            parts: [
-              {
-                text: `${systemPrompt}\n\n---\n\n${userPrompt}`
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.2, // Lower temperature for more deterministic SQL
-          maxOutputTokens: 2048,
-          responseMimeType: 'text/plain',
-        }
+      const response = await llm.complete(this.feature, {
+        system: systemPrompt,
+        prompt: userPrompt,
+        temperature: 0.2, // Lower temperature for more deterministic SQL
+        maxTokens: 2048
       });
 
-      const response = await result.response;
-      const rawText = response.text();
+      const rawText = response.text;
       
       // Extract SQL and explanation
       let sql = this.extractSQL(rawText);
       
       // Try to format the SQL
+      const definition = dialects.getDialect(dialect);
       try {
-        sql = format(sql, {
-          language: dialect === 'sqlserver' ? 'tsql' : dialect,
-          indent: '  ',
-          uppercase: true,
-          linesBetweenQueries: 2,
-        });
+        if (definition && definition.formatterLanguage) {
+          sql = format(sql, {
+            language: definition.formatterLanguage,
+            indent: '  ',
+            uppercase: true,
+            linesBetweenQueries: 2,
+          });
+        }
       } catch (formatError) {
         logger.warn('Could not format SQL, returning unformatted', { error: formatError.message });
       }
@@ -0,0 +1,583 @@
+const schemaGeneratorService = require('./schemaGenerator.service');
+const logger = require('../utils/logger');
+
+const RELATIONSHIP_TYPES = ['ONE_TO_ONE', 'ONE_TO_MANY', 'MANY_TO_ONE', 'MANY_TO_MANY'];
+
+// Editable fields; anything else in an update is ignored
+const TABLE_FIELDS = ['name', 'description', 'isWeakEntity', 'isLookupTable', 'assumptionsMade', 'position'];
+const COLUMN_FIELDS = [
+  'name', 'dataType', 'isPrimaryKey', 'isForeignKey', 'isNullable', 'isUnique', 'defaultValue', 'references', 'description'
+];
+const RELATIONSHIP_FIELDS = [
+  'name', 'description', 'sourceCardinality', 'targetCardinality', 'sourceParticipation',
+  'targetParticipation', 'attributes', 'position', 'assumptionsMade'
+];
+
+// Changing any of these moves foreign keys, so the relationship is rebuilt
+const RELATIONSHIP_STRUCTURE_FIELDS = ['sourceTable', 'targetTable', 'type', 'isIdentifying'];
+
+/**
+ * Apply a single edit to a schema's tables and relationships
+ * @param {Object} schema - Schema with tables and relationships (not modified)
+ * @param {Object} operation - { type, table, column, relationship, sourceTable, targetTable, data }
+ * @returns {Object} - Edited tables and relationships, plus a summary for the revision message
+ */
+exports.applyOperation = (schema, operation = {}) => {
+  const handler = OPERATIONS[operation.type];
+
+  if (!handler) {
+    throw editorError(`Unknown operation "${operation.type}"`, 400);
+  }
+
+  const state = {
+    tables: clone(schema.tables || []),
+    relationships: clone(schema.relationships || [])
+  };
+
+  const summary = handler(state, operation);
+
+  logger.info('Applied schema edit', { type: operation.type, summary });
+
+  return { ...state, summary };
+};
+
+/**
+ * Apply a change set (e.g. one proposed by the model) as a sequence of edits
+ * @param {Object} schema - Schema with tables and relationships (not modified)
+ * @param {Array} changes - Entity/attribute/relationship changes
+ * @returns {Object} - Edited tables and relationships, with applied and skipped changes
+ */
+exports.applyChangeSet = (schema, changes = []) => {
+  let current = { tables: schema.tables || [], relationships: schema.relationships || [] };
+  const applied = [];
+  const skipped = [];
+
+  // Each change is applied on its own so one bad change doesn't discard the rest
+  changes.forEach((change, index) => {
+    try {
+      const result = exports.applyOperation(current, toOperation(change));
+      current = result;
+      applied.push({ index, change, summary: result.summary });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      skipped.push({ index, change, reason: error.message });
+    }
+  });
+
+  logger.info('Applied change set', { applied: applied.length, skipped: skipped.length });
+
+  return {
+    tables: current.tables,
+    relationships: current.relationships,
+    applied,
+    skipped
+  };
+};
+
+/**
+ * Translate a change set entry into an editor operation
+ * @param {Object} change - Change with an action such as addEntity or modifyAttribute
+ * @returns {Object} - Editor operation
+ */
+function toOperation(change = {}) {
+  const tableName = (name) => (name ? schemaGeneratorService.transformTableName(name) : name);
+  const relationshipData = (data = {}) => {
+    const { sourceEntity, targetEntity, ...rest } = data;
+    return {
+      ...rest,
+      ...(sourceEntity !== undefined && { sourceTable: tableName(sourceEntity) }),
+      ...(targetEntity !== undefined && { targetTable: tableName(targetEntity) })
+    };
+  };
+
+  switch (change.action) {
+    case 'addEntity':
+      return {
+        type: 'addTable',
+        table: change.entity,
+        data: { ...change, columns: change.attributes }
+      };
+    case 'modifyEntity':
+      return {
+        type: 'updateTable',
+        table: tableName(change.entity),
+        data: { ...change, name: change.newName }
+      };
+    case 'removeEntity':
+      return { type: 'removeTable', table: tableName(change.entity) };
+    case 'addAttribute':
+      return {
+        type: 'addColumn',
+        table: tableName(change.entity),
+        column: change.attribute?.name,
+        data: change.attribute
+      };
+    case 'modifyAttribute':
+      return {
+        type: 'updateColumn',
+        table: tableName(change.entity),
+        column: change.attribute,
+        data: change.changes
+      };
+    case 'removeAttribute':
+      return { type: 'removeColumn', table: tableName(change.entity), column: change.attribute };
+    case 'addRelationship':
+      return {
+        type: 'addRelationship',
+        relationship: change.relationship?.name,
+        data: relationshipData(change.relationship)
+      };
+    case 'modifyRelationship':
+      return {
+        type: 'updateRelationship',
+        relationship: change.relationship,
+        sourceTable: tableName(change.sourceEntity),
+        targetTable: tableName(change.targetEntity),
+        data: relationshipData(change.changes)
+      };
+    case 'removeRelationship':
+      return {
+        type: 'removeRelationship',
+        relationship: change.relationship,
+        sourceTable: tableName(change.sourceEntity),
+        targetTable: tableName(change.targetEntity)
+      };
+    default:
+      throw editorError(`Unknown change action "${change.action}"`, 400);
+  }
+}
+
+const OPERATIONS = {
+  addTable: (state, { table: tableName, data = {} }) => {
+    const name = schemaGeneratorService.transformTableName(tableName || data.name);
+    if (findTableIndex(state.tables, name) !== -1) {
+      throw editorError(`Table "${name}" already exists`, 409);
+    }
+
+    const table = schemaGeneratorService.buildTable(
+      { ...data, name, attributes: data.columns },
+      state.tables.length
+    );
+    table.columns.forEach(column => checkReference(state.tables.concat(table), column));
+    state.tables.push(table);
+
+    return `Added table "${table.name}"`;
+  },
+
+  updateTable: (state, { table: tableName, data = {} }) => {
+    const table = getTable(state.tables, tableName);
+    const changes = pick(data, TABLE_FIELDS);
+
+    if (changes.name !== undefined) {
+      const name = schemaGeneratorService.transformTableName(changes.name);
+      if (name !== table.name && findTableIndex(state.tables, name) !== -1) {
+        throw editorError(`Table "${name}" already exists`, 409);
+      }
+      renameTable(state, table.name, name);
+      delete changes.name;
+    }
+
+    Object.assign(table, changes);
+
+    return `Updated table "${table.name}"`;
+  },
+
+  removeTable: (state, { table: tableName }) => {
+    const table = getTable(state.tables, tableName);
+
+    state.tables = state.tables.filter(t => t !== table);
+    state.relationships = state.relationships.filter(relationship =>
+      relationship.sourceTable !== table.name && relationship.targetTable !== table.name
+    );
+
+    // Foreign keys pointing at the removed table would reference nothing
+    state.tables.forEach(t => {
+      t.columns = t.columns.filter(column => column.references?.table !== table.name);
+    });
+
+    return `Removed table "${table.name}"`;
+  },
+
+  addColumn: (state, { table: tableName, column: columnName, data = {} }) => {
+    const table = getTable(state.tables, tableName);
+    const [column] = schemaGeneratorService.generateColumnsFromAttributes([{ ...data, name: columnName || data.name }]);
+
+    if (table.columns.some(c => c.name === column.name)) {
+      throw editorError(`Column "${table.name}.${column.name}" already exists`, 409);
+    }
+
+    if (column.references) {
+      column.isForeignKey = true;
+    }
+    if (column.isPrimaryKey) {
+      column.isNullable = false;
+    }
+    checkReference(state.tables, column);
+
+    // Keep the timestamp columns last, as the generator does
+    const timestamps = table.columns.findIndex(c => c.name === 'created_at');
+    table.columns.splice(timestamps === -1 ? table.columns.length : timestamps, 0, column);
+
+    return `Added column "${table.name}.${column.name}"`;
+  },
+
+  updateColumn: (state, { table: tableName, column: columnName, data = {} }) => {
+    const table = getTable(state.tables, tableName);
+    const column = getColumn(table, columnName);
+    const changes = pick(data, COLUMN_FIELDS);
+
+    if (changes.name !== undefined) {
+      const name = String(changes.name).toLowerCase().replace(/\s+/g, '_');
+      if (name !== column.name && table.columns.some(c => c.name === name)) {
+        throw editorError(`Column "${table.name}.${name}" already exists`, 409);
+      }
+      renameColumn(state, table.name, column.name, name);
+      delete changes.name;
+    }
+
+    Object.assign(column, changes);
+
+    if (changes.references) {
+      column.isForeignKey = true;
+    } else if (changes.references === null || changes.isForeignKey === false) {
+      column.isForeignKey = false;
+      delete column.references;
+    }
+    if (column.isPrimaryKey) {
+      column.isNullable = false;
+    }
+    checkReference(state.tables, column);
+
+    // Foreign keys must keep the type of the column they reference
+    if (changes.dataType) {
+      eachReferencingColumn(state.tables, table.name, column.name, fk => {
+        fk.dataType = column.dataType;
+      });
+    }
+
+    return `Updated column "${table.name}.${column.name}"`;
+  },
+
+  removeColumn: (state, { table: tableName, column: columnName }) => {
+    const table = getTable(state.tables, tableName);
+    const column = getColumn(table, columnName);
+
+    const referencedBy = [];
+    eachReferencingColumn(state.tables, table.name, column.name, (fk, t) => {
+      referencedBy.push(`${t.name}.${fk.name}`);
+    });
+
+    if (referencedBy.length > 0) {
+      throw editorError(
+        `Column "${table.name}.${column.name}" is referenced by ${referencedBy.join(', ')}`,
+        409
+      );
+    }
+
+    table.columns = table.columns.filter(c => c !== column);
+    state.relationships = state.relationships.filter(relationship =>
+      !(relationship.sourceTable === table.name && relationship.sourceColumn === column.name) &&
+      !(relationship.targetTable === table.name && relationship.targetColumn === column.name)
+    );
+
+    return `Removed column "${table.name}.${column.name}"`;
+  },
+
+  addRelationship: (state, { relationship: relationshipName, data = {} }) => {
+    const relationship = addRelationship(state, { ...data, name: relationshipName || data.name });
+
+    return `Added relationship "${relationship.name}" from "${relationship.sourceTable}" to "${relationship.targetTable}"`;
+  },
+
+  updateRelationship: (state, { relationship: relationshipName, sourceTable, targetTable, data = {} }) => {
+    const existing = getRelationship(state.relationships, relationshipName, { sourceTable, targetTable });
+    const structural = RELATIONSHIP_STRUCTURE_FIELDS.some(field =>
+      data[field] !== undefined && data[field] !== existing[field]
+    );
+
+    if (!structural) {
+      Object.assign(existing, pick(data, RELATIONSHIP_FIELDS));
+      return `Updated relationship "${existing.name}"`;
+    }
+
+    // Drop the old foreign keys and derive new ones as if the relationship had been generated
+    removeRelationship(state, existing);
+    const relationship = addRelationship(state, {
+      ...existing,
+      ...pick(data, [...RELATIONSHIP_FIELDS, ...RELATIONSHIP_STRUCTURE_FIELDS]),
+      sourceEntity: undefined,
+      targetEntity: undefined,
+      sourceColumn: undefined,
+      targetColumn: undefined
+    });
+
+    return `Updated relationship "${relationship.name}" from "${relationship.sourceTable}" to "${relationship.targetTable}"`;
+  },
+
+  removeRelationship: (state, { relationship: relationshipName, sourceTable, targetTable }) => {
+    const relationship = getRelationship(state.relationships, relationshipName, { sourceTable, targetTable });
+    removeRelationship(state, relationship);
+
+    return `Removed relationship "${relationship.name}" from "${relationship.sourceTable}" to "${relationship.targetTable}"`;
+  }
+};
+
+/**
+ * Add a relationship, creating foreign keys and weak-entity keys the way the generator does
+ * @param {Object} state - Tables and relationships being edited
+ * @param {Object} data - Relationship definition
+ * @returns {Object} - The added relationship
+ */
+function addRelationship(state, data) {
+  const type = String(data.type || 'ONE_TO_MANY').toUpperCase();
+
+  if (!RELATIONSHIP_TYPES.includes(type)) {
+    throw editorError(`Unsupported relationship type "${data.type}"`, 400);
+  }
+
+  if (!data.sourceTable || !data.targetTable) {
+    throw editorError('Relationship needs a sourceTable and a targetTable', 400);
+  }
+
+  const source = getTable(state.tables, data.sourceTable);
+  const target = getTable(state.tables, data.targetTable);
+  const name = data.name || (type === 'ONE_TO_MANY' ? 'has' : 'relates_to');
+
+  if (state.relationships.some(r =>
+    r.name === name && r.sourceTable === source.name && r.targetTable === target.name
+  )) {
+    throw editorError(`Relationship "${name}" from "${source.name}" to "${target.name}" already exists`, 409);
+  }
+
+  const relationship = schemaGeneratorService.transformRelationship(
+    { ...data, name, type, sourceTable: source.name, targetTable: target.name },
+    state.tables
+  );
+
+  schemaGeneratorService.processIdentifyingRelationships([relationship], state.tables);
+  state.relationships.push(relationship);
+
+  return relationship;
+}
+
+/**
+ * Remove a relationship and the foreign key that was created for it
+ * @param {Object} state - Tables and relationships being edited
+ * @param {Object} relationship - Relationship to remove
+ */
+function removeRelationship(state, relationship) {
+  state.relationships = state.relationships.filter(r => r !== relationship);
+
+  const foreignKey = relationshipForeignKey(relationship, state.tables);
+
+  // Another relationship between the same tables may still use the column
+  const stillUsed = foreignKey && state.relationships.some(r =>
+    relationshipForeignKey(r, state.tables)?.column === foreignKey.column
+  );
+
+  if (foreignKey && !stillUsed) {
+    foreignKey.table.columns = foreignKey.table.columns.filter(c => c !== foreignKey.column);
+  }
+
+  // A weak entity with no identifying relationship left is an ordinary table again
+  if (relationship.isIdentifying) {
+    const dependent = state.tables.find(t => t.name === relationship.targetTable);
+    if (dependent && !state.relationships.some(r => r.isIdentifying && r.targetTable === dependent.name)) {
+      dependent.isWeakEntity = false;
+    }
+  }
+}
+
+/**
+ * Find the foreign key column a relationship created
+ * @param {Object} relationship - Relationship
+ * @param {Array} tables - All tables
+ * @returns {Object|null} - { table, column } or null for many-to-many relationships
+ */
+function relationshipForeignKey(relationship, tables) {
+  if (relationship.type === 'MANY_TO_MANY') {
+    return null;
+  }
+
+  // addForeignKey puts the key on the "many" side, which is the target except for MANY_TO_ONE
+  const manyToOne = relationship.type === 'MANY_TO_ONE';
+  const holder = tables.find(t => t.name === (manyToOne ? relationship.sourceTable : relationship.targetTable));
+  const referenced = manyToOne ? relationship.targetTable : relationship.sourceTable;
+
+  const candidates = (holder?.columns || []).filter(c => c.isForeignKey && c.references?.table === referenced);
+
+  // Prefer the column the relationship names, then the generator's naming, then the only candidate
+  const column = candidates.find(c => !manyToOne && c.name === relationship.targetColumn) ||
+    candidates.find(c => c.name === `${referenced.toLowerCase()}_id`) ||
+    (candidates.length === 1 ? candidates[0] : null);
+
+  return column ? { table: holder, column } : null;
+}
+
+/**
+ * Rename a table and everything that points at it
+ * @param {Object} state - Tables and relationships being edited
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ */
+function renameTable(state, from, to) {
+  state.tables.forEach(table => {
+    if (table.name === from) {
+      table.name = to;
+    }
+    table.columns.forEach(column => {
+      if (column.references?.table === from) {
+        column.references.table = to;
+      }
+    });
+  });
+
+  state.relationships.forEach(relationship => {
+    if (relationship.sourceTable === from) {
+      relationship.sourceTable = to;
+      relationship.sourceEntity = to;
+    }
+    if (relationship.targetTable === from) {
+      relationship.targetTable = to;
+      relationship.targetEntity = to;
+    }
+  });
+}
+
+/**
+ * Rename a column and everything that points at it
+ * @param {Object} state - Tables and relationships being edited
+ * @param {string} tableName - Table that owns the column
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ */
+function renameColumn(state, tableName, from, to) {
+  getColumn(getTable(state.tables, tableName), from).name = to;
+
+  eachReferencingColumn(state.tables, tableName, from, fk => {
+    fk.references.column = to;
+  });
+
+  state.relationships.forEach(relationship => {
+    if (relationship.sourceTable === tableName && relationship.sourceColumn === from) {
+      relationship.sourceColumn = to;
+    }
+    if (relationship.targetTable === tableName && relationship.targetColumn === from) {
+      relationship.targetColumn = to;
+    }
+  });
+}
+
+/**
+ * Call back for every foreign key that references a column
+ * @param {Array} tables - All tables
+ * @param {string} tableName - Referenced table
+ * @param {string} columnName - Referenced column
+ * @param {Function} callback - Called with (column, table)
+ */
+function eachReferencingColumn(tables, tableName, columnName, callback) {
+  tables.forEach(table => {
+    table.columns.forEach(column => {
+      if (column.references?.table === tableName && column.references.column === columnName) {
+        callback(column, table);
+      }
+    });
+  });
+}
+
+/**
+ * Check that a foreign key column references an existing column
+ * @param {Array} tables - All tables
+ * @param {Object} column - Column to check
+ */
+function checkReference(tables, column) {
+  if (!column.references) return;
+
+  const { table: tableName, column: columnName } = column.references;
+  const table = tables.find(t => t.name === tableName);
+
+  if (!table || !table.columns.some(c => c.name === columnName)) {
+    throw editorError(`Column "${column.name}" references "${tableName}.${columnName}", which does not exist`, 400);
+  }
+}
+
+function findTableIndex(tables, name) {
+  return tables.findIndex(table => table.name.toLowerCase() === String(name).toLowerCase());
+}
+
+function getTable(tables, name) {
+  const index = findTableIndex(tables, name);
+
+  if (index === -1) {
+    throw editorError(`Table "${name}" not found`, 404);
+  }
+
+  return tables[index];
+}
+
+function getColumn(table, name) {
+  const column = table.columns.find(c => c.name.toLowerCase() === String(name).toLowerCase());
+
+  if (!column) {
+    throw editorError(`Column "${table.name}.${name}" not found`, 404);
+  }
+
+  return column;
+}
+
+/**
+ * Find a relationship by name, narrowed by source/target table when the name is shared
+ * @param {Array} relationships - All relationships
+ * @param {string} name - Relationship name
+ * @param {Object} filter - Optional sourceTable and targetTable
+ * @returns {Object} - The relationship
+ */
+function getRelationship(relationships, name, filter = {}) {
+  const matches = relationships.filter(relationship =>
+    relationship.name === name &&
+    (!filter.sourceTable || relationship.sourceTable === filter.sourceTable) &&
+    (!filter.targetTable || relationship.targetTable === filter.targetTable)
+  );
+
+  if (matches.length === 0) {
+    throw editorError(`Relationship "${name}" not found`, 404);
+  }
+
+  if (matches.length > 1) {
+    throw editorError(
+      `Relationship name "${name}" is used ${matches.length} times; pass sourceTable and targetTable to choose one`,
+      409
+    );
+  }
+
+  return matches[0];
+}
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function editorError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function pick(data, fields) {
+  return fields.reduce((picked, field) => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+    return picked;
+  }, {});
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+exports.RELATIONSHIP_TYPES = RELATIONSHIP_TYPES;
+
+module.exports = exports;
@@ -17,62 +17,7 @@ exports.generateSchema = async (extractedData, options = {}) => {
     });
     
     // Transform entities into tables
-    const tables = entities.map((entity, index) => {
-      // Basic table structure
-      const table = {
-        name: transformTableName(entity.name),
-        columns: generateColumnsFromAttributes(entity.attributes || []),
-        description: entity.description || `Table for ${entity.name}`,
-        isWeakEntity: entity.isWeakEntity === true,
-        isLookupTable: entity.isLookupTable === true,
-        assumptionsMade: entity.assumptionsMade || [],
-        position: {
-          x: entity.position?.x || (100 + (index % 3) * 350),
-          y: entity.position?.y || (100 + Math.floor(index / 3) * 250),
-          isDraggable: true
-        }
-      };
-      
-      // Ensure primary key exists
-      if (!table.columns.some(col => col.isPrimaryKey)) {
-        table.columns.unshift({
-          name: 'id',
-          dataType: 'INTEGER',
-          isPrimaryKey: true,
-          isForeignKey: false,
-          isNullable: false,
-          isUnique: true,
-          description: 'Primary key'
-        });
-      }
-      
-      // Ensure timestamp columns exist for all tables
-      if (!table.columns.some(col => col.name === 'created_at')) {
-        table.columns.push({
-          name: 'created_at',
-          dataType: 'TIMESTAMP',
-          isPrimaryKey: false,
-          isForeignKey: false,
-          isNullable: false,
-          defaultValue: 'CURRENT_TIMESTAMP',
-          description: 'Creation timestamp'
-        });
-      }
-      
-      if (!table.columns.some(col => col.name === 'updated_at')) {
-        table.columns.push({
-          name: 'updated_at',
-          dataType: 'TIMESTAMP',
-          isPrimaryKey: false,
-          isForeignKey: false,
-          isNullable: false,
-          defaultValue: 'CURRENT_TIMESTAMP',
-          description: 'Last update timestamp'
-        });
-      }
-      
-      return table;
-    });
+    const tables = entities.map((entity, index) => buildTable(entity, index));
     
     // Transform relationships
     const transformedRelationships = relationships
@@ -109,6 +54,69 @@ exports.generateSchema = async (extractedData, options = {}) => {
   }
 };
 
+/**
+ * Build a table from an entity, adding a primary key and timestamps when missing
+ * @param {Object} entity - Entity with name, attributes and optional flags/position
+ * @param {number} index - Position of the table in the schema, used for default layout
+ * @returns {Object} - Table definition
+ */
+function buildTable(entity, index) {
+  // Basic table structure
+  const table = {
+    name: transformTableName(entity.name),
+    columns: generateColumnsFromAttributes(entity.attributes || []),
+    description: entity.description || `Table for ${entity.name}`,
+    isWeakEntity: entity.isWeakEntity === true,
+    isLookupTable: entity.isLookupTable === true,
+    assumptionsMade: entity.assumptionsMade || [],
+    position: {
+      x: entity.position?.x || (100 + (index % 3) * 350),
+      y: entity.position?.y || (100 + Math.floor(index / 3) * 250),
+      isDraggable: true
+    }
+  };
+  
+  // Ensure primary key exists
+  if (!table.columns.some(col => col.isPrimaryKey)) {
+    table.columns.unshift({
+      name: 'id',
+      dataType: 'INTEGER',
+      isPrimaryKey: true,
+      isForeignKey: false,
+      isNullable: false,
+      isUnique: true,
+      description: 'Primary key'
+    });
+  }
+  
+  // Ensure timestamp columns exist for all tables
+  if (!table.columns.some(col => col.name === 'created_at')) {
+    table.columns.push({
+      name: 'created_at',
+      dataType: 'TIMESTAMP',
+      isPrimaryKey: false,
+      isForeignKey: false,
+      isNullable: false,
+      defaultValue: 'CURRENT_TIMESTAMP',
+      description: 'Creation timestamp'
+    });
+  }
+  
+  if (!table.columns.some(col => col.name === 'updated_at')) {
+    table.columns.push({
+      name: 'updated_at',
+      dataType: 'TIMESTAMP',
+      isPrimaryKey: false,
+      isForeignKey: false,
+      isNullable: false,
+      defaultValue: 'CURRENT_TIMESTAMP',
+      description: 'Last update timestamp'
+    });
+  }
+  
+  return table;
+}
+
 /**
  * Transform entity name to valid table name
  * @param {string} entityName - Entity name
@@ -612,4 +620,19 @@ function detectLookupTables(tables) {
   });
 }
 
+// Shared with the SQL importer so imported tables are classified the same way
+exports.detectLookupTables = detectLookupTables;
+
+// Shared with the Mermaid importer, which resolves names and generic types before generating
+exports.transformTableName = transformTableName;
+exports.inferDataType = inferDataType;
+
+// Shared with the schema editor so granular edits keep keys consistent with generated schemas
+exports.buildTable = buildTable;
+exports.generateColumnsFromAttributes = generateColumnsFromAttributes;
+exports.transformRelationship = transformRelationship;
+exports.setupForeignKeys = setupForeignKeys;
+exports.addForeignKey = addForeignKey;
+exports.processIdentifyingRelationships = processIdentifyingRelationships;
+
 module.exports = exports;
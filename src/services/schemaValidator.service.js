@@ -0,0 +1,333 @@
+const sqlGeneratorService = require('./sqlGenerator.service');
+const dialects = require('./dialects');
+const schemaGeneratorService = require('./schemaGenerator.service');
+const logger = require('../utils/logger');
+
+const SUPPORTED_DIALECTS = dialects.listDialects();
+
+// Findings are reported in this order
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Type names that describe the same storage, so FK/PK comparisons don't flag them
+const TYPE_ALIASES = {
+  INT: 'INTEGER',
+  INT4: 'INTEGER',
+  SERIAL: 'INTEGER',
+  INT8: 'BIGINT',
+  BIGSERIAL: 'BIGINT',
+  NUMERIC: 'DECIMAL',
+  BOOL: 'BOOLEAN',
+  NVARCHAR: 'VARCHAR',
+  'CHARACTER VARYING': 'VARCHAR'
+};
+
+/**
+ * Validation rules. Each check returns { message, path } findings; the rule supplies id and severity.
+ */
+const RULES = [
+  {
+    id: 'missing-primary-key',
+    severity: 'error',
+    description: 'Every table needs a primary key',
+    check: (schema) => schema.tables
+      .map((table, t) => ({ table, t }))
+      .filter(({ table }) => !(table.columns || []).some(column => column.isPrimaryKey))
+      .map(({ table, t }) => ({
+        message: `Table "${table.name}" has no primary key`,
+        path: `$.tables[${t}]`
+      }))
+  },
+  {
+    id: 'nullable-primary-key',
+    severity: 'error',
+    description: 'Primary key columns cannot be nullable',
+    check: (schema) => eachColumn(schema)
+      .filter(({ column }) => column.isPrimaryKey && column.isNullable !== false)
+      .map(({ table, column, path }) => ({
+        message: `Primary key column "${table.name}.${column.name}" is nullable; databases reject NULL in primary keys`,
+        path: `${path}.isNullable`
+      }))
+  },
+  {
+    id: 'duplicate-column',
+    severity: 'error',
+    description: 'Column names must be unique within a table',
+    check: (schema) => schema.tables.flatMap((table, t) =>
+      findDuplicates(table.columns || [], column => normalizeName(column.name)).map(({ item, index, first }) => ({
+        message: `Column "${item.name}" is defined more than once in table "${table.name}" (first at index ${first})`,
+        path: `$.tables[${t}].columns[${index}]`
+      }))
+    )
+  },
+  {
+    id: 'table-name-collision',
+    severity: 'error',
+    description: 'Table names must stay unique once normalized to snake_case',
+    check: (schema) => findDuplicates(
+      schema.tables,
+      table => schemaGeneratorService.transformTableName(table.name)
+    ).map(({ item, index, first }) => ({
+      message: `Table "${item.name}" becomes "${schemaGeneratorService.transformTableName(item.name)}", which collides with "${schema.tables[first].name}"`,
+      path: `$.tables[${index}].name`
+    }))
+  },
+  {
+    id: 'orphan-relationship',
+    severity: 'error',
+    description: 'Relationships must connect existing tables',
+    check: (schema) => (schema.relationships || []).flatMap((rel, r) => [
+      { field: 'sourceTable', name: rel.sourceTable || rel.sourceEntity },
+      { field: 'targetTable', name: rel.targetTable || rel.targetEntity }
+    ]
+      .filter(({ name }) => !findTable(schema, name))
+      .map(({ field, name }) => ({
+        message: `Relationship "${rel.name}" references missing table "${name}"`,
+        path: `$.relationships[${r}].${field}`
+      }))
+    )
+  },
+  {
+    id: 'relationship-column-missing',
+    severity: 'warning',
+    description: 'Relationship columns should exist in their tables',
+    check: (schema) => (schema.relationships || []).flatMap((rel, r) => {
+      const findings = [];
+      const sourceTable = findTable(schema, rel.sourceTable);
+      const targetTable = findTable(schema, rel.targetTable);
+
+      if (sourceTable && rel.sourceColumn && !findColumn(sourceTable, rel.sourceColumn)) {
+        findings.push({
+          message: `Relationship "${rel.name}" uses column "${rel.sourceColumn}", which does not exist in "${sourceTable.name}"`,
+          path: `$.relationships[${r}].sourceColumn`
+        });
+      }
+      if (targetTable && rel.targetColumn && !findColumn(targetTable, rel.targetColumn)) {
+        findings.push({
+          message: `Relationship "${rel.name}" uses column "${rel.targetColumn}", which does not exist in "${targetTable.name}"`,
+          path: `$.relationships[${r}].targetColumn`
+        });
+      }
+      return findings;
+    })
+  },
+  {
+    id: 'fk-missing-reference',
+    severity: 'warning',
+    description: 'Foreign key columns should say what they reference',
+    check: (schema) => eachColumn(schema)
+      .filter(({ column }) => column.isForeignKey && !(column.references && column.references.table))
+      .map(({ table, column, path }) => ({
+        message: `Foreign key "${table.name}.${column.name}" has no reference, so no constraint will be generated`,
+        path
+      }))
+  },
+  {
+    id: 'fk-unknown-target',
+    severity: 'error',
+    description: 'Foreign keys must reference an existing table and column',
+    check: (schema) => eachForeignKey(schema).flatMap(({ table, column, path, referencedTable }) => {
+      if (!referencedTable) {
+        return [{
+          message: `Foreign key "${table.name}.${column.name}" references missing table "${column.references.table}"`,
+          path: `${path}.references.table`
+        }];
+      }
+      if (column.references.column && !findColumn(referencedTable, column.references.column)) {
+        return [{
+          message: `Foreign key "${table.name}.${column.name}" references missing column "${referencedTable.name}.${column.references.column}"`,
+          path: `${path}.references.column`
+        }];
+      }
+      return [];
+    })
+  },
+  {
+    id: 'fk-target-not-key',
+    severity: 'warning',
+    description: 'Foreign keys should reference a primary key or unique column',
+    check: (schema) => eachForeignKey(schema)
+      .filter(({ referencedColumn }) =>
+        referencedColumn && !referencedColumn.isPrimaryKey && !referencedColumn.isUnique
+      )
+      .map(({ table, column, path, referencedTable, referencedColumn }) => ({
+        message: `Foreign key "${table.name}.${column.name}" references "${referencedTable.name}.${referencedColumn.name}", which is neither a primary key nor unique`,
+        path: `${path}.references.column`
+      }))
+  },
+  {
+    id: 'fk-type-mismatch',
+    severity: 'error',
+    description: 'Foreign keys must have the same type as the column they reference',
+    check: (schema) => eachForeignKey(schema)
+      .filter(({ referencedColumn }) => referencedColumn)
+      .flatMap(({ table, column, path, referencedTable, referencedColumn }) => {
+        const own = parseType(column.dataType);
+        const referenced = parseType(referencedColumn.dataType);
+        if (own.base === referenced.base && own.size === referenced.size) return [];
+
+        return [{
+          // Only the length differs (VARCHAR(36) vs VARCHAR(50)): values may still fit
+          severity: own.base === referenced.base ? 'warning' : 'error',
+          message: `Foreign key "${table.name}.${column.name}" is ${column.dataType || 'untyped'} but "${referencedTable.name}.${referencedColumn.name}" is ${referencedColumn.dataType || 'untyped'}`,
+          path: `${path}.dataType`
+        }];
+      })
+  },
+  {
+    id: 'reserved-word',
+    severity: 'warning',
+    description: 'Table and column names should not be reserved words',
+    check: (schema, context) => {
+      const reservedIn = (name) => context.dialects.filter(dialect =>
+        sqlGeneratorService.getDialectGenerator(dialect).reservedWords.includes(String(name).toUpperCase())
+      );
+      const message = (kind, name, dialects) =>
+        `${kind} name "${name}" is a reserved word in ${dialects.join(', ')}; it must be quoted in hand-written queries`;
+
+      const tables = schema.tables
+        .map((table, t) => ({ table, t, dialects: reservedIn(table.name) }))
+        .filter(({ dialects }) => dialects.length > 0)
+        .map(({ table, t, dialects }) => ({ message: message('Table', table.name, dialects), path: `$.tables[${t}].name` }));
+
+      const columns = eachColumn(schema)
+        .map(entry => ({ ...entry, dialects: reservedIn(entry.column.name) }))
+        .filter(({ dialects }) => dialects.length > 0)
+        .map(({ column, path, dialects }) => ({ message: message('Column', column.name, dialects), path: `${path}.name` }));
+
+      return [...tables, ...columns];
+    }
+  }
+];
+
+/**
+ * Validate a schema against the design rules
+ * @param {Object} schema - Schema with tables and relationships
+ * @param {Object} options - Validation options ({ dialect }); reserved words are checked for all dialects when omitted
+ * @returns {Object} - { valid, dialect, findings, summary }
+ */
+exports.validateSchema = (schema, options = {}) => {
+  const dialect = options.dialect ? options.dialect.toLowerCase() : null;
+  const context = { dialects: dialect ? [dialect] : SUPPORTED_DIALECTS };
+  const target = { ...schema, tables: schema.tables || [], relationships: schema.relationships || [] };
+
+  const findings = RULES.flatMap(rule =>
+    rule.check(target, context).map(finding => ({
+      rule: rule.id,
+      severity: finding.severity || rule.severity,
+      message: finding.message,
+      path: finding.path
+    }))
+  ).sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const summary = {
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+    info: findings.filter(finding => finding.severity === 'info').length
+  };
+
+  logger.info(`Validated schema: ${schema.name}`, summary);
+
+  return {
+    valid: summary.errors === 0,
+    dialect,
+    findings,
+    summary
+  };
+};
+
+exports.SUPPORTED_DIALECTS = SUPPORTED_DIALECTS;
+
+/**
+ * Flatten all columns of a schema with their JSON paths
+ * @param {Object} schema - Schema
+ * @returns {Array} - { table, column, path }
+ */
+function eachColumn(schema) {
+  return schema.tables.flatMap((table, t) =>
+    (table.columns || []).map((column, c) => ({ table, column, path: `$.tables[${t}].columns[${c}]` }))
+  );
+}
+
+/**
+ * Flatten all foreign key columns that name a referenced table
+ * @param {Object} schema - Schema
+ * @returns {Array} - { table, column, path, referencedTable, referencedColumn }
+ */
+function eachForeignKey(schema) {
+  return eachColumn(schema)
+    .filter(({ column }) => column.isForeignKey && column.references && column.references.table)
+    .map(entry => {
+      const referencedTable = findTable(schema, entry.column.references.table);
+      const referencedColumn = referencedTable && entry.column.references.column
+        ? findColumn(referencedTable, entry.column.references.column)
+        : null;
+      return { ...entry, referencedTable, referencedColumn };
+    });
+}
+
+/**
+ * Find a table by name (case-insensitive)
+ * @param {Object} schema - Schema
+ * @param {string} name - Table name
+ * @returns {Object|undefined} - Table
+ */
+function findTable(schema, name) {
+  if (!name) return undefined;
+  return schema.tables.find(table => table.name && table.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Find a column by name (case-insensitive)
+ * @param {Object} table - Table
+ * @param {string} name - Column name
+ * @returns {Object|undefined} - Column
+ */
+function findColumn(table, name) {
+  return (table.columns || []).find(column => column.name && column.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Normalize a column name the way schemaGenerator does
+ * @param {string} name - Column name
+ * @returns {string} - Normalized name
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Find items whose key repeats an earlier item's key
+ * @param {Array} items - Items to check
+ * @param {Function} keyOf - Returns the comparison key of an item
+ * @returns {Array} - { item, index, first } for every repeat
+ */
+function findDuplicates(items, keyOf) {
+  const firstIndex = new Map();
+  const duplicates = [];
+
+  items.forEach((item, index) => {
+    const key = keyOf(item);
+    if (firstIndex.has(key)) {
+      duplicates.push({ item, index, first: firstIndex.get(key) });
+    } else {
+      firstIndex.set(key, index);
+    }
+  });
+
+  return duplicates;
+}
+
+/**
+ * Split a data type into a canonical base type and size
+ * @param {string} dataType - Data type such as "varchar(255)" or "INT"
+ * @returns {Object} - { base, size }
+ */
+function parseType(dataType) {
+  const match = String(dataType || '').toUpperCase().trim().match(/^([A-Z_ ]+?)\s*(?:\(([^)]*)\))?$/);
+  if (!match) return { base: String(dataType || '').toUpperCase(), size: null };
+
+  const base = TYPE_ALIASES[match[1]] || match[1];
+  return { base, size: match[2] ? match[2].replace(/\s+/g, '') : null };
+}
+
+module.exports = exports;
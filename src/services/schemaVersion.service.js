@@ -0,0 +1,329 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const Schema = require('../models/schema.model');
+const SchemaRevision = require('../models/schemaRevision.model');
+const logger = require('../utils/logger');
+
+// Schema ID -> promise of the last queued task, so changes to a schema are made one at a time
+const lockQueues = new Map();
+// Schema IDs whose lock the current call chain holds, so nested calls don't wait for themselves
+const heldLocks = new AsyncLocalStorage();
+
+// Fields that are compared when diffing columns, tables and relationships
+const COLUMN_FIELDS = [
+  'dataType', 'isPrimaryKey', 'isForeignKey', 'isNullable', 'isUnique', 'defaultValue', 'references', 'description'
+];
+const TABLE_FIELDS = ['description', 'isWeakEntity', 'isLookupTable'];
+const RELATIONSHIP_FIELDS = [
+  'type', 'sourceColumn', 'targetColumn', 'isIdentifying', 'sourceCardinality',
+  'targetCardinality', 'sourceParticipation', 'targetParticipation', 'description'
+];
+
+/**
+ * Record an immutable revision for the current state of a schema
+ * @param {Object} schema - Saved schema (must have an _id and version)
+ * @param {string} message - Short description of the change
+ * @returns {Promise<Object>} - The saved revision
+ */
+exports.recordRevision = async (schema, message = '') => {
+  const revision = new SchemaRevision({
+    schemaId: schema._id,
+    version: schema.version,
+    name: schema.name,
+    description: schema.description,
+    tables: schema.tables,
+    relationships: schema.relationships,
+    nodePositions: schema.nodePositions,
+    message
+  });
+
+  await revision.save();
+
+  logger.info(`Recorded revision ${revision.version} for schema ${schema._id}`, { message });
+
+  return revision;
+};
+
+/**
+ * Run a task while holding a schema's lock. Tasks for the same schema run one at a time, in the
+ * order they were queued; calls made by a task that already holds the lock run straight away.
+ * Read the schema inside the task so changes are made to the latest version.
+ * @param {string} schemaId - Schema ID
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - The task's result
+ */
+exports.withSchemaLock = (schemaId, task) => {
+  const key = String(schemaId);
+  const held = heldLocks.getStore() || new Set();
+
+  if (held.has(key)) {
+    return Promise.resolve().then(task);
+  }
+
+  const previous = lockQueues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => heldLocks.run(new Set([...held, key]), task));
+
+  lockQueues.set(key, next);
+  // Drop the queue once it drains so idle schemas don't keep a promise chain alive
+  next.catch(() => {}).then(() => {
+    if (lockQueues.get(key) === next) {
+      lockQueues.delete(key);
+    }
+  });
+
+  return next;
+};
+
+/**
+ * Apply updates to a schema as a new version and record the revision. The schema must still be
+ * at the version it was read at: a copy that another change has replaced is rejected with a 409
+ * instead of overwriting that change.
+ * @param {Object} schema - Schema model instance
+ * @param {Object} updates - Fields to change
+ * @param {string} message - Short description of the change
+ * @returns {Promise<Object>} - The updated schema
+ */
+exports.commitRevision = (schema, updates = {}, message = '') => {
+  return exports.withSchemaLock(schema._id, async () => {
+    const stored = await Schema.findById(schema._id);
+
+    if (!stored) {
+      throw versionError('Schema not found', 404);
+    }
+    if (stored.version !== schema.version) {
+      const error = versionError('Schema has been modified', 409);
+      error.currentVersion = stored.version;
+      throw error;
+    }
+
+    // Schemas stored before version history existed have no revision yet
+    if (!(await SchemaRevision.findOne(schema._id, schema.version))) {
+      await exports.recordRevision(schema, 'Baseline');
+    }
+
+    // Identity, version and creation time are owned by the history, not the client; ownership,
+    // workspace and archiving only change through their own endpoints
+    const {
+      _id, version, createdAt, updatedAt, ownerId, collaborators, workspaceId, archivedAt, ...changes
+    } = updates;
+
+    Object.assign(schema, changes);
+    schema.version += 1;
+    await schema.save();
+
+    await exports.recordRevision(schema, message);
+
+    return schema;
+  });
+};
+
+/**
+ * List revision summaries for a schema
+ * @param {string} schemaId - Schema ID
+ * @returns {Promise<Array>} - Revision summaries, oldest first
+ */
+exports.listRevisions = async (schemaId) => {
+  const revisions = await SchemaRevision.findBySchemaId(schemaId);
+
+  return revisions.map(revision => ({
+    version: revision.version,
+    name: revision.name,
+    message: revision.message,
+    tableCount: revision.tables.length,
+    relationshipCount: revision.relationships.length,
+    createdAt: revision.createdAt
+  }));
+};
+
+/**
+ * Get a single revision of a schema
+ * @param {string} schemaId - Schema ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} - The revision or null if not found
+ */
+exports.getRevision = async (schemaId, version) => {
+  return SchemaRevision.findOne(schemaId, version);
+};
+
+/**
+ * Roll a schema back to an earlier revision. The rollback itself becomes a new revision,
+ * so history is never rewritten. The diagram layout is restored with the tables.
+ * @param {Object} schema - Schema model instance
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object|null>} - The updated schema, or null if the version does not exist
+ */
+exports.rollback = async (schema, version) => {
+  const revision = await SchemaRevision.findOne(schema._id, version);
+  if (!revision) return null;
+
+  return exports.commitRevision(schema, {
+    name: revision.name,
+    description: revision.description,
+    tables: revision.tables,
+    relationships: revision.relationships,
+    nodePositions: restoredPositions(revision, schema)
+  }, `Rollback to version ${revision.version}`);
+};
+
+/**
+ * Compute a structural diff between two schema snapshots
+ * @param {Object} from - Older snapshot ({ tables, relationships })
+ * @param {Object} to - Newer snapshot ({ tables, relationships })
+ * @returns {Object} - Added, removed and altered tables, columns and relationships
+ */
+exports.diffSchemas = (from, to) => {
+  const tables = diffCollections(
+    from.tables || [],
+    to.tables || [],
+    table => table.name,
+    (oldTable, newTable) => {
+      const changes = diffFields(oldTable, newTable, TABLE_FIELDS);
+      const columns = diffCollections(
+        oldTable.columns || [],
+        newTable.columns || [],
+        column => column.name,
+        (oldColumn, newColumn) => {
+          const columnChanges = diffFields(oldColumn, newColumn, COLUMN_FIELDS);
+          return Object.keys(columnChanges).length > 0 ? { changes: columnChanges } : null;
+        }
+      );
+
+      const hasColumnChanges = columns.added.length > 0 || columns.removed.length > 0 || columns.altered.length > 0;
+      if (Object.keys(changes).length === 0 && !hasColumnChanges) return null;
+
+      return { changes, columns };
+    }
+  );
+
+  const relationships = diffCollections(
+    from.relationships || [],
+    to.relationships || [],
+    relationshipKey,
+    (oldRel, newRel) => {
+      const changes = diffFields(oldRel, newRel, RELATIONSHIP_FIELDS);
+      return Object.keys(changes).length > 0 ? { changes } : null;
+    }
+  );
+
+  return {
+    tables,
+    relationships,
+    summary: {
+      tablesAdded: tables.added.length,
+      tablesRemoved: tables.removed.length,
+      tablesAltered: tables.altered.length,
+      relationshipsAdded: relationships.added.length,
+      relationshipsRemoved: relationships.removed.length,
+      relationshipsAltered: relationships.altered.length,
+      hasChanges: [tables, relationships].some(d =>
+        d.added.length > 0 || d.removed.length > 0 || d.altered.length > 0
+      )
+    }
+  };
+};
+
+/**
+ * Build the identity key of a relationship
+ * @param {Object} relationship - Relationship object
+ * @returns {string} - Key combining name and both tables
+ */
+function relationshipKey(relationship) {
+  return `${relationship.sourceTable}:${relationship.name}:${relationship.targetTable}`;
+}
+
+/**
+ * Diff two lists of named items
+ * @param {Array} oldItems - Items in the older snapshot
+ * @param {Array} newItems - Items in the newer snapshot
+ * @param {Function} keyOf - Returns the identity key of an item
+ * @param {Function} compare - Returns alteration details or null when unchanged
+ * @returns {Object} - { added, removed, altered }
+ */
+function diffCollections(oldItems, newItems, keyOf, compare) {
+  const oldByKey = new Map(oldItems.map(item => [keyOf(item), item]));
+  const newByKey = new Map(newItems.map(item => [keyOf(item), item]));
+
+  const added = newItems.filter(item => !oldByKey.has(keyOf(item)));
+  const removed = oldItems.filter(item => !newByKey.has(keyOf(item)));
+  const altered = [];
+
+  newItems.forEach(newItem => {
+    const key = keyOf(newItem);
+    const oldItem = oldByKey.get(key);
+    if (!oldItem) return;
+
+    const details = compare(oldItem, newItem);
+    if (details) {
+      altered.push({ name: key, before: oldItem, after: newItem, ...details });
+    }
+  });
+
+  return { added, removed, altered };
+}
+
+/**
+ * Compare selected fields of two objects
+ * @param {Object} oldItem - Older object
+ * @param {Object} newItem - Newer object
+ * @param {Array} fields - Field names to compare
+ * @returns {Object} - Map of field name to { from, to } for changed fields
+ */
+function diffFields(oldItem, newItem, fields) {
+  const changes = {};
+
+  fields.forEach(field => {
+    const oldValue = normalizeValue(field, oldItem[field]);
+    const newValue = normalizeValue(field, newItem[field]);
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { from: oldValue, to: newValue };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Treat missing, null and false flags as equivalent so snapshots from different
+ * sources (AI output, manual edits) don't produce noise
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*} - Normalized value
+ */
+function normalizeValue(field, value) {
+  // Columns are nullable unless explicitly marked otherwise
+  if (field === 'isNullable') {
+    return value !== false;
+  }
+  if (value === undefined || value === null || value === false || value === '') {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Diagram positions for the tables a rollback restores: the positions saved with the revision,
+ * or the current position of a table for revisions that have none
+ * @param {Object} revision - Revision being restored
+ * @param {Object} schema - Schema as it is now
+ * @returns {Object} - Positions keyed by table name
+ */
+function restoredPositions(revision, schema) {
+  const saved = revision.nodePositions || {};
+  const current = schema.nodePositions || {};
+
+  return revision.tables.reduce((positions, table) => {
+    const position = saved[table.name] || current[table.name];
+    if (position) {
+      positions[table.name] = position;
+    }
+    return positions;
+  }, {});
+}
+
+function versionError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = exports;
@@ -0,0 +1,354 @@
+/**
+ * Listing and search for schemas, sessions and workspaces
+ * Storage adapters only support get/set/list, so filtering, full-text matching, sorting and
+ * pagination happen here on the documents a user can see.
+ *
+ * Search splits the query into terms; a document matches when every term appears (case-insensitive,
+ * as a substring) in at least one of its searchable fields. Matches in more important fields
+ * (e.g. the name) score higher, which orders results when sorting by relevance.
+ */
+
+const Schema = require('../models/schema.model');
+const Session = require('../models/session.model');
+const Workspace = require('../models/workspace.model');
+const accessService = require('./access.service');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Matched fields reported per result
+const MAX_MATCHES = 10;
+
+const ARCHIVED_FILTERS = ['false', 'true', 'all'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const SORT_FIELDS = {
+  schemas: ['relevance', 'updatedAt', 'createdAt', 'name', 'tableCount'],
+  sessions: ['relevance', 'updatedAt', 'createdAt', 'name'],
+  workspaces: ['relevance', 'updatedAt', 'createdAt', 'name']
+};
+
+// Weight of a match in each searchable field
+const FIELD_WEIGHTS = {
+  name: 5,
+  table: 3,
+  description: 2,
+  column: 1,
+  prompt: 1
+};
+
+/**
+ * Read and check listing options from a query string
+ * @param {Object} query - Express req.query
+ * @param {string} kind - schemas, sessions or workspaces
+ * @returns {Object} - { q, terms, page, limit, sort, order, archived, workspaceId }
+ */
+exports.parseListOptions = (query = {}, kind) => {
+  const q = String(query.q || '').trim();
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const sort = query.sort || (q ? 'relevance' : 'updatedAt');
+  const archived = String(query.archived || 'false').toLowerCase();
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw searchError('page must be a positive integer');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw searchError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (!SORT_FIELDS[kind].includes(sort)) {
+    throw searchError(`sort must be one of: ${SORT_FIELDS[kind].join(', ')}`);
+  }
+  if (!ARCHIVED_FILTERS.includes(archived)) {
+    throw searchError(`archived must be one of: ${ARCHIVED_FILTERS.join(', ')}`);
+  }
+
+  // Names read best A-Z; everything else newest or most relevant first
+  const order = String(query.order || (sort === 'name' ? 'asc' : 'desc')).toLowerCase();
+  if (!SORT_ORDERS.includes(order)) {
+    throw searchError(`order must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  return {
+    q,
+    terms: q ? q.toLowerCase().split(/\s+/) : [],
+    page,
+    limit,
+    sort,
+    order,
+    archived,
+    workspaceId: query.workspaceId === undefined ? undefined : String(query.workspaceId)
+  };
+};
+
+/**
+ * List the schemas a user can view
+ * @param {Object} user - User model instance
+ * @param {Object} options - From parseListOptions
+ * @returns {Promise<Object>} - { schemas, pagination }
+ */
+exports.listSchemas = async (user, options) => {
+  const schemas = (await Schema.findAll())
+    .map(schema => ({ schema, role: accessService.getSchemaRole(schema, user) }))
+    .filter(({ role }) => role)
+    .filter(({ schema }) => matchesFilters(schema, options));
+
+  const results = rank(schemas, ({ schema }) => schemaFields(schema), options, ({ schema }) => ({
+    name: schema.name,
+    updatedAt: schema.updatedAt,
+    createdAt: schema.createdAt,
+    tableCount: schema.tables.length
+  }));
+
+  const { items, pagination } = paginate(results, options);
+
+  return {
+    schemas: items.map(({ item: { schema, role }, score, matches }) => ({
+      _id: schema._id,
+      name: schema.name,
+      description: schema.description,
+      version: schema.version,
+      tableCount: schema.tables.length,
+      relationshipCount: schema.relationships.length,
+      ownerId: schema.ownerId,
+      role,
+      workspaceId: schema.workspaceId,
+      archivedAt: schema.archivedAt,
+      createdAt: schema.createdAt,
+      updatedAt: schema.updatedAt,
+      ...(options.terms.length > 0 && { score, matches })
+    })),
+    pagination
+  };
+};
+
+/**
+ * List a user's sessions
+ * @param {Object} user - User model instance
+ * @param {Object} options - From parseListOptions
+ * @returns {Promise<Object>} - { sessions, pagination }
+ */
+exports.listSessions = async (user, options) => {
+  const sessions = (await Session.findAll())
+    .filter(session => !session.ownerId || String(session.ownerId) === String(user._id))
+    .filter(session => matchesFilters(session, options));
+
+  const results = rank(sessions, sessionFields, options, session => ({
+    name: session.name,
+    updatedAt: session.updatedAt,
+    createdAt: session.createdAt
+  }));
+
+  const { items, pagination } = paginate(results, options);
+
+  return {
+    sessions: items.map(({ item: session, score, matches }) => ({
+      _id: session._id,
+      name: session.name,
+      description: session.description,
+      schemaCount: session.schemas.length,
+      activeSchemaId: session.activeSchemaId,
+      workspaceId: session.workspaceId,
+      archivedAt: session.archivedAt,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      ...(options.terms.length > 0 && { score, matches })
+    })),
+    pagination
+  };
+};
+
+/**
+ * List a user's workspaces with the number of schemas and sessions in each
+ * @param {Object} user - User model instance
+ * @param {Object} options - From parseListOptions
+ * @returns {Promise<Object>} - { workspaces, pagination }
+ */
+exports.listWorkspaces = async (user, options) => {
+  const workspaces = (await Workspace.findAll())
+    .filter(workspace => String(workspace.ownerId) === String(user._id))
+    .filter(workspace => matchesArchived(workspace, options.archived));
+
+  const results = rank(workspaces, workspaceFields, options, workspace => ({
+    name: workspace.name,
+    updatedAt: workspace.updatedAt,
+    createdAt: workspace.createdAt
+  }));
+
+  const { items, pagination } = paginate(results, options);
+  const counts = await exports.countWorkspaceContents(items.map(({ item }) => item._id));
+
+  return {
+    workspaces: items.map(({ item: workspace, score, matches }) => ({
+      ...workspace.toObject(),
+      ...counts.get(String(workspace._id)),
+      ...(options.terms.length > 0 && { score, matches })
+    })),
+    pagination
+  };
+};
+
+/**
+ * Count the schemas and sessions filed under each workspace
+ * @param {Array} workspaceIds - Workspace IDs
+ * @returns {Promise<Map>} - Workspace ID -> { schemaCount, sessionCount }
+ */
+exports.countWorkspaceContents = async (workspaceIds) => {
+  const counts = new Map(workspaceIds.map(id => [String(id), { schemaCount: 0, sessionCount: 0 }]));
+  const [schemas, sessions] = await Promise.all([Schema.findAll(), Session.findAll()]);
+
+  schemas.forEach(schema => {
+    const entry = counts.get(String(schema.workspaceId));
+    if (entry) entry.schemaCount += 1;
+  });
+  sessions.forEach(session => {
+    const entry = counts.get(String(session.workspaceId));
+    if (entry) entry.sessionCount += 1;
+  });
+
+  return counts;
+};
+
+/**
+ * Whether a schema or session passes the archived and workspace filters
+ * @param {Object} document - Schema or session
+ * @param {Object} options - From parseListOptions; workspaceId "none" selects unfiled documents
+ * @returns {boolean} - True when the document should be listed
+ */
+function matchesFilters(document, options) {
+  if (!matchesArchived(document, options.archived)) {
+    return false;
+  }
+  if (options.workspaceId === undefined) {
+    return true;
+  }
+  return options.workspaceId === 'none'
+    ? !document.workspaceId
+    : String(document.workspaceId) === options.workspaceId;
+}
+
+function matchesArchived(document, archived) {
+  if (archived === 'all') {
+    return true;
+  }
+  return archived === 'true' ? Boolean(document.archivedAt) : !document.archivedAt;
+}
+
+/**
+ * Searchable text of a schema
+ * @param {Object} schema - Schema model instance
+ * @returns {Array} - { field, value } pairs
+ */
+function schemaFields(schema) {
+  return [
+    { field: 'name', value: schema.name },
+    { field: 'description', value: schema.description },
+    ...schema.tables.flatMap(table => [
+      { field: 'table', value: table.name },
+      ...(table.columns || []).map(column => ({ field: 'column', value: `${table.name}.${column.name}` }))
+    ])
+  ];
+}
+
+function sessionFields(session) {
+  return [
+    { field: 'name', value: session.name },
+    { field: 'description', value: session.description },
+    { field: 'prompt', value: session.prompt }
+  ];
+}
+
+function workspaceFields(workspace) {
+  return [
+    { field: 'name', value: workspace.name },
+    { field: 'description', value: workspace.description }
+  ];
+}
+
+/**
+ * Apply the search terms and sort
+ * @param {Array} items - Candidate items
+ * @param {Function} getFields - Item -> searchable { field, value } pairs
+ * @param {Object} options - From parseListOptions
+ * @param {Function} getSortValues - Item -> values of the sortable fields
+ * @returns {Array} - { item, score, matches }, sorted
+ */
+function rank(items, getFields, options, getSortValues) {
+  const results = items
+    .map(item => ({ item, ...scoreItem(getFields(item), options.terms) }))
+    .filter(result => result.score !== null);
+
+  const direction = options.order === 'asc' ? 1 : -1;
+
+  return results.sort((a, b) => {
+    if (options.sort === 'relevance') {
+      return direction * (a.score - b.score) || getSortValues(b.item).updatedAt - getSortValues(a.item).updatedAt;
+    }
+
+    const left = getSortValues(a.item)[options.sort];
+    const right = getSortValues(b.item)[options.sort];
+    if (typeof left === 'string') {
+      return direction * left.localeCompare(right, undefined, { sensitivity: 'base' });
+    }
+    return direction * (left - right);
+  });
+}
+
+/**
+ * Score an item's fields against the search terms
+ * @param {Array} fields - { field, value } pairs
+ * @param {Array} terms - Lower-cased search terms
+ * @returns {Object} - { score, matches }; score is null when a term matches nothing
+ */
+function scoreItem(fields, terms) {
+  if (terms.length === 0) {
+    return { score: 0, matches: [] };
+  }
+
+  let score = 0;
+  const matches = [];
+
+  for (const term of terms) {
+    const matching = fields.filter(({ value }) => value && String(value).toLowerCase().includes(term));
+    if (matching.length === 0) {
+      return { score: null, matches: [] };
+    }
+
+    matching.forEach(match => {
+      score += FIELD_WEIGHTS[match.field];
+      if (!matches.some(existing => existing.field === match.field && existing.value === match.value)) {
+        matches.push(match);
+      }
+    });
+  }
+
+  return { score, matches: matches.slice(0, MAX_MATCHES) };
+}
+
+/**
+ * Cut one page out of the results
+ * @param {Array} results - Sorted results
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { items, pagination: { page, limit, total, totalPages } }
+ */
+function paginate(results, { page, limit }) {
+  return {
+    items: results.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: results.length,
+      totalPages: Math.ceil(results.length / limit)
+    }
+  };
+}
+
+function searchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+exports.SORT_FIELDS = SORT_FIELDS;
+
+module.exports = exports;
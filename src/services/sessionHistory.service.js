@@ -0,0 +1,353 @@
+/**
+ * Session history
+ * A session keeps an ordered record of the conversation that produced its schemas. Each entry has
+ * an id, a type and a createdAt timestamp, plus type-specific fields:
+ *
+ *   - prompt:        { prompt, mode }                    a prompt sent for schema generation
+ *   - optimize:      { prompt, result }                  an optimized prompt
+ *   - enhance:       { prompt, result }                  an enhanced prompt
+ *   - schema:        { schemaId, schemaName, source, prompt, mode, extraction, replayOf }
+ *                    a schema added to the session; source is generate, replay or save
+ *   - query:         { question, dialect, schemaName, sql, explanation }
+ *   - mermaid-query: { question, schemaName, mermaidCode, explanation }
+ *
+ * Replaying a session runs the prompts of its generated schemas again and adds the new schemas.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/session.model');
+const Schema = require('../models/schema.model');
+const accessService = require('./access.service');
+const nlpService = require('./nlp.service');
+const schemaGeneratorService = require('./schemaGenerator.service');
+const schemaVersionService = require('./schemaVersion.service');
+const logger = require('../utils/logger');
+
+const ENTRY_TYPES = ['prompt', 'optimize', 'enhance', 'schema', 'query', 'mermaid-query'];
+
+// Each replayed prompt is a full generation, so one replay is capped
+const MAX_REPLAY_ENTRIES = 20;
+
+/**
+ * Check a session ID sent with a generation, prompt or query request
+ * @param {string|null|undefined} sessionId - Session ID from the request
+ * @param {Object} user - User model instance
+ * @returns {Promise<Object|null>} - Session model instance, or null when none was given
+ */
+exports.resolveSession = async (sessionId, user) => {
+  if (sessionId === undefined || sessionId === null || sessionId === '') {
+    return null;
+  }
+
+  return accessService.requireSessionOwner(sessionId, user);
+};
+
+/**
+ * Append an entry to a session's history
+ * The session is reloaded first so entries recorded by concurrent requests aren't lost. Recording
+ * is best effort: the request that produced the entry has already succeeded, so a failure here is
+ * logged rather than thrown.
+ * @param {Object|string|null} session - Session model instance or ID; null records nothing
+ * @param {string} type - One of ENTRY_TYPES
+ * @param {Object} data - Type-specific fields
+ * @returns {Promise<Object|null>} - The recorded entry, or null when nothing was recorded
+ */
+exports.recordEntry = async (session, type, data = {}) => {
+  if (!session) {
+    return null;
+  }
+
+  const sessionId = typeof session === 'object' ? session._id : session;
+
+  try {
+    const current = await Session.findById(sessionId);
+    if (!current) {
+      return null;
+    }
+
+    const entry = exports.appendEntry(current, type, data);
+    await current.save();
+
+    return entry;
+  } catch (error) {
+    logger.error(`Failed to record ${type} in session ${sessionId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Add an entry to a session without saving it
+ * Prompts become the session's current prompt, and schemas join the session and become active.
+ * @param {Object} session - Session model instance
+ * @param {string} type - One of ENTRY_TYPES
+ * @param {Object} data - Type-specific fields
+ * @returns {Object} - The entry
+ */
+exports.appendEntry = (session, type, data = {}) => {
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown session history entry type: ${type}`);
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    type,
+    ...data,
+    createdAt: new Date().toISOString()
+  };
+  session.history.push(entry);
+
+  if (type === 'prompt') {
+    session.prompt = data.prompt;
+  }
+  if (type === 'schema') {
+    if (!session.schemas.some(schemaId => String(schemaId) === String(data.schemaId))) {
+      session.schemas.push(data.schemaId);
+    }
+    session.activeSchemaId = data.schemaId;
+  }
+
+  return entry;
+};
+
+/**
+ * List a session's history, oldest first
+ * @param {Object} session - Session model instance
+ * @param {Object} options - { type } to only list entries of one type
+ * @returns {Array} - History entries
+ */
+exports.listHistory = (session, { type } = {}) => {
+  if (type !== undefined && !ENTRY_TYPES.includes(type)) {
+    throw historyError(`type must be one of: ${ENTRY_TYPES.join(', ')}`, 400);
+  }
+
+  return type ? session.history.filter(entry => entry.type === type) : session.history;
+};
+
+/**
+ * Rename or re-describe a session
+ * @param {Object} session - Session model instance
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<Object>} - The updated session
+ */
+exports.updateSession = async (session, { name, description } = {}) => {
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw historyError('Session name must be a non-empty string', 400);
+    }
+    session.name = name.trim();
+  }
+  if (description !== undefined) {
+    session.description = String(description);
+  }
+
+  return session.save();
+};
+
+/**
+ * Copy a session, optionally only up to one of its history entries
+ * The fork refers to the same schemas as the original; replay the fork to give it its own.
+ * @param {Object} session - Session model instance
+ * @param {Object} user - User model instance; owns the fork
+ * @param {Object} options - { name, upToEntryId }
+ * @returns {Promise<Object>} - The new session
+ */
+exports.forkSession = async (session, user, { name, upToEntryId } = {}) => {
+  let history = session.history;
+  const wholeHistory = upToEntryId === undefined || upToEntryId === null;
+
+  if (!wholeHistory) {
+    const index = history.findIndex(entry => entry.id === upToEntryId);
+    if (index === -1) {
+      throw historyError('History entry not found', 404);
+    }
+    history = history.slice(0, index + 1);
+  }
+
+  // Only carry over schemas the fork's owner can still read
+  const schemaIds = [];
+  for (const entry of history) {
+    if (entry.type !== 'schema' || schemaIds.includes(entry.schemaId)) {
+      continue;
+    }
+    const schema = await Schema.findById(entry.schemaId);
+    if (schema && accessService.getSchemaRole(schema, user)) {
+      schemaIds.push(schema._id);
+    }
+  }
+  // Schemas attached before sessions kept a history have no entry; keep them when forking everything
+  if (wholeHistory) {
+    for (const schemaId of session.schemas) {
+      const schema = schemaIds.includes(schemaId) ? null : await Schema.findById(schemaId);
+      if (schema && accessService.getSchemaRole(schema, user)) {
+        schemaIds.push(schema._id);
+      }
+    }
+  }
+
+  const lastPrompt = [...history].reverse().find(entry => entry.prompt);
+  const activeSchemaId = wholeHistory && schemaIds.includes(session.activeSchemaId)
+    ? session.activeSchemaId
+    : schemaIds[schemaIds.length - 1] || null;
+
+  const fork = new Session({
+    name: typeof name === 'string' && name.trim() ? name.trim() : `${session.name} (fork)`,
+    description: session.description,
+    prompt: lastPrompt ? lastPrompt.prompt : session.prompt,
+    schemas: schemaIds,
+    activeSchemaId,
+    ownerId: user._id,
+    workspaceId: session.workspaceId,
+    history: history.map(entry => ({ ...entry })),
+    forkedFrom: {
+      sessionId: session._id,
+      entryId: history.length > 0 ? history[history.length - 1].id : null
+    }
+  });
+  await fork.save();
+
+  logger.info(`Forked session ${session._id} into ${fork._id}`, { entries: history.length });
+
+  return fork;
+};
+
+/**
+ * Regenerate a session's schemas by running the prompts that generated them again
+ * Each new schema replaces the one it was regenerated from in the session; the old schemas are
+ * kept and stay in the history.
+ * @param {Object} session - Session model instance
+ * @param {Object} user - User model instance; owns the regenerated schemas
+ * @param {Object} options - { mode, entryIds } where entryIds picks schema entries to replay
+ *   (default: every schema generated from a prompt)
+ * @returns {Promise<Object>} - { session, results } with one { entryId, prompt, status, schemaId, error } per prompt
+ */
+exports.replaySession = async (session, user, { mode, entryIds } = {}) => {
+  if (mode && !nlpService.EXTRACTION_MODES.includes(String(mode).toLowerCase())) {
+    throw historyError(`mode must be one of: ${nlpService.EXTRACTION_MODES.join(', ')}`, 400);
+  }
+
+  const entries = selectReplayEntries(session, entryIds);
+  const results = [];
+  const regenerated = [];
+
+  for (const entry of entries) {
+    const entryMode = mode || entry.mode || undefined;
+
+    try {
+      const extractedEntities = await nlpService.extractEntities(entry.prompt, { mode: entryMode });
+      const schema = await schemaGeneratorService.generateSchema(extractedEntities, {
+        name: entry.schemaName || 'New Schema'
+      });
+
+      const newSchema = new Schema({ ...schema, ownerId: user._id, workspaceId: session.workspaceId });
+      await newSchema.save();
+      await schemaVersionService.recordRevision(newSchema, `Regenerated from session ${session._id}`);
+
+      regenerated.push({ entry, entryMode, extractedEntities, newSchema });
+      results.push({ entryId: entry.id, prompt: entry.prompt, status: 'regenerated', schemaId: newSchema._id, error: null });
+    } catch (error) {
+      logger.warn(`Replay of session ${session._id} entry ${entry.id} failed: ${error.message}`);
+      results.push({ entryId: entry.id, prompt: entry.prompt, status: 'failed', schemaId: null, error: error.message });
+    }
+  }
+
+  // The generations take a while; reload the session so entries recorded meanwhile aren't lost
+  const current = await Session.findById(session._id);
+  if (!current) {
+    throw historyError('Session not found', 404);
+  }
+
+  regenerated.forEach(replay => applyReplay(current, replay));
+  await current.save();
+
+  logger.info(`Replayed session ${session._id}`, {
+    regenerated: results.filter(result => result.status === 'regenerated').length,
+    failed: results.filter(result => result.status === 'failed').length
+  });
+
+  return { session: current, results };
+};
+
+/**
+ * Record a regenerated schema in a session: it replaces the schema its entry stands for
+ * @param {Object} session - Session model instance
+ * @param {Object} replay - { entry, entryMode, extractedEntities, newSchema }
+ */
+function applyReplay(session, { entry, entryMode, extractedEntities, newSchema }) {
+  // Replaying again replaces the schema from the previous replay, not the original
+  const previousSchemaId = latestSchemaId(session, entry);
+  const activeSchemaId = session.activeSchemaId;
+
+  exports.appendEntry(session, 'schema', {
+    schemaId: newSchema._id,
+    schemaName: newSchema.name,
+    source: 'replay',
+    prompt: entry.prompt,
+    mode: entryMode || null,
+    extraction: {
+      method: extractedEntities.extractionMethod,
+      fallbackReason: extractedEntities.fallbackReason || null
+    },
+    replayOf: entry.id
+  });
+
+  session.schemas = session.schemas.filter(schemaId => String(schemaId) !== String(previousSchemaId));
+  // The new schema only becomes active if the one it replaces was
+  if (String(activeSchemaId) !== String(previousSchemaId)) {
+    session.activeSchemaId = activeSchemaId;
+  }
+}
+
+/**
+ * Pick the schema entries a replay runs
+ * @param {Object} session - Session model instance
+ * @param {Array} entryIds - Requested entry IDs, or undefined for every generated schema
+ * @returns {Array} - History entries
+ */
+function selectReplayEntries(session, entryIds) {
+  const replayable = session.history.filter(entry => entry.type === 'schema' && entry.source === 'generate' && entry.prompt);
+  let entries = replayable;
+
+  if (entryIds !== undefined) {
+    if (!Array.isArray(entryIds) || entryIds.length === 0) {
+      throw historyError('entryIds must be a non-empty array of history entry IDs', 400);
+    }
+    entries = entryIds.map(entryId => {
+      const entry = replayable.find(candidate => candidate.id === entryId);
+      if (!entry) {
+        throw historyError(`History entry ${entryId} is not a schema generated from a prompt`, 400);
+      }
+      return entry;
+    });
+  }
+
+  if (entries.length === 0) {
+    throw historyError('The session has no generated schemas to replay', 400);
+  }
+  if (entries.length > MAX_REPLAY_ENTRIES) {
+    throw historyError(`A replay can regenerate at most ${MAX_REPLAY_ENTRIES} schemas; pass entryIds to pick some`, 400);
+  }
+
+  return entries;
+}
+
+/**
+ * The schema currently standing in for a generated schema entry: the schema from its latest replay,
+ * or the originally generated one
+ * @param {Object} session - Session model instance
+ * @param {Object} entry - Schema history entry with source generate
+ * @returns {string} - Schema ID
+ */
+function latestSchemaId(session, entry) {
+  const replays = session.history.filter(candidate => candidate.type === 'schema' && candidate.replayOf === entry.id);
+  return replays.length > 0 ? replays[replays.length - 1].schemaId : entry.schemaId;
+}
+
+function historyError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+exports.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = exports;
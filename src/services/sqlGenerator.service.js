@@ -1,10 +1,11 @@
 const { format } = require('sql-formatter');
+const dialects = require('./dialects');
 const logger = require('../utils/logger');
 
 /**
  * Generate SQL for the given schema and dialect
  * @param {Object} schema - Database schema
- * @param {string} dialect - SQL dialect (mysql, postgresql, sqlite, sqlserver)
+ * @param {string} dialect - SQL dialect registered in ./dialects (mysql, postgresql, oracle, duckdb, ...)
  * @returns {string} - Generated SQL script
  */
 exports.generateSQL = async (schema, dialect = 'mysql') => {
@@ -13,6 +14,7 @@ exports.generateSQL = async (schema, dialect = 'mysql') => {
     
     // Get the appropriate generator for the dialect
     const generator = getDialectGenerator(dialect);
+    const definition = dialects.getDialect(dialect) || dialects.getDialect('mysql');
     
     // Create a list to hold all SQL statements
     const statements = [];
@@ -23,14 +25,19 @@ exports.generateSQL = async (schema, dialect = 'mysql') => {
     // Pre-process the schema (e.g., handle many-to-many relationships)
     const processedSchema = preprocessSchema(schema, dialect);
     
+    // Dialects that only accept inline foreign keys need referenced tables to exist first
+    if (definition.createInDependencyOrder) {
+      processedSchema.tables = sortByDependencies(processedSchema.tables);
+    }
+    
     // Generate DROP statements for easier script re-running (with IF EXISTS)
     if (generator.generateDropStatements) {
       const dropStatements = generator.generateDropStatements(processedSchema);
       statements.push(...dropStatements);
     }
     
-    // Generate CREATE TYPE statements for PostgreSQL enum types
-    if (dialect === 'postgresql' && generator.generateEnumTypes) {
+    // Generate CREATE TYPE statements for enum types
+    if (generator.generateEnumTypes) {
       const enumStatements = generator.generateEnumTypes(processedSchema);
       if (enumStatements.length > 0) {
         statements.push(...enumStatements);
@@ -45,7 +52,7 @@ exports.generateSQL = async (schema, dialect = 'mysql') => {
     
     // Generate foreign key constraints as ALTER TABLE statements for dialects that need them separately
     const alterTableStatements = [];
-    if (dialect === 'sqlserver' || dialect === 'sqlite') {
+    if (definition.separateForeignKeys) {
       processedSchema.tables.forEach(table => {
         const foreignKeys = getForeignKeyConstraints(table, processedSchema);
         if (foreignKeys.length > 0) {
@@ -109,26 +116,27 @@ exports.generateSQL = async (schema, dialect = 'mysql') => {
       statements.push(generator.footerComment(processedSchema));
     }
     
-    // Format the SQL for readability
-    // Map sqlserver dialect to tsql for the formatter
-    const formatterDialect = dialect.toLowerCase() === 'sqlserver' ? 'tsql' : dialect;
+    // Format the SQL for readability, unless the dialect's scripts can't be formatted safely
+    const formatterDialect = definition.formatterLanguage;
     
     // Join statements and format the SQL
     const joinedSql = statements.join('\n\n');
-    let sql;
-    
-    try {
-      sql = format(joinedSql, { 
-        language: formatterDialect,
-        keywordCase: 'upper',
-        indentStyle: 'standard',
-        logicalOperatorNewline: 'before',
-        expressionWidth: 80
-      });
-    } catch (formatError) {
-      logger.warn(`SQL formatting failed for dialect ${dialect}, returning unformatted SQL: ${formatError.message}`);
-      // Return the unformatted SQL if formatting fails
-      sql = joinedSql;
+    let sql = joinedSql;
+    
+    if (formatterDialect) {
+      try {
+        sql = format(joinedSql, { 
+          language: formatterDialect,
+          keywordCase: 'upper',
+          indentStyle: 'standard',
+          logicalOperatorNewline: 'before',
+          expressionWidth: 80
+        });
+      } catch (formatError) {
+        logger.warn(`SQL formatting failed for dialect ${dialect}, returning unformatted SQL: ${formatError.message}`);
+        // Return the unformatted SQL if formatting fails
+        sql = joinedSql;
+      }
     }
     
     logger.info(`SQL generation complete for schema: ${schema.name}`);
@@ -316,18 +324,35 @@ function preprocessSchema(schema, dialect) {
  * @returns {Object} - Dialect-specific generator
  */
 function getDialectGenerator(dialect) {
-  const generators = {
-    mysql: require('./dialects/mysql.generator'),
-    postgresql: require('./dialects/postgresql.generator'),
-    sqlite: require('./dialects/sqlite.generator'),
-    sqlserver: require('./dialects/sqlserver.generator')
+  // Return the registered generator or MySQL as default
+  const definition = dialects.getDialect(dialect) || dialects.getDialect('mysql');
+  return definition.generator;
+}
+
+/**
+ * Order tables so that tables referenced by foreign keys are created first
+ * @param {Array} tables - Tables to order
+ * @returns {Array} - Ordered tables
+ */
+function sortByDependencies(tables) {
+  const byName = new Map(tables.map(table => [table.name, table]));
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (table) => {
+    if (visited.has(table.name)) return;
+    visited.add(table.name);
+
+    table.columns
+      .filter(column => column.isForeignKey && column.references && byName.has(column.references.table))
+      .forEach(column => visit(byName.get(column.references.table)));
+
+    ordered.push(table);
   };
-  
-  // Normalize dialect name
-  const normalizedDialect = dialect.toLowerCase();
-  
-  // Return the appropriate generator or MySQL as default
-  return generators[normalizedDialect] || generators.mysql;
+
+  tables.forEach(visit);
+
+  return ordered;
 }
 
 /**
@@ -349,4 +374,10 @@ function getForeignKeyConstraints(table, schema) {
     }));
 }
 
+// Shared with the migration generator so both produce the same table layout
+exports.preprocessSchema = preprocessSchema;
+exports.getDialectGenerator = getDialectGenerator;
+exports.getForeignKeyConstraints = getForeignKeyConstraints;
+exports.sortByDependencies = sortByDependencies;
+
 module.exports = exports;
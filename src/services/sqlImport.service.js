@@ -0,0 +1,1381 @@
+const logger = require('../utils/logger');
+
+const SUPPORTED_DIALECTS = ['mysql', 'postgresql', 'sqlite', 'sqlserver'];
+
+// Vendor type names mapped back to the MySQL-style types used throughout LaymanDB schemas
+const TYPE_ALIASES = {
+  'INT4': 'INTEGER',
+  'INT8': 'BIGINT',
+  'INT2': 'SMALLINT',
+  'SERIAL': 'INTEGER',
+  'SERIAL4': 'INTEGER',
+  'BIGSERIAL': 'BIGINT',
+  'SERIAL8': 'BIGINT',
+  'SMALLSERIAL': 'SMALLINT',
+  'SERIAL2': 'SMALLINT',
+  'DOUBLE PRECISION': 'DOUBLE',
+  'FLOAT8': 'DOUBLE',
+  'FLOAT4': 'FLOAT',
+  'REAL': 'FLOAT',
+  'NUMERIC': 'DECIMAL',
+  'MONEY': 'DECIMAL(19,4)',
+  'SMALLMONEY': 'DECIMAL(10,4)',
+  'CHARACTER VARYING': 'VARCHAR',
+  'CHARACTER': 'CHAR',
+  'NVARCHAR': 'VARCHAR',
+  'NCHAR': 'CHAR',
+  'VARCHAR2': 'VARCHAR',
+  'NTEXT': 'TEXT',
+  'CLOB': 'TEXT',
+  'CITEXT': 'TEXT',
+  'BOOL': 'BOOLEAN',
+  'BIT': 'BOOLEAN',
+  'DATETIME2': 'DATETIME',
+  'SMALLDATETIME': 'DATETIME',
+  'DATETIMEOFFSET': 'TIMESTAMP',
+  'TIMESTAMPTZ': 'TIMESTAMP',
+  'TIMESTAMP WITH TIME ZONE': 'TIMESTAMP',
+  'TIMESTAMP WITHOUT TIME ZONE': 'TIMESTAMP',
+  'TIMETZ': 'TIME',
+  'TIME WITH TIME ZONE': 'TIME',
+  'TIME WITHOUT TIME ZONE': 'TIME',
+  'BYTEA': 'BLOB',
+  'VARBINARY': 'BLOB',
+  'BINARY': 'BLOB',
+  'IMAGE': 'BLOB',
+  'JSONB': 'JSON',
+  'UNIQUEIDENTIFIER': 'UUID'
+};
+
+// Types whose size arguments are kept
+const SIZED_TYPES = ['VARCHAR', 'CHAR', 'DECIMAL', 'ENUM', 'SET'];
+
+// Expressions that all mean "the current time"
+const CURRENT_TIMESTAMP_DEFAULTS = [
+  'CURRENT_TIMESTAMP', 'CURRENT_TIMESTAMP()', 'NOW()', 'GETDATE()', 'SYSDATETIME()',
+  'GETUTCDATE()', 'LOCALTIMESTAMP', "DATETIME('NOW')", 'CURRENT_DATE'
+];
+
+// Words that end a DEFAULT expression inside a column definition
+const COLUMN_MODIFIERS = [
+  'NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'CONSTRAINT', 'COMMENT',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'COLLATE', 'ON', 'GENERATED', 'CHARACTER', 'CHARSET'
+];
+
+// Words that end the table options after a CREATE TABLE body
+const STATEMENT_KEYWORDS = ['GO', 'END', 'CREATE', 'ALTER', 'INSERT', 'IF', 'EXEC', 'DROP', 'BEGIN'];
+
+// Tables emitted by LaymanDB's own exports that are not part of the user's design
+const INTERNAL_TABLES = ['schema_metadata'];
+
+/**
+ * Import SQL DDL into a LaymanDB schema
+ * @param {string} sql - DDL script (CREATE TABLE, ALTER TABLE, CREATE INDEX, COMMENT ON)
+ * @param {Object} options - Import options ({ dialect, name, description })
+ * @returns {Promise<Object>} - { schema, warnings }
+ */
+exports.importSQL = async (sql, options = {}) => {
+  try {
+    const { dialect, name = 'Imported Schema', description = '' } = options;
+
+    logger.info('Importing schema from SQL DDL', { dialect: dialect || 'auto', length: sql.length });
+
+    const { tables, warnings } = exports.parseDDL(sql, dialect);
+    const schemaTables = tables.map((table, index) => toSchemaTable(table, index, warnings));
+    const relationships = inferRelationships(schemaTables, warnings);
+
+    // Junction tables are represented by their MANY_TO_MANY relationship. Other tables keep the
+    // role the DDL gives them: lookup tables are only detected in generated designs.
+    const junctionNames = new Set(relationships.filter(rel => rel.type === 'MANY_TO_MANY').map(rel => rel.name));
+    const remainingTables = schemaTables.filter(table => !junctionNames.has(table.name));
+
+    const schema = {
+      name,
+      description,
+      tables: remainingTables,
+      relationships,
+      version: 1,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      nodePositions: {}
+    };
+
+    logger.info('SQL import completed', {
+      tableCount: schema.tables.length,
+      relationshipCount: schema.relationships.length,
+      warningCount: warnings.length
+    });
+
+    return { schema, warnings };
+  } catch (error) {
+    // Scripts that can't be read at all are the client's error, not the server's
+    if (error.statusCode) {
+      throw error;
+    }
+
+    logger.error('Error importing SQL:', error);
+    throw new Error(`Failed to import SQL: ${error.message}`);
+  }
+};
+
+/**
+ * Parse DDL into raw table definitions
+ * @param {string} sql - DDL script
+ * @param {string} dialect - Optional dialect hint (mysql, postgresql, sqlite, sqlserver)
+ * @returns {Object} - { tables, warnings }
+ */
+exports.parseDDL = (sql, dialect) => {
+  const normalizedDialect = dialect ? dialect.toLowerCase() : null;
+  const cursor = createCursor(tokenize(sql, normalizedDialect));
+  const tables = new Map();
+  const warnings = [];
+  const context = { dialect: normalizedDialect, tables, warnings };
+
+  while (!cursor.done()) {
+    const start = cursor.position();
+
+    try {
+      if (cursor.isWord('CREATE')) {
+        parseCreate(cursor, context);
+      } else if (cursor.isWord('ALTER') && cursor.isWord('TABLE', 1)) {
+        parseAlterTable(cursor, context);
+      } else if (cursor.isWord('COMMENT') && cursor.isWord('ON', 1)) {
+        parseComment(cursor, context);
+      } else if (cursor.isWord('SP_ADDEXTENDEDPROPERTY')) {
+        parseExtendedProperty(cursor, context);
+      } else if (isMetadataInsert(cursor)) {
+        parseMetadataInsert(cursor, context);
+      } else {
+        cursor.next();
+      }
+    } catch (error) {
+      warnings.push(`Skipped statement at line ${cursor.tokenAt(start).line}: ${error.message}`);
+      cursor.seek(start + 1);
+      cursor.skipStatement();
+    }
+  }
+
+  return { tables: Array.from(tables.values()), warnings };
+};
+
+exports.SUPPORTED_DIALECTS = SUPPORTED_DIALECTS;
+
+/**
+ * Split SQL text into tokens
+ * @param {string} sql - SQL text
+ * @param {string|null} dialect - Dialect hint; backslash escapes are only MySQL's
+ * @returns {Array} - Tokens ({ type, value, line })
+ */
+function tokenize(sql, dialect) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  const push = (type, value) => tokens.push({ type, value, line });
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const nextChar = sql[i + 1];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && nextChar === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+    } else if (char === '/' && nextChar === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) throw syntaxError(`Unterminated comment starting on line ${line}`);
+      line += (sql.slice(i, end + 2).match(/\n/g) || []).length;
+      i = end + 2;
+    } else if (char === "'" || ((char === 'N' || char === 'n' || char === 'E' || char === 'e') && nextChar === "'")) {
+      // String literal, including N'...' (SQL Server) and E'...' (PostgreSQL) prefixes
+      let j = char === "'" ? i + 1 : i + 2;
+      let value = '';
+      let closed = false;
+      const startLine = line;
+      const backslashEscapes = !dialect || dialect === 'mysql' || char === 'E' || char === 'e';
+      while (j < sql.length) {
+        if (sql[j] === "'" && sql[j + 1] === "'") {
+          value += "'";
+          j += 2;
+        } else if (backslashEscapes && sql[j] === '\\' && j + 1 < sql.length) {
+          value += sql[j + 1];
+          j += 2;
+        } else if (sql[j] === "'") {
+          closed = true;
+          break;
+        } else {
+          if (sql[j] === '\n') line++;
+          value += sql[j];
+          j++;
+        }
+      }
+      if (!closed) throw syntaxError(`Unterminated string starting on line ${startLine}`);
+      tokens.push({ type: 'string', value, line: startLine });
+      i = j + 1;
+    } else if (char === '"' || char === '`' || (char === '[' && nextChar !== ']')) {
+      // Quoted identifier
+      const close = char === '[' ? ']' : char;
+      const end = sql.indexOf(close, i + 1);
+      if (end === -1) throw syntaxError(`Unterminated quoted identifier starting on line ${line}`);
+      push('identifier', sql.slice(i + 1, end));
+      i = end + 1;
+    } else if (/[0-9]/.test(char)) {
+      const match = sql.slice(i).match(/^[0-9]+(\.[0-9]+)?/);
+      push('number', match[0]);
+      i += match[0].length;
+    } else if (/[A-Za-z_@#$]/.test(char)) {
+      const match = sql.slice(i).match(/^[A-Za-z_@#$][A-Za-z0-9_@#$]*/);
+      push('word', match[0]);
+      i += match[0].length;
+    } else if (char === ':' && nextChar === ':') {
+      push('symbol', '::');
+      i += 2;
+    } else if (char === '[' && nextChar === ']') {
+      push('symbol', '[]');
+      i += 2;
+    } else {
+      push('symbol', char);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Create a cursor over a token list
+ * @param {Array} tokens - Tokens from tokenize()
+ * @returns {Object} - Cursor with lookahead and matching helpers
+ */
+function createCursor(tokens) {
+  let index = 0;
+
+  const cursor = {
+    done: () => index >= tokens.length,
+    position: () => index,
+    seek: (position) => { index = position; },
+    tokenAt: (position) => tokens[position] || { line: tokens.length ? tokens[tokens.length - 1].line : 1 },
+    peek: (offset = 0) => tokens[index + offset],
+    next: () => tokens[index++],
+
+    isWord: (value, offset = 0) => {
+      const token = tokens[index + offset];
+      return !!token && token.type === 'word' && token.value.toUpperCase() === value;
+    },
+
+    isSymbol: (value, offset = 0) => {
+      const token = tokens[index + offset];
+      return !!token && token.type === 'symbol' && token.value === value;
+    },
+
+    acceptWord: (...values) => {
+      const token = tokens[index];
+      if (token && token.type === 'word' && values.includes(token.value.toUpperCase())) {
+        index++;
+        return token.value.toUpperCase();
+      }
+      return null;
+    },
+
+    acceptSymbol: (value) => {
+      if (cursor.isSymbol(value)) {
+        index++;
+        return true;
+      }
+      return false;
+    },
+
+    expectWord: (value) => {
+      if (!cursor.acceptWord(value)) {
+        throw new Error(`expected ${value} but found ${describeToken(tokens[index])}`);
+      }
+    },
+
+    expectSymbol: (value) => {
+      if (!cursor.acceptSymbol(value)) {
+        throw new Error(`expected "${value}" but found ${describeToken(tokens[index])}`);
+      }
+    },
+
+    // Read a possibly schema-qualified name and return its parts
+    qualifiedName: () => {
+      const parts = [cursor.identifier()];
+      while (cursor.isSymbol('.')) {
+        cursor.next();
+        parts.push(cursor.identifier());
+      }
+      return parts;
+    },
+
+    identifier: () => {
+      const token = tokens[index];
+      if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+        throw new Error(`expected a name but found ${describeToken(token)}`);
+      }
+      index++;
+      return token.value;
+    },
+
+    // Collect the raw text of a balanced parenthesised group, cursor on "("
+    parenthesised: () => {
+      cursor.expectSymbol('(');
+      const parts = [];
+      let depth = 1;
+      while (index < tokens.length) {
+        if (tokens[index].type === 'symbol' && tokens[index].value === ';') {
+          throw new Error(`unbalanced parentheses before ";" on line ${tokens[index].line}`);
+        }
+        const token = tokens[index++];
+        if (token.type === 'symbol' && token.value === '(') depth++;
+        if (token.type === 'symbol' && token.value === ')') {
+          depth--;
+          if (depth === 0) break;
+        }
+        parts.push(token);
+      }
+      return parts;
+    },
+
+    // Skip to the end of the current statement
+    skipStatement: () => {
+      while (index < tokens.length) {
+        const token = tokens[index];
+        if (token.type === 'symbol' && token.value === ';') {
+          index++;
+          return;
+        }
+        if (token.type === 'word' && token.value.toUpperCase() === 'GO') return;
+        index++;
+      }
+    }
+  };
+
+  return cursor;
+}
+
+/**
+ * Describe a token for error messages
+ * @param {Object} token - Token
+ * @returns {string} - Description
+ */
+function describeToken(token) {
+  if (!token) return 'end of input';
+  return token.type === 'string' ? `'${token.value}'` : `"${token.value}"`;
+}
+
+/**
+ * Join tokens back into SQL text
+ * @param {Array} tokens - Tokens
+ * @returns {string} - SQL text
+ */
+function tokensToText(tokens) {
+  return tokens.map(token => {
+    if (token.type === 'string') return `'${token.value.replace(/'/g, "''")}'`;
+    return token.value;
+  }).join(' ')
+    .replace(/\s*([(),.])\s*/g, '$1')
+    .replace(/,/g, ', ')
+    .replace(/\s*::\s*/g, '::');
+}
+
+/**
+ * Split the tokens of a parenthesised list on top-level commas
+ * @param {Array} tokens - Tokens inside the parentheses
+ * @returns {Array} - Token groups
+ */
+function splitOnCommas(tokens) {
+  const groups = [[]];
+  let depth = 0;
+
+  tokens.forEach(token => {
+    if (token.type === 'symbol' && token.value === '(') depth++;
+    if (token.type === 'symbol' && token.value === ')') depth--;
+
+    if (depth === 0 && token.type === 'symbol' && token.value === ',') {
+      groups.push([]);
+    } else {
+      groups[groups.length - 1].push(token);
+    }
+  });
+
+  return groups.filter(group => group.length > 0);
+}
+
+/**
+ * Read a parenthesised column list such as (a, b DESC, c(10))
+ * @param {Object} cursor - Token cursor positioned on "("
+ * @returns {Array} - Column names (null for expressions)
+ */
+function parseColumnList(cursor) {
+  return splitOnCommas(cursor.parenthesised()).map(group => {
+    const first = group[0];
+    if (first.type !== 'word' && first.type !== 'identifier') return null;
+
+    // Allow ASC/DESC, prefix lengths and operator classes after the name, but not expressions
+    const second = group[1];
+    if (second && second.type === 'symbol' && second.value === '(' && first.type === 'word' && group.length > 3 &&
+        !(group[2].type === 'number' && group[3].value === ')')) {
+      return null;
+    }
+    return first.value;
+  });
+}
+
+/**
+ * Create an empty raw table definition
+ * @param {string} name - Table name
+ * @returns {Object} - Raw table
+ */
+function createRawTable(name) {
+  return {
+    name,
+    description: '',
+    columns: [],
+    primaryKey: [],
+    uniqueKeys: [],
+    foreignKeys: [],
+    // { name, columns, unique } of indexes and { kind, name, expression } of CHECK and EXCLUDE
+    // constraints, which schemas have no place for; they are reported as warnings
+    indexes: [],
+    checks: []
+  };
+}
+
+/**
+ * Find an already parsed table
+ * @param {Object} context - Parse context
+ * @param {string} name - Table name
+ * @returns {Object} - Raw table
+ */
+function findTable(context, name) {
+  const table = context.tables.get(name.toLowerCase());
+  if (!table) {
+    throw new Error(`table "${name}" is not defined before it is altered`);
+  }
+  return table;
+}
+
+/**
+ * Find a column of a raw table by name (case-insensitive)
+ * @param {Object} table - Raw table
+ * @param {string} name - Column name
+ * @returns {Object|undefined} - Raw column
+ */
+function findColumn(table, name) {
+  return table.columns.find(column => column.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Parse a CREATE statement (TABLE or INDEX; anything else is skipped)
+ * @param {Object} cursor - Token cursor positioned on CREATE
+ * @param {Object} context - Parse context
+ */
+function parseCreate(cursor, context) {
+  cursor.expectWord('CREATE');
+
+  if (cursor.acceptWord('OR')) cursor.expectWord('REPLACE');
+  cursor.acceptWord('TEMPORARY', 'TEMP', 'GLOBAL', 'LOCAL', 'UNLOGGED');
+  cursor.acceptWord('TEMPORARY', 'TEMP');
+
+  const unique = !!cursor.acceptWord('UNIQUE');
+  cursor.acceptWord('CLUSTERED', 'NONCLUSTERED');
+
+  if (cursor.acceptWord('TABLE')) {
+    parseCreateTable(cursor, context);
+  } else if (cursor.acceptWord('INDEX')) {
+    parseCreateIndex(cursor, context, unique);
+  }
+  // Views, triggers, procedures, databases and schemas carry no table structure
+}
+
+/**
+ * Parse the remainder of a CREATE TABLE statement
+ * @param {Object} cursor - Token cursor positioned after TABLE
+ * @param {Object} context - Parse context
+ */
+function parseCreateTable(cursor, context) {
+  if (cursor.acceptWord('IF')) {
+    cursor.expectWord('NOT');
+    cursor.expectWord('EXISTS');
+  }
+
+  const nameParts = cursor.qualifiedName();
+  const tableName = nameParts[nameParts.length - 1];
+
+  if (!cursor.isSymbol('(')) {
+    throw new Error(`CREATE TABLE ${tableName} has no column list (CREATE TABLE ... AS SELECT is not supported)`);
+  }
+
+  if (INTERNAL_TABLES.includes(tableName.toLowerCase())) {
+    cursor.skipStatement();
+    return;
+  }
+
+  const table = createRawTable(tableName);
+
+  splitOnCommas(cursor.parenthesised()).forEach(group => {
+    parseTableElement(createCursor(group), table, context);
+  });
+
+  // Register the table only once its body parsed, so a broken definition leaves nothing behind
+  if (context.tables.has(tableName.toLowerCase())) {
+    context.warnings.push(`Table "${tableName}" is defined more than once; the last definition is used`);
+    context.tables.delete(tableName.toLowerCase());
+  }
+  context.tables.set(tableName.toLowerCase(), table);
+
+  // Table options, e.g. MySQL ENGINE=... COMMENT='...'
+  while (!cursor.done()) {
+    if (cursor.acceptSymbol(';')) break;
+    if (STATEMENT_KEYWORDS.some(keyword => cursor.isWord(keyword))) break;
+
+    if (cursor.acceptWord('COMMENT')) {
+      cursor.acceptSymbol('=');
+      const token = cursor.next();
+      if (token && token.type === 'string') table.description = token.value;
+    } else {
+      cursor.next();
+    }
+  }
+}
+
+/**
+ * Parse one element of a CREATE TABLE body: a column or a table constraint
+ * @param {Object} cursor - Cursor over the element's tokens
+ * @param {Object} table - Raw table
+ * @param {Object} context - Parse context
+ */
+function parseTableElement(cursor, table, context) {
+  const first = cursor.peek();
+  const isConstraint = first.type === 'word' && [
+    'CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'EXCLUDE'
+  ].includes(first.value.toUpperCase());
+
+  if (isConstraint) {
+    parseTableConstraint(cursor, table, context);
+  } else {
+    const column = parseColumnDefinition(cursor, table, context);
+    if (findColumn(table, column.name)) {
+      throw new Error(`column "${column.name}" is defined twice in table "${table.name}"`);
+    }
+    table.columns.push(column);
+  }
+}
+
+/**
+ * Parse a column definition
+ * @param {Object} cursor - Cursor positioned on the column name
+ * @param {Object} table - Raw table the column belongs to
+ * @param {Object} context - Parse context
+ * @returns {Object} - Raw column
+ */
+function parseColumnDefinition(cursor, table, context) {
+  const column = {
+    name: cursor.identifier(),
+    dataType: parseDataType(cursor, context),
+    isNullable: true,
+    isPrimaryKey: false,
+    isUnique: false,
+    defaultValue: undefined,
+    description: '',
+    // Expression of a generated (computed) column
+    generatedAs: null
+  };
+
+  while (!cursor.done() && !cursor.isSymbol(',') && !cursor.isSymbol(';')) {
+    if (cursor.acceptWord('NOT')) {
+      cursor.expectWord('NULL');
+      column.isNullable = false;
+    } else if (cursor.acceptWord('NULL')) {
+      column.isNullable = true;
+    } else if (cursor.acceptWord('PRIMARY')) {
+      cursor.expectWord('KEY');
+      cursor.acceptWord('ASC', 'DESC');
+      column.isPrimaryKey = true;
+      table.primaryKey = [column.name];
+    } else if (cursor.acceptWord('UNIQUE')) {
+      cursor.acceptWord('KEY');
+      column.isUnique = true;
+    } else if (cursor.acceptWord('DEFAULT')) {
+      column.defaultValue = parseDefaultValue(cursor);
+    } else if (cursor.acceptWord('REFERENCES')) {
+      table.foreignKeys.push({ columns: [column.name], ...parseReferences(cursor) });
+    } else if (cursor.acceptWord('COMMENT')) {
+      const token = cursor.next();
+      if (token && token.type === 'string') column.description = token.value;
+    } else if (cursor.acceptWord('CHECK')) {
+      table.checks.push({ kind: 'CHECK', name: null, expression: tokensToText(cursor.parenthesised()) });
+    } else if (cursor.acceptWord('GENERATED')) {
+      // GENERATED ALWAYS AS (expression) or GENERATED { ALWAYS | BY DEFAULT } AS IDENTITY
+      if (cursor.acceptWord('BY')) cursor.acceptWord('DEFAULT');
+      cursor.acceptWord('ALWAYS');
+      cursor.expectWord('AS');
+      if (cursor.isSymbol('(')) column.generatedAs = tokensToText(cursor.parenthesised());
+    } else if (cursor.acceptWord('AS')) {
+      // MySQL: col INT AS (expression) [VIRTUAL | STORED]
+      if (cursor.isSymbol('(')) column.generatedAs = tokensToText(cursor.parenthesised());
+    } else if (cursor.acceptWord('IDENTITY')) {
+      if (cursor.isSymbol('(')) cursor.parenthesised();
+    } else if (cursor.acceptWord('COLLATE')) {
+      cursor.next();
+    } else if (cursor.acceptWord('CHARACTER')) {
+      cursor.acceptWord('SET');
+      cursor.next();
+    } else if (cursor.acceptWord('CHARSET')) {
+      cursor.next();
+    } else if (cursor.acceptWord('ON')) {
+      // MySQL: ON UPDATE CURRENT_TIMESTAMP
+      cursor.acceptWord('UPDATE');
+      parseDefaultValue(cursor);
+    } else if (cursor.isSymbol('(')) {
+      // Sequence options of identity columns and similar
+      cursor.parenthesised();
+    } else {
+      // AUTO_INCREMENT, CONSTRAINT names, STORED and other modifiers
+      cursor.next();
+    }
+  }
+
+  return column;
+}
+
+/**
+ * Parse a data type, including multi-word names and size arguments
+ * @param {Object} cursor - Cursor positioned on the type name
+ * @param {Object} context - Parse context
+ * @returns {string} - Normalized data type
+ */
+function parseDataType(cursor, context) {
+  const token = cursor.peek();
+  if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+    // SQLite allows columns without a type
+    return 'TEXT';
+  }
+
+  // Only consume the type name if it is not a column modifier (SQLite "id PRIMARY KEY")
+  if (token.type === 'word' && COLUMN_MODIFIERS.concat(['DEFAULT']).includes(token.value.toUpperCase())) {
+    return 'TEXT';
+  }
+
+  const parts = cursor.qualifiedName();
+  let typeName = parts[parts.length - 1].toUpperCase();
+
+  if (typeName === 'DOUBLE' && cursor.acceptWord('PRECISION')) {
+    typeName = 'DOUBLE PRECISION';
+  } else if (typeName === 'CHARACTER' && cursor.acceptWord('VARYING')) {
+    typeName = 'CHARACTER VARYING';
+  }
+
+  let size = null;
+  if (cursor.isSymbol('(')) {
+    size = tokensToText(cursor.parenthesised()).replace(/\s+/g, '');
+  }
+
+  if ((typeName === 'TIMESTAMP' || typeName === 'TIME') && (cursor.isWord('WITH') || cursor.isWord('WITHOUT'))) {
+    const qualifier = cursor.acceptWord('WITH', 'WITHOUT');
+    cursor.expectWord('TIME');
+    cursor.expectWord('ZONE');
+    typeName = `${typeName} ${qualifier} TIME ZONE`;
+  }
+
+  cursor.acceptWord('UNSIGNED', 'SIGNED');
+  cursor.acceptWord('ZEROFILL');
+
+  const isArray = cursor.acceptSymbol('[]');
+
+  return normalizeDataType(typeName, size, isArray, context.dialect);
+}
+
+/**
+ * Map a vendor data type to the MySQL-style types LaymanDB schemas use
+ * @param {string} typeName - Upper-case type name
+ * @param {string|null} size - Size arguments without parentheses
+ * @param {boolean} isArray - Whether the column is a PostgreSQL array
+ * @param {string|null} dialect - Dialect hint
+ * @returns {string} - Normalized data type
+ */
+function normalizeDataType(typeName, size, isArray, dialect) {
+  if (isArray) return 'JSON';
+
+  if (size && size.toUpperCase() === 'MAX') {
+    return ['VARBINARY', 'BINARY', 'IMAGE'].includes(typeName) ? 'BLOB' : 'TEXT';
+  }
+
+  // MySQL has no real boolean type: BOOLEAN columns are TINYINT(1)
+  if (typeName === 'TINYINT' && size === '1' && (!dialect || dialect === 'mysql')) {
+    return 'BOOLEAN';
+  }
+
+  const alias = TYPE_ALIASES[typeName];
+  const baseType = alias || typeName;
+
+  // Aliases that already include a size (MONEY -> DECIMAL(19,4))
+  if (baseType.includes('(')) return baseType;
+
+  if (size && SIZED_TYPES.includes(baseType)) {
+    return `${baseType}(${size})`;
+  }
+
+  return baseType;
+}
+
+/**
+ * Parse a DEFAULT expression into the string form schemas store
+ * @param {Object} cursor - Cursor positioned after DEFAULT
+ * @returns {string|undefined} - Default value, or undefined for NULL
+ */
+function parseDefaultValue(cursor) {
+  const tokens = [];
+  let depth = 0;
+
+  while (!cursor.done()) {
+    const token = cursor.peek();
+
+    if (depth === 0 && token.type === 'symbol' && [',', ';', ')'].includes(token.value)) break;
+    if (depth === 0 && tokens.length > 0 && token.type === 'word' &&
+        COLUMN_MODIFIERS.includes(token.value.toUpperCase())) break;
+    if (depth === 0 && tokens.length > 0 && token.type === 'word' && token.value.toUpperCase() === 'FOR') break;
+
+    if (token.type === 'symbol' && token.value === '(') depth++;
+    if (token.type === 'symbol' && token.value === ')') depth--;
+
+    tokens.push(cursor.next());
+
+    // NULL ends the expression on its own
+    if (tokens.length === 1 && token.type === 'word' && token.value.toUpperCase() === 'NULL') break;
+  }
+
+  return normalizeDefaultValue(tokens);
+}
+
+/**
+ * Convert the tokens of a default expression to a schema default value
+ * @param {Array} tokens - Expression tokens
+ * @returns {string|undefined} - Default value
+ */
+function normalizeDefaultValue(tokens) {
+  let expression = tokens;
+
+  // SQL Server wraps defaults in parentheses: ((0)), ('active')
+  while (expression.length >= 2 && expression[0].value === '(' && expression[expression.length - 1].value === ')') {
+    expression = expression.slice(1, -1);
+  }
+
+  // Drop PostgreSQL casts: 'active'::character varying
+  const castIndex = expression.findIndex(token => token.type === 'symbol' && token.value === '::');
+  if (castIndex > 0) expression = expression.slice(0, castIndex);
+
+  if (expression.length === 0) return undefined;
+
+  if (expression.length === 1 && expression[0].type === 'string') {
+    return expression[0].value;
+  }
+
+  const text = tokensToText(expression);
+  const upper = text.toUpperCase().replace(/\s+/g, '');
+
+  if (upper === 'NULL') return undefined;
+  if (CURRENT_TIMESTAMP_DEFAULTS.includes(upper)) return 'CURRENT_TIMESTAMP';
+
+  // Sequence defaults are how PostgreSQL spells auto-increment
+  if (upper.startsWith('NEXTVAL(')) return undefined;
+
+  return text.replace(/^-\s+/, '-');
+}
+
+/**
+ * Parse a REFERENCES clause
+ * @param {Object} cursor - Cursor positioned after REFERENCES
+ * @returns {Object} - { table, columns, onDelete, onUpdate }
+ */
+function parseReferences(cursor) {
+  const nameParts = cursor.qualifiedName();
+  const reference = {
+    table: nameParts[nameParts.length - 1],
+    referencedColumns: cursor.isSymbol('(') ? parseColumnList(cursor) : [],
+    onDelete: undefined,
+    onUpdate: undefined
+  };
+
+  while (!cursor.done()) {
+    if (cursor.isWord('ON') && (cursor.isWord('DELETE', 1) || cursor.isWord('UPDATE', 1))) {
+      cursor.next();
+      const event = cursor.next().value.toUpperCase();
+      let action = cursor.next().value.toUpperCase();
+      if (action === 'NO' || action === 'SET') {
+        action = `${action} ${cursor.next().value.toUpperCase()}`;
+      }
+      if (event === 'DELETE') reference.onDelete = action;
+      else reference.onUpdate = action;
+    } else if (cursor.acceptWord('MATCH')) {
+      cursor.next();
+    } else if (cursor.acceptWord('DEFERRABLE', 'INITIALLY', 'DEFERRED', 'IMMEDIATE', 'NOT')) {
+      // Constraint timing has no equivalent in the schema model
+    } else {
+      break;
+    }
+  }
+
+  return reference;
+}
+
+/**
+ * Parse a table-level constraint or MySQL inline index
+ * @param {Object} cursor - Cursor positioned on the constraint
+ * @param {Object} table - Raw table
+ * @param {Object} context - Parse context
+ */
+function parseTableConstraint(cursor, table, context) {
+  let constraintName = null;
+  if (cursor.acceptWord('CONSTRAINT')) {
+    constraintName = cursor.identifier();
+  }
+
+  if (cursor.acceptWord('PRIMARY')) {
+    cursor.expectWord('KEY');
+    cursor.acceptWord('CLUSTERED', 'NONCLUSTERED');
+    table.primaryKey = parseColumnList(cursor).filter(Boolean);
+  } else if (cursor.acceptWord('UNIQUE')) {
+    cursor.acceptWord('KEY', 'INDEX');
+    cursor.acceptWord('CLUSTERED', 'NONCLUSTERED');
+    if (!cursor.isSymbol('(')) cursor.identifier();
+    table.uniqueKeys.push(parseColumnList(cursor).filter(Boolean));
+  } else if (cursor.acceptWord('FOREIGN')) {
+    cursor.expectWord('KEY');
+    if (!cursor.isSymbol('(')) cursor.identifier();
+    const columns = parseColumnList(cursor).filter(Boolean);
+    cursor.expectWord('REFERENCES');
+    table.foreignKeys.push({ name: constraintName, columns, ...parseReferences(cursor) });
+  } else if (cursor.acceptWord('DEFAULT')) {
+    // SQL Server: CONSTRAINT [DF_x] DEFAULT (0) FOR [column]
+    const value = parseDefaultValue(cursor);
+    cursor.expectWord('FOR');
+    const column = findColumn(table, cursor.identifier());
+    if (column) column.defaultValue = value;
+  } else if (cursor.acceptWord('KEY', 'INDEX', 'FULLTEXT', 'SPATIAL')) {
+    cursor.acceptWord('KEY', 'INDEX');
+    const name = cursor.isSymbol('(') ? null : cursor.identifier();
+    table.indexes.push({ name, columns: parseColumnList(cursor), unique: false });
+  } else if (cursor.acceptWord('CHECK')) {
+    table.checks.push({ kind: 'CHECK', name: constraintName, expression: tokensToText(cursor.parenthesised()) });
+  } else if (cursor.acceptWord('EXCLUDE')) {
+    // The cursor only covers this constraint, so the rest of it is the exclusion definition
+    const tokens = [];
+    while (!cursor.done()) tokens.push(cursor.next());
+    table.checks.push({ kind: 'EXCLUDE', name: constraintName, expression: tokensToText(tokens) });
+  }
+}
+
+/**
+ * Parse an ALTER TABLE statement; only ADD actions change the imported structure
+ * @param {Object} cursor - Token cursor positioned on ALTER
+ * @param {Object} context - Parse context
+ */
+function parseAlterTable(cursor, context) {
+  cursor.expectWord('ALTER');
+  cursor.expectWord('TABLE');
+  cursor.acceptWord('ONLY');
+  if (cursor.acceptWord('IF')) cursor.expectWord('EXISTS');
+
+  const nameParts = cursor.qualifiedName();
+  const tableName = nameParts[nameParts.length - 1];
+
+  if (INTERNAL_TABLES.includes(tableName.toLowerCase())) {
+    cursor.skipStatement();
+    return;
+  }
+
+  // SQL Server: ALTER TABLE t WITH CHECK ADD CONSTRAINT ...
+  if (cursor.acceptWord('WITH')) cursor.acceptWord('CHECK', 'NOCHECK');
+
+  // Collect the statement's actions, split on top-level commas
+  const actionTokens = [];
+  let depth = 0;
+  while (!cursor.done()) {
+    const token = cursor.peek();
+    if (token.type === 'symbol' && token.value === '(') depth++;
+    if (token.type === 'symbol' && token.value === ')') depth--;
+    if (depth === 0 && token.type === 'symbol' && token.value === ';') {
+      cursor.next();
+      break;
+    }
+    if (depth === 0 && token.type === 'word' && ['GO', 'END'].includes(token.value.toUpperCase())) break;
+    actionTokens.push(cursor.next());
+  }
+
+  splitOnCommas(actionTokens).forEach(group => {
+    const action = createCursor(group);
+
+    // Drops and renames in scripts that reset a database do not describe its structure
+    if (!action.acceptWord('ADD')) return;
+
+    const table = findTable(context, tableName);
+
+    if (action.acceptWord('COLUMN')) {
+      if (action.acceptWord('IF')) {
+        action.expectWord('NOT');
+        action.expectWord('EXISTS');
+      }
+      table.columns.push(parseColumnDefinition(action, table, context));
+    } else if (action.peek() && action.peek().type === 'word' && [
+      'CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL'
+    ].includes(action.peek().value.toUpperCase())) {
+      parseTableConstraint(action, table, context);
+    } else {
+      // SQL Server and SQLite allow ADD without COLUMN
+      table.columns.push(parseColumnDefinition(action, table, context));
+    }
+  });
+}
+
+/**
+ * Parse the remainder of a CREATE INDEX statement
+ * @param {Object} cursor - Token cursor positioned after INDEX
+ * @param {Object} context - Parse context
+ * @param {boolean} unique - Whether the index is UNIQUE
+ */
+function parseCreateIndex(cursor, context, unique) {
+  cursor.acceptWord('CONCURRENTLY');
+  if (cursor.acceptWord('IF')) {
+    cursor.expectWord('NOT');
+    cursor.expectWord('EXISTS');
+  }
+
+  const indexName = cursor.isWord('ON') ? null : cursor.qualifiedName().pop();
+  cursor.expectWord('ON');
+  cursor.acceptWord('ONLY');
+
+  const nameParts = cursor.qualifiedName();
+  const tableName = nameParts[nameParts.length - 1];
+
+  if (INTERNAL_TABLES.includes(tableName.toLowerCase())) {
+    cursor.skipStatement();
+    return;
+  }
+
+  const table = findTable(context, tableName);
+
+  if (cursor.acceptWord('USING')) cursor.next();
+
+  const columns = parseColumnList(cursor);
+
+  if (unique && columns.every(Boolean)) {
+    table.uniqueKeys.push(columns);
+  } else {
+    table.indexes.push({ name: indexName, columns, unique });
+  }
+
+  cursor.skipStatement();
+}
+
+/**
+ * Parse a PostgreSQL COMMENT ON TABLE/COLUMN statement
+ * @param {Object} cursor - Token cursor positioned on COMMENT
+ * @param {Object} context - Parse context
+ */
+function parseComment(cursor, context) {
+  cursor.expectWord('COMMENT');
+  cursor.expectWord('ON');
+  const target = cursor.acceptWord('TABLE', 'COLUMN');
+
+  if (!target) {
+    cursor.skipStatement();
+    return;
+  }
+
+  const nameParts = cursor.qualifiedName();
+  cursor.expectWord('IS');
+  const token = cursor.next();
+  const text = token && token.type === 'string' ? token.value : '';
+
+  if (target === 'TABLE') {
+    setDescription(context, nameParts[nameParts.length - 1], null, text);
+  } else if (nameParts.length >= 2) {
+    setDescription(context, nameParts[nameParts.length - 2], nameParts[nameParts.length - 1], text);
+  }
+
+  cursor.skipStatement();
+}
+
+/**
+ * Parse a SQL Server sp_addextendedproperty call that sets a table or column description
+ * @param {Object} cursor - Token cursor positioned on sp_addextendedproperty
+ * @param {Object} context - Parse context
+ */
+function parseExtendedProperty(cursor, context) {
+  cursor.next();
+
+  // Named arguments: @name = N'Description', @value = N'...', @level1name = N'table', ...
+  const args = {};
+  while (!cursor.done() && !cursor.isSymbol(';') && !cursor.isWord('GO')) {
+    const token = cursor.next();
+    if (token.type === 'word' && token.value.startsWith('@') && cursor.acceptSymbol('=')) {
+      const value = cursor.next();
+      args[token.value.slice(1).toLowerCase()] = value ? value.value : '';
+    }
+  }
+  cursor.acceptSymbol(';');
+
+  if (String(args.name).trim().toLowerCase() !== 'description' || !args.level1name) return;
+
+  setDescription(context, args.level1name, args.level2name, args.value || '');
+}
+
+/**
+ * Check whether the cursor is on an INSERT into LaymanDB's metadata table
+ * @param {Object} cursor - Token cursor
+ * @returns {boolean} - True for a metadata insert
+ */
+function isMetadataInsert(cursor) {
+  if (!cursor.isWord('INSERT')) return false;
+
+  // INSERT [OR REPLACE] INTO "schema_metadata"
+  const offset = cursor.isWord('OR', 1) ? 3 : 1;
+  const target = cursor.peek(offset + 1);
+  return cursor.isWord('INTO', offset) && !!target && INTERNAL_TABLES.includes(target.value.toLowerCase());
+}
+
+/**
+ * Parse the description rows LaymanDB's SQLite export stores in its metadata table
+ * @param {Object} cursor - Token cursor positioned on INSERT
+ * @param {Object} context - Parse context
+ */
+function parseMetadataInsert(cursor, context) {
+  cursor.expectWord('INSERT');
+  if (cursor.acceptWord('OR')) cursor.next();
+  cursor.expectWord('INTO');
+  cursor.identifier();
+  if (cursor.isSymbol('(')) cursor.parenthesised();
+  cursor.expectWord('VALUES');
+
+  do {
+    const values = splitOnCommas(cursor.parenthesised()).map(group => group[0] && group[0].value);
+    const [objectType, objectName, description] = values;
+    if (objectType === 'table') {
+      setDescription(context, objectName, null, description || '');
+    } else if (objectType === 'column' && objectName && objectName.includes('.')) {
+      const [tableName, columnName] = objectName.split('.');
+      setDescription(context, tableName, columnName, description || '');
+    }
+  } while (cursor.acceptSymbol(','));
+
+  cursor.skipStatement();
+}
+
+/**
+ * Set the description of a parsed table or column, ignoring unknown names
+ * @param {Object} context - Parse context
+ * @param {string} tableName - Table name
+ * @param {string|null} columnName - Column name, or null for the table itself
+ * @param {string} text - Description
+ */
+function setDescription(context, tableName, columnName, text) {
+  const table = context.tables.get(tableName.toLowerCase());
+  if (!table) return;
+
+  if (!columnName) {
+    table.description = text;
+    return;
+  }
+
+  const column = findColumn(table, columnName);
+  if (column) column.description = text;
+}
+
+/**
+ * Convert a raw parsed table into the table structure schemaGenerator produces
+ * @param {Object} rawTable - Raw table from parseDDL()
+ * @param {number} index - Position of the table, used for the default diagram layout
+ * @param {Array} warnings - Import warnings to append to
+ * @returns {Object} - Schema table
+ */
+function toSchemaTable(rawTable, index, warnings) {
+  reportDroppedDefinitions(rawTable, warnings);
+
+  const primaryKey = rawTable.primaryKey.map(name => name.toLowerCase());
+  const uniqueColumns = rawTable.uniqueKeys
+    .filter(key => key.length === 1)
+    .map(key => key[0].toLowerCase());
+
+  const columns = rawTable.columns.map(rawColumn => {
+    const name = rawColumn.name.toLowerCase();
+    const foreignKey = rawTable.foreignKeys.find(fk =>
+      fk.columns.some(column => column.toLowerCase() === name)
+    );
+
+    const column = {
+      name: rawColumn.name,
+      dataType: rawColumn.dataType,
+      isPrimaryKey: primaryKey.includes(name),
+      isForeignKey: !!foreignKey,
+      isNullable: primaryKey.includes(name) ? false : rawColumn.isNullable,
+      isUnique: rawColumn.isUnique || uniqueColumns.includes(name),
+      defaultValue: rawColumn.defaultValue,
+      description: rawColumn.description || ''
+    };
+
+    if (foreignKey) {
+      const position = foreignKey.columns.findIndex(fkColumn => fkColumn.toLowerCase() === name);
+      column.references = {
+        table: foreignKey.table,
+        column: foreignKey.referencedColumns[position] || null,
+        onDelete: foreignKey.onDelete || 'NO ACTION',
+        onUpdate: foreignKey.onUpdate || 'NO ACTION'
+      };
+    }
+
+    return column;
+  });
+
+  return {
+    name: rawTable.name,
+    columns,
+    description: rawTable.description || `Table for ${rawTable.name}`,
+    isWeakEntity: false,
+    isLookupTable: false,
+    assumptionsMade: [],
+    position: {
+      x: 100 + (index % 3) * 350,
+      y: 100 + Math.floor(index / 3) * 250,
+      isDraggable: true
+    },
+    // Kept until relationships are inferred, then removed
+    compositeForeignKeys: rawTable.foreignKeys.filter(fk => fk.columns.length > 1),
+    uniqueKeys: rawTable.uniqueKeys
+  };
+}
+
+/**
+ * Warn about the parts of a table definition schemas can't hold: indexes, CHECK and EXCLUDE
+ * constraints, and the expressions of generated columns
+ * @param {Object} rawTable - Raw table from parseDDL()
+ * @param {Array} warnings - Import warnings to append to
+ */
+function reportDroppedDefinitions(rawTable, warnings) {
+  const label = name => (name ? ` "${name}"` : '');
+
+  rawTable.indexes.forEach(({ name, columns, unique }) => {
+    const columnList = columns.map(column => column || 'expression').join(', ');
+    warnings.push(`${unique ? 'Unique index' : 'Index'}${label(name)} on ${rawTable.name} (${columnList}) is not imported; schemas do not store indexes`);
+  });
+
+  rawTable.checks.forEach(({ kind, name, expression }) => {
+    warnings.push(`${kind} constraint${label(name)} on ${rawTable.name} (${expression}) is not imported; schemas do not store ${kind} constraints`);
+  });
+
+  rawTable.columns.filter(column => column.generatedAs).forEach(column => {
+    warnings.push(`Generated column ${rawTable.name}.${column.name} AS (${column.generatedAs}) is imported as a plain column`);
+  });
+}
+
+/**
+ * Infer relationships from foreign keys, primary keys and unique constraints
+ * @param {Array} tables - Schema tables (modified: references resolved, weak entities marked)
+ * @param {Array} warnings - Import warnings to append to
+ * @returns {Array} - Relationships in the schemaGenerator format
+ */
+function inferRelationships(tables, warnings) {
+  const byName = new Map(tables.map(table => [table.name.toLowerCase(), table]));
+  const relationships = [];
+
+  // Resolve references without an explicit column to the referenced primary key
+  tables.forEach(table => {
+    table.columns.filter(column => column.references).forEach(column => {
+      const referenced = byName.get(column.references.table.toLowerCase());
+
+      if (!referenced) {
+        warnings.push(`Foreign key ${table.name}.${column.name} references unknown table "${column.references.table}" and is imported as a plain column`);
+        column.isForeignKey = false;
+        delete column.references;
+        return;
+      }
+
+      column.references.table = referenced.name;
+      if (!column.references.column) {
+        const pk = referenced.columns.find(c => c.isPrimaryKey);
+        column.references.column = pk ? pk.name : 'id';
+      }
+    });
+  });
+
+  tables.forEach(table => {
+    const foreignKeyColumns = table.columns.filter(column =>
+      column.references && byName.has(column.references.table.toLowerCase())
+    );
+    const primaryKey = table.columns.filter(column => column.isPrimaryKey);
+
+    // Composite foreign keys describe one relationship; keep only their first column
+    const compositeFollowers = new Set(
+      table.compositeForeignKeys.flatMap(fk => fk.columns.slice(1).map(name => name.toLowerCase()))
+    );
+    const relationshipColumns = foreignKeyColumns.filter(column => !compositeFollowers.has(column.name.toLowerCase()));
+
+    if (isJunctionTable(table, relationshipColumns, primaryKey)) {
+      relationships.push(junctionRelationship(table, relationshipColumns, byName, warnings));
+      return;
+    }
+
+    relationshipColumns.forEach(column => {
+      const referenced = byName.get(column.references.table.toLowerCase());
+      const siblings = relationshipColumns.filter(other => other.references.table === column.references.table);
+
+      // A foreign key that is alone unique (or the whole primary key) allows one row per parent
+      const isOneToOne = column.isUnique ||
+        (primaryKey.length === 1 && primaryKey[0] === column) ||
+        table.uniqueKeys.some(key => key.length === 1 && key[0].toLowerCase() === column.name.toLowerCase());
+
+      // A foreign key inside the primary key makes the child depend on the parent for identity
+      const isIdentifying = column.isPrimaryKey;
+      if (isIdentifying && primaryKey.length > 1) {
+        table.isWeakEntity = true;
+      }
+
+      const type = isOneToOne ? 'ONE_TO_ONE' : 'ONE_TO_MANY';
+      const required = column.isNullable === false;
+
+      relationships.push({
+        name: siblings.length > 1 ? column.name.replace(/_id$/i, '') : 'has',
+        sourceTable: referenced.name,
+        sourceEntity: referenced.name,
+        targetTable: table.name,
+        targetEntity: table.name,
+        sourceColumn: column.references.column,
+        targetColumn: column.name,
+        type,
+        isIdentifying,
+        description: `${table.name}.${column.name} references ${referenced.name}.${column.references.column}`,
+        sourceCardinality: required ? '1..1' : '0..1',
+        targetCardinality: isOneToOne ? '0..1' : '0..*',
+        sourceParticipation: 'PARTIAL',
+        targetParticipation: required ? 'TOTAL' : 'PARTIAL',
+        attributes: [],
+        position: midpoint(referenced, table),
+        assumptionsMade: []
+      });
+    });
+  });
+
+  tables.forEach(table => {
+    delete table.compositeForeignKeys;
+    delete table.uniqueKeys;
+  });
+
+  return relationships;
+}
+
+/**
+ * Check whether a table only links two other tables
+ * @param {Object} table - Schema table
+ * @param {Array} foreignKeyColumns - Foreign key columns of the table
+ * @param {Array} primaryKey - Primary key columns of the table
+ * @returns {boolean} - True for a junction table
+ */
+function isJunctionTable(table, foreignKeyColumns, primaryKey) {
+  if (foreignKeyColumns.length !== 2) return false;
+
+  const keyNames = (primaryKey.length === 2 ? primaryKey : [])
+    .map(column => column.name.toLowerCase());
+  const uniquePair = table.uniqueKeys.some(key =>
+    key.length === 2 && foreignKeyColumns.every(column => key.map(k => k.toLowerCase()).includes(column.name.toLowerCase()))
+  );
+
+  const keyedByForeignKeys = foreignKeyColumns.every(column => keyNames.includes(column.name.toLowerCase()));
+
+  // A surrogate id next to a unique (a, b) pair is also a junction table
+  const surrogateKey = primaryKey.length === 1 && !primaryKey[0].isForeignKey && uniquePair;
+
+  return keyedByForeignKeys || surrogateKey;
+}
+
+/**
+ * Build the MANY_TO_MANY relationship that replaces a junction table
+ * @param {Object} table - Junction table
+ * @param {Array} foreignKeyColumns - Its two foreign key columns
+ * @param {Map} byName - Tables by lower-case name
+ * @param {Array} warnings - Import warnings to append to
+ * @returns {Object} - Relationship
+ */
+function junctionRelationship(table, foreignKeyColumns, byName, warnings) {
+  let [sourceColumn, targetColumn] = foreignKeyColumns;
+  let source = byName.get(sourceColumn.references.table.toLowerCase());
+  let target = byName.get(targetColumn.references.table.toLowerCase());
+
+  // SQL export names junction tables <source>_<target>; orient the relationship to match
+  if (table.name.toLowerCase() === `${target.name}_${source.name}`.toLowerCase()) {
+    [source, target] = [target, source];
+    [sourceColumn, targetColumn] = [targetColumn, sourceColumn];
+  }
+
+  const generatedName = `${source.name}_${target.name}`;
+  const generatedColumns = [
+    `${source.name}_${sourceColumn.references.column}`,
+    `${target.name}_${targetColumn.references.column}`
+  ];
+  if (table.name !== generatedName || sourceColumn.name !== generatedColumns[0] || targetColumn.name !== generatedColumns[1]) {
+    warnings.push(`Junction table "${table.name}" is imported as a MANY_TO_MANY relationship; SQL export recreates it as "${generatedName}" (${generatedColumns.join(', ')})`);
+  }
+
+  // Anything besides the keys and timestamps becomes a relationship attribute
+  const attributes = table.columns
+    .filter(column => !foreignKeyColumns.includes(column) && !column.isPrimaryKey)
+    .filter(column => !['created_at', 'updated_at'].includes(column.name.toLowerCase()))
+    .map(column => ({
+      name: column.name,
+      dataType: column.dataType,
+      isNullable: column.isNullable,
+      isUnique: column.isUnique,
+      description: column.description || `${column.name} attribute`
+    }));
+
+  return {
+    name: table.name,
+    sourceTable: source.name,
+    sourceEntity: source.name,
+    targetTable: target.name,
+    targetEntity: target.name,
+    sourceColumn: sourceColumn.references.column,
+    targetColumn: targetColumn.references.column,
+    type: 'MANY_TO_MANY',
+    isIdentifying: false,
+    description: table.description && table.description !== `Table for ${table.name}`
+      ? table.description
+      : `Many-to-many relationship between ${source.name} and ${target.name} (junction table ${table.name})`,
+    sourceCardinality: '0..*',
+    targetCardinality: '0..*',
+    sourceParticipation: 'PARTIAL',
+    targetParticipation: 'PARTIAL',
+    attributes,
+    position: midpoint(source, target),
+    assumptionsMade: []
+  };
+}
+
+/**
+ * Position a relationship halfway between its tables
+ * @param {Object} source - Source table
+ * @param {Object} target - Target table
+ * @returns {Object} - Position
+ */
+function midpoint(source, target) {
+  return {
+    x: ((source.position?.x || 0) + (target.position?.x || 0)) / 2,
+    y: ((source.position?.y || 0) + (target.position?.y || 0)) / 2,
+    isDraggable: true
+  };
+}
+
+/**
+ * Error for a script that can't be tokenized, reported to the client as a 400
+ * @param {string} message - What is wrong and where
+ * @returns {Error} - Error with statusCode
+ */
+function syntaxError(message) {
+  const error = new Error(`Invalid SQL: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = exports;
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const Template = require('../models/template.model');
+const schemaGeneratorService = require('./schemaGenerator.service');
+const logger = require('../utils/logger');
+
+// Built-in templates are entity/relationship files run through the schema generator
+const TEMPLATE_DIR = path.join(__dirname, '../templates');
+
+let builtInTemplates = null;
+
+/**
+ * List built-in and published templates, optionally filtered
+ * @param {Object} filters - Free-text query (q) and/or tag
+ * @returns {Promise<Array>} - Template summaries
+ */
+exports.listTemplates = async (filters = {}) => {
+  const query = (filters.q || '').trim().toLowerCase();
+  const tag = (filters.tag || '').trim().toLowerCase();
+
+  const templates = await allTemplates();
+
+  return templates
+    .filter(template => !tag || template.tags.some(t => t.toLowerCase() === tag))
+    .filter(template => !query || searchText(template).includes(query))
+    .map(summarize);
+};
+
+/**
+ * Get a template with its tables and relationships
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} - The template or null if not found
+ */
+exports.getTemplate = async (id) => {
+  const builtIn = (await loadBuiltInTemplates()).find(template => template.id === id);
+  if (builtIn) {
+    return builtIn;
+  }
+
+  const published = await Template.findById(id);
+  return published ? fromPublished(published) : null;
+};
+
+/**
+ * Build the contents of a new schema from a template
+ * @param {Object} template - Template from getTemplate
+ * @param {Object} options - Schema name/description, table name prefix and module IDs to include
+ * @returns {Object} - Schema data (name, description, tables, relationships) and warnings
+ */
+exports.instantiateTemplate = (template, options = {}) => {
+  const { prefix = '', modules } = options;
+  const warnings = [];
+  let tables = clone(template.tables);
+  let relationships = clone(template.relationships);
+
+  if (Array.isArray(modules) && modules.length > 0) {
+    const unknown = modules.filter(id => !template.modules.some(module => module.id === id));
+    if (unknown.length > 0) {
+      throw templateError(
+        `Unknown module${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}; available: ${template.modules.map(m => m.id).join(', ')}`,
+        400
+      );
+    }
+
+    const included = new Set(
+      template.modules.filter(module => modules.includes(module.id)).flatMap(module => module.tables)
+    );
+
+    tables = tables.filter(table => included.has(table.name));
+    relationships = relationships.filter(relationship =>
+      included.has(relationship.sourceTable) && included.has(relationship.targetTable)
+    );
+
+    // Foreign keys into tables that were left out would reference nothing
+    tables.forEach((table, index) => {
+      table.columns = table.columns.filter(column => {
+        if (column.references && !included.has(column.references.table)) {
+          warnings.push(`Dropped ${table.name}.${column.name}: "${column.references.table}" is not in the selected modules`);
+          return false;
+        }
+        return true;
+      });
+
+      table.position = {
+        x: 100 + (index % 3) * 350,
+        y: 100 + Math.floor(index / 3) * 250,
+        isDraggable: true
+      };
+    });
+  }
+
+  // "shop" and "shop_" both give shop_orders
+  const tablePrefix = prefix ? schemaGeneratorService.transformTableName(prefix).replace(/_*$/, '_') : '';
+  if (tablePrefix) {
+    const rename = (name) => `${tablePrefix}${name}`;
+
+    tables.forEach(table => {
+      table.name = rename(table.name);
+      table.columns.forEach(column => {
+        if (column.references) {
+          column.references.table = rename(column.references.table);
+        }
+      });
+    });
+
+    relationships.forEach(relationship => {
+      relationship.sourceTable = rename(relationship.sourceTable);
+      relationship.targetTable = rename(relationship.targetTable);
+      relationship.sourceEntity = relationship.sourceTable;
+      relationship.targetEntity = relationship.targetTable;
+    });
+  }
+
+  logger.info(`Instantiated template ${template.id}`, {
+    tableCount: tables.length,
+    relationshipCount: relationships.length
+  });
+
+  return {
+    schema: {
+      name: options.name || template.name,
+      description: options.description || template.description,
+      tables,
+      relationships
+    },
+    warnings
+  };
+};
+
+/**
+ * Publish a stored schema as a template
+ * @param {Object} schema - Schema to publish
+ * @param {Object} options - Template name, description, tags, optional modules ({ id, name, tables })
+ *   and the ownerId of the publishing user
+ * @returns {Promise<Object>} - The published template
+ */
+exports.publishTemplate = async (schema, options = {}) => {
+  const tableNames = schema.tables.map(table => table.name);
+  validateModules(options.modules);
+
+  const modules = (options.modules || []).map((module, index) => ({
+    id: module.id || schemaGeneratorService.transformTableName(module.name || `module_${index + 1}`),
+    name: module.name || module.id,
+    description: module.description || '',
+    tables: module.tables || []
+  }));
+
+  modules.forEach(module => {
+    const missing = module.tables.filter(name => !tableNames.includes(name));
+    if (missing.length > 0) {
+      throw templateError(`Module "${module.id}" lists tables the schema doesn't have: ${missing.join(', ')}`, 400);
+    }
+  });
+
+  const template = new Template({
+    name: options.name || schema.name,
+    description: options.description || schema.description,
+    tags: normalizeTags(options.tags),
+    modules,
+    tables: schema.tables,
+    relationships: schema.relationships,
+    sourceSchemaId: schema._id,
+    sourceVersion: schema.version,
+    ownerId: options.ownerId || null
+  });
+
+  await template.save();
+
+  logger.info(`Published schema ${schema._id} as template ${template._id}`);
+
+  return fromPublished(template);
+};
+
+/**
+ * Unpublish a template
+ * Only the user who published it can; built-in templates can't be removed.
+ * @param {string} id - Template ID
+ * @param {Object} user - User model instance
+ * @returns {Promise<Object>} - The removed template
+ */
+exports.deleteTemplate = async (id, user) => {
+  if ((await loadBuiltInTemplates()).some(template => template.id === id)) {
+    throw templateError('Built-in templates cannot be deleted', 403);
+  }
+
+  const template = await Template.findById(id);
+  if (!template) {
+    throw templateError('Template not found', 404);
+  }
+  if (!template.ownerId || String(template.ownerId) !== String(user._id)) {
+    throw templateError('Only the user who published this template can delete it', 403);
+  }
+
+  await Template.findByIdAndDelete(template._id);
+
+  logger.info(`Deleted template ${template._id}`);
+
+  return fromPublished(template);
+};
+
+/**
+ * Check the shape of the modules sent with a template before they are read
+ * @param {*} modules - Modules from the request body
+ * @throws {Error} - 400 error describing the first malformed module
+ */
+function validateModules(modules) {
+  if (modules === undefined || modules === null) return;
+
+  if (!Array.isArray(modules)) {
+    throw templateError('Modules must be an array', 400);
+  }
+
+  modules.forEach((module, index) => {
+    if (!module || typeof module !== 'object' || Array.isArray(module)) {
+      throw templateError(`Module ${index + 1} must be an object`, 400);
+    }
+    if (typeof (module.name || module.id) !== 'string') {
+      throw templateError(`Module ${index + 1} needs a name or an id`, 400);
+    }
+    if (module.tables !== undefined && (
+      !Array.isArray(module.tables) || module.tables.some(name => typeof name !== 'string')
+    )) {
+      throw templateError(`Module "${module.id || module.name}" must list its tables as an array of table names`, 400);
+    }
+  });
+}
+
+/**
+ * Load and generate the built-in templates once
+ * @returns {Promise<Array>} - Built-in templates
+ */
+async function loadBuiltInTemplates() {
+  if (builtInTemplates) {
+    return builtInTemplates;
+  }
+
+  const files = fs.readdirSync(TEMPLATE_DIR).filter(file => file.endsWith('.json')).sort();
+
+  builtInTemplates = await Promise.all(files.map(async (file) => {
+    const definition = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf-8'));
+    const schema = await schemaGeneratorService.generateSchema(
+      { entities: definition.entities, relationships: definition.relationships },
+      { name: definition.name, description: definition.description }
+    );
+
+    return {
+      id: definition.id,
+      name: definition.name,
+      description: definition.description,
+      tags: definition.tags || [],
+      source: 'builtin',
+      modules: (definition.modules || []).map(module => ({
+        id: module.id,
+        name: module.name,
+        description: module.description || '',
+        tables: module.entities.map(schemaGeneratorService.transformTableName)
+      })),
+      tables: schema.tables,
+      relationships: schema.relationships
+    };
+  }));
+
+  logger.info(`Loaded ${builtInTemplates.length} built-in templates`);
+
+  return builtInTemplates;
+}
+
+async function allTemplates() {
+  const published = await Template.findAll();
+  return [...(await loadBuiltInTemplates()), ...published.map(fromPublished)];
+}
+
+/**
+ * Convert a stored template to the shape used for built-in templates
+ * @param {Object} template - Template model instance
+ * @returns {Object} - Template
+ */
+function fromPublished(template) {
+  return {
+    id: String(template._id),
+    name: template.name,
+    description: template.description,
+    tags: template.tags,
+    source: 'published',
+    modules: template.modules,
+    tables: template.tables,
+    relationships: template.relationships,
+    sourceSchemaId: template.sourceSchemaId,
+    sourceVersion: template.sourceVersion,
+    ownerId: template.ownerId,
+    createdAt: template.createdAt
+  };
+}
+
+/**
+ * Template listing entry without the full tables
+ * @param {Object} template - Template
+ * @returns {Object} - Summary
+ */
+function summarize(template) {
+  const { tables, relationships, ...rest } = template;
+
+  return {
+    ...rest,
+    tableCount: tables.length,
+    relationshipCount: relationships.length
+  };
+}
+
+function searchText(template) {
+  return [
+    template.name,
+    template.description,
+    ...template.tags,
+    ...template.tables.map(table => table.name)
+  ].join(' ').toLowerCase();
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode set
+ */
+function templateError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = exports;
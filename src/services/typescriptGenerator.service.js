@@ -0,0 +1,260 @@
+/**
+ * TypeScript Generator Service
+ * Turns a schema into TypeScript types for every table: the row, the values to insert (columns with
+ * a default or that allow NULL are optional) and the values to update, plus matching Zod schemas.
+ * Values are typed as they arrive in JSON, like the OpenAPI export: decimals, dates, times and
+ * binary data are strings.
+ */
+
+const codeModelService = require('./codeModel.service');
+const logger = require('../utils/logger');
+
+const { camelCase } = codeModelService;
+
+// Type names the generated files declare or use themselves; tables with these names get a Row suffix
+const RESERVED_TYPE_NAMES = [
+  'Json', 'Date', 'Error', 'Object', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'Function',
+  'Map', 'Set', 'Promise', 'Record', 'Partial', 'Required', 'Readonly', 'Pick', 'Omit'
+];
+
+// TypeScript and Zod types of the values each column kind is read and written as
+const VALUE_TYPES = {
+  integer: { ts: 'number', zod: 'z.number().int()' },
+  smallint: { ts: 'number', zod: 'z.number().int()' },
+  bigint: { ts: 'number', zod: 'z.number().int()' },
+  decimal: { ts: 'string' },
+  float: { ts: 'number', zod: 'z.number()' },
+  double: { ts: 'number', zod: 'z.number()' },
+  boolean: { ts: 'boolean', zod: 'z.boolean()' },
+  string: { ts: 'string' },
+  text: { ts: 'string', zod: 'z.string()' },
+  date: { ts: 'string', zod: 'z.string().date()' },
+  datetime: { ts: 'string', zod: 'z.string().datetime({ offset: true })' },
+  time: { ts: 'string', zod: 'z.string().time()' },
+  uuid: { ts: 'string', zod: 'z.string().uuid()' },
+  binary: { ts: 'string', zod: 'z.string().base64()' },
+  enum: {},
+  json: { ts: 'Json', zod: 'json' }
+};
+
+const JSON_TYPE = 'export type Json = string | number | boolean | null | Json[] | { [key: string]: Json };';
+
+/**
+ * Generate TypeScript types and Zod schemas for a schema
+ * @param {Object} schema - Schema with tables and relationships
+ * @returns {Promise<Object>} - { types, zod }; the contents of two TypeScript files
+ */
+exports.generateTypeScript = async (schema) => {
+  try {
+    logger.info(`Generating TypeScript types for: ${schema.name}`);
+
+    const model = codeModelService.buildModel(schema);
+    const shapes = buildShapes(model);
+
+    const types = generateTypes(model, shapes);
+    const zod = generateZod(model, shapes);
+
+    logger.info(`TypeScript type generation complete for: ${schema.name}`);
+
+    return { types, zod };
+  } catch (error) {
+    logger.error('Error generating TypeScript types:', error);
+    throw new Error(`Failed to generate TypeScript types: ${error.message}`);
+  }
+};
+
+/**
+ * Names and fields of the row, insert and update shapes of every table
+ * @param {Object} model - Code model
+ * @returns {Array} - { entity, name, schemaName, fields, updatable }
+ */
+function buildShapes(model) {
+  return model.entities.map(entity => {
+    const name = RESERVED_TYPE_NAMES.includes(entity.className) ? `${entity.className}Row` : entity.className;
+
+    return {
+      entity,
+      name,
+      schemaName: `${camelCase(name)}Schema`,
+      fields: entity.fields,
+      // Primary keys identify the row to update; tables without one can change any column
+      updatable: entity.fields.filter(field => !field.isPrimaryKey)
+    };
+  });
+}
+
+/**
+ * Generate the file of TypeScript types
+ * @param {Object} model - Code model
+ * @param {Array} shapes - Table shapes
+ * @returns {string} - TypeScript source
+ */
+function generateTypes(model, shapes) {
+  let output = '/**\n';
+  output += ` * TypeScript types generated by LaymanDB for: ${model.name}\n`;
+  output += ' * Row types describe rows as they are sent as JSON: decimals, dates, times and binary data\n';
+  output += ' * (base64) are strings.\n';
+  output += ' */\n\n';
+
+  if (usesJson(shapes)) {
+    output += `/** Any JSON value */\n${JSON_TYPE}\n\n`;
+  }
+
+  shapes.forEach(shape => {
+    const { entity, name } = shape;
+
+    output += docComment(entity.description || `Row of ${entity.table}`);
+    output += `export interface ${name} {\n`;
+    shape.fields.forEach(field => {
+      output += docComment(fieldNotes(field), '  ');
+      output += `  ${propertyKey(field.column)}: ${tsType(field)};\n`;
+    });
+    output += '}\n\n';
+
+    output += docComment(`Values to insert into ${entity.table}; columns with a default or that allow NULL may be left out`);
+    output += `export interface ${name}Insert {\n`;
+    shape.fields.forEach(field => {
+      output += `  ${propertyKey(field.column)}${isOptionalOnInsert(field) ? '?' : ''}: ${tsType(field)};\n`;
+    });
+    output += '}\n\n';
+
+    if (shape.updatable.length > 0) {
+      output += docComment(`Values to update in ${entity.table}${shape.updatable.length < shape.fields.length ? '; primary key columns identify the row and are left out' : ''}`);
+      output += `export interface ${name}Update {\n`;
+      shape.updatable.forEach(field => {
+        output += `  ${propertyKey(field.column)}?: ${tsType(field)};\n`;
+      });
+      output += '}\n\n';
+    }
+  });
+
+  return output.trimEnd() + '\n';
+}
+
+/**
+ * Generate the file of Zod schemas
+ * @param {Object} model - Code model
+ * @param {Array} shapes - Table shapes
+ * @returns {string} - TypeScript source
+ */
+function generateZod(model, shapes) {
+  let output = '/**\n';
+  output += ` * Zod schemas generated by LaymanDB for: ${model.name}\n`;
+  output += ' * Validate the row, insert and update types generated alongside them. Uniqueness can only be\n';
+  output += ' * checked by the database.\n';
+  output += ' */\n';
+  output += "import { z } from 'zod';\n\n";
+
+  if (usesJson(shapes)) {
+    output += `${JSON_TYPE}\n\n`;
+    output += 'const json: z.ZodType<Json> = z.lazy(() =>\n';
+    output += '  z.union([z.string(), z.number(), z.boolean(), z.null(), z.array(json), z.record(z.string(), json)])\n';
+    output += ');\n\n';
+  }
+
+  shapes.forEach(shape => {
+    output += zodObject(shape.schemaName, shape.fields, field => field.isNullable ? '.nullable()' : '');
+    output += zodObject(shape.schemaName.replace(/Schema$/, 'InsertSchema'), shape.fields, field => {
+      const nullable = field.isNullable ? '.nullable()' : '';
+      return isOptionalOnInsert(field) ? `${nullable}.optional()` : nullable;
+    });
+    if (shape.updatable.length > 0) {
+      output += zodObject(shape.schemaName.replace(/Schema$/, 'UpdateSchema'), shape.updatable, field =>
+        `${field.isNullable ? '.nullable()' : ''}.optional()`
+      );
+    }
+  });
+
+  return output.trimEnd() + '\n';
+}
+
+function zodObject(name, fields, modifiers) {
+  let output = `export const ${name} = z.object({\n`;
+  output += fields.map(field => `  ${propertyKey(field.column)}: ${zodType(field)}${modifiers(field)}`).join(',\n');
+  output += '\n});\n\n';
+  return output;
+}
+
+/**
+ * Columns an insert may leave out: the database fills them with their default, a generated key or NULL
+ * @param {Object} field - Code model field
+ * @returns {boolean} - True when the column is optional
+ */
+function isOptionalOnInsert(field) {
+  return field.isNullable || field.isGenerated || !!field.defaultValue;
+}
+
+/**
+ * TypeScript type of a column's values
+ * @param {Object} field - Code model field
+ * @returns {string} - TypeScript type
+ */
+function tsType(field) {
+  const { type } = field;
+  const base = type.kind === 'enum'
+    ? type.values.map(jsString).join(' | ')
+    : (VALUE_TYPES[type.kind] || VALUE_TYPES.text).ts;
+
+  return field.isNullable && base !== 'Json' ? `${base} | null` : base;
+}
+
+/**
+ * Zod schema of a column's values, with the length, precision and values its data type allows
+ * @param {Object} field - Code model field
+ * @returns {string} - Zod expression
+ */
+function zodType(field) {
+  const { type } = field;
+
+  switch (type.kind) {
+    case 'string':
+      return `z.string().max(${type.length})`;
+    case 'enum':
+      return `z.enum([${type.values.map(jsString).join(', ')}])`;
+    case 'decimal': {
+      const integerDigits = Math.max(type.precision - type.scale, 1);
+      const fraction = type.scale > 0 ? `(\\.\\d{1,${type.scale}})?` : '';
+      return `z.string().regex(/^-?\\d{1,${integerDigits}}${fraction}$/)`;
+    }
+    default:
+      return (VALUE_TYPES[type.kind] || VALUE_TYPES.text).zod;
+  }
+}
+
+/**
+ * What a column's type can't say: its description, uniqueness, maximum length and default
+ * @param {Object} field - Code model field
+ * @returns {string} - Sentences for a doc comment
+ */
+function fieldNotes(field) {
+  const notes = [];
+
+  if (field.description) notes.push(field.description.replace(/\.$/, ''));
+  if (field.isPrimaryKey) notes.push(field.isGenerated ? 'Primary key, generated by the database' : 'Primary key');
+  if (field.isUnique) notes.push('Unique');
+  if (field.type.kind === 'string') notes.push(`At most ${field.type.length} characters`);
+  if (field.defaultValue) {
+    notes.push(field.defaultValue.now ? 'Defaults to the current time' : `Defaults to ${JSON.stringify(field.defaultValue.value)}`);
+  }
+
+  return notes.join('. ');
+}
+
+function usesJson(shapes) {
+  return shapes.some(shape => shape.fields.some(field => field.type.kind === 'json'));
+}
+
+function docComment(text, indent = '') {
+  if (!text) return '';
+  return `${indent}/** ${String(text).replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */\n`;
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : jsString(name);
+}
+
+function jsString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+module.exports = exports;
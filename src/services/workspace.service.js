@@ -0,0 +1,143 @@
+const Workspace = require('../models/workspace.model');
+const Schema = require('../models/schema.model');
+const Session = require('../models/session.model');
+const SchemaRevision = require('../models/schemaRevision.model');
+const logger = require('../utils/logger');
+
+/**
+ * Create a workspace owned by a user
+ * @param {Object} user - User model instance
+ * @param {Object} details - { name, description }
+ * @returns {Promise<Object>} - The saved workspace
+ */
+exports.createWorkspace = async (user, { name, description } = {}) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw workspaceError('Workspace name is required', 400);
+  }
+
+  const workspace = new Workspace({
+    name: name.trim(),
+    description: typeof description === 'string' ? description : '',
+    ownerId: user._id
+  });
+  await workspace.save();
+
+  logger.info(`Created workspace ${workspace._id} for user ${user._id}`);
+
+  return workspace;
+};
+
+/**
+ * Load a workspace owned by the user
+ * Workspaces are private; other users' workspaces are reported as not found.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} user - User model instance
+ * @returns {Promise<Object>} - Workspace model instance
+ */
+exports.getWorkspace = async (workspaceId, user) => {
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace || String(workspace.ownerId) !== String(user._id)) {
+    throw workspaceError('Workspace not found', 404);
+  }
+
+  return workspace;
+};
+
+/**
+ * Check a workspace ID sent with a new or moved schema or session
+ * @param {string|null|undefined} workspaceId - Workspace ID from the request
+ * @param {Object} user - User model instance
+ * @returns {Promise<string|null>} - The workspace ID, or null when none was given
+ */
+exports.resolveWorkspaceId = async (workspaceId, user) => {
+  if (workspaceId === undefined || workspaceId === null || workspaceId === '') {
+    return null;
+  }
+
+  const workspace = await exports.getWorkspace(workspaceId, user);
+  if (workspace.archivedAt) {
+    throw workspaceError('Workspace is archived; unarchive it before adding to it', 409);
+  }
+
+  return workspace._id;
+};
+
+/**
+ * Rename or re-describe a workspace
+ * @param {Object} workspace - Workspace model instance
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<Object>} - The updated workspace
+ */
+exports.updateWorkspace = async (workspace, { name, description } = {}) => {
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw workspaceError('Workspace name must be a non-empty string', 400);
+    }
+    workspace.name = name.trim();
+  }
+  if (description !== undefined) {
+    workspace.description = String(description);
+  }
+
+  return workspace.save();
+};
+
+/**
+ * Archive or unarchive a workspace, schema or session
+ * Archived documents are kept but left out of listings unless ?archived=true|all is given.
+ * @param {Object} document - Workspace, Schema or Session model instance
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<Object>} - The saved document
+ */
+exports.setArchived = async (document, archived) => {
+  document.archivedAt = archived ? (document.archivedAt || new Date()) : null;
+  return document.save();
+};
+
+/**
+ * Delete a workspace. Its schemas and sessions are kept and become unfiled.
+ * @param {Object} workspace - Workspace model instance
+ * @returns {Promise<Object>} - { schemasUnfiled, sessionsUnfiled }
+ */
+exports.deleteWorkspace = async (workspace) => {
+  const id = String(workspace._id);
+  const [schemas, sessions] = await Promise.all([Schema.findAll(), Session.findAll()]);
+
+  const filed = [...schemas, ...sessions].filter(document => String(document.workspaceId) === id);
+  for (const document of filed) {
+    document.workspaceId = null;
+    await document.save();
+  }
+
+  await Workspace.findByIdAndDelete(id);
+  logger.info(`Deleted workspace ${id}`, { unfiled: filed.length });
+
+  return {
+    schemasUnfiled: filed.filter(document => document instanceof Schema).length,
+    sessionsUnfiled: filed.filter(document => document instanceof Session).length
+  };
+};
+
+/**
+ * Delete a schema and its revision history
+ * Sessions that reference the schema keep the ID; populating them skips schemas that no longer exist.
+ * @param {Object} schema - Schema model instance
+ * @returns {Promise<Object>} - { revisionsDeleted }
+ */
+exports.deleteSchema = async (schema) => {
+  const revisionsDeleted = await SchemaRevision.deleteBySchemaId(schema._id);
+  await Schema.findByIdAndDelete(schema._id);
+
+  logger.info(`Deleted schema ${schema._id}`, { revisionsDeleted });
+
+  return { revisionsDeleted };
+};
+
+function workspaceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = exports;
@@ -0,0 +1,407 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { setStorage } = require('../../models/storage');
+const MemoryAdapter = require('../../models/storage/memory.adapter');
+const Schema = require('../../models/schema.model');
+const Session = require('../../models/session.model');
+const collaborationService = require('../../services/collaboration.service');
+const schemaVersionService = require('../../services/schemaVersion.service');
+const schemaController = require('../../controllers/schema.controller');
+const { authorizeSchema } = require('../../middleware/auth.middleware');
+const { registerCollaborationHandlers } = require('../collaboration.socket');
+
+const owner = { _id: '1', name: 'Owner' };
+const editor = { _id: '2', name: 'Editor' };
+const viewer = { _id: '3', name: 'Viewer' };
+const stranger = { _id: '4', name: 'Stranger' };
+
+/**
+ * Stand-in for a Socket.IO socket: keeps its handlers and rooms and records what it receives
+ */
+class FakeSocket {
+  constructor(io, id, user) {
+    this.io = io;
+    this.id = id;
+    this.data = { user };
+    this.rooms = new Set([id]);
+    this.handlers = {};
+    this.received = [];
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  emit(event, payload) {
+    this.received.push({ event, payload });
+  }
+
+  to(rooms) {
+    const targets = [].concat(rooms);
+    return {
+      emit: (event, payload) => this.io.sockets
+        .filter(socket => socket !== this && targets.some(room => socket.rooms.has(room)))
+        .forEach(socket => socket.emit(event, payload))
+    };
+  }
+
+  // Send an event from the client and wait for the ack
+  send(event, payload) {
+    return new Promise(resolve => {
+      const result = this.handlers[event](payload, resolve);
+      if (result && typeof result.then === 'function') {
+        result.then(() => resolve());
+      }
+    });
+  }
+
+  events(name) {
+    return this.received.filter(entry => entry.event === name).map(entry => entry.payload);
+  }
+}
+
+/**
+ * Stand-in for the Socket.IO server
+ */
+class FakeServer {
+  constructor() {
+    this.sockets = [];
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  to(room) {
+    return { emit: (event, payload) => this.inRoom(room).forEach(socket => socket.emit(event, payload)) };
+  }
+
+  in(room) {
+    return { fetchSockets: async () => this.inRoom(room) };
+  }
+
+  inRoom(room) {
+    return this.sockets.filter(socket => socket.rooms.has(room));
+  }
+
+  connect(user) {
+    const socket = new FakeSocket(this, `socket-${this.sockets.length + 1}`, user);
+    this.sockets.push(socket);
+    this.handlers.connection(socket);
+    return socket;
+  }
+
+  disconnectAll() {
+    this.sockets.forEach(socket => socket.handlers.disconnect());
+    this.sockets = [];
+  }
+}
+
+const io = new FakeServer();
+registerCollaborationHandlers(io);
+
+// The REST routes that take access away, with the caller set by the X-User header
+const users = { 1: owner, 2: editor, 3: viewer };
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => { req.user = users[req.get('X-User')]; next(); });
+app.delete('/api/schema/:id', authorizeSchema('owner'), schemaController.deleteSchema);
+app.delete('/api/schema/:id/collaborators/:userId', authorizeSchema('owner'), schemaController.removeCollaborator);
+
+let schemaId;
+let room;
+
+// Let the asynchronous access-revoked handler finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(async () => {
+  setStorage(new MemoryAdapter());
+  // IDs start over with the new storage, so drop operations logged for the previous test's schema
+  collaborationService.operationLogs.clear();
+
+  const schema = await new Schema({
+    name: 'Shop',
+    ownerId: owner._id,
+    collaborators: [{ userId: editor._id, role: 'editor' }, { userId: viewer._id, role: 'viewer' }],
+    tables: [{ name: 'orders', columns: [{ name: 'id', dataType: 'INTEGER', isPrimaryKey: true, isNullable: false }] }]
+  }).save();
+  schemaId = schema._id;
+  room = `schema:${schemaId}`;
+});
+
+afterEach(() => {
+  io.disconnectAll();
+});
+
+/**
+ * Send an operation from a socket
+ * @param {Object} socket - Fake socket that joined the schema
+ * @param {number} baseVersion - Version the operation was made against
+ * @param {Object} operation - Schema editor operation
+ * @returns {Promise<Object>} - The ack
+ */
+function operate(socket, baseVersion, operation) {
+  return socket.send('schema-operation', { schemaId, baseVersion, operation });
+}
+
+const addColumn = (table, column) => ({ type: 'addColumn', table, column, data: { name: column, dataType: 'TEXT' } });
+
+describe('joining a schema', () => {
+  it('answers with the schema, the role and who else is viewing', async () => {
+    const ownerSocket = io.connect(owner);
+    await ownerSocket.send('schema-join', { schemaId, color: '#f00' });
+
+    const ack = await io.connect(viewer).send('schema-join', { schemaId });
+
+    expect(ack.role).toBe('viewer');
+    expect(ack.schema.name).toBe('Shop');
+    expect(ack.viewers.map(entry => [entry.userId, entry.name])).toEqual([[owner._id, 'Owner'], [viewer._id, 'Viewer']]);
+    expect(ownerSocket.events('presence-updated').pop()).toMatchObject({ type: 'schema', id: String(schemaId) });
+  });
+
+  it('refuses a user the schema is not shared with', async () => {
+    const socket = io.connect(stranger);
+
+    const ack = await socket.send('schema-join', { schemaId });
+
+    expect(ack).toEqual({ error: 'Schema not found', code: 'SCHEMA_NOT_FOUND' });
+    expect(socket.rooms.has(room)).toBe(false);
+  });
+
+  it('replays the operations a reconnecting client missed', async () => {
+    const editorSocket = io.connect(editor);
+    await editorSocket.send('schema-join', { schemaId });
+    await operate(editorSocket, 1, addColumn('orders', 'notes'));
+    await operate(editorSocket, 2, addColumn('orders', 'total'));
+
+    const ack = await io.connect(viewer).send('schema-join', { schemaId, sinceVersion: 2 });
+
+    expect(ack.operations.map(entry => entry.version)).toEqual([3]);
+  });
+});
+
+describe('operations', () => {
+  it('applies an editor\'s operation and sends it to the room', async () => {
+    const editorSocket = io.connect(editor);
+    const viewerSocket = io.connect(viewer);
+    await editorSocket.send('schema-join', { schemaId });
+    await viewerSocket.send('schema-join', { schemaId });
+
+    const ack = await operate(editorSocket, 1, { type: 'addTable', table: 'customers' });
+
+    expect(ack.version).toBe(2);
+    expect(ack.entry.author).toMatchObject({ userId: editor._id, name: 'Editor' });
+    expect(viewerSocket.events('schema-operation-applied')).toEqual([ack.entry]);
+    expect((await Schema.findById(schemaId)).tables.map(table => table.name)).toEqual(['orders', 'customers']);
+  });
+
+  it('refuses operations from a viewer', async () => {
+    const viewerSocket = io.connect(viewer);
+    await viewerSocket.send('schema-join', { schemaId });
+
+    const ack = await operate(viewerSocket, 1, { type: 'addTable', table: 'customers' });
+
+    expect(ack.code).toBe('FORBIDDEN');
+    expect((await Schema.findById(schemaId)).version).toBe(1);
+  });
+
+  it('refuses operations from an editor downgraded after joining', async () => {
+    const editorSocket = io.connect(editor);
+    await editorSocket.send('schema-join', { schemaId });
+    const schema = await Schema.findById(schemaId);
+    schema.collaborators = [{ userId: editor._id, role: 'viewer' }];
+    await schema.save();
+
+    const ack = await operate(editorSocket, 1, { type: 'addTable', table: 'customers' });
+
+    expect(ack.code).toBe('FORBIDDEN');
+  });
+
+  it('refuses operations from a socket that has not joined', async () => {
+    const ack = await operate(io.connect(owner), 1, { type: 'addTable', table: 'customers' });
+
+    expect(ack.code).toBe('NOT_IN_ROOM');
+  });
+
+  it('answers INVALID_OPERATION for an operation the editor cannot apply', async () => {
+    const ownerSocket = io.connect(owner);
+    await ownerSocket.send('schema-join', { schemaId });
+
+    const ack = await operate(ownerSocket, 1, { type: 'removeTable', table: 'invoices' });
+
+    expect(ack.code).toBe('INVALID_OPERATION');
+  });
+});
+
+describe('concurrent edits', () => {
+  let ownerSocket;
+  let editorSocket;
+
+  beforeEach(async () => {
+    ownerSocket = io.connect(owner);
+    editorSocket = io.connect(editor);
+    await ownerSocket.send('schema-join', { schemaId });
+    await editorSocket.send('schema-join', { schemaId });
+  });
+
+  it('rebases an operation on another part of the schema', async () => {
+    await operate(ownerSocket, 1, addColumn('orders', 'notes'));
+
+    const ack = await operate(editorSocket, 1, { type: 'addTable', table: 'customers' });
+
+    expect(ack.version).toBe(3);
+    expect(ack.entry.rebasedFrom).toBe(1);
+  });
+
+  it('rejects an operation on the same column with the operations the client missed', async () => {
+    const first = await operate(ownerSocket, 1, addColumn('orders', 'notes'));
+
+    const ack = await operate(editorSocket, 1, { type: 'updateColumn', table: 'orders', column: 'notes', data: { dataType: 'VARCHAR(500)' } });
+
+    expect(ack).toMatchObject({ code: 'VERSION_CONFLICT', currentVersion: 2, missedOperations: [first.entry] });
+  });
+
+  it('rejects an operation made before a change saved through the API', async () => {
+    const schema = await Schema.findById(schemaId);
+    const updated = await schemaVersionService.commitRevision(schema, { tables: schema.tables, relationships: [] }, 'Saved from the editor');
+    collaborationService.publishChange(updated, { summary: 'Saved from the editor' });
+
+    const ack = await operate(editorSocket, 1, addColumn('orders', 'total'));
+
+    expect(ack.code).toBe('VERSION_CONFLICT');
+  });
+
+  it('rejects a base version older than the operation log', async () => {
+    await Schema.findByIdAndUpdate(schemaId, { version: 5 });
+
+    const ack = await operate(editorSocket, 1, addColumn('orders', 'notes'));
+
+    expect(ack).toMatchObject({ code: 'VERSION_CONFLICT', error: 'Version 1 is too old to rebase onto version 5' });
+  });
+});
+
+describe('presence', () => {
+  it('shares what each viewer is editing', async () => {
+    const ownerSocket = io.connect(owner);
+    const editorSocket = io.connect(editor);
+    await ownerSocket.send('schema-join', { schemaId });
+    await editorSocket.send('schema-join', { schemaId });
+
+    const ack = await editorSocket.send('presence-update', { schemaId, editing: { table: 'orders', column: 'id' } });
+
+    expect(ack.viewers.find(entry => entry.userId === editor._id).editing).toEqual({ table: 'orders', column: 'id' });
+    expect(ownerSocket.events('presence-updated').pop().viewers).toEqual(ack.viewers);
+  });
+
+  it('removes a viewer who disconnects', async () => {
+    const ownerSocket = io.connect(owner);
+    const editorSocket = io.connect(editor);
+    await ownerSocket.send('schema-join', { schemaId });
+    await editorSocket.send('schema-join', { schemaId });
+
+    editorSocket.handlers.disconnect();
+
+    expect(ownerSocket.events('presence-updated').pop().viewers.map(entry => entry.userId)).toEqual([owner._id]);
+  });
+
+  it('refuses presence updates outside the room', async () => {
+    const ack = await io.connect(owner).send('presence-update', { schemaId, editing: { table: 'orders' } });
+
+    expect(ack.error).toBe(`Join ${room} before updating presence`);
+  });
+});
+
+describe('session rooms', () => {
+  it('are open to the session owner only', async () => {
+    const session = await new Session({ name: 'Mine', ownerId: owner._id }).save();
+
+    expect((await io.connect(owner).send('session-join', { sessionId: session._id })).viewers).toHaveLength(1);
+    expect((await io.connect(editor).send('session-join', { sessionId: session._id })).code).toBe('SESSION_NOT_FOUND');
+  });
+});
+
+describe('revoking access', () => {
+  it('removes the sockets of an unshared user from the schema room', async () => {
+    const ownerSocket = io.connect(owner);
+    const editorSocket = io.connect(editor);
+    await ownerSocket.send('schema-join', { schemaId });
+    await editorSocket.send('schema-join', { schemaId });
+
+    const response = await request(app).delete(`/api/schema/${schemaId}/collaborators/${editor._id}`).set('X-User', '1');
+    await settle();
+
+    expect(response.status).toBe(200);
+    expect(editorSocket.rooms.has(room)).toBe(false);
+    expect(editorSocket.events('schema-access-revoked')).toEqual([{ schemaId: String(schemaId), reason: 'unshared' }]);
+    expect(ownerSocket.rooms.has(room)).toBe(true);
+    expect(ownerSocket.events('schema-access-revoked')).toEqual([]);
+    expect(ownerSocket.events('presence-updated').pop().viewers.map(entry => entry.userId)).toEqual([owner._id]);
+  });
+
+  it('stops relaying unsaved updates to and from an unshared user', async () => {
+    const ownerSocket = io.connect(owner);
+    const viewerSocket = io.connect(viewer);
+    await ownerSocket.send('schema-join', { schemaId });
+    await viewerSocket.send('schema-join', { schemaId });
+
+    await request(app).delete(`/api/schema/${schemaId}/collaborators/${viewer._id}`).set('X-User', '1');
+    await settle();
+
+    ownerSocket.handlers['schema-update']({ schemaId, nodePositions: { orders: { x: 1, y: 2 } } });
+    viewerSocket.handlers['schema-update']({ schemaId, nodePositions: { orders: { x: 3, y: 4 } } });
+
+    expect(viewerSocket.events('schema-updated')).toEqual([]);
+    expect(ownerSocket.events('schema-updated')).toEqual([]);
+  });
+
+  it('refuses operations from an unshared editor', async () => {
+    const editorSocket = io.connect(editor);
+    await editorSocket.send('schema-join', { schemaId });
+
+    await request(app).delete(`/api/schema/${schemaId}/collaborators/${editor._id}`).set('X-User', '1');
+    await settle();
+
+    const ack = await editorSocket.send('schema-operation', {
+      schemaId,
+      baseVersion: 1,
+      operation: { type: 'addTable', table: 'customers' }
+    });
+
+    expect(ack.code).toBe('NOT_IN_ROOM');
+  });
+
+  it('removes every socket from the room of a deleted schema', async () => {
+    const sockets = [io.connect(owner), io.connect(editor), io.connect(viewer)];
+    for (const socket of sockets) {
+      await socket.send('schema-join', { schemaId });
+    }
+
+    const response = await request(app).delete(`/api/schema/${schemaId}`).set('X-User', '1');
+    await settle();
+
+    expect(response.status).toBe(200);
+    sockets.forEach(socket => {
+      expect(socket.rooms.has(room)).toBe(false);
+      expect(socket.events('schema-access-revoked')).toEqual([{ schemaId: String(schemaId), reason: 'deleted' }]);
+    });
+  });
+
+  it('refuses to let an unshared user join again', async () => {
+    await request(app).delete(`/api/schema/${schemaId}/collaborators/${viewer._id}`).set('X-User', '1');
+
+    const ack = await io.connect(viewer).send('schema-join', { schemaId });
+
+    expect(ack.code).toBe('SCHEMA_NOT_FOUND');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Socket.IO handlers for collaborative schema editing
+ * Clients join a room per schema (and optionally per session), send edit operations that the
+ * server applies to the stored schema, and receive presence and applied-operation events for
+ * their rooms only.
+ *
+ * Sockets are authenticated when they connect (socket.data.user). Joining a schema room needs the
+ * viewer role, every edit operation is checked for the editor role, and session rooms are open to
+ * the session owner only (anyone, for sessions created before accounts existed). Sockets of users
+ * who lose access to a schema, because it is unshared with them or deleted, are removed from its
+ * room and told so with schema-access-revoked.
+ */
+
+const accessService = require('../services/access.service');
+const collaborationService = require('../services/collaboration.service');
+const logger = require('../utils/logger');
+
+/**
+ * Forward collaboration events to rooms and register the per-socket handlers
+ * @param {Object} io - Socket.IO server
+ */
+exports.registerCollaborationHandlers = (io) => {
+  collaborationService.on('operation', (entry) => {
+    io.to(collaborationService.roomName('schema', entry.schemaId)).emit('schema-operation-applied', entry);
+  });
+
+  collaborationService.on('presence', ({ room, viewers }) => {
+    const [type, id] = splitRoom(room);
+    io.to(room).emit('presence-updated', { type, id, viewers });
+  });
+
+  collaborationService.on('access-revoked', async ({ schemaId, userIds, reason }) => {
+    const room = collaborationService.roomName('schema', schemaId);
+
+    try {
+      const sockets = await io.in(room).fetchSockets();
+      sockets
+        .filter(socket => !userIds || userIds.includes(String(socket.data.user._id)))
+        .forEach(socket => {
+          socket.leave(room);
+          collaborationService.leave(room, socket.id);
+          socket.emit('schema-access-revoked', { schemaId, reason });
+        });
+    } catch (error) {
+      logger.error(`Error removing sockets from ${room}:`, error);
+    }
+  });
+
+  io.on('connection', (socket) => {
+    // Only the display color comes from the client; the viewer's identity is the authenticated user
+    socket.on('schema-join', async ({ schemaId, color, sinceVersion } = {}, ack) => {
+      try {
+        const { schema, role } = await accessService.requireSchemaRole(schemaId, socket.data.user, 'viewer');
+
+        const room = collaborationService.roomName('schema', schema._id);
+        socket.join(room);
+        const viewers = collaborationService.join(room, socket.id, viewerFor(socket, color));
+
+        reply(ack, {
+          schema,
+          role,
+          viewers,
+          // Lets a reconnecting client replay what it missed instead of reloading the schema
+          operations: sinceVersion !== undefined ? collaborationService.getOperationsSince(schema._id, Number(sinceVersion)) : []
+        });
+      } catch (error) {
+        if (!error.statusCode) {
+          logger.error('Error joining schema room:', error);
+        }
+        reply(ack, { error: error.message, code: error.code });
+      }
+    });
+
+    socket.on('session-join', async ({ sessionId, color } = {}, ack) => {
+      try {
+        const session = await accessService.requireSessionOwner(sessionId, socket.data.user, { readOnly: true });
+
+        const room = collaborationService.roomName('session', session._id);
+        socket.join(room);
+        reply(ack, { viewers: collaborationService.join(room, socket.id, viewerFor(socket, color)) });
+      } catch (error) {
+        if (!error.statusCode) {
+          logger.error('Error joining session room:', error);
+        }
+        reply(ack, { error: error.message, code: error.code });
+      }
+    });
+
+    socket.on('schema-leave', ({ schemaId } = {}) => leaveRoom(socket, 'schema', schemaId));
+    socket.on('session-leave', ({ sessionId } = {}) => leaveRoom(socket, 'session', sessionId));
+
+    // What the viewer is editing, e.g. { schemaId, editing: { table: 'orders', column: 'total' } }
+    socket.on('presence-update', ({ schemaId, editing = null } = {}, ack) => {
+      try {
+        const viewers = collaborationService.updatePresence(
+          collaborationService.roomName('schema', schemaId), socket.id, editing
+        );
+        reply(ack, { viewers });
+      } catch (error) {
+        reply(ack, { error: error.message });
+      }
+    });
+
+    // Apply an edit; the ack receives the new version, and everyone in the room gets schema-operation-applied
+    socket.on('schema-operation', async ({ schemaId, baseVersion, operation, message, clientOperationId } = {}, ack) => {
+      const room = collaborationService.roomName('schema', schemaId);
+      if (!collaborationService.isInRoom(room, socket.id)) {
+        return reply(ack, { error: 'Join the schema before editing it', code: 'NOT_IN_ROOM' });
+      }
+
+      try {
+        // Checked on every operation: the user may have been downgraded to viewer since joining
+        await accessService.requireSchemaRole(schemaId, socket.data.user, 'editor');
+
+        const author = collaborationService.getViewers(room).find(viewer => viewer.socketId === socket.id);
+        const { schema, entry } = await collaborationService.applyOperation(schemaId, {
+          operation,
+          baseVersion,
+          message,
+          clientOperationId,
+          author: { socketId: socket.id, userId: author.userId, name: author.name }
+        });
+
+        reply(ack, { version: schema.version, entry });
+      } catch (error) {
+        if (error.statusCode === 409) {
+          return reply(ack, {
+            error: error.message,
+            code: 'VERSION_CONFLICT',
+            currentVersion: error.currentVersion,
+            missedOperations: error.missedOperations
+          });
+        }
+        if (!error.statusCode) {
+          logger.error('Error applying schema operation:', error);
+        }
+        reply(ack, { error: error.message, code: error.code || 'INVALID_OPERATION' });
+      }
+    });
+
+    // Free-form updates (e.g. node positions while dragging) relayed to the other viewers without being saved
+    socket.on('schema-update', (data = {}) => {
+      const rooms = [
+        data.schemaId && collaborationService.roomName('schema', data.schemaId),
+        data.sessionId && collaborationService.roomName('session', data.sessionId)
+      ].filter(room => room && collaborationService.isInRoom(room, socket.id));
+
+      if (rooms.length === 0) {
+        logger.warn(`Ignoring schema-update from ${socket.id}: not in the schema or session room`);
+        return;
+      }
+
+      socket.to(rooms).emit('schema-updated', data);
+    });
+
+    socket.on('disconnect', () => {
+      collaborationService.leaveAll(socket.id);
+    });
+  });
+};
+
+function leaveRoom(socket, type, id) {
+  const room = collaborationService.roomName(type, id);
+  socket.leave(room);
+  collaborationService.leave(room, socket.id);
+}
+
+function viewerFor(socket, color) {
+  const user = socket.data.user;
+  return { id: user._id, name: user.name, color };
+}
+
+function splitRoom(room) {
+  const separator = room.indexOf(':');
+  return [room.substring(0, separator), room.substring(separator + 1)];
+}
+
+function reply(ack, payload) {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+}
+
+module.exports = exports;